@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 const getRequestHandler = require('./get-request-handler');
+const recordingPlan = require('./recording-plan');
 
 /**
  * Records responses from API endpoints defined in Swagger
@@ -10,6 +11,9 @@ const getRequestHandler = require('./get-request-handler');
  * @param {object} swaggerSpec - Parsed Swagger/OpenAPI specification
  * @param {Array} endpoints - List of endpoints to record
  * @param {object} options - Recording options
+ * @param {object} options.plan - Recording plan with the samples to send per operation
+ * @param {boolean} options.dryRun - Only print the requests that would be sent
+ * @param {Array<string>} options.allow - Operations allowed to run besides the plan's allow-list
  * @returns {Promise<void>}
  */
 async function recordResponses(baseUrl, apiName, swaggerSpec, endpoints, options) {
@@ -42,6 +46,7 @@ async function recordResponses(baseUrl, apiName, swaggerSpec, endpoints, options
     endpointCount: 0,
     successCount: 0,
     errorCount: 0,
+    skippedCount: 0,
     endpoints: []
   };
   
@@ -51,6 +56,53 @@ async function recordResponses(baseUrl, apiName, swaggerSpec, endpoints, options
   
   // Record responses for each endpoint
   for (const endpoint of endpoints) {
+    const entry = options.plan ? recordingPlan.getPlanEntry(options.plan, endpoint) : null;
+    const skipReason = getSkipReason(endpoint, entry, options);
+    if (skipReason) {
+      console.log(`⏭️  Skipping ${endpoint.method.toUpperCase()} ${endpoint.path}: ${skipReason}`);
+      metadata.skippedCount++;
+      metadata.endpoints.push({
+        path: endpoint.path,
+        method: endpoint.method,
+        operationId: endpoint.operationId,
+        status: 'skipped',
+        reason: skipReason,
+        isOData: endpoint.isOData || false
+      });
+      continue;
+    }
+    
+    // Send the samples of the recording plan, storing each request with its response
+    if (entry && entry.samples && entry.samples.length > 0) {
+      const results = await recordingPlan.recordPlannedOperation(client, endpoint, entry, outputDir, {
+        spec: swaggerSpec,
+        apiName,
+        dryRun: options.dryRun
+      });
+      const succeeded = results.some(result => result.success);
+      
+      if (succeeded) {
+        metadata.successCount++;
+      } else {
+        metadata.errorCount++;
+      }
+      metadata.endpoints.push({
+        path: endpoint.path,
+        method: endpoint.method,
+        operationId: endpoint.operationId,
+        status: succeeded ? 'success' : 'error',
+        statusCode: results[0] && results[0].statusCode,
+        samples: results.map(result => ({ name: result.sample, file: result.file, statusCode: result.statusCode })),
+        isOData: endpoint.isOData || false
+      });
+      continue;
+    }
+    
+    if (options.dryRun) {
+      console.log(`[dry run] GET ${endpoint.path}`);
+      continue;
+    }
+    
     try {
       // For OData endpoints, add $top parameter to limit results
       let url = endpoint.path;
@@ -128,6 +180,11 @@ async function recordResponses(baseUrl, apiName, swaggerSpec, endpoints, options
     }
   }
   
+  if (options.dryRun) {
+    console.log(`\nDry run complete: ${endpoints.length - metadata.skippedCount} endpoints would be recorded, ${metadata.skippedCount} skipped`);
+    return;
+  }
+  
   // Save metadata
   fs.writeFileSync(
     path.join(outputDir, '_metadata.json'),
@@ -138,10 +195,14 @@ async function recordResponses(baseUrl, apiName, swaggerSpec, endpoints, options
   const endpointsMap = {};
   for (const endpoint of metadata.endpoints) {
     if (endpoint.status === 'success') {
-      endpointsMap[endpoint.path] = {
+      // GET recordings keep their path as key; other methods are keyed by "METHOD /path"
+      const key = endpoint.method.toLowerCase() === 'get' ? endpoint.path : `${endpoint.method.toUpperCase()} ${endpoint.path}`;
+      // Sampled operations point at the file of their first successful sample
+      const sample = endpoint.samples && endpoint.samples.find(item => item.statusCode < 400);
+      endpointsMap[key] = {
         operationId: endpoint.operationId,
         method: endpoint.method,
-        responseFile: `${endpoint.operationId.replace(/[^a-zA-Z0-9]/g, '_').toLowerCase()}.json`
+        responseFile: sample ? sample.file : `${endpoint.operationId.replace(/[^a-zA-Z0-9]/g, '_').toLowerCase()}.json`
       };
     }
   }
@@ -151,7 +212,31 @@ async function recordResponses(baseUrl, apiName, swaggerSpec, endpoints, options
     JSON.stringify(endpointsMap, null, 2)
   );
   
-  console.log(`\nRecording complete: ${metadata.successCount} successful, ${metadata.errorCount} failed`);
+  console.log(`\nRecording complete: ${metadata.successCount} successful, ${metadata.errorCount} failed, ${metadata.skippedCount} skipped`);
+}
+
+/**
+ * Gets the reason an endpoint is not recorded
+ * Operations other than GET, HEAD and OPTIONS change data, so they only run with samples from a
+ * recording plan and when they are allow-listed.
+ * @param {Object} endpoint - Endpoint information
+ * @param {Object|null} entry - Plan entry of the endpoint
+ * @param {Object} options - Recording options
+ * @returns {string|null} The reason, or null if the endpoint is recorded
+ */
+function getSkipReason(endpoint, entry, options) {
+  if (entry && entry.skip) {
+    return 'skipped by the recording plan';
+  }
+  
+  const hasSamples = Boolean(entry && entry.samples && entry.samples.length > 0);
+  if (!hasSamples && endpoint.method.toLowerCase() !== 'get') {
+    return 'add samples to a recording plan to record this operation';
+  }
+  if (hasSamples && !recordingPlan.isOperationAllowed(options.plan, endpoint, options.allow)) {
+    return 'not in the allow-list';
+  }
+  return null;
 }
 
 /**
@@ -7,7 +7,14 @@ const swaggerFetcher = require('./swagger-fetcher');
 const apiClassifier = require('./api-classifier');
 const endpointExtractor = require('./endpoint-extractor');
 const apiRecorder = require('./api-recorder');
+const recordingPlan = require('./recording-plan');
+const graphqlRecorder = require('./graphql-recorder');
+const harConverter = require('./har-converter');
+const recordingProxy = require('./recording-proxy');
 const expressServer = require('./express-server');
+const apiRegistry = require('./api-registry');
+const responseValidator = require('./response-validator');
+const coverageReport = require('./coverage-report');
 const pkg = require('../package.json');
 
 // Configure the CLI program
@@ -36,11 +43,22 @@ program
   .option('-t, --timeout <ms>', 'Request timeout in milliseconds', '10000')
   .option('-o, --output <dir>', 'Output directory for recorded responses', './data')
   .option('-f, --force', 'Force overwrite of existing recordings', false)
+  .option('-g, --graphql [endpoint]', 'Record a GraphQL API by introspection (endpoint path defaults to /graphql)')
+  .option('--depth <n>', 'Maximum selection depth of generated GraphQL queries', '2')
+  .option('-p, --plan <file>', 'Recording plan with the requests to send per operation')
+  .option('--dry-run', 'Print the requests that would be sent without sending them', false)
+  .option('--allow <operations>', 'Comma-separated operationIds or "METHOD /path" entries allowed to change data')
   .addHelpText('after', `
   Examples:
     $ api-mocker record -u https://petstore.swagger.io/v2 -n petstore
     $ api-mocker record -c apis-config.json -o ./custom-data-dir
     $ api-mocker record -u https://api.example.com -n example-api -a "Bearer token123"
+    $ api-mocker record -u https://api.example.com -n example-graphql -g /api/graphql --depth 3
+    $ api-mocker record -u https://api.example.com -n example-api -p plan.json --allow createPet --dry-run
+    
+  Notes:
+    - Only GET operations are recorded without a plan
+    - Operations other than GET, HEAD and OPTIONS must be allow-listed in the plan or with --allow
   `)
   .action(async (options) => {
     try {
@@ -61,7 +79,9 @@ program
             timeout: parseInt(api.timeout || options.timeout),
             output: options.output,
             force: options.force,
-            swaggerUrl: api.swaggerUrl // Pass the swaggerUrl if provided in config
+            swaggerUrl: api.swaggerUrl, // Pass the swaggerUrl if provided in config
+            graphql: getGraphQLOptions(api.type === 'graphql' ? api.graphql || true : api.graphql, options.depth),
+            ...getPlanOptions(api.plan || options.plan, options)
           });
         }
       } else {
@@ -81,7 +101,9 @@ program
           authToken: options.auth,
           timeout: parseInt(options.timeout),
           output: options.output,
-          force: options.force
+          force: options.force,
+          graphql: getGraphQLOptions(options.graphql, options.depth),
+          ...getPlanOptions(options.plan, options)
         });
       }
     } catch (error) {
@@ -101,6 +123,7 @@ program
   .option('-a, --api <name>', 'Serve only a specific API (single API mode)')
   .option('-b, --base-path <path>', 'Custom base path for the API (only used with --api)')
   .option('-m, --multi', 'Use multi-API server mode (default when no specific API is specified)', true)
+  .option('--validate-responses', 'Validate served responses against the spec (reported in the X-Mock-Schema-Violations header)', false)
   .addHelpText('after', `
   Examples:
     $ api-mocker serve                                # Start multi-API server with default settings
@@ -109,6 +132,7 @@ program
     $ api-mocker serve -d ./custom-data -p 8080 -s   # Custom data directory with stateful mode
     $ api-mocker serve -a my-api                     # Serve only a specific API (single API mode)
     $ api-mocker serve -a my-api -b /custom-path     # Serve specific API with custom base path
+    $ api-mocker serve --validate-responses          # Flag responses that don't match the spec
 
   Notes:
     - Stateful mode (-s) enables full CRUD operations and OData query support
@@ -122,6 +146,9 @@ program
       if (options.stateful) {
         console.log('Stateful mode enabled: API state will be maintained in memory');
       }
+      if (options.validateResponses) {
+        console.log('Response validation enabled: responses violating the spec will be reported');
+      }
       
       // Determine server mode based on options
       if (options.api) {
@@ -153,7 +180,8 @@ program
           port: options.port,
           host: options.host,
           basePath: options.basePath,
-          stateful: options.stateful
+          stateful: options.stateful,
+          validateResponses: options.validateResponses
         });
       } else {
         // Multi-API mode
@@ -172,7 +200,8 @@ program
           dataDir: options.data,
           port: options.port,
           host: options.host,
-          stateful: options.stateful
+          stateful: options.stateful,
+          validateResponses: options.validateResponses
         });
       }
       
@@ -189,6 +218,223 @@ program
     }
   });
 
+// Verify command
+program
+  .command('verify')
+  .description('Validate recorded responses against the status codes and response schemas of their Swagger/OpenAPI spec')
+  .option('-d, --data <dir>', 'Directory containing recorded APIs and data', './data')
+  .option('-a, --api <name>', 'Verify only a specific API')
+  .option('-o, --output <file>', 'Also write the report as JSON to a file')
+  .addHelpText('after', `
+  Examples:
+    $ api-mocker verify                              # Verify the recordings of all APIs
+    $ api-mocker verify -a my-api                    # Verify the recordings of a specific API
+    $ api-mocker verify -o report.json               # Save the report for CI
+
+  Notes:
+    - Exits with status 1 when any recording violates its spec
+  `)
+  .action(async (options) => {
+    try {
+      let apis = (await apiRegistry.loadApiConfigurations(options.data)).filter(api => api.swagger);
+      if (options.api) {
+        apis = apis.filter(api => api.name === options.api);
+        if (apis.length === 0) {
+          throw new Error(`API not found: ${options.api}`);
+        }
+      }
+      
+      const results = apis.map(api => responseValidator.verifyRecordings(api));
+      console.log(responseValidator.formatReport(results));
+      
+      if (options.output) {
+        fs.writeFileSync(options.output, JSON.stringify(results, null, 2));
+        console.log(`Report written to ${options.output}`);
+      }
+      
+      if (results.some(result => result.violations > 0)) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Coverage command
+program
+  .command('coverage')
+  .description('Report which operations of each Swagger/OpenAPI spec or EDMX schema have recorded responses')
+  .option('-d, --data <dir>', 'Directory containing recorded APIs and data', './data')
+  .option('-a, --api <name>', 'Report only a specific API')
+  .option('-f, --format <format>', 'Report format: console, json or html', 'console')
+  .option('-o, --output <file>', 'Write the report to a file instead of the console')
+  .addHelpText('after', `
+  Examples:
+    $ api-mocker coverage                            # Coverage matrix of all APIs
+    $ api-mocker coverage -a my-api -f json          # Coverage of a specific API as JSON
+    $ api-mocker coverage -f html -o coverage.html   # HTML report
+
+  Notes:
+    - Operations are recorded, fallback-only (served from their response schema), error-only or missing
+    - The dashboard generated by serve includes the same matrix
+  `)
+  .action(async (options) => {
+    try {
+      const renderers = {
+        console: coverageReport.formatCoverageTable,
+        json: results => JSON.stringify(results, null, 2),
+        html: coverageReport.renderCoveragePage
+      };
+      const render = renderers[options.format];
+      if (!render) {
+        throw new Error(`Unknown report format: ${options.format} (use console, json or html)`);
+      }
+      
+      let apis = await apiRegistry.loadApiConfigurations(options.data);
+      if (options.api) {
+        apis = apis.filter(api => api.name === options.api);
+        if (apis.length === 0) {
+          throw new Error(`API not found: ${options.api}`);
+        }
+      }
+      
+      const report = render(await coverageReport.analyzeCoverage(apis));
+      if (options.output) {
+        fs.writeFileSync(options.output, report);
+        console.log(`Coverage report written to ${options.output}`);
+      } else {
+        console.log(report);
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Import HAR command
+program
+  .command('import-har <file>')
+  .description('Turn the requests of a HAR file captured in the browser into recordings of an API')
+  .option('-n, --name <name>', 'Name of the API to import into (required)')
+  .option('-o, --output <dir>', 'Directory containing recorded APIs and data', './data')
+  .option('-b, --base-url <url>', 'Base URL of the API; other requests are skipped (defaults to the origin of the first JSON response)')
+  .addHelpText('after', `
+  Examples:
+    $ api-mocker import-har traffic.har -n my-api
+    $ api-mocker import-har traffic.har -n my-api -b https://example.com/api/v1
+
+  Notes:
+    - Only requests with JSON responses (or no response body) are imported
+    - Operations missing from the API's swagger.json are added to it, inferred from the traffic
+  `)
+  .action(async (file, options) => {
+    try {
+      if (!options.name) {
+        throw new Error('required option \'-n, --name <name>\' not specified');
+      }
+      
+      const result = harConverter.importHar(file, options.name, {
+        output: options.output,
+        baseUrl: options.baseUrl
+      });
+      console.log(`Imported ${result.imported} requests from ${result.baseUrl} into ${result.recordings} recordings of ${result.operations} operations (${result.addedOperations} added to swagger.json), skipped ${result.skipped}`);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Export HAR command
+program
+  .command('export-har')
+  .description('Write the recordings of an API as a HAR file for browser devtools and other tools')
+  .option('-d, --data <dir>', 'Directory containing recorded APIs and data', './data')
+  .option('-a, --api <name>', 'Name of the API to export (required)')
+  .option('-o, --output <file>', 'HAR file to write (defaults to <api>.har)')
+  .option('-b, --base-url <url>', 'Base URL of the exported requests (defaults to the mock server)')
+  .addHelpText('after', `
+  Examples:
+    $ api-mocker export-har -a my-api
+    $ api-mocker export-har -a my-api -o my-api.har -b https://example.com/api/v1
+  `)
+  .action(async (options) => {
+    try {
+      if (!options.api) {
+        throw new Error('required option \'-a, --api <name>\' not specified');
+      }
+      
+      const api = (await apiRegistry.loadApiConfigurations(options.data)).find(candidate => candidate.name === options.api);
+      if (!api) {
+        throw new Error(`API not found: ${options.api}`);
+      }
+      
+      const har = harConverter.exportHar(api, { baseUrl: options.baseUrl });
+      const output = options.output || `${options.api}.har`;
+      fs.writeFileSync(output, JSON.stringify(har, null, 2));
+      console.log(`Exported ${har.log.entries.length} recordings of ${options.api} to ${output}`);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('proxy')
+  .description('Forward traffic to a real API and record each exchange, to record an API by using an app against it')
+  .option('-u, --url <url>', 'Base URL of the real API (required)')
+  .option('-n, --name <name>', 'Name of the API to record into (required)')
+  .option('-p, --port <port>', 'Port to listen on', '3000')
+  .option('-h, --host <host>', 'Host to bind to', 'localhost')
+  .option('-o, --output <dir>', 'Output directory for recorded data', './data')
+  .option('--include <globs>', 'Comma-separated path globs to record (e.g. "/pets*"); all paths by default')
+  .option('--exclude <globs>', 'Comma-separated path globs never to record')
+  .option('--redact <headers>', 'Comma-separated request headers to redact besides Authorization and Cookie')
+  .option('--dedupe <mode>', 'What to do with repeated requests: first, last or none', 'first')
+  .option('--max-body-size <bytes>', 'Largest request or response body to record; larger exchanges are only forwarded', '10485760')
+  .addHelpText('after', `
+  Examples:
+    $ api-mocker proxy -u https://api.example.com/v1 -n example-api
+    $ api-mocker proxy -u https://api.example.com/v1 -n example-api -p 8080 --include "/pets*" --redact X-Api-Key
+
+  Notes:
+    - Point your app at http://<host>:<port> instead of the real API
+    - Only JSON responses are recorded; other responses are passed through
+    - Excluded paths and other responses are streamed without buffering; bodies over --max-body-size aren't recorded
+  `)
+  .action(async (options) => {
+    try {
+      if (!options.url || !options.name) {
+        throw new Error('required options \'-u, --url <url>\' and \'-n, --name <name>\' not specified');
+      }
+      
+      await recordingProxy.startRecordingProxy({
+        upstream: options.url,
+        name: options.name,
+        port: options.port,
+        host: options.host,
+        output: options.output,
+        include: splitList(options.include),
+        exclude: splitList(options.exclude),
+        redactHeaders: splitList(options.redact),
+        dedupe: options.dedupe,
+        maxBodySize: parseInt(options.maxBodySize)
+      });
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Splits a comma-separated option value
+ * @param {string} value - The option value
+ * @returns {Array<string>} The values
+ */
+function splitList(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
 /**
  * Records an API
  * @param {string} url - Base URL of the API
@@ -205,6 +451,18 @@ async function recordApi(url, name, options) {
       fs.mkdirSync(apiDir, { recursive: true });
     }
     
+    // GraphQL APIs are recorded by introspection instead of from a Swagger spec
+    if (options.graphql) {
+      await graphqlRecorder.recordGraphQLApi(url, name, apiDir, {
+        ...options.graphql,
+        authToken: options.authToken,
+        timeout: options.timeout,
+        force: options.force
+      });
+      console.log(`Recording completed for API: ${name}`);
+      return;
+    }
+    
     // Step 1: Fetch Swagger spec
     console.log('Fetching Swagger/OpenAPI specification...');
     const swaggerSpec = await swaggerFetcher.fetchSwagger(url, name, {
@@ -241,7 +499,10 @@ async function recordApi(url, name, options) {
     await apiRecorder.recordResponses(url, name, swaggerSpec, endpoints, {
       authToken: options.authToken,
       timeout: options.timeout,
-      force: options.force
+      force: options.force,
+      plan: options.plan,
+      dryRun: options.dryRun,
+      allow: options.allow
     });
     
     console.log(`Recording completed for API: ${name}`);
@@ -252,6 +513,39 @@ async function recordApi(url, name, options) {
   }
 }
 
+/**
+ * Builds the GraphQL recording options from the --graphql option or an API config entry
+ * @param {boolean|string|Object} graphql - true, the endpoint path or { path, depth, arguments }
+ * @param {string} depth - The default selection depth
+ * @returns {Object|null} The GraphQL recording options, or null for Swagger-based APIs
+ */
+function getGraphQLOptions(graphql, depth) {
+  if (!graphql) {
+    return null;
+  }
+  
+  const settings = typeof graphql === 'object' ? graphql : { path: typeof graphql === 'string' ? graphql : undefined };
+  return {
+    endpoint: settings.path || '/graphql',
+    depth: parseInt(settings.depth || depth) || 2,
+    arguments: settings.arguments || {}
+  };
+}
+
+/**
+ * Builds the recording plan options of the record command
+ * @param {string} planFile - Path to the recording plan, if any
+ * @param {Object} options - The record command options
+ * @returns {Object} The plan, dry-run flag and allow-list
+ */
+function getPlanOptions(planFile, options) {
+  return {
+    plan: planFile ? recordingPlan.loadRecordingPlan(planFile) : null,
+    dryRun: Boolean(options.dryRun),
+    allow: splitList(options.allow)
+  };
+}
+
 /**
  * Display a custom welcome message with usage instructions
  */
@@ -271,6 +565,11 @@ function displayWelcome() {
   console.log('Commands:');
   console.log('  record [options]    Record responses from a REST API based on its Swagger/OpenAPI spec');
   console.log('  serve [options]     Start the mock API server with OData support and CRUD operations');
+  console.log('  verify [options]    Validate recorded responses against their Swagger/OpenAPI spec');
+  console.log('  coverage [options]  Report which operations of each API have recorded responses');
+  console.log('  import-har <file>   Turn the requests of a HAR file into recordings of an API');
+  console.log('  export-har [options] Write the recordings of an API as a HAR file');
+  console.log('  proxy [options]     Forward traffic to a real API and record each exchange');
   console.log('');
   console.log('Common Options:');
   console.log('  -V, --version      Output the version number');
@@ -285,6 +584,8 @@ function displayWelcome() {
   console.log('  api-mocker --help');
   console.log('  api-mocker record --help');
   console.log('  api-mocker serve --help');
+  console.log('  api-mocker verify --help');
+  console.log('  api-mocker coverage --help');
   console.log('');
 }
 
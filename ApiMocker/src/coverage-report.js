@@ -0,0 +1,414 @@
+/**
+ * Coverage Report Module
+ * Compares what an API declares (the operations of swagger.json, or the entity sets and
+ * operation imports of its EDMX $metadata.xml) with what was recorded in responses/ and the
+ * recorder's endpoint map. Each operation is classified as recorded, fallback-only (served
+ * from its response schema or a handler, without a recording), error-only (only failed
+ * recordings) or missing, with the status codes and parameter variants recorded for it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const edmxParser = require('./parsers/edmx-parser');
+const responseValidator = require('./response-validator');
+const schemaFaker = require('./schema-faker');
+
+// Coverage statuses of an operation, from best to worst
+const COVERAGE_STATUSES = ['recorded', 'fallback-only', 'error-only', 'missing'];
+
+// HTTP methods of Swagger/OpenAPI path items
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Gets the file name the recorder stores the response of an operation under
+ * @param {string} name - The operationId (or OData operation import name)
+ * @returns {string} The file name, e.g. getPetById -> getpetbyid.json
+ */
+function getRecordingFileName(name) {
+  return `${name.replace(/[^a-zA-Z0-9]/g, '_').toLowerCase()}.json`;
+}
+
+/**
+ * Reads a JSON file of an API directory
+ * @param {string} filePath - Path of the file
+ * @returns {*} The parsed content, or null if the file is missing or invalid
+ */
+function readJson(filePath) {
+  try {
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads a recorded file as the response a mock server serves for it
+ * @param {string} responsesDir - Path to the responses directory
+ * @param {string} file - Name of the recorded file
+ * @param {boolean} variant - Whether the file records a specific parameter variant
+ * @returns {Object} The recording ({ file, statusCode, error, variant }), where error marks a
+ *   failed recording (or an unreadable file)
+ */
+function readRecording(responsesDir, file, variant) {
+  const recording = readJson(path.join(responsesDir, file));
+  if (recording === null) {
+    return { file, statusCode: null, error: true, variant };
+  }
+
+  const error = Boolean(recording && recording.error === true);
+  const { statusCode } = responseValidator.getRecordedResponse(recording);
+  return { file, statusCode: error ? recording.statusCode || null : statusCode, error, variant };
+}
+
+/**
+ * Checks whether a declared response key covers a status code
+ * @param {string} key - The response key (200, 2XX or default)
+ * @param {number} statusCode - The status code
+ * @returns {boolean} True if the key covers the status code
+ */
+function coversStatusCode(key, statusCode) {
+  return key === String(statusCode) || key.toUpperCase() === `${String(statusCode)[0]}XX`;
+}
+
+/**
+ * Classifies an operation from its recordings
+ * @param {Array<Object>} recordings - The recordings of the operation
+ * @param {boolean} recorderFailed - Whether the recorder's metadata lists the operation as failed
+ * @param {boolean} hasFallback - Whether the server answers the operation without a recording
+ * @returns {string} The coverage status
+ */
+function classify(recordings, recorderFailed, hasFallback) {
+  if (recordings.some(recording => !recording.error)) {
+    return 'recorded';
+  }
+  if (recordings.length > 0 || recorderFailed) {
+    return 'error-only';
+  }
+  return hasFallback ? 'fallback-only' : 'missing';
+}
+
+/**
+ * Summarizes the coverage of operations
+ * @param {Array<Object>} operations - The operations with their status
+ * @returns {Object} The number of operations by status, and in total
+ */
+function summarize(operations) {
+  const summary = { total: operations.length };
+  for (const status of COVERAGE_STATUSES) {
+    summary[status] = operations.filter(operation => operation.status === status).length;
+  }
+  return summary;
+}
+
+/**
+ * Analyzes the coverage of the operations of a Swagger/OpenAPI spec
+ * @param {Object} config - API configuration (with swagger and responsesDir)
+ * @param {Array<string>} files - Names of the files in the responses directory
+ * @returns {Array<Object>} The operations with their coverage
+ */
+function analyzeSpecOperations(config, files) {
+  const spec = config.swagger;
+  const metadata = readJson(path.join(config.responsesDir, '_metadata.json')) || {};
+  const endpointMap = readJson(path.join(config.responsesDir, '_endpoints.json')) || {};
+  const operations = [];
+
+  // Files named after an operation belong to it, not to another operation sharing the prefix
+  const primaryFiles = new Set();
+  for (const pathItem of Object.values(spec.paths || {})) {
+    for (const method of Object.keys(pathItem).filter(key => HTTP_METHODS.includes(key.toLowerCase()))) {
+      if (pathItem[method] && pathItem[method].operationId) {
+        primaryFiles.add(getRecordingFileName(pathItem[method].operationId));
+      }
+    }
+  }
+
+  for (const [pathPattern, pathItem] of Object.entries(spec.paths || {})) {
+    for (const method of Object.keys(pathItem).filter(key => HTTP_METHODS.includes(key.toLowerCase()))) {
+      const operation = pathItem[method] || {};
+      const lowerMethod = method.toLowerCase();
+
+      // The recorder's endpoint map may name the file of the operation
+      const mapped = Object.entries(endpointMap)
+        .filter(([mappedPath, entry]) => entry && entry.responseFile &&
+          (entry.operationId === operation.operationId || (mappedPath === pathPattern && String(entry.method).toLowerCase() === lowerMethod)))
+        .map(([, entry]) => entry.responseFile);
+
+      // Recordings for specific values: path parameters (get_pets_petId_petId-1.json) and query options (listpets_select_id_name.json)
+      const baseFiles = [
+        operation.operationId ? getRecordingFileName(operation.operationId) : null,
+        `${lowerMethod}${pathPattern.replace(/\//g, '_').replace(/[{}]/g, '')}.json`,
+        ...mapped
+      ];
+      const matched = [...new Set([...responseValidator.findRecordings(files, lowerMethod, pathPattern, operation), ...mapped])]
+        .filter(file => files.includes(file));
+      const prefix = operation.operationId ? getRecordingFileName(operation.operationId).replace(/\.json$/, '_') : null;
+      const queryVariants = prefix
+        ? files.filter(file => file.startsWith(prefix) && file.endsWith('.json') && !primaryFiles.has(file) && !matched.includes(file))
+        : [];
+
+      const recordings = [
+        ...matched.map(file => readRecording(config.responsesDir, file, !baseFiles.includes(file))),
+        ...queryVariants.map(file => readRecording(config.responsesDir, file, true))
+      ];
+
+      const recorderFailed = (metadata.endpoints || []).some(entry => entry.status === 'error' &&
+        (entry.operationId ? entry.operationId === operation.operationId : entry.path === pathPattern && String(entry.method).toLowerCase() === lowerMethod));
+      const declared = Object.keys(operation.responses || {});
+      const recordedCodes = [...new Set(recordings
+        .filter(recording => !recording.error)
+        .map(recording => recording.statusCode))].sort();
+
+      operations.push({
+        method: method.toUpperCase(),
+        path: pathPattern,
+        operationId: operation.operationId,
+        status: classify(recordings, recorderFailed, Boolean(schemaFaker.getSuccessResponse(operation, spec))),
+        recordings,
+        statusCodes: {
+          declared,
+          recorded: recordedCodes,
+          missing: declared.filter(key => key !== 'default' && !recordedCodes.some(code => coversStatusCode(key, code)))
+        },
+        variants: recordings.filter(recording => recording.variant).map(recording => recording.file)
+      });
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Analyzes the coverage of the entity sets and operation imports of an EDMX schema
+ * Entity sets are served from the seed data in data/<EntitySet>.json, operation imports from
+ * a recorded response or a handler configured under odata.operations in config.json.
+ * @param {Object} config - API configuration (with responsesDir)
+ * @param {Object} schema - The schema parsed from $metadata.xml
+ * @param {Array<string>} files - Names of the files in the responses directory
+ * @returns {Array<Object>} The operations with their coverage
+ */
+function analyzeEdmxOperations(config, schema, files) {
+  const dataDir = config.dataDir || path.join(config.dirPath || path.dirname(config.responsesDir), 'data');
+  const handlers = (config.odata && config.odata.operations) || {};
+  const operations = [];
+
+  for (const entitySet of schema.entitySets || []) {
+    const seeded = fs.existsSync(path.join(dataDir, `${entitySet.name}.json`));
+    const prefix = getRecordingFileName(entitySet.name).replace(/\.json$/, '');
+    const recordings = files
+      .filter(file => file === `${prefix}.json` || (file.startsWith(`${prefix}_`) && file.endsWith('.json')))
+      .map(file => readRecording(config.responsesDir, file, file !== `${prefix}.json`));
+
+    operations.push({
+      method: 'GET',
+      path: `/${entitySet.name}`,
+      operationId: entitySet.name,
+      status: seeded ? 'recorded' : classify(recordings, false, false),
+      recordings,
+      statusCodes: { declared: [], recorded: [...new Set(recordings.filter(recording => !recording.error).map(recording => recording.statusCode))], missing: [] },
+      variants: recordings.filter(recording => recording.variant).map(recording => recording.file)
+    });
+  }
+
+  const imports = [
+    ...(schema.functionImports || []).map(item => ({ ...item, method: 'GET' })),
+    ...(schema.actionImports || []).map(item => ({ ...item, method: 'POST' }))
+  ];
+  for (const item of imports) {
+    const file = getRecordingFileName(item.name);
+    const recordings = files.includes(file) ? [readRecording(config.responsesDir, file, false)] : [];
+
+    operations.push({
+      method: item.method,
+      path: `/${item.name}`,
+      operationId: item.name,
+      status: classify(recordings, false, Boolean(handlers[item.name])),
+      recordings,
+      statusCodes: { declared: [], recorded: recordings.filter(recording => !recording.error).map(recording => recording.statusCode), missing: [] },
+      variants: []
+    });
+  }
+
+  return operations;
+}
+
+/**
+ * Analyzes the recording coverage of an API
+ * The Swagger/OpenAPI spec is used when it declares paths, the EDMX schema otherwise.
+ * @param {Object} config - API configuration (with swagger and responsesDir)
+ * @returns {Promise<Object>} The coverage ({ api, source, operations, summary }), or null if
+ *   the API has neither
+ */
+async function analyzeApiCoverage(config) {
+  const responsesDir = config.responsesDir || path.join(config.dirPath || '', 'responses');
+  const files = fs.existsSync(responsesDir) ? fs.readdirSync(responsesDir).sort() : [];
+  const settings = { ...config, responsesDir };
+
+  let source = null;
+  let operations = [];
+  if (config.swagger && typeof config.swagger === 'object' && Object.keys(config.swagger.paths || {}).length > 0) {
+    source = 'swagger';
+    operations = analyzeSpecOperations(settings, files);
+  } else if (files.includes('$metadata.xml')) {
+    try {
+      const schema = await edmxParser.parseEdmx(fs.readFileSync(path.join(responsesDir, '$metadata.xml'), 'utf8'));
+      source = 'edmx';
+      operations = analyzeEdmxOperations(settings, schema, files);
+    } catch (error) {
+      console.warn(`Error reading the EDMX schema of ${config.name}: ${error.message}`);
+    }
+  }
+
+  if (!source) {
+    return null;
+  }
+  return { api: config.name, source, operations, summary: summarize(operations) };
+}
+
+/**
+ * Analyzes the recording coverage of APIs
+ * @param {Array<Object>} configs - API configurations
+ * @returns {Promise<Array<Object>>} The coverage of each API with a spec or EDMX schema
+ */
+async function analyzeCoverage(configs) {
+  const results = [];
+  for (const config of configs) {
+    const result = await analyzeApiCoverage(config);
+    if (result) {
+      results.push(result);
+    }
+  }
+  return results;
+}
+
+/**
+ * Formats the summary line of an API's coverage
+ * @param {Object} result - The coverage of the API
+ * @returns {string} The summary, e.g. "4 operations: 2 recorded, 1 fallback-only, 0 error-only, 1 missing"
+ */
+function formatSummary(result) {
+  const counts = COVERAGE_STATUSES.map(status => `${result.summary[status]} ${status}`).join(', ');
+  return `${result.summary.total} operation${result.summary.total === 1 ? '' : 's'}: ${counts}`;
+}
+
+/**
+ * Formats coverage as a console table per API
+ * @param {Array<Object>} results - The coverage of the APIs
+ * @returns {string} The report
+ */
+function formatCoverageTable(results) {
+  if (results.length === 0) {
+    return 'No APIs with a Swagger/OpenAPI spec or EDMX schema found';
+  }
+
+  const blocks = results.map(result => {
+    const header = ['METHOD', 'PATH', 'STATUS', 'RECORDED CODES', 'MISSING CODES', 'VARIANTS'];
+    const rows = result.operations.map(operation => [
+      operation.method,
+      operation.path,
+      operation.status,
+      operation.statusCodes.recorded.join(',') || '-',
+      operation.statusCodes.missing.join(',') || '-',
+      String(operation.variants.length)
+    ]);
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    const format = row => `  ${row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()}`;
+
+    return [`${result.api} (${result.source}): ${formatSummary(result)}`, format(header), ...rows.map(format)].join('\n');
+  });
+
+  return blocks.join('\n\n');
+}
+
+/**
+ * Escapes text for HTML
+ * @param {*} value - The text
+ * @returns {string} The escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders coverage as an HTML fragment, one table per API
+ * Used by the dashboard and by the standalone HTML report.
+ * @param {Array<Object>} results - The coverage of the APIs
+ * @returns {string} HTML content
+ */
+function renderCoverageHtml(results) {
+  if (results.length === 0) {
+    return '<p>No APIs with a Swagger/OpenAPI spec or EDMX schema found.</p>';
+  }
+
+  return results.map(result => {
+    const rows = result.operations.map(operation => `
+      <tr class="coverage-${operation.status}">
+        <td>${escapeHtml(operation.method)}</td>
+        <td>${escapeHtml(operation.path)}</td>
+        <td><span class="coverage-status">${operation.status}</span></td>
+        <td>${escapeHtml(operation.statusCodes.recorded.join(', ') || '-')}</td>
+        <td>${escapeHtml(operation.statusCodes.missing.join(', ') || '-')}</td>
+        <td title="${escapeHtml(operation.variants.join(', '))}">${operation.variants.length}</td>
+      </tr>`).join('');
+
+    return `
+  <div class="coverage-api">
+    <h3>${escapeHtml(result.api)}</h3>
+    <p>${escapeHtml(formatSummary(result))}</p>
+    <table class="api-table coverage-table">
+      <thead>
+        <tr>
+          <th>Method</th>
+          <th>Path</th>
+          <th>Coverage</th>
+          <th>Recorded Status Codes</th>
+          <th>Missing Status Codes</th>
+          <th>Variants</th>
+        </tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+  </div>`;
+  }).join('\n');
+}
+
+/**
+ * Renders coverage as a standalone HTML page
+ * @param {Array<Object>} results - The coverage of the APIs
+ * @returns {string} HTML document
+ */
+function renderCoveragePage(results) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>API Mocker Recording Coverage</title>
+  <style>
+    body { font-family: sans-serif; margin: 20px; color: #333; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 30px; }
+    th, td { padding: 6px 10px; text-align: left; border-bottom: 1px solid #ddd; }
+    .coverage-recorded .coverage-status { color: #28a745; }
+    .coverage-fallback-only .coverage-status { color: #b8860b; }
+    .coverage-error-only .coverage-status, .coverage-missing .coverage-status { color: #dc3545; }
+  </style>
+</head>
+<body>
+  <h1>Recording Coverage</h1>
+${renderCoverageHtml(results)}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  COVERAGE_STATUSES,
+  analyzeApiCoverage,
+  analyzeCoverage,
+  formatCoverageTable,
+  renderCoverageHtml,
+  renderCoveragePage
+};
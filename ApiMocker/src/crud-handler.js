@@ -10,6 +10,12 @@ const path = require('path');
 // In-memory data store for each API
 const dataStore = new Map();
 
+// Version of each stored item, bumped on every write (items that were never written are at version 1)
+const itemVersions = new WeakMap();
+
+// Listeners notified of every write to an API's data store, by API name
+const changeListeners = new Map();
+
 /**
  * Initializes a data store for an API
  * @param {string} apiName - The name of the API
@@ -24,6 +30,14 @@ function initializeDataStore(apiName, config) {
   // Create new data store for this API
   const apiDataStore = {
     collections: new Map(),
+    // Append-only log of writes ({ sequence, collection, type, id, item }) for delta queries
+    changeLog: [],
+    // Identifies the change log, so tokens issued before a restart or reset are recognized
+    epoch: createEpoch(),
+    // Writes up to this length of the change log were passed to the change listeners
+    notifiedLength: 0,
+    // Snapshots that were neither committed nor restored yet
+    openSnapshots: 0,
     config
   };
   
@@ -33,6 +47,14 @@ function initializeDataStore(apiName, config) {
   return apiDataStore;
 }
 
+/**
+ * Creates an identifier for a new change log
+ * @returns {string} The epoch
+ */
+function createEpoch() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
 /**
  * Loads initial data for collections from files
  * @param {string} apiName - The name of the API
@@ -74,6 +96,250 @@ function loadInitialData(apiName, dataDir) {
   }
 }
 
+/**
+ * Checks whether an item has the given ID
+ * IDs from request paths are always strings, so numeric IDs are compared by their string form
+ * @param {Object} item - The item to check
+ * @param {string|number} id - The ID to match
+ * @returns {boolean} True if the item has the ID
+ */
+function matchesId(item, id) {
+  if (id === undefined || id === null || item.id === undefined || item.id === null) {
+    return false;
+  }
+  return item.id === id || String(item.id) === String(id);
+}
+
+/**
+ * Finds the position of an item in a collection
+ * @param {Array} collection - The collection
+ * @param {string|number|Object} id - The ID of the item, or the stored item itself (for items
+ *   addressed by other key properties, e.g. OData entities)
+ * @returns {number} The index, or -1 if the collection doesn't hold the item
+ */
+function findItemIndex(collection, id) {
+  if (id !== null && typeof id === 'object') {
+    return collection.indexOf(id);
+  }
+  return collection.findIndex(item => matchesId(item, id));
+}
+
+/**
+ * Describes the ID of an item for log messages
+ * @param {string|number|Object} id - The ID of the item, or the stored item itself
+ * @returns {string} The description
+ */
+function describeId(id) {
+  return id !== null && typeof id === 'object' ? JSON.stringify(id) : String(id);
+}
+
+/**
+ * Gets the version of a stored item
+ * @param {Object} item - The stored item
+ * @returns {number} The version (1 for items that were loaded but never written)
+ */
+function getVersion(item) {
+  return itemVersions.get(item) || 1;
+}
+
+/**
+ * Gets the entity tag of a stored item
+ * Versions start over when the data store is reset or the server restarts, so the tag also
+ * carries a hash of the item's content to keep tags of different contents apart.
+ * @param {Object} item - The stored item
+ * @returns {string} The weak entity tag, e.g. W/"3-1a2b3c4d"
+ */
+function getETag(item) {
+  const contentHash = crypto.createHash('sha1').update(JSON.stringify(item)).digest('hex').slice(0, 8);
+  
+  return `W/"${getVersion(item)}-${contentHash}"`;
+}
+
+/**
+ * Checks whether an If-Match/If-None-Match header value matches an entity tag
+ * Tags are compared weakly, so W/"3-1a2b3c4d" matches "3-1a2b3c4d".
+ * @param {string} header - The header value (a list of tags or *)
+ * @param {string} etag - The entity tag of the item
+ * @returns {boolean} True if one of the listed tags matches
+ */
+function matchesETag(header, etag) {
+  const opaqueTag = tag => tag.trim().replace(/^W\//i, '');
+  
+  return header.split(',').some(tag => tag.trim() === '*' || opaqueTag(tag) === opaqueTag(etag));
+}
+
+/**
+ * Evaluates the conditional headers of a request against a stored item
+ * @param {Object} item - The stored item (null when it doesn't exist)
+ * @param {Object} conditions - The request's conditional headers
+ * @param {string} conditions.ifMatch - The If-Match header
+ * @param {string} conditions.ifNoneMatch - The If-None-Match header
+ * @param {Object} options - Evaluation options
+ * @param {string} options.method - The HTTP method of the request
+ * @param {boolean} options.requirePreconditions - Whether writes must be conditional
+ * @returns {number|null} The status code to answer with (304, 412 or 428), or null to proceed
+ */
+function checkPreconditions(item, conditions, options = {}) {
+  const { ifMatch, ifNoneMatch } = conditions;
+  const isRead = ['GET', 'HEAD'].includes((options.method || 'GET').toUpperCase());
+  
+  if (!isRead && options.requirePreconditions && !ifMatch && !ifNoneMatch) {
+    return 428;
+  }
+  
+  if (ifMatch && (!item || !matchesETag(ifMatch, getETag(item)))) {
+    return 412;
+  }
+  
+  if (ifNoneMatch && item && matchesETag(ifNoneMatch, getETag(item))) {
+    return isRead ? 304 : 412;
+  }
+  
+  return null;
+}
+
+/**
+ * Appends a write to the change log of an API
+ * @param {string} apiName - The name of the API
+ * @param {string} collectionName - The name of the collection
+ * @param {string} type - The kind of change ('added', 'changed' or 'removed')
+ * @param {Object} item - The item as stored after the change (or as it was before removal)
+ */
+function recordChange(apiName, collectionName, type, item) {
+  const apiStore = dataStore.get(apiName);
+  
+  apiStore.changeLog.push({
+    sequence: apiStore.changeLog.length + 1,
+    collection: collectionName,
+    type,
+    id: item.id,
+    item
+  });
+  
+  notifyChanges(apiName);
+}
+
+/**
+ * Passes the writes recorded since the last notification to the change listeners
+ * Writes made while a snapshot is open are held back until it is committed, and dropped if it
+ * is restored.
+ * @param {string} apiName - The name of the API
+ */
+function notifyChanges(apiName) {
+  const apiStore = dataStore.get(apiName);
+  if (apiStore.openSnapshots > 0) {
+    return;
+  }
+  
+  const changes = apiStore.changeLog.slice(apiStore.notifiedLength);
+  apiStore.notifiedLength = apiStore.changeLog.length;
+  
+  for (const change of changes) {
+    for (const listener of changeListeners.get(apiName) || []) {
+      try {
+        listener(change);
+      } catch (error) {
+        console.error(`Error in change listener for API ${apiName}: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Registers a listener for the writes to an API's data store
+ * The listener gets each change log entry ({ sequence, collection, type, id, item }) once the
+ * write is final: writes made while a snapshot is open are passed on when it is committed.
+ * @param {string} apiName - The name of the API
+ * @param {Function} listener - Called with the change log entry of every write
+ * @returns {Function} Removes the listener again
+ */
+function onChange(apiName, listener) {
+  if (!changeListeners.has(apiName)) {
+    changeListeners.set(apiName, new Set());
+  }
+  changeListeners.get(apiName).add(listener);
+  
+  return () => {
+    changeListeners.get(apiName).delete(listener);
+  };
+}
+
+/**
+ * Gets the token identifying the current state of an API's data
+ * Pass it to getChangesSince later to get the changes made in between. Tokens are the
+ * change log's epoch and position, e.g. 1a2b3c4d.5.
+ * @param {string} apiName - The name of the API
+ * @returns {string} The change token
+ */
+function getChangeToken(apiName) {
+  const apiStore = dataStore.get(apiName);
+  if (!apiStore) {
+    throw new Error(`Data store not initialized for API: ${apiName}`);
+  }
+  
+  return `${apiStore.epoch}.${apiStore.changeLog.length}`;
+}
+
+/**
+ * Gets the changes made to a collection since a change token was issued
+ * Several changes to the same item are folded into its current state; items added
+ * and removed again in between aren't reported. The token 0 asks for every change in the log.
+ * @param {string} apiName - The name of the API
+ * @param {string} collectionName - The name of the collection
+ * @param {string} token - A token from getChangeToken
+ * @returns {Object} The added or changed items, the removed items and the token of the current state
+ * @throws {Error} With statusCode 400 for malformed tokens, and 410 for tokens of a change log
+ *   that was reset or rolled back since (the client has to synchronize from scratch)
+ */
+function getChangesSince(apiName, collectionName, token) {
+  const apiStore = dataStore.get(apiName);
+  if (!apiStore) {
+    throw new Error(`Data store not initialized for API: ${apiName}`);
+  }
+  
+  const tokenMatch = String(token) === '0' ? [token, apiStore.epoch, '0'] : /^([0-9a-f]+)\.(\d+)$/.exec(String(token));
+  if (!tokenMatch) {
+    const error = new Error(`Invalid change token: ${token}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const since = Number(tokenMatch[2]);
+  if (tokenMatch[1] !== apiStore.epoch || since > apiStore.changeLog.length) {
+    const error = new Error(`Change token ${token} has expired, the data has changed since`);
+    error.statusCode = 410;
+    throw error;
+  }
+  
+  // The first and last change of each item since the token, in log order
+  const changesById = new Map();
+  for (const change of apiStore.changeLog.slice(since)) {
+    if (change.collection !== collectionName) {
+      continue;
+    }
+    
+    const key = String(change.id);
+    const first = changesById.has(key) ? changesById.get(key).first : change;
+    changesById.delete(key);
+    changesById.set(key, { first, last: change });
+  }
+  
+  const changed = [];
+  const removed = [];
+  for (const [id, { first, last }] of changesById) {
+    if (last.type !== 'removed') {
+      const item = getCollection(apiName, collectionName).find(candidate => matchesId(candidate, id));
+      if (item) {
+        changed.push(item);
+      }
+    } else if (first.type !== 'added') {
+      removed.push(last.item);
+    }
+  }
+  
+  return { changed, removed, token: getChangeToken(apiName) };
+}
+
 /**
  * Gets a collection by name, creating it if it doesn't exist
  * @param {string} apiName - The name of the API
@@ -100,13 +366,15 @@ function getCollection(apiName, collectionName) {
  * @param {string} collectionName - The name of the collection
  * @param {Object} data - The data to create
  * @param {Object} options - Additional options
+ * @param {boolean} options.generateId - Whether items without an ID get one (default true; false
+ *   for items keyed by other properties)
  * @returns {Object} The created item
  */
 function handlePost(apiName, collectionName, data, options = {}) {
   const collection = getCollection(apiName, collectionName);
   
   // Generate an ID if not provided
-  if (!data.id) {
+  if (!data.id && options.generateId !== false) {
     data.id = crypto.randomUUID();
   }
   
@@ -118,8 +386,10 @@ function handlePost(apiName, collectionName, data, options = {}) {
   
   // Add the item to the collection
   collection.push(data);
+  itemVersions.set(data, 1);
+  recordChange(apiName, collectionName, 'added', data);
   
-  console.log(`Created item in ${collectionName}: ${data.id}`);
+  console.log(`Created item in ${collectionName}${data.id !== undefined ? `: ${data.id}` : ''}`);
   return data;
 }
 
@@ -127,7 +397,7 @@ function handlePost(apiName, collectionName, data, options = {}) {
  * Handles PUT requests to replace existing items
  * @param {string} apiName - The name of the API
  * @param {string} collectionName - The name of the collection
- * @param {string} id - The ID of the item to replace
+ * @param {string|Object} id - The ID of the item to replace, or the stored item itself
  * @param {Object} data - The replacement data
  * @param {Object} options - Additional options
  * @returns {Object|null} The updated item or null if not found
@@ -136,14 +406,16 @@ function handlePut(apiName, collectionName, id, data, options = {}) {
   const collection = getCollection(apiName, collectionName);
   
   // Find the item by ID
-  const index = collection.findIndex(item => item.id === id);
+  const index = findItemIndex(collection, id);
   if (index === -1) {
-    console.warn(`Item not found for PUT: ${collectionName}/${id}`);
+    console.warn(`Item not found for PUT: ${collectionName}/${describeId(id)}`);
     return null;
   }
   
   // Ensure the ID is preserved
-  data.id = id;
+  if (collection[index].id !== undefined) {
+    data.id = collection[index].id;
+  }
   
   // Update timestamps if enabled
   if (options.timestamps) {
@@ -152,9 +424,11 @@ function handlePut(apiName, collectionName, id, data, options = {}) {
   }
   
   // Replace the item
+  itemVersions.set(data, getVersion(collection[index]) + 1);
   collection[index] = data;
+  recordChange(apiName, collectionName, 'changed', data);
   
-  console.log(`Updated item in ${collectionName}: ${id}`);
+  console.log(`Updated item in ${collectionName}: ${describeId(id)}`);
   return data;
 }
 
@@ -162,7 +436,7 @@ function handlePut(apiName, collectionName, id, data, options = {}) {
  * Handles PATCH requests to update parts of existing items
  * @param {string} apiName - The name of the API
  * @param {string} collectionName - The name of the collection
- * @param {string} id - The ID of the item to update
+ * @param {string|Object} id - The ID of the item to update, or the stored item itself
  * @param {Object} data - The partial update data
  * @param {Object} options - Additional options
  * @returns {Object|null} The updated item or null if not found
@@ -171,9 +445,9 @@ function handlePatch(apiName, collectionName, id, data, options = {}) {
   const collection = getCollection(apiName, collectionName);
   
   // Find the item by ID
-  const index = collection.findIndex(item => item.id === id);
+  const index = findItemIndex(collection, id);
   if (index === -1) {
-    console.warn(`Item not found for PATCH: ${collectionName}/${id}`);
+    console.warn(`Item not found for PATCH: ${collectionName}/${describeId(id)}`);
     return null;
   }
   
@@ -181,7 +455,9 @@ function handlePatch(apiName, collectionName, id, data, options = {}) {
   const updatedItem = { ...collection[index], ...data };
   
   // Ensure the ID is preserved
-  updatedItem.id = id;
+  if (collection[index].id !== undefined) {
+    updatedItem.id = collection[index].id;
+  }
   
   // Update timestamps if enabled
   if (options.timestamps) {
@@ -189,9 +465,11 @@ function handlePatch(apiName, collectionName, id, data, options = {}) {
   }
   
   // Update the item
+  itemVersions.set(updatedItem, getVersion(collection[index]) + 1);
   collection[index] = updatedItem;
+  recordChange(apiName, collectionName, 'changed', updatedItem);
   
-  console.log(`Patched item in ${collectionName}: ${id}`);
+  console.log(`Patched item in ${collectionName}: ${describeId(id)}`);
   return updatedItem;
 }
 
@@ -199,23 +477,24 @@ function handlePatch(apiName, collectionName, id, data, options = {}) {
  * Handles DELETE requests to remove items
  * @param {string} apiName - The name of the API
  * @param {string} collectionName - The name of the collection
- * @param {string} id - The ID of the item to delete
+ * @param {string|Object} id - The ID of the item to delete, or the stored item itself
  * @returns {boolean} True if the item was deleted, false otherwise
  */
 function handleDelete(apiName, collectionName, id) {
   const collection = getCollection(apiName, collectionName);
   
   // Find the item by ID
-  const index = collection.findIndex(item => item.id === id);
+  const index = findItemIndex(collection, id);
   if (index === -1) {
-    console.warn(`Item not found for DELETE: ${collectionName}/${id}`);
+    console.warn(`Item not found for DELETE: ${collectionName}/${describeId(id)}`);
     return false;
   }
   
   // Remove the item
-  collection.splice(index, 1);
+  const [removedItem] = collection.splice(index, 1);
+  recordChange(apiName, collectionName, 'removed', removedItem);
   
-  console.log(`Deleted item from ${collectionName}: ${id}`);
+  console.log(`Deleted item from ${collectionName}: ${describeId(id)}`);
   return true;
 }
 
@@ -248,16 +527,16 @@ function getAll(apiName, collectionName, query = {}) {
  * Gets a single item by ID
  * @param {string} apiName - The name of the API
  * @param {string} collectionName - The name of the collection
- * @param {string} id - The ID of the item to get
+ * @param {string|Object} id - The ID of the item to get, or the stored item itself
  * @returns {Object|null} The item or null if not found
  */
 function getById(apiName, collectionName, id) {
   const collection = getCollection(apiName, collectionName);
   
   // Find the item by ID
-  const item = collection.find(item => item.id === id);
+  const item = collection[findItemIndex(collection, id)];
   if (!item) {
-    console.warn(`Item not found: ${collectionName}/${id}`);
+    console.warn(`Item not found: ${collectionName}/${describeId(id)}`);
     return null;
   }
   
@@ -272,6 +551,9 @@ function resetDataStore(apiName) {
   if (dataStore.has(apiName)) {
     const apiStore = dataStore.get(apiName);
     apiStore.collections.clear();
+    apiStore.changeLog = [];
+    apiStore.epoch = createEpoch();
+    apiStore.notifiedLength = 0;
     console.log(`Reset data store for API: ${apiName}`);
   }
 }
@@ -315,6 +597,100 @@ function getDataStore(apiName) {
   return dataStore.get(apiName) || null;
 }
 
+/**
+ * Creates a deep copy of all collections in an API's data store
+ * @param {string} apiName - The name of the API
+ * @returns {Object|null} The snapshot or null if the data store doesn't exist
+ */
+function createSnapshot(apiName) {
+  const apiStore = dataStore.get(apiName);
+  if (!apiStore) {
+    return null;
+  }
+
+  const collections = new Map();
+  const versions = new Map();
+  for (const [collectionName, items] of apiStore.collections.entries()) {
+    collections.set(collectionName, JSON.parse(JSON.stringify(items)));
+    versions.set(collectionName, items.map(getVersion));
+  }
+
+  // Change listeners hear of the writes made from now on once the snapshot is committed
+  apiStore.openSnapshots++;
+
+  return { collections, versions, changeLogLength: apiStore.changeLog.length, open: true };
+}
+
+/**
+ * Closes a snapshot that was not restored, passing the writes made since to the change listeners
+ * Every snapshot from createSnapshot has to be either committed or restored.
+ * @param {string} apiName - The name of the API
+ * @param {Object} snapshot - The snapshot to commit
+ */
+function commitSnapshot(apiName, snapshot) {
+  const apiStore = dataStore.get(apiName);
+  if (!apiStore || !snapshot || !snapshot.open) {
+    return;
+  }
+
+  snapshot.open = false;
+  apiStore.openSnapshots--;
+  notifyChanges(apiName);
+}
+
+/**
+ * Restores an API's data store from a snapshot created by createSnapshot
+ * @param {string} apiName - The name of the API
+ * @param {Object} snapshot - The snapshot to restore
+ */
+function restoreSnapshot(apiName, snapshot) {
+  const apiStore = dataStore.get(apiName);
+  if (!apiStore || !snapshot) {
+    return;
+  }
+
+  // Forget the changes made after the snapshot was taken
+  if (snapshot.changeLogLength !== undefined) {
+    if (apiStore.changeLog.length > snapshot.changeLogLength) {
+      apiStore.changeLog.length = snapshot.changeLogLength;
+      apiStore.notifiedLength = Math.min(apiStore.notifiedLength, snapshot.changeLogLength);
+    }
+  }
+
+  // Remove collections created after the snapshot was taken
+  for (const collectionName of Array.from(apiStore.collections.keys())) {
+    if (!snapshot.collections.has(collectionName)) {
+      apiStore.collections.delete(collectionName);
+    }
+  }
+
+  // Restore collection contents in place so existing references stay valid
+  for (const [collectionName, items] of snapshot.collections.entries()) {
+    const collection = apiStore.collections.get(collectionName);
+    const restoredItems = JSON.parse(JSON.stringify(items));
+    const versions = (snapshot.versions && snapshot.versions.get(collectionName)) || [];
+    restoredItems.forEach((item, index) => {
+      if (item && typeof item === 'object') {
+        itemVersions.set(item, versions[index] || 1);
+      }
+    });
+
+    if (collection) {
+      collection.splice(0, collection.length, ...restoredItems);
+    } else {
+      apiStore.collections.set(collectionName, restoredItems);
+    }
+  }
+
+  if (snapshot.open) {
+    snapshot.open = false;
+    apiStore.openSnapshots--;
+    notifyChanges(apiName);
+  }
+
+  console.log(`Restored data store snapshot for API: ${apiName}`);
+}
+
 module.exports = {
   initializeDataStore,
   loadInitialData,
@@ -325,7 +701,16 @@ module.exports = {
   handleDelete,
   getAll,
   getById,
+  getVersion,
+  getETag,
+  checkPreconditions,
+  getChangeToken,
+  getChangesSince,
+  onChange,
   resetDataStore,
   saveDataStore,
-  getDataStore
+  getDataStore,
+  createSnapshot,
+  commitSnapshot,
+  restoreSnapshot
 };
@@ -9,6 +9,7 @@ const fs = require('fs');
 const path = require('path');
 const util = require('util');
 const apiRegistry = require('./api-registry');
+const coverageReport = require('./coverage-report');
 
 // Promisify filesystem operations
 const readFile = util.promisify(fs.readFile);
@@ -38,6 +39,9 @@ async function generateDashboard(dataDir) {
     // Generate usage statistics
     const usageStats = await generateUsageStats(dataDir);
     
+    // Generate recording coverage
+    const coverage = await generateCoverageSection(apis);
+    
     // Generate HTML
     const html = `
 <!DOCTYPE html>
@@ -72,6 +76,10 @@ async function generateDashboard(dataDir) {
     <section class="statistics">
       ${usageStats}
     </section>
+    
+    <section class="coverage">
+      ${coverage}
+    </section>
   </main>
   
   <footer>
@@ -258,6 +266,22 @@ async function generateUsageStats(dataDir) {
   }
 }
 
+/**
+ * Generates the recording coverage HTML
+ * 
+ * @param {Array} apis - Array of API configurations
+ * @returns {Promise<string>} - HTML content
+ */
+async function generateCoverageSection(apis) {
+  try {
+    const results = await coverageReport.analyzeCoverage(apis || []);
+    return `<h2>Recording Coverage</h2>${coverageReport.renderCoverageHtml(results)}`;
+  } catch (error) {
+    console.error(`Error generating recording coverage: ${error.message}`);
+    return '<h2>Recording Coverage</h2><p>Error analyzing recording coverage.</p>';
+  }
+}
+
 /**
  * Writes the dashboard HTML to a file
  * 
@@ -417,6 +441,23 @@ section {
   border-radius: 5px;
 }
 
+.coverage-api h3 {
+  margin-bottom: 0;
+}
+
+.coverage-recorded .coverage-status {
+  color: #28a745;
+}
+
+.coverage-fallback-only .coverage-status {
+  color: #b8860b;
+}
+
+.coverage-error-only .coverage-status,
+.coverage-missing .coverage-status {
+  color: #dc3545;
+}
+
 footer {
   margin-top: 40px;
   padding-top: 20px;
@@ -487,6 +528,7 @@ module.exports = {
   generateApiTable,
   generateDocLinks,
   generateUsageStats,
+  generateCoverageSection,
   writeDashboard,
   generateAssets,
   getApiTitle // Export for testing
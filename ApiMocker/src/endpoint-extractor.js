@@ -228,6 +228,28 @@ function resolveSchema(schema, swaggerSpec) {
   return schema;
 }
 
+/**
+ * Resolves the $ref of a schema (or parameter, response, ...), following chained references
+ * Unlike resolveSchema, nested references are left alone, to be resolved when they're reached.
+ * @param {Object} schema - The object that might be a reference
+ * @param {Object} swaggerSpec - The full Swagger spec
+ * @returns {Object} The resolved object
+ */
+function resolveReference(schema, swaggerSpec) {
+  let resolved = schema;
+  
+  // Bounded, so that circular references end
+  for (let hops = 0; resolved && resolved.$ref && swaggerSpec && hops < 10; hops++) {
+    const next = resolveSchema(resolved, swaggerSpec);
+    if (next === resolved) {
+      break;
+    }
+    resolved = next;
+  }
+  
+  return resolved;
+}
+
 /**
  * Extracts OData query options from parameters
  * @param {Array} parameters - The parameters array
@@ -257,5 +279,8 @@ function extractODataQueryOptions(parameters) {
 }
 
 module.exports = {
-  extractEndpoints
+  extractEndpoints,
+  extractResponseSchema,
+  resolveSchema,
+  resolveReference
 };
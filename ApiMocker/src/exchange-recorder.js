@@ -0,0 +1,297 @@
+/**
+ * Exchange Recorder Module
+ * Stores request/response exchanges seen outside the recorder (HAR files, the recording proxy)
+ * in the data/<api> layout: a recording per concrete request in responses/ (see
+ * recording-matcher), the operations in _endpoints.json, and the API's swagger.json. Exchanges
+ * are matched to the paths of the spec; operations it doesn't declare are added to it, with path
+ * parameters, query parameters and schemas inferred from the exchanges.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const recordingMatcher = require('./recording-matcher');
+const recordingPlan = require('./recording-plan');
+
+// What happens to an exchange whose request was recorded before: keep the first recording,
+// replace it with the last one, or keep both
+const DEDUPE_MODES = ['first', 'last', 'none'];
+
+/**
+ * Infers a JSON schema from a value
+ * @param {*} value - The value
+ * @returns {Object} The schema
+ */
+function inferSchema(value) {
+  if (value === null || value === undefined) {
+    return { nullable: true };
+  }
+  if (Array.isArray(value)) {
+    return { type: 'array', items: value.length > 0 ? inferSchema(value[0]) : {} };
+  }
+  if (typeof value === 'object') {
+    return {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(value).map(([name, property]) => [name, inferSchema(property)]))
+    };
+  }
+  if (typeof value === 'number') {
+    return { type: Number.isInteger(value) ? 'integer' : 'number' };
+  }
+  return { type: typeof value };
+}
+
+/**
+ * Checks whether a path segment looks like an identifier
+ * @param {string} segment - The path segment
+ * @returns {boolean} True for numbers, UUIDs and long hexadecimal strings
+ */
+function isIdentifier(segment) {
+  return /^\d+$/.test(segment) ||
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment) ||
+    /^[0-9a-f]{16,}$/i.test(segment);
+}
+
+/**
+ * Infers the path pattern of a request path
+ * Identifier segments become path parameters named after the previous segment
+ * (/pets/7 -> /pets/{petId}).
+ * @param {string} requestPath - The request path
+ * @returns {Object} { pattern, pathParams }
+ */
+function inferPathPattern(requestPath) {
+  const pathParams = {};
+  const segments = requestPath.split('/').map((segment, index, all) => {
+    if (!isIdentifier(segment)) {
+      return segment;
+    }
+    const previous = all[index - 1] && !isIdentifier(all[index - 1]) ? all[index - 1].replace(/[^a-zA-Z0-9]/g, '') : '';
+    let name = previous ? `${previous.replace(/s$/, '')}Id` : 'id';
+    while (pathParams[name] !== undefined) {
+      name = `${name}${Object.keys(pathParams).length + 1}`;
+    }
+    pathParams[name] = decodeURIComponent(segment);
+    return `{${name}}`;
+  });
+  return { pattern: segments.join('/'), pathParams };
+}
+
+/**
+ * Finds the operation of the spec a request path belongs to
+ * Paths without parameters are preferred over templated ones.
+ * @param {Object} spec - The Swagger/OpenAPI spec
+ * @param {string} method - HTTP method (lower case)
+ * @param {string} requestPath - The request path
+ * @returns {Object|null} { pattern, pathParams } of the matching path, or null
+ */
+function matchSpecPath(spec, method, requestPath) {
+  const patterns = Object.keys(spec.paths || {})
+    .filter(pattern => spec.paths[pattern][method])
+    .sort((a, b) => (a.match(/{/g) || []).length - (b.match(/{/g) || []).length);
+
+  for (const pattern of patterns) {
+    const names = [];
+    const regex = new RegExp(`^${pattern.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/{([^}]+)}/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    })}$`);
+    const match = requestPath.match(regex);
+    if (match) {
+      return { pattern, pathParams: Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])])) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds an operationId for an inferred operation
+ * @param {string} method - HTTP method
+ * @param {string} pattern - The path pattern
+ * @returns {string} The operationId, e.g. getPetsByPetId for GET /pets/{petId}
+ */
+function buildOperationId(method, pattern) {
+  const words = pattern.split('/').filter(Boolean).map(segment => {
+    const param = segment.match(/^{(.+)}$/);
+    const word = (param ? param[1] : segment).replace(/[^a-zA-Z0-9]/g, '');
+    return `${param ? 'By' : ''}${word.charAt(0).toUpperCase()}${word.slice(1)}`;
+  });
+  return `${method.toLowerCase()}${words.join('')}`;
+}
+
+/**
+ * Adds what an entry shows about an operation to the spec
+ * Operations the spec declared before the import only get response codes they don't declare yet.
+ * @param {Object} spec - The Swagger/OpenAPI spec (modified)
+ * @param {string} method - HTTP method (lower case)
+ * @param {string} pattern - The path pattern
+ * @param {Object} exchange - The imported exchange ({ pathParams, query, body, statusCode, data })
+ * @param {Set<Object>} inferred - Operations added by the import (updated)
+ * @returns {Object} The operation
+ */
+function mergeOperation(spec, method, pattern, exchange, inferred) {
+  spec.paths = spec.paths || {};
+  spec.paths[pattern] = spec.paths[pattern] || {};
+  if (!spec.paths[pattern][method]) {
+    const operation = { operationId: buildOperationId(method, pattern), parameters: [], responses: {} };
+    for (const [name, value] of Object.entries(exchange.pathParams)) {
+      operation.parameters.push({ name, in: 'path', required: true, schema: { type: /^\d+$/.test(value) ? 'integer' : 'string' } });
+    }
+    if (exchange.body !== undefined && typeof exchange.body === 'object') {
+      operation.requestBody = { content: { 'application/json': { schema: inferSchema(exchange.body) } } };
+    }
+    spec.paths[pattern][method] = operation;
+    inferred.add(operation);
+  }
+
+  const operation = spec.paths[pattern][method];
+  operation.operationId = operation.operationId || buildOperationId(method, pattern);
+
+  // Query parameters seen in the traffic are optional parameters of inferred operations
+  if (inferred.has(operation)) {
+    for (const name of Object.keys(exchange.query)) {
+      if (!operation.parameters.some(parameter => parameter.name === name && parameter.in === 'query')) {
+        operation.parameters.push({ name, in: 'query', required: false, schema: { type: 'string' } });
+      }
+    }
+  }
+
+  operation.responses = operation.responses || {};
+  const statusCode = String(exchange.statusCode);
+  if (!operation.responses[statusCode]) {
+    operation.responses[statusCode] = {
+      description: http.STATUS_CODES[exchange.statusCode] || 'Recorded response',
+      ...(exchange.data !== undefined ? { content: { 'application/json': { schema: inferSchema(exchange.data) } } } : {})
+    };
+  }
+
+  return operation;
+}
+
+
+/**
+ * Creates a recorder of exchanges for an API
+ * @param {string} apiName - Name of the API
+ * @param {Object} options - Recorder options
+ * @param {string} options.output - Data directory (defaults to ./data)
+ * @param {Array<string>} options.redactHeaders - Request headers to redact besides
+ *   Authorization, Cookie and Proxy-Authorization
+ * @param {string} options.dedupe - 'first', 'last' (default) or 'none'
+ * @param {Object} options.spec - Spec to merge the exchanges into (defaults to the API's
+ *   swagger.json)
+ * @returns {Object} The recorder ({ record, save, getSummary })
+ * @throws {Error} If the dedupe mode is unknown
+ */
+function createExchangeRecorder(apiName, options = {}) {
+  const dedupe = options.dedupe || 'last';
+  if (!DEDUPE_MODES.includes(dedupe)) {
+    throw new Error(`Unknown dedupe mode: ${dedupe} (use ${DEDUPE_MODES.join(', ')})`);
+  }
+
+  const apiDir = path.resolve(options.output || './data', apiName);
+  const responsesDir = path.join(apiDir, 'responses');
+  const swaggerPath = path.join(apiDir, 'swagger.json');
+  const endpointsPath = path.join(responsesDir, '_endpoints.json');
+  fs.mkdirSync(responsesDir, { recursive: true });
+
+  const spec = options.spec || (fs.existsSync(swaggerPath)
+    ? JSON.parse(fs.readFileSync(swaggerPath, 'utf8'))
+    : { openapi: '3.0.0', info: { title: apiName, version: '1.0.0' }, paths: {} });
+  const endpoints = fs.existsSync(endpointsPath) ? JSON.parse(fs.readFileSync(endpointsPath, 'utf8')) : {};
+  const redacted = [...recordingPlan.REDACTED_HEADERS, ...(options.redactHeaders || [])].map(header => header.toLowerCase());
+  const inferred = new Set();
+  const operations = new Set();
+  const files = new Set();
+  const mappedKeys = new Set();
+  let duplicates = 0;
+
+  /**
+   * Records an exchange
+   * @param {Object} exchange - The exchange ({ method, path, query, headers, body, statusCode,
+   *   responseHeaders, data }), with the path relative to the API's base URL
+   * @returns {Object} { file, operationId, duplicate }, where duplicate tells whether the
+   *   recording was kept from before
+   */
+  const record = (exchange) => {
+    const method = exchange.method.toLowerCase();
+    const query = exchange.query || {};
+    const { pattern, pathParams } = matchSpecPath(spec, method, exchange.path) || inferPathPattern(exchange.path);
+    const operation = mergeOperation(spec, method, pattern, {
+      pathParams,
+      query,
+      body: exchange.body,
+      statusCode: exchange.statusCode,
+      data: exchange.data
+    }, inferred);
+    operations.add(`${method.toUpperCase()} ${pattern}`);
+
+    let file = recordingMatcher.getRecordingFileName(operation.operationId, { pathParams, query });
+    if (files.has(file) || fs.existsSync(path.join(responsesDir, file))) {
+      duplicates++;
+      if (dedupe === 'first') {
+        return { file, operationId: operation.operationId, duplicate: true };
+      }
+      if (dedupe === 'none') {
+        let index = 2;
+        while (files.has(file.replace(/\.json$/, `_${index}.json`)) ||
+          fs.existsSync(path.join(responsesDir, file.replace(/\.json$/, `_${index}.json`)))) {
+          index++;
+        }
+        file = file.replace(/\.json$/, `_${index}.json`);
+      }
+    }
+
+    const responseHeaders = recordingPlan.redactHeaders(exchange.responseHeaders, []);
+    fs.writeFileSync(path.join(responsesDir, file), JSON.stringify({
+      request: {
+        method: method.toUpperCase(),
+        url: exchange.path,
+        pathParams,
+        query,
+        headers: recordingPlan.redactHeaders(exchange.headers, redacted),
+        body: exchange.body
+      },
+      statusCode: exchange.statusCode,
+      headers: Object.fromEntries(recordingPlan.RECORDED_HEADERS
+        .filter(header => responseHeaders[header] !== undefined)
+        .map(header => [header, responseHeaders[header]])),
+      data: exchange.data
+    }, null, 2));
+    files.add(file);
+
+    // GET recordings keep their path as key; other methods are keyed by "METHOD /path"
+    const key = method === 'get' ? pattern : `${method.toUpperCase()} ${pattern}`;
+    if (!mappedKeys.has(key) || file === recordingMatcher.getRecordingFileName(operation.operationId, {})) {
+      endpoints[key] = { operationId: operation.operationId, method, responseFile: file };
+      mappedKeys.add(key);
+    }
+    return { file, operationId: operation.operationId, duplicate: false };
+  };
+
+  /**
+   * Writes the API's swagger.json and _endpoints.json
+   */
+  const save = () => {
+    fs.writeFileSync(endpointsPath, JSON.stringify(endpoints, null, 2));
+    fs.writeFileSync(swaggerPath, JSON.stringify(spec, null, 2));
+  };
+
+  /**
+   * Summarizes what was recorded
+   * @returns {Object} { recordings, duplicates, operations, addedOperations }
+   */
+  const getSummary = () => ({
+    recordings: files.size,
+    duplicates,
+    operations: operations.size,
+    addedOperations: inferred.size
+  });
+
+  return { record, save, getSummary };
+}
+
+module.exports = {
+  DEDUPE_MODES,
+  inferSchema,
+  inferPathPattern,
+  createExchangeRecorder
+};
@@ -34,6 +34,12 @@ function joinPaths(...parts) {
   return '/' + normalizedParts.join('/');
 }
 const routeHandler = require('./route-handler');
+const recordingMatcher = require('./recording-matcher');
+const recordingPlan = require('./recording-plan');
+const upstreamPassthrough = require('./upstream-passthrough');
+const requestValidator = require('./request-validator');
+const responseValidator = require('./response-validator');
+const schemaFaker = require('./schema-faker');
 
 /**
  * Creates and configures an Express application
@@ -53,7 +59,7 @@ function createApp() {
     origin: '*',
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
     allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
-    exposedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['Content-Type', 'Authorization', responseValidator.VIOLATIONS_HEADER],
     credentials: true,
     preflightContinue: false,
     optionsSuccessStatus: 204
@@ -62,8 +68,9 @@ function createApp() {
   // Handle OPTIONS requests for CORS preflight
   app.options('*', cors());
   
-  app.use(express.json());
-  app.use(express.urlencoded({ extended: true }));
+  // Raw bodies are kept for requests forwarded to an upstream API
+  app.use(express.json({ verify: upstreamPassthrough.captureRawBody }));
+  app.use(express.urlencoded({ extended: true, verify: upstreamPassthrough.captureRawBody }));
   app.use(morgan('dev'));
   
   // Serve static files
@@ -193,6 +200,11 @@ function registerApiRoutes(app, configs, responsesDir, customBasePath) {
       continue;
     }
     
+    // APIs validating their responses report the violations found so far
+    if (responseValidator.isResponseValidationEnabled(config)) {
+      responseValidator.registerReportRoute(app, joinPaths(customBasePath || config.basePath || `/${config.name}`, '/__schema-violations'), config);
+    }
+    
     // Register routes for each path and method
     for (const [pathPattern, pathItem] of Object.entries(paths)) {
       for (const [method, operation] of Object.entries(pathItem)) {
@@ -225,46 +237,130 @@ function registerApiRoutes(app, configs, responsesDir, customBasePath) {
         // Log the route being registered
         console.log(`Registering route: ${expressMethod.toUpperCase()} ${fullPath}`);
         
+        // Requests are validated against the operation first if the API opts in (validation.requests)
+        const validateRequest = requestValidator.createValidationMiddleware(operation, config, pathItem);
+        
+        // Served responses are checked against the operation if the API opts in (validation.responses)
+        const validateResponse = responseValidator.createResponseValidationMiddleware(operation, config, { method, path: pathPattern });
+        
+        // Recordings are matched to requests by the API's matching rules (matching in config.json)
+        const matchingRule = recordingMatcher.getMatchingRule(config, { method, path: pathPattern, operation });
+        
+        // Requests without a recording can be forwarded to the real API (upstream in config.json)
+        const upstreamRule = upstreamPassthrough.getUpstreamRule(config, { method, path: pathPattern, operation });
+        
         // Register route handler
-        app[expressMethod](fullPath, (req, res) => {
+        app[expressMethod](fullPath, ...[validateRequest, validateResponse].filter(Boolean), (req, res) => {
           // Determine responses directory to use
           const responsesDirectory = responsesDir || config.responsesDir;
           
-          // Find matching response file
-          const responseFile = findResponseFile(responsesDirectory, pathPattern, method, req.params);
+          // Find the recording matching the request
+          const responseFile = recordingMatcher.findRecordingFile(responsesDirectory, {
+            method,
+            path: pathPattern,
+            operation,
+            rule: matchingRule
+          }, req);
           
-          if (responseFile) {
-            try {
-              // Read and parse response file
-              const responseData = JSON.parse(fs.readFileSync(responseFile, 'utf8'));
-              
-              // Send response with appropriate status code
-              res.status(responseData.statusCode || 200).json(responseData.data || responseData);
-            } catch (error) {
-              console.error(`Error reading response file: ${error.message}`);
+          upstreamPassthrough.handleRequest(req, res, upstreamRule, {
+            requestPath: upstreamPassthrough.getRequestPath(pathPattern, req.params),
+            responsesDir: responsesDirectory,
+            spec: config.swagger,
+            hasMock: Boolean(responseFile),
+            serveMock: () => sendMockResponse(req, res, responseFile, method, pathPattern, operation, config)
+          }).catch((error) => {
+            console.error(`Error handling ${req.method} ${req.path}: ${error.message}`);
+            if (!res.headersSent) {
               res.status(500).json({ error: 'Internal server error' });
             }
-          } else {
-            // No matching response file found - generate a fallback response
-            const fallbackResponse = generateFallbackResponse(method, pathPattern, req.params);
-            res.status(fallbackResponse.statusCode || 200).json(fallbackResponse.data);
-          }
+          });
         });
         
         console.log(`Registered route: ${expressMethod.toUpperCase()} ${fullPath}`);
       }
     }
+    
+    // Requests to paths the spec doesn't declare are forwarded if the API's upstream policy says so
+    upstreamPassthrough.registerUpstreamRoute(app, customBasePath || config.basePath || `/${config.name}`, config, responsesDir || config.responsesDir);
+  }
+}
+
+/**
+ * Sends the mock response of a request: its recording, or a response generated from the spec
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string|null} responseFile - Path of the recording matching the request
+ * @param {string} method - HTTP method
+ * @param {string} pathPattern - API path pattern
+ * @param {Object} operation - Swagger operation object
+ * @param {Object} config - API configuration
+ */
+function sendMockResponse(req, res, responseFile, method, pathPattern, operation, config) {
+  if (responseFile) {
+    try {
+      // Read and parse response file
+      const responseData = JSON.parse(fs.readFileSync(responseFile, 'utf8'));
+      
+      // Send response with appropriate status code
+      if (recordingPlan.isExchangeRecording(responseData)) {
+        recordingPlan.sendExchangeRecording(res, responseData);
+      } else {
+        res.status(responseData.statusCode || 200).json(responseData.data || responseData);
+      }
+    } catch (error) {
+      console.error(`Error reading response file: ${error.message}`);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  } else {
+    // No matching response file found - generate a fallback response
+    const fallbackResponse = generateFallbackResponse(method, pathPattern, req.params, {
+      operation,
+      spec: config.swagger,
+      seed: config.fakeData && config.fakeData.seed !== undefined ? config.fakeData.seed : config.name,
+      requestPath: `${req.baseUrl}${req.path}`
+    });
+    res.status(fallbackResponse.statusCode || 200).json(fallbackResponse.data);
   }
 }
 
 /**
  * Generates a fallback response when no response file is found
+ * Operations with a response schema (or example) get data generated from it, the same for
+ * every request to the same path with the same seed; others get a generic stub.
  * @param {string} method - HTTP method
  * @param {string} pathPattern - API path pattern
  * @param {Object} params - Request parameters
+ * @param {Object} options - Schema-driven generation options
+ * @param {Object} options.operation - The Swagger/OpenAPI operation
+ * @param {Object} options.spec - The Swagger/OpenAPI spec
+ * @param {string} options.seed - Seed of the generated data (fakeData.seed in config.json, the API name by default)
+ * @param {string} options.requestPath - The requested path
  * @returns {Object} Fallback response object
  */
-function generateFallbackResponse(method, pathPattern, params) {
+function generateFallbackResponse(method, pathPattern, params, options = {}) {
+  const response = options.operation ? schemaFaker.getSuccessResponse(options.operation, options.spec) : null;
+  if (response) {
+    if (response.example !== undefined) {
+      return { statusCode: response.statusCode, data: response.example };
+    }
+    
+    const data = schemaFaker.generateFromSchema(response.schema, {
+      spec: options.spec,
+      seed: `${options.seed}:${method.toUpperCase()} ${options.requestPath || pathPattern}`
+    });
+    
+    // Path parameters named like a property keep their requested value (GET /pets/{id} returns that id)
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+      for (const [name, value] of Object.entries(params || {})) {
+        if (Object.prototype.hasOwnProperty.call(data, name)) {
+          data[name] = typeof data[name] === 'number' && !Number.isNaN(Number(value)) ? Number(value) : value;
+        }
+      }
+    }
+    
+    return { statusCode: response.statusCode, data };
+  }
+  
   const lowerMethod = method.toLowerCase();
   const statusCode = {
     get: 200,
@@ -335,83 +431,6 @@ function generateFallbackResponse(method, pathPattern, params) {
   };
 }
 
-/**
- * Finds a matching response file for a path and method
- * @param {string} responsesDir - Path to responses directory
- * @param {string} pathPattern - API path pattern
- * @param {string} method - HTTP method
- * @param {Object} params - Request parameters
- * @returns {string|null} Path to response file or null if not found
- */
-function findResponseFile(responsesDir, pathPattern, method, params) {
-  // Special case for $metadata endpoint
-  if (pathPattern === '/odata/$metadata' || pathPattern === 'odata/$metadata') {
-    const metadataFile = path.join(responsesDir, 'get_odata_metadata.json');
-    if (fs.existsSync(metadataFile)) {
-      console.log(`Found special response file for $metadata: ${metadataFile}`);
-      return metadataFile;
-    }
-  }
-  if (!responsesDir) {
-    console.error('No responses directory provided');
-    return null;
-  }
-  
-  try {
-    // Convert method to lowercase
-    const lowerMethod = method.toLowerCase();
-    
-    // Normalize path for filename (convert /path/to/resource to _path_to_resource)
-    const normalizedPath = pathPattern.replace(/\//g, '_').replace(/[{}]/g, '');
-    
-    // Try all possible filename formats
-    const possibleFiles = [
-      // Format: get_path_to_resource.json
-      path.join(responsesDir, `${lowerMethod}${normalizedPath}.json`),
-      
-      // Format: get_path_to_resource (no extension)
-      path.join(responsesDir, `${lowerMethod}${normalizedPath}`),
-      
-      // Format: GET_path_to_resource.json (uppercase method)
-      path.join(responsesDir, `${method.toUpperCase()}${normalizedPath}.json`),
-      
-      // Format: method_path_resource.json (e.g., getpetbyid.json)
-      path.join(responsesDir, `${lowerMethod.replace('get', 'get')}${normalizedPath.replace(/_/g, '')}.json`),
-      
-      // Try with specific parameters if available
-      ...(params && Object.keys(params).length > 0 ? [
-        path.join(responsesDir, `${lowerMethod}${normalizedPath}_${Object.entries(params)
-          .map(([key, value]) => `${key}-${value}`)
-          .join('_')}.json`)
-      ] : []),
-      
-      // Default response for the method
-      path.join(responsesDir, `${lowerMethod}_default.json`),
-      
-      // Try matching just the last part of the path
-      path.join(responsesDir, `${lowerMethod}_${pathPattern.split('/').filter(Boolean).pop()}.json`)
-    ];
-    
-    // Log the files we're checking (for debugging)
-    console.log(`Checking response files for ${method.toUpperCase()} ${pathPattern}:`);
-    possibleFiles.forEach(file => console.log(` - ${file}`))
-    
-    // Check if any of the possible files exist
-    for (const file of possibleFiles) {
-      if (fs.existsSync(file)) {
-        console.log(`Found response file: ${file}`);
-        return file;
-      }
-    }
-    
-    console.log(`No response file found for ${method.toUpperCase()} ${pathPattern}`);
-    return null;
-  } catch (error) {
-    console.error(`Error finding response file: ${error.message}`);
-    return null;
-  }
-}
-
 /**
  * Registers a single route
  * @param {Object} app - Express application
@@ -419,10 +438,11 @@ function findResponseFile(responsesDir, pathPattern, method, params) {
  * @param {string} path - Route path
  * @param {Object} operation - Swagger operation object
  * @param {Object} config - API configuration
+ * @param {Object} pathItem - Swagger path item the operation belongs to
  */
-function registerRoute(app, method, path, operation, config) {
+function registerRoute(app, method, path, operation, config, pathItem) {
   // Use the route handler module to register the route
-  routeHandler.registerRoute(app, method, path, operation, config);
+  routeHandler.registerRoute(app, method, path, operation, config, pathItem);
 }
 
 /**
@@ -652,7 +672,7 @@ module.exports = {
   createRouter,
   loadApiConfigurations,
   registerApiRoutes,
-  findResponseFile,
+  generateFallbackResponse,
   registerDashboard,
   mountSwaggerUI,
   startServer
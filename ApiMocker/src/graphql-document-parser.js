@@ -0,0 +1,472 @@
+/**
+ * GraphQL Document Parser Module
+ * Tokenizes and parses GraphQL query documents (operations and fragments) into an AST
+ */
+
+const PUNCTUATORS = ['...', '!', '$', '&', '(', ')', ':', '=', '@', '[', ']', '{', '|', '}'];
+
+/**
+ * Creates an error for an invalid GraphQL document
+ * @param {string} message - Error message
+ * @param {Object} location - Line and column of the offending token
+ * @returns {Error} The error, flagged with a 400 status code
+ */
+function createSyntaxError(message, location) {
+  const error = new Error(`Syntax Error: ${message}`);
+  error.statusCode = 400;
+  error.locations = location ? [location] : [];
+  return error;
+}
+
+/**
+ * Gets the line and column of a position in a document
+ * @param {string} source - The document
+ * @param {number} position - Offset into the document
+ * @returns {Object} The location ({ line, column }, both 1-based)
+ */
+function getLocation(source, position) {
+  const lines = source.slice(0, position).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Reads a string literal (regular or block string) starting at a position
+ * @param {string} source - The document
+ * @param {number} start - Offset of the opening quote
+ * @returns {Object} The string value and the offset after the closing quote
+ */
+function readString(source, start) {
+  if (source.startsWith('"""', start)) {
+    const end = source.indexOf('"""', start + 3);
+    if (end === -1) {
+      throw createSyntaxError('Unterminated string.', getLocation(source, start));
+    }
+    return { value: dedentBlockString(source.slice(start + 3, end)), end: end + 3 };
+  }
+
+  let value = '';
+  let index = start + 1;
+  while (index < source.length && source[index] !== '"' && source[index] !== '\n') {
+    if (source[index] === '\\') {
+      const escaped = source[index + 1];
+      if (escaped === 'u') {
+        value += String.fromCharCode(parseInt(source.slice(index + 2, index + 6), 16));
+        index += 6;
+        continue;
+      }
+      value += { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' }[escaped] || escaped;
+      index += 2;
+      continue;
+    }
+    value += source[index];
+    index++;
+  }
+
+  if (source[index] !== '"') {
+    throw createSyntaxError('Unterminated string.', getLocation(source, start));
+  }
+  return { value, end: index + 1 };
+}
+
+/**
+ * Removes the common indentation and blank first/last lines of a block string
+ * @param {string} raw - The raw block string content
+ * @returns {string} The block string value
+ */
+function dedentBlockString(raw) {
+  const lines = raw.replace(/\\"""/g, '"""').split(/\r\n|\n|\r/);
+  const indents = lines.slice(1)
+    .filter(line => line.trim())
+    .map(line => line.match(/^[ \t]*/)[0].length);
+  const commonIndent = indents.length > 0 ? Math.min(...indents) : 0;
+
+  const dedented = lines.map((line, index) => (index === 0 ? line : line.slice(commonIndent)));
+  while (dedented.length > 0 && !dedented[0].trim()) dedented.shift();
+  while (dedented.length > 0 && !dedented[dedented.length - 1].trim()) dedented.pop();
+  return dedented.join('\n');
+}
+
+/**
+ * Splits a GraphQL document into tokens, dropping whitespace, commas and comments
+ * @param {string} source - The GraphQL document
+ * @returns {Array<Object>} The tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const char = source[position];
+
+    // Commas are insignificant, like whitespace
+    if (/[\s,\uFEFF]/.test(char)) {
+      position++;
+      continue;
+    }
+
+    if (char === '#') {
+      while (position < source.length && source[position] !== '\n') position++;
+      continue;
+    }
+
+    const location = getLocation(source, position);
+
+    const punctuator = PUNCTUATORS.find(candidate => source.startsWith(candidate, position));
+    if (punctuator) {
+      tokens.push({ type: 'punctuator', value: punctuator, location });
+      position += punctuator.length;
+      continue;
+    }
+
+    if (char === '"') {
+      const { value, end } = readString(source, position);
+      tokens.push({ type: 'string', value, location });
+      position = end;
+      continue;
+    }
+
+    const rest = source.slice(position);
+
+    const number = rest.match(/^-?(?:0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/);
+    if (number) {
+      tokens.push({ type: number[1] || number[2] ? 'float' : 'int', value: number[0], location });
+      position += number[0].length;
+      continue;
+    }
+
+    const name = rest.match(/^[_A-Za-z][_0-9A-Za-z]*/);
+    if (name) {
+      tokens.push({ type: 'name', value: name[0], location });
+      position += name[0].length;
+      continue;
+    }
+
+    throw createSyntaxError(`Unexpected character "${char}".`, location);
+  }
+
+  return tokens;
+}
+
+/**
+ * Normalizes a GraphQL document so that documents differing only in whitespace,
+ * commas and comments compare equal
+ * @param {string} source - The GraphQL document
+ * @returns {string} The normalized document
+ */
+function normalizeQuery(source) {
+  return tokenize(source)
+    .map(token => (token.type === 'string' ? JSON.stringify(token.value) : token.value))
+    .join(' ');
+}
+
+/**
+ * Creates a recursive descent parser over the tokens of a GraphQL source text
+ * @param {string} source - The source text
+ * @returns {Object} The parser ({ parseDocument, parseConstValue })
+ */
+function createParser(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const describe = token => (token ? `"${token.value}"` : '<EOF>');
+  const endLocation = () => getLocation(source, source.length);
+
+  /**
+   * Checks whether the next token is a punctuator or the given name
+   * @param {string} value - The punctuator or name
+   * @returns {boolean} True if the next token matches
+   */
+  const at = value => Boolean(peek() && peek().value === value && peek().type !== 'string');
+
+  /**
+   * Consumes the next token if it matches
+   * @param {string} value - The punctuator or name
+   * @returns {boolean} True if the token was consumed
+   */
+  const skip = value => {
+    if (at(value)) {
+      index++;
+      return true;
+    }
+    return false;
+  };
+
+  /**
+   * Consumes the next token, which must match
+   * @param {string} value - The expected punctuator or name
+   */
+  const expect = value => {
+    if (!skip(value)) {
+      const token = peek();
+      throw createSyntaxError(`Expected "${value}", found ${describe(token)}.`, token ? token.location : endLocation());
+    }
+  };
+
+  /**
+   * Consumes a name token
+   * @returns {string} The name
+   */
+  const parseName = () => {
+    const token = peek();
+    if (!token || token.type !== 'name') {
+      throw createSyntaxError(`Expected Name, found ${describe(token)}.`, token ? token.location : endLocation());
+    }
+    index++;
+    return token.value;
+  };
+
+  /**
+   * Parses a value literal
+   * @param {boolean} isConst - Whether variables are disallowed
+   * @returns {Object} The value node
+   */
+  const parseValue = isConst => {
+    const token = peek();
+    if (!token) {
+      throw createSyntaxError('Unexpected <EOF>.', endLocation());
+    }
+
+    if (token.type === 'punctuator') {
+      if (token.value === '$' && !isConst) {
+        index++;
+        return { kind: 'variable', name: parseName() };
+      }
+      if (token.value === '[') {
+        index++;
+        const values = [];
+        while (!skip(']')) {
+          values.push(parseValue(isConst));
+        }
+        return { kind: 'list', values };
+      }
+      if (token.value === '{') {
+        index++;
+        const fields = {};
+        while (!skip('}')) {
+          const name = parseName();
+          expect(':');
+          fields[name] = parseValue(isConst);
+        }
+        return { kind: 'object', fields };
+      }
+      throw createSyntaxError(`Unexpected ${describe(token)}.`, token.location);
+    }
+
+    index++;
+    switch (token.type) {
+      case 'int':
+        return { kind: 'int', value: parseInt(token.value, 10) };
+      case 'float':
+        return { kind: 'float', value: parseFloat(token.value) };
+      case 'string':
+        return { kind: 'string', value: token.value };
+      default:
+        if (token.value === 'true' || token.value === 'false') {
+          return { kind: 'boolean', value: token.value === 'true' };
+        }
+        if (token.value === 'null') {
+          return { kind: 'null', value: null };
+        }
+        return { kind: 'enum', value: token.value };
+    }
+  };
+
+  /**
+   * Parses a type reference (e.g. [ID!]!)
+   * @returns {Object} The type node
+   */
+  const parseTypeReference = () => {
+    let type;
+    if (skip('[')) {
+      type = { kind: 'list', ofType: parseTypeReference() };
+      expect(']');
+    } else {
+      type = { kind: 'named', name: parseName() };
+    }
+    return skip('!') ? { kind: 'nonNull', ofType: type } : type;
+  };
+
+  /**
+   * Parses optional arguments
+   * @param {boolean} isConst - Whether variables are disallowed
+   * @returns {Object} The argument value nodes by name
+   */
+  const parseArguments = isConst => {
+    const args = {};
+    if (skip('(')) {
+      do {
+        const name = parseName();
+        expect(':');
+        args[name] = parseValue(isConst);
+      } while (!skip(')'));
+    }
+    return args;
+  };
+
+  /**
+   * Parses optional directives
+   * @param {boolean} isConst - Whether variables are disallowed
+   * @returns {Array<Object>} The directives
+   */
+  const parseDirectives = isConst => {
+    const directives = [];
+    while (skip('@')) {
+      directives.push({ name: parseName(), arguments: parseArguments(isConst) });
+    }
+    return directives;
+  };
+
+  /**
+   * Parses a selection set
+   * @returns {Array<Object>} The selections
+   */
+  const parseSelectionSet = () => {
+    expect('{');
+    const selections = [];
+    do {
+      selections.push(parseSelection());
+    } while (!skip('}'));
+    return selections;
+  };
+
+  /**
+   * Parses a field, fragment spread or inline fragment
+   * @returns {Object} The selection node
+   */
+  const parseSelection = () => {
+    if (skip('...')) {
+      if (peek() && peek().type === 'name' && peek().value !== 'on') {
+        return { kind: 'fragmentSpread', name: parseName(), directives: parseDirectives(false) };
+      }
+      const typeCondition = skip('on') ? parseName() : null;
+      return {
+        kind: 'inlineFragment',
+        typeCondition,
+        directives: parseDirectives(false),
+        selectionSet: parseSelectionSet()
+      };
+    }
+
+    const location = peek() ? peek().location : endLocation();
+    let alias = null;
+    let name = parseName();
+    if (skip(':')) {
+      alias = name;
+      name = parseName();
+    }
+
+    return {
+      kind: 'field',
+      alias,
+      name,
+      arguments: parseArguments(false),
+      directives: parseDirectives(false),
+      selectionSet: at('{') ? parseSelectionSet() : null,
+      location
+    };
+  };
+
+  /**
+   * Parses an operation or fragment definition
+   * @returns {Object} The definition node
+   */
+  const parseDefinition = () => {
+    if (at('{')) {
+      return { kind: 'operation', operation: 'query', name: null, variableDefinitions: [], directives: [], selectionSet: parseSelectionSet() };
+    }
+
+    const token = peek();
+    if (skip('fragment')) {
+      const name = parseName();
+      expect('on');
+      return {
+        kind: 'fragment',
+        name,
+        typeCondition: parseName(),
+        directives: parseDirectives(false),
+        selectionSet: parseSelectionSet()
+      };
+    }
+
+    if (['query', 'mutation', 'subscription'].includes(token.value) && token.type === 'name') {
+      index++;
+      const name = peek() && peek().type === 'name' ? parseName() : null;
+      const variableDefinitions = [];
+      if (skip('(')) {
+        do {
+          expect('$');
+          const variableName = parseName();
+          expect(':');
+          const type = parseTypeReference();
+          const defaultValue = skip('=') ? parseValue(true) : undefined;
+          parseDirectives(true);
+          variableDefinitions.push({ name: variableName, type, defaultValue });
+        } while (!skip(')'));
+      }
+      return {
+        kind: 'operation',
+        operation: token.value,
+        name,
+        variableDefinitions,
+        directives: parseDirectives(false),
+        selectionSet: parseSelectionSet()
+      };
+    }
+
+    throw createSyntaxError(`Unexpected ${describe(token)}.`, token.location);
+  };
+
+  /**
+   * Checks that all tokens were consumed
+   */
+  const expectEnd = () => {
+    if (index < tokens.length) {
+      throw createSyntaxError(`Unexpected ${describe(peek())}.`, peek().location);
+    }
+  };
+
+  return {
+    parseDocument: () => {
+      const definitions = [];
+      while (index < tokens.length) {
+        definitions.push(parseDefinition());
+      }
+      return { definitions };
+    },
+    parseConstValue: () => {
+      const value = parseValue(true);
+      expectEnd();
+      return value;
+    }
+  };
+}
+
+/**
+ * Parses a GraphQL document
+ * @param {string} source - The GraphQL document
+ * @returns {Object} The document AST ({ definitions })
+ */
+function parse(source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw createSyntaxError('Unexpected <EOF>.', { line: 1, column: 1 });
+  }
+
+  return createParser(source).parseDocument();
+}
+
+/**
+ * Parses a constant value literal, such as the default values of an introspection result
+ * @param {string} source - The value literal (e.g. 10, "abc", ASC or { first: 1 })
+ * @returns {Object} The value node
+ */
+function parseValue(source) {
+  return createParser(source).parseConstValue();
+}
+
+module.exports = {
+  parse,
+  parseValue,
+  tokenize,
+  normalizeQuery
+};
@@ -0,0 +1,1081 @@
+/**
+ * GraphQL Executor Module
+ * Executes parsed GraphQL documents against a schema given as an introspection result.
+ * Introspection (__schema, __type, __typename) is answered from the schema itself; all
+ * other fields are resolved by a caller-supplied resolver.
+ */
+
+const graphqlDocumentParser = require('./graphql-document-parser');
+
+const BUILT_IN_SCALARS = ['String', 'Int', 'Float', 'Boolean', 'ID'];
+
+/**
+ * Creates a named type reference in introspection format
+ * @param {string} kind - The type kind (SCALAR, OBJECT, ...)
+ * @param {string} name - The type name
+ * @returns {Object} The type reference
+ */
+const named = (kind, name) => ({ kind, name, ofType: null });
+
+/**
+ * Wraps a type reference as non-null
+ * @param {Object} ofType - The wrapped type reference
+ * @returns {Object} The type reference
+ */
+const nonNull = ofType => ({ kind: 'NON_NULL', name: null, ofType });
+
+/**
+ * Wraps a type reference as a list
+ * @param {Object} ofType - The wrapped type reference
+ * @returns {Object} The type reference
+ */
+const list = ofType => ({ kind: 'LIST', name: null, ofType });
+
+/**
+ * Creates a field definition in introspection format
+ * @param {string} name - The field name
+ * @param {Object} type - The field type reference
+ * @param {Array<Object>} args - The field arguments
+ * @returns {Object} The field definition
+ */
+const field = (name, type, args = []) => ({ name, description: null, args, type, isDeprecated: false, deprecationReason: null });
+
+const STRING = named('SCALAR', 'String');
+const BOOLEAN = named('SCALAR', 'Boolean');
+const TYPE = named('OBJECT', '__Type');
+const INCLUDE_DEPRECATED = [{ name: 'includeDeprecated', description: null, type: BOOLEAN, defaultValue: 'false' }];
+
+// The introspection types, so introspection works whether or not the recorded schema lists them
+const META_TYPES = [
+  {
+    kind: 'OBJECT',
+    name: '__Schema',
+    fields: [
+      field('description', STRING),
+      field('types', nonNull(list(nonNull(TYPE)))),
+      field('queryType', nonNull(TYPE)),
+      field('mutationType', TYPE),
+      field('subscriptionType', TYPE),
+      field('directives', nonNull(list(nonNull(named('OBJECT', '__Directive')))))
+    ]
+  },
+  {
+    kind: 'OBJECT',
+    name: '__Type',
+    fields: [
+      field('kind', nonNull(named('ENUM', '__TypeKind'))),
+      field('name', STRING),
+      field('description', STRING),
+      field('specifiedByURL', STRING),
+      field('fields', list(nonNull(named('OBJECT', '__Field'))), INCLUDE_DEPRECATED),
+      field('interfaces', list(nonNull(TYPE))),
+      field('possibleTypes', list(nonNull(TYPE))),
+      field('enumValues', list(nonNull(named('OBJECT', '__EnumValue'))), INCLUDE_DEPRECATED),
+      field('inputFields', list(nonNull(named('OBJECT', '__InputValue'))), INCLUDE_DEPRECATED),
+      field('ofType', TYPE),
+      field('isOneOf', BOOLEAN)
+    ]
+  },
+  {
+    kind: 'OBJECT',
+    name: '__Field',
+    fields: [
+      field('name', nonNull(STRING)),
+      field('description', STRING),
+      field('args', nonNull(list(nonNull(named('OBJECT', '__InputValue')))), INCLUDE_DEPRECATED),
+      field('type', nonNull(TYPE)),
+      field('isDeprecated', nonNull(BOOLEAN)),
+      field('deprecationReason', STRING)
+    ]
+  },
+  {
+    kind: 'OBJECT',
+    name: '__InputValue',
+    fields: [
+      field('name', nonNull(STRING)),
+      field('description', STRING),
+      field('type', nonNull(TYPE)),
+      field('defaultValue', STRING),
+      field('isDeprecated', nonNull(BOOLEAN)),
+      field('deprecationReason', STRING)
+    ]
+  },
+  {
+    kind: 'OBJECT',
+    name: '__EnumValue',
+    fields: [
+      field('name', nonNull(STRING)),
+      field('description', STRING),
+      field('isDeprecated', nonNull(BOOLEAN)),
+      field('deprecationReason', STRING)
+    ]
+  },
+  {
+    kind: 'OBJECT',
+    name: '__Directive',
+    fields: [
+      field('name', nonNull(STRING)),
+      field('description', STRING),
+      field('locations', nonNull(list(nonNull(named('ENUM', '__DirectiveLocation'))))),
+      field('args', nonNull(list(nonNull(named('OBJECT', '__InputValue')))), INCLUDE_DEPRECATED),
+      field('isRepeatable', nonNull(BOOLEAN))
+    ]
+  },
+  {
+    kind: 'ENUM',
+    name: '__TypeKind',
+    enumValues: ['SCALAR', 'OBJECT', 'INTERFACE', 'UNION', 'ENUM', 'INPUT_OBJECT', 'LIST', 'NON_NULL']
+      .map(name => ({ name, description: null, isDeprecated: false, deprecationReason: null }))
+  },
+  {
+    kind: 'ENUM',
+    name: '__DirectiveLocation',
+    enumValues: [
+      'QUERY', 'MUTATION', 'SUBSCRIPTION', 'FIELD', 'FRAGMENT_DEFINITION', 'FRAGMENT_SPREAD',
+      'INLINE_FRAGMENT', 'VARIABLE_DEFINITION', 'SCHEMA', 'SCALAR', 'OBJECT', 'FIELD_DEFINITION',
+      'ARGUMENT_DEFINITION', 'INTERFACE', 'UNION', 'ENUM', 'ENUM_VALUE', 'INPUT_OBJECT', 'INPUT_FIELD_DEFINITION'
+    ].map(name => ({ name, description: null, isDeprecated: false, deprecationReason: null }))
+  }
+];
+
+// Reported when the recorded schema has no directives
+const BUILT_IN_DIRECTIVES = [
+  {
+    name: 'include',
+    description: 'Directs the executor to include this field or fragment only when the `if` argument is true.',
+    locations: ['FIELD', 'FRAGMENT_SPREAD', 'INLINE_FRAGMENT'],
+    args: [{ name: 'if', description: 'Included when true.', type: nonNull(BOOLEAN), defaultValue: null }],
+    isRepeatable: false
+  },
+  {
+    name: 'skip',
+    description: 'Directs the executor to skip this field or fragment when the `if` argument is true.',
+    locations: ['FIELD', 'FRAGMENT_SPREAD', 'INLINE_FRAGMENT'],
+    args: [{ name: 'if', description: 'Skipped when true.', type: nonNull(BOOLEAN), defaultValue: null }],
+    isRepeatable: false
+  },
+  {
+    name: 'deprecated',
+    description: 'Marks an element of a GraphQL schema as no longer supported.',
+    locations: ['FIELD_DEFINITION', 'ARGUMENT_DEFINITION', 'INPUT_FIELD_DEFINITION', 'ENUM_VALUE'],
+    args: [{ name: 'reason', description: null, type: STRING, defaultValue: '"No longer supported"' }],
+    isRepeatable: false
+  }
+];
+
+// Type indexes by schema object, built on first use
+const typeMaps = new WeakMap();
+
+/**
+ * Creates a GraphQL error
+ * @param {string} message - Error message
+ * @param {Object} details - Optional locations and path of the error
+ * @returns {Error} The error
+ */
+function createGraphQLError(message, details = {}) {
+  const error = new Error(message);
+  if (details.locations) {
+    error.locations = details.locations;
+  }
+  if (details.path) {
+    error.path = details.path;
+  }
+  return error;
+}
+
+/**
+ * Creates an error that rejects the whole request before (or instead of) execution
+ * @param {string} message - Error message
+ * @param {Object} location - Optional location of the offending node
+ * @returns {Error} The error, flagged with a 400 status code
+ */
+function createRequestError(message, location) {
+  const error = createGraphQLError(message, location ? { locations: [location] } : {});
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Formats an error for the errors list of a GraphQL response
+ * @param {Error} error - The error
+ * @returns {Object} The formatted error ({ message, locations, path })
+ */
+function formatError(error) {
+  const formatted = { message: error.message };
+  if (error.locations && error.locations.length > 0) {
+    formatted.locations = error.locations;
+  }
+  if (error.path) {
+    formatted.path = error.path;
+  }
+  return formatted;
+}
+
+/**
+ * Indexes the types of a schema by name, adding the built-in scalars and introspection types
+ * @param {Object} schema - The schema (the __schema object of an introspection result)
+ * @returns {Map<string, Object>} The types by name
+ */
+function getTypeMap(schema) {
+  if (!typeMaps.has(schema)) {
+    const typeMap = new Map();
+    for (const name of BUILT_IN_SCALARS) {
+      typeMap.set(name, { kind: 'SCALAR', name });
+    }
+    for (const type of [...(schema.types || []), ...META_TYPES]) {
+      typeMap.set(type.name, type);
+    }
+    typeMaps.set(schema, typeMap);
+  }
+  return typeMaps.get(schema);
+}
+
+/**
+ * Gets a named type of a schema
+ * @param {Object} schema - The schema
+ * @param {string} name - The type name
+ * @returns {Object|null} The type, or null if the schema doesn't define it
+ */
+function getType(schema, name) {
+  return getTypeMap(schema).get(name) || null;
+}
+
+/**
+ * Gets the named type at the core of a (possibly wrapped) type reference
+ * @param {Object} typeRef - The type reference
+ * @returns {Object} The named type reference
+ */
+function getNamedType(typeRef) {
+  let type = typeRef;
+  while (type && type.ofType && (type.kind === 'NON_NULL' || type.kind === 'LIST')) {
+    type = type.ofType;
+  }
+  return type;
+}
+
+/**
+ * Converts a type reference of a variable definition to introspection format
+ * @param {Object} typeNode - The type node from the document parser
+ * @param {Object} schema - The schema
+ * @returns {Object} The type reference
+ */
+function typeFromAST(typeNode, schema) {
+  if (typeNode.kind === 'nonNull') {
+    return nonNull(typeFromAST(typeNode.ofType, schema));
+  }
+  if (typeNode.kind === 'list') {
+    return list(typeFromAST(typeNode.ofType, schema));
+  }
+
+  const type = getType(schema, typeNode.name);
+  if (!type) {
+    throw createRequestError(`Unknown type "${typeNode.name}".`);
+  }
+  return named(type.kind, type.name);
+}
+
+/**
+ * Describes a type reference in GraphQL notation
+ * @param {Object} typeRef - The type reference
+ * @returns {string} The type (e.g. [ID!]!)
+ */
+function printType(typeRef) {
+  if (typeRef.kind === 'NON_NULL') {
+    return `${printType(typeRef.ofType)}!`;
+  }
+  if (typeRef.kind === 'LIST') {
+    return `[${printType(typeRef.ofType)}]`;
+  }
+  return typeRef.name;
+}
+
+/**
+ * Checks whether an object type satisfies a type condition
+ * @param {Object} schema - The schema
+ * @param {string} typeName - The object type name
+ * @param {string} condition - The type condition (object, interface or union name)
+ * @returns {boolean} True if the condition applies
+ */
+function doesTypeApply(schema, typeName, condition) {
+  if (!condition || condition === typeName) {
+    return true;
+  }
+  const conditionType = getType(schema, condition);
+  return Boolean(conditionType && (conditionType.possibleTypes || []).some(type => type.name === typeName));
+}
+
+/**
+ * Converts an input value to the type it is declared with, validating it along the way
+ * @param {*} value - The value (from JSON variables or a resolved literal)
+ * @param {Object} typeRef - The declared type reference
+ * @param {Object} schema - The schema
+ * @param {string} description - Describes the value in error messages
+ * @returns {*} The coerced value
+ */
+function coerceInputValue(value, typeRef, schema, description) {
+  if (typeRef.kind === 'NON_NULL') {
+    if (value === null || value === undefined) {
+      throw createRequestError(`${description} of non-null type "${printType(typeRef)}" must not be null.`);
+    }
+    return coerceInputValue(value, typeRef.ofType, schema, description);
+  }
+
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (typeRef.kind === 'LIST') {
+    const items = Array.isArray(value) ? value : [value];
+    return items.map((item, index) => coerceInputValue(item, typeRef.ofType, schema, `${description}[${index}]`));
+  }
+
+  const type = getType(schema, typeRef.name) || typeRef;
+  const invalid = () => createRequestError(`${description} got invalid value ${JSON.stringify(value)}; expected type "${type.name}".`);
+
+  if (type.kind === 'INPUT_OBJECT') {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      throw invalid();
+    }
+    const inputFields = type.inputFields || [];
+    for (const key of Object.keys(value)) {
+      if (!inputFields.some(inputField => inputField.name === key)) {
+        throw createRequestError(`${description} has unknown field "${key}" for type "${type.name}".`);
+      }
+    }
+    const coerced = {};
+    for (const inputField of inputFields) {
+      const fieldValue = value[inputField.name] !== undefined
+        ? value[inputField.name]
+        : parseDefaultValue(inputField, schema);
+      if (fieldValue !== undefined) {
+        coerced[inputField.name] = coerceInputValue(fieldValue, inputField.type, schema, `${description}.${inputField.name}`);
+      } else if (inputField.type.kind === 'NON_NULL') {
+        throw createRequestError(`${description}.${inputField.name} of required type "${printType(inputField.type)}" was not provided.`);
+      }
+    }
+    return coerced;
+  }
+
+  if (type.kind === 'ENUM') {
+    if (!(type.enumValues || []).some(enumValue => enumValue.name === value)) {
+      throw invalid();
+    }
+    return value;
+  }
+
+  switch (type.name) {
+    case 'Int':
+      if (!Number.isInteger(value)) throw invalid();
+      return value;
+    case 'Float':
+      if (typeof value !== 'number' || !Number.isFinite(value)) throw invalid();
+      return value;
+    case 'String':
+      if (typeof value !== 'string') throw invalid();
+      return value;
+    case 'Boolean':
+      if (typeof value !== 'boolean') throw invalid();
+      return value;
+    case 'ID':
+      if (typeof value !== 'string' && !Number.isInteger(value)) throw invalid();
+      return String(value);
+    default:
+      // Custom scalars are passed through as they are
+      return value;
+  }
+}
+
+/**
+ * Converts a value literal of the document to a JavaScript value
+ * @param {Object} node - The value node
+ * @param {Object} variables - The coerced variable values
+ * @returns {*} The value (undefined for variables that weren't provided)
+ */
+function valueFromAST(node, variables) {
+  switch (node.kind) {
+    case 'variable':
+      return variables[node.name];
+    case 'list':
+      return node.values.map(value => valueFromAST(value, variables));
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(node.fields)
+          .map(([name, value]) => [name, valueFromAST(value, variables)])
+          .filter(([, value]) => value !== undefined)
+      );
+    default:
+      return node.value;
+  }
+}
+
+/**
+ * Parses the default value of an argument or input field from an introspection result
+ * @param {Object} inputValue - The argument or input field definition
+ * @returns {*} The default value, or undefined if there is none
+ */
+function parseDefaultValue(inputValue) {
+  if (inputValue.defaultValue === null || inputValue.defaultValue === undefined) {
+    return undefined;
+  }
+  return valueFromAST(graphqlDocumentParser.parseValue(inputValue.defaultValue), {});
+}
+
+/**
+ * Checks that a value literal has the right shape for an argument type
+ * Literals are stricter than JSON variables: enums must be written bare and strings quoted.
+ * @param {Object} node - The value node
+ * @param {Object} typeRef - The declared type reference
+ * @param {Object} schema - The schema
+ * @param {string} description - Describes the value in error messages
+ */
+function validateLiteral(node, typeRef, schema, description) {
+  if (node.kind === 'variable' || node.kind === 'null') {
+    return;
+  }
+  if (typeRef.kind === 'NON_NULL') {
+    validateLiteral(node, typeRef.ofType, schema, description);
+    return;
+  }
+  if (typeRef.kind === 'LIST') {
+    const items = node.kind === 'list' ? node.values : [node];
+    items.forEach(item => validateLiteral(item, typeRef.ofType, schema, description));
+    return;
+  }
+
+  const type = getType(schema, typeRef.name) || typeRef;
+  if (type.kind === 'INPUT_OBJECT' && node.kind === 'object') {
+    for (const [name, value] of Object.entries(node.fields)) {
+      const inputField = (type.inputFields || []).find(candidate => candidate.name === name);
+      if (inputField) {
+        validateLiteral(value, inputField.type, schema, `${description}.${name}`);
+      }
+    }
+    return;
+  }
+
+  const expectedKinds = type.kind === 'ENUM' ? ['enum'] : {
+    Int: ['int'],
+    Float: ['int', 'float'],
+    String: ['string'],
+    Boolean: ['boolean'],
+    ID: ['string', 'int']
+  }[type.name];
+
+  if (expectedKinds && !expectedKinds.includes(node.kind)) {
+    throw createRequestError(`${description} has an invalid value; expected type "${type.name}".`);
+  }
+}
+
+/**
+ * Resolves the argument values of a field or directive
+ * @param {Array<Object>} argumentDefinitions - The declared arguments
+ * @param {Object} argumentNodes - The argument value nodes by name
+ * @param {Object} context - The execution context
+ * @param {string} owner - Describes the field or directive in error messages
+ * @param {Object} location - Location of the field or directive
+ * @returns {Object} The argument values by name
+ */
+function getArgumentValues(argumentDefinitions, argumentNodes, context, owner, location) {
+  const values = {};
+
+  for (const name of Object.keys(argumentNodes)) {
+    if (!argumentDefinitions.some(definition => definition.name === name)) {
+      throw createRequestError(`Unknown argument "${name}" on ${owner}.`, location);
+    }
+  }
+
+  for (const definition of argumentDefinitions) {
+    const description = `Argument "${definition.name}" of ${owner}`;
+    const node = argumentNodes[definition.name];
+    if (node) {
+      validateLiteral(node, definition.type, context.schema, description);
+    }
+
+    let value = node ? valueFromAST(node, context.variables) : undefined;
+    if (value === undefined) {
+      value = parseDefaultValue(definition);
+    }
+    if (value === undefined) {
+      if (definition.type.kind === 'NON_NULL') {
+        throw createRequestError(`${description} of type "${printType(definition.type)}" is required, but it was not provided.`, location);
+      }
+      continue;
+    }
+
+    values[definition.name] = coerceInputValue(value, definition.type, context.schema, description);
+  }
+
+  return values;
+}
+
+/**
+ * Evaluates the @skip and @include directives of a selection
+ * @param {Object} selection - The selection node
+ * @param {Object} context - The execution context
+ * @returns {boolean} True if the selection is included
+ */
+function shouldIncludeSelection(selection, context) {
+  for (const directive of selection.directives || []) {
+    const definition = BUILT_IN_DIRECTIVES.find(candidate => candidate.name === directive.name);
+    if (!definition || (directive.name !== 'skip' && directive.name !== 'include')) {
+      continue;
+    }
+    const { if: condition } = getArgumentValues(definition.args, directive.arguments, context, `directive "@${directive.name}"`);
+    if (directive.name === 'skip' && condition) {
+      return false;
+    }
+    if (directive.name === 'include' && !condition) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Collects the fields of a selection set by response key, expanding fragments
+ * @param {Object} context - The execution context
+ * @param {string} typeName - The object type the selection set is applied to
+ * @param {Array<Object>} selectionSet - The selections
+ * @param {Map<string, Array<Object>>} fields - Collected field nodes by response key
+ * @param {Set<string>} visitedFragments - Names of the fragments already expanded
+ * @returns {Map<string, Array<Object>>} The field nodes by response key
+ */
+function collectFields(context, typeName, selectionSet, fields = new Map(), visitedFragments = new Set()) {
+  for (const selection of selectionSet) {
+    if (!shouldIncludeSelection(selection, context)) {
+      continue;
+    }
+
+    if (selection.kind === 'field') {
+      const responseKey = selection.alias || selection.name;
+      if (!fields.has(responseKey)) {
+        fields.set(responseKey, []);
+      }
+      fields.get(responseKey).push(selection);
+      continue;
+    }
+
+    if (selection.kind === 'inlineFragment') {
+      if (doesTypeApply(context.schema, typeName, selection.typeCondition)) {
+        collectFields(context, typeName, selection.selectionSet, fields, visitedFragments);
+      }
+      continue;
+    }
+
+    if (visitedFragments.has(selection.name)) {
+      continue;
+    }
+    visitedFragments.add(selection.name);
+
+    const fragment = context.fragments[selection.name];
+    if (!fragment) {
+      throw createRequestError(`Unknown fragment "${selection.name}".`);
+    }
+    if (doesTypeApply(context.schema, typeName, fragment.typeCondition)) {
+      collectFields(context, typeName, fragment.selectionSet, fields, visitedFragments);
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Resolves a field of an introspection type from the schema
+ * @param {Object} context - The execution context
+ * @param {string} typeName - The introspection type (__Schema, __Type, ...)
+ * @param {Object} parent - The introspection object
+ * @param {string} fieldName - The field name
+ * @param {Object} args - The argument values
+ * @returns {*} The field value
+ */
+function resolveIntrospectionField(context, typeName, parent, fieldName, args) {
+  const { schema } = context;
+  const withoutDeprecated = items => (items && !args.includeDeprecated
+    ? items.filter(item => !item.isDeprecated)
+    : items);
+
+  if (typeName === '__Schema') {
+    switch (fieldName) {
+      case 'types':
+        return [...getTypeMap(schema).values()];
+      case 'queryType':
+      case 'mutationType':
+      case 'subscriptionType':
+        return schema[fieldName] ? getType(schema, schema[fieldName].name) : null;
+      case 'directives':
+        return schema.directives || BUILT_IN_DIRECTIVES;
+      default:
+        return schema[fieldName] ?? null;
+    }
+  }
+
+  if (typeName === '__Type') {
+    // Type references only carry kind and name; the full definition comes from the schema
+    const type = parent.name ? getType(schema, parent.name) || parent : parent;
+    switch (fieldName) {
+      case 'fields':
+        return ['OBJECT', 'INTERFACE'].includes(type.kind) ? withoutDeprecated(type.fields || []) : null;
+      case 'interfaces':
+        return ['OBJECT', 'INTERFACE'].includes(type.kind) ? type.interfaces || [] : null;
+      case 'possibleTypes':
+        return ['INTERFACE', 'UNION'].includes(type.kind) ? type.possibleTypes || [] : null;
+      case 'enumValues':
+        return type.kind === 'ENUM' ? withoutDeprecated(type.enumValues || []) : null;
+      case 'inputFields':
+        return type.kind === 'INPUT_OBJECT' ? withoutDeprecated(type.inputFields || []) : null;
+      default:
+        return type[fieldName] ?? null;
+    }
+  }
+
+  if (fieldName === 'args') {
+    return withoutDeprecated(parent.args || []);
+  }
+  if (fieldName === 'isDeprecated' || fieldName === 'isRepeatable') {
+    return Boolean(parent[fieldName]);
+  }
+  return parent[fieldName] ?? null;
+}
+
+/**
+ * Serializes a scalar or enum value for the response
+ * @param {Object} type - The scalar or enum type
+ * @param {*} value - The resolved value
+ * @returns {*} The serialized value
+ */
+function serializeLeaf(type, value) {
+  const invalid = () => new Error(`${type.name} cannot represent value: ${JSON.stringify(value)}`);
+
+  if (type.kind === 'ENUM') {
+    return String(value);
+  }
+
+  switch (type.name) {
+    case 'Int': {
+      const number = Number(value);
+      if (!Number.isInteger(number) || value === '') throw invalid();
+      return number;
+    }
+    case 'Float': {
+      const number = Number(value);
+      if (!Number.isFinite(number) || value === '') throw invalid();
+      return number;
+    }
+    case 'String':
+    case 'ID':
+      if (typeof value === 'object') throw invalid();
+      return String(value);
+    case 'Boolean':
+      return Boolean(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Determines the object type of a value returned for an interface or union
+ * @param {Object} context - The execution context
+ * @param {Object} abstractType - The interface or union type
+ * @param {*} value - The resolved value
+ * @returns {string} The object type name
+ */
+function resolveRuntimeType(context, abstractType, value) {
+  const possibleTypes = (abstractType.possibleTypes || []).map(type => type.name);
+
+  if (value && possibleTypes.includes(value.__typename)) {
+    return value.__typename;
+  }
+  if (context.resolveType) {
+    const typeName = context.resolveType(value, abstractType);
+    if (typeName) {
+      return typeName;
+    }
+  }
+  if (possibleTypes.length === 0) {
+    throw new Error(`Abstract type "${abstractType.name}" has no possible types.`);
+  }
+  return possibleTypes[0];
+}
+
+/**
+ * Completes a resolved value according to its type and the selected sub-fields
+ * @param {Object} context - The execution context
+ * @param {Object} typeRef - The field type reference
+ * @param {Array<Object>} fieldNodes - The field nodes selecting the value
+ * @param {*} value - The resolved value
+ * @param {Array} path - Path of the value in the response
+ * @returns {Promise<*>} The completed value
+ */
+async function completeValue(context, typeRef, fieldNodes, value, path) {
+  if (value instanceof Error) {
+    throw value;
+  }
+
+  if (typeRef.kind === 'NON_NULL') {
+    const completed = await completeValue(context, typeRef.ofType, fieldNodes, value, path);
+    if (completed === null) {
+      const parentField = fieldNodes[0].name;
+      throw createGraphQLError(`Cannot return null for non-nullable field ${parentField}.`);
+    }
+    return completed;
+  }
+
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (typeRef.kind === 'LIST') {
+    if (!Array.isArray(value)) {
+      throw createGraphQLError(`Expected a list for field "${fieldNodes[0].name}".`);
+    }
+    return Promise.all(value.map((item, index) => completeItem(context, typeRef.ofType, fieldNodes, item, [...path, index])));
+  }
+
+  const type = getType(context.schema, typeRef.name) || typeRef;
+
+  if (type.kind === 'SCALAR' || type.kind === 'ENUM') {
+    return serializeLeaf(type, value);
+  }
+
+  const typeName = type.kind === 'OBJECT' ? type.name : resolveRuntimeType(context, type, value);
+  const selectionSet = fieldNodes.flatMap(fieldNode => fieldNode.selectionSet || []);
+  const subFields = collectFields(context, typeName, selectionSet);
+  return executeFields(context, typeName, value, subFields, path);
+}
+
+/**
+ * Completes a list item, turning errors into null items where the item type allows it
+ * @param {Object} context - The execution context
+ * @param {Object} typeRef - The item type reference
+ * @param {Array<Object>} fieldNodes - The field nodes selecting the list
+ * @param {*} item - The resolved item
+ * @param {Array} path - Path of the item in the response
+ * @returns {Promise<*>} The completed item
+ */
+async function completeItem(context, typeRef, fieldNodes, item, path) {
+  try {
+    return await completeValue(context, typeRef, fieldNodes, item, path);
+  } catch (error) {
+    if (error.statusCode || typeRef.kind === 'NON_NULL') {
+      throw error;
+    }
+    if (!error.path) {
+      error.path = path;
+    }
+    context.errors.push(formatError(error));
+    return null;
+  }
+}
+
+/**
+ * Executes a field, recording field errors and nulling out the field where its type allows it
+ * @param {Object} context - The execution context
+ * @param {string} typeName - The parent object type
+ * @param {*} parent - The parent value
+ * @param {Array<Object>} fieldNodes - The field nodes sharing the response key
+ * @param {Array} path - Path of the field in the response
+ * @returns {Promise<*>} The completed field value
+ */
+async function executeField(context, typeName, parent, fieldNodes, path) {
+  const fieldNode = fieldNodes[0];
+  const fieldName = fieldNode.name;
+  const location = fieldNode.location;
+  const isRoot = path.length === 1;
+
+  if (fieldName === '__typename') {
+    return typeName;
+  }
+
+  // Meta fields of the query root
+  let fieldDefinition;
+  if (isRoot && context.operation.operation === 'query' && (fieldName === '__schema' || fieldName === '__type')) {
+    fieldDefinition = fieldName === '__schema'
+      ? field('__schema', nonNull(named('OBJECT', '__Schema')))
+      : field('__type', TYPE, [{ name: 'name', type: nonNull(STRING), defaultValue: null }]);
+  } else {
+    const parentType = getType(context.schema, typeName);
+    fieldDefinition = (parentType.fields || []).find(candidate => candidate.name === fieldName);
+  }
+
+  if (!fieldDefinition) {
+    throw createRequestError(`Cannot query field "${fieldName}" on type "${typeName}".`, location);
+  }
+
+  const args = getArgumentValues(fieldDefinition.args || [], fieldNode.arguments, context, `field "${typeName}.${fieldName}"`, location);
+
+  try {
+    let value;
+    if (fieldName === '__schema' && isRoot) {
+      value = context.schema;
+    } else if (fieldName === '__type' && isRoot) {
+      value = getType(context.schema, args.name);
+    } else if (typeName.startsWith('__')) {
+      value = resolveIntrospectionField(context, typeName, parent, fieldName, args);
+    } else {
+      value = await context.resolveField({
+        parentType: typeName,
+        parent,
+        fieldName,
+        fieldNode,
+        args,
+        returnType: fieldDefinition.type,
+        path,
+        operation: context.operation.operation
+      });
+    }
+
+    return await completeValue(context, fieldDefinition.type, fieldNodes, value, path);
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    const fieldError = error.path ? error : createGraphQLError(error.message, { path });
+    if (!fieldError.locations && location) {
+      fieldError.locations = [location];
+    }
+    if (fieldDefinition.type.kind === 'NON_NULL') {
+      throw fieldError;
+    }
+    context.errors.push(formatError(fieldError));
+    return null;
+  }
+}
+
+/**
+ * Executes the collected fields of an object, one after another
+ * @param {Object} context - The execution context
+ * @param {string} typeName - The object type
+ * @param {*} parent - The object value
+ * @param {Map<string, Array<Object>>} fields - The field nodes by response key
+ * @param {Array} path - Path of the object in the response
+ * @returns {Promise<Object>} The response object
+ */
+async function executeFields(context, typeName, parent, fields, path) {
+  const result = {};
+  for (const [responseKey, fieldNodes] of fields) {
+    result[responseKey] = await executeField(context, typeName, parent, fieldNodes, [...path, responseKey]);
+  }
+  return result;
+}
+
+/**
+ * Selects the operation to execute from a document
+ * @param {Object} document - The parsed document
+ * @param {string} operationName - The requested operation name, if any
+ * @returns {Object} The operation definition
+ */
+function getOperation(document, operationName) {
+  const operations = document.definitions.filter(definition => definition.kind === 'operation');
+
+  if (operationName) {
+    const operation = operations.find(candidate => candidate.name === operationName);
+    if (!operation) {
+      throw createRequestError(`Unknown operation named "${operationName}".`);
+    }
+    return operation;
+  }
+
+  if (operations.length !== 1) {
+    throw createRequestError(operations.length === 0
+      ? 'Must provide an operation.'
+      : 'Must provide operation name if query contains multiple operations.');
+  }
+  return operations[0];
+}
+
+/**
+ * Coerces the variables of a request to the types the operation declares
+ * @param {Object} schema - The schema
+ * @param {Object} operation - The operation definition
+ * @param {Object} inputs - The raw variables of the request
+ * @returns {Object} The coerced variables
+ */
+function getVariableValues(schema, operation, inputs) {
+  const values = {};
+
+  for (const definition of operation.variableDefinitions) {
+    const typeRef = typeFromAST(definition.type, schema);
+    const description = `Variable "$${definition.name}"`;
+    const namedType = getType(schema, getNamedType(typeRef).name);
+    if (!['SCALAR', 'ENUM', 'INPUT_OBJECT'].includes(namedType.kind)) {
+      throw createRequestError(`${description} cannot be non-input type "${printType(typeRef)}".`);
+    }
+
+    if (inputs[definition.name] !== undefined) {
+      values[definition.name] = coerceInputValue(inputs[definition.name], typeRef, schema, description);
+    } else if (definition.defaultValue) {
+      values[definition.name] = coerceInputValue(valueFromAST(definition.defaultValue, {}), typeRef, schema, description);
+    } else if (typeRef.kind === 'NON_NULL') {
+      throw createRequestError(`${description} of required type "${printType(typeRef)}" was not provided.`);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Gets the names of the fragments a selection set spreads, at any depth
+ * @param {Array<Object>} selectionSet - The selections
+ * @param {Array<string>} spreads - Fragment names found so far
+ * @returns {Array<string>} The fragment names
+ */
+function getFragmentSpreads(selectionSet, spreads = []) {
+  for (const selection of selectionSet || []) {
+    if (selection.kind === 'fragmentSpread') {
+      spreads.push(selection.name);
+    } else {
+      getFragmentSpreads(selection.selectionSet, spreads);
+    }
+  }
+  return spreads;
+}
+
+/**
+ * Rejects fragments that spread themselves, directly or through other fragments
+ * (spec section 5.5.2.2)
+ * @param {Object} fragments - The fragment definitions by name
+ * @throws {Error} A request error naming a fragment of the first cycle found
+ */
+function assertNoFragmentCycles(fragments) {
+  const checked = new Set();
+
+  /**
+   * Follows the spreads of a fragment, depth first
+   * @param {string} name - The fragment name
+   * @param {Array<string>} spreadPath - The fragments spreading it, outermost first
+   */
+  const visit = (name, spreadPath) => {
+    const cycleStart = spreadPath.indexOf(name);
+    if (cycleStart !== -1) {
+      const via = spreadPath.slice(cycleStart + 1);
+      throw createRequestError(via.length > 0
+        ? `Cannot spread fragment "${name}" within itself via "${via.join('", "')}".`
+        : `Cannot spread fragment "${name}" within itself.`);
+    }
+    if (checked.has(name) || !fragments[name]) {
+      return;
+    }
+
+    for (const spread of getFragmentSpreads(fragments[name].selectionSet)) {
+      visit(spread, [...spreadPath, name]);
+    }
+    checked.add(name);
+  };
+
+  Object.keys(fragments).forEach(name => visit(name, []));
+}
+
+/**
+ * Creates the execution context of a request
+ * @param {Object} options - Execution options (see execute)
+ * @returns {Object} The context and the root type of the operation ({ context, rootType })
+ */
+function createContext(options) {
+  const { schema, document, variables = {}, operationName, resolveType } = options;
+  const operation = getOperation(document, operationName);
+
+  const rootTypeRef = schema[`${operation.operation}Type`];
+  const rootType = rootTypeRef && getType(schema, rootTypeRef.name);
+  if (!rootType) {
+    throw createRequestError(`Schema is not configured to execute ${operation.operation} operation.`);
+  }
+
+  const fragments = Object.fromEntries(document.definitions
+    .filter(definition => definition.kind === 'fragment')
+    .map(fragment => [fragment.name, fragment]));
+  assertNoFragmentCycles(fragments);
+
+  const context = {
+    schema,
+    operation,
+    fragments,
+    variables: getVariableValues(schema, operation, variables || {}),
+    resolveField: options.resolveField || (({ parent, fieldName }) => (parent ? parent[fieldName] : null)),
+    resolveType,
+    errors: []
+  };
+
+  return { context, rootType };
+}
+
+/**
+ * Gets the root field a subscription operation listens to
+ * Each event of the subscription is then executed with execute, passing the event as the
+ * root value.
+ * @param {Object} options - Execution options (see execute)
+ * @returns {Object} The root field ({ fieldName, responseKey, args, returnType })
+ */
+function getSubscriptionField(options) {
+  const { context, rootType } = createContext(options);
+  const { operation } = context;
+  if (operation.operation !== 'subscription') {
+    throw createRequestError(`Expected a subscription operation, got a ${operation.operation} operation.`);
+  }
+
+  // A subscription has a single source stream (spec section 5.2.3.1)
+  const fields = collectFields(context, rootType.name, operation.selectionSet);
+  if (fields.size !== 1) {
+    throw createRequestError(operation.name
+      ? `Subscription "${operation.name}" must select only one top level field.`
+      : 'Anonymous Subscription must select only one top level field.');
+  }
+
+  const [[responseKey, [fieldNode]]] = fields;
+  const fieldDefinition = (rootType.fields || []).find(candidate => candidate.name === fieldNode.name);
+  if (!fieldDefinition) {
+    throw createRequestError(`Cannot query field "${fieldNode.name}" on type "${rootType.name}".`, fieldNode.location);
+  }
+
+  return {
+    fieldName: fieldNode.name,
+    responseKey,
+    args: getArgumentValues(fieldDefinition.args || [], fieldNode.arguments, context, `field "${rootType.name}.${fieldNode.name}"`, fieldNode.location),
+    returnType: fieldDefinition.type
+  };
+}
+
+/**
+ * Executes a GraphQL request
+ * Request errors (unknown fields or operations, invalid arguments or variables) are thrown with
+ * a 400 status code; field errors are reported in the errors list of the result.
+ * @param {Object} options - Execution options
+ * @param {Object} options.schema - The schema (the __schema object of an introspection result)
+ * @param {Object} options.document - The parsed document
+ * @param {Object} options.variables - The raw variables of the request
+ * @param {string} options.operationName - The operation to execute, if the document has several
+ * @param {Function} options.resolveField - Resolves a field from { parentType, parent, fieldName, args, returnType, path, operation }
+ * @param {Function} options.resolveType - Optional, determines the object type of an interface or union value
+ * @param {*} options.rootValue - The parent value of the root fields
+ * @returns {Promise<Object>} The result ({ data, errors })
+ */
+async function execute(options) {
+  const { rootValue = {} } = options;
+  const { context, rootType } = createContext(options);
+
+  let data;
+  try {
+    const fields = collectFields(context, rootType.name, context.operation.selectionSet);
+    data = await executeFields(context, rootType.name, rootValue, fields, []);
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    // A non-null root field failed, which nulls out the whole result
+    context.errors.push(formatError(error));
+    data = null;
+  }
+
+  return context.errors.length > 0 ? { errors: context.errors, data } : { data };
+}
+
+module.exports = {
+  execute,
+  getSubscriptionField,
+  getOperation,
+  getType,
+  getNamedType,
+  printType,
+  coerceInputValue,
+  valueFromAST,
+  formatError
+};
@@ -0,0 +1,674 @@
+/**
+ * GraphQL Mock Resolver Module
+ * Resolves GraphQL fields for the mock server: entity types with an id field are backed by
+ * crud-handler collections (seeded from recorded responses), root fields without stored data
+ * are answered from recorded responses, and anything else gets schema-driven fake values.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const crudHandler = require('./crud-handler');
+const graphqlDocumentParser = require('./graphql-document-parser');
+const graphqlExecutor = require('./graphql-executor');
+
+// Recorded introspection result, relative to the responses directory
+const INTROSPECTION_FILE = 'introspection.json';
+
+// Directory of recorded query/response pairs, relative to the responses directory
+const RECORDINGS_DIR = 'graphql';
+
+// Mutation name prefixes mapped to the store operation they perform (e.g. createUser, deletePost)
+const MUTATION_PREFIXES = [
+  { prefixes: ['create', 'add', 'insert'], operation: 'create' },
+  { prefixes: ['update', 'edit', 'modify', 'patch'], operation: 'update' },
+  { prefixes: ['delete', 'remove'], operation: 'delete' }
+];
+
+// Subscription name keywords mapped to the kind of store change they report (e.g. userAdded,
+// postDeleted); other subscriptions to an entity type report every change
+const SUBSCRIPTION_EVENTS = [
+  { keywords: ['deleted', 'removed'], type: 'removed' },
+  { keywords: ['created', 'added', 'inserted'], type: 'added' },
+  { keywords: ['updated', 'modified', 'edited'], type: 'changed' }
+];
+
+// Arguments that page through lists instead of filtering them
+const LIMIT_ARGUMENTS = ['first', 'limit', 'take'];
+const OFFSET_ARGUMENTS = ['offset', 'skip'];
+
+/**
+ * Loads the recorded introspection schema of an API
+ * Accepts a full introspection response ({ data: { __schema } }), the __schema object or
+ * an object with the __schema property.
+ * @param {string} responsesDir - The responses directory of the API
+ * @returns {Object|null} The schema, or null if none was recorded
+ */
+function loadSchema(responsesDir) {
+  const schemaPath = path.join(responsesDir, INTROSPECTION_FILE);
+  if (!fs.existsSync(schemaPath)) {
+    return null;
+  }
+
+  const introspection = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  const schema = (introspection.data && introspection.data.__schema) || introspection.__schema || introspection;
+  if (!schema.queryType || !Array.isArray(schema.types)) {
+    throw new Error(`${schemaPath} does not contain a GraphQL introspection result`);
+  }
+  return schema;
+}
+
+/**
+ * Checks whether an API should be served as a GraphQL API
+ * @param {Object} config - API configuration
+ * @returns {boolean} True if the API was classified as GraphQL or has a recorded schema
+ */
+function isGraphQLApi(config) {
+  if (config.apiType && config.apiType.isGraphQL) {
+    return true;
+  }
+  return Boolean(config.responsesDir && fs.existsSync(path.join(config.responsesDir, INTROSPECTION_FILE)));
+}
+
+/**
+ * Loads the recorded query/response pairs of an API
+ * @param {string} responsesDir - The responses directory of the API
+ * @returns {Array<Object>} The recordings ({ query, variables, operationName, response })
+ */
+function loadRecordings(responsesDir) {
+  const recordingsDir = path.join(responsesDir, RECORDINGS_DIR);
+  if (!fs.existsSync(recordingsDir)) {
+    return [];
+  }
+
+  const recordings = [];
+  for (const fileName of fs.readdirSync(recordingsDir).filter(name => name.endsWith('.json')).sort()) {
+    try {
+      const recording = JSON.parse(fs.readFileSync(path.join(recordingsDir, fileName), 'utf8'));
+      if (typeof recording.query === 'string' && recording.response) {
+        recordings.push(recording);
+      }
+    } catch (error) {
+      console.warn(`Skipping GraphQL recording ${fileName}: ${error.message}`);
+    }
+  }
+  return recordings;
+}
+
+/**
+ * Computes the key of a recorded operation: a hash of the normalized query, the operation
+ * name and the variables, so that formatting differences don't matter
+ * @param {string} query - The GraphQL document
+ * @param {Object} variables - The variables
+ * @param {string} operationName - The operation name
+ * @returns {string} The recording key
+ */
+function getRecordingKey(query, variables, operationName) {
+  const sortKeys = (key, value) => (value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.fromEntries(Object.keys(value).sort().map(name => [name, value[name]]))
+    : value);
+  const source = JSON.stringify([
+    graphqlDocumentParser.normalizeQuery(query),
+    operationName || null,
+    variables || {}
+  ], sortKeys);
+  return crypto.createHash('sha1').update(source).digest('hex').slice(0, 16);
+}
+
+/**
+ * Gets the path of the recording file of an operation
+ * @param {string} responsesDir - The responses directory of the API
+ * @param {string} hash - The recording key
+ * @returns {string} The path of the recording file
+ */
+function getRecordingPath(responsesDir, hash) {
+  return path.join(responsesDir, RECORDINGS_DIR, `${hash}.json`);
+}
+
+/**
+ * Saves a query/response pair in the recordings directory, named by its recording key
+ * @param {string} responsesDir - The responses directory of the API
+ * @param {Object} recording - The recording ({ query, variables, operationName, response })
+ * @returns {string} The path of the recording file
+ */
+function saveRecording(responsesDir, recording) {
+  fs.mkdirSync(path.join(responsesDir, RECORDINGS_DIR), { recursive: true });
+
+  const hash = getRecordingKey(recording.query, recording.variables, recording.operationName);
+  const recordingPath = getRecordingPath(responsesDir, hash);
+  fs.writeFileSync(recordingPath, JSON.stringify({ ...recording, hash }, null, 2));
+  return recordingPath;
+}
+
+/**
+ * Saves the introspection result of an API as its mock schema
+ * @param {string} responsesDir - The responses directory of the API
+ * @param {Object} schema - The __schema object of the introspection result
+ * @returns {string} The path of the introspection file
+ */
+function saveSchema(responsesDir, schema) {
+  fs.mkdirSync(responsesDir, { recursive: true });
+  const schemaPath = path.join(responsesDir, INTROSPECTION_FILE);
+  fs.writeFileSync(schemaPath, JSON.stringify({ data: { __schema: schema } }, null, 2));
+  return schemaPath;
+}
+
+/**
+ * Indexes the root field values of recorded responses by operation type and field name
+ * @param {Array<Object>} recordings - The recordings
+ * @returns {Map<string, Array<Object>>} Recorded values ({ args, value }) by 'query.fieldName' or 'mutation.fieldName'
+ */
+function indexRecordedFields(recordings) {
+  const index = new Map();
+
+  for (const recording of recordings) {
+    const data = recording.response.data;
+    if (!data) {
+      continue;
+    }
+
+    try {
+      const document = graphqlDocumentParser.parse(recording.query);
+      const operation = graphqlExecutor.getOperation(document, recording.operationName);
+      const variables = recording.variables || {};
+
+      for (const selection of operation.selectionSet) {
+        const responseKey = selection.alias || selection.name;
+        if (selection.kind !== 'field' || data[responseKey] === undefined) {
+          continue;
+        }
+
+        const key = `${operation.operation}.${selection.name}`;
+        if (!index.has(key)) {
+          index.set(key, []);
+        }
+        index.get(key).push({
+          args: Object.fromEntries(Object.entries(selection.arguments)
+            .map(([name, node]) => [name, graphqlExecutor.valueFromAST(node, variables)])),
+          value: data[responseKey]
+        });
+      }
+    } catch (error) {
+      console.warn(`Skipping GraphQL recording of ${recording.operationName || 'anonymous operation'}: ${error.message}`);
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Checks whether recorded arguments equal the arguments of a request
+ * Numbers and strings compare equal when they print the same, as ID arguments may be either.
+ * @param {Object} recorded - The recorded arguments
+ * @param {Object} requested - The requested arguments
+ * @returns {boolean} True if the arguments match
+ */
+function argumentsMatch(recorded, requested) {
+  const normalize = value => JSON.stringify(value, (key, item) => (typeof item === 'number' ? String(item) : item));
+  const names = new Set([...Object.keys(recorded), ...Object.keys(requested)]);
+
+  return [...names].every(name => {
+    const isUnset = (recorded[name] ?? null) === null && (requested[name] ?? null) === null;
+    return isUnset || normalize(recorded[name]) === normalize(requested[name]);
+  });
+}
+
+/**
+ * Computes a deterministic 32-bit hash of a seed string (FNV-1a)
+ * @param {string} seed - The seed
+ * @returns {number} The hash
+ */
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < seed.length; index++) {
+    hash ^= seed.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Creates a fake scalar value, using the field name as a hint for strings
+ * @param {string} typeName - The scalar type
+ * @param {string} fieldName - The field the value is created for
+ * @param {number} hash - The hash of the value's seed
+ * @returns {*} The value
+ */
+function createFakeScalar(typeName, fieldName, hash) {
+  const number = hash % 1000 + 1;
+  const date = new Date(Date.UTC(2024, 0, 1) + (hash % 365) * 86400000).toISOString();
+
+  switch (typeName) {
+    case 'ID':
+      return String(number);
+    case 'Int':
+      return hash % 100;
+    case 'Float':
+      return (hash % 10000) / 100;
+    case 'Boolean':
+      return hash % 2 === 0;
+    case 'String':
+      break;
+    default:
+      if (/date|time/i.test(typeName)) {
+        return typeName === 'Date' ? date.slice(0, 10) : date;
+      }
+      if (/json|object/i.test(typeName)) {
+        return {};
+      }
+  }
+
+  if (/email/i.test(fieldName)) {
+    return `user${number}@example.com`;
+  }
+  if (/ur[il]|link|href/i.test(fieldName) || /ur[il]/i.test(typeName)) {
+    return `https://example.com/${fieldName.toLowerCase()}/${number}`;
+  }
+  if (/date|time|At$/.test(fieldName)) {
+    return date;
+  }
+  return `${fieldName} ${number}`;
+}
+
+/**
+ * Creates a schema-driven fake value for a field with no recorded or stored data
+ * Objects are returned empty; their sub-fields get fake values of their own when selected.
+ * @param {Object} schema - The schema
+ * @param {Object} typeRef - The field type reference
+ * @param {string} fieldName - The field name
+ * @param {string} seed - Seed that makes the value deterministic
+ * @returns {*} The value
+ */
+function createFakeValue(schema, typeRef, fieldName, seed) {
+  if (typeRef.kind === 'NON_NULL') {
+    return createFakeValue(schema, typeRef.ofType, fieldName, seed);
+  }
+  if (typeRef.kind === 'LIST') {
+    return [0, 1].map(index => createFakeValue(schema, typeRef.ofType, fieldName, `${seed}[${index}]`));
+  }
+
+  const type = graphqlExecutor.getType(schema, typeRef.name) || typeRef;
+  const hash = hashSeed(seed);
+
+  switch (type.kind) {
+    case 'ENUM': {
+      const values = type.enumValues || [];
+      return values.length > 0 ? values[hash % values.length].name : null;
+    }
+    case 'OBJECT':
+      return {};
+    case 'INTERFACE':
+    case 'UNION': {
+      const possibleTypes = type.possibleTypes || [];
+      return possibleTypes.length > 0 ? { __typename: possibleTypes[hash % possibleTypes.length].name } : null;
+    }
+    default:
+      return createFakeScalar(type.name, fieldName, hash);
+  }
+}
+
+/**
+ * Checks whether an object type is an entity type that can be kept in a collection
+ * @param {Object} type - The type
+ * @returns {boolean} True for object types with an id field
+ */
+function isEntityType(type) {
+  return Boolean(type && type.kind === 'OBJECT' && !type.name.startsWith('__') &&
+    (type.fields || []).some(candidate => candidate.name === 'id'));
+}
+
+/**
+ * Gets the collection an entity type is stored in
+ * Configured names (graphql.collections) win; otherwise the name of the first query field
+ * returning a list of the type is used (users for [User]), then the pluralized type name.
+ * @param {Object} schema - The schema
+ * @param {Object} config - API configuration
+ * @param {string} typeName - The entity type
+ * @returns {string} The collection name
+ */
+function getCollectionName(schema, config, typeName) {
+  const configured = config.graphql && config.graphql.collections && config.graphql.collections[typeName];
+  if (configured) {
+    return configured;
+  }
+
+  const queryType = graphqlExecutor.getType(schema, schema.queryType.name);
+  const listField = (queryType.fields || []).find(candidate => {
+    const unwrapped = candidate.type.kind === 'NON_NULL' ? candidate.type.ofType : candidate.type;
+    return unwrapped.kind === 'LIST' && graphqlExecutor.getNamedType(unwrapped).name === typeName;
+  });
+  if (listField) {
+    return listField.name;
+  }
+
+  return `${typeName.charAt(0).toLowerCase()}${typeName.slice(1)}s`;
+}
+
+/**
+ * Checks whether a stored item has the property values of the filtering arguments
+ * @param {Object} item - The stored item
+ * @param {Object} filters - Argument values by property name
+ * @returns {boolean} True if the item matches
+ */
+function matchesFilters(item, filters) {
+  return Object.entries(filters).every(([name, value]) => String(item[name]) === String(value));
+}
+
+/**
+ * Shapes an entity like the declared result of a mutation or subscription field: the entity
+ * itself, a flag, its id or a payload object with a field of the entity type
+ * @param {Object} schema - The schema
+ * @param {Object} returnType - The field type reference
+ * @param {Object} entityType - The entity type
+ * @param {Object} entity - The entity
+ * @returns {*} The field value
+ */
+function shapeEntityResult(schema, returnType, entityType, entity) {
+  const resultType = graphqlExecutor.getType(schema, graphqlExecutor.getNamedType(returnType).name);
+  if (resultType.name === 'Boolean') {
+    return true;
+  }
+  if (resultType.name === 'ID' || resultType.name === 'String') {
+    return entity.id;
+  }
+  if (resultType.kind === 'OBJECT' && resultType.name !== entityType.name) {
+    const payloadField = (resultType.fields || [])
+      .find(candidate => graphqlExecutor.getNamedType(candidate.type).name === entityType.name);
+    if (payloadField) {
+      return { [payloadField.name]: entity };
+    }
+  }
+  return entity;
+}
+
+/**
+ * Creates the field resolver of the GraphQL mock server
+ * Loads the recordings of the API and seeds the collections of entity types with the
+ * entities found in recorded query responses.
+ * @param {Object} config - API configuration
+ * @param {Object} schema - The schema
+ * @returns {Object} The resolver ({ resolveField, resolveType, subscribeField, findRecordedResponse })
+ */
+function createResolver(config, schema) {
+  const apiName = config.apiName || config.name;
+  const recordings = loadRecordings(config.responsesDir);
+  const recordedFields = indexRecordedFields(recordings);
+
+  // Without a data store to keep up to date, recorded operations are replayed verbatim
+  const recordedResponses = new Map();
+  if (config.stateful === false) {
+    for (const recording of recordings) {
+      try {
+        const key = getRecordingKey(recording.query, recording.variables, recording.operationName);
+        if (!recordedResponses.has(key)) {
+          recordedResponses.set(key, recording.response);
+        }
+      } catch (error) {
+        console.warn(`Skipping GraphQL recording of ${recording.operationName || 'anonymous operation'}: ${error.message}`);
+      }
+    }
+  }
+
+  // Collections seeded from recordings or written by mutations answer queries even when empty
+  const knownCollections = new Set();
+  const queryType = graphqlExecutor.getType(schema, schema.queryType.name);
+
+  /**
+   * Gets the entity type a field returns, if any
+   * @param {Object} typeRef - The field type reference
+   * @returns {Object|null} The entity type
+   */
+  const getEntityType = typeRef => {
+    const type = graphqlExecutor.getType(schema, graphqlExecutor.getNamedType(typeRef).name);
+    return isEntityType(type) ? type : null;
+  };
+
+  /**
+   * Checks whether a collection holds the data for queries
+   * @param {string} collectionName - The collection name
+   * @returns {boolean} True if the collection was seeded, written or loaded
+   */
+  const hasStoredData = collectionName => knownCollections.has(collectionName) ||
+    crudHandler.getAll(apiName, collectionName).length > 0;
+
+  // Seed the store with the entities of recorded query responses
+  for (const [key, entries] of recordedFields) {
+    const [operationType, fieldName] = key.split('.');
+    const fieldDefinition = operationType === 'query' &&
+      (queryType.fields || []).find(candidate => candidate.name === fieldName);
+    const entityType = fieldDefinition && getEntityType(fieldDefinition.type);
+    if (!entityType) {
+      continue;
+    }
+
+    const collectionName = getCollectionName(schema, config, entityType.name);
+    const collection = crudHandler.getCollection(apiName, collectionName);
+    for (const { value } of entries) {
+      for (const entity of [].concat(value)) {
+        if (entity && entity.id !== undefined && entity.id !== null &&
+          !collection.some(item => String(item.id) === String(entity.id))) {
+          collection.push(JSON.parse(JSON.stringify(entity)));
+        }
+      }
+    }
+    knownCollections.add(collectionName);
+  }
+
+  /**
+   * Resolves a root query field from the store
+   * @param {Object} info - The field info from the executor
+   * @returns {*} The stored value, or undefined if the field isn't backed by stored data
+   */
+  const resolveFromStore = info => {
+    const entityType = getEntityType(info.returnType);
+    if (!entityType) {
+      return undefined;
+    }
+
+    const collectionName = getCollectionName(schema, config, entityType.name);
+    if (!hasStoredData(collectionName)) {
+      return undefined;
+    }
+
+    // Arguments named after fields of the entity filter the collection
+    const fieldNames = new Set(entityType.fields.map(candidate => candidate.name));
+    const filters = Object.fromEntries(Object.entries(info.args)
+      .filter(([name, value]) => fieldNames.has(name) && value !== null && typeof value !== 'object'));
+    const items = crudHandler.getAll(apiName, collectionName).filter(item => matchesFilters(item, filters));
+
+    const unwrapped = info.returnType.kind === 'NON_NULL' ? info.returnType.ofType : info.returnType;
+    if (unwrapped.kind !== 'LIST') {
+      return Object.keys(filters).length > 0 ? items[0] || null : undefined;
+    }
+
+    const offsetArgument = OFFSET_ARGUMENTS.find(name => Number.isInteger(info.args[name]));
+    const limitArgument = LIMIT_ARGUMENTS.find(name => Number.isInteger(info.args[name]));
+    const offset = offsetArgument ? info.args[offsetArgument] : 0;
+    return limitArgument ? items.slice(offset, offset + info.args[limitArgument]) : items.slice(offset);
+  };
+
+  /**
+   * Resolves a root field from the recorded responses, preferring recordings with the same arguments
+   * @param {Object} info - The field info from the executor
+   * @returns {*} The recorded value, or undefined if the field was never recorded
+   */
+  const resolveFromRecordings = info => {
+    const entries = recordedFields.get(`${info.operation}.${info.fieldName}`) || [];
+    const entry = entries.find(candidate => argumentsMatch(candidate.args, info.args)) || entries[0];
+    return entry ? entry.value : undefined;
+  };
+
+  /**
+   * Applies a mutation that follows the create/update/delete naming conventions to the store
+   * @param {Object} info - The field info from the executor
+   * @returns {*} The mutation result, or undefined if the mutation isn't a store operation
+   */
+  const applyMutation = info => {
+    if (config.stateful === false) {
+      return undefined;
+    }
+
+    let operation = null;
+    let typeName = null;
+    for (const candidate of MUTATION_PREFIXES) {
+      const prefix = candidate.prefixes.find(name => info.fieldName.startsWith(name) && info.fieldName.length > name.length);
+      if (prefix) {
+        operation = candidate.operation;
+        typeName = info.fieldName.slice(prefix.length);
+        break;
+      }
+    }
+    if (!operation) {
+      return undefined;
+    }
+
+    const entityType = [...schema.types].find(type => type.name.toLowerCase() === typeName.toLowerCase() && isEntityType(type)) ||
+      getEntityType(info.returnType);
+    if (!entityType) {
+      return undefined;
+    }
+
+    const collectionName = getCollectionName(schema, config, entityType.name);
+    const input = info.args.input && typeof info.args.input === 'object' && !Array.isArray(info.args.input)
+      ? { ...info.args.input }
+      : Object.fromEntries(Object.entries(info.args).filter(([name]) => name !== 'id'));
+    const id = info.args.id ?? input.id;
+    delete input.id;
+
+    let entity;
+    if (operation === 'create') {
+      if (id !== undefined && crudHandler.getById(apiName, collectionName, id)) {
+        throw new Error(`${entityType.name} ${id} already exists`);
+      }
+      entity = crudHandler.handlePost(apiName, collectionName, id !== undefined ? { id, ...input } : input);
+    } else {
+      entity = id !== undefined ? crudHandler.getById(apiName, collectionName, id) : null;
+      if (!entity) {
+        throw new Error(`${entityType.name} ${id} not found`);
+      }
+      if (operation === 'update') {
+        entity = crudHandler.handlePatch(apiName, collectionName, id, input);
+      } else {
+        crudHandler.handleDelete(apiName, collectionName, id);
+      }
+    }
+    knownCollections.add(collectionName);
+
+    return shapeEntityResult(schema, info.returnType, entityType, entity);
+  };
+
+  /**
+   * Subscribes a subscription field to the changes of the collection of the entity type it returns
+   * The field name selects the kind of change (e.g. userAdded, userUpdated, userDeleted;
+   * any change otherwise) and arguments named after entity fields filter the entities.
+   * @param {Object} field - The subscription field ({ fieldName, args, returnType })
+   * @param {Function} emit - Called with the field value of each matching change
+   * @returns {Function} Ends the subscription
+   */
+  const subscribeField = (field, emit) => {
+    const resultType = graphqlExecutor.getType(schema, graphqlExecutor.getNamedType(field.returnType).name);
+    const lowerName = field.fieldName.toLowerCase();
+    // Scalar fields (userRemoved: ID!) are matched to the entity type they're named after
+    const entityType = isEntityType(resultType)
+      ? resultType
+      : (resultType.fields || [])
+        .map(candidate => getEntityType(candidate.type))
+        .find(Boolean) ||
+        schema.types
+          .filter(type => isEntityType(type) && lowerName.startsWith(type.name.toLowerCase()))
+          .sort((a, b) => b.name.length - a.name.length)[0];
+    if (!entityType) {
+      return () => {};
+    }
+
+    const collectionName = getCollectionName(schema, config, entityType.name);
+    const event = SUBSCRIPTION_EVENTS.find(candidate => candidate.keywords.some(keyword => lowerName.includes(keyword)));
+    const fieldNames = new Set(entityType.fields.map(candidate => candidate.name));
+    const filters = Object.fromEntries(Object.entries(field.args)
+      .filter(([name, value]) => fieldNames.has(name) && value !== null && typeof value !== 'object'));
+
+    return crudHandler.onChange(apiName, change => {
+      if (change.collection !== collectionName || (event && change.type !== event.type) || !matchesFilters(change.item, filters)) {
+        return;
+      }
+      emit(shapeEntityResult(schema, field.returnType, entityType, change.item));
+    });
+  };
+
+  /**
+   * Resolves a field for the executor
+   * @param {Object} info - The field info ({ parentType, parent, fieldName, args, returnType, path, operation })
+   * @returns {*} The field value
+   */
+  const resolveField = info => {
+    const { parent, parentType, fieldName } = info;
+
+    if (info.path.length === 1 && info.operation === 'subscription') {
+      // Subscription events are passed as the root value
+      if (parent && parent[fieldName] !== undefined) {
+        return parent[fieldName];
+      }
+    } else if (info.path.length === 1) {
+      let value = info.operation === 'mutation' ? applyMutation(info) : resolveFromStore(info);
+      if (value === undefined) {
+        value = resolveFromRecordings(info);
+      }
+      if (value !== undefined) {
+        return value;
+      }
+    } else if (parent && typeof parent === 'object' && parent[fieldName] !== undefined) {
+      return parent[fieldName];
+    }
+
+    // Entities get the same fake values on every request
+    const seed = parent && parent.id !== undefined && parent.id !== null
+      ? `${parentType}:${parent.id}.${fieldName}`
+      : `${info.path.join('.')}:${JSON.stringify(info.args)}`;
+    return createFakeValue(schema, info.returnType, fieldName, seed);
+  };
+
+  /**
+   * Determines the object type of a stored or recorded value returned for an interface or union
+   * @param {Object} value - The value
+   * @param {Object} abstractType - The interface or union type
+   * @returns {string} The possible type sharing most fields with the value
+   */
+  const resolveType = (value, abstractType) => {
+    const keys = Object.keys(value || {});
+    if (!abstractType.possibleTypes || abstractType.possibleTypes.length === 0) {
+      return null;
+    }
+    const scored = (abstractType.possibleTypes || []).map(possibleType => {
+      const type = graphqlExecutor.getType(schema, possibleType.name) || possibleType;
+      return { name: type.name, score: keys.filter(key => (type.fields || []).some(candidate => candidate.name === key)).length };
+    });
+    return scored.reduce((best, candidate) => (candidate.score > best.score ? candidate : best), scored[0]).name;
+  };
+
+  /**
+   * Finds the recorded response of an operation
+   * @param {Object} params - The request parameters ({ query, variables, operationName })
+   * @returns {Object|null} The recorded response, or null if the operation wasn't recorded
+   */
+  const findRecordedResponse = params => {
+    if (recordedResponses.size === 0) {
+      return null;
+    }
+    return recordedResponses.get(getRecordingKey(params.query, params.variables, params.operationName)) || null;
+  };
+
+  return { resolveField, resolveType, subscribeField, findRecordedResponse };
+}
+
+module.exports = {
+  loadSchema,
+  isGraphQLApi,
+  loadRecordings,
+  getRecordingKey,
+  getRecordingPath,
+  saveRecording,
+  saveSchema,
+  createResolver,
+  createFakeValue,
+  getCollectionName
+};
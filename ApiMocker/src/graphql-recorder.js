@@ -0,0 +1,346 @@
+/**
+ * GraphQL Recorder Module
+ * Records a GraphQL API: runs an introspection query, generates a representative query for
+ * each root field of the Query type and stores the responses as replayable query/response
+ * pairs keyed by a hash of the normalized query.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const graphqlParser = require('./parsers/graphql-parser');
+const graphqlMockResolver = require('./graphql-mock-resolver');
+
+// Standard introspection query, including the type references of wrapped types
+const INTROSPECTION_QUERY = `
+query IntrospectionQuery {
+  __schema {
+    queryType { name }
+    mutationType { name }
+    subscriptionType { name }
+    types { ...FullType }
+    directives {
+      name
+      description
+      locations
+      args { ...InputValue }
+    }
+  }
+}
+
+fragment FullType on __Type {
+  kind
+  name
+  description
+  fields(includeDeprecated: true) {
+    name
+    description
+    args { ...InputValue }
+    type { ...TypeRef }
+    isDeprecated
+    deprecationReason
+  }
+  inputFields { ...InputValue }
+  interfaces { ...TypeRef }
+  enumValues(includeDeprecated: true) {
+    name
+    description
+    isDeprecated
+    deprecationReason
+  }
+  possibleTypes { ...TypeRef }
+}
+
+fragment InputValue on __InputValue {
+  name
+  description
+  type { ...TypeRef }
+  defaultValue
+}
+
+fragment TypeRef on __Type {
+  kind
+  name
+  ofType {
+    kind
+    name
+    ofType {
+      kind
+      name
+      ofType {
+        kind
+        name
+        ofType {
+          kind
+          name
+          ofType {
+            kind
+            name
+            ofType {
+              kind
+              name
+              ofType { kind name }
+            }
+          }
+        }
+      }
+    }
+  }
+}
+`;
+
+/**
+ * Fetches the schema of a GraphQL API with an introspection query
+ * @param {Object} client - Axios client instance
+ * @param {string} endpoint - Path of the GraphQL endpoint
+ * @returns {Promise<Object>} The __schema object of the introspection result
+ */
+async function fetchSchema(client, endpoint) {
+  const response = await client.post(endpoint, {
+    query: INTROSPECTION_QUERY,
+    operationName: 'IntrospectionQuery'
+  });
+
+  const result = response.data || {};
+  if (!result.data || !result.data.__schema) {
+    const reason = result.errors && result.errors.length > 0 ? result.errors[0].message : 'no __schema in response';
+    throw new Error(`Introspection failed: ${reason}`);
+  }
+  return result.data.__schema;
+}
+
+/**
+ * Collects the entities (objects with an id) of a recorded field value by type name,
+ * so that fields with required ID arguments can be queried for a recorded entity
+ * @param {*} value - The recorded field value
+ * @param {string} typeName - The named type of the field
+ * @param {Map<string, Array<Object>>} entities - Recorded entities by type name
+ */
+function collectEntities(value, typeName, entities) {
+  const items = Array.isArray(value) ? value : [value];
+  for (const item of items) {
+    if (!item || typeof item !== 'object' || item.id === undefined || item.id === null) {
+      continue;
+    }
+    // Members of interfaces and unions are filed under their own type as well
+    for (const name of new Set([typeName, item.__typename].filter(Boolean))) {
+      if (!entities.has(name)) {
+        entities.set(name, []);
+      }
+      entities.get(name).push(item);
+    }
+  }
+}
+
+/**
+ * Resolves the argument sets to record a root field with
+ * Configured arguments (an object or an array of objects per field) are used as given.
+ * Otherwise required arguments are filled in where a value can be derived: enums get their
+ * first value and ID arguments the id of an entity of the field's type recorded earlier.
+ * @param {Object} field - The parsed root field
+ * @param {*} configured - The configured arguments of the field
+ * @param {Object} typesByName - Parsed types by name
+ * @param {Map<string, Array<Object>>} entities - Recorded entities by type name
+ * @returns {Array<Object>|null} The argument sets, or null if a required argument has no value
+ */
+function resolveArgumentSets(field, configured, typesByName, entities) {
+  const required = (field.args || []).filter(arg => arg.type.nullable === false && arg.defaultValue == null);
+
+  if (configured !== undefined) {
+    const argumentSets = Array.isArray(configured) ? configured : [configured];
+    return argumentSets.every(args => required.every(arg => args[arg.name] !== undefined)) ? argumentSets : null;
+  }
+
+  const args = {};
+  for (const arg of required) {
+    const argType = arg.type.kind === 'LIST' ? null : typesByName[arg.type.name];
+    // Interfaces and unions can be queried with the id of any of their members
+    const fieldType = typesByName[getNamedTypeName(field.type)];
+    const recorded = fieldType
+      ? [fieldType.name, ...fieldType.possibleTypes].flatMap(name => entities.get(name) || [])
+      : [];
+
+    if (argType && argType.kind === 'ENUM' && argType.enumValues.length > 0) {
+      args[arg.name] = argType.enumValues[0].name;
+    } else if (argType && argType.name === 'ID' && recorded.length > 0) {
+      args[arg.name] = recorded[0].id;
+    } else {
+      return null;
+    }
+  }
+  return [args];
+}
+
+/**
+ * Gets the name of the named type of a parsed field type
+ * @param {Object} type - The parsed field type
+ * @returns {string} The type name
+ */
+function getNamedTypeName(type) {
+  return type.kind === 'LIST' ? getNamedTypeName(type.ofType) : type.name;
+}
+
+/**
+ * Records query/response pairs for the root fields of the Query type
+ * Fields without required arguments are recorded first, so that their entities can supply
+ * the ids of fields that need one.
+ * @param {Object} client - Axios client instance
+ * @param {string} endpoint - Path of the GraphQL endpoint
+ * @param {Object} schema - The __schema object of the introspection result
+ * @param {string} responsesDir - The responses directory of the API
+ * @param {Object} options - Recording options
+ * @param {number} options.depth - Maximum selection depth of generated queries
+ * @param {Object} options.arguments - Argument values by root field name
+ * @param {boolean} options.force - Re-record operations that were recorded before
+ * @returns {Promise<Object>} Recording summary ({ recorded, skipped, failed })
+ */
+async function recordQueries(client, endpoint, schema, responsesDir, options = {}) {
+  const parsedSchema = graphqlParser.parseSchema(schema);
+  const typesByName = Object.fromEntries(parsedSchema.types.map(type => [type.name, type]));
+  const queryType = typesByName[parsedSchema.queryType];
+  const depth = options.depth || 2;
+  const configuredArguments = options.arguments || {};
+  const summary = { recorded: [], skipped: [], failed: [] };
+  const entities = new Map();
+
+  const hasRequiredArguments = field => (field.args || []).some(arg => arg.type.nullable === false && arg.defaultValue == null);
+  const fields = [...queryType.fields].sort((a, b) => hasRequiredArguments(a) - hasRequiredArguments(b));
+
+  for (const field of fields) {
+    const argumentSets = resolveArgumentSets(field, configuredArguments[field.name], typesByName, entities);
+    if (!argumentSets) {
+      console.warn(`Skipping ${field.name}: no values for its required arguments`);
+      summary.skipped.push({ field: field.name, reason: 'missing required arguments' });
+      continue;
+    }
+
+    for (const variables of argumentSets) {
+      const operationName = `Get${field.name.charAt(0).toUpperCase()}${field.name.slice(1)}`;
+      const query = graphqlParser.generateQuery(queryType, depth, {
+        schema: parsedSchema,
+        field: field.name,
+        arguments: variables,
+        operationName
+      });
+      if (!query) {
+        summary.skipped.push({ field: field.name, reason: 'no selectable fields' });
+        continue;
+      }
+
+      const hash = graphqlMockResolver.getRecordingKey(query, variables, operationName);
+      const recordingPath = graphqlMockResolver.getRecordingPath(responsesDir, hash);
+
+      try {
+        let response;
+        if (fs.existsSync(recordingPath) && !options.force) {
+          response = JSON.parse(fs.readFileSync(recordingPath, 'utf8')).response;
+          console.log(`Already recorded: ${field.name} (${hash})`);
+        } else {
+          console.log(`Recording: ${field.name}${Object.keys(variables).length > 0 ? ` ${JSON.stringify(variables)}` : ''}`);
+          const result = await client.post(endpoint, { query, variables, operationName }, {
+            validateStatus: status => status < 500
+          });
+          response = result.data;
+          graphqlMockResolver.saveRecording(responsesDir, {
+            query,
+            variables,
+            operationName,
+            statusCode: result.status,
+            recordedAt: new Date().toISOString(),
+            response
+          });
+        }
+
+        if (response && response.data && response.data[field.name] !== undefined) {
+          collectEntities(response.data[field.name], getNamedTypeName(field.type), entities);
+        }
+        summary.recorded.push({ field: field.name, hash, errors: Boolean(response && response.errors) });
+      } catch (error) {
+        console.error(`❌ Failed to record ${field.name}: ${error.message}`);
+        summary.failed.push({ field: field.name, error: error.message });
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Records a GraphQL API into an API data directory
+ * Saves the introspection result, the recorded queries, an API classification and a
+ * Swagger stub so that the API is picked up by the mock servers.
+ * @param {string} baseUrl - Base URL of the API
+ * @param {string} apiName - Name of the API
+ * @param {string} apiDir - The API data directory
+ * @param {Object} options - Recording options
+ * @param {string} options.endpoint - Path of the GraphQL endpoint (default /graphql)
+ * @param {string} options.authToken - Authorization header value
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {number} options.depth - Maximum selection depth of generated queries
+ * @param {Object} options.arguments - Argument values by root field name
+ * @param {boolean} options.force - Re-record operations that were recorded before
+ * @returns {Promise<Object>} Recording summary ({ recorded, skipped, failed })
+ */
+async function recordGraphQLApi(baseUrl, apiName, apiDir, options = {}) {
+  const normalizedUrl = baseUrl.endsWith('/') ? baseUrl.slice(0, -1) : baseUrl;
+  const endpoint = options.endpoint || '/graphql';
+  const responsesDir = path.join(apiDir, 'responses');
+
+  const client = axios.create({
+    baseURL: normalizedUrl,
+    timeout: options.timeout || 10000,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(options.authToken ? { 'Authorization': options.authToken } : {})
+    }
+  });
+
+  console.log(`Running introspection query against ${normalizedUrl}${endpoint}...`);
+  const schema = await fetchSchema(client, endpoint);
+  graphqlMockResolver.saveSchema(responsesDir, schema);
+  console.log(`✅ Saved GraphQL schema (${schema.types.length} types)`);
+
+  const summary = await recordQueries(client, endpoint, schema, responsesDir, options);
+
+  fs.writeFileSync(path.join(apiDir, 'api-type.json'), JSON.stringify({
+    apiType: 'graphql',
+    isOData: false,
+    isGraphQL: true,
+    requiresAuth: Boolean(options.authToken),
+    authType: options.authToken ? 'bearer' : null
+  }, null, 2));
+
+  // The mock servers only load APIs with a Swagger spec; GraphQL operations go through GraphiQL
+  const swaggerPath = path.join(apiDir, 'swagger.json');
+  if (!fs.existsSync(swaggerPath)) {
+    fs.writeFileSync(swaggerPath, JSON.stringify({
+      swagger: '2.0',
+      info: { title: apiName, version: '1.0.0', description: `GraphQL API recorded from ${normalizedUrl}${endpoint}` },
+      paths: {}
+    }, null, 2));
+  }
+
+  // Serve the mock at the same path as the recorded endpoint
+  const configPath = path.join(apiDir, 'config.json');
+  const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+  config.graphql = { ...config.graphql, path: endpoint };
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+
+  fs.writeFileSync(path.join(responsesDir, '_metadata.json'), JSON.stringify({
+    baseUrl: normalizedUrl,
+    endpoint,
+    recordedAt: new Date().toISOString(),
+    depth: options.depth || 2,
+    ...summary
+  }, null, 2));
+
+  console.log(`\nRecording complete: ${summary.recorded.length} recorded, ${summary.skipped.length} skipped, ${summary.failed.length} failed`);
+  return summary;
+}
+
+module.exports = {
+  INTROSPECTION_QUERY,
+  fetchSchema,
+  recordQueries,
+  recordGraphQLApi
+};
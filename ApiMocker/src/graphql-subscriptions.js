@@ -0,0 +1,478 @@
+/**
+ * GraphQL Subscriptions Module
+ * Serves GraphQL operations over WebSocket with the graphql-transport-ws protocol and the
+ * legacy subscriptions-transport-ws protocol (subprotocol graphql-ws). Subscriptions receive
+ * the changes made to the data store and the events of a scripted timeline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crudHandler = require('./crud-handler');
+const graphqlDocumentParser = require('./graphql-document-parser');
+const graphqlExecutor = require('./graphql-executor');
+const websocketServer = require('./websocket-server');
+
+// Subprotocol of the graphql-ws library
+const TRANSPORT_WS_PROTOCOL = 'graphql-transport-ws';
+
+// Subprotocol of the legacy subscriptions-transport-ws library
+const LEGACY_PROTOCOL = 'graphql-ws';
+
+// Scripted subscription events, relative to the data directory of the API
+const TIMELINE_FILE = 'timeline.json';
+
+// Time a graphql-transport-ws client has to send connection_init
+const CONNECTION_INIT_TIMEOUT = 3000;
+
+// Store operations a timeline event can perform
+const TIMELINE_ACTIONS = ['create', 'update', 'delete'];
+
+/**
+ * Loads the subscription timeline of an API
+ * The timeline is a list of events, or { repeat, events }. Each event waits `after`
+ * milliseconds after the previous one, then either publishes `value` to the subscribers of
+ * the `subscription` field (optionally only those subscribed with the given `args`), or
+ * applies `action` (create, update or delete) to an entity of `collection` in the data store.
+ * It is read from timeline.json in the responses directory, or from the file named by
+ * config.graphql.timeline (relative to the responses directory).
+ * @param {Object} config - API configuration
+ * @returns {Object|null} The timeline ({ repeat, events }), or null if the API has none
+ */
+function loadTimeline(config) {
+  const configured = config.graphql && config.graphql.timeline;
+  const timelinePath = configured
+    ? path.resolve(config.responsesDir || '.', configured)
+    : config.responsesDir && path.join(config.responsesDir, TIMELINE_FILE);
+  if (!timelinePath || !fs.existsSync(timelinePath)) {
+    return null;
+  }
+
+  const timeline = JSON.parse(fs.readFileSync(timelinePath, 'utf8'));
+  const events = (Array.isArray(timeline) ? timeline : timeline.events || []).filter((event, index) => {
+    const valid = event && (typeof event.subscription === 'string' ||
+      (typeof event.collection === 'string' && TIMELINE_ACTIONS.includes(event.action)));
+    if (!valid) {
+      console.warn(`Skipping invalid event ${index} of ${timelinePath}`);
+    }
+    return valid;
+  });
+
+  return { repeat: Boolean(timeline.repeat), events };
+}
+
+/**
+ * Creates a player for a subscription timeline
+ * @param {Object} timeline - The timeline from loadTimeline
+ * @param {string} apiName - The name of the API
+ * @param {Function} publish - Publishes a value to the subscribers of a field (fieldName, value, args)
+ * @returns {Object} The player ({ start, stop })
+ */
+function createTimelinePlayer(timeline, apiName, publish) {
+  let timer = null;
+  let index = 0;
+  let running = false;
+
+  // A repeating timeline without delays would never yield
+  const repeat = timeline.repeat && timeline.events.some(event => Number(event.after) > 0);
+
+  /**
+   * Applies a timeline event
+   * @param {Object} event - The event
+   */
+  const play = event => {
+    if (event.subscription) {
+      publish(event.subscription, event.value, event.args);
+      return;
+    }
+
+    if (event.action === 'create') {
+      crudHandler.handlePost(apiName, event.collection, { ...(event.id !== undefined ? { id: event.id } : {}), ...event.data });
+    } else if (!crudHandler.getById(apiName, event.collection, event.id)) {
+      console.warn(`Timeline ${event.action} skipped: ${event.collection}/${event.id} not found`);
+    } else if (event.action === 'update') {
+      crudHandler.handlePatch(apiName, event.collection, event.id, event.data || {});
+    } else {
+      crudHandler.handleDelete(apiName, event.collection, event.id);
+    }
+  };
+
+  /**
+   * Schedules the next event, starting over at the end of repeating timelines
+   */
+  const scheduleNext = () => {
+    if (index >= timeline.events.length) {
+      if (!repeat) {
+        return;
+      }
+      index = 0;
+    }
+
+    const event = timeline.events[index++];
+    timer = setTimeout(() => {
+      try {
+        play(event);
+      } catch (error) {
+        console.error(`Error playing timeline event: ${error.message}`);
+      }
+      scheduleNext();
+    }, Math.max(0, Number(event.after) || 0));
+    timer.unref();
+  };
+
+  return {
+    /**
+     * Plays the timeline from the start, unless it is already playing
+     */
+    start: () => {
+      if (!running && timeline.events.length > 0) {
+        running = true;
+        index = 0;
+        scheduleNext();
+      }
+    },
+
+    /**
+     * Stops the timeline
+     */
+    stop: () => {
+      running = false;
+      clearTimeout(timer);
+    }
+  };
+}
+
+/**
+ * Serves a connection with the graphql-transport-ws protocol
+ * Protocol violations close the connection with the 44xx codes of the protocol.
+ * @param {Object} connection - The WebSocket connection
+ * @param {Function} startOperation - Starts an operation (see createSubscriptionServer)
+ * @param {number} initTimeout - Time in milliseconds the client has to send connection_init
+ */
+function serveTransportWs(connection, startOperation, initTimeout) {
+  const operations = new Map();
+  let acknowledged = false;
+
+  const send = message => connection.send(JSON.stringify(message));
+  const initTimer = setTimeout(() => connection.close(4408, 'Connection initialisation timeout'), initTimeout);
+  initTimer.unref();
+
+  connection.on('message', async raw => {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      message = null;
+    }
+    if (!message || typeof message.type !== 'string') {
+      connection.close(4400, 'Invalid message received');
+      return;
+    }
+
+    switch (message.type) {
+      case 'connection_init':
+        if (acknowledged) {
+          connection.close(4429, 'Too many initialisation requests');
+          return;
+        }
+        acknowledged = true;
+        clearTimeout(initTimer);
+        send({ type: 'connection_ack' });
+        return;
+
+      case 'ping':
+        send({ type: 'pong' });
+        return;
+
+      case 'pong':
+        return;
+
+      case 'subscribe': {
+        const { id, payload } = message;
+        if (!acknowledged) {
+          connection.close(4401, 'Unauthorized');
+          return;
+        }
+        if (typeof id !== 'string' || !id || !payload || typeof payload !== 'object') {
+          connection.close(4400, 'Invalid message received');
+          return;
+        }
+        if (operations.has(id)) {
+          connection.close(4409, `Subscriber for ${id} already exists`);
+          return;
+        }
+
+        operations.set(id, null);
+        try {
+          const stop = await startOperation(payload, {
+            next: result => operations.has(id) && send({ id, type: 'next', payload: result }),
+            complete: () => operations.delete(id) && send({ id, type: 'complete' })
+          });
+          // Completed by the client while starting, or a query that has already completed
+          if (!operations.has(id)) {
+            stop();
+            return;
+          }
+          operations.set(id, stop);
+        } catch (error) {
+          if (operations.delete(id)) {
+            send({ id, type: 'error', payload: [graphqlExecutor.formatError(error)] });
+          }
+        }
+        return;
+      }
+
+      case 'complete': {
+        const stop = operations.get(message.id);
+        operations.delete(message.id);
+        if (stop) {
+          stop();
+        }
+        return;
+      }
+
+      default:
+        connection.close(4400, `Unexpected message type "${message.type}"`);
+    }
+  });
+
+  connection.on('close', () => {
+    clearTimeout(initTimer);
+    for (const stop of operations.values()) {
+      if (stop) {
+        stop();
+      }
+    }
+    operations.clear();
+  });
+}
+
+/**
+ * Serves a connection with the legacy subscriptions-transport-ws protocol
+ * @param {Object} connection - The WebSocket connection
+ * @param {Function} startOperation - Starts an operation (see createSubscriptionServer)
+ */
+function serveLegacy(connection, startOperation) {
+  const operations = new Map();
+
+  const send = message => connection.send(JSON.stringify(message));
+
+  /**
+   * Stops an operation
+   * @param {string} id - The operation id
+   */
+  const stopOperation = id => {
+    const operation = operations.get(id);
+    operations.delete(id);
+    if (operation && operation.stop) {
+      operation.stop();
+    }
+  };
+
+  connection.on('message', async raw => {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      send({ type: 'error', payload: { message: 'Message must be JSON-parseable.' } });
+      return;
+    }
+
+    switch (message && message.type) {
+      case 'connection_init':
+        send({ type: 'connection_ack' });
+        return;
+
+      case 'connection_terminate':
+        connection.close(1000, '');
+        return;
+
+      case 'start': {
+        const { id, payload } = message;
+        // Starting an id again replaces its operation
+        stopOperation(id);
+        const operation = { stop: null };
+        const isCurrent = () => operations.get(id) === operation;
+        operations.set(id, operation);
+        try {
+          const stop = await startOperation(payload || {}, {
+            next: result => isCurrent() && send({ id, type: 'data', payload: result }),
+            complete: () => isCurrent() && operations.delete(id) && send({ id, type: 'complete' })
+          });
+          if (!isCurrent()) {
+            stop();
+            return;
+          }
+          operation.stop = stop;
+        } catch (error) {
+          if (isCurrent()) {
+            operations.delete(id);
+            send({ id, type: 'error', payload: graphqlExecutor.formatError(error) });
+          }
+        }
+        return;
+      }
+
+      case 'stop':
+        stopOperation(message.id);
+        return;
+
+      default:
+        send({ id: message && message.id, type: 'error', payload: { message: 'Invalid message type!' } });
+    }
+  });
+
+  connection.on('close', () => {
+    for (const id of [...operations.keys()]) {
+      stopOperation(id);
+    }
+  });
+}
+
+/**
+ * Creates the WebSocket endpoint of a GraphQL mock API
+ * Queries and mutations sent over the connection are executed once; subscriptions stay
+ * active until the client completes them or disconnects. The timeline of the API plays
+ * while at least one subscription is active and starts over with the next subscriber.
+ * @param {Object} options - Server options
+ * @param {Object} options.schema - The introspection schema
+ * @param {Object} options.resolver - The resolver from graphqlMockResolver.createResolver
+ * @param {Object} options.config - API configuration
+ * @returns {Object} The subscription server ({ handleUpgrade, publish, close })
+ */
+function createSubscriptionServer({ schema, resolver, config }) {
+  const apiName = config.apiName || config.name;
+  const listeners = new Map();
+  const connections = new Set();
+  let activeSubscriptions = 0;
+
+  /**
+   * Publishes a value to the subscribers of a subscription field
+   * @param {string} fieldName - The subscription field
+   * @param {*} value - The field value
+   * @param {Object} args - Only subscribers with these argument values get the value
+   */
+  const publish = (fieldName, value, args) => {
+    for (const listener of listeners.get(fieldName) || []) {
+      if (args && !Object.entries(args).every(([name, expected]) => String(listener.args[name]) === String(expected))) {
+        continue;
+      }
+      listener.emit(value);
+    }
+  };
+
+  const timeline = loadTimeline(config);
+  const player = timeline ? createTimelinePlayer(timeline, apiName, publish) : null;
+
+  /**
+   * Starts an operation received over a connection
+   * @param {Object} payload - The operation ({ query, variables, operationName })
+   * @param {Object} handlers - Receive the results ({ next(result), complete() })
+   * @returns {Promise<Function>} Stops the operation
+   */
+  const startOperation = async (payload, handlers) => {
+    if (typeof payload.query !== 'string') {
+      const error = new Error('Must provide query string.');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const document = graphqlDocumentParser.parse(payload.query);
+    const options = {
+      schema,
+      document,
+      variables: payload.variables || {},
+      operationName: payload.operationName,
+      resolveField: resolver.resolveField,
+      resolveType: resolver.resolveType
+    };
+
+    if (graphqlExecutor.getOperation(document, payload.operationName).operation !== 'subscription') {
+      handlers.next(await graphqlExecutor.execute(options));
+      handlers.complete();
+      return () => {};
+    }
+
+    // Executing without an event validates the whole selection before subscribing
+    const field = graphqlExecutor.getSubscriptionField(options);
+    await graphqlExecutor.execute(options);
+
+    // Events are executed one after another, so that results arrive in order
+    let queue = Promise.resolve();
+    const listener = {
+      args: field.args,
+      emit: value => {
+        queue = queue
+          .then(() => graphqlExecutor.execute({ ...options, rootValue: { [field.fieldName]: value } }))
+          .then(result => handlers.next(result))
+          .catch(error => console.error(`Error executing subscription event: ${error.message}`));
+      }
+    };
+
+    if (!listeners.has(field.fieldName)) {
+      listeners.set(field.fieldName, new Set());
+    }
+    listeners.get(field.fieldName).add(listener);
+    const unsubscribeStore = resolver.subscribeField(field, listener.emit);
+
+    activeSubscriptions++;
+    if (player) {
+      player.start();
+    }
+
+    let stopped = false;
+    return () => {
+      if (stopped) {
+        return;
+      }
+      stopped = true;
+      listeners.get(field.fieldName).delete(listener);
+      unsubscribeStore();
+      activeSubscriptions--;
+      if (player && activeSubscriptions === 0) {
+        player.stop();
+      }
+    };
+  };
+
+  /**
+   * Accepts a WebSocket upgrade request and serves the connection
+   * @param {Object} req - The upgrade request (see websocketServer.routeUpgrades)
+   */
+  const handleUpgrade = req => {
+    const connection = websocketServer.acceptUpgrade(req, [TRANSPORT_WS_PROTOCOL, LEGACY_PROTOCOL]);
+    if (!connection) {
+      return;
+    }
+
+    connections.add(connection);
+    connection.on('close', () => connections.delete(connection));
+
+    if (connection.protocol === TRANSPORT_WS_PROTOCOL) {
+      const initTimeout = (config.graphql && config.graphql.connectionInitWaitTimeout) || CONNECTION_INIT_TIMEOUT;
+      serveTransportWs(connection, startOperation, initTimeout);
+    } else {
+      serveLegacy(connection, startOperation);
+    }
+  };
+
+  /**
+   * Closes all connections and stops the timeline
+   */
+  const close = () => {
+    for (const connection of [...connections]) {
+      connection.close(1001, 'Going away');
+    }
+    if (player) {
+      player.stop();
+    }
+  };
+
+  return { handleUpgrade, publish, close };
+}
+
+module.exports = {
+  TRANSPORT_WS_PROTOCOL,
+  LEGACY_PROTOCOL,
+  loadTimeline,
+  createSubscriptionServer
+};
@@ -0,0 +1,282 @@
+/**
+ * HAR Converter Module
+ * Imports browser traffic captured as HAR into recordings, and exports an API's recordings as
+ * HAR. Imported entries are stored like the exchanges of the recording proxy (see
+ * exchange-recorder).
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const pkg = require('../package.json');
+const exchangeRecorder = require('./exchange-recorder');
+const recordingMatcher = require('./recording-matcher');
+const responseValidator = require('./response-validator');
+
+// HTTP methods of Swagger/OpenAPI operations
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+/**
+ * Reads a HAR file
+ * @param {string} filePath - Path to the HAR file
+ * @returns {Array<Object>} The entries of the HAR log
+ * @throws {Error} If the file is missing or isn't a HAR log
+ */
+function readHar(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`HAR file not found: ${filePath}`);
+  }
+
+  let har;
+  try {
+    har = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid HAR file ${filePath}: ${error.message}`);
+  }
+  if (!har || !har.log || !Array.isArray(har.log.entries)) {
+    throw new Error(`Invalid HAR file ${filePath}: log.entries is missing`);
+  }
+  return har.log.entries;
+}
+
+/**
+ * Reads the body of a HAR response
+ * @param {Object} content - The response content ({ mimeType, text, encoding })
+ * @returns {Object} { json, data }, where json is false for bodies that aren't JSON
+ */
+function readResponseBody(content = {}) {
+  const text = content.encoding === 'base64' && content.text
+    ? Buffer.from(content.text, 'base64').toString('utf8')
+    : content.text;
+  if (!text) {
+    return { json: true, data: undefined };
+  }
+  if (!/json/i.test(content.mimeType || '')) {
+    return { json: false };
+  }
+  try {
+    return { json: true, data: JSON.parse(text) };
+  } catch (error) {
+    return { json: false };
+  }
+}
+
+/**
+ * Reads the body of a HAR request
+ * @param {Object} postData - The request body ({ mimeType, text })
+ * @returns {*} The parsed JSON body, the text of other bodies, or undefined
+ */
+function readRequestBody(postData) {
+  if (!postData || !postData.text) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(postData.text);
+  } catch (error) {
+    return postData.text;
+  }
+}
+
+/**
+ * Converts HAR name/value pairs to an object
+ * @param {Array<Object>} pairs - The pairs ({ name, value })
+ * @returns {Object} Values by name
+ */
+function fromPairs(pairs = []) {
+  return Object.fromEntries(pairs.map(({ name, value }) => [name, value]));
+}
+
+/**
+ * Converts an object to HAR name/value pairs
+ * @param {Object} values - Values by name
+ * @returns {Array<Object>} The pairs ({ name, value })
+ */
+function toPairs(values = {}) {
+  return Object.entries(values).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * Imports the entries of a HAR file as recordings of an API
+ * @param {string} filePath - Path to the HAR file
+ * @param {string} apiName - Name of the API
+ * @param {Object} options - Import options
+ * @param {string} options.output - Data directory (defaults to ./data)
+ * @param {string} options.baseUrl - Base URL of the API; entries outside it are skipped
+ *   (defaults to the origin of the first JSON response)
+ * @returns {Object} Summary ({ api, baseUrl, imported, skipped, recordings, operations, addedOperations })
+ * @throws {Error} If the HAR file is missing or invalid
+ */
+function importHar(filePath, apiName, options = {}) {
+  const entries = readHar(filePath);
+  const recorder = exchangeRecorder.createExchangeRecorder(apiName, { output: options.output });
+  let baseUrl = options.baseUrl ? options.baseUrl.replace(/\/+$/, '') : null;
+  let skipped = 0;
+
+  for (const entry of entries) {
+    const method = (entry.request && entry.request.method || '').toLowerCase();
+    const response = entry.response || {};
+    const body = readResponseBody(response.content);
+    if (!HTTP_METHODS.includes(method) || method === 'options' || !response.status || response.status === 304 || !body.json) {
+      skipped++;
+      continue;
+    }
+
+    const url = new URL(entry.request.url);
+    baseUrl = baseUrl || url.origin;
+    const requestPath = `${url.origin}${url.pathname}`.startsWith(baseUrl)
+      ? `${url.origin}${url.pathname}`.slice(baseUrl.length) || '/'
+      : null;
+    if (!requestPath || !requestPath.startsWith('/')) {
+      skipped++;
+      continue;
+    }
+
+    recorder.record({
+      method,
+      path: requestPath,
+      query: entry.request.queryString ? fromPairs(entry.request.queryString) : Object.fromEntries(url.searchParams),
+      headers: fromPairs(entry.request.headers),
+      body: readRequestBody(entry.request.postData),
+      statusCode: response.status,
+      responseHeaders: fromPairs(response.headers),
+      data: body.data
+    });
+  }
+  recorder.save();
+
+  const summary = recorder.getSummary();
+  return {
+    api: apiName,
+    baseUrl,
+    imported: entries.length - skipped,
+    skipped,
+    recordings: summary.recordings,
+    operations: summary.operations,
+    addedOperations: summary.addedOperations
+  };
+}
+
+/**
+ * Builds a HAR entry from a recording
+ * @param {Object} recording - The parsed recording
+ * @param {Object} operation - The operation ({ method, path, file, mtime })
+ * @param {string} baseUrl - Base URL of the requests
+ * @returns {Object|null} The entry, or null for failed recordings without a response
+ */
+function buildEntry(recording, operation, baseUrl) {
+  if (recording && recording.error === true && !recording.statusCode) {
+    return null;
+  }
+
+  const exchange = recording && typeof recording === 'object' && !Array.isArray(recording) && recording.request;
+  const recordedRequest = exchange ? recording.request : {};
+  const pathParams = recordedRequest.pathParams ||
+    recordingMatcher.parseParameterFileName(operation.file, operation.method, operation.path) || {};
+  const requestPath = recordedRequest.url ||
+    operation.path.replace(/{([^}]+)}/g, (match, name) => (pathParams[name] !== undefined ? encodeURIComponent(pathParams[name]) : match));
+  const query = recordedRequest.query || {};
+  const queryString = new URLSearchParams(query).toString();
+  const { statusCode, body } = exchange
+    ? { statusCode: recording.statusCode, body: recording.data }
+    : responseValidator.getRecordedResponse(recording);
+  const responseHeaders = { 'content-type': 'application/json', ...(exchange ? recording.headers : {}) };
+  const text = body === undefined ? '' : JSON.stringify(body);
+
+  return {
+    startedDateTime: operation.mtime,
+    time: 0,
+    request: {
+      method: operation.method.toUpperCase(),
+      url: `${baseUrl}${requestPath}${queryString ? `?${queryString}` : ''}`,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toPairs(recordedRequest.headers),
+      queryString: toPairs(query),
+      ...(recordedRequest.body !== undefined ? {
+        postData: {
+          mimeType: typeof recordedRequest.body === 'string' ? 'text/plain' : 'application/json',
+          text: typeof recordedRequest.body === 'string' ? recordedRequest.body : JSON.stringify(recordedRequest.body)
+        }
+      } : {}),
+      headersSize: -1,
+      bodySize: -1
+    },
+    response: {
+      status: statusCode,
+      statusText: http.STATUS_CODES[statusCode] || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toPairs(responseHeaders),
+      content: { size: Buffer.byteLength(text), mimeType: responseHeaders['content-type'], text },
+      redirectURL: responseHeaders.location || '',
+      headersSize: -1,
+      bodySize: -1
+    },
+    cache: {},
+    timings: { send: 0, wait: 0, receive: 0 }
+  };
+}
+
+/**
+ * Exports the recordings of an API as a HAR log
+ * Recordings are found per operation of the API's spec, and through _endpoints.json for APIs
+ * without one.
+ * @param {Object} config - API configuration (with name, swagger and responsesDir)
+ * @param {Object} options - Export options
+ * @param {string} options.baseUrl - Base URL of the exported requests
+ *   (defaults to the mock server, http://localhost:3000<basePath>)
+ * @returns {Object} The HAR log
+ */
+function exportHar(config, options = {}) {
+  const baseUrl = (options.baseUrl || `http://localhost:3000${config.basePath || `/${config.name}`}`).replace(/\/+$/, '');
+  const responsesDir = config.responsesDir;
+  const files = responsesDir && fs.existsSync(responsesDir) ? fs.readdirSync(responsesDir).sort() : [];
+  const operations = [];
+
+  for (const [pattern, pathItem] of Object.entries((config.swagger && config.swagger.paths) || {})) {
+    for (const method of HTTP_METHODS.filter(candidate => pathItem[candidate])) {
+      for (const file of responseValidator.findRecordings(files, method, pattern, pathItem[method])) {
+        operations.push({ method, path: pattern, file });
+      }
+    }
+  }
+
+  const endpointsPath = responsesDir ? path.join(responsesDir, '_endpoints.json') : null;
+  if (endpointsPath && fs.existsSync(endpointsPath)) {
+    for (const [key, endpoint] of Object.entries(JSON.parse(fs.readFileSync(endpointsPath, 'utf8')))) {
+      if (files.includes(endpoint.responseFile) && !operations.some(operation => operation.file === endpoint.responseFile)) {
+        operations.push({ method: endpoint.method || 'get', path: key.replace(/^[A-Z]+ /, ''), file: endpoint.responseFile });
+      }
+    }
+  }
+
+  const entries = [];
+  for (const operation of operations) {
+    const filePath = path.join(responsesDir, operation.file);
+    let recording;
+    try {
+      recording = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.warn(`Skipping unreadable recording ${operation.file}: ${error.message}`);
+      continue;
+    }
+    const entry = buildEntry(recording, { ...operation, mtime: fs.statSync(filePath).mtime.toISOString() }, baseUrl);
+    if (entry) {
+      entries.push(entry);
+    }
+  }
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'api-mocker', version: pkg.version },
+      entries
+    }
+  };
+}
+
+module.exports = {
+  readHar,
+  importHar,
+  exportHar
+};
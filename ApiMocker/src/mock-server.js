@@ -2,7 +2,10 @@ const fs = require('fs');
 const path = require('path');
 const expressServer = require('./express-server');
 const routeHandler = require('./route-handler');
+const responseValidator = require('./response-validator');
+const graphqlMockResolver = require('./graphql-mock-resolver');
 const oDataRecorder = require('./odata-recorder');
+const websocketServer = require('./websocket-server');
 
 /**
  * Starts the mock API server
@@ -96,6 +99,9 @@ async function start(options) {
   // Start the server
   const server = await expressServer.startServer(app, port);
   
+  // WebSocket upgrades reach the routes of the app (GraphQL subscriptions)
+  websocketServer.routeUpgrades(server, app);
+  
   console.log(`✅ Mock API server running at http://${host}:${port}`);
   console.log(`📚 Dashboard available at http://${host}:${port}/`);
   
@@ -146,6 +152,13 @@ function loadApiConfigurations(dataDir, options = {}) {
         apiType = JSON.parse(fs.readFileSync(apiTypePath, 'utf8'));
       }
       
+      // Load per-API settings from config.json if present
+      const configPath = path.join(apiDir, 'config.json');
+      let apiConfig = {};
+      if (fs.existsSync(configPath)) {
+        apiConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      }
+      
       // Determine the base path for this API
       let basePath = swaggerSpec.basePath || '';
       
@@ -156,14 +169,17 @@ function loadApiConfigurations(dataDir, options = {}) {
       
       // Add to configurations
       configs.push({
+        ...apiConfig,
         name: apiName,
         apiName: apiName,
         basePath,
         swagger: swaggerSpec,
+        apiDir,
         responsesDir,
         dataDir: path.join(apiDir, 'data'),
         apiType,
-        stateful: options.stateful !== false
+        stateful: options.stateful !== false,
+        validation: options.validateResponses ? { ...apiConfig.validation, responses: true } : apiConfig.validation
       });
       
       console.log(`Loaded API configuration: ${apiName} (${basePath})`);
@@ -191,6 +207,11 @@ function registerApiRoutes(app, configs) {
       routeHandler.registerODataRoutes(app, config.basePath, config);
     }
     
+    // Register the GraphQL endpoint of APIs recorded with an introspection schema
+    if (graphqlMockResolver.isGraphQLApi(config)) {
+      routeHandler.registerGraphQLRoutes(app, config.basePath, config);
+    }
+    
     // Extract paths from Swagger spec
     const { paths } = config.swagger;
     
@@ -199,6 +220,11 @@ function registerApiRoutes(app, configs) {
       continue;
     }
     
+    // APIs validating their responses report the violations found so far
+    if (responseValidator.isResponseValidationEnabled(config)) {
+      responseValidator.registerReportRoute(app, `${config.basePath}/__schema-violations`, config);
+    }
+    
     // Register routes for each path and method
     for (const [pathPattern, pathItem] of Object.entries(paths)) {
       for (const [method, operation] of Object.entries(pathItem)) {
@@ -215,7 +241,7 @@ function registerApiRoutes(app, configs) {
         const routePath = `${config.basePath}${normalizedPath}`;
         
         // Register the route
-        routeHandler.registerRoute(app, method, routePath, operation, config);
+        routeHandler.registerRoute(app, method, routePath, operation, config, pathItem);
         
         console.log(`Registered route: ${method.toUpperCase()} ${routePath}`);
       }
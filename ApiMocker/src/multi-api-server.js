@@ -10,6 +10,8 @@ const apiRegistry = require('./api-registry');
 const expressServer = require('./express-server');
 const routeHandler = require('./route-handler');
 const crudHandler = require('./crud-handler');
+const graphqlMockResolver = require('./graphql-mock-resolver');
+const websocketServer = require('./websocket-server');
 
 /**
  * Creates a multi-API server
@@ -19,10 +21,11 @@ const crudHandler = require('./crud-handler');
  * @param {number} options.port - Port to run the server on
  * @param {Array} options.apiFilter - Optional list of API names to include
  * @param {Object} options.basePaths - Optional custom base paths for APIs
+ * @param {boolean} options.validateResponses - Optional flag to validate the responses of every API
  * @returns {Promise<Object>} - Server object
  */
 async function createServer(options) {
-  const { dataDir, port, apiFilter, basePaths = {} } = options;
+  const { dataDir, port, apiFilter, basePaths = {}, validateResponses } = options;
   
   // Load API configurations
   const allApis = await apiRegistry.loadApiConfigurations(dataDir);
@@ -45,9 +48,23 @@ async function createServer(options) {
     // Initialize data store for this API
     crudHandler.initializeDataStore(api.name);
     
+    // Validate served responses regardless of config.json when asked to
+    if (validateResponses) {
+      api.validation = { ...api.validation, responses: true };
+    }
+    
     // Create router for this API
     const router = expressServer.createRouter();
     
+    // Register the GraphQL endpoint of APIs recorded with an introspection schema
+    if (graphqlMockResolver.isGraphQLApi(api)) {
+      routeHandler.registerGraphQLRoutes(router, '', {
+        ...api,
+        apiName: api.name,
+        dataDir: path.join(dataDir, api.name, 'data')
+      });
+    }
+    
     // Register API routes
     expressServer.registerApiRoutes(router, api, path.join(dataDir, api.name, 'responses'));
     
@@ -81,6 +98,9 @@ async function startServer(server) {
     console.log(`Serving ${server.apis.length} APIs`);
   });
   
+  // WebSocket upgrades reach the routes of the app (GraphQL subscriptions)
+  websocketServer.routeUpgrades(httpServer, server.app);
+  
   // Add error handler
   httpServer.on('error', (error) => {
     console.error(`Error starting server: ${error.message}`);
@@ -0,0 +1,364 @@
+/**
+ * OData Apply Processor Module
+ * Implements the $apply query option of the OData Data Aggregation extension:
+ * groupby, aggregate, filter, compute, topcount/bottomcount, topsum/bottomsum,
+ * toppercent/bottompercent and identity, chained with '/'
+ */
+
+const odataFilterParser = require('./odata-filter-parser');
+
+// Aggregation methods usable in aggregate(<expression> with <method> as <alias>)
+const AGGREGATION_METHODS = {
+  sum: values => values.reduce((total, value) => total + Number(value), 0),
+  min: values => (values.length > 0 ? values.reduce((min, value) => (value < min ? value : min)) : null),
+  max: values => (values.length > 0 ? values.reduce((max, value) => (value > max ? value : max)) : null),
+  average: values => (values.length > 0 ? AGGREGATION_METHODS.sum(values) / values.length : null),
+  countdistinct: values => new Set(values.map(value => JSON.stringify(value))).size
+};
+
+const TOP_BOTTOM_TRANSFORMATIONS = [
+  'topcount', 'bottomcount', 'topsum', 'bottomsum', 'toppercent', 'bottompercent'
+];
+
+/**
+ * Creates an error for an invalid $apply expression
+ * @param {string} message - Error message
+ * @returns {Error} The error, flagged with a 400 status code
+ */
+function createApplyError(message) {
+  const error = new Error(`Invalid $apply expression: ${message}`);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Splits text on a separator that appears outside parentheses and string literals
+ * @param {string} text - The text to split
+ * @param {string} separator - The separator character
+ * @returns {Array<string>} The trimmed parts
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+  let inString = false;
+
+  for (const char of text) {
+    if (char === "'") {
+      inString = !inString;
+    } else if (!inString && char === '(') {
+      depth++;
+    } else if (!inString && char === ')') {
+      depth--;
+      if (depth < 0) {
+        throw createApplyError(`unbalanced parentheses in '${text}'`);
+      }
+    } else if (!inString && depth === 0 && char === separator) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+
+    current += char;
+  }
+
+  if (depth !== 0 || inString) {
+    throw createApplyError(`unbalanced parentheses or quotes in '${text}'`);
+  }
+
+  parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Parses a $apply option into its sequence of transformations
+ * @param {string} applyOption - The $apply query option
+ * @returns {Array<Object>} The transformations as { name, args }
+ */
+function parseApply(applyOption) {
+  if (typeof applyOption !== 'string' || applyOption.trim() === '') {
+    throw createApplyError('expression is empty');
+  }
+
+  return splitTopLevel(applyOption, '/').map(text => {
+    if (text === 'identity') {
+      return { name: 'identity', args: [] };
+    }
+
+    const match = text.match(/^([A-Za-z]+)\s*\(([\s\S]*)\)$/);
+    if (!match) {
+      throw createApplyError(`'${text}' is not a transformation`);
+    }
+
+    return {
+      name: match[1],
+      args: match[2].trim() === '' ? [] : splitTopLevel(match[2], ',')
+    };
+  });
+}
+
+/**
+ * Parses a value expression (property path or arithmetic) used inside a transformation
+ * @param {string} expression - The expression
+ * @returns {Object} The expression AST
+ */
+function parseExpression(expression) {
+  try {
+    return odataFilterParser.parseFilter(expression);
+  } catch (error) {
+    throw createApplyError(`'${expression}': ${error.message.replace(/^Invalid \$filter expression: /, '')}`);
+  }
+}
+
+/**
+ * Applies a $apply option to a collection
+ * @param {Array} data - The entities
+ * @param {string} applyOption - The $apply query option
+ * @returns {Array} The transformed rows
+ */
+function applyTransformations(data, applyOption) {
+  return parseApply(applyOption).reduce(
+    (rows, transformation) => applyTransformation(rows, transformation),
+    data
+  );
+}
+
+/**
+ * Applies a single transformation
+ * @param {Array} rows - The input rows
+ * @param {Object} transformation - The transformation ({ name, args })
+ * @returns {Array} The output rows
+ */
+function applyTransformation(rows, transformation) {
+  const { name, args } = transformation;
+
+  if (TOP_BOTTOM_TRANSFORMATIONS.includes(name)) {
+    return applyTopBottom(rows, name, args);
+  }
+
+  switch (name) {
+    case 'identity':
+      return rows;
+
+    case 'aggregate':
+      return [aggregate(rows, args)];
+
+    case 'groupby':
+      return groupBy(rows, args);
+
+    case 'filter': {
+      if (args.length !== 1) {
+        throw createApplyError('filter() takes exactly one expression');
+      }
+      const predicate = parseExpression(args[0]);
+      return rows.filter(row => odataFilterParser.evaluate(predicate, row) === true);
+    }
+
+    case 'compute':
+      return compute(rows, args);
+
+    default:
+      throw createApplyError(`unknown transformation '${name}'`);
+  }
+}
+
+/**
+ * Parses an '<expression> as <alias>' clause
+ * @param {string} text - The clause
+ * @param {string} transformation - The transformation the clause belongs to (for errors)
+ * @returns {Object} The expression text and alias
+ */
+function parseAlias(text, transformation) {
+  const match = text.match(/^([\s\S]+?)\s+as\s+([A-Za-z_]\w*)$/);
+  if (!match) {
+    throw createApplyError(`'${text}' in ${transformation}() must end with 'as <alias>'`);
+  }
+
+  return { expression: match[1].trim(), alias: match[2] };
+}
+
+/**
+ * Aggregates rows into a single row
+ * @param {Array} rows - The input rows
+ * @param {Array<string>} args - Aggregate expressions such as 'Price with sum as Total' or '$count as Count'
+ * @returns {Object} The aggregated row
+ */
+function aggregate(rows, args) {
+  if (args.length === 0) {
+    throw createApplyError('aggregate() requires at least one aggregate expression');
+  }
+
+  const result = {};
+
+  for (const arg of args) {
+    const { expression, alias } = parseAlias(arg, 'aggregate');
+
+    if (expression === '$count') {
+      result[alias] = rows.length;
+      continue;
+    }
+
+    const match = expression.match(/^([\s\S]+?)\s+with\s+([A-Za-z]+)$/);
+    if (!match) {
+      throw createApplyError(`'${arg}' must have the form '<expression> with <method> as <alias>'`);
+    }
+
+    const method = AGGREGATION_METHODS[match[2]];
+    if (!method) {
+      throw createApplyError(`unknown aggregation method '${match[2]}'`);
+    }
+
+    const ast = parseExpression(match[1]);
+    const values = rows
+      .map(row => odataFilterParser.evaluate(ast, row))
+      .filter(value => value !== null && value !== undefined);
+
+    result[alias] = method(values);
+  }
+
+  return result;
+}
+
+/**
+ * Groups rows by property paths and optionally transforms each group
+ * @param {Array} rows - The input rows
+ * @param {Array<string>} args - The grouping properties '(A,B/C)' and an optional transformation sequence
+ * @returns {Array} One row per group (or the rows produced by the group's transformations)
+ */
+function groupBy(rows, args) {
+  if (args.length === 0 || args.length > 2 || !/^\([\s\S]*\)$/.test(args[0])) {
+    throw createApplyError('groupby() takes a parenthesized property list and an optional transformation');
+  }
+
+  const paths = splitTopLevel(args[0].slice(1, -1), ',').map(property => {
+    if (!/^[A-Za-z_]\w*(\/[A-Za-z_]\w*)*$/.test(property)) {
+      throw createApplyError(`'${property}' is not a property path`);
+    }
+    return property.split('/');
+  });
+
+  // Group rows by the values of the grouping properties, keeping first-seen order
+  const groups = new Map();
+  for (const row of rows) {
+    const values = paths.map(path => odataFilterParser.evaluate({ type: 'property', path }, row));
+    const key = JSON.stringify(values);
+
+    if (!groups.has(key)) {
+      groups.set(key, { values, rows: [] });
+    }
+    groups.get(key).rows.push(row);
+  }
+
+  const result = [];
+  for (const group of groups.values()) {
+    const groupRow = {};
+    paths.forEach((path, index) => setPath(groupRow, path, group.values[index]));
+
+    if (args.length === 1) {
+      result.push(groupRow);
+      continue;
+    }
+
+    for (const transformed of applyTransformations(group.rows, args[1])) {
+      result.push({ ...groupRow, ...transformed });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Sets a value at a property path, creating nested objects as needed
+ * @param {Object} target - The object to update
+ * @param {Array<string>} path - The path segments
+ * @param {*} value - The value
+ */
+function setPath(target, path, value) {
+  let current = target;
+
+  for (const segment of path.slice(0, -1)) {
+    if (!current[segment] || typeof current[segment] !== 'object') {
+      current[segment] = {};
+    }
+    current = current[segment];
+  }
+
+  current[path[path.length - 1]] = value;
+}
+
+/**
+ * Adds computed properties to each row
+ * @param {Array} rows - The input rows
+ * @param {Array<string>} args - Compute expressions such as 'Price mul Quantity as Total'
+ * @returns {Array} The rows with the computed properties
+ */
+function compute(rows, args) {
+  if (args.length === 0) {
+    throw createApplyError('compute() requires at least one expression');
+  }
+
+  const computations = args.map(arg => {
+    const { expression, alias } = parseAlias(arg, 'compute');
+    return { ast: parseExpression(expression), alias };
+  });
+
+  return rows.map(row => {
+    const computed = { ...row };
+    for (const { ast, alias } of computations) {
+      const value = odataFilterParser.evaluate(ast, row);
+      computed[alias] = value === undefined ? null : value;
+    }
+    return computed;
+  });
+}
+
+/**
+ * Applies topcount, bottomcount, topsum, bottomsum, toppercent or bottompercent
+ * @param {Array} rows - The input rows
+ * @param {string} name - The transformation name
+ * @param {Array<string>} args - The limit and the value expression
+ * @returns {Array} The selected rows, ordered by the value expression
+ */
+function applyTopBottom(rows, name, args) {
+  if (args.length !== 2) {
+    throw createApplyError(`${name}() takes a number and an expression`);
+  }
+
+  const limit = Number(args[0]);
+  if (!Number.isFinite(limit) || limit < 0) {
+    throw createApplyError(`'${args[0]}' is not a valid limit for ${name}()`);
+  }
+
+  const ast = parseExpression(args[1]);
+  const direction = name.startsWith('top') ? -1 : 1;
+
+  const ranked = rows
+    .map(row => ({ row, value: Number(odataFilterParser.evaluate(ast, row)) || 0 }))
+    .sort((a, b) => (a.value - b.value) * direction);
+
+  if (name.endsWith('count')) {
+    return ranked.slice(0, limit).map(entry => entry.row);
+  }
+
+  // topsum/toppercent take the smallest prefix whose total reaches the threshold
+  const threshold = name.endsWith('percent')
+    ? ranked.reduce((total, entry) => total + entry.value, 0) * limit / 100
+    : limit;
+
+  const selected = [];
+  let total = 0;
+  for (const entry of ranked) {
+    if (total >= threshold && selected.length > 0) {
+      break;
+    }
+    selected.push(entry.row);
+    total += entry.value;
+  }
+
+  return selected;
+}
+
+module.exports = {
+  parseApply,
+  applyTransformations
+};
@@ -0,0 +1,740 @@
+/**
+ * OData Batch Processor Module
+ * Parses OData $batch requests (multipart/mixed and OData 4.01 JSON batch format),
+ * executes each sub-request against the OData router and frames the batch response
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const crudHandler = require('./crud-handler');
+const odataResponseFormatter = require('./odata-response-formatter');
+
+const CRLF = '\r\n';
+
+/**
+ * Extracts the boundary parameter from a multipart Content-Type header
+ * @param {string} contentType - The Content-Type header value
+ * @returns {string|null} The boundary or null if not present
+ */
+function getBoundary(contentType) {
+  if (!contentType) {
+    return null;
+  }
+
+  const match = contentType.match(/boundary=(?:"([^"]+)"|([^;\s]+))/i);
+  return match ? (match[1] || match[2]) : null;
+}
+
+/**
+ * Splits a multipart body into its parts
+ * @param {string} body - The multipart body
+ * @param {string} boundary - The multipart boundary
+ * @returns {Array<string>} The raw parts (without boundary lines)
+ */
+function splitMultipart(body, boundary) {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+
+  // Normalize line endings so both CRLF and LF bodies can be parsed
+  const lines = body.replace(/\r\n/g, '\n').split('\n');
+  let current = null;
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+
+    if (trimmed === `${delimiter}--`) {
+      if (current !== null) {
+        parts.push(current.join('\n'));
+      }
+      current = null;
+      break;
+    }
+
+    if (trimmed === delimiter) {
+      if (current !== null) {
+        parts.push(current.join('\n'));
+      }
+      current = [];
+      continue;
+    }
+
+    // Ignore the preamble before the first boundary
+    if (current !== null) {
+      current.push(line);
+    }
+  }
+
+  if (current !== null && current.length > 0) {
+    parts.push(current.join('\n'));
+  }
+
+  return parts;
+}
+
+/**
+ * Splits a block of text into headers and body at the first blank line
+ * @param {string} text - The text to split
+ * @returns {Object} The parsed headers (lowercased names) and remaining body
+ */
+function parseHeaderBlock(text) {
+  const lines = text.split('\n');
+  const headers = {};
+  let index = 0;
+
+  // Skip leading blank lines
+  while (index < lines.length && lines[index].trim() === '') {
+    index++;
+  }
+
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    if (line.trim() === '') {
+      index++;
+      break;
+    }
+
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  }
+
+  return {
+    headers,
+    body: lines.slice(index).join('\n')
+  };
+}
+
+/**
+ * Parses an embedded HTTP request (application/http part body)
+ * @param {string} text - The raw HTTP request text
+ * @returns {Object} The request with method, url, headers and body
+ */
+function parseHttpRequest(text) {
+  const lines = text.replace(/^\n+/, '').split('\n');
+  const requestLine = lines.shift() || '';
+  const match = requestLine.trim().match(/^([A-Z]+)\s+(\S+)(?:\s+HTTP\/\d\.\d)?$/i);
+
+  if (!match) {
+    throw createBatchError(`Invalid request line in batch part: ${requestLine.trim()}`);
+  }
+
+  const { headers, body } = parseHeaderBlock(lines.join('\n'));
+  const trimmedBody = body.replace(/\n+$/, '');
+
+  return {
+    method: match[1].toUpperCase(),
+    url: match[2],
+    headers,
+    body: trimmedBody === '' ? undefined : trimmedBody
+  };
+}
+
+/**
+ * Parses a multipart/mixed batch body into batch items
+ * @param {string} body - The batch request body
+ * @param {string} boundary - The batch boundary
+ * @returns {Array<Object>} Items, either single requests or changesets of requests
+ */
+function parseMultipartBatch(body, boundary) {
+  if (typeof body !== 'string') {
+    throw createBatchError('Batch request body must be a multipart/mixed document');
+  }
+
+  const items = [];
+
+  for (const part of splitMultipart(body, boundary)) {
+    const { headers, body: partBody } = parseHeaderBlock(part);
+    const partType = headers['content-type'] || '';
+
+    if (partType.toLowerCase().startsWith('multipart/mixed')) {
+      const changesetBoundary = getBoundary(partType);
+      if (!changesetBoundary) {
+        throw createBatchError('Changeset is missing a boundary');
+      }
+
+      const requests = splitMultipart(partBody, changesetBoundary).map(changesetPart => {
+        const parsedPart = parseHeaderBlock(changesetPart);
+        const request = parseHttpRequest(parsedPart.body);
+        request.contentId = parsedPart.headers['content-id'];
+
+        if (request.method === 'GET') {
+          throw createBatchError('Changesets must not contain GET requests');
+        }
+
+        return request;
+      });
+
+      items.push({ type: 'changeset', requests });
+    } else {
+      const request = parseHttpRequest(partBody);
+      request.contentId = headers['content-id'];
+      items.push({ type: 'request', request });
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Creates an error raised for malformed batch requests
+ * @param {string} message - Error message
+ * @returns {Error} The error, flagged with a 400 status code
+ */
+function createBatchError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Resolves a sub-request URL to a path relative to the OData service root
+ * @param {string} url - The sub-request URL (relative, absolute-path or absolute)
+ * @param {Object} context - Batch execution context
+ * @returns {string} The path and query relative to the service root, starting with '/'
+ */
+function resolveRequestUrl(url, context) {
+  let target = url;
+
+  // Substitute Content-ID references ($1/Orders) with the referenced resource
+  const reference = target.match(/^\$([^/?]+)(.*)$/);
+  if (reference && context.references.has(reference[1])) {
+    target = `${context.references.get(reference[1])}${reference[2]}`;
+  }
+
+  // Strip scheme and host from absolute URLs
+  if (/^https?:\/\//i.test(target)) {
+    const parsed = new URL(target);
+    target = `${parsed.pathname}${parsed.search}`;
+  }
+
+  if (target.startsWith('/')) {
+    // Absolute path: strip the service base path
+    const basePath = context.basePath || '';
+    if (basePath && target.startsWith(basePath)) {
+      target = target.slice(basePath.length);
+    }
+    return target.startsWith('/') ? target : `/${target}`;
+  }
+
+  // Relative to the service root
+  return `/${target}`;
+}
+
+/**
+ * Creates a request object that can be dispatched through an Express router
+ * @param {Object} request - The parsed sub-request
+ * @param {Object} context - Batch execution context
+ * @returns {Object} The request object
+ */
+function createSubRequest(request, context) {
+  const url = resolveRequestUrl(request.url, context);
+  const queryIndex = url.indexOf('?');
+  const search = queryIndex === -1 ? '' : url.slice(queryIndex + 1);
+
+  const headers = {};
+  for (const [name, value] of Object.entries(request.headers || {})) {
+    headers[name.toLowerCase()] = value;
+  }
+  if (!headers.host && context.host) {
+    headers.host = context.host;
+  }
+
+  let body = request.body;
+  if (typeof body === 'string' && (headers['content-type'] || 'application/json').includes('json')) {
+    try {
+      body = JSON.parse(body);
+    } catch (error) {
+      throw createBatchError(`Invalid JSON body in batch request ${request.method} ${request.url}`);
+    }
+  }
+
+  return {
+    method: request.method.toUpperCase(),
+    url,
+    originalUrl: `${context.basePath || ''}${url}`,
+    baseUrl: '',
+    // Like Express's req.path, follows the url the router rewrites while dispatching
+    get path() {
+      const index = this.url.indexOf('?');
+      return index === -1 ? this.url : this.url.slice(0, index);
+    },
+    headers,
+    body: body === undefined ? {} : body,
+    query: Object.fromEntries(new URLSearchParams(search)),
+    params: {},
+    protocol: context.protocol || 'http',
+    // Mark the body as parsed so body parsers on the route leave it alone
+    _body: true,
+    get(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    header(name) {
+      return this.get(name);
+    }
+  };
+}
+
+/**
+ * Creates a response object that captures what a route handler sends
+ * @param {Function} onEnd - Called with the response once it has been sent
+ * @returns {Object} The response object
+ */
+function createSubResponse(onEnd) {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    headersSent: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      if (typeof name === 'object') {
+        for (const [key, headerValue] of Object.entries(name)) {
+          this.set(key, headerValue);
+        }
+        return this;
+      }
+      this.headers[name.toLowerCase()] = String(value);
+      return this;
+    },
+    header(name, value) {
+      return this.set(name, value);
+    },
+    setHeader(name, value) {
+      this.set(name, value);
+    },
+    get(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    getHeader(name) {
+      return this.get(name);
+    },
+    removeHeader(name) {
+      delete this.headers[name.toLowerCase()];
+    },
+    type(type) {
+      const shortTypes = { json: 'application/json', xml: 'application/xml', text: 'text/plain', html: 'text/html' };
+      return this.set('Content-Type', shortTypes[type] || type);
+    },
+    location(url) {
+      return this.set('Location', url);
+    },
+    json(data) {
+      if (!this.get('content-type')) {
+        this.type('json');
+      }
+      return this.end(data);
+    },
+    send(data) {
+      if (data !== null && typeof data === 'object' && !Buffer.isBuffer(data)) {
+        return this.json(data);
+      }
+      return this.end(data);
+    },
+    sendStatus(code) {
+      return this.status(code).end();
+    },
+    end(data) {
+      if (this.headersSent) {
+        return this;
+      }
+      if (data !== undefined) {
+        this.body = Buffer.isBuffer(data) ? data.toString('utf8') : data;
+      }
+      this.headersSent = true;
+      onEnd(this);
+      return this;
+    }
+  };
+}
+
+/**
+ * Executes a single sub-request through the OData router
+ * @param {Object} request - The parsed sub-request
+ * @param {Object} context - Batch execution context
+ * @returns {Promise<Object>} The captured response (status, headers, body)
+ */
+function executeRequest(request, context) {
+  return new Promise(resolve => {
+    const finish = res => resolve({
+      status: res.statusCode,
+      headers: res.headers,
+      body: res.body
+    });
+
+    let subRequest;
+    try {
+      subRequest = createSubRequest(request, context);
+    } catch (error) {
+      resolve(createErrorResult(error.statusCode || 500, 'BadRequest', error.message));
+      return;
+    }
+
+    if (/^\/\$batch(\?|$)/.test(subRequest.url)) {
+      resolve(createErrorResult(400, 'BadRequest', 'Nested $batch requests are not supported'));
+      return;
+    }
+
+    const subResponse = createSubResponse(finish);
+
+    context.router.handle(subRequest, subResponse, error => {
+      if (subResponse.headersSent) {
+        return;
+      }
+
+      if (error) {
+        resolve(createErrorResult(500, 'InternalServerError', error.message));
+        return;
+      }
+
+      resolve(createErrorResult(
+        404,
+        'NotFound',
+        `No OData resource found for ${subRequest.method} ${request.url}`
+      ));
+    });
+  });
+}
+
+/**
+ * Creates an error result in the captured response format
+ * @param {number} status - HTTP status code
+ * @param {string} code - OData error code
+ * @param {string} message - Error message
+ * @returns {Object} The error result
+ */
+function createErrorResult(status, code, message) {
+  return {
+    status,
+    headers: { 'content-type': 'application/json' },
+    body: odataResponseFormatter.formatError(code, message)
+  };
+}
+
+/**
+ * Records the resource URL of a successful request so later requests can reference it
+ * @param {string} id - The Content-ID or request id
+ * @param {Object} request - The sub-request
+ * @param {Object} result - The captured response
+ * @param {Object} context - Batch execution context
+ */
+function registerReference(id, request, result, context) {
+  if (id === undefined || id === null || id === '') {
+    return;
+  }
+
+  const location = result.headers.location || result.headers['odata-entityid'];
+  context.references.set(String(id), location || request.url.split('?')[0]);
+}
+
+/**
+ * Executes a group of requests atomically, rolling back the data store on failure
+ * @param {Array<Object>} requests - The requests in the group
+ * @param {Object} context - Batch execution context
+ * @param {Function} getId - Returns the reference id of a request
+ * @returns {Promise<Object>} Results and whether the group failed
+ */
+async function executeAtomically(requests, context, getId) {
+  const snapshot = crudHandler.createSnapshot(context.apiName);
+  const results = [];
+
+  for (const request of requests) {
+    const result = await executeRequest(request, context);
+    results.push(result);
+
+    if (result.status >= 400) {
+      crudHandler.restoreSnapshot(context.apiName, snapshot);
+
+      // References created inside a rolled back group are no longer valid
+      for (const groupRequest of requests) {
+        context.references.delete(String(getId(groupRequest)));
+      }
+
+      return { results, failed: true, failure: result };
+    }
+
+    registerReference(getId(request), request, result, context);
+  }
+
+  crudHandler.commitSnapshot(context.apiName, snapshot);
+  return { results, failed: false };
+}
+
+/**
+ * Processes a multipart/mixed batch request
+ * @param {string} body - The batch request body
+ * @param {string} boundary - The batch boundary
+ * @param {Object} context - Batch execution context
+ * @returns {Promise<Object>} The response body and its boundary
+ */
+async function processMultipartBatch(body, boundary, context) {
+  const items = parseMultipartBatch(body, boundary);
+  const executionContext = { references: new Map(), ...context };
+  const parts = [];
+
+  for (const item of items) {
+    if (item.type === 'changeset') {
+      const outcome = await executeAtomically(item.requests, executionContext, request => request.contentId);
+
+      if (outcome.failed) {
+        // A failed changeset is answered with a single response describing the failure
+        parts.push({ type: 'response', result: outcome.failure });
+      } else {
+        parts.push({
+          type: 'changeset',
+          responses: outcome.results.map((result, index) => ({
+            result,
+            contentId: item.requests[index].contentId
+          }))
+        });
+      }
+
+      if (outcome.failed && !context.continueOnError) {
+        break;
+      }
+      continue;
+    }
+
+    const result = await executeRequest(item.request, executionContext);
+    parts.push({ type: 'response', result, contentId: item.request.contentId });
+
+    if (result.status >= 400 && !context.continueOnError) {
+      break;
+    }
+  }
+
+  const responseBoundary = `batchresponse_${crypto.randomUUID()}`;
+  return {
+    boundary: responseBoundary,
+    body: formatMultipartResponse(parts, responseBoundary)
+  };
+}
+
+/**
+ * Serializes a captured response as an application/http part
+ * @param {Object} result - The captured response
+ * @param {string} contentId - Optional Content-ID of the request
+ * @returns {string} The serialized part (headers and embedded HTTP response)
+ */
+function formatHttpPart(result, contentId) {
+  const lines = [
+    'Content-Type: application/http',
+    'Content-Transfer-Encoding: binary'
+  ];
+
+  if (contentId !== undefined) {
+    lines.push(`Content-ID: ${contentId}`);
+  }
+
+  lines.push('', `HTTP/1.1 ${result.status} ${http.STATUS_CODES[result.status] || ''}`.trimEnd());
+
+  const body = serializeBody(result.body);
+  for (const [name, value] of Object.entries(result.headers)) {
+    // Content-Length is recomputed for the serialized body
+    if (name === 'content-length') {
+      continue;
+    }
+    lines.push(`${formatHeaderName(name)}: ${value}`);
+  }
+
+  lines.push('', body);
+  return lines.join(CRLF);
+}
+
+/**
+ * Serializes a multipart/mixed batch response
+ * @param {Array<Object>} parts - Response parts and changeset responses
+ * @param {string} boundary - The batch response boundary
+ * @returns {string} The multipart response body
+ */
+function formatMultipartResponse(parts, boundary) {
+  const sections = [];
+
+  for (const part of parts) {
+    if (part.type === 'changeset') {
+      const changesetBoundary = `changesetresponse_${crypto.randomUUID()}`;
+      const changesetSections = part.responses.map(response =>
+        `--${changesetBoundary}${CRLF}${formatHttpPart(response.result, response.contentId)}`
+      );
+
+      sections.push([
+        `--${boundary}`,
+        `Content-Type: multipart/mixed; boundary=${changesetBoundary}`,
+        '',
+        ...changesetSections,
+        `--${changesetBoundary}--`
+      ].join(CRLF));
+    } else {
+      sections.push(`--${boundary}${CRLF}${formatHttpPart(part.result, part.contentId)}`);
+    }
+  }
+
+  sections.push(`--${boundary}--`, '');
+  return sections.join(CRLF);
+}
+
+/**
+ * Processes an OData 4.01 JSON batch request
+ * @param {Object} body - The parsed JSON batch request
+ * @param {Object} context - Batch execution context
+ * @returns {Promise<Object>} The JSON batch response
+ */
+async function processJsonBatch(body, context) {
+  if (!body || !Array.isArray(body.requests)) {
+    throw createBatchError('JSON batch request must contain a "requests" array');
+  }
+
+  const executionContext = { references: new Map(), ...context };
+  const requests = body.requests;
+  const failedIds = new Set();
+  const responses = [];
+  let stopped = false;
+
+  for (let index = 0; index < requests.length;) {
+    const request = requests[index];
+
+    if (!request || !request.id || !request.method || !request.url) {
+      throw createBatchError('Each JSON batch request must have an id, method and url');
+    }
+
+    // Collect consecutive requests of the same atomicity group
+    const group = [request];
+    if (request.atomicityGroup) {
+      while (index + group.length < requests.length &&
+             requests[index + group.length].atomicityGroup === request.atomicityGroup) {
+        group.push(requests[index + group.length]);
+      }
+    }
+    index += group.length;
+
+    if (stopped) {
+      break;
+    }
+
+    const dependencyFailed = group.some(groupRequest =>
+      (groupRequest.dependsOn || []).some(dependency => failedIds.has(dependency))
+    );
+
+    if (dependencyFailed) {
+      for (const groupRequest of group) {
+        failedIds.add(groupRequest.id);
+        responses.push(formatJsonResponse(groupRequest, createErrorResult(
+          424,
+          'FailedDependency',
+          `Request ${groupRequest.id} depends on a request that failed`
+        )));
+      }
+      if (request.atomicityGroup) {
+        failedIds.add(request.atomicityGroup);
+      }
+      continue;
+    }
+
+    const outcome = request.atomicityGroup
+      ? await executeAtomically(group, executionContext, groupRequest => groupRequest.id)
+      : await executeSingleJsonRequest(request, executionContext);
+
+    group.forEach((groupRequest, groupIndex) => {
+      let result = outcome.results[groupIndex];
+
+      if (outcome.failed) {
+        failedIds.add(groupRequest.id);
+
+        // Requests of a rolled back group that were not the cause of the failure
+        if (result !== outcome.failure) {
+          result = createErrorResult(
+            424,
+            'FailedDependency',
+            `Request ${groupRequest.id} was rolled back because atomicity group ${request.atomicityGroup} failed`
+          );
+        }
+      }
+
+      responses.push(formatJsonResponse(groupRequest, result));
+    });
+
+    if (outcome.failed) {
+      if (request.atomicityGroup) {
+        failedIds.add(request.atomicityGroup);
+      }
+      stopped = !context.continueOnError;
+    }
+  }
+
+  return { responses };
+}
+
+/**
+ * Executes a JSON batch request that is not part of an atomicity group
+ * @param {Object} request - The JSON batch request
+ * @param {Object} context - Batch execution context
+ * @returns {Promise<Object>} Results and whether the request failed
+ */
+async function executeSingleJsonRequest(request, context) {
+  const result = await executeRequest(request, context);
+  const failed = result.status >= 400;
+
+  if (!failed) {
+    registerReference(request.id, request, result, context);
+  }
+
+  return { results: [result], failed, failure: failed ? result : null };
+}
+
+/**
+ * Formats a captured response as a JSON batch response entry
+ * @param {Object} request - The JSON batch request
+ * @param {Object} result - The captured response
+ * @returns {Object} The JSON batch response entry
+ */
+function formatJsonResponse(request, result) {
+  const response = {
+    id: request.id,
+    status: result.status,
+    headers: { ...result.headers }
+  };
+
+  if (request.atomicityGroup) {
+    response.atomicityGroup = request.atomicityGroup;
+  }
+
+  if (result.body !== undefined && result.body !== '') {
+    response.body = result.body;
+  }
+
+  return response;
+}
+
+/**
+ * Serializes a response body for a multipart part
+ * @param {*} body - The body
+ * @returns {string} The serialized body
+ */
+function serializeBody(body) {
+  if (body === undefined || body === null) {
+    return '';
+  }
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+/**
+ * Formats a lowercased header name in canonical case (odata-version -> OData-Version)
+ * @param {string} name - The header name
+ * @returns {string} The formatted header name
+ */
+function formatHeaderName(name) {
+  return name
+    .split('-')
+    .map(part => (part === 'odata' ? 'OData' : part.charAt(0).toUpperCase() + part.slice(1)))
+    .join('-');
+}
+
+module.exports = {
+  getBoundary,
+  parseMultipartBatch,
+  processMultipartBatch,
+  processJsonBatch
+};
@@ -0,0 +1,808 @@
+/**
+ * OData Filter Parser Module
+ * Tokenizes and parses $filter expressions into an AST and evaluates the AST against entities
+ */
+
+// Binary operators by precedence level, lowest first
+const PRECEDENCE_LEVELS = [
+  ['or'],
+  ['and'],
+  ['eq', 'ne'],
+  ['gt', 'ge', 'lt', 'le', 'in', 'has', 'contains'],
+  ['add', 'sub'],
+  ['mul', 'div', 'divby', 'mod']
+];
+
+const BINARY_OPERATORS = new Set(PRECEDENCE_LEVELS.flat());
+
+const FUNCTIONS = new Set([
+  'contains', 'startswith', 'endswith', 'tolower', 'toupper', 'trim', 'length',
+  'indexof', 'substring', 'concat', 'year', 'month', 'day', 'hour', 'minute',
+  'second', 'date', 'now', 'round', 'floor', 'ceiling', 'substringof'
+]);
+
+// Literal patterns tried in order at the current position
+const LITERAL_PATTERNS = [
+  {
+    edmType: 'Edm.Guid',
+    pattern: /^(?:guid')?([0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12})'?/,
+    parse: match => match[1].toLowerCase()
+  },
+  {
+    edmType: 'Edm.DateTimeOffset',
+    pattern: /^(?:datetime(?:offset)?')?(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})?)'?/i,
+    parse: match => new Date(match[1])
+  },
+  {
+    edmType: 'Edm.Date',
+    pattern: /^(\d{4}-\d{2}-\d{2})(?![\d:T])/,
+    parse: match => new Date(`${match[1]}T00:00:00Z`)
+  },
+  {
+    edmType: 'Edm.Duration',
+    pattern: /^duration'(-?P[^']+)'/i,
+    parse: match => parseDuration(match[1])
+  }
+];
+
+/**
+ * Creates an error for an invalid $filter expression
+ * @param {string} message - Error message
+ * @returns {Error} The error, flagged with a 400 status code
+ */
+function createFilterError(message) {
+  const error = new Error(`Invalid $filter expression: ${message}`);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Parses an ISO 8601 day-time duration
+ * @param {string} value - The duration (e.g. P1DT2H30M)
+ * @returns {Object} The duration value, holding its length in milliseconds
+ */
+function parseDuration(value) {
+  const match = value.match(/^(-)?P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+  if (!match || value.match(/^-?P$/i)) {
+    throw createFilterError(`invalid duration '${value}'`);
+  }
+
+  const [, sign, days, hours, minutes, seconds] = match;
+  const milliseconds = (parseFloat(days || 0) * 86400 +
+    parseFloat(hours || 0) * 3600 +
+    parseFloat(minutes || 0) * 60 +
+    parseFloat(seconds || 0)) * 1000;
+
+  return { duration: sign ? -milliseconds : milliseconds };
+}
+
+/**
+ * Splits a $filter expression into tokens
+ * @param {string} expression - The $filter expression
+ * @returns {Array<Object>} The tokens
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < expression.length) {
+    const rest = expression.slice(position);
+    const char = rest[0];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    if ('(),:/'.includes(char)) {
+      tokens.push({ type: 'punctuation', value: char, position });
+      position++;
+      continue;
+    }
+
+    if (char === "'") {
+      // String literal with '' as escaped quote
+      let value = '';
+      let index = 1;
+      while (true) {
+        if (index >= rest.length) {
+          throw createFilterError(`unterminated string literal at position ${position}`);
+        }
+        if (rest[index] === "'") {
+          if (rest[index + 1] === "'") {
+            value += "'";
+            index += 2;
+            continue;
+          }
+          break;
+        }
+        value += rest[index];
+        index++;
+      }
+      tokens.push({ type: 'literal', value, edmType: 'Edm.String', position });
+      position += index + 1;
+      continue;
+    }
+
+    const literal = matchTypedLiteral(rest);
+    if (literal) {
+      tokens.push({ type: 'literal', value: literal.value, edmType: literal.edmType, position });
+      position += literal.length;
+      continue;
+    }
+
+    const number = rest.match(/^-?\d+(\.\d+)?([eE][+-]?\d+)?[mMlLdDfF]?(?![A-Za-z_])/);
+    if (number && (char !== '-' || isOperandExpected(tokens))) {
+      const text = number[0].replace(/[mMlLdDfF]$/, '');
+      tokens.push({
+        type: 'literal',
+        value: parseFloat(text),
+        edmType: /[.eE]/.test(text) ? 'Edm.Double' : 'Edm.Int64',
+        position
+      });
+      position += number[0].length;
+      continue;
+    }
+
+    if (char === '-') {
+      tokens.push({ type: 'operator', value: '-', position });
+      position++;
+      continue;
+    }
+
+    const identifier = rest.match(/^[A-Za-z_$@][A-Za-z0-9_.]*/);
+    if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0], position });
+      position += identifier[0].length;
+      continue;
+    }
+
+    throw createFilterError(`unexpected character '${char}' at position ${position}`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Matches a typed literal (guid, date, datetimeoffset, duration) at the start of text
+ * @param {string} text - The remaining expression text
+ * @returns {Object|null} The literal value, type and matched length
+ */
+function matchTypedLiteral(text) {
+  for (const { edmType, pattern, parse } of LITERAL_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      const value = parse(match);
+      if (value instanceof Date && isNaN(value.getTime())) {
+        throw createFilterError(`invalid date literal '${match[0]}'`);
+      }
+      return { value, edmType, length: match[0].length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Determines whether the next token must be an operand (used to read negative numbers)
+ * @param {Array<Object>} tokens - Tokens read so far
+ * @returns {boolean} True if an operand is expected
+ */
+function isOperandExpected(tokens) {
+  const previous = tokens[tokens.length - 1];
+  if (!previous) {
+    return true;
+  }
+  if (previous.type === 'punctuation') {
+    return previous.value !== ')';
+  }
+  if (previous.type === 'operator') {
+    return true;
+  }
+  return previous.type === 'identifier' && (BINARY_OPERATORS.has(previous.value) || previous.value === 'not');
+}
+
+/**
+ * Parses a $filter expression into an AST
+ * @param {string} expression - The $filter expression
+ * @returns {Object} The root AST node
+ */
+function parseFilter(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw createFilterError('expression is empty');
+  }
+
+  const tokens = tokenize(expression);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+
+  const isPunctuation = (token, value) => token && token.type === 'punctuation' && token.value === value;
+
+  const expect = value => {
+    const token = next();
+    if (!isPunctuation(token, value)) {
+      throw createFilterError(`expected '${value}' ${describePosition(token)}`);
+    }
+  };
+
+  const describePosition = token => (token ? `at position ${token.position}` : 'at end of expression');
+
+  const parseBinary = level => {
+    if (level >= PRECEDENCE_LEVELS.length) {
+      return parseUnary();
+    }
+
+    let left = parseBinary(level + 1);
+
+    while (peek() && peek().type === 'identifier' && PRECEDENCE_LEVELS[level].includes(peek().value)) {
+      const operator = next().value;
+
+      if (operator === 'in') {
+        left = { type: 'in', operand: left, list: parseList() };
+        continue;
+      }
+
+      const right = parseBinary(level + 1);
+      left = { type: 'binary', operator, left, right };
+    }
+
+    return left;
+  };
+
+  const parseList = () => {
+    expect('(');
+    const items = [];
+    if (!isPunctuation(peek(), ')')) {
+      items.push(parseBinary(0));
+      while (isPunctuation(peek(), ',')) {
+        next();
+        items.push(parseBinary(0));
+      }
+    }
+    expect(')');
+    return items;
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+
+    if (token && token.type === 'identifier' && token.value === 'not') {
+      next();
+      return { type: 'not', operand: parseUnary() };
+    }
+
+    if (token && token.type === 'operator' && token.value === '-') {
+      next();
+      return { type: 'negate', operand: parseUnary() };
+    }
+
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (!token) {
+      throw createFilterError('unexpected end of expression');
+    }
+
+    if (isPunctuation(token, '(')) {
+      const expressionNode = parseBinary(0);
+      expect(')');
+      return expressionNode;
+    }
+
+    if (token.type === 'literal') {
+      return { type: 'literal', value: token.value, edmType: token.edmType };
+    }
+
+    if (token.type === 'identifier') {
+      if (token.value === 'null') {
+        return { type: 'literal', value: null, edmType: null };
+      }
+      if (token.value === 'true' || token.value === 'false') {
+        return { type: 'literal', value: token.value === 'true', edmType: 'Edm.Boolean' };
+      }
+      if (BINARY_OPERATORS.has(token.value) && token.value !== 'contains') {
+        throw createFilterError(`unexpected operator '${token.value}' at position ${token.position}`);
+      }
+
+      // Function call
+      if (isPunctuation(peek(), '(')) {
+        const name = token.value.toLowerCase();
+        if (!FUNCTIONS.has(name)) {
+          throw createFilterError(`unknown function '${token.value}' at position ${token.position}`);
+        }
+        return { type: 'call', name, args: parseList() };
+      }
+
+      return parsePath(token.value);
+    }
+
+    throw createFilterError(`unexpected '${token.value}' at position ${token.position}`);
+  };
+
+  const parsePath = first => {
+    const segments = [first];
+    let node = { type: 'property', path: segments };
+
+    while (isPunctuation(peek(), '/')) {
+      next();
+      const segment = next();
+      if (!segment || segment.type !== 'identifier') {
+        throw createFilterError(`expected property name ${describePosition(segment)}`);
+      }
+
+      // Lambda operators: Tags/any(t: t eq 'x'), Orders/all(o: o/Total gt 5)
+      if ((segment.value === 'any' || segment.value === 'all') && isPunctuation(peek(), '(')) {
+        next();
+        let variable = null;
+        let predicate = null;
+
+        if (!isPunctuation(peek(), ')')) {
+          const variableToken = next();
+          if (!variableToken || variableToken.type !== 'identifier') {
+            throw createFilterError(`expected lambda variable ${describePosition(variableToken)}`);
+          }
+          variable = variableToken.value;
+          expect(':');
+          predicate = parseBinary(0);
+        } else if (segment.value === 'all') {
+          throw createFilterError('all() requires a lambda predicate');
+        }
+
+        expect(')');
+        node = { type: 'lambda', operator: segment.value, collection: node, variable, predicate };
+        continue;
+      }
+
+      if (node.type !== 'property') {
+        throw createFilterError(`unexpected path segment '${segment.value}' after lambda`);
+      }
+      segments.push(segment.value);
+    }
+
+    return node;
+  };
+
+  const ast = parseBinary(0);
+
+  if (index < tokens.length) {
+    throw createFilterError(`unexpected '${tokens[index].value}' at position ${tokens[index].position}`);
+  }
+
+  return ast;
+}
+
+/**
+ * Evaluates an AST node against an entity
+ * @param {Object} node - The AST node
+ * @param {Object} item - The entity
+ * @param {Object} scope - Lambda variables in scope
+ * @returns {*} The value of the expression
+ */
+function evaluate(node, item, scope = {}) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'property':
+      return resolvePath(node.path, item, scope);
+
+    case 'not': {
+      const value = evaluate(node.operand, item, scope);
+      return value === null || value === undefined ? null : !value;
+    }
+
+    case 'negate': {
+      const value = evaluate(node.operand, item, scope);
+      if (value === null || value === undefined) {
+        return null;
+      }
+      if (value && value.duration !== undefined) {
+        return { duration: -value.duration };
+      }
+      return -toNumber(value, '-');
+    }
+
+    case 'in': {
+      const value = evaluate(node.operand, item, scope);
+      return node.list.some(entry => compareValues(value, evaluate(entry, item, scope), entry.edmType) === 0);
+    }
+
+    case 'lambda':
+      return evaluateLambda(node, item, scope);
+
+    case 'call':
+      return callFunction(node.name, node.args.map(arg => evaluate(arg, item, scope)));
+
+    case 'binary':
+      return evaluateBinary(node, item, scope);
+
+    default:
+      throw createFilterError(`unsupported node type '${node.type}'`);
+  }
+}
+
+/**
+ * Resolves a property path, starting from a lambda variable when the first segment names one
+ * @param {Array<string>} path - The path segments
+ * @param {Object} item - The entity
+ * @param {Object} scope - Lambda variables in scope
+ * @returns {*} The property value or null
+ */
+function resolvePath(path, item, scope) {
+  let value;
+  let segments = path;
+
+  if (Object.prototype.hasOwnProperty.call(scope, path[0])) {
+    value = scope[path[0]];
+    segments = path.slice(1);
+  } else if (path[0] === '$it' || path[0] === '$this') {
+    value = path[0] === '$this' && scope.$this !== undefined ? scope.$this : item;
+    segments = path.slice(1);
+  } else {
+    value = item;
+  }
+
+  for (const segment of segments) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    value = value[segment];
+  }
+
+  return value === undefined ? null : value;
+}
+
+/**
+ * Evaluates an any/all lambda expression
+ * @param {Object} node - The lambda node
+ * @param {Object} item - The entity
+ * @param {Object} scope - Lambda variables in scope
+ * @returns {boolean} The result of the lambda
+ */
+function evaluateLambda(node, item, scope) {
+  const collection = evaluate(node.collection, item, scope);
+  if (!Array.isArray(collection)) {
+    return false;
+  }
+
+  if (!node.predicate) {
+    return collection.length > 0;
+  }
+
+  const test = element => evaluate(node.predicate, item, {
+    ...scope,
+    [node.variable]: element,
+    $this: element
+  }) === true;
+
+  return node.operator === 'any' ? collection.some(test) : collection.every(test);
+}
+
+/**
+ * Evaluates a binary operator node
+ * @param {Object} node - The binary node
+ * @param {Object} item - The entity
+ * @param {Object} scope - Lambda variables in scope
+ * @returns {*} The result
+ */
+function evaluateBinary(node, item, scope) {
+  const { operator } = node;
+
+  if (operator === 'and') {
+    return evaluate(node.left, item, scope) === true && evaluate(node.right, item, scope) === true;
+  }
+
+  if (operator === 'or') {
+    return evaluate(node.left, item, scope) === true || evaluate(node.right, item, scope) === true;
+  }
+
+  const left = evaluate(node.left, item, scope);
+  const right = evaluate(node.right, item, scope);
+  const edmType = node.right.edmType || node.left.edmType;
+
+  switch (operator) {
+    case 'eq':
+      return compareValues(left, right, edmType) === 0;
+    case 'ne':
+      return compareValues(left, right, edmType) !== 0;
+    case 'gt':
+    case 'ge':
+    case 'lt':
+    case 'le': {
+      const comparison = compareValues(left, right, edmType);
+      if (comparison === null || Number.isNaN(comparison)) {
+        return false;
+      }
+      return {
+        gt: comparison > 0,
+        ge: comparison >= 0,
+        lt: comparison < 0,
+        le: comparison <= 0
+      }[operator];
+    }
+    case 'has':
+      return left !== null && right !== null && String(left).split(/\s*,\s*/).includes(String(right));
+    case 'contains':
+      // Legacy infix form: Name contains 'abc'
+      return callFunction('contains', [left, right]);
+    default:
+      return evaluateArithmetic(operator, left, right);
+  }
+}
+
+/**
+ * Evaluates an arithmetic operator
+ * @param {string} operator - add, sub, mul, div, divby or mod
+ * @param {*} left - Left operand
+ * @param {*} right - Right operand
+ * @returns {*} The result (number, Date or duration)
+ */
+function evaluateArithmetic(operator, left, right) {
+  if (left === null || left === undefined || right === null || right === undefined) {
+    return null;
+  }
+
+  // Date and duration arithmetic
+  const leftDate = toDate(left);
+  if ((operator === 'add' || operator === 'sub') && right && right.duration !== undefined && leftDate) {
+    const offset = operator === 'add' ? right.duration : -right.duration;
+    return new Date(leftDate.getTime() + offset);
+  }
+  if (operator === 'sub' && leftDate && toDate(right) && typeof left !== 'number') {
+    return { duration: leftDate.getTime() - toDate(right).getTime() };
+  }
+
+  const a = toNumber(left, operator);
+  const b = toNumber(right, operator);
+
+  switch (operator) {
+    case 'add':
+      return a + b;
+    case 'sub':
+      return a - b;
+    case 'mul':
+      return a * b;
+    case 'div':
+      if (b === 0) {
+        return null;
+      }
+      return Number.isInteger(a) && Number.isInteger(b) ? Math.trunc(a / b) : a / b;
+    case 'divby':
+      return b === 0 ? null : a / b;
+    case 'mod':
+      return b === 0 ? null : a % b;
+    default:
+      throw createFilterError(`unsupported operator '${operator}'`);
+  }
+}
+
+/**
+ * Converts a value to a number for arithmetic
+ * @param {*} value - The value
+ * @param {string} operator - The operator (for error messages)
+ * @returns {number} The number
+ */
+function toNumber(value, operator) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) {
+    return parseFloat(value);
+  }
+  throw createFilterError(`operator '${operator}' requires numeric operands`);
+}
+
+/**
+ * Converts a value to a Date if it is a Date or an ISO date string
+ * @param {*} value - The value
+ * @returns {Date|null} The date or null
+ */
+function toDate(value) {
+  if (value instanceof Date) {
+    return value;
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const date = new Date(value.length === 10 ? `${value}T00:00:00Z` : value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+}
+
+/**
+ * Compares two values using OData semantics
+ * @param {*} left - Left value
+ * @param {*} right - Right value
+ * @param {string} edmType - Edm type of the literal side, if any
+ * @returns {number|null} Negative, zero or positive; null if the values can't be ordered
+ */
+function compareValues(left, right, edmType) {
+  const leftMissing = left === null || left === undefined;
+  const rightMissing = right === null || right === undefined;
+
+  if (leftMissing || rightMissing) {
+    return leftMissing && rightMissing ? 0 : null;
+  }
+
+  if (left instanceof Date || right instanceof Date ||
+      edmType === 'Edm.DateTimeOffset' || edmType === 'Edm.Date') {
+    const leftDate = toDate(left);
+    const rightDate = toDate(right);
+    if (leftDate && rightDate) {
+      if (edmType === 'Edm.Date') {
+        return leftDate.toISOString().slice(0, 10).localeCompare(rightDate.toISOString().slice(0, 10));
+      }
+      return leftDate.getTime() - rightDate.getTime();
+    }
+  }
+
+  if ((left && left.duration !== undefined) || (right && right.duration !== undefined)) {
+    const toMilliseconds = value => (value && value.duration !== undefined
+      ? value.duration
+      : parseDuration(String(value)).duration);
+    return toMilliseconds(left) - toMilliseconds(right);
+  }
+
+  if (edmType === 'Edm.Guid') {
+    return String(left).toLowerCase().localeCompare(String(right).toLowerCase());
+  }
+
+  if (typeof left === 'number' && typeof right === 'number') {
+    return left - right;
+  }
+
+  if (typeof left === 'boolean' || typeof right === 'boolean') {
+    return left === right ? 0 : null;
+  }
+
+  // Numeric strings compared with numbers
+  if (typeof left === 'number' || typeof right === 'number') {
+    const a = Number(left);
+    const b = Number(right);
+    return isNaN(a) || isNaN(b) ? null : a - b;
+  }
+
+  if (typeof left === 'string' && typeof right === 'string') {
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+
+  return JSON.stringify(left) === JSON.stringify(right) ? 0 : null;
+}
+
+/**
+ * Calls a built-in $filter function
+ * @param {string} name - The function name (lowercase)
+ * @param {Array} args - The evaluated arguments
+ * @returns {*} The function result
+ */
+function callFunction(name, args) {
+  const expectArgs = (min, max = min) => {
+    if (args.length < min || args.length > max) {
+      throw createFilterError(`function ${name}() expects ${min === max ? min : `${min}-${max}`} argument(s)`);
+    }
+  };
+
+  const hasNull = args.some(arg => arg === null || arg === undefined);
+
+  const asString = value => {
+    if (typeof value !== 'string') {
+      throw createFilterError(`function ${name}() requires string arguments`);
+    }
+    return value;
+  };
+
+  const asDate = value => {
+    const date = toDate(value);
+    if (!date) {
+      throw createFilterError(`function ${name}() requires a date argument`);
+    }
+    return date;
+  };
+
+  switch (name) {
+    case 'contains':
+    case 'startswith':
+    case 'endswith': {
+      expectArgs(2);
+      if (hasNull) {
+        return false;
+      }
+      if (Array.isArray(args[0])) {
+        return name === 'contains' && args[0].includes(args[1]);
+      }
+      const [value, search] = [asString(args[0]), asString(args[1])];
+      if (name === 'contains') return value.includes(search);
+      if (name === 'startswith') return value.startsWith(search);
+      return value.endsWith(search);
+    }
+    case 'substringof':
+      // OData v2 form of contains with the arguments swapped: substringof('abc', Name)
+      expectArgs(2);
+      return callFunction('contains', [args[1], args[0]]);
+    case 'tolower':
+    case 'toupper':
+    case 'trim':
+    case 'length':
+      expectArgs(1);
+      if (hasNull) {
+        return null;
+      }
+      if (name === 'length') {
+        return Array.isArray(args[0]) ? args[0].length : asString(args[0]).length;
+      }
+      if (name === 'tolower') return asString(args[0]).toLowerCase();
+      if (name === 'toupper') return asString(args[0]).toUpperCase();
+      return asString(args[0]).trim();
+    case 'indexof':
+      expectArgs(2);
+      return hasNull ? null : asString(args[0]).indexOf(asString(args[1]));
+    case 'substring': {
+      expectArgs(2, 3);
+      if (hasNull) {
+        return null;
+      }
+      const value = asString(args[0]);
+      const start = toNumber(args[1], name);
+      return args.length === 3 ? value.substr(start, toNumber(args[2], name)) : value.substring(start);
+    }
+    case 'concat':
+      expectArgs(2);
+      return hasNull ? null : `${args[0]}${args[1]}`;
+    case 'year':
+    case 'month':
+    case 'day':
+    case 'hour':
+    case 'minute':
+    case 'second': {
+      expectArgs(1);
+      if (hasNull) {
+        return null;
+      }
+      const date = asDate(args[0]);
+      return {
+        year: () => date.getUTCFullYear(),
+        month: () => date.getUTCMonth() + 1,
+        day: () => date.getUTCDate(),
+        hour: () => date.getUTCHours(),
+        minute: () => date.getUTCMinutes(),
+        second: () => date.getUTCSeconds()
+      }[name]();
+    }
+    case 'date':
+      expectArgs(1);
+      return hasNull ? null : new Date(`${asDate(args[0]).toISOString().slice(0, 10)}T00:00:00Z`);
+    case 'now':
+      expectArgs(0);
+      return new Date();
+    case 'round':
+    case 'floor':
+    case 'ceiling':
+      expectArgs(1);
+      if (hasNull) {
+        return null;
+      }
+      return { round: Math.round, floor: Math.floor, ceiling: Math.ceil }[name](toNumber(args[0], name));
+    default:
+      throw createFilterError(`unknown function '${name}'`);
+  }
+}
+
+/**
+ * Compiles a $filter expression into a predicate function
+ * @param {string} expression - The $filter expression
+ * @returns {Function} Predicate returning true for matching entities
+ */
+function compileFilter(expression) {
+  const ast = parseFilter(expression);
+  return item => evaluate(ast, item) === true;
+}
+
+module.exports = {
+  tokenize,
+  parseFilter,
+  evaluate,
+  compileFilter
+};
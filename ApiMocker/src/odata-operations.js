@@ -0,0 +1,380 @@
+/**
+ * OData Operations Module
+ * Resolves and invokes the functions and actions declared in the EDMX: function and
+ * action imports (GetTopProducts(count=5), POST ResetData), bound functions
+ * (Products(1)/NS.GetPrice()) and bound actions (POST Orders(1)/NS.Cancel)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crudHandler = require('./crud-handler');
+const odataSchemaModel = require('./odata-schema-model');
+const odataUrlResolver = require('./odata-url-resolver');
+
+/**
+ * Creates an error carrying the HTTP status code to respond with
+ * @param {string} message - The error message
+ * @param {number} statusCode - The HTTP status code
+ * @returns {Error} The error
+ */
+function createOperationError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Parses the last segment of an operation call such as NS.GetPrice(currency='EUR')
+ * @param {string} rawSegment - The URL-encoded segment
+ * @returns {Object} The operation name and its inline parameters as { name, value }
+ */
+function parseOperationSegment(rawSegment) {
+  const segment = decodeURIComponent(rawSegment);
+  const match = segment.match(/^([^()]+)(?:\((.*)\))?$/s);
+
+  if (!match) {
+    throw createOperationError(`Invalid OData operation segment: ${segment}`, 400);
+  }
+
+  const parameters = match[2] && match[2].trim() !== ''
+    ? odataUrlResolver.parseKeyPredicate(match[2])
+    : [];
+
+  if (parameters.some(parameter => parameter.name === null)) {
+    throw createOperationError(`Parameters of ${match[1]} must be passed as name=value`, 400);
+  }
+
+  return { name: match[1], parameters };
+}
+
+/**
+ * Finds the functions and actions with a qualified name
+ * @param {Object} schema - The parsed EDMX schema
+ * @param {string} qualifiedName - The qualified operation name (e.g. Shop.GetPrice)
+ * @returns {Array} Matching operations as { kind, definition }
+ */
+function findOperations(schema, qualifiedName) {
+  const matches = [];
+
+  for (const [kind, definitions] of [['function', schema.functions || []], ['action', schema.actions || []]]) {
+    for (const definition of definitions) {
+      if (odataSchemaModel.getQualifiedName(definition) === qualifiedName) {
+        matches.push({ kind, definition });
+      }
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Checks whether a path segment names a function or action of the schema
+ * @param {string} segment - The path segment (e.g. Shop.MostExpensive())
+ * @param {Object} schema - The parsed EDMX schema (or null)
+ * @returns {boolean} True for operation segments
+ */
+function isOperationSegment(segment, schema) {
+  if (!schema) {
+    return false;
+  }
+
+  const name = decodeURIComponent(segment).replace(/\(.*$/s, '');
+  return name.includes('.') && findOperations(schema, name).length > 0;
+}
+
+/**
+ * Gets the qualified names of an entity type and its base types
+ * @param {Object} schema - The parsed EDMX schema
+ * @param {string} entityTypeName - The entity type name
+ * @returns {Array<string>} The qualified type names, most derived first
+ */
+function getBindableTypeNames(schema, entityTypeName) {
+  const names = [];
+  let type = odataSchemaModel.findStructuredType(schema, entityTypeName);
+
+  while (type && !names.includes(odataSchemaModel.getQualifiedName(type))) {
+    names.push(odataSchemaModel.getQualifiedName(type));
+    type = type.baseType ? odataSchemaModel.findStructuredType(schema, type.baseType) : undefined;
+  }
+
+  return names;
+}
+
+/**
+ * Picks the function overload whose parameter names match the call
+ * @param {Array} candidates - Candidate operations ({ kind, definition })
+ * @param {Array<string>} parameterNames - Names of the parameters passed in the call
+ * @param {boolean} isBound - Whether the first declared parameter is the binding parameter
+ * @returns {Object} The best matching candidate
+ */
+function chooseOverload(candidates, parameterNames, isBound) {
+  const matching = candidates.find(({ kind, definition }) => {
+    if (kind === 'action') {
+      return true;
+    }
+
+    const declared = definition.parameters.slice(isBound ? 1 : 0).map(parameter => parameter.name);
+    return declared.length === parameterNames.length && parameterNames.every(name => declared.includes(name));
+  });
+
+  return matching || candidates[0];
+}
+
+/**
+ * Resolves a resource path that calls a function or action
+ * @param {string} resourcePath - The resource path relative to the service root
+ * @param {Object} options - Options with apiName and model (from odataUrlResolver.loadServiceModel)
+ * @returns {Object|null} The call ({ kind, operation, name, parameters, binding, entitySet }) or null
+ *   when the path doesn't address an operation
+ */
+function resolveOperationCall(resourcePath, options) {
+  const schema = options.model && options.model.schema;
+  if (!schema) {
+    return null;
+  }
+
+  const segments = odataUrlResolver.splitResourcePath(resourcePath);
+  if (segments.length === 0) {
+    return null;
+  }
+
+  const lastSegment = segments[segments.length - 1];
+  const lastName = decodeURIComponent(lastSegment).replace(/\(.*$/s, '');
+
+  // Function and action imports are addressed from the service root
+  if (segments.length === 1) {
+    const functionImport = (schema.functionImports || []).find(item => item.name === lastName);
+    const actionImport = (schema.actionImports || []).find(item => item.name === lastName);
+    const operationImport = functionImport || actionImport;
+
+    if (!operationImport) {
+      return null;
+    }
+
+    const segment = parseOperationSegment(lastSegment);
+    const parameterNames = segment.parameters.map(parameter => parameter.name);
+
+    const candidates = findOperations(schema, operationImport.function || operationImport.action)
+      .filter(({ definition }) => !definition.isBound);
+    if (candidates.length === 0) {
+      throw createOperationError(`No unbound operation declared for ${segment.name}`, 404);
+    }
+
+    const { kind, definition } = chooseOverload(candidates, parameterNames, false);
+    return {
+      kind,
+      operation: definition,
+      name: segment.name,
+      parameters: segment.parameters,
+      binding: null,
+      entitySet: operationImport.entitySet ? operationImport.entitySet.slice(operationImport.entitySet.lastIndexOf('/') + 1) : null
+    };
+  }
+
+  if (!isOperationSegment(lastSegment, schema)) {
+    return null;
+  }
+
+  const segment = parseOperationSegment(lastSegment);
+  const parameterNames = segment.parameters.map(parameter => parameter.name);
+  const binding = odataUrlResolver.resolveResourcePath(segments.slice(0, -1).join('/'), options);
+  if (!binding) {
+    return null;
+  }
+
+  if (binding.kind !== 'entity' && binding.kind !== 'collection') {
+    throw createOperationError(`${segment.name} can only be bound to an entity or a collection`, 400);
+  }
+
+  // The binding parameter must accept the entity type (or a base type) of the bound resource
+  const bindableTypes = getBindableTypeNames(schema, binding.entityType)
+    .map(typeName => (binding.kind === 'collection' ? `Collection(${typeName})` : typeName));
+  const candidates = findOperations(schema, segment.name).filter(({ definition }) =>
+    definition.isBound && definition.parameters.length > 0 && bindableTypes.includes(definition.parameters[0].type)
+  );
+
+  if (candidates.length === 0) {
+    throw createOperationError(`${segment.name} is not bound to ${binding.kind === 'collection' ? 'collections of ' : ''}${binding.entityType}`, 404);
+  }
+
+  const { kind, definition } = chooseOverload(candidates, parameterNames, true);
+  return {
+    kind,
+    operation: definition,
+    name: segment.name,
+    parameters: segment.parameters,
+    binding,
+    entitySet: findResultEntitySet(schema, definition, binding)
+  };
+}
+
+/**
+ * Finds the entity set of the entities an operation returns
+ * @param {Object} schema - The parsed EDMX schema
+ * @param {Object} operation - The operation definition
+ * @param {Object} binding - The resolved binding resource (or null)
+ * @returns {string|null} The entity set name
+ */
+function findResultEntitySet(schema, operation, binding) {
+  if (!operation.returnType) {
+    return null;
+  }
+
+  const returnType = operation.returnType.type.replace(/^Collection\((.*)\)$/, '$1');
+
+  // EntitySetPath "binding" returns entities of the binding parameter's entity set
+  if (binding && operation.entitySetPath === operation.parameters[0].name) {
+    return binding.entitySet;
+  }
+
+  const entitySet = schema.entitySets.find(set => set.entityType === returnType);
+  return entitySet ? entitySet.name : null;
+}
+
+/**
+ * Gets the parameter values of a call
+ * Functions take parameters from the URL, including parameter aliases (GetTop(count=@c)?@c=5);
+ * actions take them from the JSON request body.
+ * @param {Object} call - The resolved call
+ * @param {Object} req - Express request object
+ * @returns {Object} Parameter values by name
+ */
+function getParameterValues(call, req) {
+  if (call.kind === 'action') {
+    if (req.body === undefined || req.body === null || (typeof req.body === 'object' && Object.keys(req.body).length === 0)) {
+      return {};
+    }
+    if (typeof req.body !== 'object' || Array.isArray(req.body)) {
+      throw createOperationError(`Parameters of ${call.name} must be sent as a JSON object`, 400);
+    }
+    return { ...req.body };
+  }
+
+  const values = {};
+
+  for (const { name, value } of call.parameters) {
+    if (typeof value === 'string' && value.startsWith('@')) {
+      const aliasValue = req.query[value];
+      values[name] = aliasValue === undefined ? null : parseAliasValue(aliasValue);
+    } else {
+      values[name] = value;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parses the value of a parameter alias
+ * @param {string} text - The alias value from the query string
+ * @returns {*} The parsed value (JSON for arrays and objects, otherwise an OData literal)
+ */
+function parseAliasValue(text) {
+  if (/^\s*[[{]/.test(text)) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw createOperationError(`Invalid parameter alias value: ${text}`, 400);
+    }
+  }
+
+  if (text === 'null') {
+    return null;
+  }
+
+  return odataUrlResolver.parseKeyPredicate(text)[0].value;
+}
+
+/**
+ * Validates the parameter values of a call against the operation's signature
+ * @param {Object} call - The resolved call
+ * @param {Object} values - Parameter values by name
+ * @param {Object} schema - The parsed EDMX schema
+ */
+function validateParameterValues(call, values, schema) {
+  const parameters = call.binding ? call.operation.parameters.slice(1) : call.operation.parameters;
+  odataSchemaModel.validateParameters(values, parameters, schema, odataSchemaModel.getQualifiedName(call.operation));
+}
+
+/**
+ * Gets the file name a recorded operation response is stored under
+ * Follows the recorder's naming: non-alphanumeric characters become '_' and the name is lower-cased.
+ * @param {string} name - The operation or import name
+ * @returns {string} The file name
+ */
+function getRecordedResponseFileName(name) {
+  return `${name.replace(/[^a-zA-Z0-9]/g, '_').toLowerCase()}.json`;
+}
+
+/**
+ * Finds the JavaScript handler configured for an operation
+ * Handlers are listed in the API's config.json under odata.operations, keyed by import name,
+ * qualified operation name or operation name, with module paths relative to the API directory.
+ * @param {Object} call - The resolved call
+ * @param {Object} config - API configuration
+ * @returns {Function|null} The handler
+ */
+function findOperationHandler(call, config) {
+  const handlers = (config.odata && config.odata.operations) || {};
+  const names = [call.name, odataSchemaModel.getQualifiedName(call.operation), call.operation.name];
+  const handlerName = names.find(name => handlers[name]);
+
+  if (!handlerName) {
+    return null;
+  }
+
+  const apiDir = config.apiDir || path.dirname(config.responsesDir);
+  const handler = require(path.resolve(apiDir, handlers[handlerName]));
+
+  if (typeof handler !== 'function') {
+    throw new Error(`Handler for ${handlerName} must export a function`);
+  }
+
+  return handler;
+}
+
+/**
+ * Invokes an operation through its configured handler or a recorded response
+ * @param {Object} call - The resolved call
+ * @param {Object} parameters - Validated parameter values by name
+ * @param {Object} config - API configuration
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} { result } from a handler or { recorded } with a recorded response body
+ */
+async function invokeOperation(call, parameters, config, req) {
+  const handler = findOperationHandler(call, config);
+
+  if (handler) {
+    const result = await handler({
+      operation: odataSchemaModel.getQualifiedName(call.operation),
+      parameters,
+      binding: call.binding ? call.binding.value : null,
+      entitySet: call.binding ? call.binding.entitySet : null,
+      apiName: config.apiName,
+      getCollection: collection => crudHandler.getCollection(config.apiName, collection),
+      request: req
+    });
+    return { result };
+  }
+
+  for (const name of [call.name, odataSchemaModel.getQualifiedName(call.operation)]) {
+    const responsePath = path.join(config.responsesDir, getRecordedResponseFileName(name));
+    if (fs.existsSync(responsePath)) {
+      return { recorded: JSON.parse(fs.readFileSync(responsePath, 'utf8')) };
+    }
+  }
+
+  throw createOperationError(
+    `No handler or recorded response for ${call.name}. Add one under odata.operations in config.json or record ${getRecordedResponseFileName(call.name)}`,
+    501
+  );
+}
+
+module.exports = {
+  parseOperationSegment,
+  isOperationSegment,
+  resolveOperationCall,
+  getParameterValues,
+  validateParameterValues,
+  invokeOperation
+};
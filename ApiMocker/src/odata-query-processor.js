@@ -3,13 +3,20 @@
  * Processes OData query options and applies them to data
  */
 
+const odataApplyProcessor = require('./odata-apply-processor');
+const odataFilterParser = require('./odata-filter-parser');
+const odataSearch = require('./odata-search');
+
 /**
  * Processes OData query options and applies them to data
  * @param {Array} data - The data to process
  * @param {Object} queryOptions - The OData query options
+ * @param {Object} options - Additional options
+ * @param {Array<string>} options.searchFields - Properties searched by $search (defaults to all string properties)
+ * @param {Function} options.expand - Expands navigation properties: (rows, expandOption) => rows
  * @returns {Object} The processed data and metadata
  */
-function processQuery(data, queryOptions) {
+function processQuery(data, queryOptions, options = {}) {
   if (!data || !Array.isArray(data)) {
     return { value: [] };
   }
@@ -17,6 +24,18 @@ function processQuery(data, queryOptions) {
   let result = [...data];
   let count = null;
   
+  // Process $apply (evaluated before all other query options)
+  if (queryOptions.$apply) {
+    result = odataApplyProcessor.applyTransformations(result, queryOptions.$apply);
+  }
+  
+  // Process $search (the untransformed collection can use its cached index)
+  if (queryOptions.$search) {
+    result = odataSearch.applySearch(queryOptions.$apply ? result : data, queryOptions.$search, {
+      fields: options.searchFields
+    });
+  }
+  
   // Process $filter
   if (queryOptions.$filter) {
     result = applyFilter(result, queryOptions.$filter);
@@ -48,14 +67,17 @@ function processQuery(data, queryOptions) {
     }
   }
   
-  // Process $select
-  if (queryOptions.$select) {
-    result = applySelect(result, queryOptions.$select);
+  // Process $expand (before $select, which may drop the keys navigation relies on)
+  if (queryOptions.$expand) {
+    result = options.expand
+      ? options.expand(result, queryOptions.$expand)
+      : applyExpand(result, queryOptions.$expand);
   }
   
-  // Process $expand
-  if (queryOptions.$expand) {
-    result = applyExpand(result, queryOptions.$expand);
+  // Process $select (expanded navigation properties are always kept)
+  if (queryOptions.$select) {
+    const expanded = queryOptions.$expand ? getExpandedProperties(queryOptions.$expand) : [];
+    result = applySelect(result, queryOptions.$select, expanded);
   }
   
   // Create OData response format
@@ -71,13 +93,47 @@ function processQuery(data, queryOptions) {
   return response;
 }
 
+/**
+ * Gets the names of the navigation properties named in a $expand option
+ * @param {string|Array} expandOption - The $expand option or parsed expand items ({ path })
+ * @returns {Array<string>} The navigation property names
+ */
+function getExpandedProperties(expandOption) {
+  if (Array.isArray(expandOption)) {
+    return expandOption.map(item => item.path);
+  }
+  
+  const names = [];
+  let depth = 0;
+  let current = '';
+  
+  for (const char of `${expandOption},`) {
+    if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      names.push(current.trim().split('/')[0]);
+      current = '';
+      continue;
+    }
+    
+    if (depth === 0 && char !== ')') {
+      current += char;
+    }
+  }
+  
+  return names.filter(Boolean);
+}
+
 /**
  * Applies $select query option to data
  * @param {Array} data - The data to process
  * @param {string} selectOption - The $select query option
+ * @param {Array<string>} expandedProperties - Expanded navigation properties to keep
  * @returns {Array} The filtered data
  */
-function applySelect(data, selectOption) {
+function applySelect(data, selectOption, expandedProperties = []) {
   if (!selectOption) {
     return data;
   }
@@ -87,6 +143,22 @@ function applySelect(data, selectOption) {
   return data.map(item => {
     const result = {};
     
+    // Instance annotations such as @odata.etag describe the entity and aren't selected away
+    for (const name of Object.keys(item)) {
+      if (name.startsWith('@')) {
+        result[name] = item[name];
+      }
+    }
+    
+    // Expanded navigation properties (and their counts) stay in the result
+    for (const prop of expandedProperties) {
+      for (const name of [prop, `${prop}@odata.count`]) {
+        if (item.hasOwnProperty(name)) {
+          result[name] = item[name];
+        }
+      }
+    }
+    
     for (const prop of properties) {
       if (prop.includes('/')) {
         // Handle nested properties
@@ -114,139 +186,70 @@ function applySelect(data, selectOption) {
  * @param {Array} data - The data to process
  * @param {string} filterOption - The $filter query option
  * @returns {Array} The filtered data
+ * @throws {Error} With statusCode 400 if the filter expression is invalid
  */
 function applyFilter(data, filterOption) {
   if (!filterOption) {
     return data;
   }
   
-  // Simple filter parser for common operations
-  return data.filter(item => {
-    try {
-      return evaluateFilterExpression(item, filterOption);
-    } catch (error) {
-      console.warn(`Error evaluating filter expression: ${error.message}`);
-      return true; // Include item if filter evaluation fails
-    }
-  });
+  // Parse once, then evaluate the expression tree against each item
+  const predicate = odataFilterParser.compileFilter(filterOption);
+  return data.filter(predicate);
 }
 
 /**
- * Evaluates a filter expression against an item
- * @param {Object} item - The item to evaluate
- * @param {string} expression - The filter expression
- * @returns {boolean} The result of the evaluation
+ * Parses a $orderby query option into sort fields
+ * @param {string} orderbyOption - The $orderby query option
+ * @returns {Array} Sort fields as { property, descending }
  */
-function evaluateFilterExpression(item, expression) {
-  // Handle 'and' operator
-  if (expression.includes(' and ')) {
-    const parts = expression.split(' and ');
-    return parts.every(part => evaluateFilterExpression(item, part.trim()));
-  }
-  
-  // Handle 'or' operator
-  if (expression.includes(' or ')) {
-    const parts = expression.split(' or ');
-    return parts.some(part => evaluateFilterExpression(item, part.trim()));
-  }
-  
-  // Handle comparison operators
-  const operators = [
-    { symbol: ' eq ', operation: (a, b) => a === b },
-    { symbol: ' ne ', operation: (a, b) => a !== b },
-    { symbol: ' gt ', operation: (a, b) => a > b },
-    { symbol: ' ge ', operation: (a, b) => a >= b },
-    { symbol: ' lt ', operation: (a, b) => a < b },
-    { symbol: ' le ', operation: (a, b) => a <= b },
-    { symbol: ' contains ', operation: (a, b) => a.includes(b) }
-  ];
-  
-  for (const { symbol, operation } of operators) {
-    if (expression.includes(symbol)) {
-      const [left, right] = expression.split(symbol);
-      const leftValue = evaluateValue(item, left.trim());
-      const rightValue = parseValue(right.trim());
-      
-      return operation(leftValue, rightValue);
-    }
-  }
-  
-  // Handle 'startswith' function
-  if (expression.includes('startswith(')) {
-    const match = expression.match(/startswith\(([^,]+),\s*([^)]+)\)/);
-    if (match) {
-      const [, property, value] = match;
-      const propValue = evaluateValue(item, property.trim());
-      const compareValue = parseValue(value.trim());
-      
-      return propValue.startsWith(compareValue);
-    }
-  }
-  
-  // Handle 'endswith' function
-  if (expression.includes('endswith(')) {
-    const match = expression.match(/endswith\(([^,]+),\s*([^)]+)\)/);
-    if (match) {
-      const [, property, value] = match;
-      const propValue = evaluateValue(item, property.trim());
-      const compareValue = parseValue(value.trim());
-      
-      return propValue.endsWith(compareValue);
-    }
+function parseOrderBy(orderbyOption) {
+  if (!orderbyOption) {
+    return [];
   }
   
-  // Default to true if expression can't be parsed
-  console.warn(`Unsupported filter expression: ${expression}`);
-  return true;
+  return orderbyOption.split(',').map(field => {
+    const [property, direction] = field.trim().split(' ');
+    return {
+      property: property.trim(),
+      descending: direction && direction.toLowerCase() === 'desc'
+    };
+  });
 }
 
 /**
- * Evaluates a property path against an item
- * @param {Object} item - The item to evaluate
- * @param {string} propertyPath - The property path
- * @returns {*} The property value
+ * Compares two items by sort fields, the way $orderby sorts them
+ * @param {Object} a - The first item
+ * @param {Object} b - The second item
+ * @param {Array} sortFields - Sort fields from parseOrderBy
+ * @returns {number} Negative if a sorts first, positive if b sorts first, 0 if they are equal
  */
-function evaluateValue(item, propertyPath) {
-  if (propertyPath.includes('/')) {
-    // Handle nested properties
-    const parts = propertyPath.split('/');
-    let value = item;
+function compareByOrderBy(a, b, sortFields) {
+  for (const { property, descending } of sortFields) {
+    const valueA = a[property];
+    const valueB = b[property];
     
-    for (const part of parts) {
-      if (value === null || value === undefined) {
-        return null;
-      }
-      value = value[part];
+    if (valueA === valueB) {
+      continue; // Try next sort field
     }
     
-    return value;
-  }
-  
-  return item[propertyPath];
-}
-
-/**
- * Parses a value from a filter expression
- * @param {string} value - The value to parse
- * @returns {*} The parsed value
- */
-function parseValue(value) {
-  // Remove quotes for string literals
-  if (value.startsWith("'") && value.endsWith("'")) {
-    return value.substring(1, value.length - 1);
-  }
-  
-  // Parse numbers
-  if (!isNaN(value)) {
-    return parseFloat(value);
+    if (valueA === null || valueA === undefined) {
+      return descending ? 1 : -1;
+    }
+    
+    if (valueB === null || valueB === undefined) {
+      return descending ? -1 : 1;
+    }
+    
+    if (typeof valueA === 'string' && typeof valueB === 'string') {
+      const comparison = valueA.localeCompare(valueB);
+      return descending ? -comparison : comparison;
+    }
+    
+    return descending ? valueB - valueA : valueA - valueB;
   }
   
-  // Parse booleans
-  if (value === 'true') return true;
-  if (value === 'false') return false;
-  
-  // Default to original value
-  return value;
+  return 0; // All fields are equal
 }
 
 /**
@@ -260,41 +263,9 @@ function applyOrderBy(data, orderbyOption) {
     return data;
   }
   
-  const sortFields = orderbyOption.split(',').map(field => {
-    const [property, direction] = field.trim().split(' ');
-    return {
-      property: property.trim(),
-      descending: direction && direction.toLowerCase() === 'desc'
-    };
-  });
+  const sortFields = parseOrderBy(orderbyOption);
   
-  return [...data].sort((a, b) => {
-    for (const { property, descending } of sortFields) {
-      const valueA = a[property];
-      const valueB = b[property];
-      
-      if (valueA === valueB) {
-        continue; // Try next sort field
-      }
-      
-      if (valueA === null || valueA === undefined) {
-        return descending ? 1 : -1;
-      }
-      
-      if (valueB === null || valueB === undefined) {
-        return descending ? -1 : 1;
-      }
-      
-      if (typeof valueA === 'string' && typeof valueB === 'string') {
-        const comparison = valueA.localeCompare(valueB);
-        return descending ? -comparison : comparison;
-      }
-      
-      return descending ? valueB - valueA : valueA - valueB;
-    }
-    
-    return 0; // All fields are equal
-  });
+  return [...data].sort((a, b) => compareByOrderBy(a, b, sortFields));
 }
 
 /**
@@ -320,5 +291,7 @@ module.exports = {
   applySelect,
   applyFilter,
   applyOrderBy,
+  parseOrderBy,
+  compareByOrderBy,
   applyExpand
 };
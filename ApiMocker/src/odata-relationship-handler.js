@@ -4,6 +4,15 @@
  */
 
 const crudHandler = require('./crud-handler');
+const odataQueryProcessor = require('./odata-query-processor');
+
+// Query options allowed inside $expand, e.g. Orders($filter=Total gt 100;$top=5)
+const NESTED_EXPAND_OPTIONS = [
+  '$filter', '$select', '$orderby', '$top', '$skip', '$count', '$search', '$expand', '$levels'
+];
+
+// Depth used for $levels=max, which also stops cycles in recursive relationships
+const MAX_EXPAND_LEVELS = 8;
 
 /**
  * Extracts relationships from a metadata document
@@ -14,6 +23,23 @@ function extractRelationships(metadata) {
   const relationships = {};
   
   try {
+    // Handle metadata parsed by parsers/edmx-parser
+    if (Array.isArray(metadata.entityTypes)) {
+      for (const entityType of metadata.entityTypes) {
+        relationships[entityType.name] = {
+          navigationProperties: entityType.navigationProperties.map(navProp => ({
+            name: navProp.name,
+            type: navProp.type,
+            partner: navProp.partner,
+            isCollection: /^Collection\(/.test(navProp.type)
+          })),
+          associations: []
+        };
+      }
+      
+      return relationships;
+    }
+    
     // Handle EDMX metadata format
     if (metadata.edmx && metadata.edmx.dataservices && metadata.edmx.dataservices.schema) {
       const schema = Array.isArray(metadata.edmx.dataservices.schema)
@@ -108,11 +134,112 @@ function extractRelationships(metadata) {
   return relationships;
 }
 
+/**
+ * Parses a $expand query option into expand items with their nested query options
+ * Supports Orders($filter=Total gt 100;$select=Id,Total;$orderby=Date desc;$top=5;$count=true),
+ * multi-level nesting via $expand inside the options, $levels and paths such as Orders/Customer.
+ * @param {string|Array} expandOption - The $expand query option (or already parsed items)
+ * @returns {Array} Expand items as { path, options }
+ */
+function parseExpand(expandOption) {
+  if (Array.isArray(expandOption)) {
+    return expandOption;
+  }
+  
+  return splitTopLevel(expandOption, ',').filter(Boolean).map(text => {
+    const match = text.match(/^([^(]+?)\s*(?:\(([\s\S]*)\))?$/);
+    if (!match) {
+      throw createExpandError(`'${text}' is not a valid expand item`);
+    }
+    
+    const options = {};
+    for (const optionText of splitTopLevel(match[2] || '', ';').filter(Boolean)) {
+      const separatorIndex = optionText.indexOf('=');
+      if (separatorIndex === -1) {
+        throw createExpandError(`'${optionText}' is not a query option`);
+      }
+      
+      // OData 4.01 allows nested options without the $ prefix
+      let name = optionText.slice(0, separatorIndex).trim();
+      name = name.startsWith('$') ? name : `$${name}`;
+      
+      if (!NESTED_EXPAND_OPTIONS.includes(name)) {
+        throw createExpandError(`${name} is not supported inside $expand`);
+      }
+      
+      options[name] = optionText.slice(separatorIndex + 1).trim();
+    }
+    
+    if (options.$expand) {
+      options.$expand = parseExpand(options.$expand);
+    }
+    
+    // A path such as Orders/Customer expands Customer inside each of the Orders
+    const [path, ...nestedPath] = match[1].trim().split('/');
+    if (nestedPath.length > 0) {
+      return { path, options: { $expand: [{ path: nestedPath.join('/'), options }] } };
+    }
+    
+    return { path, options };
+  });
+}
+
+/**
+ * Splits text on a separator that appears outside parentheses and string literals
+ * @param {string} text - The text to split
+ * @param {string} separator - The separator character
+ * @returns {Array<string>} The trimmed parts
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+  let inString = false;
+  
+  for (const char of text) {
+    if (char === "'") {
+      inString = !inString;
+    } else if (!inString && char === '(') {
+      depth++;
+    } else if (!inString && char === ')') {
+      depth--;
+    } else if (!inString && depth === 0 && char === separator) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    
+    current += char;
+  }
+  
+  if (depth !== 0 || inString) {
+    throw createExpandError(`unbalanced parentheses or quotes in '${text}'`);
+  }
+  
+  parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Creates an error for an invalid $expand expression
+ * @param {string} message - Error message
+ * @returns {Error} The error, flagged with a 400 status code
+ */
+function createExpandError(message) {
+  const error = new Error(`Invalid $expand expression: ${message}`);
+  error.statusCode = 400;
+  return error;
+}
+
 /**
  * Applies $expand query option to data
  * @param {Array|Object} data - The data to expand
- * @param {string} expandOption - The $expand query option
+ * @param {string|Array} expandOption - The $expand query option (or already parsed items)
  * @param {Object} options - Additional options
+ * @param {string} options.apiName - The API name
+ * @param {string} options.entitySet - The entity set the data belongs to
+ * @param {Function} options.navigate - Resolves (entity, navigationProperty, entitySet) to
+ *   { value, entitySet }; naming conventions are used when it isn't provided
  * @returns {Array|Object} The expanded data
  */
 function applyExpand(data, expandOption, options = {}) {
@@ -120,70 +247,122 @@ function applyExpand(data, expandOption, options = {}) {
     return data;
   }
   
-  const expandPaths = expandOption.split(',').map(path => path.trim());
+  const expandItems = parseExpand(expandOption);
   
   // Handle array data
   if (Array.isArray(data)) {
-    return data.map(item => expandItem(item, expandPaths, options));
+    return data.map(item => expandItem(item, expandItems, options));
   }
   
   // Handle single item
-  return expandItem(data, expandPaths, options);
+  return expandItem(data, expandItems, options);
 }
 
 /**
- * Expands a single item based on expand paths
+ * Expands a single item based on expand items
  * @param {Object} item - The item to expand
- * @param {Array} expandPaths - The expand paths
+ * @param {Array} expandItems - The parsed expand items
  * @param {Object} options - Additional options
  * @returns {Object} The expanded item
  */
-function expandItem(item, expandPaths, options) {
+function expandItem(item, expandItems, options) {
   if (!item || typeof item !== 'object') {
     return item;
   }
   
   const result = { ...item };
   
-  for (const path of expandPaths) {
-    // Handle nested expands (e.g., Orders($expand=Customer))
-    let propertyName = path;
-    let nestedExpand = null;
-    
-    if (path.includes('(')) {
-      const match = path.match(/([^(]+)\((?:\$expand=)?([^)]+)\)/);
-      if (match) {
-        [, propertyName, nestedExpand] = match;
-      }
+  for (const { path, options: queryOptions } of expandItems) {
+    const related = getRelated(item, path, options);
+    if (!related) {
+      continue;
     }
     
-    // Get related entities based on naming conventions
-    if (options.apiName && options.relationships) {
-      const relatedCollection = getRelatedCollection(
-        item,
-        propertyName,
-        options.apiName,
-        options.relationships
-      );
+    // Nested $expand (and recursion through $levels) runs against the related entity set
+    const nestedOptions = { ...options, entitySet: related.entitySet };
+    const nestedQuery = { ...queryOptions, $expand: getNestedExpand(path, queryOptions) };
+    delete nestedQuery.$levels;
+    
+    const processOptions = {
+      expand: (rows, nestedExpand) => applyExpand(rows, nestedExpand, nestedOptions)
+    };
+    
+    if (Array.isArray(related.value)) {
+      const processed = odataQueryProcessor.processQuery(related.value, nestedQuery, processOptions);
+      result[path] = processed.value;
       
-      if (relatedCollection) {
-        // Apply nested expand if present
-        if (nestedExpand) {
-          result[propertyName] = applyExpand(
-            relatedCollection,
-            nestedExpand,
-            options
-          );
-        } else {
-          result[propertyName] = relatedCollection;
-        }
+      if (processed['@odata.count'] !== undefined) {
+        result[`${path}@odata.count`] = processed['@odata.count'];
       }
+    } else if (related.value) {
+      // A single related entity that doesn't match a nested $filter is expanded as null
+      const processed = odataQueryProcessor.processQuery([related.value], {
+        $filter: nestedQuery.$filter,
+        $select: nestedQuery.$select,
+        $expand: nestedQuery.$expand
+      }, processOptions);
+      result[path] = processed.value[0] || null;
+    } else {
+      result[path] = null;
     }
   }
   
   return result;
 }
 
+/**
+ * Gets the $expand to apply to related entities, adding the next level for $levels
+ * @param {string} path - The navigation property being expanded
+ * @param {Object} queryOptions - The nested query options of the expand item
+ * @returns {Array|undefined} The nested expand items
+ */
+function getNestedExpand(path, queryOptions) {
+  const nestedExpand = queryOptions.$expand ? [...queryOptions.$expand] : [];
+  const levels = queryOptions.$levels;
+  
+  if (levels !== undefined) {
+    const remaining = levels === 'max' ? MAX_EXPAND_LEVELS : parseInt(levels, 10);
+    if (isNaN(remaining) || remaining < 1) {
+      throw createExpandError(`$levels must be a positive integer or max, got '${levels}'`);
+    }
+    
+    if (remaining > 1) {
+      nestedExpand.push({ path, options: { ...queryOptions, $levels: String(Math.min(remaining, MAX_EXPAND_LEVELS) - 1) } });
+    }
+  }
+  
+  return nestedExpand.length > 0 ? nestedExpand : undefined;
+}
+
+/**
+ * Gets the entities related to an item through a navigation property
+ * @param {Object} item - The parent item
+ * @param {string} propertyName - The navigation property name
+ * @param {Object} options - Expand options (apiName, entitySet, navigate, relationships)
+ * @returns {Object|null} The related entity or entities as { value, entitySet }
+ */
+function getRelated(item, propertyName, options) {
+  if (options.navigate) {
+    return options.navigate(item, propertyName, options.entitySet);
+  }
+  
+  // Get related entities based on naming conventions
+  if (options.apiName && options.relationships) {
+    const relatedCollection = getRelatedCollection(
+      item,
+      propertyName,
+      options.apiName,
+      options.relationships
+    );
+    
+    if (relatedCollection) {
+      return { value: relatedCollection, entitySet: null };
+    }
+  }
+  
+  return null;
+}
+
 /**
  * Gets related collection based on naming conventions
  * @param {Object} item - The parent item
@@ -278,7 +457,105 @@ function getEntityType(item) {
   return null;
 }
 
+/**
+ * Parses an entity reference used in @odata.bind annotations
+ * Accepts Customers(1), Customers('abc'), Customers/1 and absolute URLs
+ * @param {string} reference - The entity reference
+ * @returns {Object} The referenced collection and key
+ */
+function parseEntityReference(reference) {
+  let value = String(reference);
+  
+  if (/^https?:\/\//i.test(value)) {
+    value = new URL(value).pathname;
+  }
+  
+  // Prefer the key-in-parentheses form so that service root segments aren't read as keys
+  const match = value.match(/([^/()]+)\((.+)\)$/) || value.match(/([^/()]+)()\/([^/]+)$/);
+  if (!match) {
+    const error = new Error(`Invalid entity reference: ${reference}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  let key = match[2] ? match[2] : decodeURIComponent(match[3]);
+  
+  // Strip quotes from string keys (Customers('ALFKI'))
+  const quoted = key.match(/^'(.*)'$/);
+  if (quoted) {
+    key = quoted[1].replace(/''/g, "'");
+  }
+  
+  return {
+    collection: decodeURIComponent(match[1]),
+    key
+  };
+}
+
+/**
+ * Resolves @odata.bind annotations in an entity payload
+ * Single-valued bindings (Customer@odata.bind) set the foreign key on the entity itself
+ * (customerId); collection-valued bindings are returned as links to apply once the entity exists.
+ * @param {Object} payload - The entity payload
+ * @param {Object} options - Options with apiName
+ * @returns {Object} The entity without bind annotations and the pending collection links
+ */
+function resolveBindings(payload, options = {}) {
+  const entity = {};
+  const links = [];
+  
+  for (const [name, value] of Object.entries(payload)) {
+    if (!name.endsWith('@odata.bind')) {
+      entity[name] = value;
+      continue;
+    }
+    
+    const navigationProperty = name.slice(0, -'@odata.bind'.length);
+    const references = Array.isArray(value) ? value : [value];
+    
+    const targets = references.map(reference => {
+      const target = parseEntityReference(reference);
+      const related = crudHandler.getById(options.apiName, target.collection, target.key);
+      
+      if (!related) {
+        const error = new Error(`Entity referenced by ${navigationProperty}@odata.bind not found: ${reference}`);
+        error.statusCode = 400;
+        throw error;
+      }
+      
+      return { collection: target.collection, id: related.id };
+    });
+    
+    if (Array.isArray(value)) {
+      links.push(...targets);
+    } else {
+      entity[`${navigationProperty.charAt(0).toLowerCase()}${navigationProperty.slice(1)}Id`] = targets[0].id;
+    }
+  }
+  
+  return { entity, links };
+}
+
+/**
+ * Links related entities to a parent entity by setting their foreign key
+ * @param {string} apiName - The API name
+ * @param {Array} links - Links returned by resolveBindings
+ * @param {Object} parent - The parent entity
+ * @param {string} parentType - The entity type name of the parent (e.g. Customer)
+ */
+function applyCollectionBindings(apiName, links, parent, parentType) {
+  const foreignKeyName = `${parentType.toLowerCase()}Id`;
+  
+  for (const link of links) {
+    crudHandler.handlePatch(apiName, link.collection, link.id, { [foreignKeyName]: parent.id });
+  }
+}
+
 module.exports = {
   extractRelationships,
-  applyExpand
+  parseExpand,
+  applyExpand,
+  parseEntityReference,
+  resolveBindings,
+  applyCollectionBindings
 };
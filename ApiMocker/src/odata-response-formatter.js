@@ -3,6 +3,8 @@
  * Formats responses according to OData conventions
  */
 
+const odataQueryProcessor = require('./odata-query-processor');
+
 /**
  * Formats a response according to OData conventions
  * @param {Array|Object} data - The data to format
@@ -27,6 +29,11 @@ function formatResponse(data, options = {}) {
       response['@odata.nextLink'] = options.nextLink;
     }
     
+    // Add deltaLink if provided (change tracking)
+    if (options.deltaLink) {
+      response['@odata.deltaLink'] = options.deltaLink;
+    }
+    
     return response;
   }
   
@@ -203,10 +210,165 @@ function formatCollection(collection, options = {}) {
   return response;
 }
 
+/**
+ * Creates an opaque $skiptoken for the position after the last item of a page
+ * @param {Object} position - The position: { values, key } with the $orderby values and key
+ *   values of the last item, or { offset } with the index of the next item for results without keys
+ * @returns {string} The skip token
+ */
+function createSkipToken(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Parses a $skiptoken created by createSkipToken
+ * @param {string} skipToken - The skip token
+ * @returns {Object} The position encoded in the token ({ values, key } or { offset })
+ */
+function parseSkipToken(skipToken) {
+  let position;
+  
+  try {
+    position = JSON.parse(Buffer.from(skipToken, 'base64url').toString('utf8'));
+  } catch (error) {
+    position = null;
+  }
+  
+  const isValid = position !== null && typeof position === 'object' && (
+    (Array.isArray(position.values) && Array.isArray(position.key)) ||
+    (Number.isInteger(position.offset) && position.offset >= 0)
+  );
+  if (!isValid) {
+    const error = new Error(`Invalid $skiptoken: ${skipToken}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  return position;
+}
+
+/**
+ * Finds where the page continued by a skip token starts
+ * The page starts after the item with the token's key; if that item is gone, it starts at the
+ * first item sorting after the token's values.
+ * @param {Array} items - The full result set, sorted by the sort fields
+ * @param {Object} position - The position from parseSkipToken
+ * @param {Array} sortFields - The $orderby sort fields
+ * @param {Array<string>} keyProperties - The key property names
+ * @returns {number} The index of the first item of the page
+ */
+function findPageStart(items, position, sortFields, keyProperties) {
+  if (position.offset !== undefined) {
+    return position.offset;
+  }
+  
+  const matchesKey = item => keyProperties.every((name, index) => String(item[name]) === String(position.key[index]));
+  const index = items.findIndex(item => item && matchesKey(item));
+  if (index !== -1) {
+    return index + 1;
+  }
+  
+  // The last item of the previous page as far as the token describes it
+  const boundary = {};
+  sortFields.forEach((field, fieldIndex) => {
+    boundary[field.property] = position.values[fieldIndex];
+  });
+  keyProperties.forEach((name, keyIndex) => {
+    boundary[name] = position.key[keyIndex];
+  });
+  
+  const keyFields = keyProperties.map(property => ({ property, descending: false }));
+  const next = items.findIndex(item => odataQueryProcessor.compareByOrderBy(item, boundary, [...sortFields, ...keyFields]) > 0);
+  return next === -1 ? items.length : next;
+}
+
+/**
+ * Builds the @odata.nextLink for a request by replacing its $skiptoken
+ * @param {string} requestUrl - The absolute URL of the current request
+ * @param {string} skipToken - The skip token of the next page
+ * @returns {string} The next link
+ */
+function buildNextLink(requestUrl, skipToken) {
+  const [base, query = ''] = requestUrl.split('?');
+  
+  // Keep the client's query options as they were sent; only the skip token changes
+  const params = query
+    .split('&')
+    .filter(param => param && !/^(\$|%24)skiptoken=/i.test(param));
+  
+  params.push(`$skiptoken=${encodeURIComponent(skipToken)}`);
+  
+  return `${base}?${params.join('&')}`;
+}
+
+/**
+ * Builds the @odata.deltaLink for a request by replacing its $skiptoken and $deltatoken
+ * @param {string} requestUrl - The absolute URL of the current request
+ * @param {string} deltaToken - The change token of the current state
+ * @returns {string} The delta link
+ */
+function buildDeltaLink(requestUrl, deltaToken) {
+  const [base, query = ''] = requestUrl.split('?');
+  
+  // The delta link repeats the defining query so changes are reported for the same results
+  const params = query
+    .split('&')
+    .filter(param => param && !/^(\$|%24)(skiptoken|deltatoken)=/i.test(param));
+  
+  params.push(`$deltatoken=${encodeURIComponent(deltaToken)}`);
+  
+  return `${base}?${params.join('&')}`;
+}
+
+/**
+ * Applies server-driven paging to a result set
+ * With key properties, skip tokens continue after the last item of the previous page, so
+ * items added or removed in between don't shift the pages; otherwise they hold an offset.
+ * @param {Array} items - The full result set (after client query options, sorted by $orderby and then the key)
+ * @param {Object} options - Paging options
+ * @param {number} options.pageSize - Maximum number of items per page
+ * @param {string} options.skipToken - The $skiptoken of the requested page
+ * @param {string} options.requestUrl - The absolute URL of the current request
+ * @param {string} options.orderBy - The $orderby option the items are sorted by
+ * @param {Array<string>} options.keyProperties - The key property names of the items (none for aggregates)
+ * @returns {Object} The page items and the nextLink (if more items remain)
+ */
+function applyServerPaging(items, options = {}) {
+  const sortFields = odataQueryProcessor.parseOrderBy(options.orderBy);
+  const keyProperties = options.keyProperties || [];
+  const start = options.skipToken
+    ? findPageStart(items, parseSkipToken(options.skipToken), sortFields, keyProperties)
+    : 0;
+  
+  if (!options.pageSize) {
+    return { value: items.slice(start) };
+  }
+  
+  const end = start + options.pageSize;
+  const page = {
+    value: items.slice(start, end)
+  };
+  
+  if (end < items.length) {
+    const last = page.value[page.value.length - 1];
+    const position = keyProperties.length > 0
+      ? { values: sortFields.map(field => last[field.property]), key: keyProperties.map(name => last[name]) }
+      : { offset: end };
+    page.nextLink = buildNextLink(options.requestUrl, createSkipToken(position));
+  }
+  
+  return page;
+}
+
 module.exports = {
   formatResponse,
   formatError,
   generateContextUrl,
   formatEntityType,
-  formatCollection
+  formatCollection,
+  createSkipToken,
+  parseSkipToken,
+  buildNextLink,
+  buildDeltaLink,
+  applyServerPaging
 };
@@ -0,0 +1,681 @@
+/**
+ * OData Schema Model Module
+ * Works with the schema parsed from an EDMX document (parsers/edmx-parser) to
+ * generate $metadata, look up types and keys, type entities in responses and
+ * validate entities sent by clients
+ */
+
+const EDMX_NAMESPACE = 'http://docs.oasis-open.org/odata/ns/edmx';
+const EDM_NAMESPACE = 'http://docs.oasis-open.org/odata/ns/edm';
+
+const NUMERIC_TYPES = [
+  'Edm.Byte', 'Edm.SByte', 'Edm.Int16', 'Edm.Int32', 'Edm.Int64', 'Edm.Decimal', 'Edm.Double', 'Edm.Single'
+];
+
+// Checks for JSON values of primitive types; types not listed here (Binary, Stream, geo types) aren't checked
+const PRIMITIVE_VALIDATORS = {
+  'Edm.String': value => typeof value === 'string',
+  'Edm.Boolean': value => typeof value === 'boolean',
+  'Edm.Byte': value => isIntegerInRange(value, 0, 255),
+  'Edm.SByte': value => isIntegerInRange(value, -128, 127),
+  'Edm.Int16': value => isIntegerInRange(value, -32768, 32767),
+  'Edm.Int32': value => isIntegerInRange(value, -2147483648, 2147483647),
+  // Int64 and Decimal may be sent as strings to keep their precision (IEEE754Compatible)
+  'Edm.Int64': value => Number.isInteger(value) || (typeof value === 'string' && /^-?\d+$/.test(value)),
+  'Edm.Decimal': value => typeof value === 'number' || (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value)),
+  'Edm.Double': value => typeof value === 'number' || ['NaN', 'INF', '-INF'].includes(value),
+  'Edm.Single': value => typeof value === 'number' || ['NaN', 'INF', '-INF'].includes(value),
+  'Edm.Guid': value => typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  'Edm.Date': value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value),
+  'Edm.DateTimeOffset': value => typeof value === 'string' &&
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/i.test(value) &&
+    !isNaN(Date.parse(value)),
+  'Edm.TimeOfDay': value => typeof value === 'string' && /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(value),
+  'Edm.Duration': value => typeof value === 'string' && /^-?P(\d+D)?(T(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/.test(value)
+};
+
+/**
+ * Creates an error for an entity that doesn't match the schema
+ * @param {string} message - Error message
+ * @returns {Error} The error, flagged with a 400 status code
+ */
+function createSchemaError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Checks whether a value is an integer within a range
+ * @param {*} value - The value
+ * @param {number} min - The smallest allowed value
+ * @param {number} max - The largest allowed value
+ * @returns {boolean} True if the value is an integer in the range
+ */
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Gets the namespace-qualified name of a type
+ * @param {Object} type - The parsed type
+ * @returns {string} The qualified name (e.g. Shop.Customer)
+ */
+function getQualifiedName(type) {
+  return type.namespace ? `${type.namespace}.${type.name}` : type.name;
+}
+
+/**
+ * Finds a type in a list by qualified or unqualified name
+ * @param {Array} types - The parsed types
+ * @param {string} typeName - The type name, optionally qualified and prefixed with #
+ * @returns {Object|undefined} The type
+ */
+function findType(types, typeName) {
+  if (!types || !typeName) {
+    return undefined;
+  }
+
+  const name = typeName.replace(/^#/, '');
+  return types.find(type => getQualifiedName(type) === name) ||
+    types.find(type => type.name === name.slice(name.lastIndexOf('.') + 1));
+}
+
+/**
+ * Finds an entity type or complex type
+ * @param {Object} schema - The parsed EDMX schema
+ * @param {string} typeName - The type name, optionally qualified
+ * @returns {Object|undefined} The structured type
+ */
+function findStructuredType(schema, typeName) {
+  return findType(schema.entityTypes, typeName) || findType(schema.complexTypes, typeName);
+}
+
+/**
+ * Gets the entity type of an entity set
+ * @param {Object} schema - The parsed EDMX schema
+ * @param {string} entitySetName - The entity set name
+ * @returns {Object|undefined} The entity type
+ */
+function getEntitySetType(schema, entitySetName) {
+  const entitySet = schema && schema.entitySets.find(set => set.name === entitySetName);
+  return entitySet ? findType(schema.entityTypes, entitySet.entityType) : undefined;
+}
+
+/**
+ * Gets a type followed by its base types, most derived first
+ * @param {Object} schema - The parsed EDMX schema
+ * @param {Object} type - The structured type
+ * @returns {Array} The type hierarchy
+ */
+function getTypeHierarchy(schema, type) {
+  const hierarchy = [];
+
+  for (let current = type; current && !hierarchy.includes(current); current = findStructuredType(schema, current.baseType)) {
+    hierarchy.push(current);
+  }
+
+  return hierarchy;
+}
+
+/**
+ * Gets the structural properties of a type, including inherited ones
+ * @param {Object} schema - The parsed EDMX schema
+ * @param {Object} type - The structured type
+ * @returns {Array} The properties
+ */
+function getProperties(schema, type) {
+  return getTypeHierarchy(schema, type).reverse().flatMap(current => current.properties || []);
+}
+
+/**
+ * Gets the navigation properties of a type, including inherited ones
+ * @param {Object} schema - The parsed EDMX schema
+ * @param {Object} type - The structured type
+ * @returns {Array} The navigation properties
+ */
+function getNavigationProperties(schema, type) {
+  return getTypeHierarchy(schema, type).reverse().flatMap(current => current.navigationProperties || []);
+}
+
+/**
+ * Gets the key property names of an entity type, which may be declared on a base type
+ * @param {Object} schema - The parsed EDMX schema
+ * @param {Object} type - The entity type
+ * @returns {Array<string>} The key property names (empty when none is declared)
+ */
+function getKeyProperties(schema, type) {
+  const declaring = getTypeHierarchy(schema, type).find(current => current.key && current.key.length > 0);
+  return declaring ? declaring.key : [];
+}
+
+/**
+ * Checks whether a type (or one of its base types) is open to undeclared properties
+ * @param {Object} schema - The parsed EDMX schema
+ * @param {Object} type - The structured type
+ * @returns {boolean} True for open types
+ */
+function isOpenType(schema, type) {
+  return getTypeHierarchy(schema, type).some(current => current.openType);
+}
+
+/**
+ * Escapes a value for use in an XML attribute
+ * @param {*} value - The value
+ * @returns {string} The escaped value
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders an XML element, omitting attributes whose value is undefined or false
+ * @param {string} indent - Indentation of the element
+ * @param {string} name - The element name
+ * @param {Object} attributes - The attributes
+ * @param {Array<string>} children - Rendered child elements
+ * @returns {string} The element XML
+ */
+function renderElement(indent, name, attributes, children = []) {
+  const renderedAttributes = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null && value !== false)
+    .map(([attribute, value]) => ` ${attribute}="${escapeXml(value)}"`)
+    .join('');
+
+  if (children.length === 0) {
+    return `${indent}<${name}${renderedAttributes} />`;
+  }
+
+  return [`${indent}<${name}${renderedAttributes}>`, ...children, `${indent}</${name}>`].join('\n');
+}
+
+/**
+ * Renders an entity type or complex type
+ * @param {string} indent - Indentation of the element
+ * @param {string} elementName - EntityType or ComplexType
+ * @param {Object} type - The parsed type
+ * @returns {string} The type XML
+ */
+function renderStructuredType(indent, elementName, type) {
+  const inner = `${indent}  `;
+  const children = [];
+
+  if (type.key && type.key.length > 0) {
+    children.push(`${inner}<Key>${type.key.map(name => `<PropertyRef Name="${escapeXml(name)}" />`).join('')}</Key>`);
+  }
+
+  for (const property of type.properties) {
+    children.push(renderElement(inner, 'Property', {
+      Name: property.name,
+      Type: property.type,
+      Nullable: property.nullable ? undefined : 'false',
+      MaxLength: property.maxLength,
+      Precision: property.precision,
+      Scale: property.scale,
+      DefaultValue: property.defaultValue
+    }));
+  }
+
+  for (const navigationProperty of type.navigationProperties) {
+    children.push(renderElement(inner, 'NavigationProperty', {
+      Name: navigationProperty.name,
+      Type: navigationProperty.type,
+      Nullable: navigationProperty.nullable === false ? 'false' : undefined,
+      Partner: navigationProperty.partner,
+      ContainsTarget: navigationProperty.containsTarget ? 'true' : undefined
+    }));
+  }
+
+  return renderElement(indent, elementName, {
+    Name: type.name,
+    BaseType: type.baseType,
+    Abstract: type.abstract ? 'true' : undefined,
+    OpenType: type.openType ? 'true' : undefined
+  }, children);
+}
+
+/**
+ * Renders a function or action
+ * @param {string} indent - Indentation of the element
+ * @param {string} elementName - Function or Action
+ * @param {Object} operation - The parsed operation
+ * @returns {string} The operation XML
+ */
+function renderOperation(indent, elementName, operation) {
+  const inner = `${indent}  `;
+  const children = operation.parameters.map(parameter => renderElement(inner, 'Parameter', {
+    Name: parameter.name,
+    Type: parameter.type,
+    Nullable: parameter.nullable ? undefined : 'false'
+  }));
+
+  if (operation.returnType) {
+    children.push(renderElement(inner, 'ReturnType', {
+      Type: operation.returnType.type,
+      Nullable: operation.returnType.nullable ? undefined : 'false'
+    }));
+  }
+
+  return renderElement(indent, elementName, {
+    Name: operation.name,
+    IsBound: operation.isBound ? 'true' : undefined,
+    IsComposable: operation.isComposable ? 'true' : undefined,
+    EntitySetPath: operation.entitySetPath
+  }, children);
+}
+
+/**
+ * Renders the entity container
+ * @param {string} indent - Indentation of the element
+ * @param {Object} schema - The parsed EDMX schema
+ * @returns {string} The entity container XML
+ */
+function renderEntityContainer(indent, schema) {
+  const inner = `${indent}  `;
+  const children = [];
+
+  for (const entitySet of schema.entitySets) {
+    children.push(renderElement(inner, 'EntitySet', {
+      Name: entitySet.name,
+      EntityType: entitySet.entityType
+    }, (entitySet.navigationPropertyBindings || []).map(binding => renderElement(`${inner}  `, 'NavigationPropertyBinding', {
+      Path: binding.path,
+      Target: binding.target
+    }))));
+  }
+
+  for (const functionImport of schema.functionImports || []) {
+    children.push(renderElement(inner, 'FunctionImport', {
+      Name: functionImport.name,
+      Function: functionImport.function,
+      EntitySet: functionImport.entitySet,
+      IncludeInServiceDocument: functionImport.includeInServiceDocument ? 'true' : undefined
+    }));
+  }
+
+  for (const actionImport of schema.actionImports || []) {
+    children.push(renderElement(inner, 'ActionImport', {
+      Name: actionImport.name,
+      Action: actionImport.action,
+      EntitySet: actionImport.entitySet
+    }));
+  }
+
+  return renderElement(indent, 'EntityContainer', { Name: schema.containerName || 'Container' }, children);
+}
+
+/**
+ * Generates a $metadata document from a parsed EDMX schema
+ * Types are grouped into one Schema element per namespace, and the entity container
+ * is placed in the schema that declared it.
+ * @param {Object} schema - The parsed EDMX schema
+ * @returns {string} The metadata document XML
+ */
+function generateMetadataDocument(schema) {
+  const sections = [
+    ['EnumType', schema.enumTypes || []],
+    ['ComplexType', schema.complexTypes || []],
+    ['EntityType', schema.entityTypes],
+    ['Function', schema.functions || []],
+    ['Action', schema.actions || []]
+  ];
+
+  const containerNamespace = schema.containerNamespace || schema.namespace || 'Default';
+  const namespaces = [];
+  for (const [, items] of sections) {
+    items.forEach(item => {
+      if (!namespaces.includes(item.namespace)) {
+        namespaces.push(item.namespace);
+      }
+    });
+  }
+  if (!namespaces.includes(containerNamespace)) {
+    namespaces.push(containerNamespace);
+  }
+
+  const indent = '      ';
+  const schemas = namespaces.map(namespace => {
+    const children = [];
+
+    for (const [elementName, items] of sections) {
+      for (const item of items.filter(candidate => candidate.namespace === namespace)) {
+        if (elementName === 'EnumType') {
+          children.push(renderElement(indent, 'EnumType', {
+            Name: item.name,
+            UnderlyingType: item.underlyingType !== 'Edm.Int32' ? item.underlyingType : undefined,
+            IsFlags: item.isFlags ? 'true' : undefined
+          }, item.members.map(member => renderElement(`${indent}  `, 'Member', { Name: member.name, Value: member.value }))));
+        } else if (elementName === 'Function' || elementName === 'Action') {
+          children.push(renderOperation(indent, elementName, item));
+        } else {
+          children.push(renderStructuredType(indent, elementName, item));
+        }
+      }
+    }
+
+    if (namespace === containerNamespace) {
+      children.push(renderEntityContainer(indent, schema));
+    }
+
+    return renderElement('    ', 'Schema', { Namespace: namespace, xmlns: EDM_NAMESPACE }, children);
+  });
+
+  const version = /^\d/.test(schema.version || '') ? schema.version : '4.0';
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<edmx:Edmx Version="${escapeXml(version)}" xmlns:edmx="${EDMX_NAMESPACE}">
+  <edmx:DataServices>
+${schemas.join('\n')}
+  </edmx:DataServices>
+</edmx:Edmx>`;
+}
+
+/**
+ * Converts an enum value to its member name(s)
+ * @param {*} value - The value (a member name or its numeric value)
+ * @param {Object} enumType - The parsed enum type
+ * @returns {*} The member name(s), or the value when it doesn't match a member
+ */
+function coerceEnumValue(value, enumType) {
+  if (typeof value !== 'number') {
+    return value;
+  }
+
+  if (enumType.isFlags) {
+    const names = enumType.members.filter(member => member.value !== 0 && (value & member.value) === member.value);
+    return names.length > 0 ? names.map(member => member.name).join(',') : value;
+  }
+
+  const member = enumType.members.find(candidate => candidate.value === value);
+  return member ? member.name : value;
+}
+
+/**
+ * Converts a stored value to the JSON representation of its declared type
+ * Values that can't be converted are returned unchanged.
+ * @param {*} value - The stored value
+ * @param {string} typeName - The declared type (e.g. Edm.Int32, Collection(Shop.Address))
+ * @param {Object} schema - The parsed EDMX schema
+ * @returns {*} The typed value
+ */
+function coerceValue(value, typeName, schema) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  const collection = typeName.match(/^Collection\((.+)\)$/);
+  if (collection) {
+    return Array.isArray(value) ? value.map(item => coerceValue(item, collection[1], schema)) : value;
+  }
+
+  if (NUMERIC_TYPES.includes(typeName)) {
+    return typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+  }
+
+  switch (typeName) {
+    case 'Edm.String':
+    case 'Edm.Guid':
+      return typeof value === 'number' || typeof value === 'boolean' ? String(value) : value;
+
+    case 'Edm.Boolean':
+      return value === 'true' || value === 'false' ? value === 'true' : value;
+
+    case 'Edm.DateTimeOffset':
+      // Epoch milliseconds become ISO 8601 timestamps
+      return typeof value === 'number' ? new Date(value).toISOString() : value;
+
+    case 'Edm.Date':
+      return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) ? value.slice(0, 10) : value;
+
+    default:
+      break;
+  }
+
+  const enumType = findType(schema.enumTypes, typeName);
+  if (enumType) {
+    return coerceEnumValue(value, enumType);
+  }
+
+  const complexType = findType(schema.complexTypes, typeName);
+  if (complexType && typeof value === 'object' && !Array.isArray(value)) {
+    return typeStructuredValue(value, schema, complexType, false);
+  }
+
+  return value;
+}
+
+/**
+ * Types the properties of an entity or complex value
+ * @param {Object} value - The entity or complex value
+ * @param {Object} schema - The parsed EDMX schema
+ * @param {Object} declaredType - The declared structured type
+ * @param {boolean} annotate - Whether to add the @odata.type annotation
+ * @returns {Object} The typed value
+ */
+function typeStructuredValue(value, schema, declaredType, annotate) {
+  // A stored @odata.type naming a derived type wins over the declared type
+  const type = (value['@odata.type'] && findStructuredType(schema, value['@odata.type'])) || declaredType;
+  const properties = getProperties(schema, type);
+  const navigationProperties = getNavigationProperties(schema, type);
+  const result = annotate ? { '@odata.type': `#${getQualifiedName(type)}` } : {};
+
+  for (const [name, propertyValue] of Object.entries(value)) {
+    if (annotate && name === '@odata.type') {
+      continue;
+    }
+
+    const property = properties.find(candidate => candidate.name === name);
+    const navigationProperty = !property && navigationProperties.find(candidate => candidate.name === name);
+    const targetType = navigationProperty && findType(schema.entityTypes, navigationProperty.type.replace(/^Collection\((.*)\)$/, '$1'));
+
+    if (property) {
+      result[name] = coerceValue(propertyValue, property.type, schema);
+    } else if (targetType && propertyValue && typeof propertyValue === 'object') {
+      // Expanded navigation properties are typed with their target entity type
+      result[name] = Array.isArray(propertyValue)
+        ? propertyValue.map(item => (item && typeof item === 'object' ? typeStructuredValue(item, schema, targetType, true) : item))
+        : typeStructuredValue(propertyValue, schema, targetType, true);
+    } else {
+      result[name] = propertyValue;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Types entities of an entity set for a response
+ * Property values are converted to their declared types and each entity is annotated
+ * with its @odata.type. Data is returned unchanged when the entity set isn't in the schema.
+ * @param {Array|Object} data - An entity or array of entities
+ * @param {Object} schema - The parsed EDMX schema (or null)
+ * @param {string} entitySetName - The entity set the entities belong to
+ * @returns {Array|Object} The typed entities
+ */
+function applyEntityTypes(data, schema, entitySetName) {
+  const entityType = getEntitySetType(schema, entitySetName);
+  if (!entityType) {
+    return data;
+  }
+
+  const typeEntity = entity => (entity && typeof entity === 'object'
+    ? typeStructuredValue(entity, schema, entityType, true)
+    : entity);
+
+  return Array.isArray(data) ? data.map(typeEntity) : typeEntity(data);
+}
+
+/**
+ * Validates a value against a declared property
+ * @param {*} value - The value
+ * @param {Object} property - The property ({ type, nullable, maxLength })
+ * @param {Object} schema - The parsed EDMX schema
+ * @param {string} label - The property path used in messages
+ * @param {boolean} partial - Whether required properties of complex values may be missing
+ * @returns {Array<string>} The problems found
+ */
+function validateValue(value, property, schema, label, partial) {
+  if (value === null) {
+    return property.nullable ? [] : [`'${label}' must not be null`];
+  }
+
+  const collection = property.type.match(/^Collection\((.+)\)$/);
+  if (collection) {
+    if (!Array.isArray(value)) {
+      return [`'${label}' must be a collection of ${collection[1]}`];
+    }
+    return value.flatMap((item, index) => validateValue(item, { type: collection[1], nullable: true }, schema, `${label}[${index}]`, false));
+  }
+
+  const validator = PRIMITIVE_VALIDATORS[property.type];
+  if (validator) {
+    if (!validator(value)) {
+      return [`'${label}' must be a value of type ${property.type}`];
+    }
+    if (property.type === 'Edm.String' && /^\d+$/.test(property.maxLength || '') && value.length > Number(property.maxLength)) {
+      return [`'${label}' must not be longer than ${property.maxLength} characters`];
+    }
+    return [];
+  }
+
+  const enumType = findType(schema.enumTypes, property.type);
+  if (enumType) {
+    const names = typeof value === 'string' ? value.split(',').map(name => name.trim()) : null;
+    const valid = names
+      ? names.every(name => enumType.members.some(member => member.name === name)) && (enumType.isFlags || names.length === 1)
+      : Number.isInteger(value) && (enumType.isFlags || enumType.members.some(member => member.value === value));
+
+    return valid ? [] : [`'${label}' must be one of ${enumType.members.map(member => member.name).join(', ')}`];
+  }
+
+  const complexType = findType(schema.complexTypes, property.type);
+  if (complexType) {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      return [`'${label}' must be an object of type ${getQualifiedName(complexType)}`];
+    }
+    return validateStructuredValue(value, schema, complexType, { label, partial, exempt: [] });
+  }
+
+  return [];
+}
+
+/**
+ * Validates the properties of an entity or complex value
+ * @param {Object} value - The entity or complex value
+ * @param {Object} schema - The parsed EDMX schema
+ * @param {Object} type - The structured type
+ * @param {Object} options - Validation options
+ * @param {string} options.label - Path of the value used in messages
+ * @param {boolean} options.partial - Whether required properties may be missing (PATCH)
+ * @param {Array<string>} options.exempt - Required properties that may be missing (server-generated keys)
+ * @returns {Array<string>} The problems found
+ */
+function validateStructuredValue(value, schema, type, options) {
+  const properties = getProperties(schema, type);
+  const navigationProperties = getNavigationProperties(schema, type);
+  const labelFor = name => (options.label ? `${options.label}/${name}` : name);
+  const problems = [];
+
+  for (const [name, propertyValue] of Object.entries(value)) {
+    // Instance annotations such as @odata.type and Customer@odata.bind aren't properties
+    if (name.includes('@')) {
+      continue;
+    }
+
+    const property = properties.find(candidate => candidate.name === name);
+    if (property) {
+      problems.push(...validateValue(propertyValue, property, schema, labelFor(name), options.partial));
+    } else if (navigationProperties.some(candidate => candidate.name === name)) {
+      if (propertyValue !== null && typeof propertyValue !== 'object') {
+        problems.push(`'${labelFor(name)}' must be an entity or a collection of entities`);
+      }
+    } else if (!isOpenType(schema, type)) {
+      problems.push(`'${labelFor(name)}' is not a property of ${getQualifiedName(type)}`);
+    }
+  }
+
+  if (!options.partial) {
+    for (const property of properties) {
+      const required = !property.nullable && property.defaultValue === undefined && !options.exempt.includes(property.name);
+      if (required && value[property.name] === undefined) {
+        problems.push(`'${labelFor(property.name)}' is required`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Validates an entity sent by a client against the entity type of its entity set
+ * Key properties may be omitted so the server can generate them.
+ * @param {Object} entity - The entity payload
+ * @param {Object} schema - The parsed EDMX schema (or null)
+ * @param {string} entitySetName - The entity set being written
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Whether the payload is a partial update (PATCH/MERGE)
+ */
+function validateEntity(entity, schema, entitySetName, options = {}) {
+  const declaredType = getEntitySetType(schema, entitySetName);
+  if (!declaredType) {
+    return;
+  }
+
+  const type = (entity['@odata.type'] && findType(schema.entityTypes, entity['@odata.type'])) || declaredType;
+  const problems = validateStructuredValue(entity, schema, type, {
+    label: '',
+    partial: Boolean(options.partial),
+    exempt: getKeyProperties(schema, type)
+  });
+
+  if (problems.length > 0) {
+    throw createSchemaError(`Invalid ${getQualifiedName(type)} entity: ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * Validates the parameter values of a function or action call against its signature
+ * @param {Object} values - Parameter values by name
+ * @param {Array} parameters - The declared parameters ({ name, type, nullable }), without the binding parameter
+ * @param {Object} schema - The parsed EDMX schema
+ * @param {string} operationName - The qualified operation name used in messages
+ */
+function validateParameters(values, parameters, schema, operationName) {
+  const problems = [];
+
+  for (const [name, value] of Object.entries(values)) {
+    const parameter = parameters.find(candidate => candidate.name === name);
+    if (!parameter) {
+      problems.push(`'${name}' is not a parameter of ${operationName}`);
+    } else {
+      problems.push(...validateValue(value, parameter, schema, name, false));
+    }
+  }
+
+  for (const parameter of parameters) {
+    if (!parameter.nullable && values[parameter.name] === undefined) {
+      problems.push(`'${parameter.name}' is required`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw createSchemaError(`Invalid parameters for ${operationName}: ${problems.join('; ')}`);
+  }
+}
+
+module.exports = {
+  generateMetadataDocument,
+  getQualifiedName,
+  findStructuredType,
+  getEntitySetType,
+  getProperties,
+  getNavigationProperties,
+  getKeyProperties,
+  applyEntityTypes,
+  validateEntity,
+  validateParameters
+};
@@ -0,0 +1,336 @@
+/**
+ * OData Search Module
+ * Evaluates $search expressions (terms, "phrases", AND, OR, NOT and parentheses)
+ * against string properties of entities using a lightweight inverted index
+ */
+
+// Inverted indexes per collection array, rebuilt when the collection's items change
+const indexCache = new WeakMap();
+
+/**
+ * Creates an error for an invalid $search expression
+ * @param {string} message - Error message
+ * @returns {Error} The error, flagged with a 400 status code
+ */
+function createSearchError(message) {
+  const error = new Error(`Invalid $search expression: ${message}`);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Splits text into lower-case search terms
+ * @param {string} text - The text
+ * @returns {Array<string>} The terms
+ */
+function tokenizeText(text) {
+  return String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Tokenizes a $search expression
+ * @param {string} expression - The $search expression
+ * @returns {Array<Object>} Tokens of type word, phrase, and, or, not, ( and )
+ */
+function tokenizeSearch(expression) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < expression.length) {
+    const char = expression[index];
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      index++;
+      continue;
+    }
+
+    if (char === '"') {
+      let phrase = '';
+      index++;
+
+      while (index < expression.length && expression[index] !== '"') {
+        // Backslash escapes a quote or backslash inside a phrase
+        if (expression[index] === '\\' && index + 1 < expression.length) {
+          index++;
+        }
+        phrase += expression[index];
+        index++;
+      }
+
+      if (index >= expression.length) {
+        throw createSearchError('unterminated phrase');
+      }
+
+      index++;
+      tokens.push({ type: 'phrase', value: phrase });
+      continue;
+    }
+
+    const match = expression.slice(index).match(/^[^\s()"]+/);
+    const word = match[0];
+    index += word.length;
+
+    // Operators are upper-case keywords; anything else is a search term
+    if (word === 'AND' || word === 'OR' || word === 'NOT') {
+      tokens.push({ type: word.toLowerCase() });
+    } else {
+      tokens.push({ type: 'word', value: word });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parses a $search expression into an AST
+ * OR binds loosest, then AND (explicit or implied by adjacent terms), then NOT.
+ * @param {string} expression - The $search expression
+ * @returns {Object} The root AST node
+ */
+function parseSearch(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw createSearchError('expression is empty');
+  }
+
+  const tokens = tokenizeSearch(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const startsOperand = token => token && ['word', 'phrase', 'not', '('].includes(token.type);
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek() && peek().type === 'or') {
+      position++;
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    while (peek() && (peek().type === 'and' || startsOperand(peek()))) {
+      if (peek().type === 'and') {
+        position++;
+      }
+      left = { type: 'and', left, right: parseNot() };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (peek() && peek().type === 'not') {
+      position++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+
+    if (!token) {
+      throw createSearchError('unexpected end of expression');
+    }
+
+    if (token.type === '(') {
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') {
+        throw createSearchError("expected ')'");
+      }
+      position++;
+      return node;
+    }
+
+    if (token.type === 'word' || token.type === 'phrase') {
+      const terms = tokenizeText(token.value.replace(/\*$/, ''));
+      if (terms.length === 0) {
+        throw createSearchError(`'${token.value}' contains no searchable characters`);
+      }
+
+      // A trailing * on a single word matches terms by prefix
+      if (token.type === 'word' && terms.length === 1 && token.value.endsWith('*')) {
+        return { type: 'prefix', value: terms[0] };
+      }
+      return { type: 'terms', values: terms };
+    }
+
+    throw createSearchError(`unexpected '${token.type.toUpperCase()}'`);
+  };
+
+  const ast = parseOr();
+
+  if (position < tokens.length) {
+    throw createSearchError(`unexpected '${tokens[position].value || tokens[position].type}'`);
+  }
+
+  return ast;
+}
+
+/**
+ * Gets the searchable text values of an entity
+ * @param {Object} item - The entity
+ * @param {Array<string>} fields - Searchable property paths, or null for all string properties
+ * @returns {Array<string>} The text values
+ */
+function getSearchableValues(item, fields) {
+  if (!item || typeof item !== 'object') {
+    return [];
+  }
+
+  if (!fields) {
+    return Object.values(item).filter(value => typeof value === 'string');
+  }
+
+  return fields
+    .map(field => field.split('/').reduce((value, segment) => (value && typeof value === 'object' ? value[segment] : undefined), item))
+    .flatMap(value => (Array.isArray(value) ? value : [value]))
+    .filter(value => typeof value === 'string' || typeof value === 'number');
+}
+
+/**
+ * Builds an inverted index mapping each term to the positions of the entities containing it
+ * @param {Array} items - The entities
+ * @param {Array<string>} fields - Searchable property paths, or null for all string properties
+ * @returns {Object} The index
+ */
+function buildIndex(items, fields) {
+  const terms = new Map();
+  const documents = [];
+
+  items.forEach((item, position) => {
+    const fieldTerms = getSearchableValues(item, fields).map(tokenizeText);
+    documents.push(fieldTerms);
+
+    for (const term of fieldTerms.flat()) {
+      if (!terms.has(term)) {
+        terms.set(term, new Set());
+      }
+      terms.get(term).add(position);
+    }
+  });
+
+  return { items: [...items], terms, documents };
+}
+
+/**
+ * Gets the index for a collection, reusing the cached one while the collection is unchanged
+ * @param {Array} items - The entities
+ * @param {Array<string>} fields - Searchable property paths, or null for all string properties
+ * @returns {Object} The index
+ */
+function getIndex(items, fields) {
+  const fieldsKey = fields ? fields.join(',') : '*';
+  let indexes = indexCache.get(items);
+
+  if (!indexes) {
+    indexes = new Map();
+    indexCache.set(items, indexes);
+  }
+
+  const cached = indexes.get(fieldsKey);
+
+  // Writes replace entity objects, so comparing references detects any change
+  if (cached && cached.items.length === items.length && cached.items.every((item, i) => item === items[i])) {
+    return cached;
+  }
+
+  const index = buildIndex(items, fields);
+  indexes.set(fieldsKey, index);
+  return index;
+}
+
+/**
+ * Checks whether the terms appear consecutively in one of a document's fields
+ * @param {Array<Array<string>>} fieldTerms - The terms of each searchable field
+ * @param {Array<string>} phrase - The phrase terms
+ * @returns {boolean} True if the phrase occurs
+ */
+function containsPhrase(fieldTerms, phrase) {
+  return fieldTerms.some(terms => {
+    for (let start = 0; start + phrase.length <= terms.length; start++) {
+      if (phrase.every((term, offset) => terms[start + offset] === term)) {
+        return true;
+      }
+    }
+    return false;
+  });
+}
+
+/**
+ * Evaluates a search AST against the index
+ * @param {Object} node - The AST node
+ * @param {Object} index - The index
+ * @returns {Set<number>} Positions of the matching entities
+ */
+function evaluateSearch(node, index) {
+  switch (node.type) {
+    case 'terms': {
+      // Intersect the postings of every term, smallest first
+      const postings = node.values.map(term => index.terms.get(term) || new Set());
+      postings.sort((a, b) => a.size - b.size);
+
+      const matches = new Set([...postings[0]].filter(position => postings.every(posting => posting.has(position))));
+
+      if (node.values.length === 1) {
+        return matches;
+      }
+      return new Set([...matches].filter(position => containsPhrase(index.documents[position], node.values)));
+    }
+
+    case 'prefix': {
+      const matches = new Set();
+      for (const [term, positions] of index.terms) {
+        if (term.startsWith(node.value)) {
+          positions.forEach(position => matches.add(position));
+        }
+      }
+      return matches;
+    }
+
+    case 'and': {
+      const left = evaluateSearch(node.left, index);
+      const right = evaluateSearch(node.right, index);
+      return new Set([...left].filter(position => right.has(position)));
+    }
+
+    case 'or':
+      return new Set([...evaluateSearch(node.left, index), ...evaluateSearch(node.right, index)]);
+
+    case 'not': {
+      const excluded = evaluateSearch(node.operand, index);
+      return new Set(index.items.map((item, position) => position).filter(position => !excluded.has(position)));
+    }
+
+    default:
+      throw createSearchError(`unsupported node type '${node.type}'`);
+  }
+}
+
+/**
+ * Applies a $search expression to a collection
+ * @param {Array} items - The entities
+ * @param {string} searchOption - The $search query option
+ * @param {Object} options - Search options
+ * @param {Array<string>} options.fields - Searchable property paths (defaults to all string properties)
+ * @returns {Array} The matching entities in collection order
+ */
+function applySearch(items, searchOption, options = {}) {
+  const ast = parseSearch(searchOption);
+  const fields = Array.isArray(options.fields) && options.fields.length > 0 ? options.fields : null;
+  const index = getIndex(items, fields);
+  const matches = evaluateSearch(ast, index);
+
+  return index.items.filter((item, position) => matches.has(position));
+}
+
+module.exports = {
+  parseSearch,
+  applySearch
+};
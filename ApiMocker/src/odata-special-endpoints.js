@@ -6,15 +6,21 @@
 const fs = require('fs');
 const path = require('path');
 const crudHandler = require('./crud-handler');
+const odataBatchProcessor = require('./odata-batch-processor');
+const odataResponseFormatter = require('./odata-response-formatter');
+const odataSchemaModel = require('./odata-schema-model');
 
 /**
  * Generates OData service document
  * @param {string} baseUrl - The base URL of the service
  * @param {Object} config - API configuration
+ * @param {Object} schema - The parsed EDMX schema (optional); lists its entity sets instead of the data store's
  * @returns {Object} The service document
  */
-function generateServiceDocument(baseUrl, config) {
-  const collections = getCollections(config.apiName);
+function generateServiceDocument(baseUrl, config, schema = null) {
+  const collections = schema
+    ? schema.entitySets.map(entitySet => entitySet.name)
+    : getCollections(config.apiName);
   const serviceDocument = {
     '@odata.context': `${baseUrl}/$metadata`,
     value: []
@@ -28,6 +34,16 @@ function generateServiceDocument(baseUrl, config) {
     });
   }
   
+  if (schema) {
+    for (const functionImport of (schema.functionImports || []).filter(item => item.includeInServiceDocument)) {
+      serviceDocument.value.push({
+        name: functionImport.name,
+        kind: 'FunctionImport',
+        url: functionImport.name
+      });
+    }
+  }
+  
   return serviceDocument;
 }
 
@@ -62,10 +78,17 @@ function getCollections(apiName) {
 
 /**
  * Generates OData metadata document
+ * The document is built from the schema model when one was loaded from EDMX;
+ * otherwise entity types are inferred from the first item of each collection.
  * @param {Object} config - API configuration
+ * @param {Object} schema - The parsed EDMX schema (optional)
  * @returns {string} The metadata document XML
  */
-function generateMetadata(config) {
+function generateMetadata(config, schema = null) {
+  if (schema) {
+    return odataSchemaModel.generateMetadataDocument(schema);
+  }
+  
   const collections = getCollections(config.apiName);
   const entityTypes = [];
   
@@ -189,28 +212,82 @@ function capitalize(str) {
 
 /**
  * Handles OData batch requests
+ * Supports multipart/mixed batches (with changesets) and the OData 4.01 JSON batch format.
+ * Each sub-request is dispatched through the OData router so it is served by the same
+ * handlers as a standalone request.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Object} config - API configuration
+ * @param {Object} router - Express router with the OData routes of the API
+ * @returns {Promise<void>}
  */
-function handleBatch(req, res, config) {
-  // This is a simplified implementation that doesn't actually process batch requests
-  // In a real implementation, you would need to parse the multipart request and
-  // execute each operation individually
-  
-  res.status(501).json({
-    error: {
-      code: 'NotImplemented',
-      message: 'Batch operations are not currently supported'
+async function handleBatch(req, res, config, router) {
+  const contentType = req.get('content-type') || '';
+  const prefer = req.get('prefer') || '';
+  const context = {
+    router,
+    apiName: config.apiName,
+    basePath: req.baseUrl || '',
+    protocol: req.protocol,
+    host: req.get('host'),
+    continueOnError: /odata\.continue-on-error(?!\s*=\s*false)/i.test(prefer)
+  };
+  
+  if (context.continueOnError) {
+    res.set('Preference-Applied', 'odata.continue-on-error');
+  }
+  
+  try {
+    if (contentType.toLowerCase().startsWith('application/json')) {
+      const result = await odataBatchProcessor.processJsonBatch(req.body, context);
+      res.status(200).json(result);
+      return;
     }
-  });
+    
+    if (contentType.toLowerCase().startsWith('multipart/mixed')) {
+      const boundary = odataBatchProcessor.getBoundary(contentType);
+      if (!boundary) {
+        res.status(400).json(
+          odataResponseFormatter.formatError('BadRequest', 'Batch request is missing a multipart boundary')
+        );
+        return;
+      }
+      
+      const result = await odataBatchProcessor.processMultipartBatch(req.body, boundary, context);
+      res.status(200)
+        .set('Content-Type', `multipart/mixed; boundary=${result.boundary}`)
+        .send(result.body);
+      return;
+    }
+    
+    res.status(400).json(
+      odataResponseFormatter.formatError(
+        'BadRequest',
+        `Unsupported batch content type: ${contentType || '(none)'}`
+      )
+    );
+  } catch (error) {
+    if (error.statusCode === 400) {
+      res.status(400).json(odataResponseFormatter.formatError('BadRequest', error.message));
+      return;
+    }
+    throw error;
+  }
 }
 
 /**
  * Adds OData-specific headers to a response
  * @param {Object} res - Express response object
+ * @param {string} version - The OData protocol version of the service ('4.0' or '2.0')
  */
-function addODataHeaders(res) {
+function addODataHeaders(res, version = '4.0') {
+  // OData v2 names its version headers DataServiceVersion
+  if (version === '2.0') {
+    res.set('DataServiceVersion', '2.0');
+    res.set('MaxDataServiceVersion', '2.0');
+    return;
+  }
+  
   res.set('OData-Version', '4.0');
   res.set('OData-MaxVersion', '4.0');
 }
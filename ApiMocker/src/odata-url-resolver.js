@@ -0,0 +1,657 @@
+/**
+ * OData URL Resolver Module
+ * Parses OData resource paths such as Products(1), OrderLines(OrderId=1,LineNo=2),
+ * Orders(5)/Customer and Customers(1)/Orders/$count and resolves them against the data store
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crudHandler = require('./crud-handler');
+const edmxParser = require('./parsers/edmx-parser');
+const odataRelationshipHandler = require('./odata-relationship-handler');
+const odataSchemaModel = require('./odata-schema-model');
+const odataSpecialEndpoints = require('./odata-special-endpoints');
+
+// Service models parsed from $metadata.xml, cached per API configuration
+const serviceModels = new WeakMap();
+
+// Key types addressed with integer and other numeric literals
+const INTEGER_KEY_TYPES = ['Edm.Byte', 'Edm.SByte', 'Edm.Int16', 'Edm.Int32', 'Edm.Int64'];
+const NUMERIC_KEY_TYPES = [...INTEGER_KEY_TYPES, 'Edm.Decimal', 'Edm.Double', 'Edm.Single'];
+
+/**
+ * Creates an error carrying the HTTP status code to respond with
+ * @param {string} message - The error message
+ * @param {number} statusCode - The HTTP status code
+ * @returns {Error} The error
+ */
+function createResolverError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Splits text on a separator, ignoring separators inside quotes and parentheses
+ * @param {string} text - The text to split
+ * @param {string} separator - The separator character
+ * @returns {Array} The parts
+ */
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === "'") {
+      // Doubled quotes ('') toggle twice and so stay inside the literal
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && char === '(') {
+      depth++;
+    } else if (!inQuotes && char === ')') {
+      depth--;
+    } else if (!inQuotes && depth === 0 && char === separator) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+
+    current += char;
+  }
+
+  if (inQuotes || depth !== 0) {
+    throw createResolverError(`Invalid OData resource path: unbalanced quotes or parentheses in '${text}'`, 400);
+  }
+
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Parses a literal used in a key predicate
+ * @param {string} text - The literal text (e.g. 1, 'abc', guid'...')
+ * @returns {*} The literal value
+ */
+function parseKeyLiteral(text) {
+  const literal = text.trim();
+
+  const quoted = literal.match(/^(?:[A-Za-z]+)?'(.*)'$/s);
+  if (quoted) {
+    return quoted[1].replace(/''/g, "'");
+  }
+
+  if (/^-?\d+(\.\d+)?([eE][+-]?\d+)?[LlMmDdFf]?$/.test(literal)) {
+    return Number(literal.replace(/[LlMmDdFf]$/, ''));
+  }
+
+  if (literal === 'true' || literal === 'false') {
+    return literal === 'true';
+  }
+
+  if (literal === '') {
+    throw createResolverError('Invalid OData resource path: empty key value', 400);
+  }
+
+  // Unquoted GUIDs and other bare values are matched by their text
+  return literal;
+}
+
+/**
+ * Parses a key predicate such as 1, 'abc' or OrderId=1,LineNo=2
+ * @param {string} text - The text between the parentheses
+ * @returns {Array} Key parts as { name, value }; name is null for a single unnamed key
+ */
+function parseKeyPredicate(text) {
+  const parts = splitOutsideQuotes(text, ',');
+
+  if (parts.length === 1 && !/^\s*[A-Za-z_][\w.]*\s*=/.test(parts[0])) {
+    return [{ name: null, value: parseKeyLiteral(parts[0]) }];
+  }
+
+  return parts.map(part => {
+    const separatorIndex = part.indexOf('=');
+    if (separatorIndex === -1) {
+      throw createResolverError(`Invalid OData key predicate: (${text})`, 400);
+    }
+
+    return {
+      name: part.slice(0, separatorIndex).trim(),
+      value: parseKeyLiteral(part.slice(separatorIndex + 1))
+    };
+  });
+}
+
+/**
+ * Formats the key predicate of an entity, the inverse of parseKeyPredicate
+ * @param {Object} entity - The entity
+ * @param {Array<string>} keyProperties - The key property names
+ * @returns {string} The predicate (e.g. 1, 'abc' or OrderId=1,LineNo=2)
+ */
+function formatKeyPredicate(entity, keyProperties) {
+  const formatLiteral = value => (typeof value === 'number' || typeof value === 'boolean'
+    ? String(value)
+    : `'${String(value).replace(/'/g, "''")}'`);
+
+  if (keyProperties.length === 1) {
+    return formatLiteral(entity[keyProperties[0]]);
+  }
+
+  return keyProperties.map(name => `${name}=${formatLiteral(entity[name])}`).join(',');
+}
+
+/**
+ * Splits an OData resource path into its (still URL-encoded) segments
+ * Slashes inside quoted key values and parentheses don't split segments.
+ * @param {string} resourcePath - The resource path relative to the service root
+ * @returns {Array<string>} The raw segments
+ */
+function splitResourcePath(resourcePath) {
+  const trimmed = resourcePath.replace(/^\/+|\/+$/g, '');
+  return trimmed ? splitOutsideQuotes(trimmed, '/') : [];
+}
+
+/**
+ * Parses an OData resource path into segments
+ * @param {string} resourcePath - The resource path relative to the service root
+ * @returns {Array} Segments as { name, keys } where keys is null when no key predicate is present
+ */
+function parseResourcePath(resourcePath) {
+  return splitResourcePath(resourcePath).map(rawSegment => {
+    const segment = decodeURIComponent(rawSegment);
+    const match = segment.match(/^([^()]+)(?:\((.*)\))?$/s);
+
+    if (!match) {
+      throw createResolverError(`Invalid OData resource path segment: ${segment}`, 400);
+    }
+
+    return {
+      name: match[1],
+      keys: match[2] !== undefined ? parseKeyPredicate(match[2]) : null
+    };
+  });
+}
+
+/**
+ * Loads the service model (parsed EDMX and relationships) for an API
+ * The model is read from $metadata.xml in the responses directory when it exists.
+ * @param {Object} config - API configuration
+ * @returns {Promise<Object>} The service model with schema (or null) and relationships
+ */
+async function loadServiceModel(config) {
+  if (serviceModels.has(config)) {
+    return serviceModels.get(config);
+  }
+
+  const model = { schema: null, relationships: {} };
+  const metadataPath = config.responsesDir ? path.join(config.responsesDir, '$metadata.xml') : null;
+
+  if (metadataPath && fs.existsSync(metadataPath)) {
+    try {
+      model.schema = await edmxParser.parseEdmx(fs.readFileSync(metadataPath, 'utf8'));
+      model.relationships = odataRelationshipHandler.extractRelationships(model.schema);
+    } catch (error) {
+      console.warn(`Error loading OData service model from ${metadataPath}: ${error.message}`);
+    }
+  }
+
+  serviceModels.set(config, model);
+  return model;
+}
+
+/**
+ * Gets the unqualified name of a (possibly namespace-qualified) type
+ * @param {string} typeName - The type name (e.g. Demo.Customer or Collection(Demo.Order))
+ * @returns {string} The local type name (e.g. Customer or Order)
+ */
+function getLocalTypeName(typeName) {
+  const unwrapped = typeName.replace(/^Collection\((.*)\)$/, '$1');
+  return unwrapped.slice(unwrapped.lastIndexOf('.') + 1);
+}
+
+/**
+ * Gets the entity type name of an entity set
+ * Falls back to the singular of the entity set name (Customers -> Customer) without a schema.
+ * @param {string} entitySet - The entity set name
+ * @param {Object} schema - The parsed EDMX schema (optional)
+ * @returns {string} The entity type name
+ */
+function getEntityTypeName(entitySet, schema = null) {
+  const declared = schema && schema.entitySets.find(set => set.name === entitySet);
+  if (declared) {
+    return getLocalTypeName(declared.entityType);
+  }
+
+  if (entitySet.endsWith('ies')) {
+    return `${entitySet.slice(0, -3)}y`;
+  }
+
+  return entitySet.endsWith('s') ? entitySet.slice(0, -1) : entitySet;
+}
+
+/**
+ * Gets the key property names of an entity type
+ * @param {string} entityType - The entity type name
+ * @param {Object} schema - The parsed EDMX schema (optional)
+ * @returns {Array} The key property names (defaults to ['id'])
+ */
+function getKeyProperties(entityType, schema = null) {
+  const declared = schema && odataSchemaModel.findStructuredType(schema, entityType);
+  const keyProperties = declared ? odataSchemaModel.getKeyProperties(schema, declared) : [];
+  return keyProperties.length > 0 ? keyProperties : ['id'];
+}
+
+/**
+ * Gets the names of all entity sets known for an API
+ * @param {string} apiName - The API name
+ * @param {Object} schema - The parsed EDMX schema (optional)
+ * @returns {Array} The entity set names
+ */
+function getEntitySetNames(apiName, schema = null) {
+  const names = new Set(odataSpecialEndpoints.getCollections(apiName));
+
+  if (schema) {
+    schema.entitySets.forEach(set => names.add(set.name));
+  }
+
+  return Array.from(names);
+}
+
+/**
+ * Finds the entity set with the given name, ignoring case
+ * @param {Array} entitySets - The entity set names
+ * @param {string} name - The name to look for
+ * @returns {string|undefined} The matching entity set name
+ */
+function findEntitySet(entitySets, name) {
+  return entitySets.find(set => set.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Finds a navigation property of an entity type
+ * Uses the relationships from the EDMX when available and otherwise the naming
+ * conventions of the data store (Orders -> Orders collection, Customer -> Customers).
+ * @param {Object} current - The current resolution state (entity)
+ * @param {string} name - The navigation property name
+ * @param {Object} context - Resolution context with apiName, model and entitySets
+ * @returns {Object|null} The navigation property as { name, isCollection, targetSet, partner }
+ */
+function findNavigationProperty(current, name, context) {
+  const { model, entitySets } = context;
+  const typeRelationships = model.relationships[current.entityType];
+  const declared = typeRelationships && typeRelationships.navigationProperties.find(navProp => navProp.name === name);
+
+  if (declared) {
+    const targetType = getLocalTypeName(declared.type);
+    const parentSet = model.schema.entitySets.find(set => set.name === current.entitySet);
+    const binding = parentSet && parentSet.navigationPropertyBindings.find(b => b.path === name);
+    const targetSet = binding
+      ? binding.target.slice(binding.target.lastIndexOf('/') + 1)
+      : (model.schema.entitySets.find(set => getLocalTypeName(set.entityType) === targetType) || {}).name;
+
+    return {
+      name,
+      isCollection: /^Collection\(/.test(declared.type),
+      targetSet: targetSet || findEntitySet(entitySets, `${targetType}s`),
+      targetType,
+      partner: declared.partner
+    };
+  }
+
+  // Only fall back to naming conventions for properties the schema doesn't declare
+  if (typeRelationships) {
+    return null;
+  }
+
+  const collectionSet = findEntitySet(entitySets, name);
+  if (collectionSet) {
+    return { name, isCollection: true, targetSet: collectionSet, targetType: getEntityTypeName(collectionSet) };
+  }
+
+  const singleSet = findEntitySet(entitySets, `${name}s`) || findEntitySet(entitySets, `${name.replace(/y$/, '')}ies`);
+  if (singleSet) {
+    return { name, isCollection: false, targetSet: singleSet, targetType: getEntityTypeName(singleSet) };
+  }
+
+  return null;
+}
+
+/**
+ * Lower-cases the first character of a name (Customer -> customer)
+ * @param {string} name - The name
+ * @returns {string} The name with a lower-case first character
+ */
+function lowerFirst(name) {
+  return `${name.charAt(0).toLowerCase()}${name.slice(1)}`;
+}
+
+/**
+ * Follows a navigation property from an entity
+ * Single-valued properties use the foreign key on the entity (customerId);
+ * collection-valued properties select the target entities pointing back at it.
+ * @param {Object} current - The current resolution state (entity)
+ * @param {Object} navigation - The navigation property
+ * @param {Object} context - Resolution context with apiName and model
+ * @returns {Object} The new resolution state
+ */
+function followNavigation(current, navigation, context) {
+  const entity = current.value;
+  const schema = context.model.schema;
+
+  if (!navigation.targetSet) {
+    throw createResolverError(`No entity set found for navigation property ${navigation.name}`, 404);
+  }
+
+  const state = {
+    entitySet: navigation.targetSet,
+    entityType: navigation.targetType
+  };
+
+  // Related entities embedded in the recorded entity take precedence
+  const embedded = entity[navigation.name];
+
+  if (navigation.isCollection) {
+    if (Array.isArray(embedded)) {
+      return { ...state, kind: 'collection', value: embedded };
+    }
+
+    const [parentKey] = getKeyProperties(current.entityType, schema);
+    const foreignKey = `${lowerFirst(navigation.partner || current.entityType)}Id`;
+    const related = crudHandler.getAll(context.apiName, navigation.targetSet)
+      .filter(item => item[foreignKey] !== undefined && item[foreignKey] !== null &&
+        String(item[foreignKey]) === String(entity[parentKey]));
+
+    return { ...state, kind: 'collection', value: related };
+  }
+
+  if (embedded && typeof embedded === 'object' && !Array.isArray(embedded)) {
+    return { ...state, kind: 'entity', value: embedded };
+  }
+
+  const foreignKeyValue = entity[`${lowerFirst(navigation.name)}Id`];
+  const [targetKey] = getKeyProperties(navigation.targetType, schema);
+  const related = foreignKeyValue === undefined || foreignKeyValue === null
+    ? null
+    : crudHandler.getAll(context.apiName, navigation.targetSet)
+      .find(item => item[targetKey] !== undefined && String(item[targetKey]) === String(foreignKeyValue)) || null;
+
+  return { ...state, kind: 'entity', value: related };
+}
+
+/**
+ * Checks whether a parsed key literal fits the declared type of its key property
+ * @param {*} value - The parsed key value
+ * @param {string} type - The declared type (e.g. Edm.Int32)
+ * @returns {boolean} True when the value fits or the type isn't checked
+ */
+function isKeyValueOfType(value, type) {
+  if (INTEGER_KEY_TYPES.includes(type)) {
+    return Number.isInteger(value);
+  }
+
+  if (NUMERIC_KEY_TYPES.includes(type)) {
+    return typeof value === 'number';
+  }
+
+  return type === 'Edm.String' ? typeof value === 'string' : true;
+}
+
+/**
+ * Checks that the literals of a key predicate have the declared types of the key properties
+ * Numeric keys must be addressed with numbers (Products(1)) and string keys with quoted
+ * literals (Customers('ALFKI')); keys of undeclared or other types aren't checked.
+ * @param {Array} namedKeys - The key parts as { name, value }
+ * @param {Object} current - The current resolution state (collection)
+ * @param {Object} schema - The parsed EDMX schema (or null)
+ * @throws {Error} With status 400 for a literal of the wrong type
+ */
+function checkKeyTypes(namedKeys, current, schema) {
+  const entityType = schema && odataSchemaModel.findStructuredType(schema, current.entityType);
+  if (!entityType) {
+    return;
+  }
+
+  const properties = odataSchemaModel.getProperties(schema, entityType);
+  for (const key of namedKeys) {
+    const property = properties.find(candidate => candidate.name === key.name);
+    const type = property && property.type;
+
+    if (!isKeyValueOfType(key.value, type)) {
+      const literal = typeof key.value === 'string' ? `'${key.value}'` : String(key.value);
+      throw createResolverError(`Invalid key value ${literal} for ${key.name} of type ${type} in ${current.entitySet}`, 400);
+    }
+  }
+}
+
+/**
+ * Selects the entity addressed by a key predicate from a collection
+ * @param {Object} current - The current resolution state (collection)
+ * @param {Array} keys - The parsed key predicate
+ * @param {Object} context - Resolution context with model
+ * @returns {Object} The new resolution state (entity)
+ */
+function selectEntity(current, keys, context) {
+  const keyProperties = getKeyProperties(current.entityType, context.model.schema);
+  let namedKeys = keys;
+
+  if (keys.length === 1 && keys[0].name === null) {
+    if (keyProperties.length > 1) {
+      throw createResolverError(
+        `${current.entitySet} has a composite key; address entities as ${current.entitySet}(${keyProperties.map(key => `${key}=...`).join(',')})`,
+        400
+      );
+    }
+
+    namedKeys = [{ name: keyProperties[0], value: keys[0].value }];
+  }
+
+  checkKeyTypes(namedKeys, current, context.model.schema);
+
+  const entity = current.value.find(item => namedKeys.every(key =>
+    item[key.name] !== undefined && item[key.name] !== null && String(item[key.name]) === String(key.value)
+  ));
+
+  if (!entity) {
+    const predicate = namedKeys.map(key => `${key.name}=${key.value}`).join(',');
+    throw createResolverError(`Entity with key (${predicate}) not found in ${current.entitySet}`, 404);
+  }
+
+  return { ...current, kind: 'entity', value: entity };
+}
+
+/**
+ * Resolves an OData resource path against the data store
+ * @param {string} resourcePath - The resource path relative to the service root
+ * @param {Object} options - Options with apiName and model (from loadServiceModel)
+ * @returns {Object|null} The addressed resource as { kind, value, entitySet, entityType, property },
+ *   where kind is collection, entity, property, value or count; null if the path doesn't start
+ *   with a known entity set
+ */
+function resolveResourcePath(resourcePath, options) {
+  const model = options.model || { schema: null, relationships: {} };
+  const context = {
+    apiName: options.apiName,
+    model,
+    entitySets: getEntitySetNames(options.apiName, model.schema)
+  };
+
+  const [first, ...rest] = parseResourcePath(resourcePath);
+  if (!first || !context.entitySets.includes(first.name)) {
+    return null;
+  }
+
+  let current = {
+    kind: 'collection',
+    entitySet: first.name,
+    entityType: getEntityTypeName(first.name, model.schema),
+    value: crudHandler.getAll(options.apiName, first.name)
+  };
+
+  if (first.keys) {
+    current = selectEntity(current, first.keys, context);
+  }
+
+  for (const segment of rest) {
+    if (current.kind === 'count' || current.kind === 'value') {
+      throw createResolverError(`No segments are allowed after ${current.kind === 'count' ? '$count' : '$value'}`, 400);
+    }
+
+    if (segment.name === '$count') {
+      if (current.kind !== 'collection' || segment.keys) {
+        throw createResolverError('$count can only be applied to a collection', 400);
+      }
+      current = { ...current, kind: 'count' };
+      continue;
+    }
+
+    if (segment.name === '$value') {
+      if (current.kind !== 'property' || segment.keys) {
+        throw createResolverError('$value can only be applied to a property', 400);
+      }
+      current = { ...current, kind: 'value' };
+      continue;
+    }
+
+    if (current.kind === 'collection') {
+      throw createResolverError(`Segment '${segment.name}' must follow a single entity of ${current.entitySet}`, 400);
+    }
+
+    if (current.value === null || current.value === undefined) {
+      throw createResolverError(`Segment '${segment.name}' follows a null value`, 404);
+    }
+
+    if (current.kind === 'entity') {
+      const navigation = findNavigationProperty(current, segment.name, context);
+      if (navigation) {
+        current = followNavigation(current, navigation, context);
+
+        if (segment.keys) {
+          if (current.kind !== 'collection') {
+            throw createResolverError(`${segment.name} is single-valued and can't take a key predicate`, 400);
+          }
+          current = selectEntity(current, segment.keys, context);
+        }
+        continue;
+      }
+    }
+
+    if (segment.keys) {
+      throw createResolverError(`${segment.name} is not a navigation property of ${current.entityType}`, 400);
+    }
+
+    // Structural property of an entity or a complex property value
+    const source = current.value;
+    if (source && typeof source === 'object' && !Array.isArray(source) &&
+        (Object.prototype.hasOwnProperty.call(source, segment.name) || isDeclaredProperty(current, segment.name, model.schema))) {
+      current = {
+        kind: 'property',
+        entitySet: current.entitySet,
+        entityType: current.entityType,
+        property: segment.name,
+        value: source[segment.name] === undefined ? null : source[segment.name]
+      };
+      continue;
+    }
+
+    throw createResolverError(`Resource not found for the segment '${segment.name}'`, 404);
+  }
+
+  return current;
+}
+
+/**
+ * Follows a navigation property from an entity of an entity set (used by $expand)
+ * @param {Object} entity - The entity
+ * @param {string} entitySet - The entity set the entity belongs to
+ * @param {string} name - The navigation property name
+ * @param {Object} options - Options with apiName and model (from loadServiceModel)
+ * @returns {Object|null} The related entity or entities as { value, entitySet }, or null if
+ *   the name isn't a navigation property
+ */
+function resolveNavigationProperty(entity, entitySet, name, options) {
+  const model = options.model || { schema: null, relationships: {} };
+  const context = {
+    apiName: options.apiName,
+    model,
+    entitySets: getEntitySetNames(options.apiName, model.schema)
+  };
+  const current = {
+    kind: 'entity',
+    entitySet,
+    entityType: getEntityTypeName(entitySet, model.schema),
+    value: entity
+  };
+
+  const navigation = findNavigationProperty(current, name, context);
+  if (!navigation || !navigation.targetSet) {
+    return null;
+  }
+
+  const related = followNavigation(current, navigation, context);
+  return { value: related.value, entitySet: related.entitySet };
+}
+
+/**
+ * Checks that a $expand option only names navigation properties of the expanded entities
+ * Navigation properties are looked up like in resource paths: declared by the schema model,
+ * or found by naming conventions without one. Nested $expand options are checked against the
+ * target entity set.
+ * @param {Array} expandItems - Expand items from odataRelationshipHandler.parseExpand
+ * @param {string} entitySet - The entity set of the expanded entities
+ * @param {Object} options - Options with apiName and model (from loadServiceModel)
+ * @throws {Error} With status 400 for a name that isn't a navigation property
+ */
+function validateExpand(expandItems, entitySet, options) {
+  const model = options.model || { schema: null, relationships: {} };
+  const context = {
+    apiName: options.apiName,
+    model,
+    entitySets: getEntitySetNames(options.apiName, model.schema)
+  };
+  const current = { kind: 'entity', entitySet, entityType: getEntityTypeName(entitySet, model.schema) };
+
+  for (const { path: name, options: nestedOptions } of expandItems) {
+    // The * wildcard isn't supported and expands nothing
+    if (name === '*') {
+      continue;
+    }
+
+    const navigation = findNavigationProperty(current, name, context);
+    if (!navigation || !navigation.targetSet) {
+      throw createResolverError(`Invalid $expand: '${name}' is not a navigation property of ${current.entityType}`, 400);
+    }
+
+    if (nestedOptions && Array.isArray(nestedOptions.$expand)) {
+      validateExpand(nestedOptions.$expand, navigation.targetSet, options);
+    }
+  }
+}
+
+/**
+ * Checks whether the EDMX declares a structural property on the current entity type
+ * @param {Object} current - The current resolution state
+ * @param {string} name - The property name
+ * @param {Object} schema - The parsed EDMX schema (optional)
+ * @returns {boolean} True if the property is declared
+ */
+function isDeclaredProperty(current, name, schema) {
+  if (!schema || current.kind !== 'entity') {
+    return false;
+  }
+
+  const entityType = schema.entityTypes.find(type => type.name === current.entityType);
+  return Boolean(entityType && entityType.properties.some(property => property.name === name));
+}
+
+module.exports = {
+  splitResourcePath,
+  parseResourcePath,
+  parseKeyPredicate,
+  formatKeyPredicate,
+  loadServiceModel,
+  resolveResourcePath,
+  resolveNavigationProperty,
+  validateExpand,
+  getEntityTypeName,
+  getKeyProperties
+};
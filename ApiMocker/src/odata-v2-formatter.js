@@ -0,0 +1,586 @@
+/**
+ * OData v2 Formatter Module
+ * Formats responses for services whose recorded EDMX is OData v2 (Version 1.0/2.0):
+ * JSON verbose ({ d: { results } } with __metadata, __count, __next and /Date()/ values)
+ * and Atom XML feeds and entries
+ */
+
+const odataSchemaModel = require('./odata-schema-model');
+
+const V2_EDMX_VERSIONS = ['1.0', '2.0'];
+
+const ATOM_NAMESPACE = 'http://www.w3.org/2005/Atom';
+const DATA_NAMESPACE = 'http://schemas.microsoft.com/ado/2007/08/dataservices';
+const METADATA_NAMESPACE = 'http://schemas.microsoft.com/ado/2007/08/dataservices/metadata';
+const SCHEME_NAMESPACE = 'http://schemas.microsoft.com/ado/2007/08/dataservices/scheme';
+const RELATED_NAMESPACE = 'http://schemas.microsoft.com/ado/2007/08/dataservices/related/';
+
+const DATE_TYPES = ['Edm.DateTime', 'Edm.DateTimeOffset', 'Edm.Date'];
+
+// Types whose JSON verbose representation is a string to keep their precision
+const STRING_NUMERIC_TYPES = ['Edm.Int64', 'Edm.Decimal'];
+
+const NUMERIC_KEY_TYPES = ['Edm.Byte', 'Edm.SByte', 'Edm.Int16', 'Edm.Int32', 'Edm.Decimal', 'Edm.Double', 'Edm.Single'];
+
+const ISO_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/i;
+const JSON_DATE_PATTERN = /^\/Date\((-?\d+)([+-]\d{4})?\)\/$/;
+
+/**
+ * Checks whether a schema describes an OData v2 service
+ * @param {Object} schema - The parsed EDMX schema (or null)
+ * @returns {boolean} True when the EDMX version is 1.0 or 2.0
+ */
+function isODataV2(schema) {
+  return Boolean(schema) && V2_EDMX_VERSIONS.includes(schema.version);
+}
+
+/**
+ * Checks whether a request asks for Atom XML instead of JSON verbose
+ * @param {Object} req - Express request object
+ * @returns {boolean} True for $format=atom, or an Accept header preferring Atom over JSON
+ */
+function isAtomRequested(req) {
+  const format = req.query && req.query.$format;
+  if (format) {
+    return format === 'atom';
+  }
+
+  const accept = req.get('accept') || '';
+  return /application\/atom\+xml/i.test(accept) && !/json/i.test(accept);
+}
+
+/**
+ * Escapes a value for use in XML text or attributes
+ * @param {*} value - The value
+ * @returns {string} The escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Gets the milliseconds since the epoch of a date value
+ * ISO timestamps without an offset are read as UTC, like Edm.DateTime values.
+ * @param {*} value - An ISO timestamp, /Date(ms)/ string or epoch milliseconds
+ * @returns {number|null} The milliseconds, or null when the value isn't a date
+ */
+function getDateMilliseconds(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const jsonDate = value.match(JSON_DATE_PATTERN);
+  if (jsonDate) {
+    return Number(jsonDate[1]);
+  }
+
+  if (!ISO_DATE_TIME_PATTERN.test(value) && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+
+  const hasOffset = /(Z|[+-]\d{2}:\d{2})$/i.test(value) || !value.includes('T');
+  const milliseconds = Date.parse(hasOffset ? value : `${value}Z`);
+  return isNaN(milliseconds) ? null : milliseconds;
+}
+
+/**
+ * Converts a primitive value to its JSON verbose representation
+ * @param {*} value - The value
+ * @param {string} typeName - The declared type (undefined for undeclared properties)
+ * @returns {*} The converted value
+ */
+function toJsonValue(value, typeName) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  // Undeclared properties are converted when they hold an ISO timestamp
+  if (DATE_TYPES.includes(typeName) || (!typeName && typeof value === 'string' && ISO_DATE_TIME_PATTERN.test(value))) {
+    const milliseconds = getDateMilliseconds(value);
+    if (milliseconds === null) {
+      return value;
+    }
+    return typeName === 'Edm.DateTimeOffset' ? `/Date(${milliseconds}+0000)/` : `/Date(${milliseconds})/`;
+  }
+
+  if (STRING_NUMERIC_TYPES.includes(typeName) && typeof value === 'number') {
+    return String(value);
+  }
+
+  return value;
+}
+
+/**
+ * Converts a primitive value to its Atom XML text
+ * @param {*} value - The value (not null)
+ * @param {string} typeName - The declared type
+ * @returns {string} The text
+ */
+function toAtomText(value, typeName) {
+  if (DATE_TYPES.includes(typeName) || (!typeName && typeof value === 'string' && ISO_DATE_TIME_PATTERN.test(value))) {
+    const milliseconds = getDateMilliseconds(value);
+    if (milliseconds !== null) {
+      const timestamp = new Date(milliseconds).toISOString();
+      // Edm.DateTime has no offset
+      return typeName === 'Edm.DateTimeOffset' ? timestamp : timestamp.replace(/(\.000)?Z$/, '');
+    }
+  }
+
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Formats a key value as a URI literal
+ * @param {*} value - The key value
+ * @param {string} typeName - The declared type of the key property
+ * @returns {string} The literal
+ */
+function formatKeyLiteral(value, typeName) {
+  if (typeName === 'Edm.Int64') {
+    return `${value}L`;
+  }
+
+  if (typeName === 'Edm.Guid') {
+    return `guid'${value}'`;
+  }
+
+  if (typeof value === 'number' || NUMERIC_KEY_TYPES.includes(typeName)) {
+    return String(value);
+  }
+
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Gets the entity set a navigation property leads to
+ * @param {Object} schema - The parsed EDMX schema
+ * @param {string} entitySetName - The entity set of the source entity
+ * @param {Object} navigationProperty - The navigation property
+ * @returns {string|undefined} The target entity set name
+ */
+function getNavigationTargetSet(schema, entitySetName, navigationProperty) {
+  const entitySet = schema.entitySets.find(set => set.name === entitySetName);
+  const binding = entitySet && (entitySet.navigationPropertyBindings || [])
+    .find(candidate => candidate.path === navigationProperty.name);
+
+  if (binding) {
+    return binding.target;
+  }
+
+  const targetType = (navigationProperty.type || '').replace(/^Collection\((.*)\)$/, '$1');
+  const target = schema.entitySets.find(set => set.entityType === targetType);
+  return target ? target.name : undefined;
+}
+
+/**
+ * Describes an entity for rendering: its URI, type, properties and navigation links
+ * @param {Object} entity - The entity (typed by odataSchemaModel.applyEntityTypes)
+ * @param {Object} context - Formatting context
+ * @param {Object} context.schema - The parsed EDMX schema
+ * @param {string} context.entitySet - The entity set the entity belongs to
+ * @param {string} context.serviceRoot - The absolute service root URL
+ * @param {Array<string>} context.select - The selected properties (null for all)
+ * @returns {Object} The entity description
+ */
+function describeEntity(entity, context) {
+  const { schema, entitySet, serviceRoot } = context;
+  const declaredType = odataSchemaModel.getEntitySetType(schema, entitySet);
+  const type = (declaredType && entity['@odata.type'] && odataSchemaModel.findStructuredType(schema, entity['@odata.type'])) ||
+    declaredType;
+  const properties = type ? odataSchemaModel.getProperties(schema, type) : [];
+  const navigationProperties = type ? odataSchemaModel.getNavigationProperties(schema, type) : [];
+  const keyProperties = type ? odataSchemaModel.getKeyProperties(schema, type) : ['id'];
+
+  // Entities whose key was dropped by $select have no URI
+  const keyValues = keyProperties.map(name => {
+    const property = properties.find(candidate => candidate.name === name);
+    return entity[name] === undefined || entity[name] === null
+      ? null
+      : { name, literal: formatKeyLiteral(entity[name], property && property.type) };
+  });
+  const key = keyValues.length > 0 && keyValues.every(Boolean)
+    ? (keyValues.length === 1 ? keyValues[0].literal : keyValues.map(item => `${item.name}=${item.literal}`).join(','))
+    : null;
+
+  const description = {
+    entitySet,
+    path: key !== null ? `${entitySet}(${key})` : null,
+    uri: key !== null ? `${serviceRoot}/${entitySet}(${key})` : null,
+    typeName: type ? odataSchemaModel.getQualifiedName(type) : null,
+    etag: entity['@odata.etag'] || null,
+    properties: [],
+    links: []
+  };
+
+  for (const [name, value] of Object.entries(entity)) {
+    // Instance annotations (@odata.type, Orders@odata.count) have no v2 representation
+    if (name.includes('@')) {
+      continue;
+    }
+
+    if (navigationProperties.some(candidate => candidate.name === name)) {
+      continue;
+    }
+
+    const property = properties.find(candidate => candidate.name === name);
+    description.properties.push({ name, type: property ? property.type : undefined, value });
+  }
+
+  for (const navigationProperty of navigationProperties) {
+    const value = entity[navigationProperty.name];
+    if (value === undefined && context.select && !context.select.includes(navigationProperty.name)) {
+      continue;
+    }
+
+    const targetContext = {
+      ...context,
+      entitySet: getNavigationTargetSet(schema, entitySet, navigationProperty),
+      select: null
+    };
+    const describe = item => describeEntity(item, targetContext);
+
+    description.links.push({
+      name: navigationProperty.name,
+      isCollection: /^Collection\(/.test(navigationProperty.type || ''),
+      uri: description.uri ? `${description.uri}/${navigationProperty.name}` : null,
+      path: description.path ? `${description.path}/${navigationProperty.name}` : null,
+      // undefined: deferred, null: expanded without a related entity
+      expanded: value && typeof value === 'object'
+        ? (Array.isArray(value) ? value.filter(item => item && typeof item === 'object').map(describe) : describe(value))
+        : value
+    });
+  }
+
+  return description;
+}
+
+/**
+ * Converts a property value of a declared or undeclared type to JSON verbose
+ * @param {*} value - The value
+ * @param {string} typeName - The declared type
+ * @param {Object} schema - The parsed EDMX schema
+ * @returns {*} The converted value
+ */
+function formatJsonProperty(value, typeName, schema) {
+  const complexType = typeName && value && typeof value === 'object' && !Array.isArray(value)
+    ? odataSchemaModel.findStructuredType(schema, typeName)
+    : null;
+
+  if (complexType) {
+    const result = { __metadata: { type: odataSchemaModel.getQualifiedName(complexType) } };
+    const properties = odataSchemaModel.getProperties(schema, complexType);
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      const property = properties.find(candidate => candidate.name === name);
+      result[name] = formatJsonProperty(propertyValue, property ? property.type : undefined, schema);
+    }
+
+    return result;
+  }
+
+  if (Array.isArray(value)) {
+    const itemType = typeName && typeName.replace(/^Collection\((.*)\)$/, '$1');
+    return { results: value.map(item => formatJsonProperty(item, itemType, schema)) };
+  }
+
+  return value && typeof value === 'object' ? value : toJsonValue(value, typeName);
+}
+
+/**
+ * Renders an entity description as a JSON verbose entity
+ * @param {Object} description - The entity description from describeEntity
+ * @param {Object} schema - The parsed EDMX schema
+ * @returns {Object} The JSON verbose entity
+ */
+function renderJsonEntity(description, schema) {
+  const metadata = {};
+  if (description.uri) {
+    metadata.id = description.uri;
+    metadata.uri = description.uri;
+  }
+  if (description.typeName) {
+    metadata.type = description.typeName;
+  }
+  if (description.etag) {
+    metadata.etag = description.etag;
+  }
+
+  const result = { __metadata: metadata };
+
+  for (const property of description.properties) {
+    result[property.name] = formatJsonProperty(property.value, property.type, schema);
+  }
+
+  for (const link of description.links) {
+    if (link.expanded === undefined) {
+      if (link.uri) {
+        result[link.name] = { __deferred: { uri: link.uri } };
+      }
+    } else if (link.expanded === null) {
+      result[link.name] = link.isCollection ? { results: [] } : null;
+    } else {
+      result[link.name] = Array.isArray(link.expanded)
+        ? { results: link.expanded.map(item => renderJsonEntity(item, schema)) }
+        : renderJsonEntity(link.expanded, schema);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Formats entities of an entity set as a JSON verbose feed
+ * @param {Array} entities - The entities
+ * @param {Object} context - Formatting context (see describeEntity)
+ * @param {Object} options - Feed options
+ * @param {number} options.count - The total count for $inlinecount=allpages
+ * @param {string} options.nextLink - The URL of the next page
+ * @returns {Object} The { d: { results } } payload
+ */
+function formatFeed(entities, context, options = {}) {
+  const feed = {
+    results: entities.map(entity => renderJsonEntity(describeEntity(entity, context), context.schema))
+  };
+
+  // v2 reports the count as a string
+  if (options.count !== undefined) {
+    feed.__count = String(options.count);
+  }
+
+  if (options.nextLink) {
+    feed.__next = options.nextLink;
+  }
+
+  return { d: feed };
+}
+
+/**
+ * Formats an entity as a JSON verbose entry
+ * @param {Object} entity - The entity
+ * @param {Object} context - Formatting context (see describeEntity)
+ * @returns {Object} The { d: entity } payload
+ */
+function formatEntry(entity, context) {
+  return { d: renderJsonEntity(describeEntity(entity, context), context.schema) };
+}
+
+/**
+ * Formats a single property as JSON verbose
+ * @param {string} name - The property name
+ * @param {*} value - The property value
+ * @param {Object} context - Formatting context with schema and entitySet
+ * @returns {Object} The { d: { name: value } } payload
+ */
+function formatProperty(name, value, context) {
+  const type = odataSchemaModel.getEntitySetType(context.schema, context.entitySet);
+  const property = type && odataSchemaModel.getProperties(context.schema, type).find(candidate => candidate.name === name);
+
+  return { d: { [name]: formatJsonProperty(value, property ? property.type : undefined, context.schema) } };
+}
+
+/**
+ * Formats the service document listing the entity sets of a v2 schema
+ * @param {Object} schema - The parsed EDMX schema
+ * @returns {Object} The { d: { EntitySets } } payload
+ */
+function formatServiceDocument(schema) {
+  return { d: { EntitySets: schema.entitySets.map(entitySet => entitySet.name) } };
+}
+
+/**
+ * Renders a property as an Atom <d:Name> element
+ * @param {string} name - The property name
+ * @param {*} value - The value
+ * @param {string} typeName - The declared type
+ * @param {Object} schema - The parsed EDMX schema
+ * @returns {string} The element
+ */
+function renderAtomProperty(name, value, typeName, schema) {
+  const typeAttribute = typeName && typeName !== 'Edm.String' ? ` m:type="${escapeXml(typeName)}"` : '';
+
+  if (value === null || value === undefined) {
+    return `<d:${name}${typeAttribute} m:null="true" />`;
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const complexType = typeName && odataSchemaModel.findStructuredType(schema, typeName);
+    const properties = complexType ? odataSchemaModel.getProperties(schema, complexType) : [];
+    const children = Object.entries(value).map(([childName, childValue]) => {
+      const property = properties.find(candidate => candidate.name === childName);
+      return renderAtomProperty(childName, childValue, property ? property.type : undefined, schema);
+    });
+
+    return `<d:${name}${typeAttribute}>${children.join('')}</d:${name}>`;
+  }
+
+  return `<d:${name}${typeAttribute}>${escapeXml(toAtomText(value, typeName))}</d:${name}>`;
+}
+
+/**
+ * Renders an entity description as an Atom <entry>
+ * @param {Object} description - The entity description from describeEntity
+ * @param {Object} schema - The parsed EDMX schema
+ * @param {string} updated - The timestamp for <updated>
+ * @returns {string} The entry element
+ */
+function renderAtomEntry(description, schema, updated) {
+  const parts = [];
+
+  if (description.uri) {
+    parts.push(`<id>${escapeXml(description.uri)}</id>`);
+  }
+  parts.push('<title type="text" />', `<updated>${updated}</updated>`, '<author><name /></author>');
+
+  if (description.path) {
+    parts.push(`<link rel="edit" title="${escapeXml(description.typeName || description.entitySet)}" href="${escapeXml(description.path)}" />`);
+  }
+
+  for (const link of description.links) {
+    if (!link.path && link.expanded === undefined) {
+      continue;
+    }
+
+    const attributes = [
+      `rel="${RELATED_NAMESPACE}${escapeXml(link.name)}"`,
+      `type="application/atom+xml;type=${link.isCollection ? 'feed' : 'entry'}"`,
+      `title="${escapeXml(link.name)}"`,
+      link.path ? `href="${escapeXml(link.path)}"` : ''
+    ].filter(Boolean).join(' ');
+
+    if (link.expanded === undefined) {
+      parts.push(`<link ${attributes} />`);
+      continue;
+    }
+
+    let inline = '';
+    if (Array.isArray(link.expanded)) {
+      inline = `<feed>${link.expanded.map(item => renderAtomEntry(item, schema, updated)).join('')}</feed>`;
+    } else if (link.expanded) {
+      inline = renderAtomEntry(link.expanded, schema, updated);
+    }
+    parts.push(`<link ${attributes}><m:inline>${inline}</m:inline></link>`);
+  }
+
+  if (description.typeName) {
+    parts.push(`<category term="${escapeXml(description.typeName)}" scheme="${SCHEME_NAMESPACE}" />`);
+  }
+
+  const properties = description.properties
+    .map(property => renderAtomProperty(property.name, property.value, property.type, schema))
+    .join('');
+  parts.push(`<content type="application/xml"><m:properties>${properties}</m:properties></content>`);
+
+  const etagAttribute = description.etag ? ` m:etag="${escapeXml(description.etag)}"` : '';
+  return `<entry${etagAttribute}>${parts.join('')}</entry>`;
+}
+
+/**
+ * Gets the namespace declarations of an Atom document element
+ * @param {string} serviceRoot - The absolute service root URL, used as xml:base
+ * @returns {string} The attributes
+ */
+function getAtomNamespaces(serviceRoot) {
+  return `xml:base="${escapeXml(`${serviceRoot}/`)}" xmlns="${ATOM_NAMESPACE}" ` +
+    `xmlns:d="${DATA_NAMESPACE}" xmlns:m="${METADATA_NAMESPACE}"`;
+}
+
+/**
+ * Renders entities of an entity set as an Atom feed
+ * @param {Array} entities - The entities
+ * @param {Object} context - Formatting context (see describeEntity)
+ * @param {Object} options - Feed options (count and nextLink, see formatFeed)
+ * @returns {string} The Atom XML document
+ */
+function renderAtomFeed(entities, context, options = {}) {
+  const updated = new Date().toISOString();
+  const parts = [
+    `<id>${escapeXml(`${context.serviceRoot}/${context.entitySet}`)}</id>`,
+    `<title type="text">${escapeXml(context.entitySet)}</title>`,
+    `<updated>${updated}</updated>`,
+    `<link rel="self" title="${escapeXml(context.entitySet)}" href="${escapeXml(context.entitySet)}" />`
+  ];
+
+  if (options.count !== undefined) {
+    parts.push(`<m:count>${options.count}</m:count>`);
+  }
+
+  for (const entity of entities) {
+    parts.push(renderAtomEntry(describeEntity(entity, context), context.schema, updated));
+  }
+
+  if (options.nextLink) {
+    parts.push(`<link rel="next" href="${escapeXml(options.nextLink)}" />`);
+  }
+
+  return '<?xml version="1.0" encoding="utf-8"?>' +
+    `<feed ${getAtomNamespaces(context.serviceRoot)}>${parts.join('')}</feed>`;
+}
+
+/**
+ * Renders an entity as a standalone Atom entry document
+ * @param {Object} entity - The entity
+ * @param {Object} context - Formatting context (see describeEntity)
+ * @returns {string} The Atom XML document
+ */
+function renderAtomEntryDocument(entity, context) {
+  const entry = renderAtomEntry(describeEntity(entity, context), context.schema, new Date().toISOString());
+
+  return '<?xml version="1.0" encoding="utf-8"?>' +
+    entry.replace(/^<entry/, `<entry ${getAtomNamespaces(context.serviceRoot)}`);
+}
+
+/**
+ * Converts a JSON verbose request payload to a plain entity
+ * __metadata and deferred links are dropped, /Date()/ values become ISO timestamps
+ * and { results } wrappers of deep inserts become arrays.
+ * @param {*} payload - The request payload
+ * @returns {*} The entity
+ */
+function parseJsonPayload(payload) {
+  if (Array.isArray(payload)) {
+    return payload.map(parseJsonPayload);
+  }
+
+  if (typeof payload === 'string') {
+    const jsonDate = payload.match(JSON_DATE_PATTERN);
+    return jsonDate ? new Date(Number(jsonDate[1])).toISOString() : payload;
+  }
+
+  if (!payload || typeof payload !== 'object') {
+    return payload;
+  }
+
+  if (Array.isArray(payload.results) && Object.keys(payload).length === 1) {
+    return parseJsonPayload(payload.results);
+  }
+
+  const entity = {};
+  for (const [name, value] of Object.entries(payload)) {
+    if (name === '__metadata' || (value && typeof value === 'object' && value.__deferred)) {
+      continue;
+    }
+    entity[name] = parseJsonPayload(value);
+  }
+
+  return entity;
+}
+
+module.exports = {
+  isODataV2,
+  isAtomRequested,
+  formatFeed,
+  formatEntry,
+  formatProperty,
+  formatServiceDocument,
+  renderAtomFeed,
+  renderAtomEntryDocument,
+  parseJsonPayload
+};
@@ -16,11 +16,14 @@ async function parseEdmx(edmxContent) {
   const parser = new XMLParser({
     ignoreAttributes: false,
     attributeNamePrefix: '@_',
+    // Drop the edmx: prefix so <edmx:Edmx> and <edmx:DataServices> are reachable by local name
+    removeNSPrefix: true,
     isArray: (name, jpath, isLeafNode, isAttribute) => {
       // Elements that should always be treated as arrays even when there's only one
       const arrayElements = [
         'EntityType', 'EntitySet', 'Property', 'NavigationProperty', 
-        'Schema', 'EntityContainer'
+        'Schema', 'EntityContainer', 'ComplexType', 'EnumType', 'Member',
+        'FunctionImport', 'ActionImport', 'Association'
       ];
       return arrayElements.includes(name);
     }
@@ -34,15 +37,20 @@ async function parseEdmx(edmxContent) {
     const result = {
       version: getEdmxVersion(parsed),
       entityTypes: [],
+      complexTypes: [],
+      enumTypes: [],
       entitySets: [],
+      functionImports: [],
+      actionImports: [],
       relationships: [],
+      associations: [],
       functions: [],
       actions: []
     };
     
     // Extract data from the parsed EDMX
-    if (parsed.edmx && parsed.edmx.DataServices) {
-      const dataServices = parsed.edmx.DataServices;
+    if (parsed.Edmx && parsed.Edmx.DataServices) {
+      const dataServices = parsed.Edmx.DataServices;
       
       // Process each schema
       if (dataServices.Schema) {
@@ -62,15 +70,60 @@ async function parseEdmx(edmxContent) {
             }
           }
           
-          // Process entity container (for entity sets)
+          // Process complex types (structured values without a key)
+          if (schema.ComplexType) {
+            for (const complexType of schema.ComplexType) {
+              result.complexTypes.push(parseEntityType(complexType, namespace));
+            }
+          }
+          
+          // Process enum types
+          if (schema.EnumType) {
+            for (const enumType of schema.EnumType) {
+              result.enumTypes.push(parseEnumType(enumType, namespace));
+            }
+          }
+          
+          // Process associations (OData v2 declares navigation targets through them)
+          if (schema.Association) {
+            for (const association of schema.Association) {
+              result.associations.push(parseAssociation(association, namespace));
+            }
+          }
+          
+          // Process entity container (for entity sets and operation imports)
           if (schema.EntityContainer) {
             for (const container of schema.EntityContainer) {
+              result.containerName = container['@_Name'];
+              result.containerNamespace = namespace;
+              
               if (container.EntitySet) {
                 for (const entitySet of container.EntitySet) {
                   const parsedEntitySet = parseEntitySet(entitySet, namespace);
                   result.entitySets.push(parsedEntitySet);
                 }
               }
+              
+              if (container.FunctionImport) {
+                for (const functionImport of container.FunctionImport) {
+                  result.functionImports.push({
+                    name: functionImport['@_Name'],
+                    function: functionImport['@_Function'],
+                    entitySet: functionImport['@_EntitySet'],
+                    includeInServiceDocument: functionImport['@_IncludeInServiceDocument'] === 'true'
+                  });
+                }
+              }
+              
+              if (container.ActionImport) {
+                for (const actionImport of container.ActionImport) {
+                  result.actionImports.push({
+                    name: actionImport['@_Name'],
+                    action: actionImport['@_Action'],
+                    entitySet: actionImport['@_EntitySet']
+                  });
+                }
+              }
             }
           }
           
@@ -97,6 +150,8 @@ async function parseEdmx(edmxContent) {
       }
     }
     
+    resolveAssociationTypes(result);
+    
     return result;
   } catch (error) {
     throw new Error(`Error parsing EDMX: ${error.message}`);
@@ -109,8 +164,8 @@ async function parseEdmx(edmxContent) {
  * @returns {string} The EDMX version
  */
 function getEdmxVersion(parsed) {
-  if (parsed.edmx && parsed.edmx['@_Version']) {
-    return parsed.edmx['@_Version'];
+  if (parsed.Edmx && parsed.Edmx['@_Version']) {
+    return parsed.Edmx['@_Version'];
   }
   return 'unknown';
 }
@@ -125,6 +180,9 @@ function parseEntityType(entityType, namespace) {
   const result = {
     name: entityType['@_Name'],
     namespace: namespace,
+    baseType: entityType['@_BaseType'],
+    abstract: entityType['@_Abstract'] === 'true',
+    openType: entityType['@_OpenType'] === 'true',
     properties: [],
     navigationProperties: [],
     key: null
@@ -146,7 +204,10 @@ function parseEntityType(entityType, namespace) {
         name: property['@_Name'],
         type: property['@_Type'],
         nullable: property['@_Nullable'] !== 'false',
-        defaultValue: property['@_DefaultValue']
+        defaultValue: property['@_DefaultValue'],
+        maxLength: property['@_MaxLength'],
+        precision: property['@_Precision'],
+        scale: property['@_Scale']
       });
     }
   }
@@ -158,7 +219,11 @@ function parseEntityType(entityType, namespace) {
         name: navProp['@_Name'],
         type: navProp['@_Type'],
         partner: navProp['@_Partner'],
-        containsTarget: navProp['@_ContainsTarget'] === 'true'
+        nullable: navProp['@_Nullable'] !== 'false',
+        containsTarget: navProp['@_ContainsTarget'] === 'true',
+        relationship: navProp['@_Relationship'],
+        fromRole: navProp['@_FromRole'],
+        toRole: navProp['@_ToRole']
       });
     }
   }
@@ -166,6 +231,78 @@ function parseEntityType(entityType, namespace) {
   return result;
 }
 
+/**
+ * Parses an association (OData v2)
+ * @param {Object} association - The association object
+ * @param {string} namespace - The schema namespace
+ * @returns {Object} The parsed association
+ */
+function parseAssociation(association, namespace) {
+  const ends = Array.isArray(association.End) ? association.End : [association.End];
+  
+  return {
+    name: association['@_Name'],
+    namespace: namespace,
+    ends: ends.filter(Boolean).map(end => ({
+      role: end['@_Role'],
+      type: end['@_Type'],
+      multiplicity: end['@_Multiplicity']
+    }))
+  };
+}
+
+/**
+ * Derives the type of OData v2 navigation properties from their association
+ * v2 navigation properties name a relationship and role instead of a type; the
+ * type is the one of the target end, a collection when its multiplicity is '*'.
+ * @param {Object} result - The parsed metadata
+ */
+function resolveAssociationTypes(result) {
+  for (const entityType of result.entityTypes) {
+    for (const navProp of entityType.navigationProperties) {
+      if (navProp.type || !navProp.relationship) {
+        continue;
+      }
+      
+      const association = result.associations.find(candidate =>
+        `${candidate.namespace}.${candidate.name}` === navProp.relationship || candidate.name === navProp.relationship
+      );
+      const end = association && association.ends.find(candidate => candidate.role === navProp.toRole);
+      
+      if (end) {
+        navProp.type = end.multiplicity === '*' ? `Collection(${end.type})` : end.type;
+      }
+    }
+  }
+}
+
+/**
+ * Parses an enum type
+ * @param {Object} enumType - The enum type object
+ * @param {string} namespace - The schema namespace
+ * @returns {Object} The parsed enum type
+ */
+function parseEnumType(enumType, namespace) {
+  const result = {
+    name: enumType['@_Name'],
+    namespace: namespace,
+    underlyingType: enumType['@_UnderlyingType'] || 'Edm.Int32',
+    isFlags: enumType['@_IsFlags'] === 'true',
+    members: []
+  };
+  
+  // Members without an explicit value are numbered from 0 (or as powers of 2 for flags)
+  (enumType.Member || []).forEach((member, index) => {
+    const declaredValue = member['@_Value'];
+    result.members.push({
+      name: member['@_Name'],
+      value: declaredValue !== undefined ? Number(declaredValue) : (result.isFlags ? 2 ** index : index)
+    });
+  });
+  
+  return result;
+}
+
 /**
  * Parses an entity set
  * @param {Object} entitySet - The entity set object
@@ -173,11 +310,28 @@ function parseEntityType(entityType, namespace) {
  * @returns {Object} The parsed entity set
  */
 function parseEntitySet(entitySet, namespace) {
-  return {
+  const result = {
     name: entitySet['@_Name'],
     entityType: entitySet['@_EntityType'],
-    namespace: namespace
+    namespace: namespace,
+    navigationPropertyBindings: []
   };
+  
+  // Parse navigation property bindings (which entity set a navigation property targets)
+  if (entitySet.NavigationPropertyBinding) {
+    const bindings = Array.isArray(entitySet.NavigationPropertyBinding)
+      ? entitySet.NavigationPropertyBinding
+      : [entitySet.NavigationPropertyBinding];
+    
+    for (const binding of bindings) {
+      result.navigationPropertyBindings.push({
+        path: binding['@_Path'],
+        target: binding['@_Target']
+      });
+    }
+  }
+  
+  return result;
 }
 
 /**
@@ -190,6 +344,9 @@ function parseFunction(func, namespace) {
   const result = {
     name: func['@_Name'],
     namespace: namespace,
+    isBound: func['@_IsBound'] === 'true',
+    isComposable: func['@_IsComposable'] === 'true',
+    entitySetPath: func['@_EntitySetPath'],
     parameters: [],
     returnType: null
   };
@@ -230,6 +387,8 @@ function parseAction(action, namespace) {
   const result = {
     name: action['@_Name'],
     namespace: namespace,
+    isBound: action['@_IsBound'] === 'true',
+    entitySetPath: action['@_EntitySetPath'],
     parameters: [],
     returnType: null
   };
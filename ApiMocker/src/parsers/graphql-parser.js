@@ -4,6 +4,9 @@
  * Parses GraphQL schema introspection results to extract types, queries, mutations, and fields
  */
 
+// Type kinds whose fields need a selection set
+const COMPOSITE_KINDS = ['OBJECT', 'INTERFACE', 'UNION'];
+
 /**
  * Parses a GraphQL schema from introspection results
  * @param {Object} schema - The GraphQL schema from introspection
@@ -114,85 +117,185 @@ function parseFieldType(type) {
 
 /**
  * Generates a GraphQL query for a type
+ * With options.field the query selects that root field of the type, passing the given
+ * argument values as variables. Nested object types are resolved through options.schema.
  * @param {Object} type - The GraphQL type
  * @param {number} depth - Maximum depth for nested fields
+ * @param {Object} options - Generation options
+ * @param {Object} options.schema - The parsed schema (from parseSchema)
+ * @param {string} options.field - The root field to query
+ * @param {Object} options.arguments - Argument values of the root field, by argument name
+ * @param {string} options.operationName - The operation name (defaults to Get<Field>)
  * @returns {string} The generated query
  */
-function generateQuery(type, depth = 2) {
+function generateQuery(type, depth = 2, options = {}) {
   if (!type || !type.fields || type.fields.length === 0) {
     return '';
   }
   
-  // Use the type name to create a query
-  const typeName = type.name.charAt(0).toLowerCase() + type.name.slice(1);
-  
-  // Generate field selections
-  const fieldSelections = generateFieldSelections(type.fields, depth);
+  const typesByName = indexTypes(options.schema);
   
-  return `
+  if (!options.field) {
+    // Use the type name to create a query
+    const typeName = type.name.charAt(0).toLowerCase() + type.name.slice(1);
+    
+    // Generate field selections
+    const fieldSelections = generateFieldSelections(type.fields, depth, 0, '    ', typesByName);
+    
+    return `
 query Get${type.name} {
   ${typeName} {
 ${fieldSelections}
   }
 }
+`;
+  }
+  
+  const field = type.fields.find(candidate => candidate.name === options.field);
+  if (!field) {
+    return '';
+  }
+  
+  // Arguments with a value become variables of the operation
+  const argumentValues = options.arguments || {};
+  const args = (field.args || []).filter(arg => argumentValues[arg.name] !== undefined);
+  const variableDefinitions = args.map(arg => `$${arg.name}: ${printFieldType(arg.type)}`);
+  const argumentList = args.map(arg => `${arg.name}: $${arg.name}`);
+  
+  const namedType = getNamedFieldType(field.type);
+  let selectionSet = '';
+  if (COMPOSITE_KINDS.includes(namedType.kind)) {
+    const selections = generateTypeSelections(typesByName[namedType.name], depth, 0, '    ', typesByName);
+    if (!selections) {
+      return '';
+    }
+    selectionSet = ` {\n${selections}\n  }`;
+  }
+  
+  const operation = options.schema && type.name === options.schema.mutationType ? 'mutation' : 'query';
+  const operationName = options.operationName || `Get${field.name.charAt(0).toUpperCase()}${field.name.slice(1)}`;
+  
+  return `
+${operation} ${operationName}${variableDefinitions.length > 0 ? `(${variableDefinitions.join(', ')})` : ''} {
+  ${field.name}${argumentList.length > 0 ? `(${argumentList.join(', ')})` : ''}${selectionSet}
+}
 `;
 }
 
 /**
  * Generates field selections for a GraphQL query
+ * Fields with required arguments and deprecated fields are left out; object fields are
+ * expanded through typesByName until the maximum depth is reached.
  * @param {Array} fields - The fields to include
  * @param {number} depth - Maximum depth for nested fields
  * @param {number} currentDepth - Current depth in the recursion
  * @param {string} indent - Indentation string
+ * @param {Object} typesByName - Parsed types by name, for nested selections
  * @returns {string} The generated field selections
  */
-function generateFieldSelections(fields, maxDepth = 2, currentDepth = 0, indent = '    ') {
+function generateFieldSelections(fields, maxDepth = 2, currentDepth = 0, indent = '    ', typesByName = {}) {
   if (currentDepth >= maxDepth || !fields || fields.length === 0) {
     return '';
   }
   
   return fields
-    // Filter out fields with complex arguments for simplicity
-    .filter(field => !field.args || field.args.length === 0)
-    // Filter out fields with complex types at deep levels
-    .filter(field => {
-      if (currentDepth === 0) return true;
-      const typeName = field.type.name || (field.type.ofType && field.type.ofType.name);
-      return !typeName || ['String', 'Int', 'Float', 'Boolean', 'ID'].includes(typeName);
-    })
+    // Leave out fields that can't be queried without argument values
+    .filter(field => !field.args || !field.args.some(arg => arg.type.nullable === false && arg.defaultValue == null))
+    .filter(field => !field.deprecated)
     .map(field => {
-      const fieldName = field.name;
-      
-      // Check if this is an object type that needs nested fields
-      const isObjectType = field.type.kind === 'OBJECT' || 
-                          (field.type.kind === 'LIST' && 
-                           field.type.ofType && 
-                           field.type.ofType.kind === 'OBJECT');
+      const namedType = getNamedFieldType(field.type);
       
-      if (isObjectType && currentDepth < maxDepth - 1) {
-        // For object types, include nested fields
-        const nestedFields = field.type.fields || 
-                           (field.type.ofType && field.type.ofType.fields);
-        
-        if (nestedFields && nestedFields.length > 0) {
-          const nestedSelections = generateFieldSelections(
-            nestedFields, 
-            maxDepth, 
-            currentDepth + 1, 
-            indent + '  '
-          );
-          
-          return `${indent}${fieldName} {\n${nestedSelections}\n${indent}}`;
-        }
+      // Scalars and enums are selected by name
+      if (!COMPOSITE_KINDS.includes(namedType.kind)) {
+        return `${indent}${field.name}`;
       }
       
-      // For scalar types, just include the field name
-      return `${indent}${fieldName}`;
+      // Object types need nested fields, and are left out once the depth is exhausted
+      const nestedSelections = generateTypeSelections(
+        typesByName[namedType.name],
+        maxDepth,
+        currentDepth + 1,
+        indent + '  ',
+        typesByName
+      );
+      return nestedSelections ? `${indent}${field.name} {\n${nestedSelections}\n${indent}}` : null;
     })
+    .filter(Boolean)
     .join('\n');
 }
 
+/**
+ * Generates the selections of an object, interface or union type
+ * @param {Object} type - The parsed type
+ * @param {number} maxDepth - Maximum depth for nested fields
+ * @param {number} currentDepth - Current depth in the recursion
+ * @param {string} indent - Indentation string
+ * @param {Object} typesByName - Parsed types by name
+ * @returns {string} The generated selections, empty if nothing can be selected
+ */
+function generateTypeSelections(type, maxDepth, currentDepth, indent, typesByName) {
+  if (!type || currentDepth >= maxDepth) {
+    return '';
+  }
+  
+  if (type.kind === 'UNION') {
+    // Unions only have fields through inline fragments on their members
+    const fragments = type.possibleTypes
+      .map(name => {
+        const selections = generateFieldSelections(
+          typesByName[name] && typesByName[name].fields,
+          maxDepth,
+          currentDepth,
+          indent + '  ',
+          typesByName
+        );
+        return selections ? `${indent}... on ${name} {\n${selections}\n${indent}}` : null;
+      })
+      .filter(Boolean);
+    return [`${indent}__typename`, ...fragments].join('\n');
+  }
+  
+  const selections = generateFieldSelections(type.fields, maxDepth, currentDepth, indent, typesByName);
+  if (selections && type.kind === 'INTERFACE') {
+    return `${indent}__typename\n${selections}`;
+  }
+  return selections;
+}
+
+/**
+ * Returns the named type of a parsed field type, unwrapping lists
+ * @param {Object} type - The parsed field type
+ * @returns {Object} The named type ({ kind, name })
+ */
+function getNamedFieldType(type) {
+  return type.kind === 'LIST' ? getNamedFieldType(type.ofType) : type;
+}
+
+/**
+ * Prints a parsed field type in GraphQL syntax (e.g. [ID!]!)
+ * @param {Object} type - The parsed field type
+ * @returns {string} The printed type
+ */
+function printFieldType(type) {
+  const printed = type.kind === 'LIST' ? `[${printFieldType(type.ofType)}]` : type.name;
+  return type.nullable === false ? `${printed}!` : printed;
+}
+
+/**
+ * Indexes the types of a parsed schema by name
+ * @param {Object} schema - The parsed schema
+ * @returns {Object} The types by name
+ */
+function indexTypes(schema) {
+  const typesByName = {};
+  for (const type of (schema && schema.types) || []) {
+    typesByName[type.name] = type;
+  }
+  return typesByName;
+}
+
 module.exports = {
   parseSchema,
-  generateQuery
+  generateQuery,
+  printFieldType
 };
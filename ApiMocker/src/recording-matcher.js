@@ -0,0 +1,477 @@
+/**
+ * Recording Matcher Module
+ * Matches requests to recorded responses. A recording that stores its request (see
+ * recording-plan) is keyed by the path parameters, query parameters and selected headers of that
+ * request, so GET /pets/1 and GET /pets/2 can be answered differently. Matching follows the rules
+ * in the API's config.json:
+ *
+ *   "matching": {
+ *     "headers": ["Accept-Language"],
+ *     "mode": "best-match",
+ *     "rules": [{ "operation": "listPets", "mode": "ignore-param", "params": ["_", "page"] }]
+ *   }
+ *
+ * Recordings without a stored request (<operationId>.json and the method/path naming of the
+ * server) answer requests that no keyed recording matches.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MATCH_MODES = ['exact', 'ignore-param', 'regex', 'best-match'];
+
+// Parts of a request that key a recording
+const KEY_LOCATIONS = ['pathParams', 'query', 'headers'];
+
+// Longest file name built from a request key before a hash is used instead
+const MAX_FILE_NAME_LENGTH = 120;
+
+// Indexes of the responses directories by path
+const recordingIndexes = new Map();
+
+/**
+ * Gets the file base name of an operation's recordings
+ * @param {string} operationId - The operationId
+ * @returns {string} The base name (getPetById -> getpetbyid)
+ */
+function getBaseName(operationId) {
+  return operationId.replace(/[^a-zA-Z0-9]/g, '_').toLowerCase();
+}
+
+/**
+ * Checks whether a rule applies to an operation
+ * @param {Object} rule - The matching rule
+ * @param {Object} target - The operation ({ method, path, operation })
+ * @returns {boolean} True if the rule names the operation or names none
+ */
+function ruleAppliesTo(rule, target) {
+  if (rule.operation === undefined || rule.operation === '*') {
+    return true;
+  }
+  const names = [`${target.method.toUpperCase()} ${target.path}`];
+  if (target.operation && target.operation.operationId) {
+    names.push(target.operation.operationId);
+  }
+  return [].concat(rule.operation).some(name => names.includes(name));
+}
+
+/**
+ * Gets the matching rule of an operation
+ * @param {Object} config - API configuration (with matching settings)
+ * @param {Object} target - The operation ({ method, path, operation })
+ * @returns {Object} The rule ({ mode, params, headers })
+ * @throws {Error} If the rule names an unknown mode
+ */
+function getMatchingRule(config, target) {
+  const settings = (config && config.matching) || {};
+  const rule = (settings.rules || []).find(candidate => ruleAppliesTo(candidate, target)) || {};
+  const mode = rule.mode || settings.mode || 'best-match';
+
+  if (!MATCH_MODES.includes(mode)) {
+    throw new Error(`Invalid matching mode '${mode}' for ${target.method.toUpperCase()} ${target.path}: expected one of ${MATCH_MODES.join(', ')}`);
+  }
+
+  return {
+    mode,
+    params: mode === 'ignore-param' ? [].concat(rule.params || []) : [],
+    headers: (rule.headers || settings.headers || []).map(header => header.toLowerCase())
+  };
+}
+
+/**
+ * Normalizes the values of a key location
+ * @param {Object} values - Values by name
+ * @param {Array<string>} names - Names to keep (all if omitted), compared case-insensitively
+ * @returns {Object} String values by name
+ */
+function normalizeValues(values, names) {
+  const normalized = {};
+  for (const [name, value] of Object.entries(values || {})) {
+    const key = names ? name.toLowerCase() : name;
+    if (value === undefined || (names && !names.includes(key))) {
+      continue;
+    }
+    normalized[key] = Array.isArray(value) ? value.join(',') : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+  return normalized;
+}
+
+/**
+ * Gets the key of an incoming request
+ * @param {Object} req - Express request object
+ * @param {Object} rule - The matching rule
+ * @returns {Object} The key ({ pathParams, query, headers })
+ */
+function getRequestKey(req, rule) {
+  return {
+    pathParams: normalizeValues(req.params),
+    query: normalizeValues(req.query),
+    headers: normalizeValues(req.headers, rule.headers)
+  };
+}
+
+/**
+ * Gets the key of a recording
+ * @param {Object} recording - The parsed recording
+ * @param {Object} rule - The matching rule
+ * @returns {Object|null} The key, or null if the recording doesn't store its request
+ */
+function getRecordingKey(recording, rule) {
+  if (!recording || typeof recording !== 'object' || Array.isArray(recording) || !recording.request) {
+    return null;
+  }
+  return {
+    pathParams: normalizeValues(recording.request.pathParams),
+    query: normalizeValues(recording.request.query),
+    headers: normalizeValues(recording.request.headers, rule.headers)
+  };
+}
+
+/**
+ * Checks whether a requested value matches a recorded one
+ * @param {string} requested - The requested value
+ * @param {string} recorded - The recorded value
+ * @param {boolean} regex - Whether recorded values are regular expressions
+ * @returns {boolean} True if the values match
+ */
+function valueMatches(requested, recorded, regex) {
+  if (requested === recorded) {
+    return true;
+  }
+  if (!regex) {
+    return false;
+  }
+  try {
+    return new RegExp(`^(?:${recorded})$`).test(requested);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Compares the key of a request with the key of a recording
+ * @param {Object} requestKey - The request key
+ * @param {Object} recordedKey - The recording key
+ * @param {Object} rule - The matching rule
+ * @returns {Object} Counts of matched and conflicting values, and of values only one side has
+ *   ({ matched, conflicts, unmatched })
+ */
+function compareKeys(requestKey, recordedKey, rule) {
+  const result = { matched: 0, conflicts: 0, unmatched: 0 };
+
+  for (const location of KEY_LOCATIONS) {
+    const requested = requestKey[location];
+    const recorded = recordedKey[location];
+    const names = new Set([...Object.keys(requested), ...Object.keys(recorded)]);
+
+    for (const name of names) {
+      if (rule.params.includes(name)) {
+        continue;
+      }
+      if (!(name in requested) || !(name in recorded)) {
+        result.unmatched++;
+      } else if (valueMatches(requested[name], recorded[name], rule.mode === 'regex')) {
+        result.matched++;
+      } else {
+        result.conflicts++;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Gets the recording file names the server has always looked for, in order
+ * @param {string} method - HTTP method
+ * @param {string} pathPattern - Path pattern of the operation
+ * @returns {Array<string>} The file names
+ */
+function getFallbackFileNames(method, pathPattern) {
+  const lowerMethod = method.toLowerCase();
+  const normalizedPath = pathPattern.replace(/\//g, '_').replace(/[{}]/g, '');
+  const names = [];
+
+  // Special case for the $metadata endpoint
+  if (pathPattern === '/odata/$metadata' || pathPattern === 'odata/$metadata') {
+    names.push('get_odata_metadata.json');
+  }
+
+  names.push(
+    `${lowerMethod}${normalizedPath}.json`,
+    `${lowerMethod}${normalizedPath}`,
+    `${method.toUpperCase()}${normalizedPath}.json`,
+    `${lowerMethod}${normalizedPath.replace(/_/g, '')}.json`,
+    `${lowerMethod}_default.json`,
+    `${lowerMethod}_${pathPattern.split('/').filter(Boolean).pop()}.json`
+  );
+  return names;
+}
+
+/**
+ * Reads the path parameters encoded in a file name of the server's method/path naming
+ * (GET /pets/{petId} -> get_pets_petId_petId-1.json)
+ * @param {string} file - The file name
+ * @param {string} method - HTTP method
+ * @param {string} pathPattern - Path pattern of the operation
+ * @returns {Object|null} The path parameters, or null if the file doesn't use the naming
+ */
+function parseParameterFileName(file, method, pathPattern) {
+  const params = (pathPattern.match(/{([^}]+)}/g) || []).map(param => param.slice(1, -1));
+  const prefix = `${method.toLowerCase()}${pathPattern.replace(/\//g, '_').replace(/[{}]/g, '')}_`;
+  if (params.length === 0 || !file.startsWith(prefix) || !file.endsWith('.json')) {
+    return null;
+  }
+
+  const pathParams = {};
+  for (const segment of file.slice(prefix.length, -'.json'.length).split('_')) {
+    const separator = segment.indexOf('-');
+    const name = segment.slice(0, separator);
+    if (separator < 1 || !params.includes(name)) {
+      return null;
+    }
+    pathParams[name] = segment.slice(separator + 1);
+  }
+  return pathParams;
+}
+
+/**
+ * Lists the files of a responses directory
+ * @param {string} responsesDir - The responses directory
+ * @returns {Array<string>} The sorted file names (none if the directory can't be read)
+ */
+function listFiles(responsesDir) {
+  try {
+    const files = fs.readdirSync(responsesDir);
+    return Array.isArray(files) ? files.filter(file => typeof file === 'string').sort() : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Gets the modification state of a file or directory
+ * @param {string} file - Path to the file or directory
+ * @returns {string|null} Modification time and size, or null if it can't be read
+ */
+function getModificationState(file) {
+  try {
+    const stats = fs.statSync(file);
+    return `${stats.mtimeMs}:${stats.size}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Gets the index of a responses directory
+ * The file list is read again when the directory changes, a recording when its file changes.
+ * @param {string} responsesDir - The responses directory
+ * @returns {Object} The index ({ files, recordings }), recordings as { state, recording } by file name
+ */
+function getRecordingIndex(responsesDir) {
+  const state = getModificationState(responsesDir);
+  const cached = recordingIndexes.get(responsesDir);
+  if (!state) {
+    recordingIndexes.delete(responsesDir);
+    return { files: listFiles(responsesDir), recordings: new Map() };
+  }
+  if (cached && cached.state === state) {
+    return cached;
+  }
+
+  const files = listFiles(responsesDir);
+  const recordings = new Map(cached ? [...cached.recordings].filter(([file]) => files.includes(file)) : []);
+  const index = { state, files, recordings };
+  recordingIndexes.set(responsesDir, index);
+  return index;
+}
+
+/**
+ * Reads a recording
+ * @param {string} file - Path to the recording
+ * @returns {*} The parsed recording, or undefined if it isn't valid JSON
+ */
+function readRecording(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.warn(`Ignoring unreadable recording ${file}: ${error.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * Reads a recording of a responses directory through its index
+ * @param {string} responsesDir - The responses directory
+ * @param {Object} index - The index of the directory
+ * @param {string} file - The file name
+ * @returns {*} The parsed recording, or undefined if it isn't valid JSON
+ */
+function readIndexedRecording(responsesDir, index, file) {
+  const filePath = path.join(responsesDir, file);
+  const state = getModificationState(filePath);
+  const cached = index.recordings.get(file);
+  if (state && cached && cached.state === state) {
+    return cached.recording;
+  }
+
+  const recording = readRecording(filePath);
+  if (state) {
+    index.recordings.set(file, { state, recording });
+  }
+  return recording;
+}
+
+/**
+ * Finds the keyed recordings of an operation
+ * These are the recordings storing their request (<operationId>.json and <operationId>_*.json)
+ * and the path parameter files of the server's naming.
+ * @param {string} responsesDir - The responses directory
+ * @param {Object} target - The operation ({ method, path, operation })
+ * @param {Object} rule - The matching rule
+ * @returns {Array<Object>} The recordings ({ file, key })
+ */
+function findKeyedRecordings(responsesDir, target, rule) {
+  const baseName = target.operation && target.operation.operationId ? getBaseName(target.operation.operationId) : null;
+  const index = getRecordingIndex(responsesDir);
+  const recordings = [];
+
+  for (const file of index.files) {
+    const pathParams = parseParameterFileName(file, target.method, target.path);
+    if (pathParams) {
+      recordings.push({ file, key: { pathParams, query: {}, headers: {} } });
+      continue;
+    }
+
+    if (!baseName || !file.endsWith('.json') || (file !== `${baseName}.json` && !file.startsWith(`${baseName}_`))) {
+      continue;
+    }
+    const key = getRecordingKey(readIndexedRecording(responsesDir, index, file), rule);
+    if (key) {
+      recordings.push({ file, key });
+    }
+  }
+
+  return recordings;
+}
+
+/**
+ * Finds the recording that answers a request
+ * Keyed recordings are matched by the rule of the operation:
+ * - exact: the recording has the same path parameters, query parameters and selected headers
+ * - ignore-param: like exact, ignoring the parameters listed by the rule
+ * - regex: like exact, with the recorded values as regular expressions
+ * - best-match: the recording with the most equal values and no differing one
+ * The first existing recording without a stored request answers otherwise.
+ * @param {string} responsesDir - The responses directory
+ * @param {Object} target - The operation ({ method, path, operation, rule })
+ * @param {Object} req - Express request object
+ * @param {Object} options - Matching options
+ * @param {Array<string>} options.fallbackFiles - Recordings without a stored request to try, in order
+ *   (defaults to the server's method/path naming and <operationId>.json)
+ * @param {Object} options.config - API configuration, when target has no rule
+ * @returns {string|null} Path to the recording, or null if none answers the request
+ */
+function findRecordingFile(responsesDir, target, req, options = {}) {
+  if (!responsesDir) {
+    console.error('No responses directory provided');
+    return null;
+  }
+
+  const rule = target.rule || getMatchingRule(options.config, target);
+  const requestKey = getRequestKey(req, rule);
+  const keyedRecordings = findKeyedRecordings(responsesDir, target, rule);
+  let best = null;
+
+  for (const recording of keyedRecordings) {
+    const comparison = compareKeys(requestKey, recording.key, rule);
+    const eligible = rule.mode === 'best-match'
+      ? comparison.conflicts === 0
+      : comparison.conflicts === 0 && comparison.unmatched === 0;
+    if (eligible && (!best || comparison.matched > best.matched ||
+        (comparison.matched === best.matched && comparison.unmatched < best.unmatched))) {
+      best = { file: recording.file, ...comparison };
+    }
+  }
+
+  if (best) {
+    console.log(`Matched ${req.method} ${req.originalUrl || req.url} to ${best.file} (${rule.mode})`);
+    return path.join(responsesDir, best.file);
+  }
+
+  const baseName = target.operation && target.operation.operationId ? getBaseName(target.operation.operationId) : null;
+  const fallbackFiles = options.fallbackFiles ||
+    [...getFallbackFileNames(target.method, target.path), ...(baseName ? [`${baseName}.json`] : [])];
+  for (const file of fallbackFiles) {
+    if (keyedRecordings.some(recording => recording.file === file)) {
+      continue;
+    }
+    const filePath = path.join(responsesDir, file);
+    if (fs.existsSync(filePath)) {
+      console.log(`Found response file: ${filePath}`);
+      return filePath;
+    }
+  }
+
+  if (fallbackFiles.length > 0) {
+    console.log(`No response file found for ${target.method.toUpperCase()} ${target.path}`);
+  }
+  return null;
+}
+
+/**
+ * Gets the file name segment of a request value
+ * Characters outside [a-zA-Z0-9.-] become '-', and a hash of the raw value follows after '~' so
+ * values differing only in those characters (a b, a-b) get different names.
+ * @param {string} name - The parameter or header name
+ * @param {string} value - The value
+ * @returns {string} The segment, e.g. petId-1 or tag-a-b~3f2a9c1d
+ */
+function getFileNameSegment(name, value) {
+  const raw = `${name}-${value}`;
+  const segment = raw.replace(/[^a-zA-Z0-9.-]/g, '-');
+  if (segment === raw) {
+    return segment;
+  }
+  return `${segment}~${crypto.createHash('sha1').update(JSON.stringify([name, value])).digest('hex').slice(0, 8)}`;
+}
+
+/**
+ * Gets the file name of a recording keyed by a request
+ * @param {string} operationId - The operationId
+ * @param {Object} key - The request key ({ pathParams, query, headers })
+ * @returns {string} The file name, e.g. getpetbyid_petId-1.json or listpets_status-sold.json;
+ *   <operationId>_<hash>.json for long keys
+ */
+function getRecordingFileName(operationId, key) {
+  const baseName = getBaseName(operationId);
+  const segments = KEY_LOCATIONS.flatMap(location => Object.entries(normalizeValues(key[location]))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, value]) => getFileNameSegment(name, value)));
+
+  if (segments.length === 0) {
+    return `${baseName}.json`;
+  }
+
+  const fileName = `${baseName}_${segments.join('_')}.json`;
+  if (fileName.length <= MAX_FILE_NAME_LENGTH) {
+    return fileName;
+  }
+  const hash = crypto.createHash('sha1').update(JSON.stringify(segments)).digest('hex').slice(0, 12);
+  return `${baseName}_${hash}.json`;
+}
+
+module.exports = {
+  MATCH_MODES,
+  ruleAppliesTo,
+  getMatchingRule,
+  getRequestKey,
+  getRecordingKey,
+  compareKeys,
+  getFallbackFileNames,
+  parseParameterFileName,
+  findRecordingFile,
+  getRecordingFileName
+};
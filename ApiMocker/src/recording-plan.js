@@ -0,0 +1,362 @@
+/**
+ * Recording Plan Module
+ * Loads recording plans and records the operations they describe. A plan lists, per operation
+ * (by operationId or "METHOD /path"), the sample requests to send: path parameters, query
+ * parameters, headers and a body, or a body generated from the operation's request schema.
+ * Only safe methods (GET, HEAD, OPTIONS) run without being allow-listed. Each sample is stored
+ * with the request that produced it:
+ *
+ *   { "request": { method, url, pathParams, query, headers, body }, "statusCode": 201, "headers": {...}, "data": {...} }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const recordingMatcher = require('./recording-matcher');
+const requestValidator = require('./request-validator');
+const schemaFaker = require('./schema-faker');
+
+// Methods that don't change the state of the recorded API
+const SAFE_METHODS = ['get', 'head', 'options'];
+
+// Response headers kept with a recording
+const RECORDED_HEADERS = ['content-type', 'location', 'etag'];
+
+// Request headers whose values are never stored
+const REDACTED_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
+
+/**
+ * Creates a recording plan error
+ * @param {string} message - Error message
+ * @returns {Error} The error
+ */
+function createPlanError(message) {
+  return new Error(`Invalid recording plan: ${message}`);
+}
+
+/**
+ * Checks whether a value is a plain object
+ * @param {*} value - The value
+ * @returns {boolean} True if the value is an object but not an array
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validates a recording plan
+ * @param {Object} plan - The parsed plan ({ allow, operations })
+ * @returns {Object} The plan, with allow and operations defaulted
+ * @throws {Error} If the plan is malformed
+ */
+function validateRecordingPlan(plan) {
+  if (!isObject(plan)) {
+    throw createPlanError('the plan must be an object');
+  }
+  if (plan.allow !== undefined && (!Array.isArray(plan.allow) || plan.allow.some(item => typeof item !== 'string'))) {
+    throw createPlanError('allow must be a list of operationIds or "METHOD /path" entries');
+  }
+  if (plan.operations !== undefined && !isObject(plan.operations)) {
+    throw createPlanError('operations must be an object keyed by operationId or "METHOD /path"');
+  }
+
+  for (const [key, entry] of Object.entries(plan.operations || {})) {
+    if (!isObject(entry)) {
+      throw createPlanError(`operation ${key} must be an object`);
+    }
+    if (entry.samples !== undefined && !Array.isArray(entry.samples)) {
+      throw createPlanError(`samples of ${key} must be a list`);
+    }
+    (entry.samples || []).forEach((sample, index) => {
+      if (!isObject(sample)) {
+        throw createPlanError(`sample ${index + 1} of ${key} must be an object`);
+      }
+      for (const field of ['pathParams', 'query', 'headers']) {
+        if (sample[field] !== undefined && !isObject(sample[field])) {
+          throw createPlanError(`${field} of sample ${index + 1} of ${key} must be an object`);
+        }
+      }
+    });
+  }
+
+  return { ...plan, allow: plan.allow || [], operations: plan.operations || {} };
+}
+
+/**
+ * Loads a recording plan file
+ * @param {string} filePath - Path to the plan (JSON)
+ * @returns {Object} The validated plan
+ * @throws {Error} If the file is missing or invalid
+ */
+function loadRecordingPlan(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Recording plan not found: ${filePath}`);
+  }
+
+  let plan;
+  try {
+    plan = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw createPlanError(`${filePath} is not valid JSON (${error.message})`);
+  }
+  return validateRecordingPlan(plan);
+}
+
+/**
+ * Gets the keys a plan may list an endpoint under
+ * @param {Object} endpoint - The endpoint ({ path, method, operationId })
+ * @returns {Array<string>} The operationId and "METHOD /path"
+ */
+function getOperationKeys(endpoint) {
+  return [endpoint.operationId, `${endpoint.method.toUpperCase()} ${endpoint.path}`].filter(Boolean);
+}
+
+/**
+ * Gets the plan entry of an endpoint
+ * @param {Object} plan - The recording plan
+ * @param {Object} endpoint - The endpoint
+ * @returns {Object|null} The entry ({ samples, skip }), or null if the plan doesn't list the endpoint
+ */
+function getPlanEntry(plan, endpoint) {
+  const key = getOperationKeys(endpoint).find(candidate => plan.operations[candidate]);
+  return key ? plan.operations[key] : null;
+}
+
+/**
+ * Checks whether an endpoint may be executed
+ * Safe methods always may; others must be allow-listed in the plan or on the command line,
+ * by operationId, "METHOD /path", "METHOD *" or "*".
+ * @param {Object} plan - The recording plan
+ * @param {Object} endpoint - The endpoint
+ * @param {Array<string>} allow - Additional allow-list entries
+ * @returns {boolean} True if the endpoint may be executed
+ */
+function isOperationAllowed(plan, endpoint, allow = []) {
+  const method = endpoint.method.toUpperCase();
+  if (SAFE_METHODS.includes(method.toLowerCase())) {
+    return true;
+  }
+
+  const keys = getOperationKeys(endpoint);
+  return [...((plan && plan.allow) || []), ...allow]
+    .some(item => item === '*' || item === `${method} *` || keys.includes(item));
+}
+
+/**
+ * Gets the file a sample of an endpoint is recorded in
+ * Named samples are recorded as <operationId>_<name>.json, others by their path and query
+ * parameters (see recording-matcher), e.g. getpetbyid_petId-1.json.
+ * @param {Object} endpoint - The endpoint
+ * @param {Object} sample - The sample
+ * @returns {string} The file name
+ */
+function getSampleFileName(endpoint, sample) {
+  if (sample.name) {
+    const baseName = endpoint.operationId.replace(/[^a-zA-Z0-9]/g, '_').toLowerCase();
+    return `${baseName}_${String(sample.name).replace(/[^a-zA-Z0-9]/g, '_').toLowerCase()}.json`;
+  }
+  return recordingMatcher.getRecordingFileName(endpoint.operationId, { pathParams: sample.pathParams, query: sample.query });
+}
+
+/**
+ * Generates a request body from the request schema of an endpoint's operation
+ * @param {Object} endpoint - The endpoint
+ * @param {Object} spec - The Swagger/OpenAPI spec
+ * @param {string} seed - Seed of the generated body
+ * @returns {*} The generated body
+ * @throws {Error} If the operation declares no JSON request body
+ */
+function generateRequestBody(endpoint, spec, seed) {
+  const pathItem = (spec && spec.paths && spec.paths[endpoint.path]) || {};
+  const operation = pathItem[endpoint.method.toLowerCase()];
+  const body = operation
+    ? requestValidator.getRequestBody(operation, requestValidator.getOperationParameters(operation, pathItem, spec), spec)
+    : null;
+
+  if (!body) {
+    throw new Error(`${endpoint.method.toUpperCase()} ${endpoint.path} declares no JSON request body to generate`);
+  }
+  return schemaFaker.generateFromSchema(body.schema, { spec, seed, direction: 'request' });
+}
+
+/**
+ * Builds the request of a sample
+ * @param {Object} endpoint - The endpoint
+ * @param {Object} sample - The sample ({ pathParams, query, headers, body, generateBody })
+ * @param {Object} options - Build options
+ * @param {Object} options.spec - The Swagger/OpenAPI spec (for generated bodies)
+ * @param {string} options.seed - Seed of generated bodies
+ * @returns {Object} The request ({ method, url, pathParams, query, headers, body })
+ * @throws {Error} If a path parameter is missing or a body can't be generated
+ */
+function buildPlannedRequest(endpoint, sample, options = {}) {
+  const pathParams = sample.pathParams || {};
+  const url = endpoint.path.replace(/{([^}]+)}/g, (match, name) => {
+    if (pathParams[name] === undefined) {
+      throw new Error(`Missing path parameter '${name}' for ${endpoint.method.toUpperCase()} ${endpoint.path}`);
+    }
+    return encodeURIComponent(String(pathParams[name]));
+  });
+
+  const body = sample.body === undefined && sample.generateBody
+    ? generateRequestBody(endpoint, options.spec, options.seed)
+    : sample.body;
+
+  return {
+    method: endpoint.method.toUpperCase(),
+    url,
+    pathParams,
+    query: sample.query || {},
+    headers: sample.headers || {},
+    body
+  };
+}
+
+/**
+ * Redacts the headers of a recorded request
+ * @param {Object} headers - Headers by name
+ * @param {Array<string>} redacted - Names of the headers to redact (lower case)
+ * @returns {Object} The headers by lower-case name, without HTTP/2 pseudo-headers
+ */
+function redactHeaders(headers, redacted = REDACTED_HEADERS) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    const key = name.toLowerCase();
+    if (!key.startsWith(':')) {
+      result[key] = redacted.includes(key) ? '[REDACTED]' : value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Describes a request for the console
+ * @param {Object} request - The request
+ * @returns {string} The description, e.g. POST /pets?dryRun=true {"name":"Rex"}
+ */
+function describeRequest(request) {
+  const query = new URLSearchParams(request.query).toString();
+  const body = request.body === undefined ? '' : ` ${JSON.stringify(request.body)}`;
+  return `${request.method} ${request.url}${query ? `?${query}` : ''}${body}`;
+}
+
+/**
+ * Checks whether a recording stores a request with its response
+ * @param {*} recording - The parsed recording
+ * @returns {boolean} True for recordings made from a recording plan
+ */
+function isExchangeRecording(recording) {
+  return Boolean(recording) && typeof recording === 'object' && !Array.isArray(recording) &&
+    Boolean(recording.request) && Boolean(recording.statusCode) && recording.error !== true;
+}
+
+/**
+ * Sends the recorded response of an exchange recording
+ * @param {Object} res - Express response
+ * @param {Object} recording - The exchange recording
+ */
+function sendExchangeRecording(res, recording) {
+  res.status(recording.statusCode);
+  if (recording.headers && recording.headers.location) {
+    res.set('Location', recording.headers.location);
+  }
+  if (recording.data === undefined || recording.data === '') {
+    res.end();
+    return;
+  }
+  res.json(recording.data);
+}
+
+/**
+ * Records the samples of an endpoint listed in a recording plan
+ * Responses are stored whatever their status code, so samples can record error responses too.
+ * The values of Authorization, Cookie and Proxy-Authorization headers are stored as [REDACTED].
+ * @param {Object} client - Axios client instance
+ * @param {Object} endpoint - The endpoint
+ * @param {Object} entry - The plan entry of the endpoint
+ * @param {string} outputDir - Directory to save recordings
+ * @param {Object} options - Recording options
+ * @param {Object} options.spec - The Swagger/OpenAPI spec
+ * @param {string} options.apiName - Name of the API (seeds generated bodies)
+ * @param {boolean} options.dryRun - Only print the requests
+ * @returns {Promise<Array<Object>>} Result per sample ({ sample, file, success, statusCode, error, request })
+ */
+async function recordPlannedOperation(client, endpoint, entry, outputDir, options = {}) {
+  const results = [];
+
+  for (const [index, sample] of (entry.samples || []).entries()) {
+    const name = sample.name || String(index + 1);
+
+    // Samples sending the same parameters without a name get numbered files
+    let file = getSampleFileName(endpoint, sample);
+    if (results.some(result => result.file === file)) {
+      file = file.replace(/\.json$/, `_${index + 1}.json`);
+    }
+
+    let request;
+    try {
+      request = buildPlannedRequest(endpoint, sample, { spec: options.spec, seed: `${options.apiName}:${endpoint.operationId}:${name}` });
+    } catch (error) {
+      console.error(`❌ Skipping sample ${name} of ${endpoint.operationId}: ${error.message}`);
+      results.push({ sample: name, file, success: false, error: error.message });
+      continue;
+    }
+
+    if (options.dryRun) {
+      console.log(`[dry run] ${describeRequest(request)} -> ${file}`);
+      results.push({ sample: name, file, success: true, dryRun: true, request });
+      continue;
+    }
+
+    console.log(`Recording sample ${name}: ${describeRequest(request)}`);
+    let recording;
+    try {
+      const response = await client.request({
+        method: request.method,
+        url: request.url,
+        params: request.query,
+        headers: request.headers,
+        data: request.body,
+        validateStatus: () => true
+      });
+      recording = {
+        request,
+        statusCode: response.status,
+        headers: Object.fromEntries(RECORDED_HEADERS
+          .filter(header => response.headers && response.headers[header] !== undefined)
+          .map(header => [header, response.headers[header]])),
+        data: response.data
+      };
+    } catch (error) {
+      recording = { error: true, message: error.message, request, timestamp: new Date().toISOString() };
+    }
+
+    const stored = { ...recording, request: { ...request, headers: redactHeaders(request.headers) } };
+    fs.writeFileSync(path.join(outputDir, file), JSON.stringify(stored, null, 2));
+    results.push({
+      sample: name,
+      file,
+      success: !recording.error && recording.statusCode < 400,
+      statusCode: recording.statusCode,
+      error: recording.error ? recording.message : undefined,
+      request
+    });
+  }
+
+  return results;
+}
+
+module.exports = {
+  SAFE_METHODS,
+  RECORDED_HEADERS,
+  REDACTED_HEADERS,
+  validateRecordingPlan,
+  loadRecordingPlan,
+  getPlanEntry,
+  isOperationAllowed,
+  getSampleFileName,
+  redactHeaders,
+  buildPlannedRequest,
+  isExchangeRecording,
+  sendExchangeRecording,
+  recordPlannedOperation
+};
@@ -0,0 +1,292 @@
+/**
+ * Recording Proxy Module
+ * A transparent proxy in front of a real API: requests are forwarded to the upstream API, its
+ * responses are streamed back unchanged, and each JSON exchange is recorded into the data/<api>
+ * layout (see exchange-recorder), so an API can be recorded by using an application against it.
+ */
+
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const express = require('express');
+const exchangeRecorder = require('./exchange-recorder');
+
+// Request headers that describe the connection to the proxy rather than the request
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'upgrade'];
+
+// Largest request or response body buffered for recording, in bytes
+const DEFAULT_MAX_BODY_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Converts a path glob to a regular expression
+ * @param {string} glob - The glob, where * matches any characters
+ * @returns {RegExp} The expression
+ */
+function globToRegExp(glob) {
+  const source = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks whether the exchanges of a path are recorded
+ * @param {string} requestPath - Path of the request, relative to the upstream base URL
+ * @param {Array<string>} include - Path globs to record (all paths when empty)
+ * @param {Array<string>} exclude - Path globs never to record
+ * @returns {boolean} True if the path is recorded
+ */
+function isPathRecorded(requestPath, include = [], exclude = []) {
+  if (include.length > 0 && !include.some(glob => globToRegExp(glob).test(requestPath))) {
+    return false;
+  }
+  return !exclude.some(glob => globToRegExp(glob).test(requestPath));
+}
+
+/**
+ * Checks whether a response may be a recorded JSON response
+ * @param {string} contentType - Its Content-Type
+ * @returns {boolean} True for JSON and for responses without a content type (empty bodies)
+ */
+function isJsonContentType(contentType) {
+  return !contentType || /json/i.test(contentType);
+}
+
+/**
+ * Creates a buffer of body chunks that gives up past a size limit
+ * @param {number} limit - Most bytes to buffer
+ * @returns {Object} { push(chunk), read() }, read() returning null once the limit was passed
+ */
+function createBodyBuffer(limit) {
+  let chunks = [];
+  let size = 0;
+  return {
+    push(chunk) {
+      size += chunk.length;
+      if (chunks && size > limit) {
+        chunks = null;
+      } else if (chunks) {
+        chunks.push(chunk);
+      }
+    },
+    read() {
+      return chunks && Buffer.concat(chunks);
+    }
+  };
+}
+
+/**
+ * Decodes a buffered body
+ * @param {Buffer} buffer - The body as sent
+ * @param {string} encoding - Its Content-Encoding
+ * @returns {Buffer} The decoded body
+ */
+function decodeBody(buffer, encoding = '') {
+  switch (encoding.toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.gunzipSync(buffer);
+    case 'deflate':
+      return zlib.inflateSync(buffer);
+    case 'br':
+      return zlib.brotliDecompressSync(buffer);
+    default:
+      return buffer;
+  }
+}
+
+/**
+ * Parses a buffered request body
+ * @param {Buffer} buffer - The body
+ * @returns {*} The parsed JSON body, the text of other bodies, or undefined
+ */
+function parseRequestBody(buffer) {
+  if (buffer.length === 0) {
+    return undefined;
+  }
+  const text = buffer.toString('utf8');
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Parses a buffered response body
+ * @param {Buffer} buffer - The decoded body
+ * @param {string} contentType - Its Content-Type
+ * @returns {Object} { json, data }, where json is false for bodies that aren't JSON
+ */
+function parseResponseBody(buffer, contentType = '') {
+  if (buffer.length === 0) {
+    return { json: true, data: undefined };
+  }
+  if (!/json/i.test(contentType)) {
+    return { json: false };
+  }
+  try {
+    return { json: true, data: JSON.parse(buffer.toString('utf8')) };
+  } catch (error) {
+    return { json: false };
+  }
+}
+
+/**
+ * Creates the recording proxy app
+ * @param {Object} options - Proxy options
+ * @param {string} options.upstream - Base URL of the real API
+ * @param {string} options.name - Name of the API to record into
+ * @param {string} options.output - Data directory (defaults to ./data)
+ * @param {Array<string>} options.include - Path globs to record (all paths when empty)
+ * @param {Array<string>} options.exclude - Path globs never to record
+ * @param {Array<string>} options.redactHeaders - Request headers to redact besides
+ *   Authorization, Cookie and Proxy-Authorization
+ * @param {string} options.dedupe - 'first' (default), 'last' or 'none'
+ * @param {number} options.maxBodySize - Largest request or response body recorded, in bytes
+ *   (defaults to 10 MB); larger exchanges are only forwarded
+ * @returns {Object} The Express app
+ * @throws {Error} If the upstream URL or the dedupe mode is invalid
+ */
+function createRecordingProxy(options) {
+  let upstream;
+  try {
+    upstream = new URL(options.upstream);
+  } catch (error) {
+    throw new Error(`Invalid upstream URL: ${options.upstream}`);
+  }
+  if (!['http:', 'https:'].includes(upstream.protocol)) {
+    throw new Error(`Invalid upstream URL: ${options.upstream}`);
+  }
+
+  const recorder = exchangeRecorder.createExchangeRecorder(options.name, {
+    output: options.output,
+    redactHeaders: options.redactHeaders,
+    dedupe: options.dedupe || 'first'
+  });
+  const basePath = upstream.pathname.replace(/\/+$/, '');
+  const maxBodySize = options.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+  const client = upstream.protocol === 'https:' ? https : http;
+  const app = express();
+
+  /**
+   * Records a forwarded exchange
+   * @param {Object} req - The request to the proxy
+   * @param {Buffer|null} requestBody - The request body, or null if it was too large to buffer
+   * @param {Object} upstreamRes - The upstream response
+   * @param {Buffer|null} responseBody - The response body as sent, or null if it was too large to buffer
+   */
+  const recordExchange = (req, requestBody, upstreamRes, responseBody) => {
+    const label = `${req.method} ${req.path} -> ${upstreamRes.statusCode}`;
+    if (!requestBody || !responseBody) {
+      console.log(`${label} (not recorded: body larger than ${maxBodySize} bytes)`);
+      return;
+    }
+
+    const body = parseResponseBody(decodeBody(responseBody, upstreamRes.headers['content-encoding']), upstreamRes.headers['content-type']);
+    if (!body.json) {
+      console.log(`${label} (not recorded: not a JSON response)`);
+      return;
+    }
+
+    const result = recorder.record({
+      method: req.method,
+      path: req.path,
+      query: Object.fromEntries(new URL(req.originalUrl, 'http://proxy').searchParams),
+      headers: req.headers,
+      body: parseRequestBody(requestBody),
+      statusCode: upstreamRes.statusCode,
+      responseHeaders: upstreamRes.headers,
+      data: body.data
+    });
+    if (result.duplicate) {
+      console.log(`${label} (already recorded as ${result.file})`);
+      return;
+    }
+    recorder.save();
+    console.log(`${label} recorded as ${result.file}`);
+  };
+
+  app.use((req, res) => {
+    const headers = { ...req.headers, host: upstream.host };
+    HOP_BY_HOP_HEADERS.forEach(header => delete headers[header]);
+
+    // Only the bodies of exchanges that may be recorded are buffered; everything is piped
+    const recorded = req.method !== 'OPTIONS' && isPathRecorded(req.path, options.include, options.exclude);
+    const requestBody = recorded ? createBodyBuffer(maxBodySize) : null;
+
+    const upstreamReq = client.request({
+      protocol: upstream.protocol,
+      hostname: upstream.hostname,
+      port: upstream.port,
+      method: req.method,
+      path: `${basePath}${req.originalUrl}`,
+      headers
+    }, (upstreamRes) => {
+      res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+
+      if (!recorded || upstreamRes.statusCode === 304) {
+        upstreamRes.pipe(res);
+        return;
+      }
+      if (!isJsonContentType(upstreamRes.headers['content-type'])) {
+        console.log(`${req.method} ${req.path} -> ${upstreamRes.statusCode} (not recorded: not a JSON response)`);
+        upstreamRes.pipe(res);
+        return;
+      }
+
+      const responseBody = createBodyBuffer(maxBodySize);
+      upstreamRes.on('data', chunk => responseBody.push(chunk));
+      upstreamRes.on('end', () => {
+        try {
+          recordExchange(req, requestBody.read(), upstreamRes, responseBody.read());
+        } catch (error) {
+          console.error(`Failed to record ${req.method} ${req.path}: ${error.message}`);
+        }
+      });
+      upstreamRes.pipe(res);
+    });
+
+    upstreamReq.on('error', (error) => {
+      console.error(`Upstream request ${req.method} ${req.originalUrl} failed: ${error.message}`);
+      if (!res.headersSent) {
+        res.status(502).json({ error: 'Bad Gateway', message: `Upstream request failed: ${error.message}` });
+      } else {
+        res.end();
+      }
+    });
+
+    if (requestBody) {
+      req.on('data', chunk => requestBody.push(chunk));
+    }
+    req.pipe(upstreamReq);
+  });
+
+  return app;
+}
+
+/**
+ * Starts the recording proxy
+ * @param {Object} options - Proxy options (see createRecordingProxy), with port and host
+ * @returns {Promise<Object>} The listening HTTP server
+ */
+async function startRecordingProxy(options) {
+  const app = createRecordingProxy(options);
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(options.port, options.host, () => {
+      console.log(`Recording proxy for ${options.upstream} listening on http://${options.host || 'localhost'}:${options.port}`);
+      console.log(`Recording ${options.name} into ${options.output || './data'}`);
+      resolve(server);
+    });
+
+    server.on('error', (error) => {
+      console.error(`Failed to start recording proxy: ${error.message}`);
+      reject(error);
+    });
+  });
+}
+
+module.exports = {
+  isPathRecorded,
+  createRecordingProxy,
+  startRecordingProxy
+};
@@ -0,0 +1,355 @@
+/**
+ * Request Validator Module
+ * Validates requests against the operation they are routed to before a mock response is
+ * served: path, query, header and cookie parameters (coerced from strings to their schema
+ * types, like a real server would) and JSON request bodies. Invalid requests are answered
+ * with 400 and a list of every violation. Enabled per API with validation.requests in
+ * config.json.
+ */
+
+const endpointExtractor = require('./endpoint-extractor');
+const schemaValidator = require('./schema-validator');
+
+// Header parameters OpenAPI ignores, as they're described by other means
+const IGNORED_HEADERS = ['accept', 'content-type', 'authorization'];
+
+// Delimiters of array parameters by Swagger 2.0 collectionFormat and OpenAPI 3 style
+const DELIMITERS = {
+  csv: ',',
+  ssv: ' ',
+  tsv: '\t',
+  pipes: '|',
+  form: ',',
+  simple: ',',
+  spaceDelimited: ' ',
+  pipeDelimited: '|'
+};
+
+// Keywords of Swagger 2.0 non-body parameters that make up their schema
+const PARAMETER_SCHEMA_KEYWORDS = [
+  'type', 'format', 'items', 'enum', 'default', 'minimum', 'maximum', 'exclusiveMinimum',
+  'exclusiveMaximum', 'multipleOf', 'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems', 'uniqueItems'
+];
+
+/**
+ * Checks whether an API validates requests
+ * Configured in config.json as validation.requests.
+ * @param {Object} config - API configuration
+ * @returns {boolean} True if requests are validated
+ */
+function isRequestValidationEnabled(config) {
+  return Boolean(config && config.validation && config.validation.requests);
+}
+
+/**
+ * Gets the parameters of an operation, including those declared for its whole path
+ * Operation parameters override path parameters with the same name and location.
+ * @param {Object} operation - The Swagger/OpenAPI operation
+ * @param {Object} pathItem - The path item the operation belongs to
+ * @param {Object} spec - The Swagger/OpenAPI spec
+ * @returns {Array<Object>} The resolved parameters
+ */
+function getOperationParameters(operation, pathItem, spec) {
+  const parameters = new Map();
+  for (const parameter of [...((pathItem && pathItem.parameters) || []), ...(operation.parameters || [])]) {
+    const resolved = endpointExtractor.resolveReference(parameter, spec);
+    if (resolved && resolved.name && resolved.in) {
+      parameters.set(`${resolved.in}:${resolved.name}`, resolved);
+    }
+  }
+  return [...parameters.values()];
+}
+
+/**
+ * Gets the schema of a parameter
+ * @param {Object} parameter - The parameter (OpenAPI 3 with schema or content, or Swagger 2.0)
+ * @returns {Object} The schema
+ */
+function getParameterSchema(parameter) {
+  if (parameter.schema) {
+    return parameter.schema;
+  }
+  if (parameter.content) {
+    const media = Object.values(parameter.content)[0];
+    return (media && media.schema) || {};
+  }
+  return Object.fromEntries(PARAMETER_SCHEMA_KEYWORDS
+    .filter(keyword => parameter[keyword] !== undefined)
+    .map(keyword => [keyword, parameter[keyword]]));
+}
+
+/**
+ * Gets the delimiter of the values of an array parameter sent as a single string
+ * @param {Object} parameter - The parameter
+ * @returns {string|null} The delimiter, or null if each value is sent separately
+ */
+function getArrayDelimiter(parameter) {
+  // Swagger 2.0
+  if (!parameter.schema && !parameter.content) {
+    const format = parameter.collectionFormat || 'csv';
+    return format === 'multi' ? null : DELIMITERS[format];
+  }
+
+  const style = parameter.style || (['query', 'cookie'].includes(parameter.in) ? 'form' : 'simple');
+  const explode = parameter.explode !== undefined ? parameter.explode : style === 'form';
+  return style === 'form' && explode ? null : DELIMITERS[style] || ',';
+}
+
+/**
+ * Coerces a parameter value received as a string to the type of its schema
+ * Values that can't be coerced are returned as is, so that validation reports them.
+ * @param {*} raw - The received value (a string, or an array/object for repeated or nested query parameters)
+ * @param {Object} schema - The parameter schema
+ * @param {Object} parameter - The parameter
+ * @param {Object} spec - The Swagger/OpenAPI spec
+ * @returns {*} The coerced value
+ */
+function coerceValue(raw, schema, parameter, spec) {
+  const resolved = endpointExtractor.resolveReference(schema, spec) || {};
+  const type = Array.isArray(resolved.type) ? resolved.type.find(candidate => candidate !== 'null') : resolved.type;
+
+  if (type === 'array') {
+    let items = raw;
+    if (typeof raw === 'string') {
+      const delimiter = getArrayDelimiter(parameter);
+      items = delimiter ? raw.split(delimiter) : [raw];
+    }
+    return Array.isArray(items) ? items.map(item => coerceValue(item, resolved.items || {}, parameter, spec)) : raw;
+  }
+
+  if (type === 'object' && raw && typeof raw === 'object' && !Array.isArray(raw)) {
+    const properties = resolved.properties || {};
+    return Object.fromEntries(Object.entries(raw).map(([name, value]) =>
+      [name, coerceValue(value, properties[name] || resolved.additionalProperties || {}, parameter, spec)]));
+  }
+
+  if (typeof raw !== 'string') {
+    return raw;
+  }
+
+  switch (type) {
+    case 'integer':
+      return /^[-+]?\d+$/.test(raw.trim()) ? Number(raw) : raw;
+    case 'number':
+      return raw.trim() !== '' && Number.isFinite(Number(raw)) ? Number(raw) : raw;
+    case 'boolean':
+      return raw === 'true' ? true : (raw === 'false' ? false : raw);
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Parses the Cookie header of a request
+ * @param {string} header - The Cookie header
+ * @returns {Object} The cookie values by name
+ */
+function parseCookies(header) {
+  const cookies = {};
+  for (const pair of (header || '').split(';')) {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      const value = pair.slice(index + 1).trim();
+      try {
+        cookies[pair.slice(0, index).trim()] = decodeURIComponent(value);
+      } catch (error) {
+        cookies[pair.slice(0, index).trim()] = value;
+      }
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Gets the received value of a parameter
+ * @param {Object} req - Express request object
+ * @param {Object} parameter - The parameter
+ * @param {Object} cookies - The request cookies
+ * @returns {*} The value, or undefined if the parameter wasn't sent
+ */
+function getParameterValue(req, parameter, cookies) {
+  switch (parameter.in) {
+    case 'path':
+      return req.params[parameter.name];
+    case 'query':
+      return req.query[parameter.name];
+    case 'header':
+      return req.headers[parameter.name.toLowerCase()];
+    case 'cookie':
+      return cookies[parameter.name];
+    case 'formData':
+      return req.body && typeof req.body === 'object' ? req.body[parameter.name] : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Gets the JSON request body of an operation
+ * @param {Object} operation - The Swagger/OpenAPI operation
+ * @param {Array<Object>} parameters - The resolved parameters of the operation
+ * @param {Object} spec - The Swagger/OpenAPI spec
+ * @returns {Object|null} The request body ({ required, schema }), or null if the operation has no JSON body
+ */
+function getRequestBody(operation, parameters, spec) {
+  // Swagger 2.0
+  const bodyParameter = parameters.find(parameter => parameter.in === 'body');
+  if (bodyParameter) {
+    return { required: Boolean(bodyParameter.required), schema: bodyParameter.schema || {} };
+  }
+
+  // OpenAPI 3
+  const requestBody = endpointExtractor.resolveReference(operation.requestBody, spec);
+  if (!requestBody || !requestBody.content) {
+    return null;
+  }
+  const mediaType = Object.keys(requestBody.content).find(type => /json/i.test(type));
+  if (!mediaType) {
+    return null;
+  }
+  return { required: Boolean(requestBody.required), schema: requestBody.content[mediaType].schema || {} };
+}
+
+/**
+ * Checks whether a request carries a body
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if the request has a body
+ */
+function hasRequestBody(req) {
+  return req.headers['transfer-encoding'] !== undefined ||
+    (req.headers['content-length'] !== undefined && req.headers['content-length'] !== '0');
+}
+
+/**
+ * Creates a validator for the requests of an operation
+ * @param {Object} operation - The Swagger/OpenAPI operation
+ * @param {Object} options - Validator options
+ * @param {Object} options.spec - The Swagger/OpenAPI spec
+ * @param {Object} options.pathItem - The path item the operation belongs to
+ * @returns {Function} Validates a request, returning { errors, values } where values holds the
+ *   coerced parameters by location (path, query, header, cookie) and the body, with coerced form data
+ */
+function createRequestValidator(operation, options = {}) {
+  const { spec, pathItem } = options;
+  const parameters = getOperationParameters(operation, pathItem, spec);
+  const body = getRequestBody(operation, parameters, spec);
+
+  return req => {
+    const errors = [];
+    const values = { path: {}, query: {}, header: {}, cookie: {}, body: req.body };
+    const cookies = parseCookies(req.headers.cookie);
+
+    for (const parameter of parameters) {
+      if (parameter.in === 'body' || (parameter.in === 'header' && IGNORED_HEADERS.includes(parameter.name.toLowerCase()))) {
+        continue;
+      }
+
+      const location = parameter.in === 'formData' ? 'body' : parameter.in;
+      const pointer = `/${location}/${schemaValidator.escapePointer(parameter.name)}`;
+      const schema = getParameterSchema(parameter);
+      const raw = getParameterValue(req, parameter, cookies);
+
+      if (raw === undefined) {
+        if (parameter.required) {
+          errors.push({ location, pointer, keyword: 'required', message: `must have required ${parameter.in} parameter '${parameter.name}'` });
+        } else {
+          const resolved = endpointExtractor.resolveReference(schema, spec) || {};
+          if (resolved.default !== undefined && location !== 'body') {
+            values[location][parameter.name] = resolved.default;
+          }
+        }
+        continue;
+      }
+
+      // Empty query values are only allowed where the spec says so
+      if (raw === '' && parameter.allowEmptyValue) {
+        continue;
+      }
+
+      const value = coerceValue(raw, schema, parameter, spec);
+      if (location === 'body') {
+        values.body = { ...values.body, [parameter.name]: value };
+      } else {
+        values[location][parameter.name] = value;
+      }
+      errors.push(...schemaValidator.validate(value, schema, { spec, pointer, direction: 'request' })
+        .map(error => ({ location, ...error })));
+    }
+
+    if (body) {
+      if (!hasRequestBody(req)) {
+        if (body.required) {
+          errors.push({ location: 'body', pointer: '/body', keyword: 'required', message: 'must have a request body' });
+        }
+      } else if (req.is('json')) {
+        errors.push(...schemaValidator.validate(req.body, body.schema, { spec, pointer: '/body', direction: 'request' })
+          .map(error => ({ location: 'body', ...error })));
+      }
+    }
+
+    return { errors, values };
+  };
+}
+
+/**
+ * Applies the coerced values of a valid request to the request itself
+ * Received path and query parameters and the body are replaced by their coerced values, so
+ * handlers see the types of the spec. Defaults of parameters that weren't sent are only kept on
+ * req.validated, as recordings are matched on the parameters that were sent.
+ * @param {Object} req - Express request object
+ * @param {Object} values - The coerced values (see createRequestValidator)
+ */
+function applyCoercedValues(req, values) {
+  for (const [received, coerced] of [[req.params, values.path], [req.query, values.query]]) {
+    for (const name of Object.keys(received)) {
+      if (coerced[name] !== undefined) {
+        received[name] = coerced[name];
+      }
+    }
+  }
+  req.body = values.body;
+}
+
+/**
+ * Creates the validation middleware of an operation's route
+ * Valid requests continue with their parameters and form data coerced to the types of the spec
+ * and req.validated set to the coerced parameters (see createRequestValidator); invalid ones are
+ * answered with 400 and the list of violations.
+ * @param {Object} operation - The Swagger/OpenAPI operation
+ * @param {Object} config - API configuration (with the spec as config.swagger)
+ * @param {Object} pathItem - The path item the operation belongs to
+ * @returns {Function|null} The middleware, or null if the API doesn't validate requests
+ */
+function createValidationMiddleware(operation, config, pathItem) {
+  if (!isRequestValidationEnabled(config)) {
+    return null;
+  }
+
+  const validateRequest = createRequestValidator(operation, { spec: config.swagger, pathItem });
+
+  return (req, res, next) => {
+    const { errors, values } = validateRequest(req);
+
+    if (errors.length > 0) {
+      console.log(`${req.method} ${req.path} => 400 Bad Request (${errors.length} validation error${errors.length === 1 ? '' : 's'})`);
+      res.status(400).json({
+        error: 'Bad Request',
+        message: `Request validation failed with ${errors.length} error${errors.length === 1 ? '' : 's'}`,
+        errors
+      });
+      return;
+    }
+
+    applyCoercedValues(req, values);
+    req.validated = values;
+    next();
+  };
+}
+
+module.exports = {
+  isRequestValidationEnabled,
+  getOperationParameters,
+  getRequestBody,
+  createRequestValidator,
+  createValidationMiddleware
+};
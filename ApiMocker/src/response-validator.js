@@ -0,0 +1,400 @@
+/**
+ * Response Validator Module
+ * Checks mock responses against the responses their operation declares: the status code
+ * must be declared (exactly, as a 2XX-style range or by default) and JSON bodies must match
+ * the declared schema. Served responses are checked when an API sets validation.responses in
+ * config.json (or the server runs with --validate-responses); violations are reported in the
+ * X-Mock-Schema-Violations header, in the log and in a per-API report. Recorded files are
+ * checked all at once by the verify command.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const endpointExtractor = require('./endpoint-extractor');
+const schemaValidator = require('./schema-validator');
+
+// Header reporting the violations of a served response
+const VIOLATIONS_HEADER = 'X-Mock-Schema-Violations';
+
+// Violations listed in the header before the rest is only counted
+const MAX_HEADER_VIOLATIONS = 10;
+
+// HTTP methods of Swagger/OpenAPI path items
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Violations of served responses by API name, then by operation
+const reports = new Map();
+
+/**
+ * Checks whether an API validates the responses it serves
+ * Configured in config.json as validation.responses.
+ * @param {Object} config - API configuration
+ * @returns {boolean} True if responses are validated
+ */
+function isResponseValidationEnabled(config) {
+  return Boolean(config && config.validation && config.validation.responses);
+}
+
+/**
+ * Gets the response an operation declares for a status code
+ * An exact status code takes precedence over a range (2XX) and over default.
+ * @param {Object} operation - The Swagger/OpenAPI operation
+ * @param {number} statusCode - The status code
+ * @param {Object} spec - The Swagger/OpenAPI spec
+ * @returns {Object|null} The declared response ({ key, response }), or null if the status code isn't declared
+ */
+function getDeclaredResponse(operation, statusCode, spec) {
+  const responses = (operation && operation.responses) || {};
+  const code = String(statusCode);
+  const key = [code, `${code[0]}XX`, `${code[0]}xx`, 'default']
+    .find(candidate => responses[candidate] !== undefined);
+
+  if (!key) {
+    return null;
+  }
+  return { key, response: endpointExtractor.resolveReference(responses[key], spec) || {} };
+}
+
+/**
+ * Gets the schema of a declared response body
+ * @param {Object} response - The declared response
+ * @param {string} contentType - Content type of the served response
+ * @returns {Object|null} The schema, or null if the response declares no JSON body
+ */
+function getResponseSchema(response, contentType) {
+  // Swagger 2.0
+  if (!response.content) {
+    return response.schema || null;
+  }
+
+  // OpenAPI 3 describes the body per media type
+  const mediaType = (contentType || '').split(';')[0].trim().toLowerCase();
+  const declared = Object.keys(response.content);
+  const match = declared.find(type => type.toLowerCase() === mediaType) ||
+    declared.find(type => /json/i.test(type)) ||
+    declared.find(type => type === '*/*');
+  return match ? response.content[match].schema || null : null;
+}
+
+/**
+ * Validates a response against the responses declared by its operation
+ * @param {Object} operation - The Swagger/OpenAPI operation
+ * @param {Object} response - The response
+ * @param {number} response.statusCode - The status code
+ * @param {*} response.body - The parsed JSON body (undefined if there is none)
+ * @param {string} response.contentType - The content type (application/json by default)
+ * @param {Object} options - Validation options
+ * @param {Object} options.spec - The Swagger/OpenAPI spec
+ * @returns {Array<Object>} The violations ({ pointer, keyword, message }), empty if the response is valid
+ */
+function validateResponse(operation, response, options = {}) {
+  const { spec } = options;
+  const { statusCode, body } = response;
+
+  // Operations without declared responses leave nothing to check against
+  if (Object.keys((operation && operation.responses) || {}).length === 0) {
+    return [];
+  }
+
+  const declared = getDeclaredResponse(operation, statusCode, spec);
+  if (!declared) {
+    return [{ pointer: '', keyword: 'status', message: `status ${statusCode} is not declared for the operation` }];
+  }
+
+  const schema = getResponseSchema(declared.response, response.contentType || 'application/json');
+  if (!schema || statusCode === 204 || statusCode === 304) {
+    return [];
+  }
+  if (body === undefined) {
+    return [{ pointer: '', keyword: 'required', message: `must have a response body (declared for ${declared.key})` }];
+  }
+  return schemaValidator.validate(body, schema, { spec, direction: 'response' });
+}
+
+/**
+ * Formats violations as the value of the X-Mock-Schema-Violations header
+ * @param {Array<Object>} violations - The violations
+ * @returns {string} The header value, e.g. "/id must be integer; /name must have required property 'name'"
+ */
+function formatViolationsHeader(violations) {
+  const listed = violations.slice(0, MAX_HEADER_VIOLATIONS)
+    .map(violation => `${violation.pointer || '/'} ${violation.message}`);
+  if (violations.length > MAX_HEADER_VIOLATIONS) {
+    listed.push(`and ${violations.length - MAX_HEADER_VIOLATIONS} more`);
+  }
+
+  // Header values can only hold printable ASCII
+  return listed.join('; ').replace(/[^\x20-\x7e]/g, '?');
+}
+
+/**
+ * Records the outcome of a served response in the report of its API
+ * Identical violations are counted instead of repeated.
+ * @param {string} apiName - Name of the API
+ * @param {Object} operationInfo - The operation ({ method, path, operationId })
+ * @param {number} statusCode - The served status code
+ * @param {Array<Object>} violations - The violations of the response
+ */
+function recordViolations(apiName, operationInfo, statusCode, violations) {
+  if (!reports.has(apiName)) {
+    reports.set(apiName, new Map());
+  }
+  const operations = reports.get(apiName);
+  const key = `${operationInfo.method.toUpperCase()} ${operationInfo.path}`;
+
+  if (!operations.has(key)) {
+    operations.set(key, {
+      method: operationInfo.method.toUpperCase(),
+      path: operationInfo.path,
+      operationId: operationInfo.operationId,
+      responses: 0,
+      invalidResponses: 0,
+      violations: []
+    });
+  }
+  const entry = operations.get(key);
+
+  entry.responses++;
+  if (violations.length > 0) {
+    entry.invalidResponses++;
+  }
+  for (const violation of violations) {
+    const existing = entry.violations.find(candidate => candidate.statusCode === statusCode &&
+      candidate.pointer === violation.pointer && candidate.message === violation.message);
+    if (existing) {
+      existing.count++;
+    } else {
+      entry.violations.push({ statusCode, ...violation, count: 1 });
+    }
+  }
+}
+
+/**
+ * Gets the report of the responses an API served while validating them
+ * @param {string} apiName - Name of the API
+ * @returns {Object} The report ({ api, operations }), each operation with its violations
+ */
+function getViolationReport(apiName) {
+  return {
+    api: apiName,
+    operations: [...((reports.get(apiName) || new Map()).values())]
+  };
+}
+
+/**
+ * Clears the reports of served responses
+ * @param {string} apiName - Name of the API (all APIs if omitted)
+ */
+function clearViolationReports(apiName) {
+  if (apiName === undefined) {
+    reports.clear();
+  } else {
+    reports.delete(apiName);
+  }
+}
+
+/**
+ * Parses the body of a served response
+ * @param {*} chunk - The body passed to res.end
+ * @param {string} contentType - Content type of the response
+ * @returns {*} The parsed JSON body, undefined if there is none, or the chunk itself if it isn't JSON
+ */
+function parseServedBody(chunk, contentType) {
+  if (chunk === undefined || chunk === null || chunk.length === 0) {
+    return undefined;
+  }
+  if (!/json/i.test(contentType || '')) {
+    return chunk;
+  }
+  try {
+    return JSON.parse(Buffer.isBuffer(chunk) ? chunk.toString('utf8') : chunk);
+  } catch (error) {
+    return chunk;
+  }
+}
+
+/**
+ * Creates the response validation middleware of an operation's route
+ * The middleware wraps res.end so that the response is checked right before it's sent,
+ * whichever way the route handler builds it.
+ * @param {Object} operation - The Swagger/OpenAPI operation
+ * @param {Object} config - API configuration (with the spec as config.swagger)
+ * @param {Object} operationInfo - Where the operation is declared
+ * @param {string} operationInfo.method - HTTP method
+ * @param {string} operationInfo.path - Path pattern of the operation in the spec
+ * @returns {Function|null} The middleware, or null if the API doesn't validate responses
+ */
+function createResponseValidationMiddleware(operation, config, operationInfo) {
+  if (!isResponseValidationEnabled(config)) {
+    return null;
+  }
+
+  const apiName = config.apiName || config.name;
+  const info = { ...operationInfo, operationId: operation.operationId };
+
+  return (req, res, next) => {
+    const end = res.end;
+
+    res.end = function (chunk, encoding, callback) {
+      res.end = end;
+
+      if (!res.headersSent && req.method !== 'HEAD') {
+        const contentType = res.get('Content-Type');
+        const body = parseServedBody(typeof chunk === 'function' ? undefined : chunk, contentType);
+        const violations = validateResponse(operation, { statusCode: res.statusCode, body, contentType }, { spec: config.swagger });
+
+        recordViolations(apiName, info, res.statusCode, violations);
+        if (violations.length > 0) {
+          res.set(VIOLATIONS_HEADER, formatViolationsHeader(violations));
+          console.warn(`${req.method} ${req.originalUrl} => ${res.statusCode} violates the spec of ${info.method.toUpperCase()} ${info.path} (${violations.length} schema violation${violations.length === 1 ? '' : 's'})`);
+          violations.forEach(violation => console.warn(` - ${violation.pointer || '/'} ${violation.message}`));
+        }
+      }
+
+      return end.call(this, chunk, encoding, callback);
+    };
+
+    next();
+  };
+}
+
+/**
+ * Registers the endpoint serving the violation report of an API
+ * @param {Object} app - Express application or router
+ * @param {string} reportPath - Path of the report endpoint
+ * @param {Object} config - API configuration
+ */
+function registerReportRoute(app, reportPath, config) {
+  const apiName = config.apiName || config.name;
+  app.get(reportPath, (req, res) => {
+    res.json(getViolationReport(apiName));
+  });
+}
+
+/**
+ * Reads the status code and body a mock server serves for a recorded file
+ * Recordings either hold the body itself, wrap it as { statusCode, data }, or describe a
+ * failed recording as { error: true, statusCode }.
+ * @param {*} recording - The parsed recording
+ * @returns {Object} The served response ({ statusCode, body })
+ */
+function getRecordedResponse(recording) {
+  if (recording && typeof recording === 'object' && !Array.isArray(recording) && recording.statusCode) {
+    return {
+      statusCode: Number(recording.statusCode),
+      body: recording.error === true || recording.data === undefined ? recording : recording.data
+    };
+  }
+  return { statusCode: 200, body: recording };
+}
+
+/**
+ * Finds the recorded files of an operation
+ * Both the operationId naming of the recorder (getPetById -> getpetbyid.json, or
+ * getpetbyid_petId-1.json for a specific request) and the path naming of the server
+ * (GET /pets/{petId} -> get_pets_petId.json, or get_pets_petId_petId-1.json for a specific
+ * parameter value) are recognized.
+ * @param {Array<string>} files - Names of the files in the responses directory
+ * @param {string} method - HTTP method
+ * @param {string} pathPattern - Path pattern of the operation
+ * @param {Object} operation - The Swagger/OpenAPI operation
+ * @returns {Array<string>} The names of the recorded files
+ */
+function findRecordings(files, method, pathPattern, operation) {
+  const normalizedPath = pathPattern.replace(/\//g, '_').replace(/[{}]/g, '');
+  const names = [`${method}${normalizedPath}.json`];
+  const baseName = operation.operationId ? operation.operationId.replace(/[^a-zA-Z0-9]/g, '_').toLowerCase() : null;
+  if (baseName) {
+    names.unshift(`${baseName}.json`);
+  }
+
+  const params = (pathPattern.match(/{([^}]+)}/g) || []).map(param => param.slice(1, -1));
+  const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const variant = params.length > 0
+    ? new RegExp(`^${escape(`${method}${normalizedPath}`)}_${params.map(param => `${escape(param)}-.+`).join('_')}\\.json$`)
+    : null;
+
+  return files.filter(file => names.includes(file) || (variant && variant.test(file)) ||
+    (baseName && file.startsWith(`${baseName}_`) && file.endsWith('.json')));
+}
+
+/**
+ * Verifies the recorded responses of an API against its spec
+ * @param {Object} config - API configuration (with swagger and responsesDir)
+ * @returns {Object} The report ({ api, operations, violations }), with an entry
+ *   ({ method, path, operationId, file, statusCode, violations }) per recorded file
+ */
+function verifyRecordings(config) {
+  const spec = config.swagger || {};
+  const files = config.responsesDir && fs.existsSync(config.responsesDir)
+    ? fs.readdirSync(config.responsesDir).sort()
+    : [];
+  const operations = [];
+
+  for (const [pathPattern, pathItem] of Object.entries(spec.paths || {})) {
+    for (const method of Object.keys(pathItem).filter(key => HTTP_METHODS.includes(key.toLowerCase()))) {
+      const operation = pathItem[method] || {};
+
+      for (const file of findRecordings(files, method.toLowerCase(), pathPattern, operation)) {
+        const entry = { method: method.toUpperCase(), path: pathPattern, operationId: operation.operationId, file };
+
+        let recording;
+        try {
+          recording = JSON.parse(fs.readFileSync(path.join(config.responsesDir, file), 'utf8'));
+        } catch (error) {
+          operations.push({ ...entry, statusCode: null, violations: [{ pointer: '', keyword: 'parse', message: `must be valid JSON (${error.message})` }] });
+          continue;
+        }
+
+        const { statusCode, body } = getRecordedResponse(recording);
+        operations.push({ ...entry, statusCode, violations: validateResponse(operation, { statusCode, body }, { spec }) });
+      }
+    }
+  }
+
+  return {
+    api: config.name,
+    operations,
+    violations: operations.reduce((total, entry) => total + entry.violations.length, 0)
+  };
+}
+
+/**
+ * Formats verification reports for the console
+ * @param {Array<Object>} results - The reports of verifyRecordings
+ * @returns {string} The consolidated report
+ */
+function formatReport(results) {
+  const lines = [];
+
+  for (const result of results) {
+    const invalid = result.operations.filter(entry => entry.violations.length > 0);
+    lines.push(`${result.api}: ${result.operations.length} recording${result.operations.length === 1 ? '' : 's'} checked, ${invalid.length} with violations`);
+
+    for (const entry of result.operations) {
+      lines.push(`  ${entry.violations.length > 0 ? '✗' : '✓'} ${entry.method} ${entry.path} (${entry.file}${entry.statusCode ? `, ${entry.statusCode}` : ''})`);
+      entry.violations.forEach(violation => lines.push(`      ${violation.pointer || '/'} ${violation.message}`));
+    }
+  }
+
+  const total = results.reduce((sum, result) => sum + result.violations, 0);
+  lines.push('');
+  lines.push(total === 0 ? 'All recordings match their spec' : `${total} schema violation${total === 1 ? '' : 's'} found`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  VIOLATIONS_HEADER,
+  isResponseValidationEnabled,
+  getDeclaredResponse,
+  validateResponse,
+  formatViolationsHeader,
+  getViolationReport,
+  clearViolationReports,
+  createResponseValidationMiddleware,
+  registerReportRoute,
+  getRecordedResponse,
+  findRecordings,
+  verifyRecordings,
+  formatReport
+};
@@ -1,10 +1,25 @@
+const crypto = require('crypto');
+const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const crudHandler = require('./crud-handler');
+const graphqlDocumentParser = require('./graphql-document-parser');
+const graphqlExecutor = require('./graphql-executor');
+const graphqlMockResolver = require('./graphql-mock-resolver');
+const graphqlSubscriptions = require('./graphql-subscriptions');
+const odataOperations = require('./odata-operations');
 const odataQueryProcessor = require('./odata-query-processor');
 const odataResponseFormatter = require('./odata-response-formatter');
+const odataSchemaModel = require('./odata-schema-model');
 const odataRelationshipHandler = require('./odata-relationship-handler');
 const odataSpecialEndpoints = require('./odata-special-endpoints');
+const odataUrlResolver = require('./odata-url-resolver');
+const odataV2Formatter = require('./odata-v2-formatter');
+const recordingMatcher = require('./recording-matcher');
+const recordingPlan = require('./recording-plan');
+const requestValidator = require('./request-validator');
+const responseValidator = require('./response-validator');
+const upstreamPassthrough = require('./upstream-passthrough');
 
 /**
  * Registers a route with the Express app
@@ -13,8 +28,9 @@ const odataSpecialEndpoints = require('./odata-special-endpoints');
  * @param {string} routePath - Route path including path parameters
  * @param {Object} operation - Swagger operation object
  * @param {Object} config - API configuration
+ * @param {Object} pathItem - Swagger path item the operation belongs to (for path-level parameters)
  */
-function registerRoute(app, method, routePath, operation, config) {
+function registerRoute(app, method, routePath, operation, config, pathItem) {
   // Ensure the method is supported
   if (!app[method]) {
     console.warn(`Unsupported HTTP method: ${method}`);
@@ -31,43 +47,122 @@ function registerRoute(app, method, routePath, operation, config) {
     }
   }
   
-  // Register the route with Express
-  app[method](routePath, (req, res) => {
+  // Requests are validated against the operation first if the API opts in (validation.requests)
+  const validateRequest = requestValidator.createValidationMiddleware(operation, config, pathItem);
+  
+  // Served responses are checked against the operation if the API opts in (validation.responses)
+  const specPath = routePath.replace(/:([^/]+)/g, '{$1}');
+  const validateResponse = responseValidator.createResponseValidationMiddleware(operation, config, {
+    method,
+    path: specPath
+  });
+  
+  // Recordings of concrete requests are matched by the API's matching rules (matching in config.json)
+  const matchingRule = recordingMatcher.getMatchingRule(config, { method, path: specPath, operation });
+  
+  // Collection the route works on (e.g., /pets and /pets/:petId -> pets)
+  const { collectionName, idParam } = getRouteCollection(routePath);
+  
+  // Requests without a mock response can be forwarded to the real API (upstream in config.json)
+  const operationPath = config.basePath && specPath.startsWith(config.basePath)
+    ? specPath.slice(config.basePath.length) || '/'
+    : specPath;
+  const upstreamRule = upstreamPassthrough.getUpstreamRule(config, { method, path: operationPath, operation });
+  
+  /**
+   * Gets the response file answering a request
+   * @param {Object} req - Express request object
+   * @returns {Object} The file ({ responseFilePath, contentType, fileExtension })
+   */
+  const getResponseFile = (req) => {
+    // For GET requests or if stateful mode is disabled, use file-based responses
+    // Generate the response filename based on operationId
+    const fileBaseName = operation.operationId
+      .replace(/[^a-zA-Z0-9]/g, '_')
+      .toLowerCase();
+    
+    // Determine content type and file extension
+    let contentType = 'application/json';
+    let fileExtension = '.json';
+    
+    // Check if this is a binary response
+    if (operation.produces && 
+        (operation.produces.includes('application/octet-stream') ||
+         operation.produces.includes('image/') ||
+         operation.produces.includes('audio/') ||
+         operation.produces.includes('video/'))) {
+      contentType = operation.produces[0];
+      fileExtension = '.bin';
+    }
+    
+    // Construct the response file path, preferring a recording of this concrete request
+    const matchedFilePath = fileExtension === '.json'
+      ? recordingMatcher.findRecordingFile(config.responsesDir, {
+        method,
+        path: specPath,
+        operation,
+        rule: matchingRule
+      }, req, { fallbackFiles: [] })
+      : null;
+    const responseFilePath = matchedFilePath || path.join(
+      config.responsesDir,
+      `${fileBaseName}${fileExtension}`
+    );
+    
+    return { responseFilePath, contentType, fileExtension };
+  };
+  
+  /**
+   * Checks whether the data store or a response file answers a request
+   * @param {Object} req - Express request object
+   * @returns {boolean} True if the mock has a response for the request
+   */
+  const hasMockResponse = (req) => {
+    const stateful = config.stateful !== false;
+    if (stateful && ['post', 'put', 'patch', 'delete'].includes(method)) {
+      return true;
+    }
+    if (stateful && method === 'get' && (idParam
+      ? Boolean(crudHandler.getById(config.apiName, collectionName, req.params[idParam]))
+      : req.query.since !== undefined)) {
+      return true;
+    }
+    return fs.existsSync(getResponseFile(req).responseFilePath);
+  };
+  
+  /**
+   * Answers a request from the data store or the response files
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  const serveMock = (req, res) => {
     try {
-      // Extract collection name from path (e.g., /pets -> pets)
-      const pathParts = routePath.split('/');
-      const collectionName = pathParts[pathParts.length - 1].replace(/[{}]/g, '');
-      
       // Handle CRUD operations if stateful mode is enabled
       if (config.stateful !== false && ['post', 'put', 'patch', 'delete'].includes(method)) {
-        return handleCrudOperation(method, req, res, config.apiName, collectionName, operation);
+        return handleCrudOperation(method, req, res, config.apiName, collectionName, operation, {
+          idParam,
+          requirePreconditions: arePreconditionsRequired(config)
+        });
       }
       
-      // For GET requests or if stateful mode is disabled, use file-based responses
-      // Generate the response filename based on operationId
-      const fileBaseName = operation.operationId
-        .replace(/[^a-zA-Z0-9]/g, '_')
-        .toLowerCase();
-      
-      // Determine content type and file extension
-      let contentType = 'application/json';
-      let fileExtension = '.json';
+      // Delta queries on collections (?since=<token>) are answered from the data store's change log
+      if (method === 'get' && config.stateful !== false && req.query.since !== undefined && !idParam) {
+        return handleChangesRequest(req, res, config.apiName, collectionName);
+      }
       
-      // Check if this is a binary response
-      if (operation.produces && 
-          (operation.produces.includes('application/octet-stream') ||
-           operation.produces.includes('image/') ||
-           operation.produces.includes('audio/') ||
-           operation.produces.includes('video/'))) {
-        contentType = operation.produces[0];
-        fileExtension = '.bin';
+      // Items held by the data store are tagged with their version, the ETag conditional writes are checked against
+      const storedItem = method === 'get' && config.stateful !== false && idParam
+        ? crudHandler.getById(config.apiName, collectionName, req.params[idParam])
+        : null;
+      if (storedItem) {
+        res.set('ETag', crudHandler.getETag(storedItem));
+        if (crudHandler.checkPreconditions(storedItem, getConditionalHeaders(req), { method }) === 304) {
+          res.status(304).end();
+          return;
+        }
       }
       
-      // Construct the response file path
-      const responseFilePath = path.join(
-        config.responsesDir,
-        `${fileBaseName}${fileExtension}`
-      );
+      const { responseFilePath, contentType, fileExtension } = getResponseFile(req);
       
       // Check if the response file exists
       if (!fs.existsSync(responseFilePath)) {
@@ -88,6 +183,12 @@ function registerRoute(app, method, routePath, operation, config) {
       if (fileExtension === '.json') {
         const responseData = JSON.parse(responseContent);
         
+        // Recordings from a recording plan carry the status code of the recorded response
+        if (recordingPlan.isExchangeRecording(responseData)) {
+          recordingPlan.sendExchangeRecording(res, responseData);
+          return;
+        }
+        
         // Check if this is an error response
         if (responseData.error === true && responseData.statusCode) {
           res.status(responseData.statusCode).json(responseData);
@@ -129,9 +230,50 @@ function registerRoute(app, method, routePath, operation, config) {
         message: error.message
       });
     }
+  };
+  
+  // Register the route with Express
+  app[method](routePath, ...[validateRequest, validateResponse].filter(Boolean), (req, res) => {
+    if (upstreamRule.policy === 'mock-only') {
+      return serveMock(req, res);
+    }
+    
+    upstreamPassthrough.handleRequest(req, res, upstreamRule, {
+      requestPath: upstreamPassthrough.getRequestPath(operationPath, req.params),
+      responsesDir: config.responsesDir,
+      spec: config.swagger,
+      hasMock: upstreamRule.policy === 'mock-then-proxy' && hasMockResponse(req),
+      serveMock: () => serveMock(req, res)
+    }).catch((error) => {
+      console.error(`Error handling ${req.method} ${req.path}: ${error.message}`);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Internal server error', message: error.message });
+      }
+    });
   });
 }
 
+/**
+ * Gets the collection a REST route works on
+ * Item routes end with their key parameter (e.g., /pets/:petId or /pets/{petId}).
+ * @param {string} routePath - Route path including path parameters
+ * @returns {Object} The collection ({ collectionName, idParam }), idParam being null for collection routes
+ */
+function getRouteCollection(routePath) {
+  const segments = routePath.split('/').filter(Boolean);
+  const lastSegment = segments[segments.length - 1] || '';
+  const paramMatch = lastSegment.match(/^(?::(.+)|{(.+)})$/);
+  
+  if (!paramMatch) {
+    return { collectionName: lastSegment, idParam: null };
+  }
+  
+  return {
+    collectionName: segments.length > 1 ? segments[segments.length - 2] : '',
+    idParam: paramMatch[1] || paramMatch[2]
+  };
+}
+
 /**
  * Handles CRUD operations using the in-memory data store
  * @param {string} method - HTTP method (post, put, patch, delete)
@@ -140,22 +282,51 @@ function registerRoute(app, method, routePath, operation, config) {
  * @param {string} apiName - Name of the API
  * @param {string} collectionName - Name of the collection
  * @param {Object} operation - Swagger operation object
+ * @param {Object} concurrency - Route and concurrency options
+ * @param {string} concurrency.idParam - Name of the route's key parameter (null for collection routes)
+ * @param {boolean} concurrency.requirePreconditions - Whether writes must send If-Match/If-None-Match
  * @returns {void}
  */
-function handleCrudOperation(method, req, res, apiName, collectionName, operation) {
+function handleCrudOperation(method, req, res, apiName, collectionName, operation, concurrency = {}) {
   try {
     // Extract ID from path parameters if present
-    const id = req.params.id || req.params[collectionName + 'Id'];
+    const id = (concurrency.idParam && req.params[concurrency.idParam]) || req.params.id || req.params[collectionName + 'Id'];
     
     // Options for CRUD operations
     const options = {
       timestamps: true
     };
     
+    // Conditional writes are checked against the current version of the item
+    const existing = id && method !== 'post' ? crudHandler.getById(apiName, collectionName, id) : null;
+    if (existing) {
+      const status = crudHandler.checkPreconditions(existing, getConditionalHeaders(req), {
+        method,
+        requirePreconditions: concurrency.requirePreconditions
+      });
+      
+      if (status === 428) {
+        res.status(428).json({
+          error: 'Precondition Required',
+          message: `${method.toUpperCase()} requires an If-Match header`
+        });
+        return;
+      }
+      
+      if (status === 412) {
+        res.set('ETag', crudHandler.getETag(existing)).status(412).json({
+          error: 'Precondition Failed',
+          message: `Item with ID ${id} has been modified (current ETag ${crudHandler.getETag(existing)})`
+        });
+        return;
+      }
+    }
+    
     switch (method) {
       case 'post':
         // Create new item
         const createdItem = crudHandler.handlePost(apiName, collectionName, req.body, options);
+        res.set('ETag', crudHandler.getETag(createdItem));
         res.status(201).json(createdItem);
         console.log(`POST ${req.path} => 201 Created`);
         break;
@@ -179,6 +350,7 @@ function handleCrudOperation(method, req, res, apiName, collectionName, operatio
           return;
         }
         
+        res.set('ETag', crudHandler.getETag(updatedItem));
         res.status(200).json(updatedItem);
         console.log(`PUT ${req.path} => 200 OK`);
         break;
@@ -202,6 +374,7 @@ function handleCrudOperation(method, req, res, apiName, collectionName, operatio
           return;
         }
         
+        res.set('ETag', crudHandler.getETag(patchedItem));
         res.status(200).json(patchedItem);
         console.log(`PATCH ${req.path} => 200 OK`);
         break;
@@ -238,6 +411,73 @@ function handleCrudOperation(method, req, res, apiName, collectionName, operatio
   }
 }
 
+/**
+ * Answers a REST delta query with the changes made to a collection since a change token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} apiName - Name of the API
+ * @param {string} collectionName - Name of the collection
+ * @returns {void}
+ */
+function handleChangesRequest(req, res, apiName, collectionName) {
+  try {
+    const changes = crudHandler.getChangesSince(apiName, collectionName, req.query.since);
+    
+    res.set('X-Change-Token', changes.token).json({
+      changed: changes.changed,
+      removed: changes.removed.map(item => ({ id: item.id })),
+      token: changes.token
+    });
+    console.log(`GET ${req.path}?since=${req.query.since} => 200 OK (${changes.changed.length} changed, ${changes.removed.length} removed)`);
+    
+  } catch (error) {
+    if (error.statusCode === 400) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+      return;
+    }
+    
+    // Tokens of a reset or rolled back change log can't be answered, the client has to start over
+    if (error.statusCode === 410) {
+      res.status(410).json({
+        error: 'Gone',
+        message: error.message
+      });
+      return;
+    }
+    
+    console.error(`Error handling delta query: ${error.message}`);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Checks whether an API requires conditional writes
+ * Configured in config.json as concurrency.requirePreconditions.
+ * @param {Object} config - API configuration
+ * @returns {boolean} True if writes without If-Match/If-None-Match are answered with 428
+ */
+function arePreconditionsRequired(config) {
+  return Boolean(config.concurrency && config.concurrency.requirePreconditions);
+}
+
+/**
+ * Gets the conditional headers of a request
+ * @param {Object} req - Express request object
+ * @returns {Object} The If-Match and If-None-Match headers
+ */
+function getConditionalHeaders(req) {
+  return {
+    ifMatch: req.get('if-match'),
+    ifNoneMatch: req.get('if-none-match')
+  };
+}
+
 /**
  * Registers a custom dynamic route with additional logic
  * @param {Object} app - Express application
@@ -263,16 +503,21 @@ function registerDynamicRoute(app, method, routePath, handler) {
  * @param {Object} app - Express application
  * @param {string} basePath - Base path for the OData API
  * @param {Object} config - API configuration
+ * @returns {Object} The Express router holding the OData routes
  */
 function registerODataRoutes(app, basePath, config) {
-  // Add OData headers to all responses
-  app.use(basePath, (req, res, next) => {
-    odataSpecialEndpoints.addODataHeaders(res);
+  // OData routes live on their own router so $batch can dispatch sub-requests through them
+  const router = express.Router();
+  
+  // Add OData headers to all responses (v2 services announce themselves with DataServiceVersion)
+  router.use(async (req, res, next) => {
+    const model = await odataUrlResolver.loadServiceModel(config);
+    odataSpecialEndpoints.addODataHeaders(res, odataV2Formatter.isODataV2(model.schema) ? '2.0' : '4.0');
     next();
   });
   
   // Register OData service document route
-  app.get(`${basePath}`, (req, res) => {
+  router.get('/', async (req, res) => {
     try {
       // Check if service document exists in file
       const serviceDocPath = path.join(config.responsesDir, 'service-document.json');
@@ -284,9 +529,16 @@ function registerODataRoutes(app, basePath, config) {
       }
       
       // Generate service document dynamically
+      const model = await odataUrlResolver.loadServiceModel(config);
+      if (odataV2Formatter.isODataV2(model.schema)) {
+        res.json(odataV2Formatter.formatServiceDocument(model.schema));
+        return;
+      }
+      
       const serviceDoc = odataSpecialEndpoints.generateServiceDocument(
         `${req.protocol}://${req.get('host')}${basePath}`,
-        config
+        config,
+        model.schema
       );
       res.json(serviceDoc);
       
@@ -301,10 +553,18 @@ function registerODataRoutes(app, basePath, config) {
     }
   });
   
-  // Register OData $metadata route
-  app.get(`${basePath}/$metadata`, (req, res) => {
+  // Register OData $metadata route ('$' must be escaped in Express route paths)
+  router.get('/\\$metadata', async (req, res) => {
     try {
-      // Check if metadata document exists in file
+      // Build the document from the schema model so it stays faithful however the data changes
+      // (the model generates v4 documents, so v2 services get their recorded document back)
+      const model = await odataUrlResolver.loadServiceModel(config);
+      if (model.schema && !odataV2Formatter.isODataV2(model.schema)) {
+        res.type('application/xml').send(odataSpecialEndpoints.generateMetadata(config, model.schema));
+        return;
+      }
+      
+      // Serve a recorded metadata document that couldn't be parsed (or describes a v2 service) as is
       const metadataPath = path.join(config.responsesDir, '$metadata.xml');
       if (fs.existsSync(metadataPath)) {
         // Use existing metadata document
@@ -329,9 +589,13 @@ function registerODataRoutes(app, basePath, config) {
   });
   
   // Register OData $batch route
-  app.post(`${basePath}/$batch`, (req, res) => {
+  const batchBodyParsers = [
+    express.json(),
+    express.text({ type: 'multipart/mixed', limit: '10mb' })
+  ];
+  router.post('/\\$batch', batchBodyParsers, async (req, res) => {
     try {
-      odataSpecialEndpoints.handleBatch(req, res, config);
+      await odataSpecialEndpoints.handleBatch(req, res, config, router);
     } catch (error) {
       console.error(`Error handling OData $batch request: ${error.message}`);
       res.status(500).json(
@@ -343,30 +607,43 @@ function registerODataRoutes(app, basePath, config) {
     }
   });
   
+  // Initialize the data store backing the entity sets if stateful mode is enabled
+  if (config.stateful !== false) {
+    crudHandler.initializeDataStore(config.apiName, config);
+    
+    if (config.dataDir) {
+      crudHandler.loadInitialData(config.apiName, config.dataDir);
+    }
+  }
+  
+  const jsonBodyParser = express.json();
+  
   // Register collection routes for each entity set
   const collections = odataSpecialEndpoints.getCollections(config.apiName);
   for (const collection of collections) {
     // Register collection route (e.g., /Products)
-    app.get(`${basePath}/${collection}`, (req, res) => {
+    router.get(`/${collection}`, async (req, res) => {
       try {
-        // Get query options from request
-        const queryOptions = extractODataQueryOptions(req.query);
+        const model = await odataUrlResolver.loadServiceModel(config);
         
         // Get data from the collection
         const data = crudHandler.getAll(config.apiName, collection);
         
-        // Process the query
-        const processedData = odataQueryProcessor.processQuery(data, queryOptions);
+        sendODataCollection(req, res, config, basePath, collection, data, model, true);
         
-        // Format the response
-        const response = odataResponseFormatter.formatResponse(processedData.value, {
-          context: `${req.protocol}://${req.get('host')}${basePath}/$metadata#${collection}`,
-          count: queryOptions.$count === 'true' ? processedData['@odata.count'] : undefined
-        });
+      } catch (error) {
+        // Invalid query options are client errors
+        if (error.statusCode === 400) {
+          res.status(400).json(odataResponseFormatter.formatError('BadRequest', error.message));
+          return;
+        }
         
-        res.json(response);
+        // Expired delta tokens
+        if (error.statusCode === 410) {
+          res.status(410).json(odataResponseFormatter.formatError('Gone', error.message));
+          return;
+        }
         
-      } catch (error) {
         console.error(`Error handling OData collection request: ${error.message}`);
         res.status(500).json(
           odataResponseFormatter.formatError(
@@ -378,9 +655,17 @@ function registerODataRoutes(app, basePath, config) {
     });
     
     // Register entity route (e.g., /Products(1))
-    app.get(`${basePath}/${collection}/:id`, (req, res) => {
+    router.get(`/${collection}/:id`, async (req, res, next) => {
       try {
         const id = req.params.id;
+        const model = await odataUrlResolver.loadServiceModel(config);
+        
+        // Functions bound to the collection (Products/NS.MostExpensive()) and system segments
+        // (Products/$count) are resolved with the other paths
+        if (id.startsWith('$') || odataOperations.isOperationSegment(id, model.schema)) {
+          next();
+          return;
+        }
         
         // Get query options from request
         const queryOptions = extractODataQueryOptions(req.query);
@@ -398,12 +683,17 @@ function registerODataRoutes(app, basePath, config) {
           return;
         }
         
-        // Apply $expand if requested
-        let result = entity;
-        if (queryOptions.$expand) {
-          result = odataRelationshipHandler.applyExpand(entity, queryOptions.$expand, {
-            apiName: config.apiName
-          });
+        if (sendODataPreconditionFailure(req, res, config, entity, 'GET')) {
+          return;
+        }
+        
+        // Apply $expand and $select if requested
+        const result = shapeODataEntity(entity, queryOptions, config, model, collection);
+        res.set('ETag', crudHandler.getETag(entity));
+        
+        if (odataV2Formatter.isODataV2(model.schema)) {
+          sendODataV2Entities(req, res, basePath, model, collection, result);
+          return;
         }
         
         // Format the response
@@ -414,6 +704,12 @@ function registerODataRoutes(app, basePath, config) {
         res.json(response);
         
       } catch (error) {
+        // Invalid query options are client errors
+        if (error.statusCode === 400) {
+          res.status(400).json(odataResponseFormatter.formatError('BadRequest', error.message));
+          return;
+        }
+        
         console.error(`Error handling OData entity request: ${error.message}`);
         res.status(500).json(
           odataResponseFormatter.formatError(
@@ -423,37 +719,1212 @@ function registerODataRoutes(app, basePath, config) {
         );
       }
     });
+    
+    // Register write routes (create, replace, merge and delete)
+    router.post(`/${collection}`, jsonBodyParser, (req, res) => {
+      handleODataCreate(req, res, config, basePath, collection);
+    });
+    
+    router.put(`/${collection}/:id`, jsonBodyParser, (req, res) => {
+      handleODataUpdate(req, res, config, basePath, collection, req.params.id, 'replace');
+    });
+    
+    // MERGE is the OData v2 equivalent of PATCH
+    router.patch(`/${collection}/:id`, jsonBodyParser, (req, res) => {
+      handleODataUpdate(req, res, config, basePath, collection, req.params.id, 'merge');
+    });
+    router.merge(`/${collection}/:id`, jsonBodyParser, (req, res) => {
+      handleODataUpdate(req, res, config, basePath, collection, req.params.id, 'merge');
+    });
+    
+    router.delete(`/${collection}/:id`, (req, res) => {
+      handleODataDelete(req, res, config, collection, req.params.id);
+    });
+    
+    // Clients that can't send PATCH/MERGE/DELETE tunnel them through POST with X-HTTP-Method
+    router.post(`/${collection}/:id`, jsonBodyParser, async (req, res, next) => {
+      const tunneledMethod = (req.get('x-http-method') || '').toUpperCase();
+      
+      // Actions bound to the collection (POST Orders/NS.CancelAll) are resolved with the other paths
+      const model = await odataUrlResolver.loadServiceModel(config);
+      if (!tunneledMethod && odataOperations.isOperationSegment(req.params.id, model.schema)) {
+        next();
+        return;
+      }
+      
+      if (tunneledMethod === 'PUT') {
+        handleODataUpdate(req, res, config, basePath, collection, req.params.id, 'replace');
+      } else if (tunneledMethod === 'PATCH' || tunneledMethod === 'MERGE') {
+        handleODataUpdate(req, res, config, basePath, collection, req.params.id, 'merge');
+      } else if (tunneledMethod === 'DELETE') {
+        handleODataDelete(req, res, config, collection, req.params.id);
+      } else {
+        res.status(405).json(
+          odataResponseFormatter.formatError(
+            'MethodNotAllowed',
+            `POST is not supported on a single entity of ${collection}`
+          )
+        );
+      }
+    });
   }
   
+  // Resolve OData resource paths: key syntax (Products(1), OrderLines(OrderId=1,LineNo=2)),
+  // navigation (Orders(5)/Customer), $count, properties and $value
+  router.get('*', (req, res, next) => {
+    handleODataResourcePath(req, res, next, config, basePath);
+  });
+  
+  // Writes addressed with key syntax (PATCH Products(1))
+  router.put('*', jsonBodyParser, (req, res, next) => {
+    handleODataKeyedWrite(req, res, next, config, basePath, 'PUT');
+  });
+  router.patch('*', jsonBodyParser, (req, res, next) => {
+    handleODataKeyedWrite(req, res, next, config, basePath, 'PATCH');
+  });
+  router.merge('*', jsonBodyParser, (req, res, next) => {
+    handleODataKeyedWrite(req, res, next, config, basePath, 'MERGE');
+  });
+  router.delete('*', (req, res, next) => {
+    handleODataKeyedWrite(req, res, next, config, basePath, 'DELETE');
+  });
+  router.post('*', jsonBodyParser, (req, res, next) => {
+    const tunneledMethod = req.get('x-http-method');
+    if (!tunneledMethod) {
+      // Actions and action imports (POST Orders(1)/NS.Cancel, POST ResetData)
+      handleODataAction(req, res, next, config, basePath);
+      return;
+    }
+    handleODataKeyedWrite(req, res, next, config, basePath, tunneledMethod.toUpperCase());
+  });
+  
+  app.use(basePath, router);
+  
   console.log(`Registered OData routes for ${basePath}`);
+  
+  return router;
 }
 
 /**
- * Extracts OData query options from request query parameters
- * @param {Object} query - Express request query object
- * @returns {Object} OData query options
+ * Creates the $expand callback used by processQuery, following navigation properties
+ * through the service model so nested query options and $levels work at every level
+ * Unknown navigation properties are rejected with status 400 before anything is expanded.
+ * @param {Object} config - API configuration
+ * @param {Object} model - The service model from odataUrlResolver.loadServiceModel
+ * @param {string} entitySet - The entity set of the entities being expanded
+ * @returns {Function} Callback taking (rows, expandOption) and returning the expanded rows
  */
-function extractODataQueryOptions(query) {
-  const odataOptions = {};
+function createODataExpander(config, model, entitySet) {
+  const navigate = (entity, name, set) => odataUrlResolver.resolveNavigationProperty(entity, set, name, {
+    apiName: config.apiName,
+    model
+  });
   
-  // List of OData query options
-  const ODATA_QUERY_OPTIONS = [
-    '$select', '$expand', '$filter', '$orderby', 
-    '$top', '$skip', '$count', '$search', '$format'
-  ];
+  return (rows, expandOption) => {
+    const expandItems = odataRelationshipHandler.parseExpand(expandOption);
+    odataUrlResolver.validateExpand(expandItems, entitySet, { apiName: config.apiName, model });
+    
+    return odataRelationshipHandler.applyExpand(rows, expandItems, {
+      apiName: config.apiName,
+      entitySet,
+      navigate
+    });
+  };
+}
+
+/**
+ * Applies $expand and $select to a single entity, types it with the schema model
+ * and annotates its @odata.etag
+ * @param {Object} entity - The entity
+ * @param {Object} queryOptions - The OData query options
+ * @param {Object} config - API configuration
+ * @param {Object} model - The service model from odataUrlResolver.loadServiceModel
+ * @param {string} entitySet - The entity set the entity belongs to
+ * @returns {Object} The entity with expanded and selected properties
+ */
+function shapeODataEntity(entity, queryOptions, config, model, entitySet) {
+  let result = entity;
   
-  // Extract OData query options
-  for (const option of ODATA_QUERY_OPTIONS) {
-    if (query[option] !== undefined) {
-      odataOptions[option] = query[option];
-    }
+  if (queryOptions.$expand || queryOptions.$select) {
+    result = odataQueryProcessor.processQuery([entity], {
+      $expand: queryOptions.$expand,
+      $select: queryOptions.$select
+    }, {
+      expand: createODataExpander(config, model, entitySet)
+    }).value[0];
   }
   
-  return odataOptions;
+  return odataSchemaModel.applyEntityTypes(
+    { '@odata.etag': crudHandler.getETag(entity), ...result },
+    model.schema,
+    entitySet
+  );
+}
+
+/**
+ * Annotates stored entities with their @odata.etag
+ * Done before $select runs, so the annotation survives $select of any properties.
+ * @param {Array} data - The stored entities
+ * @returns {Array} Annotated copies of the entities
+ */
+function annotateODataETags(data) {
+  return data.map(item => (item && typeof item === 'object'
+    ? { '@odata.etag': crudHandler.getETag(item), ...item }
+    : item));
+}
+
+/**
+ * Answers a request whose conditional headers don't hold for an entity
+ * Reads get 304 when If-None-Match matches; writes get 412 when If-Match doesn't match
+ * and 428 when the API requires preconditions and none were sent.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - API configuration
+ * @param {Object} entity - The stored entity
+ * @param {string} method - The (possibly tunneled) HTTP method
+ * @returns {boolean} True if a response was sent
+ */
+function sendODataPreconditionFailure(req, res, config, entity, method) {
+  const status = crudHandler.checkPreconditions(entity, getConditionalHeaders(req), {
+    method,
+    requirePreconditions: arePreconditionsRequired(config)
+  });
+  
+  if (status === null) {
+    return false;
+  }
+  
+  if (status === 304) {
+    res.set('ETag', crudHandler.getETag(entity)).status(304).end();
+  } else if (status === 428) {
+    res.status(428).json(
+      odataResponseFormatter.formatError('PreconditionRequired', `${method} requires an If-Match header`)
+    );
+  } else {
+    res.set('ETag', crudHandler.getETag(entity)).status(412).json(
+      odataResponseFormatter.formatError(
+        'PreconditionFailed',
+        `The entity has been modified (current ETag ${crudHandler.getETag(entity)})`
+      )
+    );
+  }
+  
+  return true;
+}
+
+/**
+ * Sends a collection response after applying query options and server-driven paging
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - API configuration
+ * @param {string} basePath - Base path for the OData API
+ * @param {string} entitySet - The entity set the collection belongs to
+ * @param {Array} data - The entities of the collection
+ * @param {Object} model - The service model from odataUrlResolver.loadServiceModel
+ * @param {boolean} trackable - Whether the collection is an entity set whose changes can be tracked
+ */
+function sendODataCollection(req, res, config, basePath, entitySet, data, model, trackable = false) {
+  const queryOptions = extractODataQueryOptions(req.query);
+  const isV2 = odataV2Formatter.isODataV2(model.schema);
+  
+  // Change tracking is an OData v4 feature
+  const canTrackChanges = trackable && !isV2 && !queryOptions.$apply;
+  if (canTrackChanges && queryOptions.$deltatoken !== undefined) {
+    sendODataDelta(req, res, config, basePath, entitySet, model, queryOptions);
+    return;
+  }
+  
+  // Pages of entities are sorted by their key after $orderby, so a skip token can continue
+  // after the last entity of a page ($apply results are aggregates without a key)
+  const { pageSize, preferenceApplied } = getODataPageSize(req, config);
+  const keyProperties = queryOptions.$apply
+    ? []
+    : odataUrlResolver.getKeyProperties(odataUrlResolver.getEntityTypeName(entitySet, model.schema), model.schema);
+  const orderBy = keyProperties.length > 0 && (pageSize || queryOptions.$skiptoken)
+    ? [queryOptions.$orderby, ...keyProperties].filter(Boolean).join(',')
+    : queryOptions.$orderby;
+  
+  // Process the query; $expand and $select only shape the page that is sent
+  const processedData = odataQueryProcessor.processQuery(data, {
+    ...queryOptions,
+    $orderby: orderBy,
+    $expand: undefined,
+    $select: undefined
+  }, {
+    searchFields: getODataSearchFields(config, entitySet)
+  });
+  
+  // Split the result into pages linked by @odata.nextLink
+  const page = odataResponseFormatter.applyServerPaging(processedData.value, {
+    pageSize,
+    skipToken: queryOptions.$skiptoken,
+    requestUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+    orderBy,
+    keyProperties
+  });
+  const shapedPage = odataQueryProcessor.processQuery(queryOptions.$apply ? page.value : annotateODataETags(page.value), {
+    $expand: queryOptions.$expand,
+    $select: queryOptions.$select
+  }, {
+    expand: createODataExpander(config, model, entitySet)
+  }).value;
+  
+  const preferences = parsePreferHeader(req.get('prefer'));
+  const trackChanges = canTrackChanges && Boolean(preferences['odata.track-changes'] || preferences['track-changes']);
+  const appliedPreferences = [];
+  
+  if (preferenceApplied) {
+    appliedPreferences.push(`odata.maxpagesize=${pageSize}`);
+  }
+  if (trackChanges) {
+    appliedPreferences.push('odata.track-changes');
+  }
+  if (appliedPreferences.length > 0) {
+    res.set('Preference-Applied', appliedPreferences.join(', '));
+  }
+  
+  // Type the entities with the schema model ($apply results are aggregates, not entities)
+  const value = queryOptions.$apply
+    ? shapedPage
+    : odataSchemaModel.applyEntityTypes(shapedPage, model.schema, entitySet);
+  
+  const count = queryOptions.$count === 'true' ? processedData['@odata.count'] : undefined;
+  
+  if (isV2 && !queryOptions.$apply) {
+    sendODataV2Entities(req, res, basePath, model, entitySet, value, { count, nextLink: page.nextLink });
+    return;
+  }
+  
+  // The last page links to the changes made from now on
+  const deltaLink = trackChanges && !page.nextLink
+    ? odataResponseFormatter.buildDeltaLink(
+      `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      crudHandler.getChangeToken(config.apiName)
+    )
+    : undefined;
+  
+  // Format the response
+  const response = odataResponseFormatter.formatResponse(value, {
+    context: `${req.protocol}://${req.get('host')}${basePath}/$metadata#${entitySet}`,
+    count,
+    nextLink: page.nextLink,
+    deltaLink
+  });
+  
+  res.json(response);
+}
+
+/**
+ * Sends the changes made to an entity set since a $deltatoken
+ * Added and changed entities are refined by the defining query's $filter, $search, $expand
+ * and $select; removed entities are reported as @removed tombstones.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - API configuration
+ * @param {string} basePath - Base path for the OData API
+ * @param {string} entitySet - The entity set
+ * @param {Object} model - The service model from odataUrlResolver.loadServiceModel
+ * @param {Object} queryOptions - The OData query options
+ */
+function sendODataDelta(req, res, config, basePath, entitySet, model, queryOptions) {
+  const changes = crudHandler.getChangesSince(config.apiName, entitySet, queryOptions.$deltatoken);
+  const serviceRoot = `${req.protocol}://${req.get('host')}${basePath}`;
+  
+  const processed = odataQueryProcessor.processQuery(annotateODataETags(changes.changed), {
+    $filter: queryOptions.$filter,
+    $search: queryOptions.$search,
+    $expand: queryOptions.$expand,
+    $select: queryOptions.$select
+  }, {
+    searchFields: getODataSearchFields(config, entitySet),
+    expand: createODataExpander(config, model, entitySet)
+  });
+  const entities = odataSchemaModel.applyEntityTypes(processed.value, model.schema, entitySet);
+  
+  const keyProperties = odataUrlResolver.getKeyProperties(
+    odataUrlResolver.getEntityTypeName(entitySet, model.schema),
+    model.schema
+  );
+  const tombstones = changes.removed.map(item => ({
+    '@odata.id': `${serviceRoot}/${entitySet}(${odataUrlResolver.formatKeyPredicate(item, keyProperties)})`,
+    '@removed': { reason: 'deleted' }
+  }));
+  
+  res.json(odataResponseFormatter.formatResponse([...entities, ...tombstones], {
+    context: `${serviceRoot}/$metadata#${entitySet}/$delta`,
+    deltaLink: odataResponseFormatter.buildDeltaLink(
+      `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      changes.token
+    )
+  }));
+}
+
+/**
+ * Sends entities of an OData v2 service as JSON verbose or, when the client asks for it, Atom XML
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} basePath - Base path for the OData API
+ * @param {Object} model - The service model from odataUrlResolver.loadServiceModel
+ * @param {string} entitySet - The entity set the entities belong to
+ * @param {Array|Object} data - The entities of a feed, or a single entity
+ * @param {Object} options - Feed options (count and nextLink)
+ */
+function sendODataV2Entities(req, res, basePath, model, entitySet, data, options = {}) {
+  const select = req.query.$select
+    ? String(req.query.$select).split(',').map(item => item.trim().split('/')[0])
+    : null;
+  const context = {
+    schema: model.schema,
+    entitySet,
+    serviceRoot: `${req.protocol}://${req.get('host')}${basePath}`,
+    select: select && !select.includes('*') ? select : null
+  };
+  
+  if (odataV2Formatter.isAtomRequested(req)) {
+    res.type(`application/atom+xml;type=${Array.isArray(data) ? 'feed' : 'entry'}`).send(
+      Array.isArray(data)
+        ? odataV2Formatter.renderAtomFeed(data, context, options)
+        : odataV2Formatter.renderAtomEntryDocument(data, context)
+    );
+    return;
+  }
+  
+  res.json(Array.isArray(data)
+    ? odataV2Formatter.formatFeed(data, context, options)
+    : odataV2Formatter.formatEntry(data, context));
+}
+
+/**
+ * Gets the properties searched by $search for an entity set
+ * Configured in config.json as odata.searchFields, either a list for all entity sets
+ * or an object keyed by entity set name ('*' for the default).
+ * @param {Object} config - API configuration
+ * @param {string} entitySet - The entity set name
+ * @returns {Array<string>|null} The searchable properties, or null for all string properties
+ */
+function getODataSearchFields(config, entitySet) {
+  const searchFields = config.odata && config.odata.searchFields;
+  
+  if (!searchFields) {
+    return null;
+  }
+  
+  if (Array.isArray(searchFields)) {
+    return searchFields;
+  }
+  
+  return searchFields[entitySet] || searchFields['*'] || null;
+}
+
+/**
+ * Determines the page size for a collection request
+ * The client's Prefer: odata.maxpagesize is honored unless the API's configured
+ * odata.maxPageSize is smaller.
+ * @param {Object} req - Express request object
+ * @param {Object} config - API configuration
+ * @returns {Object} The page size (null for no paging) and whether the client preference was applied
+ */
+function getODataPageSize(req, config) {
+  const configured = config.odata && parseInt(config.odata.maxPageSize, 10) > 0
+    ? parseInt(config.odata.maxPageSize, 10)
+    : null;
+  
+  const preferences = parsePreferHeader(req.get('prefer'));
+  const requested = parseInt(preferences['odata.maxpagesize'] || preferences.maxpagesize, 10);
+  
+  if (requested > 0 && (!configured || requested <= configured)) {
+    return { pageSize: requested, preferenceApplied: true };
+  }
+  
+  return { pageSize: configured, preferenceApplied: false };
+}
+
+/**
+ * Serves a GET request for an OData resource path resolved by the URL resolver
+ * Paths that don't start with a known entity set are passed on to the next route.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {Object} config - API configuration
+ * @param {string} basePath - Base path for the OData API
+ */
+async function handleODataResourcePath(req, res, next, config, basePath) {
+  try {
+    const model = await odataUrlResolver.loadServiceModel(config);
+    
+    // Function imports and bound functions (GetTopProducts(count=5), Products(1)/NS.GetPrice())
+    const call = odataOperations.resolveOperationCall(req.path, { apiName: config.apiName, model });
+    if (call) {
+      await handleODataOperation(req, res, config, basePath, call, model);
+      return;
+    }
+    
+    const resource = odataUrlResolver.resolveResourcePath(req.path, { apiName: config.apiName, model });
+    
+    if (!resource) {
+      next();
+      return;
+    }
+    
+    const queryOptions = extractODataQueryOptions(req.query);
+    const metadataUrl = `${req.protocol}://${req.get('host')}${basePath}/$metadata`;
+    
+    switch (resource.kind) {
+      case 'collection':
+        // Only entity sets addressed directly (not navigation results) support change tracking
+        sendODataCollection(
+          req, res, config, basePath, resource.entitySet, resource.value, model,
+          odataUrlResolver.splitResourcePath(req.path).length === 1
+        );
+        break;
+      
+      case 'count': {
+        // Only $filter and $search affect the count of a collection
+        const filtered = odataQueryProcessor.processQuery(
+          resource.value,
+          { $filter: queryOptions.$filter, $search: queryOptions.$search },
+          { searchFields: getODataSearchFields(config, resource.entitySet) }
+        );
+        res.type('text/plain').send(String(filtered.value.length));
+        break;
+      }
+      
+      case 'entity': {
+        // A single-valued navigation property without a related entity
+        if (!resource.value) {
+          res.status(204).end();
+          break;
+        }
+        
+        if (sendODataPreconditionFailure(req, res, config, resource.value, 'GET')) {
+          break;
+        }
+        
+        const result = shapeODataEntity(resource.value, queryOptions, config, model, resource.entitySet);
+        res.set('ETag', crudHandler.getETag(resource.value));
+        
+        if (odataV2Formatter.isODataV2(model.schema)) {
+          sendODataV2Entities(req, res, basePath, model, resource.entitySet, result);
+          break;
+        }
+        
+        res.json(odataResponseFormatter.formatResponse(result, {
+          context: `${metadataUrl}#${resource.entitySet}/$entity`
+        }));
+        break;
+      }
+      
+      case 'property': {
+        if (resource.value === null) {
+          res.status(204).end();
+          break;
+        }
+        
+        if (odataV2Formatter.isODataV2(model.schema)) {
+          res.json(odataV2Formatter.formatProperty(resource.property, resource.value, {
+            schema: model.schema,
+            entitySet: resource.entitySet
+          }));
+          break;
+        }
+        
+        res.json({
+          '@odata.context': `${metadataUrl}#${decodeURIComponent(req.path.slice(1))}`,
+          value: resource.value
+        });
+        break;
+      }
+      
+      case 'value': {
+        if (resource.value === null) {
+          res.status(204).end();
+          break;
+        }
+        
+        if (typeof resource.value === 'object') {
+          res.status(400).json(
+            odataResponseFormatter.formatError('BadRequest', '$value is only supported for primitive properties')
+          );
+          break;
+        }
+        
+        res.type('text/plain').send(String(resource.value));
+        break;
+      }
+      
+      default:
+        next();
+    }
+    
+  } catch (error) {
+    sendODataResolverError(res, error);
+  }
+}
+
+/**
+ * Handles a write addressed with OData key syntax (e.g. PATCH Products(1))
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {Object} config - API configuration
+ * @param {string} basePath - Base path for the OData API
+ * @param {string} method - The (possibly tunneled) HTTP method
+ */
+async function handleODataKeyedWrite(req, res, next, config, basePath, method) {
+  try {
+    const model = await odataUrlResolver.loadServiceModel(config);
+    const resource = odataUrlResolver.resolveResourcePath(req.path, { apiName: config.apiName, model });
+    
+    if (!resource) {
+      next();
+      return;
+    }
+    
+    if (resource.kind !== 'entity' || !resource.value) {
+      res.status(405).json(
+        odataResponseFormatter.formatError('MethodNotAllowed', `${method} is only supported on a single entity`)
+      );
+      return;
+    }
+    
+    // The resolver found the entity by its key properties, which need not include an id
+    const entity = resource.value;
+    
+    if (method === 'PUT') {
+      handleODataUpdate(req, res, config, basePath, resource.entitySet, entity, 'replace');
+    } else if (method === 'PATCH' || method === 'MERGE') {
+      handleODataUpdate(req, res, config, basePath, resource.entitySet, entity, 'merge');
+    } else if (method === 'DELETE') {
+      handleODataDelete(req, res, config, resource.entitySet, entity);
+    } else {
+      res.status(405).json(
+        odataResponseFormatter.formatError('MethodNotAllowed', `${method} is not supported on a single entity`)
+      );
+    }
+    
+  } catch (error) {
+    sendODataResolverError(res, error);
+  }
+}
+
+/**
+ * Handles a POST that may call an action or action import
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {Object} config - API configuration
+ * @param {string} basePath - Base path for the OData API
+ */
+async function handleODataAction(req, res, next, config, basePath) {
+  try {
+    const model = await odataUrlResolver.loadServiceModel(config);
+    const call = odataOperations.resolveOperationCall(req.path, { apiName: config.apiName, model });
+    
+    if (!call) {
+      next();
+      return;
+    }
+    
+    await handleODataOperation(req, res, config, basePath, call, model);
+    
+  } catch (error) {
+    sendODataResolverError(res, error);
+  }
+}
+
+/**
+ * Calls a function or action and sends its result
+ * Functions are called with GET and actions with POST. Collection results can be refined
+ * with query options, and entity results are typed with the schema model.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - API configuration
+ * @param {string} basePath - Base path for the OData API
+ * @param {Object} call - The call resolved by odataOperations.resolveOperationCall
+ * @param {Object} model - The service model from odataUrlResolver.loadServiceModel
+ */
+async function handleODataOperation(req, res, config, basePath, call, model) {
+  const expectedMethod = call.kind === 'function' ? 'GET' : 'POST';
+  if (req.method !== expectedMethod) {
+    res.status(405).json(
+      odataResponseFormatter.formatError(
+        'MethodNotAllowed',
+        `The ${call.kind} ${call.name} must be called with ${expectedMethod}`
+      )
+    );
+    return;
+  }
+  
+  const parameters = odataOperations.getParameterValues(call, req);
+  odataOperations.validateParameterValues(call, parameters, model.schema);
+  
+  const { result, recorded } = await odataOperations.invokeOperation(call, parameters, config, req);
+  if (recorded !== undefined) {
+    res.json(recorded);
+    return;
+  }
+  
+  const returnType = call.operation.returnType;
+  const isCollection = Boolean(returnType) && /^Collection\(/.test(returnType.type);
+  
+  if (!returnType || ((result === null || result === undefined) && !isCollection)) {
+    res.status(204).end();
+    return;
+  }
+  
+  const metadataUrl = `${req.protocol}://${req.get('host')}${basePath}/$metadata`;
+  
+  if (isCollection) {
+    const queryOptions = extractODataQueryOptions(req.query);
+    const processed = odataQueryProcessor.processQuery(Array.isArray(result) ? result : [], queryOptions);
+    
+    res.json(odataResponseFormatter.formatResponse(
+      call.entitySet ? odataSchemaModel.applyEntityTypes(processed.value, model.schema, call.entitySet) : processed.value,
+      {
+        context: `${metadataUrl}#${call.entitySet || returnType.type}`,
+        count: queryOptions.$count === 'true' ? processed['@odata.count'] : undefined
+      }
+    ));
+    return;
+  }
+  
+  if (typeof result === 'object') {
+    res.json(odataResponseFormatter.formatResponse(
+      call.entitySet ? odataSchemaModel.applyEntityTypes(result, model.schema, call.entitySet) : result,
+      { context: call.entitySet ? `${metadataUrl}#${call.entitySet}/$entity` : `${metadataUrl}#${returnType.type}` }
+    ));
+    return;
+  }
+  
+  res.json({
+    '@odata.context': `${metadataUrl}#${returnType.type}`,
+    value: result
+  });
+}
+
+/**
+ * Sends an OData error response for a resource path that couldn't be resolved
+ * @param {Object} res - Express response object
+ * @param {Error} error - The error
+ */
+function sendODataResolverError(res, error) {
+  if (error.statusCode === 400) {
+    res.status(400).json(odataResponseFormatter.formatError('BadRequest', error.message));
+    return;
+  }
+  
+  if (error.statusCode === 404) {
+    res.status(404).json(odataResponseFormatter.formatError('NotFound', error.message));
+    return;
+  }
+  
+  if (error.statusCode === 410) {
+    res.status(410).json(odataResponseFormatter.formatError('Gone', error.message));
+    return;
+  }
+  
+  if (error.statusCode === 501) {
+    res.status(501).json(odataResponseFormatter.formatError('NotImplemented', error.message));
+    return;
+  }
+  
+  console.error(`Error handling OData resource path: ${error.message}`);
+  res.status(500).json(
+    odataResponseFormatter.formatError(
+      'InternalServerError',
+      `Error handling OData resource path: ${error.message}`
+    )
+  );
+}
+
+/**
+ * Handles OData entity creation (POST to an entity set)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - API configuration
+ * @param {string} basePath - Base path for the OData API
+ * @param {string} collection - The entity set name
+ */
+async function handleODataCreate(req, res, config, basePath, collection) {
+  try {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      res.status(400).json(
+        odataResponseFormatter.formatError('BadRequest', 'Request body must be a JSON entity')
+      );
+      return;
+    }
+    
+    const model = await odataUrlResolver.loadServiceModel(config);
+    const isV2 = odataV2Formatter.isODataV2(model.schema);
+    const payload = isV2 ? odataV2Formatter.parseJsonPayload(req.body) : req.body;
+    const entityTypeName = odataUrlResolver.getEntityTypeName(collection, model.schema);
+    const keyProperties = odataUrlResolver.getKeyProperties(entityTypeName, model.schema);
+    assignODataKey(config.apiName, collection, model.schema, entityTypeName, keyProperties, payload);
+    odataSchemaModel.validateEntity(payload, model.schema, collection);
+    
+    if (findEntityByKey(config.apiName, collection, keyProperties, payload)) {
+      const keyText = keyProperties.map(name => `${name}=${payload[name]}`).join(',');
+      res.status(409).json(
+        odataResponseFormatter.formatError(
+          'EntityAlreadyExists',
+          `Entity with key ${keyText} already exists in collection ${collection}`
+        )
+      );
+      return;
+    }
+    
+    const { entity, links } = odataRelationshipHandler.resolveBindings(payload, { apiName: config.apiName });
+    // Entities keyed by other properties than id don't get one the schema doesn't declare
+    const created = crudHandler.handlePost(config.apiName, collection, entity, { generateId: keyProperties.includes('id') });
+    
+    if (links.length > 0) {
+      odataRelationshipHandler.applyCollectionBindings(config.apiName, links, created, entityTypeName);
+    }
+    
+    const serviceRoot = `${req.protocol}://${req.get('host')}${basePath}`;
+    // The canonical URL addresses the entity by its key predicate, e.g. Products(4) or Products('a')
+    const entityUrl = `${serviceRoot}/${collection}(${encodeURI(odataUrlResolver.formatKeyPredicate(created, keyProperties))})`;
+    const preferences = parsePreferHeader(req.get('prefer'));
+    
+    res.location(entityUrl);
+    res.set('ETag', crudHandler.getETag(created));
+    
+    if (preferences.return === 'minimal') {
+      res.set('Preference-Applied', 'return=minimal')
+        .set('OData-EntityId', entityUrl)
+        .status(204)
+        .end();
+      console.log(`POST ${req.originalUrl} => 204 No Content`);
+      return;
+    }
+    
+    if (preferences.return === 'representation') {
+      res.set('Preference-Applied', 'return=representation');
+    }
+    
+    if (isV2) {
+      res.status(201);
+      sendODataV2Entities(req, res, basePath, model, collection, shapeODataEntity(created, {}, config, model, collection));
+      console.log(`POST ${req.originalUrl} => 201 Created`);
+      return;
+    }
+    
+    res.status(201).json(
+      odataResponseFormatter.formatResponse(shapeODataEntity(created, {}, config, model, collection), {
+        context: `${serviceRoot}/$metadata#${collection}/$entity`
+      })
+    );
+    console.log(`POST ${req.originalUrl} => 201 Created`);
+    
+  } catch (error) {
+    sendODataWriteError(res, error, 'create');
+  }
+}
+
+/**
+ * Generates the key of a created entity that was sent without one
+ * Integer keys continue after the largest key in the collection; string and GUID keys get a
+ * random UUID. Keys of other or undeclared types are left to the data store.
+ * @param {string} apiName - The API name
+ * @param {string} collection - The entity set name
+ * @param {Object} schema - The parsed EDMX schema (or null)
+ * @param {string} entityTypeName - The entity type name
+ * @param {Array<string>} keyProperties - The key property names
+ * @param {Object} payload - The entity payload, which gets the generated key
+ */
+function assignODataKey(apiName, collection, schema, entityTypeName, keyProperties, payload) {
+  const entityType = schema && odataSchemaModel.findStructuredType(schema, entityTypeName);
+  if (!entityType || keyProperties.length !== 1 || ![undefined, null].includes(payload[keyProperties[0]])) {
+    return;
+  }
+  
+  const keyName = keyProperties[0];
+  const keyProperty = odataSchemaModel.getProperties(schema, entityType).find(property => property.name === keyName);
+  const keyType = keyProperty && keyProperty.type;
+  
+  if (['Edm.Byte', 'Edm.SByte', 'Edm.Int16', 'Edm.Int32', 'Edm.Int64'].includes(keyType)) {
+    const largestKey = crudHandler.getAll(apiName, collection)
+      .map(item => Number(item[keyName]))
+      .filter(Number.isInteger)
+      .reduce((largest, key) => Math.max(largest, key), 0);
+    payload[keyName] = largestKey + 1;
+  } else if (['Edm.String', 'Edm.Guid'].includes(keyType)) {
+    payload[keyName] = crypto.randomUUID();
+  }
+}
+
+/**
+ * Finds an entity in a collection with the same key values as a payload
+ * @param {string} apiName - The API name
+ * @param {string} collection - The entity set name
+ * @param {Array<string>} keyProperties - The key property names
+ * @param {Object} payload - The entity payload
+ * @returns {Object|undefined} The existing entity, or undefined when the payload has no (complete) key
+ */
+function findEntityByKey(apiName, collection, keyProperties, payload) {
+  if (!keyProperties.every(name => payload[name] !== undefined && payload[name] !== null)) {
+    return undefined;
+  }
+  
+  return crudHandler.getAll(apiName, collection).find(item =>
+    keyProperties.every(name => String(item[name]) === String(payload[name]))
+  );
+}
+
+/**
+ * Handles OData entity updates (PUT replaces, PATCH/MERGE merges)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - API configuration
+ * @param {string} basePath - Base path for the OData API
+ * @param {string} collection - The entity set name
+ * @param {string|Object} id - The entity key, or the stored entity found by its key predicate
+ * @param {string} mode - 'replace' or 'merge'
+ */
+async function handleODataUpdate(req, res, config, basePath, collection, id, mode) {
+  try {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      res.status(400).json(
+        odataResponseFormatter.formatError('BadRequest', 'Request body must be a JSON entity')
+      );
+      return;
+    }
+    
+    const model = await odataUrlResolver.loadServiceModel(config);
+    
+    const existing = crudHandler.getById(config.apiName, collection, id);
+    if (!existing) {
+      res.status(404).json(
+        odataResponseFormatter.formatError(
+          'EntityNotFound',
+          `Entity with ID ${id} not found in collection ${collection}`
+        )
+      );
+      return;
+    }
+    
+    if (sendODataPreconditionFailure(req, res, config, existing, mode === 'replace' ? 'PUT' : 'PATCH')) {
+      return;
+    }
+    
+    const payload = odataV2Formatter.isODataV2(model.schema) ? odataV2Formatter.parseJsonPayload(req.body) : req.body;
+    odataSchemaModel.validateEntity(payload, model.schema, collection, { partial: mode === 'merge' });
+    
+    const { entity, links } = odataRelationshipHandler.resolveBindings(payload, { apiName: config.apiName });
+    
+    // Key properties identify the entity and are kept as they are
+    const entityTypeName = odataUrlResolver.getEntityTypeName(collection, model.schema);
+    for (const name of odataUrlResolver.getKeyProperties(entityTypeName, model.schema)) {
+      if (existing[name] !== undefined) {
+        entity[name] = existing[name];
+      }
+    }
+    
+    const updated = mode === 'replace'
+      ? crudHandler.handlePut(config.apiName, collection, id, entity)
+      : crudHandler.handlePatch(config.apiName, collection, id, entity);
+    
+    if (links.length > 0) {
+      odataRelationshipHandler.applyCollectionBindings(config.apiName, links, updated, entityTypeName);
+    }
+    
+    // OData services answer updates with 204 unless the client asks for the entity
+    const preferences = parsePreferHeader(req.get('prefer'));
+    res.set('ETag', crudHandler.getETag(updated));
+    if (preferences.return === 'representation') {
+      res.set('Preference-Applied', 'return=representation').status(200);
+      const result = shapeODataEntity(updated, {}, config, model, collection);
+      if (odataV2Formatter.isODataV2(model.schema)) {
+        sendODataV2Entities(req, res, basePath, model, collection, result);
+      } else {
+        res.json(result);
+      }
+    } else {
+      if (preferences.return === 'minimal') {
+        res.set('Preference-Applied', 'return=minimal');
+      }
+      res.status(204).end();
+    }
+    
+    console.log(`${req.method} ${req.originalUrl} => ${res.statusCode}`);
+    
+  } catch (error) {
+    sendODataWriteError(res, error, 'update');
+  }
+}
+
+/**
+ * Handles OData entity deletion
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} config - API configuration
+ * @param {string} collection - The entity set name
+ * @param {string|Object} id - The entity key, or the stored entity found by its key predicate
+ */
+function handleODataDelete(req, res, config, collection, id) {
+  try {
+    const existing = crudHandler.getById(config.apiName, collection, id);
+    if (existing && sendODataPreconditionFailure(req, res, config, existing, 'DELETE')) {
+      return;
+    }
+    
+    const deleted = crudHandler.handleDelete(config.apiName, collection, id);
+    
+    if (!deleted) {
+      res.status(404).json(
+        odataResponseFormatter.formatError(
+          'EntityNotFound',
+          `Entity with ID ${id} not found in collection ${collection}`
+        )
+      );
+      return;
+    }
+    
+    res.status(204).end();
+    console.log(`DELETE ${req.originalUrl} => 204 No Content`);
+    
+  } catch (error) {
+    sendODataWriteError(res, error, 'delete');
+  }
+}
+
+/**
+ * Sends an OData error response for a failed write operation
+ * @param {Object} res - Express response object
+ * @param {Error} error - The error
+ * @param {string} operation - The operation that failed (create, update, delete)
+ */
+function sendODataWriteError(res, error, operation) {
+  if (error.statusCode === 400) {
+    res.status(400).json(odataResponseFormatter.formatError('BadRequest', error.message));
+    return;
+  }
+  
+  console.error(`Error handling OData ${operation} request: ${error.message}`);
+  res.status(500).json(
+    odataResponseFormatter.formatError(
+      'InternalServerError',
+      `Error handling OData ${operation} request: ${error.message}`
+    )
+  );
+}
+
+/**
+ * Parses a Prefer header into a map of preferences
+ * @param {string} header - The Prefer header value
+ * @returns {Object} Preference names mapped to their values (true for flags)
+ */
+function parsePreferHeader(header) {
+  const preferences = {};
+  
+  if (!header) {
+    return preferences;
+  }
+  
+  for (const part of header.split(',')) {
+    const [name, value] = part.split(';')[0].split('=').map(token => token.trim());
+    if (name) {
+      preferences[name.toLowerCase()] = value === undefined ? true : value.replace(/^"|"$/g, '');
+    }
+  }
+  
+  return preferences;
+}
+
+/**
+ * Extracts OData query options from request query parameters
+ * @param {Object} query - Express request query object
+ * @returns {Object} OData query options
+ */
+function extractODataQueryOptions(query) {
+  const odataOptions = {};
+  
+  // List of OData query options
+  const ODATA_QUERY_OPTIONS = [
+    '$select', '$expand', '$filter', '$orderby', 
+    '$top', '$skip', '$count', '$search', '$format', '$skiptoken', '$apply', '$inlinecount', '$deltatoken'
+  ];
+  
+  // Extract OData query options
+  for (const option of ODATA_QUERY_OPTIONS) {
+    if (query[option] !== undefined) {
+      odataOptions[option] = query[option];
+    }
+  }
+  
+  // $inlinecount is the OData v2 spelling of $count
+  if (odataOptions.$inlinecount !== undefined) {
+    if (!['allpages', 'none'].includes(odataOptions.$inlinecount)) {
+      const error = new Error(`Invalid $inlinecount value: ${odataOptions.$inlinecount} (expected allpages or none)`);
+      error.statusCode = 400;
+      throw error;
+    }
+    if (odataOptions.$inlinecount === 'allpages') {
+      odataOptions.$count = 'true';
+    }
+  }
+  
+  return odataOptions;
+}
+
+/**
+ * Registers the GraphQL endpoint of an API recorded with an introspection schema
+ * The endpoint (graphql.path in the API's config.json, /graphql by default) accepts queries
+ * and mutations via POST and queries via GET, and serves GraphiQL to browsers.
+ * @param {Object} app - Express application or router
+ * @param {string} basePath - Base path of the API
+ * @param {Object} config - API configuration
+ */
+function registerGraphQLRoutes(app, basePath, config) {
+  const schema = graphqlMockResolver.loadSchema(config.responsesDir);
+  if (!schema) {
+    console.warn(`No introspection.json found for GraphQL API: ${config.name || config.apiName}`);
+    return;
+  }
+  
+  // Mutations write to the API's data store
+  crudHandler.initializeDataStore(config.apiName || config.name, config);
+  if (config.dataDir) {
+    crudHandler.loadInitialData(config.apiName || config.name, config.dataDir);
+  }
+  
+  const resolver = graphqlMockResolver.createResolver(config, schema);
+  const subscriptionServer = graphqlSubscriptions.createSubscriptionServer({ schema, resolver, config });
+  const endpoint = `${basePath === '/' ? '' : basePath}${(config.graphql && config.graphql.path) || '/graphql'}`;
+  
+  app.get(endpoint, (req, res) => {
+    // WebSocket upgrades (see websocketServer.routeUpgrades) serve subscriptions
+    if (req.upgrade) {
+      subscriptionServer.handleUpgrade(req);
+      return;
+    }
+    
+    // Browsers opening the endpoint get GraphiQL
+    if (req.query.query === undefined && req.accepts(['json', 'html']) === 'html') {
+      res.type('html').send(renderGraphiQL(endpoint, config.name || config.apiName));
+      return;
+    }
+    
+    let variables;
+    try {
+      variables = req.query.variables ? JSON.parse(req.query.variables) : {};
+    } catch (error) {
+      res.status(400).json({ errors: [{ message: 'Variables are invalid JSON.' }] });
+      return;
+    }
+    
+    handleGraphQLRequest(req, res, schema, resolver, {
+      query: req.query.query,
+      variables,
+      operationName: req.query.operationName
+    });
+  });
+  
+  const bodyParsers = [
+    express.json({ limit: '10mb' }),
+    express.text({ type: 'application/graphql' })
+  ];
+  app.post(endpoint, bodyParsers, (req, res) => {
+    const params = typeof req.body === 'string' ? { query: req.body } : req.body || {};
+    handleGraphQLRequest(req, res, schema, resolver, params);
+  });
+  
+  console.log(`Registered GraphQL endpoint: ${endpoint}`);
+}
+
+/**
+ * Executes a GraphQL request against the mock schema
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} schema - The introspection schema
+ * @param {Object} resolver - The resolver from graphqlMockResolver.createResolver
+ * @param {Object} params - The request parameters ({ query, variables, operationName })
+ */
+async function handleGraphQLRequest(req, res, schema, resolver, params) {
+  try {
+    if (typeof params.query !== 'string') {
+      res.status(400).json({ errors: [{ message: 'Must provide query string.' }] });
+      return;
+    }
+    
+    const document = graphqlDocumentParser.parse(params.query);
+    const operation = graphqlExecutor.getOperation(document, params.operationName);
+    
+    if (req.method === 'GET' && operation.operation !== 'query') {
+      res.status(405).set('Allow', 'POST').json({
+        errors: [{ message: `Can only perform a ${operation.operation} operation from a POST request.` }]
+      });
+      return;
+    }
+    
+    if (operation.operation === 'subscription') {
+      res.status(400).json({ errors: [{ message: 'Subscriptions are only supported over WebSocket (graphql-transport-ws or graphql-ws).' }] });
+      return;
+    }
+    
+    const recordedResponse = resolver.findRecordedResponse(params);
+    if (recordedResponse) {
+      res.json(recordedResponse);
+      console.log(`${req.method} ${req.path} ${operation.operation} ${operation.name || ''} => replayed recording`);
+      return;
+    }
+    
+    const result = await graphqlExecutor.execute({
+      schema,
+      document,
+      variables: params.variables,
+      operationName: params.operationName,
+      resolveField: resolver.resolveField,
+      resolveType: resolver.resolveType
+    });
+    
+    res.json(result);
+    console.log(`${req.method} ${req.path} ${operation.operation} ${operation.name || ''} => ${result.errors ? 'with errors' : 'OK'}`);
+    
+  } catch (error) {
+    if (error.statusCode === 400) {
+      res.status(400).json({ errors: [graphqlExecutor.formatError(error)] });
+      return;
+    }
+    
+    console.error(`Error handling GraphQL request: ${error.message}`);
+    res.status(500).json({ errors: [{ message: error.message }] });
+  }
+}
+
+/**
+ * Renders the GraphiQL IDE for a GraphQL endpoint
+ * @param {string} endpoint - The endpoint path
+ * @param {string} apiName - Name of the API
+ * @returns {string} The HTML page
+ */
+function renderGraphiQL(endpoint, apiName) {
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <title>API Mocker - ${apiName} - GraphiQL</title>
+        <link rel="stylesheet" href="https://unpkg.com/graphiql@3/graphiql.min.css" />
+    </head>
+    <body style="margin: 0;">
+        <div id="graphiql" style="height: 100vh;"></div>
+        <script crossorigin src="https://unpkg.com/react@18/umd/react.production.min.js"></script>
+        <script crossorigin src="https://unpkg.com/react-dom@18/umd/react-dom.production.min.js"></script>
+        <script crossorigin src="https://unpkg.com/graphiql@3/graphiql.min.js"></script>
+        <script>
+            ReactDOM.createRoot(document.getElementById('graphiql')).render(
+                React.createElement(GraphiQL, { fetcher: GraphiQL.createFetcher({ url: '${endpoint}' }) })
+            );
+        </script>
+    </body>
+    </html>
+  `;
 }
 
 module.exports = {
   registerRoute,
   registerDynamicRoute,
-  registerODataRoutes
+  registerODataRoutes,
+  registerGraphQLRoutes
 };
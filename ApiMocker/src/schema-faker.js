@@ -0,0 +1,703 @@
+/**
+ * Schema Faker Module
+ * Generates fake data from the response schemas of Swagger 2.0 and OpenAPI 3 operations, for
+ * operations without a recorded response. Every value is derived from a seed and its location
+ * in the generated document, so a given seed always produces the same data.
+ */
+
+const endpointExtractor = require('./endpoint-extractor');
+
+// Nesting depth after which objects and arrays are left empty, so recursive schemas end
+const MAX_DEPTH = 8;
+
+// Size of arrays without minItems/maxItems
+const DEFAULT_MIN_ITEMS = 1;
+const DEFAULT_MAX_ITEMS = 3;
+
+// Share of nullable values that are generated as null
+const NULL_RATIO = 0.2;
+
+// Extra repetitions generated for unbounded pattern quantifiers (*, +, {n,})
+const PATTERN_REPEAT = 3;
+
+const WORDS = ['alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf', 'hotel', 'india', 'juliet', 'kilo', 'lima'];
+
+// Characters patterns draw from: printable ASCII
+const PRINTABLE = Array.from({ length: 95 }, (_, index) => String.fromCharCode(32 + index));
+
+// Character class escapes of patterns
+const CLASS_ESCAPES = {
+  d: PRINTABLE.filter(char => /\d/.test(char)),
+  w: PRINTABLE.filter(char => /\w/.test(char)),
+  s: [' '],
+  D: PRINTABLE.filter(char => /\D/.test(char)),
+  W: PRINTABLE.filter(char => /\W/.test(char)),
+  S: PRINTABLE.filter(char => /\S/.test(char))
+};
+
+/**
+ * Computes a deterministic 32-bit hash of a string (FNV-1a)
+ * @param {string} value - The string
+ * @returns {number} The hash
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < value.length; index++) {
+    hash ^= value.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Creates a seeded random number generator (mulberry32)
+ * @param {string} key - The seed
+ * @returns {Function} Returns the next number in [0, 1)
+ */
+function createRandom(key) {
+  let state = hashString(key);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Picks a random integer in a range
+ * @param {Function} random - The random number generator
+ * @param {number} min - The lower bound (inclusive)
+ * @param {number} max - The upper bound (inclusive)
+ * @returns {number} The integer
+ */
+function randomInt(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Picks a random element of a list
+ * @param {Function} random - The random number generator
+ * @param {Array} list - The list
+ * @returns {*} The element
+ */
+function pick(random, list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+/**
+ * Merges the subschemas of an allOf into a single schema
+ * @param {Object} schema - The schema with allOf
+ * @param {Object} spec - The Swagger/OpenAPI spec
+ * @returns {Object} The merged schema
+ */
+function mergeAllOf(schema, spec) {
+  const { allOf, ...base } = schema;
+  return allOf
+    .map(part => endpointExtractor.resolveReference(part, spec))
+    .map(part => (part && part.allOf ? mergeAllOf(part, spec) : part))
+    .reduce((merged, part) => mergeSchemas(merged, part || {}), base);
+}
+
+/**
+ * Merges two schemas, combining their properties and required lists
+ * @param {Object} target - The schema merged into
+ * @param {Object} source - The schema merged from
+ * @returns {Object} The merged schema
+ */
+function mergeSchemas(target, source) {
+  const merged = { ...target, ...source };
+  if (target.properties || source.properties) {
+    merged.properties = { ...target.properties, ...source.properties };
+  }
+  if (target.required || source.required) {
+    merged.required = [...(target.required || []), ...(source.required || [])];
+  }
+  return merged;
+}
+
+/**
+ * Gets the type of a schema, inferring it from the keywords used if it isn't declared
+ * @param {Object} schema - The schema
+ * @returns {string} The type
+ */
+function getSchemaType(schema) {
+  const types = Array.isArray(schema.type) ? schema.type.filter(type => type !== 'null') : [schema.type];
+  if (types[0]) {
+    return types[0];
+  }
+  if (schema.properties || schema.additionalProperties) {
+    return 'object';
+  }
+  if (schema.items) {
+    return 'array';
+  }
+  if (schema.minimum !== undefined || schema.maximum !== undefined || schema.multipleOf !== undefined) {
+    return 'number';
+  }
+  return 'string';
+}
+
+/**
+ * Checks whether a schema allows null (OpenAPI 3.0 nullable, or a type list with null)
+ * @param {Object} schema - The schema
+ * @returns {boolean} True if the value may be null
+ */
+function isNullable(schema) {
+  return schema.nullable === true || schema['x-nullable'] === true ||
+    (Array.isArray(schema.type) && schema.type.includes('null'));
+}
+
+/**
+ * Generates a value for a schema
+ * @param {Object} schema - The schema
+ * @param {Object} context - Generation context ({ spec, seed, direction })
+ * @param {string} location - JSON pointer of the value in the generated document
+ * @param {number} depth - Nesting depth of the value
+ * @param {string} name - The property name the value is generated for, if any
+ * @returns {*} The value
+ */
+function generateValue(schema, context, location, depth, name) {
+  let resolved = endpointExtractor.resolveReference(schema, context.spec);
+  if (!resolved || typeof resolved !== 'object') {
+    return null;
+  }
+
+  const random = createRandom(`${context.seed}:${location}`);
+
+  if (resolved.example !== undefined) {
+    return resolved.example;
+  }
+  if (Array.isArray(resolved.examples) && resolved.examples.length > 0) {
+    return pick(random, resolved.examples);
+  }
+  if (resolved.const !== undefined) {
+    return resolved.const;
+  }
+  if (depth > 0 && isNullable(resolved) && random() < NULL_RATIO) {
+    return null;
+  }
+
+  if (resolved.allOf) {
+    resolved = mergeAllOf(resolved, context.spec);
+  }
+  const alternatives = resolved.oneOf || resolved.anyOf;
+  if (Array.isArray(alternatives) && alternatives.length > 0) {
+    const { oneOf, anyOf, ...base } = resolved;
+    const choice = endpointExtractor.resolveReference(pick(random, alternatives), context.spec) || {};
+    return generateValue(mergeSchemas(base, choice.allOf ? mergeAllOf(choice, context.spec) : choice), context, location, depth, name);
+  }
+
+  if (Array.isArray(resolved.enum) && resolved.enum.length > 0) {
+    const values = resolved.enum.filter(value => value !== null);
+    return values.length > 0 ? pick(random, values) : null;
+  }
+
+  switch (getSchemaType(resolved)) {
+    case 'object':
+      return generateObject(resolved, context, location, depth, name, random);
+    case 'array':
+      return generateArray(resolved, context, location, depth, name, random);
+    case 'integer':
+      return generateNumber(resolved, random, true);
+    case 'number':
+      return generateNumber(resolved, random, false);
+    case 'boolean':
+      return random() < 0.5;
+    case 'null':
+      return null;
+    default:
+      return generateString(resolved, random, name);
+  }
+}
+
+/**
+ * Generates an object, with a value for each property (write-only properties excepted in
+ * responses, read-only ones in requests)
+ * @param {Object} schema - The object schema
+ * @param {Object} context - Generation context ({ spec, seed, direction })
+ * @param {string} location - JSON pointer of the object
+ * @param {number} depth - Nesting depth of the object
+ * @param {string} name - The property name the object is generated for, if any
+ * @param {Function} random - The random number generator of the object
+ * @returns {Object} The object
+ */
+function generateObject(schema, context, location, depth, name, random) {
+  const result = {};
+  if (depth >= MAX_DEPTH) {
+    return result;
+  }
+
+  for (const [property, propertySchema] of Object.entries(schema.properties || {})) {
+    const resolved = endpointExtractor.resolveReference(propertySchema, context.spec);
+    if (resolved && (context.direction === 'request' ? resolved.readOnly : resolved.writeOnly)) {
+      continue;
+    }
+    result[property] = generateValue(propertySchema, context, `${location}/${property}`, depth + 1, property);
+  }
+
+  // Maps (additionalProperties with a schema) get a few entries
+  if (Object.keys(result).length === 0 && schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    const count = randomInt(random, DEFAULT_MIN_ITEMS, DEFAULT_MAX_ITEMS);
+    for (let index = 0; index < count; index++) {
+      const key = WORDS[(hashString(location) + index) % WORDS.length];
+      result[key] = generateValue(schema.additionalProperties, context, `${location}/${key}`, depth + 1, key);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Generates an array with minItems to maxItems items
+ * @param {Object} schema - The array schema
+ * @param {Object} context - Generation context ({ spec, seed, direction })
+ * @param {string} location - JSON pointer of the array
+ * @param {number} depth - Nesting depth of the array
+ * @param {string} name - The property name the array is generated for, if any
+ * @param {Function} random - The random number generator of the array
+ * @returns {Array} The array
+ */
+function generateArray(schema, context, location, depth, name, random) {
+  if (depth >= MAX_DEPTH && !schema.minItems) {
+    return [];
+  }
+
+  const min = schema.minItems !== undefined
+    ? schema.minItems
+    : Math.min(DEFAULT_MIN_ITEMS, schema.maxItems !== undefined ? schema.maxItems : DEFAULT_MIN_ITEMS);
+  const max = schema.maxItems !== undefined ? schema.maxItems : Math.max(min, DEFAULT_MAX_ITEMS);
+  const count = randomInt(random, min, Math.max(min, max));
+
+  return Array.from({ length: count }, (_, index) =>
+    generateValue(schema.items || {}, context, `${location}/${index}`, depth + 1, name));
+}
+
+/**
+ * Generates a number within minimum/maximum (exclusive bounds in the OpenAPI 3.0 boolean and
+ * 3.1 numeric forms), honoring multipleOf
+ * @param {Object} schema - The number schema
+ * @param {Function} random - The random number generator
+ * @param {boolean} integer - Whether to generate an integer
+ * @returns {number} The number
+ */
+function generateNumber(schema, random, integer) {
+  let min = schema.minimum;
+  let max = schema.maximum;
+  let exclusiveMin = schema.exclusiveMinimum === true;
+  let exclusiveMax = schema.exclusiveMaximum === true;
+
+  if (typeof schema.exclusiveMinimum === 'number' && (min === undefined || schema.exclusiveMinimum >= min)) {
+    min = schema.exclusiveMinimum;
+    exclusiveMin = true;
+  }
+  if (typeof schema.exclusiveMaximum === 'number' && (max === undefined || schema.exclusiveMaximum <= max)) {
+    max = schema.exclusiveMaximum;
+    exclusiveMax = true;
+  }
+  if (min === undefined) {
+    min = max !== undefined ? max - (integer ? 1000 : 100) : (integer ? 1 : 0);
+  }
+  if (max === undefined) {
+    max = min + (integer ? 1000 : 100);
+  }
+
+  if (schema.multipleOf > 0) {
+    const step = schema.multipleOf;
+    let low = Math.ceil(min / step);
+    let high = Math.floor(max / step);
+    if (exclusiveMin && low * step <= min) {
+      low++;
+    }
+    if (exclusiveMax && high * step >= max) {
+      high--;
+    }
+    if (low <= high) {
+      return Number((randomInt(random, low, high) * step).toFixed(10));
+    }
+  }
+
+  if (integer) {
+    const low = exclusiveMin ? Math.floor(min) + 1 : Math.ceil(min);
+    const high = exclusiveMax ? Math.ceil(max) - 1 : Math.floor(max);
+    return randomInt(random, low, Math.max(low, high));
+  }
+
+  const value = Math.round((min + random() * (max - min)) * 100) / 100;
+  if ((exclusiveMin && value <= min) || (exclusiveMax && value >= max) || value < min || value > max) {
+    return (min + max) / 2;
+  }
+  return value;
+}
+
+/**
+ * Generates a string for a format, pattern or property name, within minLength/maxLength
+ * @param {Object} schema - The string schema
+ * @param {Function} random - The random number generator
+ * @param {string} name - The property name the string is generated for, if any
+ * @returns {string} The string
+ */
+function generateString(schema, random, name = '') {
+  const formatted = generateFormattedString(schema.format, random, name);
+  if (formatted !== null) {
+    return formatted;
+  }
+
+  if (schema.pattern) {
+    const matching = generateFromPattern(schema.pattern, random);
+    if (matching !== null) {
+      return matching;
+    }
+  }
+
+  const number = randomInt(random, 1, 1000);
+  let value;
+  if (/email/i.test(name)) {
+    value = `${pick(random, WORDS)}${number}@example.com`;
+  } else if (/ur[il]$|link|href/i.test(name)) {
+    value = `https://example.com/${name.toLowerCase()}/${number}`;
+  } else if (/(date|time|At)$/.test(name)) {
+    value = generateFormattedString('date-time', random, name);
+  } else if (/^id$|Id$/.test(name)) {
+    value = String(number);
+  } else {
+    value = `${name || pick(random, WORDS)} ${number}`;
+  }
+
+  const minLength = schema.minLength || 0;
+  while (value.length < minLength) {
+    value += ` ${pick(random, WORDS)}`;
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    value = value.slice(0, schema.maxLength);
+  }
+  return value.length < minLength ? value.padEnd(minLength, 'x') : value;
+}
+
+/**
+ * Generates a string in a well-known format
+ * @param {string} format - The format
+ * @param {Function} random - The random number generator
+ * @param {string} name - The property name the string is generated for, if any
+ * @returns {string|null} The string, or null for formats without a generator
+ */
+function generateFormattedString(format, random, name) {
+  // Dates fall within 2024, so they don't depend on the current time
+  const timestamp = Date.UTC(2024, 0, 1) + Math.floor(random() * 366 * 86400) * 1000;
+  const hex = length => Array.from({ length }, () => Math.floor(random() * 16).toString(16)).join('');
+
+  switch (format) {
+    case 'email':
+      return `${pick(random, WORDS)}.${pick(random, WORDS)}${randomInt(random, 1, 99)}@example.com`;
+    case 'uuid':
+      return `${hex(8)}-${hex(4)}-4${hex(3)}-${pick(random, ['8', '9', 'a', 'b'])}${hex(3)}-${hex(12)}`;
+    case 'date-time':
+      return new Date(timestamp).toISOString();
+    case 'date':
+      return new Date(timestamp).toISOString().slice(0, 10);
+    case 'time':
+      return new Date(timestamp).toISOString().slice(11, 19);
+    case 'uri':
+    case 'url':
+      return `https://example.com/${(name || pick(random, WORDS)).toLowerCase()}/${randomInt(random, 1, 1000)}`;
+    case 'hostname':
+      return `${pick(random, WORDS)}.example.com`;
+    case 'ipv4':
+      return [randomInt(random, 1, 254), randomInt(random, 0, 255), randomInt(random, 0, 255), randomInt(random, 1, 254)].join('.');
+    case 'ipv6':
+      return Array.from({ length: 8 }, () => hex(4)).join(':');
+    case 'byte':
+      return Buffer.from(`${pick(random, WORDS)} ${randomInt(random, 1, 1000)}`).toString('base64');
+    default:
+      return null;
+  }
+}
+
+/**
+ * Generates a string matching a regular expression
+ * Supports literals, escapes, character classes, groups, alternation and quantifiers;
+ * patterns using other features (lookarounds, backreferences) yield null.
+ * @param {string} pattern - The regular expression
+ * @param {Function} random - The random number generator
+ * @returns {string|null} The matching string, or null if none could be generated
+ */
+function generateFromPattern(pattern, random) {
+  let tree;
+  try {
+    tree = parsePattern(pattern);
+  } catch (error) {
+    return null;
+  }
+
+  /**
+   * Generates a string for an alternation node
+   * @param {Object} node - The node ({ options })
+   * @returns {string} The string
+   */
+  const generate = node => pick(random, node.options)
+    .map(({ atom, min, max }) => {
+      const count = randomInt(random, min, max);
+      let value = '';
+      for (let index = 0; index < count; index++) {
+        value += atom.group ? generate(atom.group) : pick(random, atom.chars);
+      }
+      return value;
+    })
+    .join('');
+
+  const value = generate(tree);
+  try {
+    return new RegExp(pattern).test(value) ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parses a regular expression into alternatives of quantified atoms
+ * @param {string} pattern - The regular expression
+ * @returns {Object} The parsed pattern ({ options: [[{ atom, min, max }]] })
+ * @throws {Error} If the pattern uses unsupported features
+ */
+function parsePattern(pattern) {
+  let position = 0;
+
+  /**
+   * Parses alternatives separated by |
+   * @returns {Object} The alternation ({ options })
+   */
+  const parseAlternation = () => {
+    const options = [parseSequence()];
+    while (pattern[position] === '|') {
+      position++;
+      options.push(parseSequence());
+    }
+    return { options };
+  };
+
+  /**
+   * Parses quantified atoms up to the end of the current alternative
+   * @returns {Array<Object>} The atoms ({ atom, min, max })
+   */
+  const parseSequence = () => {
+    const items = [];
+    while (position < pattern.length && pattern[position] !== '|' && pattern[position] !== ')') {
+      const atom = parseAtom();
+      if (atom) {
+        items.push({ atom, ...parseQuantifier() });
+      }
+    }
+    return items;
+  };
+
+  /**
+   * Parses a literal, escape, character class or group
+   * @returns {Object|null} The atom ({ chars } or { group }), or null for anchors
+   */
+  const parseAtom = () => {
+    const char = pattern[position++];
+    switch (char) {
+      case '^':
+      case '$':
+        return null;
+      case '.':
+        return { chars: PRINTABLE };
+      case '(': {
+        if (pattern[position] === '?') {
+          if (pattern[position + 1] !== ':') {
+            throw new Error('Unsupported group');
+          }
+          position += 2;
+        }
+        const group = parseAlternation();
+        if (pattern[position++] !== ')') {
+          throw new Error('Unterminated group');
+        }
+        return { group };
+      }
+      case '[':
+        return { chars: parseClass() };
+      case '\\':
+        if (pattern[position] === 'b' || pattern[position] === 'B') {
+          position++;
+          return null;
+        }
+        return { chars: parseEscape() };
+      case '*':
+      case '+':
+      case '?':
+      case '{':
+        throw new Error(`Unexpected quantifier at ${position - 1}`);
+      default:
+        return { chars: [char] };
+    }
+  };
+
+  /**
+   * Parses the character after a backslash
+   * @returns {Array<string>} The characters the escape matches
+   */
+  const parseEscape = () => {
+    const char = pattern[position++];
+    if (CLASS_ESCAPES[char]) {
+      return CLASS_ESCAPES[char];
+    }
+    if (/[1-9]/.test(char)) {
+      throw new Error('Backreferences are not supported');
+    }
+    if (char === 'u' || char === 'x') {
+      const length = char === 'u' ? 4 : 2;
+      const code = pattern.slice(position, position + length);
+      position += length;
+      return [String.fromCharCode(parseInt(code, 16))];
+    }
+    return [{ n: '\n', r: '\r', t: '\t' }[char] || char];
+  };
+
+  /**
+   * Parses a character class after its opening bracket
+   * @returns {Array<string>} The characters the class matches
+   */
+  const parseClass = () => {
+    const negated = pattern[position] === '^';
+    if (negated) {
+      position++;
+    }
+
+    const chars = new Set();
+    while (pattern[position] !== ']') {
+      if (position >= pattern.length) {
+        throw new Error('Unterminated character class');
+      }
+      let first = pattern[position++];
+      if (first === '\\') {
+        const escaped = parseEscape();
+        if (escaped.length > 1) {
+          escaped.forEach(char => chars.add(char));
+          continue;
+        }
+        first = escaped[0];
+      }
+      if (pattern[position] === '-' && pattern[position + 1] !== ']' && position + 1 < pattern.length) {
+        position++;
+        let last = pattern[position++];
+        if (last === '\\') {
+          last = parseEscape()[0];
+        }
+        for (let code = first.charCodeAt(0); code <= last.charCodeAt(0); code++) {
+          chars.add(String.fromCharCode(code));
+        }
+      } else {
+        chars.add(first);
+      }
+    }
+    position++;
+
+    const candidates = negated ? PRINTABLE.filter(char => !chars.has(char)) : [...chars];
+    if (candidates.length === 0) {
+      throw new Error('Empty character class');
+    }
+    return candidates;
+  };
+
+  /**
+   * Parses the quantifier after an atom, if any
+   * @returns {Object} The repetition bounds ({ min, max })
+   */
+  const parseQuantifier = () => {
+    let bounds = { min: 1, max: 1 };
+    const char = pattern[position];
+    if (char === '?') {
+      bounds = { min: 0, max: 1 };
+    } else if (char === '*') {
+      bounds = { min: 0, max: PATTERN_REPEAT };
+    } else if (char === '+') {
+      bounds = { min: 1, max: 1 + PATTERN_REPEAT };
+    } else if (char === '{') {
+      const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(position));
+      if (!match) {
+        throw new Error('Invalid quantifier');
+      }
+      const min = Number(match[1]);
+      const max = match[2] === undefined ? min : (match[3] === '' ? min + PATTERN_REPEAT : Number(match[3]));
+      bounds = { min, max };
+      position += match[0].length - 1;
+    } else {
+      return bounds;
+    }
+    position++;
+
+    // Lazy quantifiers match the same strings
+    if (pattern[position] === '?') {
+      position++;
+    }
+    return bounds;
+  };
+
+  const tree = parseAlternation();
+  if (position < pattern.length) {
+    throw new Error(`Unexpected ${pattern[position]} at ${position}`);
+  }
+  return tree;
+}
+
+/**
+ * Generates fake data for a schema
+ * @param {Object} schema - The JSON schema (may contain $refs into the spec)
+ * @param {Object} options - Generation options
+ * @param {Object} options.spec - The Swagger/OpenAPI spec references are resolved against
+ * @param {string} options.seed - Seed that makes the data deterministic
+ * @param {string} options.direction - 'response' (default) or 'request', for request bodies
+ * @returns {*} The generated value
+ */
+function generateFromSchema(schema, options = {}) {
+  const context = {
+    spec: options.spec,
+    seed: options.seed === undefined ? 'api-mocker' : String(options.seed),
+    direction: options.direction || 'response'
+  };
+  return generateValue(schema, context, '', 0, '');
+}
+
+/**
+ * Gets the first success response of an operation that describes a JSON body
+ * @param {Object} operation - The Swagger/OpenAPI operation
+ * @param {Object} spec - The Swagger/OpenAPI spec
+ * @returns {Object|null} The response ({ statusCode, schema, example }), or null if no success
+ *   response has a schema or example
+ */
+function getSuccessResponse(operation, spec) {
+  const codes = Object.keys((operation && operation.responses) || {})
+    .filter(code => /^2\d\d$/.test(code))
+    .sort();
+
+  for (const code of codes) {
+    const response = endpointExtractor.resolveReference(operation.responses[code], spec) || {};
+    let schema = response.schema;
+    let example = response.examples && response.examples['application/json'];
+
+    // OpenAPI 3 describes the body per media type
+    if (response.content) {
+      const mediaType = Object.keys(response.content).find(type => /json/i.test(type) || type === '*/*');
+      const media = mediaType ? response.content[mediaType] : null;
+      if (media) {
+        schema = media.schema;
+        example = media.example !== undefined
+          ? media.example
+          : Object.values(media.examples || {}).map(entry => endpointExtractor.resolveReference(entry, spec)).map(entry => entry && entry.value)[0];
+      }
+    }
+
+    if (schema || example !== undefined) {
+      return { statusCode: Number(code), schema: schema || null, example };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  generateFromSchema,
+  generateFromPattern,
+  getSuccessResponse
+};
@@ -0,0 +1,393 @@
+/**
+ * Schema Validator Module
+ * Validates values against the JSON schemas of Swagger 2.0 and OpenAPI 3 specs, reporting
+ * every violation with the JSON pointer of the offending value.
+ */
+
+const endpointExtractor = require('./endpoint-extractor');
+
+// Checks of the string formats that are validated; other formats are accepted as is
+const FORMATS = {
+  'email': value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  'uuid': value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  'date': value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(value) && !Number.isNaN(Date.parse(value)),
+  'time': value => /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/.test(value),
+  'uri': value => /^[a-z][a-z0-9+.-]*:[^\s]*$/i.test(value),
+  'url': value => /^[a-z][a-z0-9+.-]*:\/\/[^\s]+$/i.test(value),
+  'hostname': value => /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i.test(value),
+  'ipv4': value => /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(value),
+  'ipv6': value => /^[0-9a-f:]+$/i.test(value) && value.includes(':') && (value.match(/::/g) || []).length <= 1,
+  'byte': value => /^[A-Za-z0-9+/]*={0,2}$/.test(value) && value.length % 4 === 0
+};
+
+// Nesting depth after which values aren't validated any further
+const MAX_DEPTH = 64;
+
+/**
+ * Escapes a property name for use in a JSON pointer (RFC 6901)
+ * @param {string|number} token - The property name or array index
+ * @returns {string} The escaped token
+ */
+function escapePointer(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Gets the JSON type of a value
+ * @param {*} value - The value
+ * @returns {string} null, array, integer, number, string, boolean or object
+ */
+function getValueType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+/**
+ * Checks whether a value is of a schema type (integers are numbers too)
+ * @param {*} value - The value
+ * @param {string} type - The schema type
+ * @returns {boolean} True if the value is of the type
+ */
+function isOfType(value, type) {
+  const valueType = getValueType(value);
+  return valueType === type || (type === 'number' && valueType === 'integer');
+}
+
+/**
+ * Compares two JSON values for equality
+ * @param {*} a - The first value
+ * @param {*} b - The second value
+ * @returns {boolean} True if the values are equal
+ */
+function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+}
+
+/**
+ * Validates a value against a schema
+ * @param {*} value - The value
+ * @param {Object} schema - The schema
+ * @param {Object} context - Validation context ({ spec, direction, errors })
+ * @param {string} pointer - JSON pointer of the value
+ * @param {number} depth - Nesting depth of the value
+ */
+function validateValue(value, schema, context, pointer, depth) {
+  const resolved = endpointExtractor.resolveReference(schema, context.spec);
+  if (!resolved || typeof resolved !== 'object' || depth > MAX_DEPTH) {
+    return;
+  }
+
+  /**
+   * Reports a violation
+   * @param {string} keyword - The schema keyword that failed
+   * @param {string} message - The error message
+   * @param {string} at - JSON pointer of the violation, if not the value itself
+   */
+  const report = (keyword, message, at = pointer) => context.errors.push({ pointer: at, keyword, message });
+
+  if (value === null) {
+    const types = Array.isArray(resolved.type) ? resolved.type : [resolved.type];
+    if (resolved.nullable === true || resolved['x-nullable'] === true || types.includes('null') ||
+      (Array.isArray(resolved.enum) && resolved.enum.includes(null))) {
+      return;
+    }
+    if (resolved.type !== undefined) {
+      report('type', 'must not be null');
+      return;
+    }
+  }
+
+  if (resolved.type !== undefined) {
+    const types = (Array.isArray(resolved.type) ? resolved.type : [resolved.type]).filter(type => type !== 'null');
+    if (types.length > 0 && !types.some(type => isOfType(value, type))) {
+      report('type', `must be ${types.join(' or ')}`);
+      return;
+    }
+  }
+
+  if (Array.isArray(resolved.enum) && !resolved.enum.some(allowed => isEqual(allowed, value))) {
+    report('enum', `must be equal to one of the allowed values: ${resolved.enum.map(allowed => JSON.stringify(allowed)).join(', ')}`);
+  }
+  if (resolved.const !== undefined && !isEqual(resolved.const, value)) {
+    report('const', `must be equal to ${JSON.stringify(resolved.const)}`);
+  }
+
+  validateComposition(value, resolved, context, pointer, depth);
+
+  switch (getValueType(value)) {
+    case 'string':
+      validateString(value, resolved, report);
+      break;
+    case 'integer':
+    case 'number':
+      validateNumber(value, resolved, report);
+      break;
+    case 'array':
+      validateArray(value, resolved, context, pointer, depth, report);
+      break;
+    case 'object':
+      validateObject(value, resolved, context, pointer, depth, report);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Validates a value against the allOf, anyOf, oneOf and not keywords of a schema
+ * @param {*} value - The value
+ * @param {Object} schema - The resolved schema
+ * @param {Object} context - Validation context ({ spec, direction, errors })
+ * @param {string} pointer - JSON pointer of the value
+ * @param {number} depth - Nesting depth of the value
+ */
+function validateComposition(value, schema, context, pointer, depth) {
+  /**
+   * Validates the value against a subschema, collecting the violations separately
+   * @param {Object} subschema - The subschema
+   * @returns {Array<Object>} The violations
+   */
+  const collect = subschema => {
+    const nested = { ...context, errors: [] };
+    validateValue(value, subschema, nested, pointer, depth + 1);
+    return nested.errors;
+  };
+
+  for (const subschema of schema.allOf || []) {
+    // Properties declared by sibling subschemas aren't additional
+    validateValue(value, withSiblingProperties(subschema, schema.allOf, context.spec), context, pointer, depth + 1);
+  }
+
+  if (schema.not && collect(schema.not).length === 0) {
+    context.errors.push({ pointer, keyword: 'not', message: 'must NOT be valid against the schema in not' });
+  }
+
+  // A discriminator selects the alternative to validate against
+  const alternatives = schema.oneOf || schema.anyOf;
+  const discriminator = schema.discriminator && schema.discriminator.propertyName;
+  if (Array.isArray(alternatives) && discriminator && value && typeof value === 'object' && typeof value[discriminator] === 'string') {
+    const name = value[discriminator];
+    const mapped = (schema.discriminator.mapping || {})[name];
+    const selected = alternatives.find(alternative => alternative.$ref &&
+      (alternative.$ref === mapped || alternative.$ref.split('/').pop() === name));
+    if (selected) {
+      validateValue(value, selected, context, pointer, depth + 1);
+    } else {
+      context.errors.push({ pointer: `${pointer}/${escapePointer(discriminator)}`, keyword: 'discriminator', message: `must be one of the mapped values of discriminator "${discriminator}"` });
+    }
+    return;
+  }
+
+  if (Array.isArray(schema.anyOf) && schema.anyOf.length > 0) {
+    const results = schema.anyOf.map(collect);
+    if (!results.some(errors => errors.length === 0)) {
+      context.errors.push({ pointer, keyword: 'anyOf', message: 'must match a schema in anyOf' });
+    }
+  }
+
+  if (Array.isArray(schema.oneOf) && schema.oneOf.length > 0) {
+    const results = schema.oneOf.map(collect);
+    const matches = results.filter(errors => errors.length === 0).length;
+    if (matches !== 1) {
+      context.errors.push({
+        pointer,
+        keyword: 'oneOf',
+        message: matches === 0 ? 'must match exactly one schema in oneOf (matches none)' : `must match exactly one schema in oneOf (matches ${matches})`
+      });
+    }
+  }
+}
+
+/**
+ * Widens a subschema of allOf with the properties of its siblings, so that its
+ * additionalProperties only rejects properties no subschema declares
+ * @param {Object} subschema - The subschema
+ * @param {Array<Object>} siblings - All subschemas of the allOf
+ * @param {Object} spec - The Swagger/OpenAPI spec
+ * @returns {Object} The subschema to validate against
+ */
+function withSiblingProperties(subschema, siblings, spec) {
+  const resolved = endpointExtractor.resolveReference(subschema, spec);
+  if (!resolved || resolved.additionalProperties !== false) {
+    return subschema;
+  }
+
+  const properties = {};
+  for (const sibling of siblings.map(candidate => endpointExtractor.resolveReference(candidate, spec))) {
+    for (const name of Object.keys((sibling && sibling.properties) || {})) {
+      properties[name] = {};
+    }
+  }
+  return { ...resolved, properties: { ...properties, ...resolved.properties } };
+}
+
+/**
+ * Validates the string keywords of a schema
+ * @param {string} value - The value
+ * @param {Object} schema - The resolved schema
+ * @param {Function} report - Reports a violation (keyword, message)
+ */
+function validateString(value, schema, report) {
+  // Lengths count code points, not UTF-16 code units
+  const length = [...value].length;
+  if (schema.minLength !== undefined && length < schema.minLength) {
+    report('minLength', `must NOT have fewer than ${schema.minLength} characters`);
+  }
+  if (schema.maxLength !== undefined && length > schema.maxLength) {
+    report('maxLength', `must NOT have more than ${schema.maxLength} characters`);
+  }
+  if (schema.pattern) {
+    let matches = true;
+    try {
+      matches = new RegExp(schema.pattern, 'u').test(value);
+    } catch (error) {
+      // Patterns that aren't valid JavaScript regular expressions aren't checked
+    }
+    if (!matches) {
+      report('pattern', `must match pattern "${schema.pattern}"`);
+    }
+  }
+  if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+    report('format', `must match format "${schema.format}"`);
+  }
+}
+
+/**
+ * Validates the numeric keywords of a schema (exclusive bounds in the OpenAPI 3.0 boolean
+ * and 3.1 numeric forms)
+ * @param {number} value - The value
+ * @param {Object} schema - The resolved schema
+ * @param {Function} report - Reports a violation (keyword, message)
+ */
+function validateNumber(value, schema, report) {
+  if (schema.minimum !== undefined) {
+    if (schema.exclusiveMinimum === true ? value <= schema.minimum : value < schema.minimum) {
+      report('minimum', `must be ${schema.exclusiveMinimum === true ? '>' : '>='} ${schema.minimum}`);
+    }
+  }
+  if (schema.maximum !== undefined) {
+    if (schema.exclusiveMaximum === true ? value >= schema.maximum : value > schema.maximum) {
+      report('maximum', `must be ${schema.exclusiveMaximum === true ? '<' : '<='} ${schema.maximum}`);
+    }
+  }
+  if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+    report('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+  }
+  if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+    report('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+  }
+  if (schema.multipleOf > 0) {
+    const quotient = value / schema.multipleOf;
+    if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+      report('multipleOf', `must be multiple of ${schema.multipleOf}`);
+    }
+  }
+}
+
+/**
+ * Validates the array keywords of a schema and its items
+ * @param {Array} value - The value
+ * @param {Object} schema - The resolved schema
+ * @param {Object} context - Validation context ({ spec, direction, errors })
+ * @param {string} pointer - JSON pointer of the value
+ * @param {number} depth - Nesting depth of the value
+ * @param {Function} report - Reports a violation (keyword, message)
+ */
+function validateArray(value, schema, context, pointer, depth, report) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    report('minItems', `must NOT have fewer than ${schema.minItems} items`);
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    report('maxItems', `must NOT have more than ${schema.maxItems} items`);
+  }
+  if (schema.uniqueItems) {
+    const duplicate = value.findIndex((item, index) => value.findIndex(other => isEqual(item, other)) !== index);
+    if (duplicate !== -1) {
+      report('uniqueItems', `must NOT have duplicate items (item ${duplicate} is a duplicate)`);
+    }
+  }
+  if (schema.items && !Array.isArray(schema.items)) {
+    value.forEach((item, index) => validateValue(item, schema.items, context, `${pointer}/${index}`, depth + 1));
+  }
+}
+
+/**
+ * Validates the object keywords of a schema and its properties
+ * Read-only properties aren't required in requests, nor write-only ones in responses.
+ * @param {Object} value - The value
+ * @param {Object} schema - The resolved schema
+ * @param {Object} context - Validation context ({ spec, direction, errors })
+ * @param {string} pointer - JSON pointer of the value
+ * @param {number} depth - Nesting depth of the value
+ * @param {Function} report - Reports a violation (keyword, message)
+ */
+function validateObject(value, schema, context, pointer, depth, report) {
+  const properties = schema.properties || {};
+  const names = Object.keys(value);
+
+  for (const name of schema.required || []) {
+    if (value[name] !== undefined) {
+      continue;
+    }
+    const property = endpointExtractor.resolveReference(properties[name], context.spec) || {};
+    if ((context.direction === 'request' && property.readOnly) || (context.direction === 'response' && property.writeOnly)) {
+      continue;
+    }
+    report('required', `must have required property '${name}'`, `${pointer}/${escapePointer(name)}`);
+  }
+
+  if (schema.minProperties !== undefined && names.length < schema.minProperties) {
+    report('minProperties', `must NOT have fewer than ${schema.minProperties} properties`);
+  }
+  if (schema.maxProperties !== undefined && names.length > schema.maxProperties) {
+    report('maxProperties', `must NOT have more than ${schema.maxProperties} properties`);
+  }
+
+  for (const name of names) {
+    const propertyPointer = `${pointer}/${escapePointer(name)}`;
+    if (properties[name] !== undefined) {
+      validateValue(value[name], properties[name], context, propertyPointer, depth + 1);
+    } else if (schema.additionalProperties === false) {
+      report('additionalProperties', `must NOT have additional property '${name}'`, propertyPointer);
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      validateValue(value[name], schema.additionalProperties, context, propertyPointer, depth + 1);
+    }
+  }
+}
+
+/**
+ * Validates a value against a schema
+ * @param {*} value - The value
+ * @param {Object} schema - The schema (may contain $refs into the spec)
+ * @param {Object} options - Validation options
+ * @param {Object} options.spec - The Swagger/OpenAPI spec references are resolved against
+ * @param {string} options.pointer - JSON pointer prefixed to the reported pointers
+ * @param {string} options.direction - 'request' or 'response', for readOnly/writeOnly properties
+ * @returns {Array<Object>} The violations ({ pointer, keyword, message }), empty if the value is valid
+ */
+function validate(value, schema, options = {}) {
+  const context = { spec: options.spec, direction: options.direction, errors: [] };
+  validateValue(value, schema, context, options.pointer || '', 0);
+  return context.errors;
+}
+
+module.exports = {
+  validate,
+  escapePointer
+};
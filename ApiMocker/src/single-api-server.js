@@ -10,6 +10,8 @@ const apiRegistry = require('./api-registry');
 const expressServer = require('./express-server');
 const routeHandler = require('./route-handler');
 const crudHandler = require('./crud-handler');
+const graphqlMockResolver = require('./graphql-mock-resolver');
+const websocketServer = require('./websocket-server');
 
 /**
  * Creates a single API server
@@ -19,10 +21,11 @@ const crudHandler = require('./crud-handler');
  * @param {string} options.apiName - Name of the API to serve
  * @param {number} options.port - Port to run the server on
  * @param {string} options.basePath - Optional custom base path for the API
+ * @param {boolean} options.validateResponses - Optional flag to validate the responses of the API
  * @returns {Promise<Object>} - Server object
  */
 async function createServer(options) {
-  const { dataDir, apiName, port, basePath } = options;
+  const { dataDir, apiName, port, basePath, validateResponses } = options;
   
   // Load API configurations
   const apis = await apiRegistry.loadApiConfigurations(dataDir);
@@ -40,6 +43,11 @@ async function createServer(options) {
   // Initialize data store for this API
   crudHandler.initializeDataStore(api.name);
   
+  // Validate served responses regardless of config.json when asked to
+  if (validateResponses) {
+    api.validation = { ...api.validation, responses: true };
+  }
+  
   // Determine base path (custom or from API config)
   const apiBasePath = basePath || api.basePath || `/${api.name}`;
   
@@ -158,6 +166,15 @@ async function createServer(options) {
     res.send(html);
   });
   
+  // Register the GraphQL endpoint of APIs recorded with an introspection schema
+  if (graphqlMockResolver.isGraphQLApi(api)) {
+    routeHandler.registerGraphQLRoutes(app, apiBasePath, {
+      ...api,
+      apiName: api.name,
+      dataDir: path.join(dataDir, api.name, 'data')
+    });
+  }
+  
   // Register API routes directly on the app
   console.log(`Registering API routes for ${api.name} at base path: ${apiBasePath}`);
   expressServer.registerApiRoutes(app, api, path.join(dataDir, api.name, 'responses'), apiBasePath);
@@ -188,6 +205,9 @@ async function startServer(server) {
     console.log(`Serving API: ${server.api.name}`);
   });
   
+  // WebSocket upgrades reach the routes of the app (GraphQL subscriptions)
+  websocketServer.routeUpgrades(httpServer, server.app);
+  
   // Add error handler
   httpServer.on('error', (error) => {
     console.error(`Error starting server: ${error.message}`);
@@ -0,0 +1,299 @@
+/**
+ * Upstream Passthrough Module
+ * Lets the mock server forward requests to the real API. The policy of each operation is set
+ * in the API's config.json:
+ *
+ *   "upstream": {
+ *     "url": "https://api.example.com/v1",
+ *     "policy": "mock-then-proxy",
+ *     "record": true,
+ *     "rules": [{ "operation": "createPet", "policy": "proxy-only", "record": false }]
+ *   }
+ *
+ * mock-only serves recordings and generated responses only (the default without an upstream),
+ * proxy-only always forwards, mock-then-proxy forwards requests without a recording (the default
+ * with an upstream), and proxy-then-mock-on-failure forwards and serves the mock when the
+ * upstream API can't be reached or answers 5xx. Forwarded JSON exchanges can be recorded (see
+ * exchange-recorder), so they are served from the mock afterwards.
+ */
+
+const path = require('path');
+const axios = require('axios');
+const exchangeRecorder = require('./exchange-recorder');
+const recordingMatcher = require('./recording-matcher');
+
+const POLICIES = ['mock-only', 'proxy-only', 'mock-then-proxy', 'proxy-then-mock-on-failure'];
+
+// Headers that describe a connection rather than the request or response
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'upgrade'];
+
+// Recorders of forwarded exchanges by responses directory
+const recorders = new Map();
+
+/**
+ * Gets the upstream rule of an operation
+ * @param {Object} config - API configuration (with upstream settings)
+ * @param {Object} target - The operation ({ method, path, operation })
+ * @returns {Object} The rule ({ policy, record, url, timeout })
+ * @throws {Error} If the rule names an unknown policy or forwards without an upstream URL
+ */
+function getUpstreamRule(config, target) {
+  const settings = (config && config.upstream) || {};
+  const rule = (settings.rules || []).find(candidate => recordingMatcher.ruleAppliesTo(candidate, target)) || {};
+  const policy = rule.policy || settings.policy || (settings.url ? 'mock-then-proxy' : 'mock-only');
+  const label = `${target.method.toUpperCase()} ${target.path}`;
+
+  if (!POLICIES.includes(policy)) {
+    throw new Error(`Invalid upstream policy '${policy}' for ${label}: expected one of ${POLICIES.join(', ')}`);
+  }
+  if (policy !== 'mock-only' && !settings.url) {
+    throw new Error(`upstream.url is required for the ${policy} policy of ${label}`);
+  }
+
+  return {
+    policy,
+    record: Boolean(rule.record !== undefined ? rule.record : settings.record),
+    url: settings.url ? settings.url.replace(/\/+$/, '') : null,
+    timeout: settings.timeout || 10000
+  };
+}
+
+/**
+ * Gets the path of a request relative to the API's base path
+ * @param {string} pathPattern - Path of the operation (e.g. /pets/{petId})
+ * @param {Object} params - Path parameters of the request
+ * @returns {string} The concrete path (e.g. /pets/1)
+ */
+function getRequestPath(pathPattern, params = {}) {
+  return pathPattern.replace(/{([^}]+)}/g, (match, name) => (params[name] !== undefined ? encodeURIComponent(params[name]) : match));
+}
+
+/**
+ * Keeps the raw body of a request parsed by express.json() or express.urlencoded() (their verify
+ * option), so it can be forwarded unchanged
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Buffer} buffer - The raw body
+ */
+function captureRawBody(req, res, buffer) {
+  req.rawBody = buffer;
+}
+
+/**
+ * Reads the body to forward for a request, as it was sent
+ * @param {Object} req - Express request object
+ * @returns {Promise<Buffer|string|undefined>} The body, or undefined for requests without one
+ */
+async function readForwardedBody(req) {
+  let body = req.rawBody;
+
+  // Bodies no parser read (XML, text, binary) are still in the request stream
+  if (!body && !req.readableEnded) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    body = Buffer.concat(chunks);
+  }
+
+  // Bodies parsed without keeping the raw body are serialized again
+  if (!body && req.body !== undefined && !(typeof req.body === 'object' && Object.keys(req.body).length === 0)) {
+    if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) {
+      return req.body;
+    }
+    return req.is('application/x-www-form-urlencoded')
+      ? new URLSearchParams(req.body).toString()
+      : JSON.stringify(req.body);
+  }
+
+  return body && body.length > 0 ? body : undefined;
+}
+
+/**
+ * Forwards a request to the upstream API
+ * @param {Object} rule - The upstream rule
+ * @param {Object} req - Express request object
+ * @param {string} requestPath - Path of the request relative to the API's base path
+ * @param {Buffer|string} body - The body to forward (see readForwardedBody)
+ * @returns {Promise<Object>} The response ({ statusCode, headers, body }), with a decoded body
+ * @throws {Error} If the upstream API can't be reached
+ */
+async function forwardRequest(rule, req, requestPath, body) {
+  const headers = { ...req.headers };
+  ['host', 'content-length', 'accept-encoding', ...HOP_BY_HOP_HEADERS].forEach(header => delete headers[header]);
+  const queryString = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+
+  const response = await axios.request({
+    method: req.method,
+    url: `${rule.url}${requestPath}${queryString}`,
+    headers,
+    data: body,
+    timeout: rule.timeout,
+    responseType: 'arraybuffer',
+    maxRedirects: 0,
+    validateStatus: () => true,
+    transformRequest: [data => data]
+  });
+
+  return {
+    statusCode: response.status,
+    headers: response.headers.toJSON ? response.headers.toJSON() : { ...response.headers },
+    body: Buffer.from(response.data || [])
+  };
+}
+
+/**
+ * Sends a forwarded response to the client
+ * @param {Object} res - Express response object
+ * @param {Object} response - The forwarded response ({ statusCode, headers, body })
+ */
+function sendForwardedResponse(res, response) {
+  for (const [name, value] of Object.entries(response.headers)) {
+    // The body was decoded and is sent in one piece
+    if (!['content-encoding', 'content-length', ...HOP_BY_HOP_HEADERS].includes(name.toLowerCase()) && value !== undefined) {
+      res.set(name, value);
+    }
+  }
+  res.status(response.statusCode).send(response.body);
+}
+
+/**
+ * Records a forwarded exchange into the API's recordings
+ * @param {string} responsesDir - Responses directory of the API
+ * @param {Object} spec - Spec of the API
+ * @param {Object} req - Express request object
+ * @param {string} requestPath - Path of the request relative to the API's base path
+ * @param {Buffer|string} body - The forwarded request body
+ * @param {Object} response - The forwarded response ({ statusCode, headers, body })
+ * @returns {string|null} The recording's file name, or null for responses that aren't JSON
+ */
+function recordForwardedExchange(responsesDir, spec, req, requestPath, body, response) {
+  const contentType = response.headers['content-type'] || '';
+  if (req.method === 'OPTIONS' || response.statusCode === 304 || (response.body.length > 0 && !/json/i.test(contentType))) {
+    return null;
+  }
+
+  let data;
+  if (response.body.length > 0) {
+    try {
+      data = JSON.parse(response.body.toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Recordings are stored in <output>/<api>/responses, next to the API's swagger.json, and a
+  // request keeps its first recording, as with the recording proxy
+  if (!recorders.has(responsesDir)) {
+    const apiDir = path.dirname(responsesDir);
+    recorders.set(responsesDir, exchangeRecorder.createExchangeRecorder(path.basename(apiDir), {
+      output: path.dirname(apiDir),
+      spec: spec ? JSON.parse(JSON.stringify(spec)) : undefined,
+      dedupe: 'first'
+    }));
+  }
+  const recorder = recorders.get(responsesDir);
+  const result = recorder.record({
+    method: req.method,
+    path: requestPath,
+    query: Object.fromEntries(new URL(req.originalUrl, 'http://mock').searchParams),
+    headers: req.headers,
+    // Parsed bodies are recorded as parsed, others as text
+    body: body === undefined ? undefined : req.rawBody ? req.body : body.toString(),
+    statusCode: response.statusCode,
+    responseHeaders: response.headers,
+    data
+  });
+  recorder.save();
+  return result.file;
+}
+
+/**
+ * Answers a request by the operation's upstream policy
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} rule - The upstream rule
+ * @param {Object} options - Request options
+ * @param {string} options.requestPath - Path of the request relative to the API's base path
+ * @param {string} options.responsesDir - Responses directory of the API
+ * @param {Object} options.spec - Spec of the API
+ * @param {boolean} options.hasMock - Whether a recording answers the request
+ * @param {Function} options.serveMock - Answers the request from the mock
+ * @returns {Promise<void>}
+ */
+async function handleRequest(req, res, rule, options) {
+  if (rule.policy === 'mock-only' || (rule.policy === 'mock-then-proxy' && options.hasMock)) {
+    return options.serveMock();
+  }
+
+  let body;
+  let response;
+  try {
+    body = await readForwardedBody(req);
+    response = await forwardRequest(rule, req, options.requestPath, body);
+  } catch (error) {
+    if (rule.policy === 'proxy-then-mock-on-failure') {
+      console.warn(`Upstream request ${req.method} ${req.originalUrl} failed, serving the mock: ${error.message}`);
+      return options.serveMock();
+    }
+    console.error(`Upstream request ${req.method} ${req.originalUrl} failed: ${error.message}`);
+    return res.status(502).json({ error: 'Bad Gateway', message: `Upstream request failed: ${error.message}` });
+  }
+
+  if (rule.policy === 'proxy-then-mock-on-failure' && response.statusCode >= 500) {
+    console.warn(`Upstream answered ${req.method} ${req.originalUrl} with ${response.statusCode}, serving the mock`);
+    return options.serveMock();
+  }
+
+  if (rule.record && options.responsesDir) {
+    try {
+      const file = recordForwardedExchange(options.responsesDir, options.spec, req, options.requestPath, body, response);
+      if (file) {
+        console.log(`Recorded ${req.method} ${req.originalUrl} as ${file}`);
+      }
+    } catch (error) {
+      console.error(`Failed to record ${req.method} ${req.originalUrl}: ${error.message}`);
+    }
+  }
+
+  console.log(`${req.method} ${req.originalUrl} => ${response.statusCode} (upstream)`);
+  sendForwardedResponse(res, response);
+}
+
+/**
+ * Registers the forwarding of requests to paths the spec doesn't declare
+ * Only registered when the API's default policy forwards requests.
+ * @param {Object} app - Express application or router
+ * @param {string} basePath - Base path of the API
+ * @param {Object} config - API configuration (with upstream settings)
+ * @param {string} responsesDir - Responses directory of the API
+ */
+function registerUpstreamRoute(app, basePath, config, responsesDir) {
+  // Only rules without an operation (or with '*') apply to paths without a route
+  const rule = getUpstreamRule(config, { method: 'any', path: '*' });
+  if (rule.policy === 'mock-only') {
+    return;
+  }
+
+  app.use(basePath, (req, res, next) => {
+    handleRequest(req, res, rule, {
+      requestPath: req.path,
+      responsesDir,
+      spec: config.swagger,
+      hasMock: false,
+      serveMock: () => next()
+    }).catch(next);
+  });
+  console.log(`Forwarding requests to ${basePath} without a route to ${rule.url}`);
+}
+
+module.exports = {
+  POLICIES,
+  getUpstreamRule,
+  getRequestPath,
+  captureRawBody,
+  readForwardedBody,
+  forwardRequest,
+  handleRequest,
+  registerUpstreamRoute
+};
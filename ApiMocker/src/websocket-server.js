@@ -0,0 +1,336 @@
+/**
+ * WebSocket Server Module
+ * Minimal RFC 6455 WebSocket support for the mock servers: the opening handshake with
+ * subprotocol negotiation, text messages (including fragmented ones), ping/pong and the
+ * closing handshake. Upgrade requests are routed through the Express app, so that
+ * WebSocket endpoints are registered like any other route.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { EventEmitter } = require('events');
+
+// Appended to the client key to compute Sec-WebSocket-Accept (RFC 6455, section 1.3)
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Frame opcodes
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xA
+};
+
+// Largest message accepted from a client
+const MAX_MESSAGE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Encodes a single (final) WebSocket frame
+ * Frames sent by servers are unmasked; clients must mask theirs.
+ * @param {number} opcode - The frame opcode
+ * @param {Buffer|string} payload - The payload
+ * @param {boolean} mask - Whether to mask the payload
+ * @returns {Buffer} The encoded frame
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0), mask = false) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8');
+
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([0x80 | opcode, data.length]);
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+
+  if (!mask) {
+    return Buffer.concat([header, data]);
+  }
+
+  header[1] |= 0x80;
+  const maskingKey = crypto.randomBytes(4);
+  const masked = Buffer.from(data.map((byte, index) => byte ^ maskingKey[index % 4]));
+  return Buffer.concat([header, maskingKey, masked]);
+}
+
+/**
+ * Creates an incremental parser for a stream of WebSocket frames
+ * @param {Function} onFrame - Called with each complete frame ({ fin, opcode, masked, payload })
+ * @returns {Function} Feeds a chunk of received data to the parser
+ */
+function createFrameParser(onFrame) {
+  let buffered = Buffer.alloc(0);
+
+  return chunk => {
+    buffered = Buffer.concat([buffered, chunk]);
+
+    while (buffered.length >= 2) {
+      const fin = (buffered[0] & 0x80) !== 0;
+      const opcode = buffered[0] & 0x0F;
+      const masked = (buffered[1] & 0x80) !== 0;
+      let length = buffered[1] & 0x7F;
+      let offset = 2;
+
+      if (length === 126) {
+        if (buffered.length < 4) {
+          return;
+        }
+        length = buffered.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffered.length < 10) {
+          return;
+        }
+        length = Number(buffered.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      if (length > MAX_MESSAGE_SIZE) {
+        const error = new Error('Message too big');
+        error.closeCode = 1009;
+        throw error;
+      }
+
+      const maskingKey = masked ? buffered.subarray(offset, offset + 4) : null;
+      offset += masked ? 4 : 0;
+      if (buffered.length < offset + length) {
+        return;
+      }
+
+      const payload = Buffer.from(buffered.subarray(offset, offset + length));
+      if (maskingKey) {
+        for (let index = 0; index < payload.length; index++) {
+          payload[index] ^= maskingKey[index % 4];
+        }
+      }
+      buffered = buffered.subarray(offset + length);
+
+      onFrame({ fin, opcode, masked, payload });
+    }
+  };
+}
+
+/**
+ * Completes the opening handshake of a WebSocket upgrade request
+ * The server picks the first subprotocol offered by the client that it supports. Requests
+ * that aren't valid WebSocket upgrades, or don't offer a supported subprotocol, are
+ * answered with 400 and the socket is closed.
+ * @param {Object} req - The upgrade request, with req.upgrade set by routeUpgrades
+ * @param {Array<string>} protocols - The supported subprotocols
+ * @returns {Object|null} The connection, or null if the handshake failed
+ */
+function acceptUpgrade(req, protocols = []) {
+  const { socket, head } = req.upgrade;
+  const key = req.headers['sec-websocket-key'];
+  const offered = (req.headers['sec-websocket-protocol'] || '')
+    .split(',')
+    .map(protocol => protocol.trim())
+    .filter(Boolean);
+  const protocol = offered.find(candidate => protocols.includes(candidate));
+
+  let failure = null;
+  if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+    failure = 'Invalid WebSocket upgrade request';
+  } else if (req.headers['sec-websocket-version'] !== '13') {
+    failure = 'Unsupported WebSocket version';
+  } else if (protocols.length > 0 && !protocol) {
+    failure = `Unsupported WebSocket subprotocol, expected one of: ${protocols.join(', ')}`;
+  }
+
+  if (failure) {
+    socket.end(`HTTP/1.1 400 Bad Request\r\nContent-Type: text/plain\r\nContent-Length: ${Buffer.byteLength(failure)}\r\nConnection: close\r\n\r\n${failure}`);
+    return null;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    ...(protocol ? [`Sec-WebSocket-Protocol: ${protocol}`] : []),
+    '',
+    ''
+  ].join('\r\n'));
+
+  return createConnection(socket, protocol || null, head);
+}
+
+/**
+ * Wraps an upgraded socket in a WebSocket connection
+ * The connection emits 'message' (text) and 'close' (code, reason) events.
+ * @param {Object} socket - The upgraded socket
+ * @param {string|null} protocol - The negotiated subprotocol
+ * @param {Buffer} head - Data received after the upgrade request, if any
+ * @returns {Object} The connection ({ protocol, send, close, on })
+ */
+function createConnection(socket, protocol, head) {
+  const connection = new EventEmitter();
+  let state = 'open';
+  let fragments = [];
+  let fragmentOpcode = null;
+
+  connection.protocol = protocol;
+
+  /**
+   * Sends a text message
+   * @param {string} message - The message
+   */
+  connection.send = message => {
+    if (state === 'open') {
+      socket.write(encodeFrame(OPCODES.TEXT, message));
+    }
+  };
+
+  /**
+   * Starts the closing handshake
+   * @param {number} code - The close code
+   * @param {string} reason - The close reason
+   */
+  connection.close = (code = 1000, reason = '') => {
+    if (state !== 'open') {
+      return;
+    }
+    state = 'closing';
+
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    socket.end(encodeFrame(OPCODES.CLOSE, payload));
+    finish(code, reason);
+  };
+
+  /**
+   * Marks the connection closed and notifies the listeners once
+   * @param {number} code - The close code
+   * @param {string} reason - The close reason
+   */
+  const finish = (code, reason) => {
+    if (state === 'closed') {
+      return;
+    }
+    state = 'closed';
+    connection.emit('close', code, reason);
+  };
+
+  const parse = createFrameParser(frame => {
+    if (state === 'closed') {
+      return;
+    }
+
+    // Clients must mask their frames (RFC 6455, section 5.1)
+    if (!frame.masked) {
+      connection.close(1002, 'Frames from clients must be masked');
+      return;
+    }
+
+    switch (frame.opcode) {
+      case OPCODES.PING:
+        socket.write(encodeFrame(OPCODES.PONG, frame.payload));
+        return;
+      case OPCODES.PONG:
+        return;
+      case OPCODES.CLOSE: {
+        const code = frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1005;
+        const reason = frame.payload.subarray(2).toString('utf8');
+        if (state === 'open') {
+          state = 'closing';
+          socket.end(encodeFrame(OPCODES.CLOSE, frame.payload.subarray(0, 2)));
+        }
+        finish(code, reason);
+        return;
+      }
+      case OPCODES.TEXT:
+      case OPCODES.BINARY:
+      case OPCODES.CONTINUATION:
+        break;
+      default:
+        connection.close(1002, `Unknown opcode ${frame.opcode}`);
+        return;
+    }
+
+    if (frame.opcode !== OPCODES.CONTINUATION) {
+      fragmentOpcode = frame.opcode;
+      fragments = [];
+    } else if (fragmentOpcode === null) {
+      connection.close(1002, 'Unexpected continuation frame');
+      return;
+    }
+
+    fragments.push(frame.payload);
+    if (fragments.reduce((size, fragment) => size + fragment.length, 0) > MAX_MESSAGE_SIZE) {
+      connection.close(1009, 'Message too big');
+      return;
+    }
+    if (frame.fin) {
+      const message = Buffer.concat(fragments).toString('utf8');
+      fragments = [];
+      fragmentOpcode = null;
+      connection.emit('message', message);
+    }
+  });
+
+  /**
+   * Parses received data, failing the connection on protocol errors
+   * @param {Buffer} chunk - The received data
+   */
+  const receive = chunk => {
+    if (state === 'closed') {
+      return;
+    }
+    try {
+      parse(chunk);
+    } catch (error) {
+      connection.close(error.closeCode || 1002, error.message);
+    }
+  };
+
+  socket.on('data', receive);
+  // HTTP server sockets allow half-open connections, so the server side is ended explicitly
+  socket.on('end', () => socket.end());
+  socket.on('close', () => finish(1006, ''));
+  socket.on('error', () => socket.destroy());
+
+  // Frames sent along with the upgrade request are delivered once listeners are attached
+  if (head && head.length > 0) {
+    process.nextTick(() => receive(head));
+  }
+
+  return connection;
+}
+
+/**
+ * Routes the WebSocket upgrade requests of an HTTP server through an Express app
+ * The request reaches the app as a GET request with req.upgrade ({ socket, head }) set;
+ * routes that don't accept the upgrade answer over HTTP, after which the socket is closed.
+ * @param {Object} httpServer - The HTTP server
+ * @param {Function} app - The Express app (or router) handling the server's requests
+ */
+function routeUpgrades(httpServer, app) {
+  httpServer.on('upgrade', (req, socket, head) => {
+    req.upgrade = { socket, head };
+
+    const res = new http.ServerResponse(req);
+    res.assignSocket(socket);
+    res.on('finish', () => socket.destroy());
+
+    app(req, res);
+  });
+}
+
+module.exports = {
+  OPCODES,
+  encodeFrame,
+  createFrameParser,
+  acceptUpgrade,
+  routeUpgrades
+};
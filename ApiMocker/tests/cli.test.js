@@ -66,6 +66,34 @@ jest.mock('../src/api-recorder', () => ({
   recordResponses: jest.fn().mockResolvedValue({})
 }));
 
+jest.mock('../src/graphql-recorder', () => ({
+  recordGraphQLApi: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../src/api-registry', () => ({
+  loadApiConfigurations: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../src/coverage-report', () => ({
+  analyzeCoverage: jest.fn().mockResolvedValue([]),
+  formatCoverageTable: jest.fn().mockReturnValue('matrix'),
+  renderCoveragePage: jest.fn().mockReturnValue('<html></html>')
+}));
+
+jest.mock('../src/har-converter', () => ({
+  importHar: jest.fn().mockReturnValue({ imported: 3, baseUrl: 'https://shop.test', recordings: 2, operations: 2, addedOperations: 1, skipped: 1 }),
+  exportHar: jest.fn().mockReturnValue({ log: { version: '1.2', entries: [{}, {}] } })
+}));
+
+jest.mock('../src/recording-proxy', () => ({
+  startRecordingProxy: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../src/response-validator', () => ({
+  verifyRecordings: jest.fn(),
+  formatReport: jest.fn().mockReturnValue('report')
+}));
+
 // Mock console.log and console.error to capture output
 let consoleOutput = [];
 const originalLog = console.log;
@@ -105,6 +133,11 @@ describe('CLI Module', () => {
   let apiClassifier;
   let endpointExtractor;
   let apiRecorder;
+  let graphqlRecorder;
+  let apiRegistry;
+  let responseValidator;
+  let coverageReport;
+  let harConverter;
   
   beforeEach(() => {
     jest.resetModules();
@@ -116,6 +149,11 @@ describe('CLI Module', () => {
     apiClassifier = require('../src/api-classifier');
     endpointExtractor = require('../src/endpoint-extractor');
     apiRecorder = require('../src/api-recorder');
+    graphqlRecorder = require('../src/graphql-recorder');
+    apiRegistry = require('../src/api-registry');
+    responseValidator = require('../src/response-validator');
+    coverageReport = require('../src/coverage-report');
+    harConverter = require('../src/har-converter');
   });
   
   test('should configure CLI program with correct commands', () => {
@@ -237,6 +275,28 @@ describe('CLI Module', () => {
     );
   });
   
+  test('should record GraphQL APIs by introspection', async () => {
+    const recordAction = require('commander').program.command().action.mock.calls[0][0];
+    
+    await recordAction({
+      url: 'http://api.example.com',
+      name: 'graphql-api',
+      timeout: '10000',
+      output: './data',
+      force: false,
+      graphql: '/api/graphql',
+      depth: '3'
+    });
+    
+    expect(graphqlRecorder.recordGraphQLApi).toHaveBeenCalledWith(
+      'http://api.example.com',
+      'graphql-api',
+      path.resolve('./data', 'graphql-api'),
+      expect.objectContaining({ endpoint: '/api/graphql', depth: 3, arguments: {} })
+    );
+    expect(swaggerFetcher.fetchSwagger).not.toHaveBeenCalled();
+  });
+  
   test('should validate required options for record command', async () => {
     // Get the action callback for record command
     const recordAction = require('commander').program.command().action.mock.calls[0][0];
@@ -354,4 +414,82 @@ describe('CLI Module', () => {
       })
     );
   });
+  
+  test('should verify recordings and fail on violations', async () => {
+    const verifyAction = require('commander').program.command().action.mock.calls[2][0];
+    const api = { name: 'pets', swagger: { paths: {} }, responsesDir: './data/pets/responses' };
+    apiRegistry.loadApiConfigurations.mockResolvedValue([api, { name: 'other', swagger: { paths: {} } }]);
+    responseValidator.verifyRecordings.mockReturnValue({ api: 'pets', operations: [], violations: 1 });
+    
+    await verifyAction({ data: './data', api: 'pets', output: 'report.json' });
+    
+    expect(responseValidator.verifyRecordings).toHaveBeenCalledTimes(1);
+    expect(responseValidator.verifyRecordings).toHaveBeenCalledWith(api);
+    expect(consoleOutput).toContain('report');
+    expect(require('fs').writeFileSync).toHaveBeenCalledWith('report.json', expect.stringContaining('"violations": 1'));
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+  
+  test('should report recording coverage in the requested format', async () => {
+    const coverageAction = require('commander').program.command().action.mock.calls[3][0];
+    apiRegistry.loadApiConfigurations.mockResolvedValue([{ name: 'pets' }]);
+    
+    await coverageAction({ data: './data', format: 'console' });
+    expect(coverageReport.analyzeCoverage).toHaveBeenCalledWith([{ name: 'pets' }]);
+    expect(consoleOutput).toContain('matrix');
+    
+    await coverageAction({ data: './data', format: 'html', output: 'coverage.html' });
+    expect(require('fs').writeFileSync).toHaveBeenCalledWith('coverage.html', '<html></html>');
+    
+    await coverageAction({ data: './data', format: 'xml' });
+    expect(consoleOutput.some(output => output.includes('Unknown report format: xml'))).toBe(true);
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+  
+  test('should import HAR files into an API', async () => {
+    const importAction = require('commander').program.command().action.mock.calls[4][0];
+    
+    await importAction('traffic.har', { name: 'pets', output: './data', baseUrl: 'https://shop.test' });
+    expect(harConverter.importHar).toHaveBeenCalledWith('traffic.har', 'pets', { output: './data', baseUrl: 'https://shop.test' });
+    expect(consoleOutput.some(output => output.includes('Imported 3 requests from https://shop.test into 2 recordings'))).toBe(true);
+    
+    await importAction('traffic.har', { output: './data' });
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+  
+  test('should export the recordings of an API as HAR', async () => {
+    const exportAction = require('commander').program.command().action.mock.calls[5][0];
+    const api = { name: 'pets', responsesDir: './data/pets/responses' };
+    apiRegistry.loadApiConfigurations.mockResolvedValue([api]);
+    
+    await exportAction({ data: './data', api: 'pets' });
+    expect(harConverter.exportHar).toHaveBeenCalledWith(api, { baseUrl: undefined });
+    expect(require('fs').writeFileSync).toHaveBeenCalledWith('pets.har', expect.stringContaining('"version": "1.2"'));
+    
+    await exportAction({ data: './data', api: 'unknown' });
+    expect(consoleOutput.some(output => output.includes('API not found: unknown'))).toBe(true);
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+  
+  test('should start the recording proxy with the listed filters', async () => {
+    const proxyAction = require('commander').program.command().action.mock.calls[6][0];
+    const recordingProxy = require('../src/recording-proxy');
+    
+    await proxyAction({ url: 'https://pets.test/api', name: 'pets', port: '8080', host: 'localhost', output: './data', include: '/pets*, /stores*', redact: 'X-Api-Key', dedupe: 'first', maxBodySize: '1048576' });
+    expect(recordingProxy.startRecordingProxy).toHaveBeenCalledWith({
+      upstream: 'https://pets.test/api',
+      name: 'pets',
+      port: '8080',
+      host: 'localhost',
+      output: './data',
+      include: ['/pets*', '/stores*'],
+      exclude: [],
+      redactHeaders: ['X-Api-Key'],
+      dedupe: 'first',
+      maxBodySize: 1048576
+    });
+    
+    await proxyAction({ name: 'pets' });
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
 });
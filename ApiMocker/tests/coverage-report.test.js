@@ -0,0 +1,163 @@
+/**
+ * Tests for the spec-to-recording coverage report
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const coverageReport = require('../src/coverage-report');
+
+const EDMX = `<?xml version="1.0" encoding="utf-8"?>
+<edmx:Edmx Version="4.0" xmlns:edmx="http://docs.oasis-open.org/odata/ns/edmx">
+  <edmx:DataServices>
+    <Schema Namespace="Shop" xmlns="http://docs.oasis-open.org/odata/ns/edm">
+      <EntityType Name="Product">
+        <Key><PropertyRef Name="id"/></Key>
+        <Property Name="id" Type="Edm.Int32" Nullable="false"/>
+      </EntityType>
+      <Function Name="GetTopProducts">
+        <ReturnType Type="Collection(Shop.Product)"/>
+      </Function>
+      <Action Name="ResetData"/>
+      <EntityContainer Name="Container">
+        <EntitySet Name="Products" EntityType="Shop.Product"/>
+        <EntitySet Name="Orders" EntityType="Shop.Product"/>
+        <FunctionImport Name="GetTopProducts" Function="Shop.GetTopProducts"/>
+        <ActionImport Name="ResetData" Action="Shop.ResetData"/>
+      </EntityContainer>
+    </Schema>
+  </edmx:DataServices>
+</edmx:Edmx>`;
+
+describe('Coverage Report', () => {
+  let apiDir;
+  let responsesDir;
+
+  /**
+   * Writes files of the API under test
+   * @param {string} dir - Directory of the files
+   * @param {Object} files - File contents by name (objects are written as JSON)
+   */
+  const writeFiles = (dir, files) => {
+    fs.mkdirSync(dir, { recursive: true });
+    for (const [name, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+  };
+
+  beforeEach(() => {
+    apiDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coverage-report-'));
+    responsesDir = path.join(apiDir, 'responses');
+    fs.mkdirSync(responsesDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(apiDir, { recursive: true, force: true });
+  });
+
+  describe('Swagger/OpenAPI specs', () => {
+    const swagger = {
+      swagger: '2.0',
+      paths: {
+        '/pets': {
+          get: { operationId: 'listPets', responses: { '200': { description: 'OK', schema: { type: 'array' } } } },
+          post: { operationId: 'createPet', responses: { '201': { description: 'Created', schema: { type: 'object' } } } }
+        },
+        '/pets/{petId}': {
+          get: {
+            operationId: 'getPet',
+            responses: { '200': { description: 'OK' }, '404': { description: 'Not found' } }
+          },
+          delete: { operationId: 'deletePet', responses: { '204': { description: 'Deleted' } } }
+        },
+        '/stores': {
+          get: { operationId: 'listStores', responses: { '200': { description: 'OK' } } }
+        }
+      }
+    };
+
+    test('should classify each operation and list its status codes and variants', async () => {
+      writeFiles(responsesDir, {
+        'listpets.json': [{ id: 1 }],
+        'listpets_select_id_name.json': [{ id: 1, name: 'Rex' }],
+        'get_pets_petId_petId-1.json': { statusCode: 200, data: { id: 1 } },
+        'deletepet.json': { error: true, statusCode: 500, message: 'Boom' },
+        'stores.json': [],
+        '_endpoints.json': { '/stores': { operationId: 'listStores', method: 'get', responseFile: 'stores.json' } },
+        '_metadata.json': { endpoints: [] }
+      });
+
+      const result = await coverageReport.analyzeApiCoverage({ name: 'pets', swagger, responsesDir });
+
+      expect(result.source).toBe('swagger');
+      expect(result.summary).toEqual({ total: 5, recorded: 3, 'fallback-only': 1, 'error-only': 1, missing: 0 });
+      expect(result.operations.map(operation => [operation.method, operation.path, operation.status])).toEqual([
+        ['GET', '/pets', 'recorded'],
+        ['POST', '/pets', 'fallback-only'],
+        ['GET', '/pets/{petId}', 'recorded'],
+        ['DELETE', '/pets/{petId}', 'error-only'],
+        ['GET', '/stores', 'recorded']
+      ]);
+
+      const [listPets, , getPet] = result.operations;
+      expect(listPets.variants).toEqual(['listpets_select_id_name.json']);
+      expect(getPet.variants).toEqual(['get_pets_petId_petId-1.json']);
+      expect(getPet.statusCodes).toEqual({ declared: ['200', '404'], recorded: [200], missing: ['404'] });
+    });
+
+    test('should report operations without recordings or response schemas as missing', async () => {
+      const result = await coverageReport.analyzeApiCoverage({ name: 'pets', swagger, responsesDir });
+
+      expect(result.operations.find(operation => operation.operationId === 'getPet').status).toBe('missing');
+      expect(result.operations.find(operation => operation.operationId === 'listPets').status).toBe('fallback-only');
+    });
+
+    test('should count operations the recorder failed on as error-only', async () => {
+      writeFiles(responsesDir, {
+        '_metadata.json': { endpoints: [{ path: '/stores', method: 'get', operationId: 'listStores', status: 'error' }] }
+      });
+
+      const result = await coverageReport.analyzeApiCoverage({ name: 'pets', swagger, responsesDir });
+
+      expect(result.operations.find(operation => operation.operationId === 'listStores').status).toBe('error-only');
+    });
+  });
+
+  test('should read entity sets and operation imports from the EDMX schema', async () => {
+    writeFiles(responsesDir, { '$metadata.xml': EDMX, 'resetdata.json': { error: true, message: 'Forbidden' } });
+    writeFiles(path.join(apiDir, 'data'), { 'Products.json': [{ id: 1 }] });
+
+    const result = await coverageReport.analyzeApiCoverage({
+      name: 'shop',
+      dirPath: apiDir,
+      responsesDir,
+      odata: { operations: { GetTopProducts: './top-products.js' } }
+    });
+
+    expect(result.source).toBe('edmx');
+    expect(result.operations.map(operation => [operation.method, operation.path, operation.status])).toEqual([
+      ['GET', '/Products', 'recorded'],
+      ['GET', '/Orders', 'missing'],
+      ['GET', '/GetTopProducts', 'fallback-only'],
+      ['POST', '/ResetData', 'error-only']
+    ]);
+  });
+
+  test('should render the matrix for the console and as HTML', async () => {
+    const results = await coverageReport.analyzeCoverage([
+      { name: 'pets', responsesDir, swagger: { paths: { '/pets': { get: { operationId: 'listPets', responses: { '200': { description: 'OK' } } } } } } },
+      { name: 'empty', responsesDir }
+    ]);
+
+    expect(results).toHaveLength(1);
+    expect(coverageReport.formatCoverageTable(results).split('\n')).toEqual([
+      'pets (swagger): 1 operation: 0 recorded, 0 fallback-only, 0 error-only, 1 missing',
+      '  METHOD  PATH   STATUS   RECORDED CODES  MISSING CODES  VARIANTS',
+      '  GET     /pets  missing  -               200            0'
+    ]);
+
+    const html = coverageReport.renderCoveragePage(results);
+    expect(html).toContain('<tr class="coverage-missing">');
+    expect(html).toContain('<h3>pets</h3>');
+  });
+});
@@ -182,6 +182,17 @@ describe('CRUD Operations Handler', () => {
       
       expect(result).toBe(false);
     });
+    
+    test('should delete items without an ID by reference only', () => {
+      crudHandler.resetDataStore(apiName);
+      const collection = crudHandler.getCollection(apiName, collectionName);
+      collection.push({ code: 'A' }, { code: 'B' });
+      
+      expect(crudHandler.handleDelete(apiName, collectionName, undefined)).toBe(false);
+      expect(crudHandler.handleDelete(apiName, collectionName, null)).toBe(false);
+      expect(crudHandler.handleDelete(apiName, collectionName, collection[1])).toBe(true);
+      expect(crudHandler.getCollection(apiName, collectionName)).toEqual([{ code: 'A' }]);
+    });
   });
   
   describe('Query operations', () => {
@@ -221,6 +232,186 @@ describe('CRUD Operations Handler', () => {
     });
   });
   
+  describe('Versions and preconditions', () => {
+    const versionedApi = 'versioned-api';
+    
+    beforeEach(() => {
+      crudHandler.initializeDataStore(versionedApi, {});
+      crudHandler.resetDataStore(versionedApi);
+    });
+    
+    test('should bump the version of an item on every write', () => {
+      const created = crudHandler.handlePost(versionedApi, collectionName, { id: '1', name: 'Rex' });
+      expect(crudHandler.getETag(created)).toMatch(/^W\/"1-[0-9a-f]{8}"$/);
+      
+      const replaced = crudHandler.handlePut(versionedApi, collectionName, '1', { name: 'Max' });
+      const patched = crudHandler.handlePatch(versionedApi, collectionName, '1', { age: 4 });
+      
+      expect(crudHandler.getVersion(replaced)).toBe(2);
+      expect(crudHandler.getETag(patched)).toMatch(/^W\/"3-[0-9a-f]{8}"$/);
+    });
+    
+    test('should treat items that were never written as version 1', () => {
+      crudHandler.getCollection(versionedApi, collectionName).push({ id: '1', name: 'Rex' });
+      
+      expect(crudHandler.getETag(crudHandler.getById(versionedApi, collectionName, '1'))).toMatch(/^W\/"1-/);
+    });
+    
+    test('should tell contents apart when versions start over', () => {
+      const before = crudHandler.getETag(crudHandler.handlePost(versionedApi, collectionName, { id: '1', name: 'Rex' }));
+      
+      crudHandler.resetDataStore(versionedApi);
+      const other = crudHandler.getETag(crudHandler.handlePost(versionedApi, collectionName, { id: '1', name: 'Max' }));
+      crudHandler.resetDataStore(versionedApi);
+      const same = crudHandler.getETag(crudHandler.handlePost(versionedApi, collectionName, { id: '1', name: 'Rex' }));
+      
+      expect(other).not.toBe(before);
+      expect(same).toBe(before);
+    });
+    
+    test('should keep versions across snapshots', () => {
+      crudHandler.handlePost(versionedApi, collectionName, { id: '1', name: 'Rex' });
+      crudHandler.handlePatch(versionedApi, collectionName, '1', { age: 4 });
+      const snapshot = crudHandler.createSnapshot(versionedApi);
+      
+      crudHandler.handlePatch(versionedApi, collectionName, '1', { age: 5 });
+      crudHandler.restoreSnapshot(versionedApi, snapshot);
+      
+      expect(crudHandler.getVersion(crudHandler.getById(versionedApi, collectionName, '1'))).toBe(2);
+    });
+    
+    // <current> and <stale> stand for the opaque tags of the patched and the created item
+    test.each([
+      [{ ifMatch: 'W/<current>' }, 'PATCH', null],
+      [{ ifMatch: '<current>' }, 'PATCH', null],
+      [{ ifMatch: '*' }, 'DELETE', null],
+      [{ ifMatch: 'W/<stale>, W/<current>' }, 'PUT', null],
+      [{ ifMatch: 'W/<stale>' }, 'PATCH', 412],
+      [{ ifNoneMatch: 'W/<current>' }, 'GET', 304],
+      [{ ifNoneMatch: 'W/<stale>' }, 'GET', null],
+      [{ ifNoneMatch: '*' }, 'PUT', 412],
+      [{}, 'PATCH', null]
+    ])('should evaluate %p for %s', (conditions, method, expected) => {
+      const created = crudHandler.handlePost(versionedApi, collectionName, { id: '1', name: 'Rex' });
+      const item = crudHandler.handlePatch(versionedApi, collectionName, '1', { age: 4 });
+      const tags = { '<current>': crudHandler.getETag(item).slice(2), '<stale>': crudHandler.getETag(created).slice(2) };
+      const headers = Object.fromEntries(Object.entries(conditions)
+        .map(([name, value]) => [name, value.replace(/<current>|<stale>/g, tag => tags[tag])]));
+      
+      expect(crudHandler.checkPreconditions(item, headers, { method })).toBe(expected);
+    });
+    
+    test('should require preconditions for writes when configured', () => {
+      const item = crudHandler.handlePost(versionedApi, collectionName, { id: '1', name: 'Rex' });
+      const options = { requirePreconditions: true };
+      
+      expect(crudHandler.checkPreconditions(item, {}, { ...options, method: 'PATCH' })).toBe(428);
+      expect(crudHandler.checkPreconditions(item, {}, { ...options, method: 'GET' })).toBeNull();
+      expect(crudHandler.checkPreconditions(null, { ifMatch: '*' }, { ...options, method: 'PUT' })).toBe(412);
+    });
+  });
+  
+  describe('Change tracking', () => {
+    const trackedApi = 'tracked-api';
+    
+    beforeEach(() => {
+      crudHandler.initializeDataStore(trackedApi, {});
+      crudHandler.resetDataStore(trackedApi);
+    });
+    
+    test('should report the items changed and removed since a token', () => {
+      crudHandler.handlePost(trackedApi, collectionName, { id: '1', name: 'Rex' });
+      crudHandler.handlePost(trackedApi, collectionName, { id: '2', name: 'Tom' });
+      const token = crudHandler.getChangeToken(trackedApi);
+      
+      crudHandler.handlePatch(trackedApi, collectionName, '1', { age: 4 });
+      crudHandler.handlePut(trackedApi, collectionName, '1', { name: 'Max' });
+      crudHandler.handleDelete(trackedApi, collectionName, '2');
+      crudHandler.handlePost(trackedApi, 'owners', { id: '1', name: 'Ann' });
+      
+      const changes = crudHandler.getChangesSince(trackedApi, collectionName, token);
+      
+      expect(changes.changed).toEqual([{ id: '1', name: 'Max' }]);
+      expect(changes.removed).toEqual([{ id: '2', name: 'Tom' }]);
+      expect(changes.token).toBe(token.replace(/\.2$/, '.6'));
+    });
+    
+    test('should omit items added and removed within the same window', () => {
+      crudHandler.handlePost(trackedApi, collectionName, { id: '1', name: 'Rex' });
+      crudHandler.handleDelete(trackedApi, collectionName, '1');
+      
+      expect(crudHandler.getChangesSince(trackedApi, collectionName, '0')).toEqual({
+        changed: [],
+        removed: [],
+        token: expect.stringMatching(/^[0-9a-f]+\.2$/)
+      });
+    });
+    
+    test('should roll the change log back with snapshots', () => {
+      crudHandler.handlePost(trackedApi, collectionName, { id: '1', name: 'Rex' });
+      const token = crudHandler.getChangeToken(trackedApi);
+      const snapshot = crudHandler.createSnapshot(trackedApi);
+      crudHandler.handlePost(trackedApi, collectionName, { id: '2', name: 'Tom' });
+      const rolledBackToken = crudHandler.getChangeToken(trackedApi);
+      
+      crudHandler.restoreSnapshot(trackedApi, snapshot);
+      
+      expect(crudHandler.getChangeToken(trackedApi)).toBe(token);
+      expect(() => crudHandler.getChangesSince(trackedApi, collectionName, rolledBackToken))
+        .toThrow(expect.objectContaining({ statusCode: 410 }));
+    });
+    
+    test('should expire the tokens issued before a reset', () => {
+      crudHandler.handlePost(trackedApi, collectionName, { id: '1', name: 'Rex' });
+      const token = crudHandler.getChangeToken(trackedApi);
+      
+      crudHandler.resetDataStore(trackedApi);
+      crudHandler.handlePost(trackedApi, collectionName, { id: '2', name: 'Tom' });
+      crudHandler.handlePost(trackedApi, collectionName, { id: '3', name: 'Max' });
+      
+      expect(crudHandler.getChangeToken(trackedApi)).not.toBe(token.replace(/\.1$/, '.2'));
+      expect(() => crudHandler.getChangesSince(trackedApi, collectionName, token))
+        .toThrow(expect.objectContaining({ statusCode: 410, message: `Change token ${token} has expired, the data has changed since` }));
+    });
+    
+    test('should notify change listeners of the writes in a snapshot once it is committed', () => {
+      const listener = jest.fn();
+      const removeListener = crudHandler.onChange(trackedApi, listener);
+      
+      const rolledBack = crudHandler.createSnapshot(trackedApi);
+      crudHandler.handlePost(trackedApi, collectionName, { id: '1', name: 'Rex' });
+      crudHandler.restoreSnapshot(trackedApi, rolledBack);
+      const committed = crudHandler.createSnapshot(trackedApi);
+      crudHandler.handlePost(trackedApi, collectionName, { id: '2', name: 'Tom' });
+      
+      expect(listener).not.toHaveBeenCalled();
+      crudHandler.commitSnapshot(trackedApi, committed);
+      removeListener();
+      
+      expect(listener.mock.calls.map(([change]) => [change.type, change.id])).toEqual([['added', '2']]);
+    });
+    
+    test('should notify change listeners until they are removed', () => {
+      const listener = jest.fn();
+      const removeListener = crudHandler.onChange(trackedApi, listener);
+      
+      crudHandler.handlePost(trackedApi, collectionName, { id: '1', name: 'Rex' });
+      crudHandler.handleDelete(trackedApi, collectionName, '1');
+      removeListener();
+      crudHandler.handlePost(trackedApi, collectionName, { id: '2', name: 'Tom' });
+      
+      expect(listener.mock.calls.map(([change]) => [change.type, change.collection, change.id])).toEqual([
+        ['added', collectionName, '1'],
+        ['removed', collectionName, '1']
+      ]);
+    });
+    
+    test.each(['abc', '-1', '1.5.2', '99'])('should reject the invalid token %p', token => {
+      expect(() => crudHandler.getChangesSince(trackedApi, collectionName, token))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+  
   describe('Data persistence', () => {
     test('should load initial data from files', () => {
       // Mock file system
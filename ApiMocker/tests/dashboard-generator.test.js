@@ -121,6 +121,18 @@ describe('Dashboard Generator', () => {
     expect(html).toContain('/odata');
   });
 
+  test('embeds the recording coverage of APIs with a spec', async () => {
+    const html = await dashboardGenerator.generateCoverageSection([{
+      name: 'pets',
+      responsesDir: 'data/test-api-1/responses',
+      swagger: { paths: { '/pets': { get: { operationId: 'listPets', responses: {} } } } }
+    }]);
+    
+    expect(html).toContain('<h2>Recording Coverage</h2>');
+    expect(html).toContain('<h3>pets</h3>');
+    expect(html).toContain('<tr class="coverage-missing">');
+  });
+
   test('generates API listing table', async () => {
     const apis = await apiRegistry.loadApiConfigurations('data');
     const tableHtml = dashboardGenerator.generateApiTable(apis);
@@ -99,6 +99,51 @@ describe('Express Server Setup', () => {
       });
   });
   
+  test('generates fallback responses from the response schema', async () => {
+    app = expressServer.createApp();
+    fs.existsSync.mockReturnValue(false);
+    
+    const configs = [
+      {
+        name: 'pet-api',
+        basePath: '/api/pets',
+        swagger: {
+          swagger: '2.0',
+          info: { title: 'Pet API', version: '1.0.0' },
+          paths: {
+            '/pets/{id}': {
+              get: {
+                operationId: 'getPet',
+                responses: {
+                  '200': { description: 'OK', schema: { $ref: '#/definitions/Pet' } }
+                }
+              }
+            }
+          },
+          definitions: {
+            Pet: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer' },
+                name: { type: 'string' },
+                status: { type: 'string', enum: ['available', 'sold'] }
+              }
+            }
+          }
+        },
+        responsesDir: path.join(__dirname, 'fixtures/pet-api/responses')
+      }
+    ];
+    
+    expressServer.registerApiRoutes(app, configs);
+    
+    const first = await request(app).get('/api/pets/pets/7').expect(200);
+    const second = await request(app).get('/api/pets/pets/7').expect(200);
+    
+    expect(first.body).toEqual({ id: 7, name: expect.any(String), status: expect.stringMatching(/^(available|sold)$/) });
+    expect(second.body).toEqual(first.body);
+  });
+  
   test('creates a dashboard route to display available APIs', () => {
     // Create app
     app = expressServer.createApp();
@@ -0,0 +1,156 @@
+/**
+ * Introspection result of the GraphQL schema used by the GraphQL tests
+ *
+ * type Query { users(first: Int, role: Role): [User!]!, user(id: ID!): User, node(id: ID!): Node,
+ *              search(text: String!): [SearchResult!], stats: Stats }
+ * type Mutation { createUser(input: UserInput!): User, updateUser(id: ID!, input: UserInput!): User,
+ *                 deleteUser(id: ID!): Boolean, addPost(title: String!, authorId: ID): AddPostPayload }
+ * interface Node { id: ID! }
+ * type User implements Node { id: ID!, name: String!, email: String, role: Role, posts: [Post!],
+ *                             legacyName: String @deprecated }
+ * type Post implements Node { id: ID!, title: String, authorId: ID }
+ * union SearchResult = User | Post
+ * type Stats { visits: Int, ratio: Float, updatedAt: DateTime }
+ * type AddPostPayload { post: Post, clientMutationId: String }
+ * input UserInput { name: String, email: String, role: Role = MEMBER }
+ * enum Role { ADMIN, MEMBER }
+ * scalar DateTime
+ *
+ * SUBSCRIPTION_SCHEMA adds:
+ * type Subscription { userAdded: User!, userUpdated(id: ID): User, userRemoved: ID!,
+ *                     postAdded(authorId: ID): AddPostPayload, ticker: Stats }
+ */
+
+const named = (name, kind = 'SCALAR') => ({ kind, name, ofType: null });
+const nonNull = ofType => ({ kind: 'NON_NULL', name: null, ofType });
+const list = ofType => ({ kind: 'LIST', name: null, ofType });
+const arg = (name, type, defaultValue = null) => ({ name, description: null, type, defaultValue });
+const field = (name, type, args = [], deprecationReason = null) => ({
+  name,
+  description: null,
+  args,
+  type,
+  isDeprecated: Boolean(deprecationReason),
+  deprecationReason
+});
+
+const ID = named('ID');
+const STRING = named('String');
+const ROLE = named('Role', 'ENUM');
+const USER = named('User', 'OBJECT');
+const POST = named('Post', 'OBJECT');
+
+const SCHEMA = {
+  queryType: { name: 'Query' },
+  mutationType: { name: 'Mutation' },
+  subscriptionType: null,
+  types: [
+    {
+      kind: 'OBJECT',
+      name: 'Query',
+      fields: [
+        field('users', nonNull(list(nonNull(USER))), [arg('first', named('Int')), arg('role', ROLE)]),
+        field('user', USER, [arg('id', nonNull(ID))]),
+        field('node', named('Node', 'INTERFACE'), [arg('id', nonNull(ID))]),
+        field('search', list(nonNull(named('SearchResult', 'UNION'))), [arg('text', nonNull(STRING))]),
+        field('stats', named('Stats', 'OBJECT'))
+      ],
+      interfaces: []
+    },
+    {
+      kind: 'OBJECT',
+      name: 'Mutation',
+      fields: [
+        field('createUser', USER, [arg('input', nonNull(named('UserInput', 'INPUT_OBJECT')))]),
+        field('updateUser', USER, [arg('id', nonNull(ID)), arg('input', nonNull(named('UserInput', 'INPUT_OBJECT')))]),
+        field('deleteUser', named('Boolean'), [arg('id', nonNull(ID))]),
+        field('addPost', named('AddPostPayload', 'OBJECT'), [arg('title', nonNull(STRING)), arg('authorId', ID)])
+      ],
+      interfaces: []
+    },
+    {
+      kind: 'INTERFACE',
+      name: 'Node',
+      fields: [field('id', nonNull(ID))],
+      possibleTypes: [USER, POST]
+    },
+    {
+      kind: 'OBJECT',
+      name: 'User',
+      fields: [
+        field('id', nonNull(ID)),
+        field('name', nonNull(STRING)),
+        field('email', STRING),
+        field('role', ROLE),
+        field('posts', list(nonNull(POST))),
+        field('legacyName', STRING, [], 'Use name')
+      ],
+      interfaces: [named('Node', 'INTERFACE')]
+    },
+    {
+      kind: 'OBJECT',
+      name: 'Post',
+      fields: [field('id', nonNull(ID)), field('title', STRING), field('authorId', ID)],
+      interfaces: [named('Node', 'INTERFACE')]
+    },
+    {
+      kind: 'UNION',
+      name: 'SearchResult',
+      possibleTypes: [USER, POST]
+    },
+    {
+      kind: 'OBJECT',
+      name: 'Stats',
+      fields: [field('visits', named('Int')), field('ratio', named('Float')), field('updatedAt', named('DateTime'))],
+      interfaces: []
+    },
+    {
+      kind: 'OBJECT',
+      name: 'AddPostPayload',
+      fields: [field('post', POST), field('clientMutationId', STRING)],
+      interfaces: []
+    },
+    {
+      kind: 'INPUT_OBJECT',
+      name: 'UserInput',
+      inputFields: [arg('name', STRING), arg('email', STRING), arg('role', ROLE, 'MEMBER')]
+    },
+    {
+      kind: 'ENUM',
+      name: 'Role',
+      enumValues: [
+        { name: 'ADMIN', description: null, isDeprecated: false, deprecationReason: null },
+        { name: 'MEMBER', description: null, isDeprecated: false, deprecationReason: null }
+      ]
+    },
+    { kind: 'SCALAR', name: 'DateTime' },
+    { kind: 'SCALAR', name: 'ID' },
+    { kind: 'SCALAR', name: 'String' },
+    { kind: 'SCALAR', name: 'Int' },
+    { kind: 'SCALAR', name: 'Float' },
+    { kind: 'SCALAR', name: 'Boolean' }
+  ],
+  directives: []
+};
+
+const SUBSCRIPTION_SCHEMA = {
+  ...SCHEMA,
+  subscriptionType: { name: 'Subscription' },
+  types: [
+    ...SCHEMA.types,
+    {
+      kind: 'OBJECT',
+      name: 'Subscription',
+      fields: [
+        field('userAdded', nonNull(USER)),
+        field('userUpdated', USER, [arg('id', ID)]),
+        field('userRemoved', nonNull(ID)),
+        field('postAdded', named('AddPostPayload', 'OBJECT'), [arg('authorId', ID)]),
+        field('ticker', named('Stats', 'OBJECT'))
+      ],
+      interfaces: []
+    }
+  ]
+};
+
+module.exports = { SCHEMA, SUBSCRIPTION_SCHEMA };
@@ -0,0 +1,83 @@
+/**
+ * Tests for the GraphQL Document Parser
+ */
+
+const graphqlDocumentParser = require('../src/graphql-document-parser');
+
+describe('GraphQL Document Parser', () => {
+  test('should parse operations with variables, aliases, arguments and directives', () => {
+    const document = graphqlDocumentParser.parse(`
+      query GetUser($id: ID!, $sizes: [Int!] = [1, 2]) {
+        owner: user(id: $id, filter: { role: ADMIN, tags: ["a"] }) @include(if: true) {
+          name
+        }
+      }
+    `);
+
+    const [operation] = document.definitions;
+    expect(operation).toMatchObject({ kind: 'operation', operation: 'query', name: 'GetUser' });
+    expect(operation.variableDefinitions).toEqual([
+      { name: 'id', type: { kind: 'nonNull', ofType: { kind: 'named', name: 'ID' } }, defaultValue: undefined },
+      {
+        name: 'sizes',
+        type: { kind: 'list', ofType: { kind: 'nonNull', ofType: { kind: 'named', name: 'Int' } } },
+        defaultValue: { kind: 'list', values: [{ kind: 'int', value: 1 }, { kind: 'int', value: 2 }] }
+      }
+    ]);
+
+    const [field] = operation.selectionSet;
+    expect(field).toMatchObject({ kind: 'field', alias: 'owner', name: 'user' });
+    expect(field.arguments.id).toEqual({ kind: 'variable', name: 'id' });
+    expect(field.arguments.filter.fields.role).toEqual({ kind: 'enum', value: 'ADMIN' });
+    expect(field.directives).toEqual([{ name: 'include', arguments: { if: { kind: 'boolean', value: true } } }]);
+    expect(field.selectionSet).toHaveLength(1);
+  });
+
+  test('should parse fragments, inline fragments and the query shorthand', () => {
+    const document = graphqlDocumentParser.parse(`
+      { node { ...Named ... on User { email } ... @skip(if: false) { id } } }
+      fragment Named on Node { name }
+    `);
+
+    const [query, fragment] = document.definitions;
+    expect(query.operation).toBe('query');
+    expect(query.selectionSet[0].selectionSet.map(selection => selection.kind))
+      .toEqual(['fragmentSpread', 'inlineFragment', 'inlineFragment']);
+    expect(query.selectionSet[0].selectionSet[2].typeCondition).toBeNull();
+    expect(fragment).toMatchObject({ kind: 'fragment', name: 'Named', typeCondition: 'Node' });
+  });
+
+  test('should read escaped and block strings', () => {
+    const document = graphqlDocumentParser.parse('{ a(x: "line\\n\\"q\\" \\u0041", y: """\n    first\n      second\n  """) }');
+    const args = document.definitions[0].selectionSet[0].arguments;
+
+    expect(args.x.value).toBe('line\n"q" A');
+    expect(args.y.value).toBe('first\n  second');
+  });
+
+  test('should parse constant values such as introspection default values', () => {
+    expect(graphqlDocumentParser.parseValue('{ first: 10, order: ASC }')).toEqual({
+      kind: 'object',
+      fields: { first: { kind: 'int', value: 10 }, order: { kind: 'enum', value: 'ASC' } }
+    });
+    expect(() => graphqlDocumentParser.parseValue('$id')).toThrow(/Syntax Error/);
+  });
+
+  test('should normalize whitespace, commas and comments', () => {
+    expect(graphqlDocumentParser.normalizeQuery('query {\n  a, # comment\n  b(x: "y")\n}'))
+      .toBe(graphqlDocumentParser.normalizeQuery('query{a b(x:"y")}'));
+  });
+
+  test.each([
+    ['{ user(id: ) }', 'Syntax Error: Unexpected ")".', { line: 1, column: 12 }],
+    ['{ user', 'Syntax Error: Expected Name, found <EOF>.', { line: 1, column: 7 }],
+    ['query { a }\n%', 'Syntax Error: Unexpected character "%".', { line: 2, column: 1 }],
+    ['', 'Syntax Error: Unexpected <EOF>.', { line: 1, column: 1 }]
+  ])('should report syntax errors in %p', (source, message, location) => {
+    expect(() => graphqlDocumentParser.parse(source)).toThrow(expect.objectContaining({
+      message,
+      statusCode: 400,
+      locations: [location]
+    }));
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Tests for the GraphQL Executor
+ */
+
+const graphqlDocumentParser = require('../src/graphql-document-parser');
+const graphqlExecutor = require('../src/graphql-executor');
+const { SCHEMA } = require('./fixtures/graphql-schema');
+
+const USERS = [
+  { id: '1', name: 'Ada', email: 'ada@example.com', role: 'ADMIN', posts: [{ id: '10', title: 'Engines' }] },
+  { id: '2', name: 'Alan', email: null, role: 'MEMBER', posts: [] }
+];
+
+/**
+ * Executes a query against the test schema with data from USERS
+ * @param {string} query - The GraphQL document
+ * @param {Object} options - Additional execution options
+ * @returns {Promise<Object>} The result
+ */
+const run = (query, options = {}) => graphqlExecutor.execute({
+  schema: SCHEMA,
+  document: graphqlDocumentParser.parse(query),
+  rootValue: {
+    users: USERS,
+    user: USERS[0],
+    node: USERS[0],
+    search: [USERS[1], { __typename: 'Post', id: '10', title: 'Engines' }],
+    stats: { visits: '42', ratio: 0.5, updatedAt: '2024-01-01T00:00:00Z' }
+  },
+  ...options
+});
+
+describe('GraphQL Executor', () => {
+  describe('execution', () => {
+    test('should select fields with aliases, arguments and nested selections', async () => {
+      const result = await run('{ first: user(id: 1) { name posts { title } } all: users { id } }');
+
+      expect(result).toEqual({
+        data: {
+          first: { name: 'Ada', posts: [{ title: 'Engines' }] },
+          all: [{ id: '1' }, { id: '2' }]
+        }
+      });
+    });
+
+    test('should expand fragments and resolve abstract types', async () => {
+      const result = await run(`
+        query {
+          node(id: "1") { __typename ...UserFields }
+          search(text: "a") { __typename ... on User { name } ... on Post { title } }
+        }
+        fragment UserFields on User { email }
+      `);
+
+      expect(result.data).toEqual({
+        node: { __typename: 'User', email: 'ada@example.com' },
+        search: [{ __typename: 'User', name: 'Alan' }, { __typename: 'Post', title: 'Engines' }]
+      });
+    });
+
+    test('should apply @skip and @include with variables', async () => {
+      const query = 'query ($full: Boolean!) { user(id: 1) { name email @include(if: $full) role @skip(if: $full) } }';
+
+      expect((await run(query, { variables: { full: true } })).data.user).toEqual({ name: 'Ada', email: 'ada@example.com' });
+      expect((await run(query, { variables: { full: false } })).data.user).toEqual({ name: 'Ada', role: 'ADMIN' });
+    });
+
+    test('should serialize scalars and pass custom scalars through', async () => {
+      const result = await run('{ stats { visits ratio updatedAt } }');
+
+      expect(result.data.stats).toEqual({ visits: 42, ratio: 0.5, updatedAt: '2024-01-01T00:00:00Z' });
+    });
+
+    test('should pass coerced arguments to the field resolver', async () => {
+      const resolveField = jest.fn().mockReturnValue(null);
+
+      await run('query ($input: UserInput!) { createUser(input: $input) { id } }', {
+        variables: { input: { name: 'Grace' } },
+        operationName: undefined,
+        resolveField,
+        document: graphqlDocumentParser.parse('mutation ($input: UserInput!) { createUser(input: $input) { id } }')
+      });
+
+      expect(resolveField).toHaveBeenCalledWith(expect.objectContaining({
+        parentType: 'Mutation',
+        fieldName: 'createUser',
+        args: { input: { name: 'Grace', role: 'MEMBER' } },
+        path: ['createUser'],
+        operation: 'mutation'
+      }));
+    });
+
+    test('should select the operation by name', async () => {
+      const query = 'query A { stats { visits } } query B { user(id: 1) { name } }';
+
+      expect((await run(query, { operationName: 'B' })).data).toEqual({ user: { name: 'Ada' } });
+      await expect(run(query)).rejects.toThrow('Must provide operation name if query contains multiple operations.');
+    });
+  });
+
+  describe('errors', () => {
+    test('should null out failing fields and report them with their path', async () => {
+      const result = await run('{ user(id: 1) { name } stats { visits } }', {
+        resolveField: ({ fieldName, parent }) => {
+          if (fieldName === 'stats') {
+            throw new Error('Stats are unavailable');
+          }
+          return fieldName === 'user' ? USERS[0] : parent[fieldName];
+        }
+      });
+
+      expect(result).toEqual({
+        errors: [{ message: 'Stats are unavailable', locations: [{ line: 1, column: 24 }], path: ['stats'] }],
+        data: { user: { name: 'Ada' }, stats: null }
+      });
+    });
+
+    test('should propagate null values of non-null fields to the nearest nullable parent', async () => {
+      const result = await run('{ user(id: 1) { id name } }', {
+        rootValue: { user: { id: '1', name: null } }
+      });
+
+      expect(result.data).toEqual({ user: null });
+      expect(result.errors[0]).toMatchObject({ message: 'Cannot return null for non-nullable field name.', path: ['user', 'name'] });
+    });
+
+    test.each([
+      ['{ user(id: 1) { age } }', {}, 'Cannot query field "age" on type "User".'],
+      ['{ user { name } }', {}, 'Argument "id" of field "Query.user" of type "ID!" is required, but it was not provided.'],
+      ['{ user(id: 1, name: "x") { name } }', {}, 'Unknown argument "name" on field "Query.user".'],
+      ['{ users(role: "ADMIN") { id } }', {}, 'Argument "role" of field "Query.users" has an invalid value; expected type "Role".'],
+      ['query ($id: ID!) { user(id: $id) { id } }', {}, 'Variable "$id" of required type "ID!" was not provided.'],
+      ['query ($first: Int) { users(first: $first) { id } }', { first: 'ten' }, 'Variable "$first" got invalid value "ten"; expected type "Int".'],
+      ['subscription { users { id } }', {}, 'Schema is not configured to execute subscription operation.'],
+      ['{ user(id: 1) { ...F } } fragment F on User { name ...F }', {}, 'Cannot spread fragment "F" within itself.'],
+      ['{ user(id: 1) { ...F } } fragment F on User { ...G } fragment G on User { posts { id } ... on User { ...F } }', {}, 'Cannot spread fragment "F" within itself via "G".']
+    ])('should reject %p', async (query, variables, message) => {
+      await expect(run(query, { variables })).rejects.toThrow(expect.objectContaining({ message, statusCode: 400 }));
+    });
+  });
+
+  describe('introspection', () => {
+    test('should answer __schema and __type from the schema', async () => {
+      const result = await run(`{
+        __schema { queryType { name } mutationType { name } subscriptionType { name } }
+        __type(name: "User") {
+          kind
+          fields { name type { kind ofType { name } } }
+          interfaces { name }
+        }
+      }`);
+
+      expect(result.data.__schema).toEqual({
+        queryType: { name: 'Query' },
+        mutationType: { name: 'Mutation' },
+        subscriptionType: null
+      });
+      expect(result.data.__type.kind).toBe('OBJECT');
+      expect(result.data.__type.fields.map(userField => userField.name)).toEqual(['id', 'name', 'email', 'role', 'posts']);
+      expect(result.data.__type.fields[0].type).toEqual({ kind: 'NON_NULL', ofType: { name: 'ID' } });
+      expect(result.data.__type.interfaces).toEqual([{ name: 'Node' }]);
+    });
+
+    test('should include deprecated fields on request and resolve nested type references', async () => {
+      const result = await run(`{
+        __type(name: "Query") {
+          fields(includeDeprecated: true) { name type { name kind fields { name } } }
+        }
+        user: __type(name: "User") { fields(includeDeprecated: true) { name isDeprecated deprecationReason } }
+      }`);
+
+      const stats = result.data.__type.fields.find(queryField => queryField.name === 'stats');
+      expect(stats.type).toEqual({ name: 'Stats', kind: 'OBJECT', fields: [{ name: 'visits' }, { name: 'ratio' }, { name: 'updatedAt' }] });
+      expect(result.data.user.fields[5]).toEqual({ name: 'legacyName', isDeprecated: true, deprecationReason: 'Use name' });
+    });
+
+    test('should describe the introspection types themselves', async () => {
+      const result = await run('{ __schema { types { name } } __type(name: "__Type") { fields { name } } }');
+      const typeNames = result.data.__schema.types.map(type => type.name);
+
+      expect(typeNames).toEqual(expect.arrayContaining(['User', 'Role', '__Schema', '__Type', '__TypeKind']));
+      expect(result.data.__type.fields.map(typeField => typeField.name)).toContain('ofType');
+    });
+  });
+});
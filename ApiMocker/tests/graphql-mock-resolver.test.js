@@ -0,0 +1,207 @@
+/**
+ * Tests for the GraphQL mock endpoint (recordings, store-backed entities, mutations and fake values)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const crudHandler = require('../src/crud-handler');
+const graphqlMockResolver = require('../src/graphql-mock-resolver');
+const routeHandler = require('../src/route-handler');
+const { SCHEMA } = require('./fixtures/graphql-schema');
+
+const RECORDINGS = {
+  'users.json': {
+    query: 'query ListUsers { users { id name email role } }',
+    response: {
+      data: {
+        users: [
+          { id: '1', name: 'Ada', email: 'ada@example.com', role: 'ADMIN' },
+          { id: '2', name: 'Alan', email: null, role: 'MEMBER' }
+        ]
+      }
+    }
+  },
+  'search.json': {
+    query: 'query ($text: String!) { search(text: $text) { ... on Post { __typename id title } } }',
+    variables: { text: 'engines' },
+    response: { data: { search: [{ __typename: 'Post', id: '10', title: 'Engines' }] } }
+  },
+  'stats.json': {
+    query: '{ stats { visits } }',
+    response: { data: { stats: { visits: 7 } } }
+  }
+};
+
+describe('GraphQL Mock Resolver', () => {
+  const apiName = 'graphql-test-api';
+  let responsesDir;
+  let app;
+
+  beforeAll(() => {
+    responsesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'graphql-mock-'));
+    fs.writeFileSync(path.join(responsesDir, 'introspection.json'), JSON.stringify({ data: { __schema: SCHEMA } }));
+    fs.mkdirSync(path.join(responsesDir, 'graphql'));
+    for (const [fileName, recording] of Object.entries(RECORDINGS)) {
+      fs.writeFileSync(path.join(responsesDir, 'graphql', fileName), JSON.stringify(recording));
+    }
+  });
+
+  afterAll(() => {
+    fs.rmSync(responsesDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    crudHandler.initializeDataStore(apiName, {});
+    crudHandler.resetDataStore(apiName);
+
+    app = express();
+    routeHandler.registerGraphQLRoutes(app, '/shop', { apiName, responsesDir });
+  });
+
+  /**
+   * Posts a GraphQL request to the mock endpoint
+   * @param {string} query - The GraphQL document
+   * @param {Object} variables - The variables
+   * @returns {Promise<Object>} The supertest response
+   */
+  const graphql = (query, variables) => request(app).post('/shop/graphql').send({ query, variables });
+
+  describe('schema', () => {
+    test('should load introspection results in all recorded shapes', () => {
+      expect(graphqlMockResolver.loadSchema(responsesDir).queryType).toEqual({ name: 'Query' });
+      expect(graphqlMockResolver.isGraphQLApi({ responsesDir })).toBe(true);
+      expect(graphqlMockResolver.isGraphQLApi({ responsesDir: os.tmpdir(), apiType: { isGraphQL: false } })).toBe(false);
+      expect(graphqlMockResolver.isGraphQLApi({ apiType: { isGraphQL: true } })).toBe(true);
+    });
+
+    test('should answer introspection queries', async () => {
+      const response = await graphql('{ __schema { queryType { name } types { name } } }');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.__schema.queryType).toEqual({ name: 'Query' });
+      expect(response.body.data.__schema.types.map(type => type.name)).toContain('User');
+    });
+  });
+
+  describe('queries', () => {
+    test('should serve entities seeded from recorded responses', async () => {
+      const response = await graphql('{ users { name } admins: users(role: ADMIN) { id } user(id: 2) { name email } }');
+
+      expect(response.body).toEqual({
+        data: {
+          users: [{ name: 'Ada' }, { name: 'Alan' }],
+          admins: [{ id: '1' }],
+          user: { name: 'Alan', email: null }
+        }
+      });
+    });
+
+    test('should page lists and return null for unknown entities', async () => {
+      const response = await graphql('{ users(first: 1) { id } user(id: 99) { id } }');
+
+      expect(response.body.data).toEqual({ users: [{ id: '1' }], user: null });
+    });
+
+    test('should serve recorded values of fields without stored data', async () => {
+      const response = await graphql('{ search(text: "engines") { __typename ... on Post { title } } stats { visits } }');
+
+      expect(response.body.data).toEqual({
+        search: [{ __typename: 'Post', title: 'Engines' }],
+        stats: { visits: 7 }
+      });
+    });
+
+    test('should fake deterministic values for fields with no recorded data', async () => {
+      const query = '{ users { posts { id title } } stats { ratio updatedAt } node(id: "5") { id } }';
+      const first = await graphql(query);
+      const second = await graphql(query);
+
+      expect(first.body).toEqual(second.body);
+      expect(first.body.errors).toBeUndefined();
+      expect(first.body.data.users[0].posts).toHaveLength(2);
+      expect(typeof first.body.data.users[0].posts[0].title).toBe('string');
+      expect(first.body.data.stats.ratio).toEqual(expect.any(Number));
+      expect(first.body.data.stats.updatedAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    });
+
+    test('should accept queries via GET and application/graphql bodies', async () => {
+      const viaGet = await request(app)
+        .get('/shop/graphql')
+        .query({ query: 'query ($id: ID!) { user(id: $id) { name } }', variables: JSON.stringify({ id: '1' }) });
+      const viaText = await request(app)
+        .post('/shop/graphql')
+        .set('Content-Type', 'application/graphql')
+        .send('{ user(id: 2) { name } }');
+
+      expect(viaGet.body.data.user.name).toBe('Ada');
+      expect(viaText.body.data.user.name).toBe('Alan');
+    });
+
+    test('should serve GraphiQL to browsers', async () => {
+      const response = await request(app).get('/shop/graphql').set('Accept', 'text/html');
+
+      expect(response.headers['content-type']).toMatch(/text\/html/);
+      expect(response.text).toContain("GraphiQL.createFetcher({ url: '/shop/graphql' })");
+    });
+  });
+
+  describe('mutations', () => {
+    test('should create, update and delete entities in the store', async () => {
+      const created = await graphql(
+        'mutation ($input: UserInput!) { createUser(input: $input) { id name role } }',
+        { input: { name: 'Grace', email: 'grace@example.com' } }
+      );
+      const { id } = created.body.data.createUser;
+      expect(created.body.data.createUser).toMatchObject({ name: 'Grace', role: 'MEMBER' });
+
+      const updated = await graphql(`mutation { updateUser(id: "${id}", input: { role: ADMIN }) { name role } }`);
+      expect(updated.body.data.updateUser).toEqual({ name: 'Grace', role: 'ADMIN' });
+
+      const admins = await graphql('{ users(role: ADMIN) { name } }');
+      expect(admins.body.data.users).toEqual([{ name: 'Ada' }, { name: 'Grace' }]);
+
+      const deleted = await graphql(`mutation { deleteUser(id: "${id}") }`);
+      expect(deleted.body.data).toEqual({ deleteUser: true });
+      expect(crudHandler.getById(apiName, 'users', id)).toBeNull();
+    });
+
+    test('should wrap created entities in payload types', async () => {
+      const response = await graphql('mutation { addPost(title: "Compilers", authorId: 1) { post { title authorId } } }');
+
+      expect(response.body.data.addPost.post).toEqual({ title: 'Compilers', authorId: '1' });
+      expect(crudHandler.getAll(apiName, 'posts')).toHaveLength(1);
+    });
+
+    test('should report missing entities as field errors', async () => {
+      const response = await graphql('mutation { deleteUser(id: "99") }');
+
+      expect(response.body).toEqual({
+        errors: [expect.objectContaining({ message: 'User 99 not found', path: ['deleteUser'] })],
+        data: { deleteUser: null }
+      });
+    });
+
+    test('should reject mutations over GET', async () => {
+      const response = await request(app).get('/shop/graphql').query({ query: 'mutation { deleteUser(id: 1) }' });
+
+      expect(response.status).toBe(405);
+      expect(response.headers.allow).toBe('POST');
+    });
+  });
+
+  describe('request errors', () => {
+    test.each([
+      [{ query: '{ users { ' }, /^Syntax Error/],
+      [{ query: '{ users { age } }' }, /Cannot query field "age" on type "User"/],
+      [{}, /Must provide query string/]
+    ])('should answer %p with 400', async (body, message) => {
+      const response = await request(app).post('/shop/graphql').send(body);
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].message).toMatch(message);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Tests for the GraphQL recorder (introspection, generated queries and replay of the recordings)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const express = require('express');
+const request = require('supertest');
+const crudHandler = require('../src/crud-handler');
+const graphqlMockResolver = require('../src/graphql-mock-resolver');
+const graphqlRecorder = require('../src/graphql-recorder');
+const graphqlParser = require('../src/parsers/graphql-parser');
+const routeHandler = require('../src/route-handler');
+const { SCHEMA } = require('./fixtures/graphql-schema');
+
+describe('GraphQL Recorder', () => {
+  let upstreamDir;
+  let upstream;
+  let baseUrl;
+  let apiDir;
+
+  beforeAll(async () => {
+    // The upstream API is a GraphQL mock serving two users
+    upstreamDir = fs.mkdtempSync(path.join(os.tmpdir(), 'graphql-upstream-'));
+    graphqlMockResolver.saveSchema(upstreamDir, SCHEMA);
+    graphqlMockResolver.saveRecording(upstreamDir, {
+      query: '{ users { id name email role } }',
+      response: {
+        data: {
+          users: [
+            { id: '1', name: 'Ada', email: 'ada@example.com', role: 'ADMIN' },
+            { id: '2', name: 'Alan', email: null, role: 'MEMBER' }
+          ]
+        }
+      }
+    });
+    crudHandler.initializeDataStore('graphql-upstream', {});
+
+    const app = express();
+    routeHandler.registerGraphQLRoutes(app, '/api', { apiName: 'graphql-upstream', responsesDir: upstreamDir });
+    await new Promise(resolve => {
+      upstream = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${upstream.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => upstream.close(resolve));
+    fs.rmSync(upstreamDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    apiDir = fs.mkdtempSync(path.join(os.tmpdir(), 'graphql-recorded-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(apiDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Reads the recordings written to the API directory
+   * @returns {Array<Object>} The recordings
+   */
+  const readRecordings = () => graphqlMockResolver.loadRecordings(path.join(apiDir, 'responses'));
+
+  describe('generateQuery', () => {
+    const parsedSchema = graphqlParser.parseSchema(SCHEMA);
+    const queryType = parsedSchema.types.find(type => type.name === 'Query');
+
+    test('should select a root field with variables for its arguments', () => {
+      const query = graphqlParser.generateQuery(queryType, 1, {
+        schema: parsedSchema,
+        field: 'user',
+        arguments: { id: '1' }
+      });
+
+      expect(query.trim()).toBe('query GetUser($id: ID!) {\n  user(id: $id) {\n    id\n    name\n    email\n    role\n  }\n}');
+    });
+
+    test('should expand nested objects and unions up to the depth', () => {
+      const query = graphqlParser.generateQuery(queryType, 2, {
+        schema: parsedSchema,
+        field: 'search',
+        arguments: { text: 'a' }
+      });
+
+      expect(query).toContain('posts {\n        id\n        title\n        authorId\n      }');
+      expect(query).toContain('... on Post {');
+      expect(query).not.toContain('legacyName');
+    });
+  });
+
+  describe('recordGraphQLApi', () => {
+    test('should save the schema and a recording per root field', async () => {
+      const summary = await graphqlRecorder.recordGraphQLApi(baseUrl, 'shop', apiDir, {
+        endpoint: '/api/graphql',
+        arguments: { search: { text: 'Ada' } }
+      });
+
+      expect(graphqlMockResolver.loadSchema(path.join(apiDir, 'responses')).queryType).toEqual({ name: 'Query' });
+      expect(summary.recorded.map(entry => entry.field).sort()).toEqual(['node', 'search', 'stats', 'user', 'users']);
+      expect(summary.failed).toEqual([]);
+
+      const recordings = readRecordings();
+      const users = recordings.find(recording => recording.operationName === 'GetUsers');
+      expect(users.response.data.users.map(user => user.name)).toEqual(['Ada', 'Alan']);
+      expect(users.hash).toBe(graphqlMockResolver.getRecordingKey(users.query, users.variables, users.operationName));
+
+      // Required ID arguments are taken from entities recorded earlier
+      const user = recordings.find(recording => recording.operationName === 'GetUser');
+      expect(user.variables).toEqual({ id: '1' });
+      expect(user.response.data.user.name).toBe('Ada');
+
+      expect(JSON.parse(fs.readFileSync(path.join(apiDir, 'api-type.json'), 'utf8')).isGraphQL).toBe(true);
+      expect(JSON.parse(fs.readFileSync(path.join(apiDir, 'config.json'), 'utf8')).graphql).toEqual({ path: '/api/graphql' });
+      expect(fs.existsSync(path.join(apiDir, 'swagger.json'))).toBe(true);
+    });
+
+    test('should skip fields whose required arguments have no value', async () => {
+      const summary = await graphqlRecorder.recordGraphQLApi(baseUrl, 'shop', apiDir, { endpoint: '/api/graphql', depth: 1 });
+
+      expect(summary.skipped).toEqual([{ field: 'search', reason: 'missing required arguments' }]);
+      expect(readRecordings().every(recording => !recording.query.includes('posts'))).toBe(true);
+    });
+
+    test('should keep existing recordings unless forced', async () => {
+      const options = { endpoint: '/api/graphql', arguments: { user: [{ id: '1' }, { id: '2' }] } };
+      await graphqlRecorder.recordGraphQLApi(baseUrl, 'shop', apiDir, options);
+      const recordingPath = graphqlMockResolver.getRecordingPath(
+        path.join(apiDir, 'responses'),
+        readRecordings().find(recording => recording.operationName === 'GetStats').hash
+      );
+      fs.writeFileSync(recordingPath, JSON.stringify({ ...JSON.parse(fs.readFileSync(recordingPath, 'utf8')), edited: true }));
+
+      await graphqlRecorder.recordGraphQLApi(baseUrl, 'shop', apiDir, options);
+      expect(JSON.parse(fs.readFileSync(recordingPath, 'utf8')).edited).toBe(true);
+      expect(readRecordings().filter(recording => recording.operationName === 'GetUser')).toHaveLength(2);
+
+      await graphqlRecorder.recordGraphQLApi(baseUrl, 'shop', apiDir, { ...options, force: true });
+      expect(JSON.parse(fs.readFileSync(recordingPath, 'utf8')).edited).toBeUndefined();
+    });
+
+    test('should fail when the endpoint does not answer introspection queries', async () => {
+      await expect(graphqlRecorder.recordGraphQLApi(baseUrl, 'shop', apiDir, { endpoint: '/missing' }))
+        .rejects.toThrow(/404/);
+    });
+  });
+
+  describe('replay', () => {
+    test('should replay recorded operations regardless of formatting when not stateful', async () => {
+      await graphqlRecorder.recordGraphQLApi(baseUrl, 'shop', apiDir, { endpoint: '/api/graphql' });
+      const recording = readRecordings().find(entry => entry.operationName === 'GetStats');
+
+      const app = express();
+      crudHandler.initializeDataStore('graphql-replay', {});
+      routeHandler.registerGraphQLRoutes(app, '', {
+        apiName: 'graphql-replay',
+        responsesDir: path.join(apiDir, 'responses'),
+        stateful: false
+      });
+
+      const response = await request(app).post('/graphql').send({
+        query: recording.query.replace(/\n\s*/g, ', '),
+        operationName: 'GetStats'
+      });
+      expect(response.body).toEqual(recording.response);
+    });
+  });
+
+  test('should fetch deprecated fields with the introspection query', async () => {
+    const schema = await graphqlRecorder.fetchSchema(axios.create({ baseURL: baseUrl }), '/api/graphql');
+
+    expect(schema.types.find(type => type.name === 'User').fields.map(field => field.name)).toContain('legacyName');
+  });
+});
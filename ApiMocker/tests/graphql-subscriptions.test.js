@@ -0,0 +1,337 @@
+/**
+ * Tests for GraphQL subscriptions over WebSocket (graphql-transport-ws and subscriptions-transport-ws)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const crudHandler = require('../src/crud-handler');
+const graphqlMockResolver = require('../src/graphql-mock-resolver');
+const routeHandler = require('../src/route-handler');
+const websocketServer = require('../src/websocket-server');
+const { SUBSCRIPTION_SCHEMA } = require('./fixtures/graphql-schema');
+
+/**
+ * Opens a WebSocket connection to the test server
+ * @param {number} port - The server port
+ * @param {string} protocol - The subprotocol to offer
+ * @returns {Promise<Object>} The client ({ protocol, accept, key, send, nextMessage, closed, socket }),
+ *   or { statusCode } if the upgrade was refused
+ */
+function connect(port, protocol) {
+  const key = crypto.randomBytes(16).toString('base64');
+
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      path: '/api/graphql',
+      headers: {
+        'Connection': 'Upgrade',
+        'Upgrade': 'websocket',
+        'Sec-WebSocket-Key': key,
+        'Sec-WebSocket-Version': '13',
+        ...(protocol ? { 'Sec-WebSocket-Protocol': protocol } : {})
+      }
+    });
+
+    req.on('response', res => {
+      res.resume();
+      resolve({ statusCode: res.statusCode });
+    });
+    req.on('error', reject);
+
+    req.on('upgrade', (res, socket) => {
+      const messages = [];
+      const waiting = [];
+      let onClose;
+      const closed = new Promise(done => {
+        onClose = done;
+      });
+
+      const parse = websocketServer.createFrameParser(frame => {
+        if (frame.opcode === websocketServer.OPCODES.CLOSE) {
+          onClose({ code: frame.payload.readUInt16BE(0), reason: frame.payload.subarray(2).toString('utf8') });
+          return;
+        }
+        const message = frame.opcode === websocketServer.OPCODES.TEXT
+          ? JSON.parse(frame.payload.toString('utf8'))
+          : { opcode: frame.opcode, payload: frame.payload.toString('utf8') };
+        if (waiting.length > 0) {
+          waiting.shift()(message);
+        } else {
+          messages.push(message);
+        }
+      });
+      socket.on('data', parse);
+      socket.on('close', () => onClose({ code: 1006 }));
+
+      resolve({
+        key,
+        socket,
+        closed,
+        protocol: res.headers['sec-websocket-protocol'],
+        accept: res.headers['sec-websocket-accept'],
+        send: message => socket.write(websocketServer.encodeFrame(websocketServer.OPCODES.TEXT, JSON.stringify(message), true)),
+        nextMessage: () => (messages.length > 0
+          ? Promise.resolve(messages.shift())
+          : new Promise(done => waiting.push(done)))
+      });
+    });
+
+    req.end();
+  });
+}
+
+describe('GraphQL Subscriptions', () => {
+  const apiName = 'graphql-subscriptions-api';
+  let responsesDir;
+  let dataDir;
+  let server;
+  let port;
+  let clients;
+
+  /**
+   * Starts the mock server, with a timeline if one is given
+   * @param {Object} timeline - The timeline file content
+   */
+  const startServer = async timeline => {
+    fs.rmSync(path.join(responsesDir, 'timeline.json'), { force: true });
+    if (timeline) {
+      fs.writeFileSync(path.join(responsesDir, 'timeline.json'), JSON.stringify(timeline));
+    }
+
+    crudHandler.initializeDataStore(apiName, {});
+    crudHandler.resetDataStore(apiName);
+    crudHandler.handlePost(apiName, 'users', { id: '1', name: 'Ada', role: 'ADMIN' });
+    crudHandler.handlePost(apiName, 'users', { id: '2', name: 'Alan', role: 'MEMBER' });
+
+    const app = express();
+    routeHandler.registerGraphQLRoutes(app, '/api', {
+      apiName,
+      responsesDir,
+      dataDir,
+      graphql: { connectionInitWaitTimeout: 200 }
+    });
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    websocketServer.routeUpgrades(server, app);
+    port = server.address().port;
+  };
+
+  /**
+   * Connects and completes the graphql-transport-ws handshake
+   * @returns {Promise<Object>} The client
+   */
+  const connectTransportWs = async () => {
+    const client = await connect(port, 'graphql-transport-ws');
+    clients.push(client);
+    client.send({ type: 'connection_init' });
+    expect(await client.nextMessage()).toEqual({ type: 'connection_ack' });
+    return client;
+  };
+
+  beforeAll(() => {
+    responsesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'graphql-subscriptions-'));
+    dataDir = path.join(responsesDir, 'data');
+    fs.mkdirSync(dataDir);
+    graphqlMockResolver.saveSchema(responsesDir, SUBSCRIPTION_SCHEMA);
+  });
+
+  afterAll(() => {
+    fs.rmSync(responsesDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    clients = [];
+  });
+
+  afterEach(async () => {
+    for (const client of clients) {
+      client.socket.destroy();
+    }
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  describe('handshake', () => {
+    beforeEach(() => startServer());
+
+    test('should accept the supported subprotocols', async () => {
+      const client = await connect(port, 'graphql-ws, graphql-transport-ws');
+      clients.push(client);
+
+      expect(client.protocol).toBe('graphql-ws');
+      expect(client.accept).toBe(crypto.createHash('sha1')
+        .update(`${client.key}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`)
+        .digest('base64'));
+    });
+
+    test('should refuse upgrades without a supported subprotocol', async () => {
+      expect(await connect(port, 'mqtt')).toEqual({ statusCode: 400 });
+      expect(await connect(port)).toEqual({ statusCode: 400 });
+    });
+
+    test('should answer subscriptions sent over HTTP with 400', async () => {
+      const response = await request(server).post('/api/graphql').send({ query: 'subscription { userAdded { id } }' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].message).toMatch(/only supported over WebSocket/);
+    });
+  });
+
+  describe('graphql-transport-ws', () => {
+    beforeEach(() => startServer());
+
+    test('should push store changes to matching subscriptions', async () => {
+      const client = await connectTransportWs();
+      client.send({ id: 'added', type: 'subscribe', payload: { query: 'subscription { userAdded { name role } }' } });
+      client.send({ id: 'removed', type: 'subscribe', payload: { query: 'subscription { userRemoved }' } });
+      client.send({ type: 'ping' });
+      expect(await client.nextMessage()).toEqual({ type: 'pong' });
+
+      client.send({
+        id: 'create',
+        type: 'subscribe',
+        payload: { query: 'mutation { createUser(input: { name: "Grace" }) { id } }' }
+      });
+
+      // The mutation result and the event it triggers may arrive in either order
+      const messages = [await client.nextMessage(), await client.nextMessage(), await client.nextMessage()];
+      expect(messages).toEqual(expect.arrayContaining([
+        { id: 'added', type: 'next', payload: { data: { userAdded: { name: 'Grace', role: 'MEMBER' } } } },
+        { id: 'create', type: 'next', payload: { data: { createUser: { id: expect.any(String) } } } },
+        { id: 'create', type: 'complete' }
+      ]));
+
+      crudHandler.handleDelete(apiName, 'users', '1');
+      expect(await client.nextMessage()).toEqual({ id: 'removed', type: 'next', payload: { data: { userRemoved: '1' } } });
+    });
+
+    test('should filter events by subscription arguments and wrap payload types', async () => {
+      const client = await connectTransportWs();
+      client.send({ id: 'user-2', type: 'subscribe', payload: { query: 'subscription ($id: ID) { userUpdated(id: $id) { name } }', variables: { id: 2 } } });
+      client.send({ id: 'posts', type: 'subscribe', payload: { query: 'subscription { postAdded(authorId: "1") { post { title } } }' } });
+      // Subscriptions are active once a later message has been answered
+      client.send({ type: 'ping' });
+      await client.nextMessage();
+
+      crudHandler.handlePatch(apiName, 'users', '1', { name: 'Ada L.' });
+      crudHandler.handlePost(apiName, 'posts', { title: 'Other', authorId: '2' });
+      crudHandler.handlePatch(apiName, 'users', '2', { name: 'Alan T.' });
+      crudHandler.handlePost(apiName, 'posts', { title: 'Engines', authorId: '1' });
+
+      expect(await client.nextMessage()).toEqual({ id: 'user-2', type: 'next', payload: { data: { userUpdated: { name: 'Alan T.' } } } });
+      expect(await client.nextMessage()).toEqual({ id: 'posts', type: 'next', payload: { data: { postAdded: { post: { title: 'Engines' } } } } });
+    });
+
+    test('should stop sending events once the client completes', async () => {
+      const client = await connectTransportWs();
+      client.send({ id: '1', type: 'subscribe', payload: { query: 'subscription { userAdded { name } }' } });
+      client.send({ id: '1', type: 'complete' });
+      client.send({ id: '2', type: 'subscribe', payload: { query: 'subscription { userRemoved }' } });
+      client.send({ type: 'ping' });
+      await client.nextMessage();
+
+      crudHandler.handlePost(apiName, 'users', { id: '3', name: 'Grace' });
+      crudHandler.handleDelete(apiName, 'users', '3');
+
+      expect(await client.nextMessage()).toEqual({ id: '2', type: 'next', payload: { data: { userRemoved: '3' } } });
+    });
+
+    test('should report invalid operations as errors', async () => {
+      const client = await connectTransportWs();
+      client.send({ id: '1', type: 'subscribe', payload: { query: 'subscription { userAdded { id } userRemoved }' } });
+      client.send({ id: '2', type: 'subscribe', payload: { query: 'subscription { userAdded { age } }' } });
+
+      expect(await client.nextMessage()).toEqual({
+        id: '1',
+        type: 'error',
+        payload: [expect.objectContaining({ message: 'Anonymous Subscription must select only one top level field.' })]
+      });
+      expect(await client.nextMessage()).toEqual({
+        id: '2',
+        type: 'error',
+        payload: [expect.objectContaining({ message: 'Cannot query field "age" on type "User".' })]
+      });
+    });
+
+    test.each([
+      ['subscribing before connection_init', [{ id: '1', type: 'subscribe', payload: { query: '{ users { id } }' } }], 4401],
+      ['a second connection_init', [{ type: 'connection_init' }, { type: 'connection_init' }], 4429],
+      ['a duplicate subscription id', [
+        { type: 'connection_init' },
+        { id: '1', type: 'subscribe', payload: { query: 'subscription { userAdded { id } }' } },
+        { id: '1', type: 'subscribe', payload: { query: 'subscription { userAdded { id } }' } }
+      ], 4409],
+      ['an unknown message type', [{ type: 'hello' }], 4400],
+      ['no connection_init in time', [], 4408]
+    ])('should close the connection on %s', async (description, messages, code) => {
+      const client = await connect(port, 'graphql-transport-ws');
+      clients.push(client);
+      messages.forEach(message => client.send(message));
+
+      expect((await client.closed).code).toBe(code);
+    });
+  });
+
+  describe('subscriptions-transport-ws', () => {
+    beforeEach(() => startServer());
+
+    test('should serve start, data and stop messages', async () => {
+      const client = await connect(port, 'graphql-ws');
+      clients.push(client);
+      client.send({ type: 'connection_init', payload: {} });
+      expect(await client.nextMessage()).toEqual({ type: 'connection_ack' });
+
+      client.send({ id: '1', type: 'start', payload: { query: 'subscription { userAdded { name } }' } });
+      client.send({ id: '2', type: 'start', payload: { query: '{ user(id: 2) { name } }' } });
+      expect(await client.nextMessage()).toEqual({ id: '2', type: 'data', payload: { data: { user: { name: 'Alan' } } } });
+      expect(await client.nextMessage()).toEqual({ id: '2', type: 'complete' });
+
+      crudHandler.handlePost(apiName, 'users', { id: '3', name: 'Grace' });
+      expect(await client.nextMessage()).toEqual({ id: '1', type: 'data', payload: { data: { userAdded: { name: 'Grace' } } } });
+
+      client.send({ id: '1', type: 'stop' });
+      client.send({ id: '3', type: 'start', payload: { query: '{ user(id: 3) { name } }' } });
+      expect(await client.nextMessage()).toEqual({ id: '3', type: 'data', payload: { data: { user: { name: 'Grace' } } } });
+      expect(await client.nextMessage()).toEqual({ id: '3', type: 'complete' });
+
+      crudHandler.handlePost(apiName, 'users', { id: '4', name: 'Edsger' });
+      client.send({ id: '4', type: 'start', payload: { query: '{ user(id: 4) { name } }' } });
+      expect(await client.nextMessage()).toEqual({ id: '4', type: 'data', payload: { data: { user: { name: 'Edsger' } } } });
+
+      client.send({ type: 'connection_terminate' });
+      expect((await client.closed).code).toBe(1000);
+    });
+  });
+
+  describe('timeline', () => {
+    test('should play scripted events while subscriptions are active', async () => {
+      await startServer({
+        events: [
+          { after: 10, subscription: 'ticker', value: { visits: 1 } },
+          { after: 10, subscription: 'ticker', args: { unused: 'x' }, value: { visits: 99 } },
+          { after: 10, collection: 'users', action: 'create', id: '5', data: { name: 'Barbara' } },
+          { after: 10, collection: 'users', action: 'update', id: '5', data: { name: 'Barbara L.' } },
+          { after: 10, subscription: 'ticker', value: { visits: 2 } },
+          { after: 10, action: 'explode' }
+        ]
+      });
+
+      const client = await connectTransportWs();
+      client.send({ id: 'ticker', type: 'subscribe', payload: { query: 'subscription { ticker { visits } }' } });
+      client.send({ id: 'users', type: 'subscribe', payload: { query: 'subscription { userAdded { name } }' } });
+
+      expect(await client.nextMessage()).toEqual({ id: 'ticker', type: 'next', payload: { data: { ticker: { visits: 1 } } } });
+      expect(await client.nextMessage()).toEqual({ id: 'users', type: 'next', payload: { data: { userAdded: { name: 'Barbara' } } } });
+      expect(await client.nextMessage()).toEqual({ id: 'ticker', type: 'next', payload: { data: { ticker: { visits: 2 } } } });
+      expect(crudHandler.getById(apiName, 'users', '5').name).toBe('Barbara L.');
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Tests for importing HAR files as recordings and exporting recordings as HAR
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const harConverter = require('../src/har-converter');
+
+describe('HAR Converter', () => {
+  let dataDir;
+  let harFile;
+
+  /**
+   * Creates a HAR entry
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {number} status - Response status
+   * @param {*} body - Response body (JSON unless a string)
+   * @param {Object} extra - Additional request fields (postData, headers)
+   * @returns {Object} The entry
+   */
+  const entry = (method, url, status, body, extra = {}) => ({
+    startedDateTime: '2024-01-01T00:00:00.000Z',
+    request: { method, url, headers: [{ name: 'Cookie', value: 'session=1' }, { name: 'Accept', value: 'application/json' }], ...extra },
+    response: {
+      status,
+      headers: [{ name: 'Content-Type', value: typeof body === 'string' ? 'image/png' : 'application/json' }],
+      content: {
+        mimeType: typeof body === 'string' ? 'image/png' : 'application/json',
+        text: body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body)
+      }
+    }
+  });
+
+  /**
+   * Reads a JSON file of the imported API
+   * @param {...string} parts - Path of the file within the API directory
+   * @returns {*} The parsed file
+   */
+  const readApiFile = (...parts) => JSON.parse(fs.readFileSync(path.join(dataDir, 'pets', ...parts), 'utf8'));
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'har-converter-'));
+    harFile = path.join(dataDir, 'traffic.har');
+    fs.writeFileSync(harFile, JSON.stringify({
+      log: {
+        version: '1.2',
+        entries: [
+          entry('GET', 'https://shop.test/api/pets/1', 200, { id: 1, name: 'Rex' }),
+          entry('GET', 'https://shop.test/api/pets/2', 200, { id: 2, name: 'Tom' }),
+          entry('GET', 'https://shop.test/api/pets?status=sold', 200, [{ id: 3 }], { queryString: [{ name: 'status', value: 'sold' }] }),
+          entry('POST', 'https://shop.test/api/pets', 201, { id: 4, name: 'Max' }, {
+            postData: { mimeType: 'application/json', text: JSON.stringify({ name: 'Max' }) }
+          }),
+          entry('GET', 'https://shop.test/logo.png', 200, 'iVBORw0KGgo='),
+          entry('GET', 'https://cdn.test/api/pets/1', 200, { id: 1 })
+        ]
+      }
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should turn HAR entries into recordings of concrete requests', () => {
+    const result = harConverter.importHar(harFile, 'pets', { output: dataDir, baseUrl: 'https://shop.test/api' });
+
+    expect(result).toEqual({
+      api: 'pets',
+      baseUrl: 'https://shop.test/api',
+      imported: 4,
+      skipped: 2,
+      recordings: 4,
+      operations: 3,
+      addedOperations: 3
+    });
+    expect(readApiFile('responses', 'getpetsbypetid_petId-2.json')).toEqual({
+      request: { method: 'GET', url: '/pets/2', pathParams: { petId: '2' }, query: {}, headers: { cookie: '[REDACTED]', accept: 'application/json' } },
+      statusCode: 200,
+      headers: { 'content-type': 'application/json' },
+      data: { id: 2, name: 'Tom' }
+    });
+    expect(readApiFile('responses', 'postpets.json').request.body).toEqual({ name: 'Max' });
+    expect(readApiFile('responses', '_endpoints.json')).toEqual({
+      '/pets/{petId}': { operationId: 'getPetsByPetId', method: 'get', responseFile: 'getpetsbypetid_petId-1.json' },
+      '/pets': { operationId: 'getPets', method: 'get', responseFile: 'getpets_status-sold.json' },
+      'POST /pets': { operationId: 'postPets', method: 'post', responseFile: 'postpets.json' }
+    });
+  });
+
+  test('should infer operations missing from the spec', () => {
+    harConverter.importHar(harFile, 'pets', { output: dataDir, baseUrl: 'https://shop.test/api' });
+
+    const spec = readApiFile('swagger.json');
+    expect(spec.paths['/pets/{petId}'].get).toEqual({
+      operationId: 'getPetsByPetId',
+      parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'integer' } }],
+      responses: {
+        '200': {
+          description: 'OK',
+          content: { 'application/json': { schema: { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } } } }
+        }
+      }
+    });
+    expect(spec.paths['/pets'].get.parameters).toEqual([{ name: 'status', in: 'query', required: false, schema: { type: 'string' } }]);
+    expect(spec.paths['/pets'].post.requestBody.content['application/json'].schema).toEqual({
+      type: 'object',
+      properties: { name: { type: 'string' } }
+    });
+  });
+
+  test('should merge the traffic into an existing spec', () => {
+    fs.mkdirSync(path.join(dataDir, 'pets'));
+    fs.writeFileSync(path.join(dataDir, 'pets', 'swagger.json'), JSON.stringify({
+      swagger: '2.0',
+      paths: { '/pets/{id}': { get: { operationId: 'getPetById', responses: { '404': { description: 'Not found' } } } } }
+    }));
+
+    harConverter.importHar(harFile, 'pets', { output: dataDir, baseUrl: 'https://shop.test/api' });
+
+    const spec = readApiFile('swagger.json');
+    expect(Object.keys(spec.paths)).toEqual(['/pets/{id}', '/pets']);
+    expect(spec.paths['/pets/{id}'].get.operationId).toBe('getPetById');
+    expect(Object.keys(spec.paths['/pets/{id}'].get.responses)).toEqual(['200', '404']);
+    expect(readApiFile('responses', 'getpetbyid_id-1.json').request.pathParams).toEqual({ id: '1' });
+  });
+
+  test('should import the origin of the first JSON response without a base URL', () => {
+    const result = harConverter.importHar(harFile, 'pets', { output: dataDir });
+
+    expect(result.baseUrl).toBe('https://shop.test');
+    expect(result.skipped).toBe(2);
+    expect(Object.keys(readApiFile('swagger.json').paths)).toEqual(['/api/pets/{petId}', '/api/pets']);
+  });
+
+  test('should reject files that are not HAR logs', () => {
+    fs.writeFileSync(harFile, JSON.stringify({ entries: [] }));
+
+    expect(() => harConverter.importHar(harFile, 'pets', { output: dataDir })).toThrow('log.entries is missing');
+    expect(() => harConverter.importHar(path.join(dataDir, 'missing.har'), 'pets')).toThrow('HAR file not found');
+  });
+
+  test('should export recordings as HAR entries', () => {
+    harConverter.importHar(harFile, 'pets', { output: dataDir, baseUrl: 'https://shop.test/api' });
+    fs.writeFileSync(path.join(dataDir, 'pets', 'responses', 'get_pets_petId_petId-9.json'), JSON.stringify({ id: 9 }));
+    const config = { name: 'pets', swagger: readApiFile('swagger.json'), responsesDir: path.join(dataDir, 'pets', 'responses') };
+
+    const har = harConverter.exportHar(config);
+
+    expect(har.log.version).toBe('1.2');
+    expect(har.log.entries.map(harEntry => [harEntry.request.method, harEntry.request.url, harEntry.response.status])).toEqual([
+      ['GET', 'http://localhost:3000/pets/pets/9', 200],
+      ['GET', 'http://localhost:3000/pets/pets/1', 200],
+      ['GET', 'http://localhost:3000/pets/pets/2', 200],
+      ['GET', 'http://localhost:3000/pets/pets?status=sold', 200],
+      ['POST', 'http://localhost:3000/pets/pets', 201]
+    ]);
+    const post = har.log.entries[4];
+    expect(post.request.postData).toEqual({ mimeType: 'application/json', text: '{"name":"Max"}' });
+    expect(JSON.parse(post.response.content.text)).toEqual({ id: 4, name: 'Max' });
+    expect(post.response.statusText).toBe('Created');
+
+    const exported = harConverter.exportHar(config, { baseUrl: 'https://staging.test/api/' });
+    expect(exported.log.entries[1].request.url).toBe('https://staging.test/api/pets/1');
+  });
+});
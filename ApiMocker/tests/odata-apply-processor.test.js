@@ -0,0 +1,162 @@
+/**
+ * Tests for the OData Apply Processor
+ */
+
+const express = require('express');
+const request = require('supertest');
+const crudHandler = require('../src/crud-handler');
+const odataApplyProcessor = require('../src/odata-apply-processor');
+const odataQueryProcessor = require('../src/odata-query-processor');
+const routeHandler = require('../src/route-handler');
+
+describe('OData Apply Processor', () => {
+  const sales = [
+    { id: 1, category: 'Tools', region: { name: 'North' }, price: 10, quantity: 3, customer: 'A' },
+    { id: 2, category: 'Tools', region: { name: 'South' }, price: 20, quantity: 1, customer: 'B' },
+    { id: 3, category: 'Garden', region: { name: 'North' }, price: 5, quantity: 10, customer: 'A' },
+    { id: 4, category: 'Garden', region: { name: 'North' }, price: 40, quantity: 2, customer: 'C' },
+    { id: 5, category: 'Kitchen', region: { name: 'South' }, price: null, quantity: 4, customer: 'A' }
+  ];
+
+  const apply = option => odataApplyProcessor.applyTransformations(sales, option);
+
+  describe('parseApply', () => {
+    test('should split chained transformations outside parentheses and strings', () => {
+      const transformations = odataApplyProcessor.parseApply(
+        "filter(category ne 'a/b')/groupby((region/name),aggregate(price with sum as Total))"
+      );
+
+      expect(transformations).toEqual([
+        { name: 'filter', args: ["category ne 'a/b'"] },
+        { name: 'groupby', args: ['(region/name)', 'aggregate(price with sum as Total)'] }
+      ]);
+    });
+  });
+
+  describe('aggregate', () => {
+    test('should support every aggregation method', () => {
+      expect(apply(
+        'aggregate(price with sum as Total, price with min as Lowest, price with max as Highest, ' +
+        'price with average as Average, customer with countdistinct as Customers, $count as Count)'
+      )).toEqual([{ Total: 75, Lowest: 5, Highest: 40, Average: 18.75, Customers: 3, Count: 5 }]);
+    });
+
+    test('should aggregate arithmetic expressions', () => {
+      expect(apply('aggregate(price mul quantity with sum as Revenue)')).toEqual([{ Revenue: 180 }]);
+    });
+  });
+
+  describe('groupby', () => {
+    test('should group and aggregate per group', () => {
+      expect(apply('groupby((category),aggregate(price with sum as Total,$count as Count))')).toEqual([
+        { category: 'Tools', Total: 30, Count: 2 },
+        { category: 'Garden', Total: 45, Count: 2 },
+        { category: 'Kitchen', Total: 0, Count: 1 }
+      ]);
+    });
+
+    test('should return distinct values without aggregate and nest property paths', () => {
+      expect(apply('groupby((region/name,customer))')).toEqual([
+        { region: { name: 'North' }, customer: 'A' },
+        { region: { name: 'South' }, customer: 'B' },
+        { region: { name: 'North' }, customer: 'C' },
+        { region: { name: 'South' }, customer: 'A' }
+      ]);
+    });
+
+    test('should apply transformation sequences to each group', () => {
+      expect(apply('groupby((category),topcount(1,price)/aggregate(price with max as Top))')).toEqual([
+        { category: 'Tools', Top: 20 },
+        { category: 'Garden', Top: 40 },
+        { category: 'Kitchen', Top: null }
+      ]);
+    });
+  });
+
+  describe('filter, compute and chaining', () => {
+    test('should filter before and after aggregation', () => {
+      expect(apply(
+        "filter(region/name eq 'North')/groupby((category),aggregate(quantity with sum as Units))/filter(Units gt 5)"
+      )).toEqual([{ category: 'Garden', Units: 12 }]);
+    });
+
+    test('should compute properties usable by later transformations', () => {
+      expect(apply('compute(price mul quantity as Revenue)/aggregate(Revenue with max as Best)'))
+        .toEqual([{ Best: 80 }]);
+      expect(apply('compute(price mul quantity as Revenue)')[0].Revenue).toBe(30);
+    });
+  });
+
+  describe('top and bottom', () => {
+    test('should select by count', () => {
+      expect(apply('topcount(2,price)').map(row => row.id)).toEqual([4, 2]);
+      expect(apply('bottomcount(2,quantity)').map(row => row.id)).toEqual([2, 4]);
+    });
+
+    test('should select by sum and percent', () => {
+      expect(apply('topsum(50,price)').map(row => row.id)).toEqual([4, 2]);
+      expect(apply('bottomsum(5,price)').map(row => row.id)).toEqual([5, 3]);
+      expect(apply('toppercent(50,quantity)').map(row => row.id)).toEqual([3]);
+      expect(apply('bottompercent(25,quantity)').map(row => row.id)).toEqual([2, 4, 1]);
+    });
+  });
+
+  describe('errors', () => {
+    test.each([
+      ['unknown(price)'],
+      ['aggregate(price with median as M)'],
+      ['aggregate(price with sum)'],
+      ['groupby(category)'],
+      ['filter(price gt)'],
+      ['topcount(x,price)'],
+      ['groupby((category)']
+    ])('should reject %p with status 400', option => {
+      expect(() => apply(option)).toThrow(expect.objectContaining({
+        statusCode: 400,
+        message: expect.stringMatching(/^Invalid \$apply expression/)
+      }));
+    });
+  });
+
+  describe('processQuery integration', () => {
+    test('should evaluate $apply before the other query options', () => {
+      const result = odataQueryProcessor.processQuery(sales, {
+        $apply: 'groupby((category),aggregate(price with sum as Total))',
+        $filter: 'Total gt 10',
+        $orderby: 'Total desc',
+        $count: 'true'
+      });
+
+      expect(result.value).toEqual([
+        { category: 'Garden', Total: 45 },
+        { category: 'Tools', Total: 30 }
+      ]);
+      expect(result['@odata.count']).toBe(2);
+    });
+
+    test('should serve $apply on collection routes', async () => {
+      const apiName = 'apply-test-api';
+      crudHandler.initializeDataStore(apiName, {});
+      crudHandler.resetDataStore(apiName);
+      crudHandler.getCollection(apiName, 'Sales').push(...sales);
+
+      const app = express();
+      routeHandler.registerODataRoutes(app, '/odata', { apiName, responsesDir: '/non-existent' });
+
+      const response = await request(app)
+        .get('/odata/Sales')
+        .query({ $apply: 'groupby((customer),aggregate($count as Orders))' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.value).toEqual([
+        { customer: 'A', Orders: 3 },
+        { customer: 'B', Orders: 1 },
+        { customer: 'C', Orders: 1 }
+      ]);
+
+      const invalid = await request(app).get('/odata/Sales').query({ $apply: 'bogus(x)' });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error.code).toBe('BadRequest');
+    });
+  });
+});
@@ -0,0 +1,391 @@
+/**
+ * Tests for the OData Batch Processor
+ */
+
+const express = require('express');
+const request = require('supertest');
+const crudHandler = require('../src/crud-handler');
+const odataBatchProcessor = require('../src/odata-batch-processor');
+const routeHandler = require('../src/route-handler');
+
+describe('OData Batch Processor', () => {
+  const apiName = 'batch-test-api';
+  let app;
+  let context;
+
+  /**
+   * Sends a multipart batch to the OData API
+   * @param {Array<string>} lines - Lines of the batch body
+   * @returns {Promise<Object>} The response, with the multipart body as text
+   */
+  const sendMultipartBatch = lines => request(app)
+    .post('/odata/$batch')
+    .set('Content-Type', 'multipart/mixed; boundary=batch_1')
+    .send(lines.join('\r\n'))
+    .buffer(true)
+    .parse((res, done) => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => done(null, text));
+    });
+
+  beforeEach(() => {
+    crudHandler.initializeDataStore(apiName, {});
+    crudHandler.resetDataStore(apiName);
+    crudHandler.getCollection(apiName, 'Products').push(
+      { id: '1', name: 'Widget', price: 10 },
+      { id: '2', name: 'Gadget', price: 25 }
+    );
+
+    // Sub-requests run through the routes the OData API registers
+    app = express();
+    app.use(express.json());
+    const router = routeHandler.registerODataRoutes(app, '/odata', {
+      apiName,
+      responsesDir: '/non-existent'
+    });
+
+    context = {
+      router,
+      apiName,
+      basePath: '/odata',
+      protocol: 'http',
+      host: 'localhost'
+    };
+  });
+
+  describe('getBoundary', () => {
+    test('should extract plain and quoted boundaries', () => {
+      expect(odataBatchProcessor.getBoundary('multipart/mixed; boundary=batch_123')).toBe('batch_123');
+      expect(odataBatchProcessor.getBoundary('multipart/mixed; boundary="batch 456"')).toBe('batch 456');
+      expect(odataBatchProcessor.getBoundary('application/json')).toBeNull();
+    });
+  });
+
+  describe('parseMultipartBatch', () => {
+    test('should parse requests and changesets', () => {
+      const body = [
+        '--batch_1',
+        'Content-Type: application/http',
+        '',
+        'GET Products HTTP/1.1',
+        'Accept: application/json',
+        '',
+        '',
+        '--batch_1',
+        'Content-Type: multipart/mixed; boundary=changeset_1',
+        '',
+        '--changeset_1',
+        'Content-Type: application/http',
+        'Content-ID: 1',
+        '',
+        'POST Products HTTP/1.1',
+        'Content-Type: application/json',
+        '',
+        '{"name":"Gizmo"}',
+        '--changeset_1--',
+        '--batch_1--'
+      ].join('\r\n');
+
+      const items = odataBatchProcessor.parseMultipartBatch(body, 'batch_1');
+
+      expect(items).toHaveLength(2);
+      expect(items[0].type).toBe('request');
+      expect(items[0].request).toMatchObject({ method: 'GET', url: 'Products' });
+      expect(items[0].request.headers.accept).toBe('application/json');
+      expect(items[1].type).toBe('changeset');
+      expect(items[1].requests[0]).toMatchObject({
+        method: 'POST',
+        url: 'Products',
+        contentId: '1',
+        body: '{"name":"Gizmo"}'
+      });
+    });
+
+    test('should reject GET requests inside changesets', () => {
+      const body = [
+        '--batch_1',
+        'Content-Type: multipart/mixed; boundary=cs',
+        '',
+        '--cs',
+        'Content-Type: application/http',
+        '',
+        'GET Products HTTP/1.1',
+        '',
+        '--cs--',
+        '--batch_1--'
+      ].join('\n');
+
+      expect(() => odataBatchProcessor.parseMultipartBatch(body, 'batch_1')).toThrow(/GET/);
+    });
+  });
+
+  describe('processMultipartBatch', () => {
+    test('should frame responses for each request and changeset', async () => {
+      const body = [
+        '--batch_1',
+        'Content-Type: application/http',
+        '',
+        'GET Products(1) HTTP/1.1',
+        '',
+        '',
+        '--batch_1',
+        'Content-Type: multipart/mixed; boundary=changeset_1',
+        '',
+        '--changeset_1',
+        'Content-Type: application/http',
+        'Content-ID: 1',
+        '',
+        'POST /odata/Products HTTP/1.1',
+        'Content-Type: application/json',
+        '',
+        '{"id":"3","name":"Gizmo"}',
+        '--changeset_1',
+        'Content-Type: application/http',
+        'Content-ID: 2',
+        '',
+        'PATCH $1 HTTP/1.1',
+        'Content-Type: application/json',
+        '',
+        '{"price":99}',
+        '--changeset_1--',
+        '--batch_1--'
+      ].join('\r\n');
+
+      const listener = jest.fn();
+      const removeListener = crudHandler.onChange(apiName, listener);
+      const result = await odataBatchProcessor.processMultipartBatch(body, 'batch_1', context);
+      removeListener();
+
+      expect(listener.mock.calls.map(([change]) => [change.type, change.id])).toEqual([['added', '3'], ['changed', '3']]);
+      expect(result.boundary).toMatch(/^batchresponse_/);
+      expect(result.body).toContain('HTTP/1.1 200 OK');
+      expect(result.body).toContain('"name":"Widget"');
+      expect(result.body).toContain('Content-Type: multipart/mixed; boundary=changesetresponse_');
+      expect(result.body).toContain('HTTP/1.1 201 Created');
+      expect(result.body).toContain('HTTP/1.1 204 No Content');
+      expect(result.body.trim().endsWith(`--${result.boundary}--`)).toBe(true);
+
+      // The Content-ID reference resolved to the created entity
+      expect(crudHandler.getById(apiName, 'Products', '3').price).toBe(99);
+    });
+
+    test('should roll back a changeset when one of its requests fails', async () => {
+      const body = [
+        '--batch_1',
+        'Content-Type: multipart/mixed; boundary=changeset_1',
+        '',
+        '--changeset_1',
+        'Content-Type: application/http',
+        'Content-ID: 1',
+        '',
+        'POST Products HTTP/1.1',
+        'Content-Type: application/json',
+        '',
+        '{"id":"3","name":"Gizmo"}',
+        '--changeset_1',
+        'Content-Type: application/http',
+        'Content-ID: 2',
+        '',
+        "PATCH Products('1') HTTP/1.1",
+        'Content-Type: application/json',
+        '',
+        '{"price":11}',
+        '--changeset_1',
+        'Content-Type: application/http',
+        'Content-ID: 3',
+        '',
+        'POST Products HTTP/1.1',
+        'Content-Type: application/json',
+        '',
+        '{"id":"2","name":"Duplicate"}',
+        '--changeset_1--',
+        '--batch_1--'
+      ].join('\r\n');
+
+      const listener = jest.fn();
+      const removeListener = crudHandler.onChange(apiName, listener);
+      const result = await odataBatchProcessor.processMultipartBatch(body, 'batch_1', context);
+      removeListener();
+
+      // Writes of the rolled back changeset were never announced
+      expect(listener).not.toHaveBeenCalled();
+      expect(result.body).toContain('HTTP/1.1 409 Conflict');
+      expect(result.body).not.toContain('changesetresponse_');
+      expect(crudHandler.getAll(apiName, 'Products')).toHaveLength(2);
+      expect(crudHandler.getById(apiName, 'Products', '1').price).toBe(10);
+    });
+  });
+
+  describe('processJsonBatch', () => {
+    test('should execute requests and resolve references between them', async () => {
+      const result = await odataBatchProcessor.processJsonBatch({
+        requests: [
+          { id: 'r1', method: 'POST', url: 'Products', body: { id: '3', name: 'Gizmo' } },
+          { id: 'r2', method: 'GET', url: '$r1', dependsOn: ['r1'] },
+          { id: 'r3', method: 'GET', url: 'Products(404)' }
+        ]
+      }, { ...context, continueOnError: true });
+
+      expect(result.responses).toHaveLength(3);
+      expect(result.responses[0]).toMatchObject({ id: 'r1', status: 201 });
+      expect(result.responses[1]).toMatchObject({ id: 'r2', status: 200, body: { name: 'Gizmo' } });
+      expect(result.responses[2]).toMatchObject({ id: 'r3', status: 404 });
+    });
+
+    test('should roll back atomicity groups and fail dependent requests', async () => {
+      const result = await odataBatchProcessor.processJsonBatch({
+        requests: [
+          { id: 'a', atomicityGroup: 'g1', method: 'POST', url: 'Products', body: { id: '3', name: 'Gizmo' } },
+          { id: 'b', atomicityGroup: 'g1', method: 'POST', url: 'Products', body: { id: '1', name: 'Duplicate' } },
+          { id: 'c', method: 'GET', url: 'Products', dependsOn: ['g1'] }
+        ]
+      }, { ...context, continueOnError: true });
+
+      expect(result.responses.map(response => response.status)).toEqual([424, 409, 424]);
+      expect(result.responses[0].atomicityGroup).toBe('g1');
+      expect(crudHandler.getAll(apiName, 'Products')).toHaveLength(2);
+    });
+
+    test('should reject malformed JSON batches', async () => {
+      await expect(odataBatchProcessor.processJsonBatch({}, context)).rejects.toThrow(/requests/);
+    });
+  });
+
+  describe('$batch route', () => {
+    test('should dispatch sub-requests through the registered OData routes', async () => {
+      const response = await request(app)
+        .post('/odata/$batch')
+        .set('Content-Type', 'application/json')
+        .send({ requests: [{ id: '1', method: 'GET', url: 'Products?$top=1' }] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.responses[0].status).toBe(200);
+      expect(response.body.responses[0].body.value).toHaveLength(1);
+      expect(response.body.responses[0].headers['odata-version']).toBe('4.0');
+    });
+
+    test('should resolve key syntax in multipart and JSON sub-requests', async () => {
+      const multipart = await sendMultipartBatch([
+        '--batch_1',
+        'Content-Type: application/http',
+        '',
+        'GET Products(1) HTTP/1.1',
+        '',
+        '',
+        '--batch_1--'
+      ]);
+      const json = await request(app)
+        .post('/odata/$batch')
+        .send({ requests: [{ id: '1', method: 'GET', url: 'Products(2)' }] });
+
+      expect(multipart.status).toBe(200);
+      expect(multipart.body).toContain('HTTP/1.1 200 OK');
+      expect(multipart.body).toContain('"name":"Widget"');
+      expect(json.body.responses[0]).toMatchObject({ status: 200, body: { name: 'Gadget' } });
+    });
+
+    test('should commit a multipart changeset addressed with key syntax', async () => {
+      const response = await sendMultipartBatch([
+        '--batch_1',
+        'Content-Type: multipart/mixed; boundary=changeset_1',
+        '',
+        '--changeset_1',
+        'Content-Type: application/http',
+        'Content-ID: 1',
+        '',
+        'POST Products HTTP/1.1',
+        'Content-Type: application/json',
+        '',
+        '{"id":"3","name":"Gizmo"}',
+        '--changeset_1',
+        'Content-Type: application/http',
+        'Content-ID: 2',
+        '',
+        'PATCH $1 HTTP/1.1',
+        'Content-Type: application/json',
+        '',
+        '{"price":99}',
+        '--changeset_1',
+        'Content-Type: application/http',
+        'Content-ID: 3',
+        '',
+        'DELETE Products(2) HTTP/1.1',
+        '',
+        '',
+        '--changeset_1--',
+        '--batch_1',
+        'Content-Type: application/http',
+        '',
+        'GET Products?$orderby=id HTTP/1.1',
+        '',
+        '',
+        '--batch_1--'
+      ]);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^multipart\/mixed; boundary=batchresponse_/);
+      expect(response.body).toContain('HTTP/1.1 201 Created');
+      expect(response.body.match(/HTTP\/1\.1 204 No Content/g)).toHaveLength(2);
+      expect(crudHandler.getAll(apiName, 'Products').map(product => [product.id, product.price])).toEqual([['1', 10], ['3', 99]]);
+    });
+
+    test('should roll back a multipart changeset when one of its requests fails', async () => {
+      const response = await sendMultipartBatch([
+        '--batch_1',
+        'Content-Type: multipart/mixed; boundary=changeset_1',
+        '',
+        '--changeset_1',
+        'Content-Type: application/http',
+        'Content-ID: 1',
+        '',
+        'DELETE Products(1) HTTP/1.1',
+        '',
+        '',
+        '--changeset_1',
+        'Content-Type: application/http',
+        'Content-ID: 2',
+        '',
+        'PATCH Products(404) HTTP/1.1',
+        'Content-Type: application/json',
+        '',
+        '{"price":1}',
+        '--changeset_1--',
+        '--batch_1--'
+      ]);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toContain('HTTP/1.1 404 Not Found');
+      expect(response.body).not.toContain('changesetresponse_');
+      expect(crudHandler.getById(apiName, 'Products', '1')).toMatchObject({ name: 'Widget' });
+    });
+
+    test('should roll back JSON atomicity groups and keep independent requests', async () => {
+      const response = await request(app)
+        .post('/odata/$batch')
+        .set('Prefer', 'odata.continue-on-error')
+        .send({
+          requests: [
+            { id: 'a', atomicityGroup: 'g1', method: 'PATCH', url: 'Products(1)', body: { price: 12 } },
+            { id: 'b', atomicityGroup: 'g1', method: 'POST', url: 'Products', body: { id: '2', name: 'Duplicate' } },
+            { id: 'c', method: 'PATCH', url: "Products('2')", body: { price: 30 } }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.responses.map(entry => [entry.id, entry.status])).toEqual([['a', 424], ['b', 409], ['c', 204]]);
+      expect(crudHandler.getById(apiName, 'Products', '1').price).toBe(10);
+      expect(crudHandler.getById(apiName, 'Products', '2').price).toBe(30);
+    });
+
+    test('should return 400 for unsupported content types', async () => {
+      const response = await request(app)
+        .post('/odata/$batch')
+        .set('Content-Type', 'text/plain')
+        .send('hello');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('BadRequest');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Tests for change tracking with OData delta links and REST since queries
+ */
+
+const express = require('express');
+const request = require('supertest');
+const crudHandler = require('../src/crud-handler');
+const routeHandler = require('../src/route-handler');
+
+describe('Change Tracking', () => {
+  const apiName = 'delta-test-api';
+
+  beforeEach(() => {
+    crudHandler.initializeDataStore(apiName, {});
+    crudHandler.resetDataStore(apiName);
+    crudHandler.getCollection(apiName, 'Orders').push(
+      { id: 1, status: 'open', total: 100 },
+      { id: 2, status: 'open', total: 250 }
+    );
+  });
+
+  describe('OData delta links', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      routeHandler.registerODataRoutes(app, '/odata', {
+        apiName,
+        responsesDir: '/non-existent'
+      });
+    });
+
+    /**
+     * Gets the path and query of an absolute link
+     * @param {string} link - The link
+     * @returns {string} The path and query
+     */
+    const toPath = link => {
+      const url = new URL(link);
+      return `${url.pathname}${url.search}`;
+    };
+
+    test('should add a delta link to the last page when changes are tracked', async () => {
+      const prefer = 'odata.track-changes, odata.maxpagesize=1';
+      const first = await request(app).get('/odata/Orders').set('Prefer', prefer);
+
+      expect(first.headers['preference-applied']).toBe('odata.maxpagesize=1, odata.track-changes');
+      expect(first.body['@odata.deltaLink']).toBeUndefined();
+
+      const last = await request(app).get(toPath(first.body['@odata.nextLink'])).set('Prefer', prefer);
+
+      expect(last.body['@odata.nextLink']).toBeUndefined();
+      expect(last.body['@odata.deltaLink']).toMatch(/\/odata\/Orders\?\$deltatoken=[0-9a-f]+\.0$/);
+    });
+
+    test('should only track changes of entity sets when requested', async () => {
+      const untracked = await request(app).get('/odata/Orders');
+      const navigation = await request(app).get('/odata/Orders(1)/Items').set('Prefer', 'odata.track-changes');
+
+      expect(untracked.headers['preference-applied']).toBeUndefined();
+      expect(untracked.body['@odata.deltaLink']).toBeUndefined();
+      expect(navigation.body['@odata.deltaLink']).toBeUndefined();
+    });
+
+    test('should return changed entities and tombstones for removed entities', async () => {
+      const initial = await request(app)
+        .get('/odata/Orders')
+        .query({ $filter: "status eq 'open'", $top: 5 })
+        .set('Prefer', 'odata.track-changes');
+      const deltaLink = initial.body['@odata.deltaLink'];
+
+      await request(app).patch('/odata/Orders(1)').send({ total: 120 }).expect(204);
+      await request(app).patch('/odata/Orders(2)').send({ status: 'shipped' }).expect(204);
+      await request(app).post('/odata/Orders').send({ id: 3, status: 'open', total: 5 }).expect(201);
+      await request(app).delete('/odata/Orders(2)').expect(204);
+
+      const delta = await request(app).get(toPath(deltaLink));
+
+      expect(delta.status).toBe(200);
+      expect(delta.body['@odata.context']).toMatch(/\$metadata#Orders\/\$delta$/);
+      expect(delta.body.value).toEqual([
+        { '@odata.etag': expect.stringMatching(/^W\/"2-/), id: 1, status: 'open', total: 120 },
+        { '@odata.etag': expect.stringMatching(/^W\/"1-/), id: 3, status: 'open', total: 5 },
+        { '@odata.id': expect.stringMatching(/\/odata\/Orders\(2\)$/), '@removed': { reason: 'deleted' } }
+      ]);
+      expect(delta.body['@odata.deltaLink']).toMatch(/%24filter=.*&\$deltatoken=[0-9a-f]+\.4$/);
+
+      const empty = await request(app).get(toPath(delta.body['@odata.deltaLink']));
+      expect(empty.body.value).toEqual([]);
+    });
+
+    test('should reject invalid delta tokens', async () => {
+      const response = await request(app).get('/odata/Orders').query({ $deltatoken: 'stale' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toBe('Invalid change token: stale');
+    });
+
+    test('should answer delta links issued before a reset with 410', async () => {
+      const initial = await request(app).get('/odata/Orders').set('Prefer', 'odata.track-changes');
+      crudHandler.resetDataStore(apiName);
+
+      const response = await request(app).get(toPath(initial.body['@odata.deltaLink']));
+
+      expect(response.status).toBe(410);
+      expect(response.body.error.code).toBe('Gone');
+    });
+  });
+
+  describe('REST since queries', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      const config = { apiName, responsesDir: '/non-existent' };
+      routeHandler.registerRoute(app, 'get', '/Orders', { operationId: 'listOrders' }, config);
+      routeHandler.registerRoute(app, 'post', '/Orders', { operationId: 'createOrder' }, config);
+    });
+
+    test('should return the changes since a token', async () => {
+      const baseline = await request(app).get('/Orders').query({ since: 0 });
+      expect(baseline.body).toEqual({ changed: [], removed: [], token: expect.stringMatching(/^[0-9a-f]+\.0$/) });
+      expect(baseline.headers['x-change-token']).toBe(baseline.body.token);
+
+      await request(app).post('/Orders').send({ id: 3, status: 'open' }).expect(201);
+      crudHandler.handleDelete(apiName, 'Orders', '1');
+
+      const response = await request(app).get('/Orders').query({ since: baseline.body.token });
+
+      expect(response.body).toEqual({
+        changed: [expect.objectContaining({ id: 3, status: 'open' })],
+        removed: [{ id: 1 }],
+        token: baseline.body.token.replace(/\.0$/, '.2')
+      });
+    });
+
+    test('should reject invalid tokens with 400', async () => {
+      const response = await request(app).get('/Orders').query({ since: 'later' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Bad Request');
+    });
+
+    test('should answer tokens issued before a reset with 410', async () => {
+      const { token } = (await request(app).get('/Orders').query({ since: 0 })).body;
+      crudHandler.resetDataStore(apiName);
+
+      const response = await request(app).get('/Orders').query({ since: token });
+
+      expect(response.status).toBe(410);
+      expect(response.body.error).toBe('Gone');
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Tests for the OData Filter Parser
+ */
+
+const express = require('express');
+const request = require('supertest');
+const crudHandler = require('../src/crud-handler');
+const odataFilterParser = require('../src/odata-filter-parser');
+const routeHandler = require('../src/route-handler');
+
+describe('OData Filter Parser', () => {
+  const products = [
+    {
+      id: 1, name: 'Widget', category: 'Tools', price: 10, stock: 7,
+      released: '2023-03-15T10:00:00Z', warranty: 'P30D',
+      sku: '0f8fad5b-d9cb-469f-a165-70867728950e',
+      tags: ['new', 'sale'], orders: [{ total: 50 }, { total: 150 }]
+    },
+    {
+      id: 2, name: "Bob's Gadget", category: 'Gadgets', price: 25, stock: 0,
+      released: '2024-01-01T00:00:00Z', warranty: 'P365D',
+      sku: '7c9e6679-7425-40de-944b-e07fc1f90ae7',
+      tags: [], orders: [{ total: 200 }]
+    },
+    {
+      id: 3, name: 'Gizmo and more', category: 'Gadgets', price: 40, stock: 3,
+      released: null, warranty: null,
+      sku: null,
+      tags: ['sale'], orders: []
+    }
+  ];
+
+  const filter = expression => products
+    .filter(odataFilterParser.compileFilter(expression))
+    .map(product => product.id);
+
+  describe('tokenize', () => {
+    test('should tokenize strings with escaped quotes and typed literals', () => {
+      const tokens = odataFilterParser.tokenize("name eq 'Bob''s' and sku eq 0F8FAD5B-D9CB-469F-A165-70867728950E");
+
+      expect(tokens[2]).toMatchObject({ type: 'literal', value: "Bob's", edmType: 'Edm.String' });
+      expect(tokens[6]).toMatchObject({ type: 'literal', edmType: 'Edm.Guid', value: '0f8fad5b-d9cb-469f-a165-70867728950e' });
+    });
+  });
+
+  describe('operators and precedence', () => {
+    test('should bind and tighter than or', () => {
+      expect(filter("category eq 'Tools' or category eq 'Gadgets' and price gt 30")).toEqual([1, 3]);
+      expect(filter("(category eq 'Tools' or category eq 'Gadgets') and price gt 30")).toEqual([3]);
+    });
+
+    test('should support not', () => {
+      expect(filter("not (category eq 'Gadgets')")).toEqual([1]);
+      expect(filter("not contains(name, 'G')")).toEqual([1]);
+    });
+
+    test('should not split on operators inside string literals', () => {
+      expect(filter("name eq 'Gizmo and more'")).toEqual([3]);
+      expect(filter("name eq 'Bob''s Gadget'")).toEqual([2]);
+    });
+
+    test('should support in', () => {
+      expect(filter("category in ('Tools', 'Other')")).toEqual([1]);
+      expect(filter('id in (2, 3)')).toEqual([2, 3]);
+    });
+
+    test('should evaluate arithmetic with precedence', () => {
+      expect(filter('price add stock mul 2 eq 24')).toEqual([1]);
+      expect(filter('price sub 5 gt 10')).toEqual([2, 3]);
+      expect(filter('price div 4 eq 6')).toEqual([2]);
+      expect(filter('price divby 4 eq 2.5')).toEqual([1]);
+      expect(filter('price mod 2 eq 1')).toEqual([2]);
+      expect(filter('-price lt -30')).toEqual([3]);
+    });
+
+    test('should keep the legacy infix contains operator', () => {
+      expect(filter("name contains 'Gadget'")).toEqual([2]);
+    });
+  });
+
+  describe('functions', () => {
+    test('should support string functions', () => {
+      expect(filter("tolower(name) eq 'widget'")).toEqual([1]);
+      expect(filter("toupper(category) eq 'TOOLS'")).toEqual([1]);
+      expect(filter('length(name) eq 6')).toEqual([1]);
+      expect(filter("indexof(name, 'dg') eq 2")).toEqual([1]);
+      expect(filter("substring(name, 1, 3) eq 'idg'")).toEqual([1]);
+      expect(filter("substring(name, 6) eq 'Gadget'")).toEqual([2]);
+      expect(filter("trim(concat(' ', name)) eq 'Widget'")).toEqual([1]);
+      expect(filter("startswith(name, 'Gi') or endswith(name, 'get')")).toEqual([1, 2, 3]);
+    });
+
+    test('should support date functions and datetimeoffset literals', () => {
+      expect(filter('year(released) eq 2023')).toEqual([1]);
+      expect(filter('month(released) eq 3 and day(released) eq 15')).toEqual([1]);
+      expect(filter('released gt 2023-06-01T00:00:00Z')).toEqual([2]);
+      expect(filter('released lt now()')).toEqual([1, 2]);
+      expect(filter('released ge 2024-01-01')).toEqual([2]);
+    });
+
+    test('should compare durations and guids', () => {
+      expect(filter("warranty gt duration'P60D'")).toEqual([2]);
+      expect(filter('sku eq 7C9E6679-7425-40DE-944B-E07FC1F90AE7')).toEqual([2]);
+      expect(filter("sku eq guid'0f8fad5b-d9cb-469f-a165-70867728950e'")).toEqual([1]);
+    });
+
+    test('should handle null values', () => {
+      expect(filter('released eq null')).toEqual([3]);
+      expect(filter('year(released) eq 2023 or sku eq null')).toEqual([1, 3]);
+    });
+  });
+
+  describe('lambda operators', () => {
+    test('should support any and all', () => {
+      expect(filter("tags/any(t: t eq 'sale')")).toEqual([1, 3]);
+      expect(filter('tags/any()')).toEqual([1, 3]);
+      expect(filter('orders/all(o: o/total gt 100)')).toEqual([2, 3]);
+      expect(filter('orders/any(o: o/total gt price mul 10)')).toEqual([1]);
+    });
+  });
+
+  describe('errors', () => {
+    test.each([
+      ["name eq 'unterminated"],
+      ['price gt'],
+      ['(price gt 5'],
+      ['price gt 5)'],
+      ['unknownfn(name) eq 1'],
+      ['price eq 5 foo'],
+      ['']
+    ])('should reject invalid expression %p with status 400', expression => {
+      let thrown;
+      try {
+        odataFilterParser.compileFilter(expression);
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(thrown).toBeDefined();
+      expect(thrown.statusCode).toBe(400);
+      expect(thrown.message).toMatch(/Invalid \$filter expression/);
+    });
+  });
+
+  describe('collection route', () => {
+    test('should answer invalid filters with an OData 400 error', async () => {
+      const apiName = 'filter-test-api';
+      crudHandler.initializeDataStore(apiName, {});
+      crudHandler.getCollection(apiName, 'Products').push(...products);
+
+      const app = express();
+      routeHandler.registerODataRoutes(app, '/odata', { apiName, responsesDir: '/non-existent' });
+
+      const invalid = await request(app).get('/odata/Products').query({ $filter: 'price gt' });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error.code).toBe('BadRequest');
+
+      const valid = await request(app).get('/odata/Products').query({ $filter: "tags/any(t: t eq 'new')" });
+      expect(valid.status).toBe(200);
+      expect(valid.body.value.map(product => product.id)).toEqual([1]);
+    });
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Tests for OData functions and actions
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const crudHandler = require('../src/crud-handler');
+const routeHandler = require('../src/route-handler');
+
+const METADATA = `<?xml version="1.0" encoding="utf-8"?>
+<edmx:Edmx Version="4.0" xmlns:edmx="http://docs.oasis-open.org/odata/ns/edmx">
+  <edmx:DataServices>
+    <Schema Namespace="Shop" xmlns="http://docs.oasis-open.org/odata/ns/edm">
+      <EntityType Name="Product">
+        <Key><PropertyRef Name="id"/></Key>
+        <Property Name="id" Type="Edm.Int32" Nullable="false"/>
+        <Property Name="name" Type="Edm.String"/>
+        <Property Name="price" Type="Edm.Double"/>
+      </EntityType>
+      <EntityType Name="Order">
+        <Key><PropertyRef Name="id"/></Key>
+        <Property Name="id" Type="Edm.Int32" Nullable="false"/>
+        <Property Name="status" Type="Edm.String"/>
+      </EntityType>
+      <Function Name="GetTopProducts">
+        <Parameter Name="count" Type="Edm.Int32" Nullable="false"/>
+        <ReturnType Type="Collection(Shop.Product)"/>
+      </Function>
+      <Function Name="GetServiceInfo">
+        <ReturnType Type="Edm.String"/>
+      </Function>
+      <Function Name="GetPrice" IsBound="true">
+        <Parameter Name="product" Type="Shop.Product"/>
+        <Parameter Name="currency" Type="Edm.String" Nullable="false"/>
+        <ReturnType Type="Edm.Double"/>
+      </Function>
+      <Function Name="MostExpensive" IsBound="true" EntitySetPath="products">
+        <Parameter Name="products" Type="Collection(Shop.Product)"/>
+        <ReturnType Type="Shop.Product"/>
+      </Function>
+      <Action Name="Cancel" IsBound="true">
+        <Parameter Name="order" Type="Shop.Order"/>
+        <Parameter Name="reason" Type="Edm.String" Nullable="false"/>
+      </Action>
+      <Action Name="ResetPrices">
+        <Parameter Name="factor" Type="Edm.Double"/>
+      </Action>
+      <EntityContainer Name="ShopService">
+        <EntitySet Name="Products" EntityType="Shop.Product"/>
+        <EntitySet Name="Orders" EntityType="Shop.Order"/>
+        <FunctionImport Name="GetTopProducts" Function="Shop.GetTopProducts" EntitySet="Products"/>
+        <FunctionImport Name="GetServiceInfo" Function="Shop.GetServiceInfo"/>
+        <ActionImport Name="ResetPrices" Action="Shop.ResetPrices"/>
+      </EntityContainer>
+    </Schema>
+  </edmx:DataServices>
+</edmx:Edmx>`;
+
+const HANDLERS = {
+  'top-products.js': `module.exports = ({ parameters, getCollection }) =>
+  [...getCollection('Products')].sort((a, b) => b.price - a.price).slice(0, parameters.count);`,
+  'get-price.js': `module.exports = async ({ binding, parameters }) =>
+  (parameters.currency === 'EUR' ? binding.price * 2 : binding.price);`,
+  'most-expensive.js': `module.exports = ({ binding }) =>
+  binding.reduce((best, product) => (product.price > best.price ? product : best));`,
+  'cancel.js': `module.exports = ({ binding, parameters, getCollection }) => {
+  getCollection('Orders').find(order => order.id === binding.id).status = 'cancelled: ' + parameters.reason;
+};`
+};
+
+describe('OData Operations', () => {
+  const apiName = 'operations-test-api';
+  let apiDir;
+  let app;
+
+  beforeAll(() => {
+    apiDir = fs.mkdtempSync(path.join(os.tmpdir(), 'odata-operations-'));
+    fs.mkdirSync(path.join(apiDir, 'responses'));
+    fs.mkdirSync(path.join(apiDir, 'handlers'));
+    fs.writeFileSync(path.join(apiDir, 'responses', '$metadata.xml'), METADATA);
+    fs.writeFileSync(
+      path.join(apiDir, 'responses', 'getserviceinfo.json'),
+      JSON.stringify({ '@odata.context': '$metadata#Edm.String', value: 'recorded' })
+    );
+
+    for (const [fileName, source] of Object.entries(HANDLERS)) {
+      fs.writeFileSync(path.join(apiDir, 'handlers', fileName), source);
+    }
+  });
+
+  afterAll(() => {
+    fs.rmSync(apiDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    crudHandler.initializeDataStore(apiName, {});
+    crudHandler.resetDataStore(apiName);
+    crudHandler.getCollection(apiName, 'Products').push(
+      { id: 1, name: 'Chai', price: 18 },
+      { id: 2, name: 'Chang', price: 19 },
+      { id: 3, name: 'Syrup', price: 10 }
+    );
+    crudHandler.getCollection(apiName, 'Orders').push({ id: 1, status: 'open' });
+
+    app = express();
+    routeHandler.registerODataRoutes(app, '/odata', {
+      apiName,
+      apiDir,
+      responsesDir: path.join(apiDir, 'responses'),
+      odata: {
+        operations: {
+          GetTopProducts: 'handlers/top-products.js',
+          'Shop.GetPrice': 'handlers/get-price.js',
+          MostExpensive: 'handlers/most-expensive.js',
+          'Shop.Cancel': 'handlers/cancel.js'
+        }
+      }
+    });
+  });
+
+  describe('functions', () => {
+    test('should call function imports with inline parameters and query options', async () => {
+      const response = await request(app).get('/odata/GetTopProducts(count=2)').query({ $select: 'name' });
+
+      expect(response.status).toBe(200);
+      expect(response.body['@odata.context']).toMatch(/\$metadata#Products$/);
+      expect(response.body.value).toEqual([
+        { '@odata.type': '#Shop.Product', name: 'Chang' },
+        { '@odata.type': '#Shop.Product', name: 'Chai' }
+      ]);
+    });
+
+    test('should resolve parameter aliases', async () => {
+      const response = await request(app).get('/odata/GetTopProducts(count=@c)').query({ '@c': '1' });
+
+      expect(response.body.value.map(product => product.id)).toEqual([2]);
+    });
+
+    test('should call functions bound to an entity', async () => {
+      const response = await request(app).get("/odata/Products(1)/Shop.GetPrice(currency='EUR')");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        '@odata.context': expect.stringMatching(/\$metadata#Edm\.Double$/),
+        value: 36
+      });
+    });
+
+    test('should call functions bound to a collection', async () => {
+      const response = await request(app).get('/odata/Products/Shop.MostExpensive()');
+
+      expect(response.status).toBe(200);
+      expect(response.body['@odata.context']).toMatch(/\$metadata#Products\/\$entity$/);
+      expect(response.body.name).toBe('Chang');
+    });
+
+    test('should serve recorded responses when no handler is configured', async () => {
+      const response = await request(app).get('/odata/GetServiceInfo()');
+
+      expect(response.status).toBe(200);
+      expect(response.body.value).toBe('recorded');
+    });
+
+    test.each([
+      ["/odata/GetTopProducts(count='many')", "'count' must be a value of type Edm.Int32"],
+      ['/odata/GetTopProducts()', "'count' is required"],
+      ['/odata/GetTopProducts(count=1,limit=2)', "'limit' is not a parameter of Shop.GetTopProducts"],
+      ['/odata/Products(1)/Shop.GetPrice()', "'currency' is required"]
+    ])('should validate the parameters of %s', async (url, message) => {
+      const response = await request(app).get(url);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('BadRequest');
+      expect(response.body.error.message).toContain(message);
+    });
+  });
+
+  describe('actions', () => {
+    test('should invoke bound actions with parameters from the body', async () => {
+      await request(app).post('/odata/Orders(1)/Shop.Cancel').send({ reason: 'late' }).expect(204);
+
+      expect(crudHandler.getById(apiName, 'Orders', '1').status).toBe('cancelled: late');
+    });
+
+    test('should validate action parameters', async () => {
+      const response = await request(app).post('/odata/Orders(1)/Shop.Cancel').send({ reason: 7 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toContain("'reason' must be a value of type Edm.String");
+    });
+
+    test('should reject operations called with the wrong method', async () => {
+      await request(app).get('/odata/Orders(1)/Shop.Cancel').expect(405);
+      await request(app).post('/odata/GetTopProducts(count=1)').expect(405);
+    });
+
+    test('should report operations without a handler or recorded response', async () => {
+      const response = await request(app).post('/odata/ResetPrices').send({ factor: 1.1 });
+
+      expect(response.status).toBe(501);
+      expect(response.body.error.code).toBe('NotImplemented');
+      expect(response.body.error.message).toContain('resetprices.json');
+    });
+
+    test('should not affect other routes', async () => {
+      await request(app).get('/odata/Products(2)').expect(200);
+      await request(app).post('/odata/Products').send({ id: 4, name: 'Tofu', price: 23 }).expect(201);
+      await request(app).get('/odata/Products/Shop.Unknown()').expect(404);
+    });
+  });
+});
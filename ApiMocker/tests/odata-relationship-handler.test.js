@@ -0,0 +1,217 @@
+/**
+ * Tests for the OData Relationship Handler
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const crudHandler = require('../src/crud-handler');
+const odataRelationshipHandler = require('../src/odata-relationship-handler');
+const routeHandler = require('../src/route-handler');
+
+const METADATA = `<?xml version="1.0" encoding="utf-8"?>
+<edmx:Edmx Version="4.0" xmlns:edmx="http://docs.oasis-open.org/odata/ns/edmx">
+  <edmx:DataServices>
+    <Schema Namespace="Staff" xmlns="http://docs.oasis-open.org/odata/ns/edm">
+      <EntityType Name="Employee">
+        <Key><PropertyRef Name="id"/></Key>
+        <Property Name="id" Type="Edm.Int32" Nullable="false"/>
+        <Property Name="name" Type="Edm.String"/>
+        <Property Name="managerId" Type="Edm.Int32"/>
+        <NavigationProperty Name="Manager" Type="Staff.Employee" Partner="DirectReports"/>
+        <NavigationProperty Name="DirectReports" Type="Collection(Staff.Employee)" Partner="Manager"/>
+      </EntityType>
+      <EntityContainer Name="Container">
+        <EntitySet Name="Employees" EntityType="Staff.Employee">
+          <NavigationPropertyBinding Path="Manager" Target="Employees"/>
+          <NavigationPropertyBinding Path="DirectReports" Target="Employees"/>
+        </EntitySet>
+      </EntityContainer>
+    </Schema>
+  </edmx:DataServices>
+</edmx:Edmx>`;
+
+describe('OData Relationship Handler', () => {
+  describe('parseExpand', () => {
+    test('should parse nested query options and nested $expand', () => {
+      expect(odataRelationshipHandler.parseExpand(
+        "Orders($filter=total gt 5;$orderby=total desc;$top=2;$expand=Lines($select=product)),Customer"
+      )).toEqual([
+        {
+          path: 'Orders',
+          options: {
+            $filter: 'total gt 5',
+            $orderby: 'total desc',
+            $top: '2',
+            $expand: [{ path: 'Lines', options: { $select: 'product' } }]
+          }
+        },
+        { path: 'Customer', options: {} }
+      ]);
+    });
+
+    test('should turn navigation paths into nested expands', () => {
+      expect(odataRelationshipHandler.parseExpand('Orders/Customer')).toEqual([
+        { path: 'Orders', options: { $expand: [{ path: 'Customer', options: {} }] } }
+      ]);
+    });
+
+    test.each([['Orders($bogus=1)'], ['Orders($top=1'], ['Orders(top)']])(
+      'should reject %p with status 400',
+      expandOption => {
+        expect(() => odataRelationshipHandler.parseExpand(expandOption)).toThrow(expect.objectContaining({
+          statusCode: 400,
+          message: expect.stringMatching(/^Invalid \$expand expression/)
+        }));
+      }
+    );
+  });
+
+  describe('nested query options in routes', () => {
+    const apiName = 'expand-convention-api';
+    let app;
+
+    beforeEach(() => {
+      crudHandler.initializeDataStore(apiName, {});
+      crudHandler.resetDataStore(apiName);
+      crudHandler.getCollection(apiName, 'Customers').push(
+        { id: 1, name: 'Acme' },
+        { id: 2, name: 'Globex' }
+      );
+      crudHandler.getCollection(apiName, 'Orders').push(
+        { id: 5, total: 10, customerId: 1 },
+        { id: 6, total: 20, customerId: 1 },
+        { id: 7, total: 30, customerId: 1 },
+        { id: 8, total: 40, customerId: 2 }
+      );
+
+      app = express();
+      routeHandler.registerODataRoutes(app, '/odata', { apiName, responsesDir: '/non-existent' });
+    });
+
+    test('should filter, order, page, count and select expanded collections', async () => {
+      const response = await request(app).get('/odata/Customers').query({
+        $select: 'name',
+        $expand: 'Orders($filter=total gt 10;$orderby=total desc;$top=1;$count=true;$select=total)'
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.value).toEqual([
+        { '@odata.etag': expect.any(String), name: 'Acme', Orders: [{ total: 30 }], 'Orders@odata.count': 2 },
+        { '@odata.etag': expect.any(String), name: 'Globex', Orders: [{ total: 40 }], 'Orders@odata.count': 1 }
+      ]);
+    });
+
+    test('should expand multiple levels on entities', async () => {
+      const response = await request(app).get('/odata/Customers(1)').query({
+        $expand: 'Orders($top=1;$expand=Customer($select=name))'
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.Orders).toEqual([
+        { id: 5, total: 10, customerId: 1, Customer: { name: 'Acme' } }
+      ]);
+    });
+
+    test('should expand single-valued navigation as null when a nested $filter excludes it', async () => {
+      const response = await request(app).get('/odata/Orders').query({
+        $filter: 'total le 10 or total eq 40',
+        $expand: "Customer($filter=name eq 'Acme')"
+      });
+
+      expect(response.body.value.map(order => order.Customer && order.Customer.name)).toEqual(['Acme', null]);
+    });
+
+    test('should answer invalid $expand options with 400', async () => {
+      const response = await request(app).get('/odata/Customers').query({ $expand: 'Orders($bogus=1)' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('BadRequest');
+    });
+
+    test.each([
+      ['/odata/Customers', 'Nope', "'Nope' is not a navigation property of Customer"],
+      ['/odata/Customers(1)', 'Orders($expand=Nope)', "'Nope' is not a navigation property of Order"],
+      ['/odata/Customers(1)/Orders', 'Nope', "'Nope' is not a navigation property of Order"]
+    ])('should reject unknown navigation properties in %s?$expand=%s with 400', async (url, expand, message) => {
+      const response = await request(app).get(url).query({ $expand: expand });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toBe(`Invalid $expand: ${message}`);
+    });
+
+    test('should keep @odata.etag when $select leaves out the key', async () => {
+      const response = await request(app).get('/odata/Customers').query({ $select: 'name' });
+
+      expect(response.body.value).toEqual(crudHandler.getAll(apiName, 'Customers').map(customer => ({
+        '@odata.etag': crudHandler.getETag(customer),
+        name: customer.name
+      })));
+    });
+  });
+
+  describe('$levels', () => {
+    const apiName = 'expand-levels-api';
+    let responsesDir;
+    let app;
+
+    beforeAll(() => {
+      responsesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'odata-expand-'));
+      fs.writeFileSync(path.join(responsesDir, '$metadata.xml'), METADATA);
+
+      crudHandler.initializeDataStore(apiName, {});
+      crudHandler.resetDataStore(apiName);
+      crudHandler.getCollection(apiName, 'Employees').push(
+        { id: 1, name: 'Ada', managerId: null },
+        { id: 2, name: 'Bob', managerId: 1 },
+        { id: 3, name: 'Cy', managerId: 2 },
+        { id: 4, name: 'Di', managerId: 3 }
+      );
+
+      app = express();
+      routeHandler.registerODataRoutes(app, '/odata', { apiName, responsesDir });
+    });
+
+    afterAll(() => {
+      fs.rmSync(responsesDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Collects the names along the first chain of direct reports
+     * @param {Object} employee - The expanded employee
+     * @returns {Array<string>} The names from the employee downwards
+     */
+    const reportChain = employee => (employee
+      ? [employee.name, ...reportChain((employee.DirectReports || [])[0])]
+      : []);
+
+    test('should repeat the expansion for the requested number of levels', async () => {
+      const response = await request(app).get('/odata/Employees(1)').query({
+        $expand: 'DirectReports($levels=2;$select=name)'
+      });
+
+      expect(response.status).toBe(200);
+      expect(reportChain(response.body)).toEqual(['Ada', 'Bob', 'Cy']);
+      expect(response.body.DirectReports[0].DirectReports[0].DirectReports).toBeUndefined();
+    });
+
+    test('should expand until the hierarchy ends with $levels=max', async () => {
+      const response = await request(app).get('/odata/Employees(1)').query({
+        $expand: 'DirectReports($levels=max)'
+      });
+
+      expect(reportChain(response.body)).toEqual(['Ada', 'Bob', 'Cy', 'Di']);
+    });
+
+    test('should reject invalid $levels values', async () => {
+      const response = await request(app).get('/odata/Employees(4)/Manager').query({
+        $expand: 'Manager($levels=0)'
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toMatch(/\$levels/);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Tests for the OData Response Formatter
+ */
+
+const express = require('express');
+const request = require('supertest');
+const crudHandler = require('../src/crud-handler');
+const odataResponseFormatter = require('../src/odata-response-formatter');
+const odataUrlResolver = require('../src/odata-url-resolver');
+const routeHandler = require('../src/route-handler');
+
+describe('OData Response Formatter', () => {
+  describe('skip tokens', () => {
+    test('should round-trip positions through opaque tokens', () => {
+      const keyToken = odataResponseFormatter.createSkipToken({ values: ['Widget'], key: [40] });
+      const offsetToken = odataResponseFormatter.createSkipToken({ offset: 40 });
+
+      expect(keyToken).not.toContain('Widget');
+      expect(odataResponseFormatter.parseSkipToken(keyToken)).toEqual({ values: ['Widget'], key: [40] });
+      expect(odataResponseFormatter.parseSkipToken(offsetToken)).toEqual({ offset: 40 });
+    });
+
+    test.each([
+      ['garbage'],
+      [Buffer.from('{"offset":-1}').toString('base64url')],
+      [Buffer.from('{"values":[1]}').toString('base64url')]
+    ])(
+      'should reject invalid token %p with status 400',
+      token => {
+        expect(() => odataResponseFormatter.parseSkipToken(token))
+          .toThrow(expect.objectContaining({ statusCode: 400 }));
+      }
+    );
+  });
+
+  describe('buildNextLink', () => {
+    test('should keep query options and replace the skip token', () => {
+      const link = odataResponseFormatter.buildNextLink(
+        "http://localhost/odata/Products?$filter=price%20gt%205&$skiptoken=old&$select=name",
+        'next'
+      );
+
+      expect(link).toBe('http://localhost/odata/Products?$filter=price%20gt%205&$select=name&$skiptoken=next');
+    });
+  });
+
+  describe('applyServerPaging', () => {
+    const items = [1, 2, 3, 4, 5];
+
+    test('should return the requested page and a link to the next one', () => {
+      const firstPage = odataResponseFormatter.applyServerPaging(items, {
+        pageSize: 2,
+        requestUrl: 'http://localhost/odata/Numbers'
+      });
+
+      expect(firstPage.value).toEqual([1, 2]);
+      const skipToken = new URL(firstPage.nextLink).searchParams.get('$skiptoken');
+
+      const lastPage = odataResponseFormatter.applyServerPaging(items, {
+        pageSize: 4,
+        skipToken,
+        requestUrl: firstPage.nextLink
+      });
+
+      expect(lastPage.value).toEqual([3, 4, 5]);
+      expect(lastPage.nextLink).toBeUndefined();
+    });
+
+    test('should not page without a page size', () => {
+      expect(odataResponseFormatter.applyServerPaging(items, {})).toEqual({ value: items });
+    });
+
+    test('should continue after the last key of the previous page when items change', () => {
+      const products = [{ id: 1, price: 10 }, { id: 2, price: 20 }, { id: 3, price: 20 }, { id: 4, price: 30 }];
+      const options = { pageSize: 2, orderBy: 'price,id', keyProperties: ['id'], requestUrl: 'http://localhost/odata/Products' };
+
+      const firstPage = odataResponseFormatter.applyServerPaging(products, options);
+      const skipToken = new URL(firstPage.nextLink).searchParams.get('$skiptoken');
+      expect(odataResponseFormatter.parseSkipToken(skipToken)).toEqual({ values: [20, 2], key: [2] });
+
+      // An item inserted before the boundary doesn't repeat the last item of the first page
+      const inserted = [{ id: 0, price: 5 }, ...products];
+      expect(odataResponseFormatter.applyServerPaging(inserted, { ...options, skipToken }).value.map(product => product.id))
+        .toEqual([3, 4]);
+
+      // Without the last item, the page starts at the next item in sort order
+      const removed = products.filter(product => product.id !== 2);
+      expect(odataResponseFormatter.applyServerPaging(removed, { ...options, skipToken }).value.map(product => product.id))
+        .toEqual([3, 4]);
+    });
+  });
+
+  describe('server-driven paging in collection routes', () => {
+    const apiName = 'paging-test-api';
+
+    beforeAll(() => {
+      crudHandler.initializeDataStore(apiName, {});
+      crudHandler.resetDataStore(apiName);
+      for (let id = 1; id <= 25; id++) {
+        crudHandler.getCollection(apiName, 'Products').push({ id, name: `Product ${id}`, price: id * 10 });
+      }
+    });
+
+    const createApp = (config = {}) => {
+      const app = express();
+      routeHandler.registerODataRoutes(app, '/odata', { apiName, responsesDir: '/non-existent', ...config });
+      return app;
+    };
+
+    const followNextLinks = async (app, url, headers = {}) => {
+      const pages = [];
+      let next = url;
+
+      while (next) {
+        const response = await request(app).get(next.replace(/^https?:\/\/[^/]+/, '')).set(headers);
+        expect(response.status).toBe(200);
+        pages.push(response.body);
+        next = response.body['@odata.nextLink'];
+      }
+
+      return pages;
+    };
+
+    test('should page by the configured max page size until nextLink runs out', async () => {
+      const app = createApp({ odata: { maxPageSize: 10 } });
+      const pages = await followNextLinks(app, '/odata/Products?$count=true');
+
+      expect(pages.map(page => page.value.length)).toEqual([10, 10, 5]);
+      expect(pages.flatMap(page => page.value.map(product => product.id)))
+        .toEqual(Array.from({ length: 25 }, (value, index) => index + 1));
+      expect(pages[0]['@odata.count']).toBe(25);
+      expect(pages[0]['@odata.nextLink']).toMatch(/\/odata\/Products\?\$count=true&\$skiptoken=/);
+    });
+
+    test('should keep client query options on every page', async () => {
+      const app = createApp({ odata: { maxPageSize: 4 } });
+      const pages = await followNextLinks(app, '/odata/Products?$filter=price gt 100&$orderby=price desc&$top=10');
+
+      expect(pages.flatMap(page => page.value.map(product => product.price)))
+        .toEqual([250, 240, 230, 220, 210, 200, 190, 180, 170, 160]);
+    });
+
+    test('should honor Prefer: odata.maxpagesize', async () => {
+      const app = createApp({ odata: { maxPageSize: 10 } });
+
+      const smaller = await request(app).get('/odata/Products').set('Prefer', 'odata.maxpagesize=3');
+      expect(smaller.body.value).toHaveLength(3);
+      expect(smaller.headers['preference-applied']).toBe('odata.maxpagesize=3');
+
+      // The server-side limit wins over a larger preference
+      const larger = await request(app).get('/odata/Products').set('Prefer', 'odata.maxpagesize=50');
+      expect(larger.body.value).toHaveLength(10);
+      expect(larger.headers['preference-applied']).toBeUndefined();
+    });
+
+    test('should return everything when no page size is configured or preferred', async () => {
+      const response = await request(createApp()).get('/odata/Products');
+
+      expect(response.body.value).toHaveLength(25);
+      expect(response.body['@odata.nextLink']).toBeUndefined();
+    });
+
+    test('should only expand the entities of the page', async () => {
+      crudHandler.getCollection(apiName, 'Categories').push({ id: 1, name: 'Tools' });
+      const navigate = jest.spyOn(odataUrlResolver, 'resolveNavigationProperty');
+
+      const response = await request(createApp({ odata: { maxPageSize: 5 } }))
+        .get('/odata/Products')
+        .query({ $expand: 'Category' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.value).toHaveLength(5);
+      expect(navigate).toHaveBeenCalledTimes(5);
+      navigate.mockRestore();
+    });
+
+    test('should reject invalid skip tokens', async () => {
+      const response = await request(createApp({ odata: { maxPageSize: 10 } }))
+        .get('/odata/Products')
+        .query({ $skiptoken: 'not-a-token' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('BadRequest');
+    });
+  });
+});
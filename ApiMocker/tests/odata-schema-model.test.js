@@ -0,0 +1,279 @@
+/**
+ * Tests for the OData Schema Model
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const crudHandler = require('../src/crud-handler');
+const edmxParser = require('../src/parsers/edmx-parser');
+const odataSchemaModel = require('../src/odata-schema-model');
+const routeHandler = require('../src/route-handler');
+
+const METADATA = `<?xml version="1.0" encoding="utf-8"?>
+<edmx:Edmx Version="4.0" xmlns:edmx="http://docs.oasis-open.org/odata/ns/edmx">
+  <edmx:DataServices>
+    <Schema Namespace="Shop" xmlns="http://docs.oasis-open.org/odata/ns/edm">
+      <EnumType Name="Status">
+        <Member Name="Active" Value="1"/>
+        <Member Name="Blocked" Value="2"/>
+      </EnumType>
+      <ComplexType Name="Address">
+        <Property Name="city" Type="Edm.String" Nullable="false"/>
+        <Property Name="zip" Type="Edm.String" MaxLength="5"/>
+      </ComplexType>
+      <EntityType Name="Customer">
+        <Key><PropertyRef Name="code"/></Key>
+        <Property Name="code" Type="Edm.String" Nullable="false"/>
+        <Property Name="name" Type="Edm.String" Nullable="false" MaxLength="10"/>
+        <Property Name="age" Type="Edm.Int32"/>
+        <Property Name="vip" Type="Edm.Boolean"/>
+        <Property Name="status" Type="Shop.Status"/>
+        <Property Name="joined" Type="Edm.Date"/>
+        <Property Name="address" Type="Shop.Address"/>
+        <Property Name="tags" Type="Collection(Edm.String)"/>
+        <NavigationProperty Name="Orders" Type="Collection(Shop.Order)" Partner="Buyer"/>
+      </EntityType>
+      <EntityType Name="PremiumCustomer" BaseType="Shop.Customer">
+        <Property Name="discount" Type="Edm.Decimal" Precision="5" Scale="2"/>
+      </EntityType>
+      <EntityType Name="Order">
+        <Key><PropertyRef Name="id"/></Key>
+        <Property Name="id" Type="Edm.Int32" Nullable="false"/>
+        <Property Name="buyerId" Type="Edm.String"/>
+        <Property Name="total" Type="Edm.Double"/>
+        <NavigationProperty Name="Buyer" Type="Shop.Customer" Partner="Orders"/>
+      </EntityType>
+      <Function Name="TopCustomers" IsComposable="true">
+        <Parameter Name="count" Type="Edm.Int32" Nullable="false"/>
+        <ReturnType Type="Collection(Shop.Customer)"/>
+      </Function>
+      <EntityContainer Name="ShopService">
+        <EntitySet Name="Customers" EntityType="Shop.Customer">
+          <NavigationPropertyBinding Path="Orders" Target="Orders"/>
+        </EntitySet>
+        <EntitySet Name="Orders" EntityType="Shop.Order"/>
+        <FunctionImport Name="TopCustomers" Function="Shop.TopCustomers" EntitySet="Customers" IncludeInServiceDocument="true"/>
+      </EntityContainer>
+    </Schema>
+  </edmx:DataServices>
+</edmx:Edmx>`;
+
+describe('OData Schema Model', () => {
+  let schema;
+
+  beforeAll(async () => {
+    schema = await edmxParser.parseEdmx(METADATA);
+  });
+
+  describe('generateMetadataDocument', () => {
+    test('should round-trip the parsed schema', async () => {
+      const document = odataSchemaModel.generateMetadataDocument(schema);
+
+      expect(document).toContain('<EntityType Name="PremiumCustomer" BaseType="Shop.Customer">');
+      expect(document).toContain('<Property Name="discount" Type="Edm.Decimal" Precision="5" Scale="2" />');
+      expect(await edmxParser.parseEdmx(document)).toEqual(schema);
+    });
+  });
+
+  describe('keys and inheritance', () => {
+    test('should inherit keys and properties from base types', () => {
+      const premium = odataSchemaModel.findStructuredType(schema, 'Shop.PremiumCustomer');
+
+      expect(odataSchemaModel.getKeyProperties(schema, premium)).toEqual(['code']);
+      expect(odataSchemaModel.getProperties(schema, premium).map(property => property.name))
+        .toEqual(['code', 'name', 'age', 'vip', 'status', 'joined', 'address', 'tags', 'discount']);
+    });
+  });
+
+  describe('applyEntityTypes', () => {
+    test('should convert values to their declared types and annotate @odata.type', () => {
+      const [customer] = odataSchemaModel.applyEntityTypes([{
+        code: 'ALFKI',
+        name: 'Alfreds',
+        age: '42',
+        vip: 'true',
+        status: 2,
+        joined: '2020-05-01T00:00:00Z',
+        address: { city: 'Berlin', zip: 12209 },
+        extra: 'kept'
+      }], schema, 'Customers');
+
+      expect(customer).toEqual({
+        '@odata.type': '#Shop.Customer',
+        code: 'ALFKI',
+        name: 'Alfreds',
+        age: 42,
+        vip: true,
+        status: 'Blocked',
+        joined: '2020-05-01',
+        address: { city: 'Berlin', zip: '12209' },
+        extra: 'kept'
+      });
+    });
+
+    test('should keep derived types and type expanded navigation properties', () => {
+      const customer = odataSchemaModel.applyEntityTypes({
+        '@odata.type': '#Shop.PremiumCustomer',
+        code: 'X',
+        discount: '0.15',
+        Orders: [{ id: '7', total: '9.5' }]
+      }, schema, 'Customers');
+
+      expect(customer).toEqual({
+        '@odata.type': '#Shop.PremiumCustomer',
+        code: 'X',
+        discount: 0.15,
+        Orders: [{ '@odata.type': '#Shop.Order', id: 7, total: 9.5 }]
+      });
+    });
+
+    test('should leave entities of unknown entity sets unchanged', () => {
+      const items = [{ id: '1' }];
+      expect(odataSchemaModel.applyEntityTypes(items, schema, 'Unknown')).toBe(items);
+      expect(odataSchemaModel.applyEntityTypes(items, null, 'Customers')).toBe(items);
+    });
+  });
+
+  describe('validateEntity', () => {
+    const validate = (entity, options) => () => odataSchemaModel.validateEntity(entity, schema, 'Customers', options);
+
+    test('should accept valid entities and omitted keys', () => {
+      expect(validate({
+        name: 'Alfreds',
+        status: 'Active',
+        address: { city: 'Berlin' },
+        tags: ['a'],
+        'Orders@odata.bind': ['Orders(1)']
+      })).not.toThrow();
+    });
+
+    test.each([
+      [{ name: 42 }, "'name' must be a value of type Edm.String"],
+      [{ name: 'A much too long name' }, "'name' must not be longer than 10 characters"],
+      [{}, "'name' is required"],
+      [{ name: null }, "'name' must not be null"],
+      [{ name: 'A', age: 1.5 }, "'age' must be a value of type Edm.Int32"],
+      [{ name: 'A', status: 'Gone' }, "'status' must be one of Active, Blocked"],
+      [{ name: 'A', address: { zip: '1' } }, "'address/city' is required"],
+      [{ name: 'A', tags: 'a' }, "'tags' must be a collection of Edm.String"],
+      [{ name: 'A', unknown: 1 }, "'unknown' is not a property of Shop.Customer"]
+    ])('should reject %p', (entity, message) => {
+      expect(validate(entity)).toThrow(expect.objectContaining({
+        statusCode: 400,
+        message: expect.stringContaining(message)
+      }));
+    });
+
+    test('should allow missing required properties in partial updates', () => {
+      expect(validate({ age: 5 }, { partial: true })).not.toThrow();
+      expect(validate({ name: null }, { partial: true })).toThrow(/must not be null/);
+    });
+
+    test('should validate against the derived type named by @odata.type', () => {
+      expect(validate({ '@odata.type': '#Shop.PremiumCustomer', name: 'A', discount: '0.5' })).not.toThrow();
+      expect(validate({ name: 'A', discount: 1 })).toThrow(/'discount' is not a property/);
+    });
+  });
+
+  describe('EDMX-driven routes', () => {
+    const apiName = 'schema-model-api';
+    let responsesDir;
+    let app;
+
+    beforeAll(() => {
+      responsesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'odata-schema-'));
+      fs.writeFileSync(path.join(responsesDir, '$metadata.xml'), METADATA);
+    });
+
+    afterAll(() => {
+      fs.rmSync(responsesDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+      crudHandler.initializeDataStore(apiName, {});
+      crudHandler.resetDataStore(apiName);
+      crudHandler.getCollection(apiName, 'Customers').push(
+        { id: 'c1', code: 'ALFKI', name: 'Alfreds', age: '42', status: 1 }
+      );
+      crudHandler.getCollection(apiName, 'Orders').push({ id: 1, buyerId: 'ALFKI', total: 10 });
+
+      app = express();
+      routeHandler.registerODataRoutes(app, '/odata', { apiName, responsesDir });
+    });
+
+    test('should serve $metadata from the schema model regardless of the data', async () => {
+      crudHandler.getCollection(apiName, 'Scratch').push({ id: 1, value: 'not in the schema' });
+
+      const response = await request(app).get('/odata/$metadata');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/application\/xml/);
+      expect(response.text).not.toContain('Scratch');
+      expect(await edmxParser.parseEdmx(response.text)).toEqual(schema);
+    });
+
+    test('should list the entity sets and function imports of the schema in the service document', async () => {
+      const response = await request(app).get('/odata/');
+
+      expect(response.body.value.map(item => `${item.kind}:${item.name}`))
+        .toEqual(['EntitySet:Customers', 'EntitySet:Orders', 'FunctionImport:TopCustomers']);
+    });
+
+    test('should type entities in responses', async () => {
+      const response = await request(app).get('/odata/Customers').query({ $select: 'name,age,status' });
+
+      expect(response.body.value).toEqual([
+        { '@odata.etag': expect.any(String), '@odata.type': '#Shop.Customer', name: 'Alfreds', age: 42, status: 'Active' }
+      ]);
+    });
+
+    test('should validate created and updated entities', async () => {
+      const invalid = await request(app).post('/odata/Customers').send({ code: 'BONAP', age: 'old' });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error.code).toBe('BadRequest');
+      expect(invalid.body.error.message).toMatch(/'age' must be a value of type Edm.Int32; 'name' is required/);
+
+      const created = await request(app).post('/odata/Customers').send({ code: 'BONAP', name: 'Bon app' });
+      expect(created.status).toBe(201);
+      expect(created.body['@odata.type']).toBe('#Shop.Customer');
+      expect(Object.keys(created.body).filter(name => !name.startsWith('@'))).toEqual(['code', 'name']);
+      const read = await request(app).get("/odata/Customers('BONAP')").expect(200);
+      expect(Object.keys(read.body).filter(name => !name.startsWith('@'))).toEqual(['code', 'name']);
+
+      await request(app).patch("/odata/Customers('BONAP')").send({ age: 'x' }).expect(400);
+      await request(app).patch("/odata/Customers('BONAP')").send({ age: 3 }).expect(204);
+    });
+
+    test('should generate keys of the declared key type', async () => {
+      const order = await request(app).post('/odata/Orders').send({ total: 5 });
+      const customer = await request(app).post('/odata/Customers').send({ name: 'Nameless' });
+
+      expect(order.status).toBe(201);
+      expect(order.body.id).toBe(2);
+      expect(order.headers.location).toMatch(/\/odata\/Orders\(2\)$/);
+      expect(customer.status).toBe(201);
+      expect(customer.body.code).toEqual(expect.any(String));
+    });
+
+    test('should reject key literals of the wrong type with 400', async () => {
+      const quoted = await request(app).put("/odata/Orders('1')").send({ total: 1 });
+      expect(quoted.status).toBe(400);
+      expect(quoted.body.error.message).toBe("Invalid key value '1' for id of type Edm.Int32 in Orders");
+
+      await request(app).get('/odata/Orders(1.5)').expect(400);
+      await request(app).get('/odata/Customers(1)').expect(400);
+      await request(app).put('/odata/Orders(1)').send({ total: 1 }).expect(204);
+      await request(app).get("/odata/Customers('ALFKI')").expect(200);
+    });
+
+    test('should detect conflicts on the declared key', async () => {
+      const response = await request(app).post('/odata/Customers').send({ code: 'ALFKI', name: 'Again' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('EntityAlreadyExists');
+    });
+  });
+});
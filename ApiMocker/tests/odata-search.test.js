@@ -0,0 +1,140 @@
+/**
+ * Tests for the OData Search Module
+ */
+
+const express = require('express');
+const request = require('supertest');
+const crudHandler = require('../src/crud-handler');
+const odataQueryProcessor = require('../src/odata-query-processor');
+const odataSearch = require('../src/odata-search');
+const routeHandler = require('../src/route-handler');
+
+describe('OData Search', () => {
+  const products = [
+    { id: 1, name: 'Red Widget', description: 'A small red widget for the garden', sku: 'RW-1' },
+    { id: 2, name: 'Blue Widget', description: 'Large blue widget', sku: 'BW-2' },
+    { id: 3, name: 'Garden Hose', description: 'Green hose, 20m', sku: 'GH-3' },
+    { id: 4, name: 'Red Hose', description: 'Hose in red', sku: 'RH-4', tags: ['sale'] }
+  ];
+
+  const search = (expression, options) => odataSearch.applySearch(products, expression, options).map(item => item.id);
+
+  describe('parseSearch', () => {
+    test('should give NOT precedence over AND and AND over OR', () => {
+      expect(odataSearch.parseSearch('red OR blue widget')).toEqual({
+        type: 'or',
+        left: { type: 'terms', values: ['red'] },
+        right: {
+          type: 'and',
+          left: { type: 'terms', values: ['blue'] },
+          right: { type: 'terms', values: ['widget'] }
+        }
+      });
+      expect(odataSearch.parseSearch('NOT red AND hose').left).toEqual({
+        type: 'not',
+        operand: { type: 'terms', values: ['red'] }
+      });
+    });
+
+    test.each([['"unterminated'], ['red AND'], ['(red'], ['red)'], ['']])(
+      'should reject %p with status 400',
+      expression => {
+        expect(() => odataSearch.parseSearch(expression)).toThrow(expect.objectContaining({
+          statusCode: 400,
+          message: expect.stringMatching(/^Invalid \$search expression/)
+        }));
+      }
+    );
+  });
+
+  describe('applySearch', () => {
+    test('should match terms case-insensitively across string properties', () => {
+      expect(search('WIDGET')).toEqual([1, 2]);
+      expect(search('garden')).toEqual([1, 3]);
+    });
+
+    test('should support AND, OR, NOT and implicit AND', () => {
+      expect(search('red AND hose')).toEqual([4]);
+      expect(search('red hose')).toEqual([4]);
+      expect(search('blue OR hose')).toEqual([2, 3, 4]);
+      expect(search('widget AND NOT red')).toEqual([2]);
+      expect(search('(red OR blue) AND NOT widget')).toEqual([4]);
+    });
+
+    test('should match phrases as consecutive terms', () => {
+      expect(search('"red widget"')).toEqual([1]);
+      expect(search('"widget red"')).toEqual([]);
+      expect(search('"garden hose" OR "blue widget"')).toEqual([2, 3]);
+    });
+
+    test('should match prefixes with a trailing asterisk', () => {
+      expect(search('wid*')).toEqual([1, 2]);
+    });
+
+    test('should only search the configured fields', () => {
+      expect(search('garden', { fields: ['name'] })).toEqual([3]);
+      expect(search('sale', { fields: ['name', 'tags'] })).toEqual([4]);
+    });
+
+    test('should reindex when the collection changes', () => {
+      const items = [{ id: 1, name: 'alpha' }];
+      expect(odataSearch.applySearch(items, 'beta')).toEqual([]);
+
+      items.push({ id: 2, name: 'beta' });
+      items[0] = { id: 1, name: 'beta alpha' };
+
+      expect(odataSearch.applySearch(items, 'beta').map(item => item.id)).toEqual([1, 2]);
+    });
+
+    test('should stay fast on large collections', () => {
+      const large = Array.from({ length: 30000 }, (value, index) => ({
+        id: index,
+        name: `Item ${index}`,
+        description: index % 1000 === 0 ? 'special offer' : 'regular stock'
+      }));
+
+      odataSearch.applySearch(large, 'special');
+
+      const started = Date.now();
+      for (let run = 0; run < 20; run++) {
+        expect(odataSearch.applySearch(large, '"special offer"')).toHaveLength(30);
+      }
+      expect(Date.now() - started).toBeLessThan(2000);
+    });
+  });
+
+  describe('query processing', () => {
+    test('should combine $search with other query options', () => {
+      const result = odataQueryProcessor.processQuery(products, {
+        $search: 'red OR blue',
+        $filter: "sku ne 'RH-4'",
+        $count: 'true'
+      });
+
+      expect(result.value.map(item => item.id)).toEqual([1, 2]);
+      expect(result['@odata.count']).toBe(2);
+    });
+
+    test('should use searchable fields from the API configuration', async () => {
+      const apiName = 'search-test-api';
+      crudHandler.initializeDataStore(apiName, {});
+      crudHandler.resetDataStore(apiName);
+      crudHandler.getCollection(apiName, 'Products').push(...products);
+
+      const app = express();
+      routeHandler.registerODataRoutes(app, '/odata', {
+        apiName,
+        responsesDir: '/non-existent',
+        odata: { searchFields: { Products: ['name'] } }
+      });
+
+      const response = await request(app).get('/odata/Products').query({ $search: 'garden' });
+      expect(response.status).toBe(200);
+      expect(response.body.value.map(item => item.id)).toEqual([3]);
+
+      const invalid = await request(app).get('/odata/Products').query({ $search: '"open' });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error.code).toBe('BadRequest');
+    });
+  });
+});
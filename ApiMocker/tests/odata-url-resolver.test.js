@@ -0,0 +1,256 @@
+/**
+ * Tests for the OData URL Resolver
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const crudHandler = require('../src/crud-handler');
+const edmxParser = require('../src/parsers/edmx-parser');
+const odataUrlResolver = require('../src/odata-url-resolver');
+const routeHandler = require('../src/route-handler');
+
+const METADATA = `<?xml version="1.0" encoding="utf-8"?>
+<edmx:Edmx Version="4.0" xmlns:edmx="http://docs.oasis-open.org/odata/ns/edmx">
+  <edmx:DataServices>
+    <Schema Namespace="Shop" xmlns="http://docs.oasis-open.org/odata/ns/edm">
+      <EntityType Name="Customer">
+        <Key><PropertyRef Name="code"/></Key>
+        <Property Name="code" Type="Edm.String" Nullable="false"/>
+        <Property Name="name" Type="Edm.String"/>
+        <Property Name="email" Type="Edm.String"/>
+        <NavigationProperty Name="Orders" Type="Collection(Shop.Order)" Partner="Buyer"/>
+      </EntityType>
+      <EntityType Name="Order">
+        <Key><PropertyRef Name="id"/></Key>
+        <Property Name="id" Type="Edm.Int32" Nullable="false"/>
+        <Property Name="buyerId" Type="Edm.String"/>
+        <NavigationProperty Name="Buyer" Type="Shop.Customer" Partner="Orders"/>
+        <NavigationProperty Name="Lines" Type="Collection(Shop.OrderLine)"/>
+      </EntityType>
+      <EntityType Name="OrderLine">
+        <Key><PropertyRef Name="orderId"/><PropertyRef Name="lineNo"/></Key>
+        <Property Name="orderId" Type="Edm.Int32" Nullable="false"/>
+        <Property Name="lineNo" Type="Edm.Int32" Nullable="false"/>
+        <Property Name="product" Type="Edm.String"/>
+      </EntityType>
+      <EntityContainer Name="Container">
+        <EntitySet Name="Customers" EntityType="Shop.Customer">
+          <NavigationPropertyBinding Path="Orders" Target="Orders"/>
+        </EntitySet>
+        <EntitySet Name="Orders" EntityType="Shop.Order"/>
+        <EntitySet Name="OrderLines" EntityType="Shop.OrderLine"/>
+      </EntityContainer>
+    </Schema>
+  </edmx:DataServices>
+</edmx:Edmx>`;
+
+describe('OData URL Resolver', () => {
+  describe('parseResourcePath', () => {
+    test('should parse key predicates and navigation segments', () => {
+      expect(odataUrlResolver.parseResourcePath('/Orders(5)/Customer')).toEqual([
+        { name: 'Orders', keys: [{ name: null, value: 5 }] },
+        { name: 'Customer', keys: null }
+      ]);
+    });
+
+    test('should parse string, composite and typed keys', () => {
+      expect(odataUrlResolver.parseResourcePath("Products('a''b/c')")[0].keys)
+        .toEqual([{ name: null, value: "a'b/c" }]);
+      expect(odataUrlResolver.parseResourcePath("OrderLines(OrderId=1,LineNo=2L)")[0].keys).toEqual([
+        { name: 'OrderId', value: 1 },
+        { name: 'LineNo', value: 2 }
+      ]);
+      expect(odataUrlResolver.parseResourcePath("Items(guid'0f8fad5b-d9cb-469f-a165-70867728950e')")[0].keys)
+        .toEqual([{ name: null, value: '0f8fad5b-d9cb-469f-a165-70867728950e' }]);
+      expect(odataUrlResolver.parseResourcePath('Items(Code%20A)')[0].keys).toEqual([{ name: null, value: 'Code A' }]);
+    });
+
+    test('should reject malformed paths with status 400', () => {
+      expect(() => odataUrlResolver.parseResourcePath("Products('abc)"))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => odataUrlResolver.parseResourcePath('Products()'))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe('conventions without metadata', () => {
+    const apiName = 'resolver-convention-api';
+    let app;
+
+    beforeEach(() => {
+      crudHandler.initializeDataStore(apiName, {});
+      crudHandler.resetDataStore(apiName);
+      crudHandler.getCollection(apiName, 'Customers').push(
+        { id: 1, name: 'Acme', address: { city: 'Oslo' }, phone: null }
+      );
+      crudHandler.getCollection(apiName, 'Orders').push(
+        { id: 5, total: 10, customerId: 1 },
+        { id: 6, total: 20, customerId: 1 },
+        { id: 7, total: 30, customerId: null }
+      );
+
+      app = express();
+      routeHandler.registerODataRoutes(app, '/odata', { apiName, responsesDir: '/non-existent' });
+    });
+
+    test('should serve entities addressed with key syntax', async () => {
+      const response = await request(app).get('/odata/Customers(1)').query({ $select: 'name' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        '@odata.context': expect.stringMatching(/\$metadata#Customers\/\$entity$/),
+        '@odata.etag': expect.stringMatching(/^W\/"1-/),
+        name: 'Acme'
+      });
+    });
+
+    test('should follow single-valued and collection-valued navigation properties', async () => {
+      const customer = await request(app).get('/odata/Orders(5)/Customer');
+      expect(customer.status).toBe(200);
+      expect(customer.body.name).toBe('Acme');
+
+      const orders = await request(app).get('/odata/Customers(1)/Orders').query({ $orderby: 'total desc' });
+      expect(orders.status).toBe(200);
+      expect(orders.body.value.map(order => order.id)).toEqual([6, 5]);
+
+      const order = await request(app).get('/odata/Customers(1)/Orders(6)');
+      expect(order.body.total).toBe(20);
+
+      await request(app).get('/odata/Orders(7)/Customer').expect(204);
+    });
+
+    test('should serve $count, properties and $value', async () => {
+      const count = await request(app).get('/odata/Customers(1)/Orders/$count').query({ $filter: 'total gt 15' });
+      expect(count.status).toBe(200);
+      expect(count.text).toBe('1');
+
+      const entitySetCount = await request(app).get('/odata/Orders/$count');
+      expect(entitySetCount.status).toBe(200);
+      expect(entitySetCount.text).toBe('3');
+
+      const property = await request(app).get('/odata/Customers(1)/address/city');
+      expect(property.body).toMatchObject({ value: 'Oslo' });
+      expect(property.body['@odata.context']).toMatch(/\$metadata#Customers\(1\)\/address\/city$/);
+
+      const value = await request(app).get('/odata/Customers(1)/name/$value');
+      expect(value.headers['content-type']).toMatch(/text\/plain/);
+      expect(value.text).toBe('Acme');
+
+      await request(app).get('/odata/Customers(1)/phone').expect(204);
+    });
+
+    test('should answer unknown keys, properties and invalid paths with OData errors', async () => {
+      const missing = await request(app).get('/odata/Customers(9)');
+      expect(missing.status).toBe(404);
+      expect(missing.body.error.code).toBe('NotFound');
+
+      await request(app).get('/odata/Customers(1)/unknown').expect(404);
+
+      const invalid = await request(app).get('/odata/Customers/$count/extra');
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error.code).toBe('BadRequest');
+    });
+
+    test('should pass paths outside the entity sets to the next route', async () => {
+      app.get('/odata/health', (req, res) => res.json({ ok: true }));
+
+      await request(app).get('/odata/health').expect(200, { ok: true });
+    });
+
+    test('should apply writes addressed with key syntax', async () => {
+      await request(app).patch('/odata/Orders(5)').send({ total: 99 }).expect(204);
+      expect(crudHandler.getById(apiName, 'Orders', '5').total).toBe(99);
+
+      await request(app).delete('/odata/Orders(7)').expect(204);
+      expect(crudHandler.getById(apiName, 'Orders', '7')).toBeNull();
+    });
+  });
+
+  describe('with EDMX metadata', () => {
+    const apiName = 'resolver-edmx-api';
+    let responsesDir;
+    let app;
+
+    beforeAll(() => {
+      responsesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'odata-resolver-'));
+      fs.writeFileSync(path.join(responsesDir, '$metadata.xml'), METADATA);
+    });
+
+    afterAll(() => {
+      fs.rmSync(responsesDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+      crudHandler.initializeDataStore(apiName, {});
+      crudHandler.resetDataStore(apiName);
+      crudHandler.getCollection(apiName, 'Customers').push(
+        { id: 'c1', code: 'ALFKI', name: 'Alfreds' }
+      );
+      crudHandler.getCollection(apiName, 'Orders').push(
+        { id: 1, buyerId: 'ALFKI' },
+        { id: 2, buyerId: 'OTHER' }
+      );
+      crudHandler.getCollection(apiName, 'OrderLines').push(
+        { id: 'l1', orderId: 1, lineNo: 1, product: 'Chai' },
+        { id: 'l2', orderId: 1, lineNo: 2, product: 'Chang' }
+      );
+
+      app = express();
+      routeHandler.registerODataRoutes(app, '/odata', { apiName, responsesDir });
+    });
+
+    test('should parse entity sets and navigation bindings from the EDMX', async () => {
+      const schema = await edmxParser.parseEdmx(METADATA);
+
+      expect(schema.version).toBe('4.0');
+      expect(schema.entitySets.map(set => set.name)).toEqual(['Customers', 'Orders', 'OrderLines']);
+      expect(schema.entitySets[0].navigationPropertyBindings).toEqual([{ path: 'Orders', target: 'Orders' }]);
+    });
+
+    test('should use the declared key properties', async () => {
+      const response = await request(app).get("/odata/Customers('ALFKI')");
+
+      expect(response.status).toBe(200);
+      expect(response.body.name).toBe('Alfreds');
+    });
+
+    test('should resolve composite keys', async () => {
+      const line = await request(app).get('/odata/OrderLines(orderId=1,lineNo=2)/product');
+      expect(line.body.value).toBe('Chang');
+
+      const unnamed = await request(app).get('/odata/OrderLines(1)');
+      expect(unnamed.status).toBe(400);
+      expect(unnamed.body.error.message).toMatch(/composite key/);
+    });
+
+    test('should follow navigation properties through their partners', async () => {
+      const orders = await request(app).get("/odata/Customers('ALFKI')/Orders");
+      expect(orders.body.value.map(order => order.id)).toEqual([1]);
+
+      const buyer = await request(app).get('/odata/Orders(1)/Buyer');
+      expect(buyer.body.code).toBe('ALFKI');
+    });
+
+    test('should write the entity addressed by keys other than id', async () => {
+      const customers = crudHandler.getCollection(apiName, 'Customers');
+      customers.splice(0, customers.length, { code: 'A', name: 'Ann' }, { code: 'B', name: 'Bob' });
+      const lines = crudHandler.getCollection(apiName, 'OrderLines');
+      lines.splice(0, lines.length, { orderId: 1, lineNo: 1, product: 'Chai' }, { orderId: 1, lineNo: 2, product: 'Chang' });
+
+      await request(app).patch("/odata/Customers('B')").send({ name: 'Bobby' }).expect(204);
+      await request(app).put('/odata/OrderLines(orderId=1,lineNo=1)').send({ product: 'Tea' }).expect(204);
+      await request(app).delete('/odata/OrderLines(orderId=1,lineNo=2)').expect(204);
+
+      expect(crudHandler.getAll(apiName, 'Customers')).toEqual([{ code: 'A', name: 'Ann' }, { code: 'B', name: 'Bobby' }]);
+      expect(crudHandler.getAll(apiName, 'OrderLines')).toEqual([{ orderId: 1, lineNo: 1, product: 'Tea' }]);
+      expect(crudHandler.getById(apiName, 'Customers', undefined)).toBeNull();
+    });
+
+    test('should serve declared properties that are missing from an entity as null', async () => {
+      await request(app).get("/odata/Customers('ALFKI')/email").expect(204);
+    });
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Tests for OData v2 (JSON verbose and Atom) responses
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const crudHandler = require('../src/crud-handler');
+const edmxParser = require('../src/parsers/edmx-parser');
+const routeHandler = require('../src/route-handler');
+
+const METADATA = `<?xml version="1.0" encoding="utf-8"?>
+<edmx:Edmx Version="1.0" xmlns:edmx="http://schemas.microsoft.com/ado/2007/06/edmx">
+  <edmx:DataServices m:DataServiceVersion="2.0" xmlns:m="http://schemas.microsoft.com/ado/2007/08/dataservices/metadata">
+    <Schema Namespace="Northwind" xmlns="http://schemas.microsoft.com/ado/2008/09/edm">
+      <EntityType Name="Category">
+        <Key><PropertyRef Name="id"/></Key>
+        <Property Name="id" Type="Edm.Int32" Nullable="false"/>
+        <Property Name="name" Type="Edm.String" Nullable="false"/>
+        <NavigationProperty Name="Products" Relationship="Northwind.FK_Products_Categories" FromRole="Categories" ToRole="Products"/>
+      </EntityType>
+      <EntityType Name="Product">
+        <Key><PropertyRef Name="id"/></Key>
+        <Property Name="id" Type="Edm.Int32" Nullable="false"/>
+        <Property Name="name" Type="Edm.String" Nullable="false"/>
+        <Property Name="price" Type="Edm.Decimal" Precision="19" Scale="4"/>
+        <Property Name="released" Type="Edm.DateTime"/>
+        <Property Name="categoryId" Type="Edm.Int32"/>
+        <NavigationProperty Name="Category" Relationship="Northwind.FK_Products_Categories" FromRole="Products" ToRole="Categories"/>
+      </EntityType>
+      <EntityType Name="Supplier">
+        <Key><PropertyRef Name="code"/></Key>
+        <Property Name="code" Type="Edm.String" Nullable="false"/>
+        <Property Name="name" Type="Edm.String"/>
+      </EntityType>
+      <Association Name="FK_Products_Categories">
+        <End Role="Categories" Type="Northwind.Category" Multiplicity="0..1"/>
+        <End Role="Products" Type="Northwind.Product" Multiplicity="*"/>
+      </Association>
+      <EntityContainer Name="NorthwindEntities" m:IsDefaultEntityContainer="true">
+        <EntitySet Name="Categories" EntityType="Northwind.Category"/>
+        <EntitySet Name="Products" EntityType="Northwind.Product"/>
+        <EntitySet Name="Suppliers" EntityType="Northwind.Supplier"/>
+      </EntityContainer>
+    </Schema>
+  </edmx:DataServices>
+</edmx:Edmx>`;
+
+const RELEASED = Date.UTC(2020, 4, 1);
+
+describe('OData v2 Formatter', () => {
+  const apiName = 'odata-v2-api';
+  let responsesDir;
+  let app;
+
+  beforeAll(() => {
+    responsesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'odata-v2-'));
+    fs.writeFileSync(path.join(responsesDir, '$metadata.xml'), METADATA);
+  });
+
+  afterAll(() => {
+    fs.rmSync(responsesDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    crudHandler.initializeDataStore(apiName, {});
+    crudHandler.resetDataStore(apiName);
+    crudHandler.getCollection(apiName, 'Categories').push({ id: 1, name: 'Beverages' });
+    crudHandler.getCollection(apiName, 'Products').push(
+      { id: 1, name: 'Chai', price: 18, released: '2020-05-01T00:00:00Z', categoryId: 1 },
+      { id: 2, name: 'Chang', price: 19.5, released: null, categoryId: 1 },
+      { id: 3, name: 'Syrup', price: 10, released: null, categoryId: 1 }
+    );
+    crudHandler.getCollection(apiName, 'Suppliers');
+
+    app = express();
+    routeHandler.registerODataRoutes(app, '/odata', {
+      apiName,
+      responsesDir,
+      odata: { maxPageSize: 2 }
+    });
+  });
+
+  /**
+   * Gets the service root URL a supertest response was served from
+   * @param {Object} response - The supertest response
+   * @returns {string} The service root
+   */
+  const getServiceRoot = response => `http://${response.request.host}/odata`;
+
+  test('should derive navigation property types from v2 associations', async () => {
+    const schema = await edmxParser.parseEdmx(METADATA);
+    const [category, product] = schema.entityTypes;
+
+    expect(schema.version).toBe('1.0');
+    expect(category.navigationProperties[0].type).toBe('Collection(Northwind.Product)');
+    expect(product.navigationProperties[0].type).toBe('Northwind.Category');
+  });
+
+  test('should announce the v2 protocol and serve the recorded $metadata', async () => {
+    const response = await request(app).get('/odata/$metadata');
+
+    expect(response.headers.dataserviceversion).toBe('2.0');
+    expect(response.headers['odata-version']).toBeUndefined();
+    expect(response.text).toBe(METADATA);
+  });
+
+  test('should list the entity sets in the v2 service document', async () => {
+    const response = await request(app).get('/odata/');
+
+    expect(response.body).toEqual({ d: { EntitySets: ['Categories', 'Products', 'Suppliers'] } });
+  });
+
+  test('should wrap collections in d/results with __metadata, v2 dates and deferred links', async () => {
+    const response = await request(app).get('/odata/Products').query({ $top: 1 });
+    const serviceRoot = getServiceRoot(response);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      d: {
+        results: [{
+          __metadata: {
+            id: `${serviceRoot}/Products(1)`,
+            uri: `${serviceRoot}/Products(1)`,
+            type: 'Northwind.Product',
+            etag: expect.stringMatching(/^W\/"1-/)
+          },
+          id: 1,
+          name: 'Chai',
+          price: '18',
+          released: `/Date(${RELEASED})/`,
+          categoryId: 1,
+          Category: { __deferred: { uri: `${serviceRoot}/Products(1)/Category` } }
+        }]
+      }
+    });
+  });
+
+  test('should report $inlinecount=allpages as __count and link the next page with __next', async () => {
+    const response = await request(app).get('/odata/Products').query({ $inlinecount: 'allpages', $select: 'name' });
+
+    expect(response.body.d.__count).toBe('3');
+    expect(response.body.d.results.map(product => product.name)).toEqual(['Chai', 'Chang']);
+    expect(response.body.d.results[0]).toEqual({
+      __metadata: { type: 'Northwind.Product', etag: expect.stringMatching(/^W\/"1-/) },
+      name: 'Chai'
+    });
+    expect(response.body.d.__next).toMatch(/\$skiptoken=/);
+  });
+
+  test('should reject invalid $inlinecount values', async () => {
+    const response = await request(app).get('/odata/Products').query({ $inlinecount: 'some' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toMatch(/\$inlinecount/);
+  });
+
+  test('should wrap entities and expanded collections', async () => {
+    const response = await request(app).get('/odata/Categories(1)').query({ $expand: 'Products' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.d.__metadata.type).toBe('Northwind.Category');
+    expect(response.body.d.Products.results.map(product => product.__metadata.uri))
+      .toEqual([1, 2, 3].map(id => `${getServiceRoot(response)}/Products(${id})`));
+  });
+
+  test('should wrap properties in d', async () => {
+    const response = await request(app).get('/odata/Products(1)/released');
+
+    expect(response.body).toEqual({ d: { released: `/Date(${RELEASED})/` } });
+  });
+
+  test('should filter with the v2 substringof function', async () => {
+    const response = await request(app).get('/odata/Products').query({ $filter: "substringof('ha', name)" });
+
+    expect(response.body.d.results.map(product => product.name)).toEqual(['Chai', 'Chang']);
+  });
+
+  test('should render Atom feeds for $format=atom', async () => {
+    const response = await request(app).get('/odata/Products').query({ $format: 'atom', $inlinecount: 'allpages' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/application\/atom\+xml.*type=feed/);
+    expect(response.text).toContain('xmlns:m="http://schemas.microsoft.com/ado/2007/08/dataservices/metadata"');
+    expect(response.text).toContain('<m:count>3</m:count>');
+    expect(response.text).toContain('<link rel="edit" title="Northwind.Product" href="Products(1)" />');
+    expect(response.text).toContain('<d:released m:type="Edm.DateTime">2020-05-01T00:00:00</d:released>');
+    expect(response.text).toContain('<d:released m:type="Edm.DateTime" m:null="true" />');
+    expect(response.text).toMatch(/<link rel="next" href="[^"]+\$skiptoken=/);
+  });
+
+  test('should render Atom entries when Atom is accepted', async () => {
+    const response = await request(app).get('/odata/Categories(1)').set('Accept', 'application/atom+xml');
+
+    expect(response.headers['content-type']).toMatch(/type=entry/);
+    expect(response.text).toMatch(/^<\?xml[^>]*\?><entry xml:base=/);
+    expect(response.text).toContain('<m:properties><d:id m:type="Edm.Int32">1</d:id><d:name>Beverages</d:name></m:properties>');
+  });
+
+  test('should accept JSON verbose payloads and answer creates with d', async () => {
+    const response = await request(app).post('/odata/Products').send({
+      __metadata: { type: 'Northwind.Product' },
+      id: 4,
+      name: 'Tofu',
+      released: `/Date(${RELEASED})/`,
+      Category: { __deferred: { uri: 'Categories(1)' } }
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.body.d.name).toBe('Tofu');
+    expect(response.body.d.released).toBe(`/Date(${RELEASED})/`);
+    expect(crudHandler.getById(apiName, 'Products', '4').released).toBe('2020-05-01T00:00:00.000Z');
+  });
+
+  test('should answer creates in sets keyed by other properties with the declared properties only', async () => {
+    const response = await request(app).post('/odata/Suppliers').send({ code: 'EXOTIC', name: 'Exotic Liquids' });
+
+    expect(response.status).toBe(201);
+    expect(Object.keys(response.body.d)).toEqual(['__metadata', 'code', 'name']);
+    expect(crudHandler.getAll(apiName, 'Suppliers')).toEqual([{ code: 'EXOTIC', name: 'Exotic Liquids' }]);
+  });
+
+  test('should answer updates that prefer the representation with d', async () => {
+    const merged = await request(app).merge('/odata/Products(1)')
+      .set('Prefer', 'return=representation')
+      .send({ price: 20 });
+    const replaced = await request(app).put('/odata/Products(2)')
+      .set('Prefer', 'return=representation')
+      .send({ name: 'Chang', price: 21, released: `/Date(${RELEASED})/`, categoryId: 1 });
+
+    expect(merged.status).toBe(200);
+    expect(merged.headers['preference-applied']).toBe('return=representation');
+    expect(merged.body.d.__metadata).toMatchObject({ type: 'Northwind.Product', uri: `${getServiceRoot(merged)}/Products(1)` });
+    expect(merged.body.d.price).toBe('20');
+    expect(merged.body.d['@odata.type']).toBeUndefined();
+    expect(merged.body.d['@odata.etag']).toBeUndefined();
+    expect(replaced.status).toBe(200);
+    expect(replaced.body.d.released).toBe(`/Date(${RELEASED})/`);
+    expect(replaced.body['@odata.type']).toBeUndefined();
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Tests for OData write operations (create, update, delete and @odata.bind)
+ */
+
+const express = require('express');
+const request = require('supertest');
+const crudHandler = require('../src/crud-handler');
+const odataRelationshipHandler = require('../src/odata-relationship-handler');
+const routeHandler = require('../src/route-handler');
+
+describe('OData Write Operations', () => {
+  const apiName = 'write-test-api';
+  let app;
+
+  beforeEach(() => {
+    crudHandler.initializeDataStore(apiName, {});
+    crudHandler.resetDataStore(apiName);
+    crudHandler.getCollection(apiName, 'Customers').push(
+      { id: 1, name: 'Acme' },
+      { id: 2, name: 'Globex' }
+    );
+    crudHandler.getCollection(apiName, 'Orders').push(
+      { id: 10, total: 100, customerId: 1 },
+      { id: 11, total: 250, customerId: null }
+    );
+
+    app = express();
+    routeHandler.registerODataRoutes(app, '/odata', { apiName, responsesDir: '/non-existent' });
+  });
+
+  describe('parseEntityReference', () => {
+    test('should parse key, quoted key and absolute URL references', () => {
+      expect(odataRelationshipHandler.parseEntityReference('Customers(1)')).toEqual({ collection: 'Customers', key: '1' });
+      expect(odataRelationshipHandler.parseEntityReference("Customers('a''b')")).toEqual({ collection: 'Customers', key: "a'b" });
+      expect(odataRelationshipHandler.parseEntityReference('http://localhost/odata/Customers(2)'))
+        .toEqual({ collection: 'Customers', key: '2' });
+    });
+
+    test('should reject malformed references with status 400', () => {
+      expect(() => odataRelationshipHandler.parseEntityReference('not a reference'))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe('POST', () => {
+    test('should create an entity and return 201 with a Location header', async () => {
+      const response = await request(app)
+        .post('/odata/Orders')
+        .send({ id: 12, total: 75 });
+
+      expect(response.status).toBe(201);
+      expect(response.headers.location).toMatch(/\/odata\/Orders\(12\)$/);
+      expect(response.body['@odata.context']).toMatch(/\$metadata#Orders\/\$entity$/);
+      expect(response.body.total).toBe(75);
+      expect(crudHandler.getById(apiName, 'Orders', '12')).not.toBeNull();
+    });
+
+    test('should honor Prefer: return=minimal', async () => {
+      const response = await request(app)
+        .post('/odata/Orders')
+        .set('Prefer', 'return=minimal')
+        .send({ id: 13, total: 5 });
+
+      expect(response.status).toBe(204);
+      expect(response.headers['preference-applied']).toBe('return=minimal');
+      expect(response.headers['odata-entityid']).toMatch(/\/odata\/Orders\(13\)$/);
+      expect(response.headers.location).toBe(response.headers['odata-entityid']);
+    });
+
+    test('should quote string keys in the Location header', async () => {
+      const response = await request(app).post('/odata/Customers').send({ id: "o'brien", name: "O'Brien" });
+
+      expect(response.status).toBe(201);
+      expect(response.headers.location).toMatch(/\/odata\/Customers\('o''brien'\)$/);
+      await request(app).get(new URL(response.headers.location).pathname).expect(200);
+    });
+
+    test('should reject duplicate keys with 409', async () => {
+      const response = await request(app).post('/odata/Orders').send({ id: 10, total: 1 });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('EntityAlreadyExists');
+    });
+
+    test('should resolve single-valued @odata.bind references', async () => {
+      const response = await request(app)
+        .post('/odata/Orders')
+        .send({ id: 14, total: 20, 'Customer@odata.bind': 'Customers(2)' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.customerId).toBe(2);
+      expect(response.body['Customer@odata.bind']).toBeUndefined();
+    });
+
+    test('should link collection-valued @odata.bind references', async () => {
+      const response = await request(app)
+        .post('/odata/Customers')
+        .send({ id: 3, name: 'Initech', 'Orders@odata.bind': ['Orders(11)'] });
+
+      expect(response.status).toBe(201);
+      expect(crudHandler.getById(apiName, 'Orders', '11').customerId).toBe(3);
+    });
+
+    test('should return 400 when a bound entity does not exist', async () => {
+      const response = await request(app)
+        .post('/odata/Orders')
+        .send({ total: 20, 'Customer@odata.bind': 'Customers(99)' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('BadRequest');
+      expect(crudHandler.getAll(apiName, 'Orders')).toHaveLength(2);
+    });
+  });
+
+  describe('PUT, PATCH and MERGE', () => {
+    test('should replace an entity with PUT and answer 204', async () => {
+      const response = await request(app).put('/odata/Orders/10').send({ total: 5 });
+
+      expect(response.status).toBe(204);
+      expect(crudHandler.getById(apiName, 'Orders', '10')).toEqual({ id: 10, total: 5 });
+    });
+
+    test('should merge with PATCH and return the entity when requested', async () => {
+      const response = await request(app)
+        .patch('/odata/Orders/10')
+        .set('Prefer', 'return=representation')
+        .send({ total: 150 });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['preference-applied']).toBe('return=representation');
+      expect(response.body).toEqual({ '@odata.etag': expect.stringMatching(/^W\/"2-/), id: 10, total: 150, customerId: 1 });
+    });
+
+    test('should support MERGE and X-HTTP-Method tunneling', async () => {
+      await request(app).merge('/odata/Orders/10').send({ total: 1 }).expect(204);
+      await request(app)
+        .post('/odata/Orders/10')
+        .set('X-HTTP-Method', 'PATCH')
+        .send({ 'Customer@odata.bind': 'Customers(2)' })
+        .expect(204);
+
+      expect(crudHandler.getById(apiName, 'Orders', '10')).toMatchObject({ total: 1, customerId: 2 });
+    });
+
+    test('should return 404 for unknown entities', async () => {
+      const response = await request(app).patch('/odata/Orders/404').send({ total: 1 });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe('EntityNotFound');
+    });
+  });
+
+  describe('DELETE', () => {
+    test('should delete an entity and answer 204', async () => {
+      await request(app).delete('/odata/Orders/11').expect(204);
+      await request(app).get('/odata/Orders/11').expect(404);
+    });
+
+    test('should return 404 for unknown entities', async () => {
+      await request(app).delete('/odata/Orders/404').expect(404);
+    });
+  });
+
+  describe('ETags', () => {
+    test('should serve entities with an ETag header and @odata.etag', async () => {
+      const entity = await request(app).get('/odata/Orders(10)');
+      expect(entity.headers.etag).toBe(crudHandler.getETag(crudHandler.getById(apiName, 'Orders', '10')));
+      expect(entity.body['@odata.etag']).toBe(entity.headers.etag);
+
+      const collection = await request(app).get('/odata/Orders');
+      expect(collection.body.value.map(order => order['@odata.etag'])).toEqual(
+        crudHandler.getAll(apiName, 'Orders').map(crudHandler.getETag)
+      );
+    });
+
+    test('should answer If-None-Match with 304 while the entity is unchanged', async () => {
+      const { etag } = (await request(app).get('/odata/Orders(10)')).headers;
+      await request(app).get('/odata/Orders/10').set('If-None-Match', etag).expect(304);
+      await request(app).patch('/odata/Orders(10)').send({ total: 1 }).expect(204);
+
+      const response = await request(app).get('/odata/Orders(10)').set('If-None-Match', etag);
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).toMatch(/^W\/"2-/);
+    });
+
+    test('should reject writes with a stale If-Match with 412', async () => {
+      const { etag } = (await request(app).get('/odata/Orders(10)')).headers;
+      const updated = await request(app).patch('/odata/Orders(10)').set('If-Match', etag).send({ total: 1 });
+      expect(updated.status).toBe(204);
+      expect(updated.headers.etag).toMatch(/^W\/"2-/);
+
+      const stale = await request(app).put('/odata/Orders/10').set('If-Match', etag).send({ total: 2 });
+      expect(stale.status).toBe(412);
+      expect(stale.body.error.code).toBe('PreconditionFailed');
+
+      await request(app).delete('/odata/Orders(10)').set('If-Match', etag).expect(412);
+      await request(app).delete('/odata/Orders(10)').set('If-Match', updated.headers.etag).expect(204);
+    });
+
+    test('should answer unconditional writes with 428 when preconditions are required', async () => {
+      const strictApp = express();
+      routeHandler.registerODataRoutes(strictApp, '/odata', {
+        apiName,
+        responsesDir: '/non-existent',
+        concurrency: { requirePreconditions: true }
+      });
+
+      const response = await request(strictApp).patch('/odata/Orders(10)').send({ total: 1 });
+      expect(response.status).toBe(428);
+      expect(response.body.error.code).toBe('PreconditionRequired');
+
+      await request(strictApp).patch('/odata/Orders(10)').set('If-Match', '*').send({ total: 1 }).expect(204);
+      await request(strictApp).get('/odata/Orders(10)').expect(200);
+    });
+  });
+});
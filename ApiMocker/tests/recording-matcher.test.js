@@ -0,0 +1,181 @@
+/**
+ * Tests for matching requests to recordings of concrete requests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const expressServer = require('../src/express-server');
+const recordingMatcher = require('../src/recording-matcher');
+
+describe('Recording Matcher', () => {
+  const getPet = { operationId: 'getPetById' };
+  const listPets = { operationId: 'listPets' };
+  let responsesDir;
+
+  /**
+   * Writes recordings to the responses directory
+   * @param {Object} files - Recordings by file name
+   */
+  const writeRecordings = (files) => {
+    for (const [name, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(responsesDir, name), JSON.stringify(content));
+    }
+  };
+
+  /**
+   * Creates a recording of a concrete request
+   * @param {Object} requestKey - Path parameters, query parameters and headers of the request
+   * @param {*} data - The recorded body
+   * @returns {Object} The recording
+   */
+  const recordingOf = (requestKey, data) => ({
+    request: { method: 'GET', pathParams: {}, query: {}, headers: {}, ...requestKey },
+    statusCode: 200,
+    data
+  });
+
+  /**
+   * Finds the recording answering a request, as a file name
+   * @param {Object} target - The operation ({ method, path, operation })
+   * @param {Object} req - The request ({ params, query, headers })
+   * @param {Object} config - API configuration with matching settings
+   * @returns {string|null} The file name
+   */
+  const match = (target, req, config = {}) => {
+    const file = recordingMatcher.findRecordingFile(responsesDir, target, { method: 'GET', url: target.path, params: {}, query: {}, headers: {}, ...req }, { config });
+    return file && path.basename(file);
+  };
+
+  beforeEach(() => {
+    responsesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-matcher-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(responsesDir, { recursive: true, force: true });
+  });
+
+  test('should name recordings after the values of their request', () => {
+    expect(recordingMatcher.getRecordingFileName('getPetById', { pathParams: { petId: 1 } })).toBe('getpetbyid_petId-1.json');
+    expect(recordingMatcher.getRecordingFileName('listPets', { query: { tag: 'a b', status: 'sold' } })).toMatch(/^listpets_status-sold_tag-a-b~[0-9a-f]{8}\.json$/);
+    expect(recordingMatcher.getRecordingFileName('listPets', { query: { tag: 'a-b' } })).toBe('listpets_tag-a-b.json');
+    expect(recordingMatcher.getRecordingFileName('listPets', { query: { tag: 'a b' } }))
+      .not.toBe(recordingMatcher.getRecordingFileName('listPets', { query: { tag: 'a/b' } }));
+    expect(recordingMatcher.getRecordingFileName('listPets', {})).toBe('listpets.json');
+    expect(recordingMatcher.getRecordingFileName('listPets', { query: { q: 'x'.repeat(200) } })).toMatch(/^listpets_[0-9a-f]{12}\.json$/);
+  });
+
+  describe('best-match', () => {
+    const target = { method: 'get', path: '/pets/{petId}', operation: getPet };
+
+    test('should answer each path parameter value with its own recording', () => {
+      writeRecordings({
+        'getpetbyid_petId-1.json': recordingOf({ pathParams: { petId: '1' } }, { id: 1 }),
+        'getpetbyid_petId-2.json': recordingOf({ pathParams: { petId: '2' } }, { id: 2 }),
+        'get_pets_petId_petId-3.json': { id: 3 }
+      });
+
+      expect(match(target, { params: { petId: '1' } })).toBe('getpetbyid_petId-1.json');
+      expect(match(target, { params: { petId: '2' }, query: { verbose: 'true' } })).toBe('getpetbyid_petId-2.json');
+      expect(match(target, { params: { petId: '3' } })).toBe('get_pets_petId_petId-3.json');
+      expect(match(target, { params: { petId: '4' } })).toBeNull();
+    });
+
+    test('should prefer the recording with the most equal values and fall back to recordings without a request', () => {
+      writeRecordings({
+        'listpets.json': [{ id: 0 }],
+        'listpets_status-sold.json': recordingOf({ query: { status: 'sold' } }, [{ id: 1 }]),
+        'listpets_limit-1_status-sold.json': recordingOf({ query: { status: 'sold', limit: '1' } }, [{ id: 1 }])
+      });
+      const listTarget = { method: 'get', path: '/pets', operation: listPets };
+
+      expect(match(listTarget, { query: { status: 'sold', limit: '1' } })).toBe('listpets_limit-1_status-sold.json');
+      expect(match(listTarget, { query: { status: 'sold' } })).toBe('listpets_status-sold.json');
+      expect(match(listTarget, { query: { status: 'available' } })).toBe('listpets.json');
+    });
+  });
+
+  test('should require the same values in exact mode', () => {
+    writeRecordings({ 'listpets_status-sold.json': recordingOf({ query: { status: 'sold' } }, []) });
+    const config = { matching: { mode: 'exact' } };
+    const target = { method: 'get', path: '/pets', operation: listPets };
+
+    expect(match(target, { query: { status: 'sold' } }, config)).toBe('listpets_status-sold.json');
+    expect(match(target, { query: { status: 'sold', page: '2' } }, config)).toBeNull();
+  });
+
+  test('should ignore the parameters of ignore-param rules', () => {
+    writeRecordings({ 'listpets_status-sold.json': recordingOf({ query: { status: 'sold', _: '1700000000' } }, []) });
+    const config = { matching: { mode: 'exact', rules: [{ operation: 'GET /pets', mode: 'ignore-param', params: ['_', 'page'] }] } };
+
+    expect(match({ method: 'get', path: '/pets', operation: listPets }, { query: { status: 'sold', page: '3' } }, config))
+      .toBe('listpets_status-sold.json');
+  });
+
+  test('should read recorded values as patterns in regex mode', () => {
+    writeRecordings({ 'getpetbyid_numeric.json': recordingOf({ pathParams: { petId: '[0-9]+' } }, { id: 1 }) });
+    const config = { matching: { rules: [{ operation: 'getPetById', mode: 'regex' }] } };
+    const target = { method: 'get', path: '/pets/{petId}', operation: getPet };
+
+    expect(match(target, { params: { petId: '42' } }, config)).toBe('getpetbyid_numeric.json');
+    expect(match(target, { params: { petId: 'rex' } }, config)).toBeNull();
+  });
+
+  test('should only compare the configured headers', () => {
+    writeRecordings({
+      'listpets_de.json': recordingOf({ headers: { 'Accept-Language': 'de', 'X-Request-Id': '1' } }, [{ name: 'Hund' }]),
+      'listpets_en.json': recordingOf({ headers: { 'Accept-Language': 'en', 'X-Request-Id': '2' } }, [{ name: 'Dog' }])
+    });
+    const config = { matching: { mode: 'exact', headers: ['Accept-Language'] } };
+
+    expect(match({ method: 'get', path: '/pets', operation: listPets }, { headers: { 'accept-language': 'en', 'x-request-id': '9' } }, config))
+      .toBe('listpets_en.json');
+  });
+
+  test('should read recordings once and again when the directory or a recording changes', () => {
+    writeRecordings({ 'listpets_status-sold.json': recordingOf({ query: { status: 'sold' } }, []) });
+    const target = { method: 'get', path: '/pets', operation: listPets };
+    const readFileSync = jest.spyOn(fs, 'readFileSync');
+    const readdirSync = jest.spyOn(fs, 'readdirSync');
+
+    expect(match(target, { query: { status: 'sold' } })).toBe('listpets_status-sold.json');
+    expect(match(target, { query: { status: 'sold' } })).toBe('listpets_status-sold.json');
+    expect(readFileSync).toHaveBeenCalledTimes(1);
+    expect(readdirSync).toHaveBeenCalledTimes(1);
+
+    writeRecordings({ 'listpets_status-pending.json': recordingOf({ query: { status: 'pending' } }, []) });
+    expect(match(target, { query: { status: 'pending' } })).toBe('listpets_status-pending.json');
+
+    writeRecordings({ 'listpets_status-sold.json': recordingOf({ query: { status: 'available' } }, []) });
+    expect(match(target, { query: { status: 'available' } })).toBe('listpets_status-sold.json');
+    expect(match(target, { query: { status: 'sold' } })).toBeNull();
+  });
+
+  test('should reject unknown matching modes', () => {
+    expect(() => recordingMatcher.getMatchingRule({ matching: { mode: 'fuzzy' } }, { method: 'get', path: '/pets' }))
+      .toThrow("Invalid matching mode 'fuzzy' for GET /pets");
+  });
+
+  test('should serve the recording of each request from the mock server', async () => {
+    writeRecordings({
+      'getpetbyid_petId-1.json': recordingOf({ pathParams: { petId: '1' } }, { id: 1, name: 'Rex' }),
+      'getpetbyid_petId-2.json': recordingOf({ pathParams: { petId: '2' } }, { id: 2, name: 'Tom' })
+    });
+    const app = expressServer.createApp();
+    expressServer.registerApiRoutes(app, [{
+      name: 'pets',
+      basePath: '/api/pets',
+      responsesDir,
+      swagger: { swagger: '2.0', paths: { '/pets/{petId}': { get: { operationId: 'getPetById', responses: { '200': { description: 'OK' } } } } } }
+    }]);
+
+    const first = await request(app).get('/api/pets/pets/1').expect(200);
+    const second = await request(app).get('/api/pets/pets/2').expect(200);
+
+    expect(first.body).toEqual({ id: 1, name: 'Rex' });
+    expect(second.body).toEqual({ id: 2, name: 'Tom' });
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Tests for recording non-GET operations from a recording plan
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const express = require('express');
+const nock = require('nock');
+const request = require('supertest');
+const apiRecorder = require('../src/api-recorder');
+const recordingPlan = require('../src/recording-plan');
+
+describe('Recording Plan', () => {
+  const spec = {
+    openapi: '3.0.0',
+    components: {
+      schemas: {
+        Pet: {
+          type: 'object',
+          required: ['id', 'name'],
+          properties: {
+            id: { type: 'integer', readOnly: true },
+            name: { type: 'string' },
+            tag: { type: 'string' }
+          }
+        }
+      }
+    },
+    paths: {
+      '/pets': {
+        get: { operationId: 'listPets', responses: { '200': { description: 'OK' } } },
+        post: {
+          operationId: 'createPet',
+          requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } },
+          responses: { '201': { description: 'Created' } }
+        }
+      },
+      '/pets/{petId}': {
+        delete: { operationId: 'deletePet', responses: { '204': { description: 'Deleted' } } }
+      }
+    }
+  };
+  const createPet = { path: '/pets', method: 'post', operationId: 'createPet' };
+  const deletePet = { path: '/pets/{petId}', method: 'delete', operationId: 'deletePet' };
+  let outputDir;
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-plan-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    nock.cleanAll();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  describe('loadRecordingPlan', () => {
+    test('should load a plan and default its allow-list and operations', () => {
+      const file = path.join(outputDir, 'plan.json');
+      fs.writeFileSync(file, JSON.stringify({ operations: { createPet: { samples: [{ body: { name: 'Rex' } }] } } }));
+
+      expect(recordingPlan.loadRecordingPlan(file)).toEqual({
+        allow: [],
+        operations: { createPet: { samples: [{ body: { name: 'Rex' } }] } }
+      });
+    });
+
+    test('should reject missing and malformed plans', () => {
+      expect(() => recordingPlan.loadRecordingPlan(path.join(outputDir, 'missing.json'))).toThrow('Recording plan not found');
+      expect(() => recordingPlan.validateRecordingPlan({ allow: 'createPet' })).toThrow('allow must be a list');
+      expect(() => recordingPlan.validateRecordingPlan({ operations: { createPet: { samples: [{ query: 'a=1' }] } } }))
+        .toThrow('query of sample 1 of createPet must be an object');
+    });
+  });
+
+  test('should only allow safe methods and allow-listed operations', () => {
+    const plan = { allow: ['DELETE /pets/{petId}'], operations: {} };
+
+    expect(recordingPlan.isOperationAllowed(plan, { path: '/pets', method: 'get', operationId: 'listPets' })).toBe(true);
+    expect(recordingPlan.isOperationAllowed(plan, deletePet)).toBe(true);
+    expect(recordingPlan.isOperationAllowed(plan, createPet)).toBe(false);
+    expect(recordingPlan.isOperationAllowed(plan, createPet, ['createPet'])).toBe(true);
+    expect(recordingPlan.isOperationAllowed(plan, createPet, ['POST *'])).toBe(true);
+  });
+
+  describe('buildPlannedRequest', () => {
+    test('should substitute path parameters', () => {
+      expect(recordingPlan.buildPlannedRequest(deletePet, { pathParams: { petId: 'a b' }, query: { force: 'true' } })).toEqual({
+        method: 'DELETE',
+        url: '/pets/a%20b',
+        pathParams: { petId: 'a b' },
+        query: { force: 'true' },
+        headers: {},
+        body: undefined
+      });
+      expect(() => recordingPlan.buildPlannedRequest(deletePet, {})).toThrow("Missing path parameter 'petId' for DELETE /pets/{petId}");
+    });
+
+    test('should generate bodies from the request schema without read-only properties', () => {
+      const first = recordingPlan.buildPlannedRequest(createPet, { generateBody: true }, { spec, seed: 'pets:createPet:1' });
+      const second = recordingPlan.buildPlannedRequest(createPet, { generateBody: true }, { spec, seed: 'pets:createPet:1' });
+
+      expect(first.body).toEqual(second.body);
+      expect(first.body).toHaveProperty('name');
+      expect(first.body).not.toHaveProperty('id');
+      expect(() => recordingPlan.buildPlannedRequest(deletePet, { pathParams: { petId: 1 }, generateBody: true }, { spec }))
+        .toThrow('DELETE /pets/{petId} declares no JSON request body to generate');
+    });
+  });
+
+  describe('recordPlannedOperation', () => {
+    const client = axios.create({ baseURL: 'http://pets.test' });
+
+    test('should store each sample with its request and response', async () => {
+      nock('http://pets.test')
+        .post('/pets', { name: 'Rex' })
+        .reply(201, { id: 1, name: 'Rex' }, { Location: '/pets/1' })
+        .post('/pets', {})
+        .reply(400, { message: 'name is required' });
+
+      const results = await recordingPlan.recordPlannedOperation(client, createPet, {
+        samples: [{ body: { name: 'Rex' } }, { name: 'Missing name', body: {} }]
+      }, outputDir, { spec, apiName: 'pets' });
+
+      expect(results.map(result => [result.file, result.statusCode, result.success])).toEqual([
+        ['createpet.json', 201, true],
+        ['createpet_missing_name.json', 400, false]
+      ]);
+      expect(JSON.parse(fs.readFileSync(path.join(outputDir, 'createpet.json'), 'utf8'))).toEqual({
+        request: { method: 'POST', url: '/pets', pathParams: {}, query: {}, headers: {}, body: { name: 'Rex' } },
+        statusCode: 201,
+        headers: { 'content-type': 'application/json', location: '/pets/1' },
+        data: { id: 1, name: 'Rex' }
+      });
+      expect(JSON.parse(fs.readFileSync(path.join(outputDir, 'createpet_missing_name.json'), 'utf8')).statusCode).toBe(400);
+    });
+
+    test('should redact credentials in the stored request', async () => {
+      nock('http://pets.test', { reqheaders: { authorization: 'Bearer secret', 'x-trace': '1' } })
+        .delete('/pets/7')
+        .reply(204);
+
+      await recordingPlan.recordPlannedOperation(client, deletePet, {
+        samples: [{ pathParams: { petId: 7 }, headers: { Authorization: 'Bearer secret', 'X-Trace': '1' } }]
+      }, outputDir, { spec, apiName: 'pets' });
+
+      expect(JSON.parse(fs.readFileSync(path.join(outputDir, 'deletepet_petId-7.json'), 'utf8')).request.headers)
+        .toEqual({ authorization: '[REDACTED]', 'x-trace': '1' });
+    });
+
+    test('should only print the requests in a dry run', async () => {
+      const results = await recordingPlan.recordPlannedOperation(client, deletePet, {
+        samples: [{ pathParams: { petId: 7 } }]
+      }, outputDir, { dryRun: true });
+
+      expect(results[0]).toMatchObject({ file: 'deletepet_petId-7.json', dryRun: true });
+      expect(console.log).toHaveBeenCalledWith('[dry run] DELETE /pets/7 -> deletepet_petId-7.json');
+      expect(fs.readdirSync(outputDir)).toEqual([]);
+    });
+  });
+
+  describe('recordResponses', () => {
+    let writtenFiles;
+
+    beforeEach(() => {
+      writtenFiles = {};
+      jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+      jest.spyOn(fs, 'writeFileSync').mockImplementation((file, content) => {
+        writtenFiles[path.basename(file)] = JSON.parse(content);
+      });
+    });
+
+    test('should run allow-listed samples and skip other operations that change data', async () => {
+      nock('http://pets.test')
+        .get('/pets')
+        .reply(200, [])
+        .post('/pets', { name: 'Rex' })
+        .reply(201, { id: 1, name: 'Rex' });
+
+      const plan = recordingPlan.validateRecordingPlan({
+        operations: {
+          createPet: { samples: [{ body: { name: 'Rex' } }] },
+          'DELETE /pets/{petId}': { samples: [{ pathParams: { petId: 1 } }] }
+        }
+      });
+      const endpoints = [{ path: '/pets', method: 'get', operationId: 'listPets' }, createPet, deletePet,
+        { path: '/pets', method: 'put', operationId: 'replacePets' }];
+
+      await apiRecorder.recordResponses('http://pets.test', 'pets', spec, endpoints, { plan, allow: ['createPet'] });
+
+      expect(writtenFiles['createpet.json']).toMatchObject({ statusCode: 201, request: { method: 'POST', body: { name: 'Rex' } } });
+      expect(writtenFiles['deletepet.json']).toBeUndefined();
+      expect(writtenFiles['_metadata.json']).toMatchObject({ successCount: 2, errorCount: 0, skippedCount: 2 });
+      expect(writtenFiles['_metadata.json'].endpoints.filter(endpoint => endpoint.status === 'skipped')).toEqual([
+        expect.objectContaining({ operationId: 'deletePet', reason: 'not in the allow-list' }),
+        expect.objectContaining({ operationId: 'replacePets', reason: 'add samples to a recording plan to record this operation' })
+      ]);
+      expect(Object.keys(writtenFiles['_endpoints.json'])).toEqual(['/pets', 'POST /pets']);
+    });
+
+    test('should map sampled operations to the file of their first successful sample', async () => {
+      nock('http://pets.test')
+        .get('/pets').query({ status: 'pending' }).reply(500, {})
+        .get('/pets').query({ status: 'sold' }).reply(200, []);
+
+      const plan = recordingPlan.validateRecordingPlan({
+        operations: { listPets: { samples: [{ query: { status: 'pending' } }, { query: { status: 'sold' } }] } }
+      });
+
+      await apiRecorder.recordResponses('http://pets.test', 'pets', spec, [{ path: '/pets', method: 'get', operationId: 'listPets' }], { plan });
+
+      expect(writtenFiles['_endpoints.json']['/pets']).toEqual({ operationId: 'listPets', method: 'get', responseFile: 'listpets_status-sold.json' });
+    });
+
+    test('should not send requests or write metadata in a dry run', async () => {
+      const plan = recordingPlan.validateRecordingPlan({ allow: ['*'], operations: { createPet: { samples: [{ generateBody: true }] } } });
+
+      await apiRecorder.recordResponses('http://pets.test', 'pets', spec, [createPet], { plan, dryRun: true });
+
+      expect(writtenFiles).toEqual({});
+      expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/^\[dry run\] POST \/pets \{.*"name".*\} -> createpet\.json$/));
+    });
+  });
+
+  test('should serve the recorded status code and body of an exchange', async () => {
+    const recording = {
+      request: { method: 'POST', url: '/pets', body: { name: 'Rex' } },
+      statusCode: 201,
+      headers: { location: '/pets/1' },
+      data: { id: 1, name: 'Rex' }
+    };
+    const app = express();
+    app.post('/pets', (req, res) => recordingPlan.sendExchangeRecording(res, recording));
+
+    const response = await request(app).post('/pets').expect(201);
+
+    expect(recordingPlan.isExchangeRecording(recording)).toBe(true);
+    expect(recordingPlan.isExchangeRecording({ error: true, request: recording.request, statusCode: 500 })).toBe(false);
+    expect(response.headers.location).toBe('/pets/1');
+    expect(response.body).toEqual({ id: 1, name: 'Rex' });
+  });
+});
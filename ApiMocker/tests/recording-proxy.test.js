@@ -0,0 +1,160 @@
+/**
+ * Tests for recording live traffic through the recording proxy
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const nock = require('nock');
+const request = require('supertest');
+const recordingProxy = require('../src/recording-proxy');
+
+describe('Recording Proxy', () => {
+  let dataDir;
+
+  /**
+   * Creates a proxy for the pets API
+   * @param {Object} options - Additional proxy options
+   * @returns {Object} The Express app
+   */
+  const createProxy = (options = {}) => recordingProxy.createRecordingProxy({
+    upstream: 'http://pets.test/api',
+    name: 'pets',
+    output: dataDir,
+    ...options
+  });
+
+  /**
+   * Reads a JSON file of the recorded API
+   * @param {...string} parts - Path of the file within the API directory
+   * @returns {*} The parsed file
+   */
+  const readApiFile = (...parts) => JSON.parse(fs.readFileSync(path.join(dataDir, 'pets', ...parts), 'utf8'));
+
+  /**
+   * Lists the recordings of the API
+   * @returns {Array<string>} The file names
+   */
+  const listRecordings = () => fs.readdirSync(path.join(dataDir, 'pets', 'responses')).filter(file => file !== '_endpoints.json').sort();
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-proxy-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    nock.cleanAll();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should forward requests and record the exchanges', async () => {
+    nock('http://pets.test')
+      .get('/api/pets/1')
+      .query({ verbose: 'true' })
+      .reply(200, { id: 1, name: 'Rex' }, { 'X-Upstream': 'yes' })
+      .post('/api/pets', { name: 'Max' })
+      .reply(201, { id: 2, name: 'Max' }, { Location: '/pets/2' });
+    const app = createProxy();
+
+    const response = await request(app).get('/pets/1?verbose=true').set('Authorization', 'Bearer secret').expect(200);
+    await request(app).post('/pets').send({ name: 'Max' }).expect(201);
+
+    expect(response.body).toEqual({ id: 1, name: 'Rex' });
+    expect(response.headers['x-upstream']).toBe('yes');
+    expect(readApiFile('responses', 'getpetsbypetid_petId-1_verbose-true.json')).toMatchObject({
+      request: { method: 'GET', url: '/pets/1', pathParams: { petId: '1' }, query: { verbose: 'true' } },
+      statusCode: 200,
+      headers: { 'content-type': 'application/json' },
+      data: { id: 1, name: 'Rex' }
+    });
+    expect(readApiFile('responses', 'getpetsbypetid_petId-1_verbose-true.json').request.headers.authorization).toBe('[REDACTED]');
+    expect(readApiFile('responses', 'postpets.json')).toMatchObject({
+      request: { method: 'POST', body: { name: 'Max' } },
+      statusCode: 201,
+      headers: { location: '/pets/2' }
+    });
+    expect(readApiFile('responses', '_endpoints.json')).toEqual({
+      '/pets/{petId}': { operationId: 'getPetsByPetId', method: 'get', responseFile: 'getpetsbypetid_petId-1_verbose-true.json' },
+      'POST /pets': { operationId: 'postPets', method: 'post', responseFile: 'postpets.json' }
+    });
+    expect(Object.keys(readApiFile('swagger.json').paths)).toEqual(['/pets/{petId}', '/pets']);
+  });
+
+  test('should only record the included paths and redact the configured headers', async () => {
+    nock('http://pets.test')
+      .get('/api/pets').reply(200, [])
+      .get('/api/health').reply(200, { status: 'up' })
+      .get('/api/pets/internal').reply(200, {});
+    const app = createProxy({ include: ['/pets*'], exclude: ['/pets/internal'], redactHeaders: ['X-Api-Key'] });
+
+    await request(app).get('/pets').set('X-Api-Key', 'secret').expect(200);
+    await request(app).get('/health').expect(200, { status: 'up' });
+    await request(app).get('/pets/internal').expect(200);
+
+    expect(listRecordings()).toEqual(['getpets.json']);
+    expect(readApiFile('responses', 'getpets.json').request.headers['x-api-key']).toBe('[REDACTED]');
+  });
+
+  test('should deduplicate repeated requests', async () => {
+    nock('http://pets.test')
+      .get('/api/pets').times(2).reply(200, [{ id: 1 }])
+      .get('/api/pets').reply(200, [{ id: 2 }]);
+
+    await request(createProxy()).get('/pets').expect(200);
+    await request(createProxy()).get('/pets').expect(200);
+    expect(listRecordings()).toEqual(['getpets.json']);
+
+    await request(createProxy({ dedupe: 'none' })).get('/pets').expect(200);
+    expect(listRecordings()).toEqual(['getpets.json', 'getpets_2.json']);
+    expect(readApiFile('responses', 'getpets_2.json').data).toEqual([{ id: 2 }]);
+    expect(() => createProxy({ dedupe: 'never' })).toThrow('Unknown dedupe mode: never');
+  });
+
+  test('should stream other responses without recording them and decode compressed JSON', async () => {
+    nock('http://pets.test')
+      .get('/api/logo.png').reply(200, Buffer.from('png'), { 'Content-Type': 'image/png' })
+      .get('/api/pets/7').reply(200, zlib.gzipSync(JSON.stringify({ id: 7 })), { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' });
+    const app = createProxy();
+
+    const image = await request(app).get('/logo.png').buffer(true).parse((res, done) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => done(null, Buffer.concat(chunks)));
+    }).expect(200);
+    const pet = await request(app).get('/pets/7').expect(200);
+
+    expect(image.body.toString()).toBe('png');
+    expect(pet.body).toEqual({ id: 7 });
+    expect(listRecordings()).toEqual(['getpetsbypetid_petId-7.json']);
+    expect(readApiFile('responses', 'getpetsbypetid_petId-7.json').data).toEqual({ id: 7 });
+  });
+
+  test('should only forward exchanges with bodies larger than the buffer limit', async () => {
+    const pets = Array.from({ length: 20 }, (item, index) => ({ id: index + 1 }));
+    nock('http://pets.test')
+      .get('/api/pets').reply(200, pets)
+      .post('/api/pets', { name: 'x'.repeat(100) }).reply(201, { id: 21 })
+      .post('/api/pets', { name: 'Rex' }).reply(201, { id: 22 });
+    const app = createProxy({ maxBodySize: 64 });
+
+    await request(app).get('/pets').expect(200, pets);
+    await request(app).post('/pets').send({ name: 'x'.repeat(100) }).expect(201, { id: 21 });
+    await request(app).post('/pets').send({ name: 'Rex' }).expect(201, { id: 22 });
+
+    expect(listRecordings()).toEqual(['postpets.json']);
+    expect(readApiFile('responses', 'postpets.json').request.body).toEqual({ name: 'Rex' });
+    expect(console.log).toHaveBeenCalledWith('GET /pets -> 200 (not recorded: body larger than 64 bytes)');
+    expect(console.log).toHaveBeenCalledWith('POST /pets -> 201 (not recorded: body larger than 64 bytes)');
+  });
+
+  test('should answer 502 when the upstream API is unreachable', async () => {
+    nock('http://pets.test').get('/api/pets').replyWithError('connect ECONNREFUSED');
+
+    const response = await request(createProxy()).get('/pets').expect(502);
+
+    expect(response.body).toEqual({ error: 'Bad Gateway', message: 'Upstream request failed: connect ECONNREFUSED' });
+  });
+});
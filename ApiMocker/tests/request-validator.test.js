@@ -0,0 +1,190 @@
+/**
+ * Tests for request validation against the OpenAPI spec
+ */
+
+const express = require('express');
+const request = require('supertest');
+const requestValidator = require('../src/request-validator');
+
+describe('Request Validator', () => {
+  /**
+   * Creates an app serving one operation behind its validation middleware
+   * The route answers with the coerced parameters.
+   * @param {string} method - HTTP method
+   * @param {string} routePath - Express route path
+   * @param {Object} operation - The operation
+   * @param {Object} spec - The spec
+   * @param {Object} pathItem - The path item of the operation
+   * @returns {Object} Express application
+   */
+  const createApp = (method, routePath, operation, spec = {}, pathItem = {}) => {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+
+    const config = { swagger: spec, validation: { requests: true } };
+    app[method](routePath, requestValidator.createValidationMiddleware(operation, config, pathItem), (req, res) => {
+      res.json(req.validated);
+    });
+    return app;
+  };
+
+  describe('OpenAPI 3', () => {
+    const spec = {
+      openapi: '3.0.0',
+      components: {
+        parameters: {
+          Limit: { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } }
+        },
+        schemas: {
+          NewPet: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+              id: { type: 'integer', readOnly: true },
+              name: { type: 'string' },
+              birthday: { type: 'string', format: 'date' }
+            }
+          }
+        }
+      }
+    };
+    const pathItem = {
+      parameters: [{ name: 'ownerId', in: 'path', required: true, schema: { type: 'integer' } }]
+    };
+
+    test('should coerce parameters to their schema types', async () => {
+      const app = createApp('get', '/owners/:ownerId/pets', {
+        parameters: [
+          { $ref: '#/components/parameters/Limit' },
+          { name: 'tags', in: 'query', schema: { type: 'array', items: { type: 'string' } } },
+          { name: 'ids', in: 'query', explode: false, schema: { type: 'array', items: { type: 'integer' } } },
+          { name: 'vaccinated', in: 'query', schema: { type: 'boolean' } },
+          { name: 'X-Request-Id', in: 'header', required: true, schema: { type: 'string', format: 'uuid' } },
+          { name: 'session', in: 'cookie', schema: { type: 'string' } }
+        ]
+      }, spec, pathItem);
+
+      const response = await request(app)
+        .get('/owners/7/pets?tags=a&tags=b&ids=1,2,3&vaccinated=true')
+        .set('X-Request-Id', '3f1c8d2e-6b1f-4c5e-9a0a-2b7d4e6f8a9c')
+        .set('Cookie', 'session=abc%20def; theme=dark')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        path: { ownerId: 7 },
+        query: { limit: 20, tags: ['a', 'b'], ids: [1, 2, 3], vaccinated: true },
+        header: { 'X-Request-Id': '3f1c8d2e-6b1f-4c5e-9a0a-2b7d4e6f8a9c' },
+        cookie: { session: 'abc def' },
+        body: {}
+      });
+    });
+
+    test('should hand the coerced values to the route handler', async () => {
+      const app = express();
+      app.use(express.json());
+      const config = { swagger: spec, validation: { requests: true } };
+      const operation = {
+        parameters: [
+          { $ref: '#/components/parameters/Limit' },
+          { name: 'vaccinated', in: 'query', schema: { type: 'boolean' } },
+          { name: 'note', in: 'query', schema: { type: 'string' } }
+        ]
+      };
+      app.get('/owners/:ownerId/pets', requestValidator.createValidationMiddleware(operation, config, pathItem), (req, res) => {
+        res.json({ params: req.params, query: req.query });
+      });
+
+      const response = await request(app).get('/owners/7/pets?vaccinated=false&note=42').expect(200);
+
+      expect(response.body).toEqual({
+        params: { ownerId: 7 },
+        query: { vaccinated: false, note: '42' }
+      });
+    });
+
+    test('should answer invalid requests with every violation', async () => {
+      const app = createApp('post', '/owners/:ownerId/pets', {
+        parameters: [{ $ref: '#/components/parameters/Limit' }, { name: 'X-Trace', in: 'header', required: true, schema: { type: 'string' } }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/NewPet' } } }
+        }
+      }, spec, pathItem);
+
+      const response = await request(app)
+        .post('/owners/seven/pets?limit=500')
+        .send({ birthday: 'yesterday' })
+        .expect(400);
+
+      expect(response.body).toEqual({
+        error: 'Bad Request',
+        message: 'Request validation failed with 5 errors',
+        errors: [
+          { location: 'path', pointer: '/path/ownerId', keyword: 'type', message: 'must be integer' },
+          { location: 'query', pointer: '/query/limit', keyword: 'maximum', message: 'must be <= 100' },
+          { location: 'header', pointer: '/header/X-Trace', keyword: 'required', message: "must have required header parameter 'X-Trace'" },
+          { location: 'body', pointer: '/body/name', keyword: 'required', message: "must have required property 'name'" },
+          { location: 'body', pointer: '/body/birthday', keyword: 'format', message: 'must match format "date"' }
+        ]
+      });
+    });
+
+    test('should require a body where the spec does', async () => {
+      const app = createApp('post', '/pets', {
+        requestBody: { required: true, content: { 'application/json': { schema: { type: 'object' } } } }
+      }, spec);
+
+      const response = await request(app).post('/pets').expect(400);
+
+      expect(response.body.errors).toEqual([
+        { location: 'body', pointer: '/body', keyword: 'required', message: 'must have a request body' }
+      ]);
+    });
+
+    test('should not require read-only properties in request bodies', async () => {
+      const app = createApp('post', '/pets', {
+        requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/NewPet' } } } }
+      }, spec);
+
+      await request(app).post('/pets').send({ name: 'Rex' }).expect(200);
+    });
+  });
+
+  describe('Swagger 2.0', () => {
+    test('should validate parameters, form data and body parameters', async () => {
+      const spec = {
+        swagger: '2.0',
+        definitions: {
+          Order: { type: 'object', required: ['quantity'], properties: { quantity: { type: 'integer', minimum: 1 } } }
+        }
+      };
+      const operation = {
+        parameters: [
+          { name: 'status', in: 'query', type: 'array', items: { type: 'string', enum: ['open', 'closed'] }, collectionFormat: 'pipes' },
+          { name: 'body', in: 'body', required: true, schema: { $ref: '#/definitions/Order' } }
+        ]
+      };
+      const app = createApp('post', '/orders', operation, spec);
+
+      const valid = await request(app).post('/orders?status=open|closed').send({ quantity: 2 }).expect(200);
+      expect(valid.body.query).toEqual({ status: ['open', 'closed'] });
+
+      const invalid = await request(app).post('/orders?status=open|lost').send({ quantity: 0 }).expect(400);
+      expect(invalid.body.errors.map(error => error.pointer)).toEqual(['/query/status/1', '/body/quantity']);
+
+      const form = createApp('post', '/login', {
+        parameters: [{ name: 'attempts', in: 'formData', type: 'integer', maximum: 3 }]
+      }, spec);
+      const formResponse = await request(form).post('/login').type('form').send({ attempts: '5' }).expect(400);
+      expect(formResponse.body.errors).toEqual([
+        { location: 'body', pointer: '/body/attempts', keyword: 'maximum', message: 'must be <= 3' }
+      ]);
+    });
+  });
+
+  test('should only validate APIs that opt in', () => {
+    expect(requestValidator.createValidationMiddleware({}, { swagger: {} })).toBeNull();
+    expect(requestValidator.createValidationMiddleware({}, { swagger: {}, validation: { requests: true } })).toEqual(expect.any(Function));
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Tests for response validation against the OpenAPI spec
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const responseValidator = require('../src/response-validator');
+
+describe('Response Validator', () => {
+  const spec = {
+    openapi: '3.0.0',
+    components: {
+      schemas: {
+        Pet: {
+          type: 'object',
+          required: ['id', 'name'],
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            password: { type: 'string', writeOnly: true }
+          }
+        }
+      }
+    },
+    paths: {
+      '/pets/{petId}': {
+        get: {
+          operationId: 'getPetById',
+          responses: {
+            '200': { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } },
+            '4XX': { description: 'Client error', content: { 'application/json': { schema: { type: 'object', required: ['message'] } } } }
+          }
+        },
+        delete: {
+          operationId: 'deletePet',
+          responses: { '204': { description: 'Deleted' } }
+        }
+      }
+    }
+  };
+  const getPet = spec.paths['/pets/{petId}'].get;
+
+  afterEach(() => {
+    responseValidator.clearViolationReports();
+  });
+
+  describe('validateResponse', () => {
+    test('should accept responses matching their declared schema', () => {
+      expect(responseValidator.validateResponse(getPet, { statusCode: 200, body: { id: 1, name: 'Rex' } }, { spec })).toEqual([]);
+    });
+
+    test('should report schema violations of the body', () => {
+      const violations = responseValidator.validateResponse(getPet, { statusCode: 200, body: { id: 'one' } }, { spec });
+
+      expect(violations).toEqual([
+        { pointer: '/name', keyword: 'required', message: "must have required property 'name'" },
+        { pointer: '/id', keyword: 'type', message: 'must be integer' }
+      ]);
+    });
+
+    test('should match status code ranges and report undeclared status codes', () => {
+      expect(responseValidator.validateResponse(getPet, { statusCode: 404, body: { message: 'Not found' } }, { spec })).toEqual([]);
+      expect(responseValidator.validateResponse(getPet, { statusCode: 500, body: {} }, { spec })).toEqual([
+        { pointer: '', keyword: 'status', message: 'status 500 is not declared for the operation' }
+      ]);
+    });
+
+    test('should read Swagger 2.0 response schemas', () => {
+      const operation = {
+        responses: { default: { description: 'Any', schema: { type: 'array', items: { type: 'string' } } } }
+      };
+
+      expect(responseValidator.validateResponse(operation, { statusCode: 200, body: ['a', 2] }, { spec: {} })).toEqual([
+        expect.objectContaining({ pointer: '/1', message: 'must be string' })
+      ]);
+    });
+  });
+
+  describe('served responses', () => {
+    /**
+     * Creates an app serving a response through the validation middleware of an operation
+     * @param {Object} operation - The operation
+     * @param {Function} handler - Route handler sending the response
+     * @returns {Object} Express application
+     */
+    const createApp = (operation, handler) => {
+      const app = express();
+      const config = { name: 'pets', swagger: spec, validation: { responses: true } };
+      app.get('/pets/:petId', responseValidator.createResponseValidationMiddleware(operation, config, { method: 'get', path: '/pets/{petId}' }), handler);
+      responseValidator.registerReportRoute(app, '/__schema-violations', config);
+      return app;
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    test('should flag violations in a header and in the report', async () => {
+      const app = createApp(getPet, (req, res) => res.json({ id: req.params.petId }));
+
+      const response = await request(app).get('/pets/7').expect(200);
+      await request(app).get('/pets/8').expect(200);
+
+      expect(response.body).toEqual({ id: '7' });
+      expect(response.headers['x-mock-schema-violations']).toBe("/name must have required property 'name'; /id must be integer");
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('GET /pets/7 => 200 violates the spec of GET /pets/{petId} (2 schema violations)'));
+
+      const report = await request(app).get('/__schema-violations').expect(200);
+      expect(report.body).toEqual({
+        api: 'pets',
+        operations: [{
+          method: 'GET',
+          path: '/pets/{petId}',
+          operationId: 'getPetById',
+          responses: 2,
+          invalidResponses: 2,
+          violations: [
+            { statusCode: 200, pointer: '/name', keyword: 'required', message: "must have required property 'name'", count: 2 },
+            { statusCode: 200, pointer: '/id', keyword: 'type', message: 'must be integer', count: 2 }
+          ]
+        }]
+      });
+    });
+
+    test('should leave valid responses untouched', async () => {
+      const app = createApp(getPet, (req, res) => res.json({ id: 7, name: 'Rex' }));
+
+      const response = await request(app).get('/pets/7').expect(200);
+
+      expect(response.headers['x-mock-schema-violations']).toBeUndefined();
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    test('should check the status of responses without a body', async () => {
+      const app = createApp(spec.paths['/pets/{petId}'].delete, (req, res) => res.status(200).end());
+
+      const response = await request(app).get('/pets/7').expect(200);
+
+      expect(response.headers['x-mock-schema-violations']).toBe('/ status 200 is not declared for the operation');
+    });
+
+    test('should only validate APIs that opt in', () => {
+      expect(responseValidator.createResponseValidationMiddleware(getPet, { swagger: spec }, { method: 'get', path: '/pets' })).toBeNull();
+    });
+  });
+
+  describe('verifyRecordings', () => {
+    let responsesDir;
+
+    beforeEach(() => {
+      responsesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-validator-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(responsesDir, { recursive: true, force: true });
+    });
+
+    test('should report each recording of each operation', () => {
+      fs.writeFileSync(path.join(responsesDir, 'getpetbyid.json'), JSON.stringify({ id: 1, name: 'Rex' }));
+      fs.writeFileSync(path.join(responsesDir, 'get_pets_petId_petId-2.json'), JSON.stringify({ statusCode: 200, data: { id: 2 } }));
+      fs.writeFileSync(path.join(responsesDir, 'deletepet.json'), JSON.stringify({ error: true, statusCode: 500, message: 'Boom' }));
+      fs.writeFileSync(path.join(responsesDir, 'get_owners.json'), '{}');
+
+      const result = responseValidator.verifyRecordings({ name: 'pets', swagger: spec, responsesDir });
+
+      expect(result).toEqual({
+        api: 'pets',
+        violations: 2,
+        operations: [
+          { method: 'GET', path: '/pets/{petId}', operationId: 'getPetById', file: 'get_pets_petId_petId-2.json', statusCode: 200, violations: [
+            { pointer: '/name', keyword: 'required', message: "must have required property 'name'" }
+          ] },
+          { method: 'GET', path: '/pets/{petId}', operationId: 'getPetById', file: 'getpetbyid.json', statusCode: 200, violations: [] },
+          { method: 'DELETE', path: '/pets/{petId}', operationId: 'deletePet', file: 'deletepet.json', statusCode: 500, violations: [
+            { pointer: '', keyword: 'status', message: 'status 500 is not declared for the operation' }
+          ] }
+        ]
+      });
+
+      const report = responseValidator.formatReport([result]);
+      expect(report).toContain('pets: 3 recordings checked, 2 with violations');
+      expect(report).toContain('✗ DELETE /pets/{petId} (deletepet.json, 500)');
+      expect(report).toContain('2 schema violations found');
+    });
+  });
+});
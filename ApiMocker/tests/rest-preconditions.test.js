@@ -0,0 +1,63 @@
+/**
+ * Tests for conditional requests on stateful REST routes
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const crudHandler = require('../src/crud-handler');
+const routeHandler = require('../src/route-handler');
+
+describe('REST Preconditions', () => {
+  const apiName = 'rest-preconditions-api';
+  let responsesDir;
+  let app;
+
+  beforeEach(() => {
+    responsesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rest-preconditions-'));
+    fs.writeFileSync(path.join(responsesDir, 'getpetbyid.json'), JSON.stringify({ id: '1', name: 'Rex' }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    app = express();
+    app.use(express.json());
+    const config = { apiName, responsesDir };
+    routeHandler.registerRoute(app, 'get', '/pets/:petId', { operationId: 'getPetById' }, config);
+    routeHandler.registerRoute(app, 'put', '/pets/:petId', { operationId: 'updatePet' }, config);
+    routeHandler.registerRoute(app, 'delete', '/pets/:petId', { operationId: 'deletePet' }, config);
+
+    crudHandler.resetDataStore(apiName);
+    crudHandler.getCollection(apiName, 'pets').push({ id: '1', name: 'Rex' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(responsesDir, { recursive: true, force: true });
+  });
+
+  test('should tag GET responses with the ETag writes are checked against', async () => {
+    const read = await request(app).get('/pets/1').expect(200);
+    const etag = read.headers.etag;
+
+    expect(etag).toBe(crudHandler.getETag(crudHandler.getById(apiName, 'pets', '1')));
+    await request(app).get('/pets/1').set('If-None-Match', etag).expect(304);
+
+    const updated = await request(app).put('/pets/1').set('If-Match', etag).send({ name: 'Max' }).expect(200);
+    expect(updated.body).toMatchObject({ id: '1', name: 'Max' });
+    expect(updated.headers.etag).not.toBe(etag);
+    expect(crudHandler.getById(apiName, 'pets', '1').name).toBe('Max');
+
+    const stale = await request(app).put('/pets/1').set('If-Match', etag).send({ name: 'Tom' }).expect(412);
+    expect(stale.headers.etag).toBe(updated.headers.etag);
+    await request(app).delete('/pets/1').set('If-Match', updated.headers.etag).expect(204);
+  });
+
+  test('should resolve the collection of keyed routes', async () => {
+    await request(app).put('/pets/1').send({ name: 'Max' }).expect(200);
+    await request(app).put('/pets/2').send({ name: 'Tom' }).expect(404);
+
+    expect(crudHandler.getAll(apiName, 'pets')).toEqual([expect.objectContaining({ id: '1', name: 'Max' })]);
+  });
+});
@@ -23,6 +23,8 @@ jest.mock('../src/crud-handler', () => ({
   handleDelete: jest.fn(),
   getAll: jest.fn(),
   getById: jest.fn(),
+  getETag: jest.fn().mockReturnValue('W/"1"'),
+  checkPreconditions: jest.fn().mockReturnValue(null),
   resetDataStore: jest.fn(),
   saveDataStore: jest.fn(),
   getDataStore: jest.fn()
@@ -179,6 +181,95 @@ describe('Route Handler', () => {
     expect(response.body).toEqual(mockResponse);
   });
   
+  test('rejects invalid requests when request validation is enabled', async () => {
+    const operation = {
+      operationId: 'createUser',
+      parameters: [
+        {
+          name: 'user',
+          in: 'body',
+          required: true,
+          schema: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+              name: { type: 'string' }
+            }
+          }
+        }
+      ],
+      responses: {
+        '201': {
+          description: 'Created'
+        }
+      }
+    };
+    
+    const config = {
+      name: 'test-api',
+      responsesDir: '/mock/responses',
+      stateful: true,
+      swagger: { swagger: '2.0', paths: {} },
+      validation: { requests: true }
+    };
+    
+    routeHandler.registerRoute(app, 'post', '/api/users', operation, config);
+    
+    // Test the route
+    const response = await request(app)
+      .post('/api/users')
+      .send({ name: 42 });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([
+      { location: 'body', pointer: '/body/name', keyword: 'type', message: 'must be string' }
+    ]);
+    expect(crudHandler.handlePost).not.toHaveBeenCalled();
+  });
+  
+  test('stores coerced form data when request validation is enabled', async () => {
+    fs.readFileSync.mockReturnValue(JSON.stringify({ id: 3, name: 'New User' }));
+    app.use(express.urlencoded({ extended: true }));
+    
+    // Create route
+    const operation = {
+      operationId: 'createUser',
+      consumes: ['application/x-www-form-urlencoded'],
+      parameters: [
+        { name: 'name', in: 'formData', type: 'string' },
+        { name: 'age', in: 'formData', type: 'integer' },
+        { name: 'active', in: 'formData', type: 'boolean' }
+      ],
+      responses: {
+        '201': {
+          description: 'Created'
+        }
+      }
+    };
+    
+    const config = {
+      name: 'test-api',
+      apiName: 'test-api',
+      responsesDir: '/mock/responses',
+      stateful: true,
+      swagger: { swagger: '2.0', paths: {} },
+      validation: { requests: true }
+    };
+    
+    routeHandler.registerRoute(app, 'post', '/api/users', operation, config);
+    
+    // Test the route
+    const response = await request(app)
+      .post('/api/users')
+      .type('form')
+      .send({ name: 'New User', age: '42', active: 'true' });
+    
+    expect(response.status).toBe(201);
+    expect(crudHandler.handlePost).toHaveBeenCalledWith(
+      'test-api', 'users', { name: 'New User', age: 42, active: true }, expect.anything()
+    );
+  });
+  
   test('handles PUT requests', async () => {
     // Mock response data
     const mockResponse = { id: "1", name: 'Updated User', updatedAt: "2025-05-24T19:25:17.008Z" };
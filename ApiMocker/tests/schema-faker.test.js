@@ -0,0 +1,211 @@
+/**
+ * Tests for schema-driven fake data generation
+ */
+
+const schemaFaker = require('../src/schema-faker');
+
+describe('Schema Faker', () => {
+  const spec = {
+    openapi: '3.0.0',
+    components: {
+      schemas: {
+        Pet: {
+          type: 'object',
+          required: ['id', 'name'],
+          properties: {
+            id: { type: 'integer', format: 'int64', minimum: 1 },
+            name: { type: 'string' },
+            status: { type: 'string', enum: ['available', 'pending', 'sold'] },
+            tags: { type: 'array', items: { $ref: '#/components/schemas/Tag' }, minItems: 2, maxItems: 4 },
+            owner: { $ref: '#/components/schemas/Owner' }
+          }
+        },
+        Tag: {
+          type: 'object',
+          properties: {
+            label: { type: 'string', example: 'friendly' }
+          }
+        },
+        Owner: {
+          allOf: [
+            { $ref: '#/components/schemas/Person' },
+            { type: 'object', properties: { since: { type: 'string', format: 'date' } } }
+          ]
+        },
+        Person: {
+          type: 'object',
+          properties: {
+            email: { type: 'string', format: 'email' },
+            password: { type: 'string', writeOnly: true }
+          }
+        },
+        Node: {
+          type: 'object',
+          properties: {
+            children: { type: 'array', items: { $ref: '#/components/schemas/Node' } }
+          }
+        }
+      }
+    }
+  };
+
+  describe('generateFromSchema', () => {
+    test('should follow references and honor the schema keywords', () => {
+      const pet = schemaFaker.generateFromSchema({ $ref: '#/components/schemas/Pet' }, { spec, seed: 'pets' });
+
+      expect(Number.isInteger(pet.id)).toBe(true);
+      expect(pet.id).toBeGreaterThanOrEqual(1);
+      expect(typeof pet.name).toBe('string');
+      expect(['available', 'pending', 'sold']).toContain(pet.status);
+      expect(pet.tags.length).toBeGreaterThanOrEqual(2);
+      expect(pet.tags.length).toBeLessThanOrEqual(4);
+      expect(pet.tags[0]).toEqual({ label: 'friendly' });
+      expect(pet.owner.email).toMatch(/^[a-z]+\.[a-z]+\d+@example\.com$/);
+      expect(pet.owner.since).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      expect(pet.owner).not.toHaveProperty('password');
+    });
+
+    test('should be deterministic for a seed', () => {
+      const schema = { $ref: '#/components/schemas/Pet' };
+
+      const first = schemaFaker.generateFromSchema(schema, { spec, seed: 'a' });
+
+      expect(schemaFaker.generateFromSchema(schema, { spec, seed: 'a' })).toEqual(first);
+      expect(schemaFaker.generateFromSchema(schema, { spec, seed: 'b' })).not.toEqual(first);
+    });
+
+    test.each([
+      ['uuid', /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/],
+      ['date-time', /^2024-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.000Z$/],
+      ['uri', /^https:\/\/example\.com\//],
+      ['ipv4', /^(\d{1,3}\.){3}\d{1,3}$/],
+      ['email', /@example\.com$/]
+    ])('should generate %s strings', (format, expected) => {
+      for (const seed of ['1', '2', '3']) {
+        expect(schemaFaker.generateFromSchema({ type: 'string', format }, { seed })).toMatch(expected);
+      }
+    });
+
+    test('should generate strings matching a pattern', () => {
+      const patterns = ['^[A-Z]{3}-\\d{4}$', '^(foo|ba[rz])+_[a-f0-9]{2,5}$', '^\\w+@[^@\\s]+\\.(com|org)$'];
+
+      for (const pattern of patterns) {
+        for (const seed of ['1', '2', '3']) {
+          expect(schemaFaker.generateFromSchema({ type: 'string', pattern }, { seed })).toMatch(new RegExp(pattern));
+        }
+      }
+    });
+
+    test('should fall back to plain strings for unsupported patterns', () => {
+      const value = schemaFaker.generateFromSchema({ type: 'string', pattern: '^(?=.*\\d)\\w+$', minLength: 12, maxLength: 20 }, { seed: '1' });
+
+      expect(typeof value).toBe('string');
+      expect(value.length).toBeGreaterThanOrEqual(12);
+      expect(value.length).toBeLessThanOrEqual(20);
+    });
+
+    test('should keep numbers within their bounds', () => {
+      for (const seed of ['1', '2', '3', '4', '5']) {
+        const value = schemaFaker.generateFromSchema({
+          type: 'object',
+          properties: {
+            small: { type: 'integer', minimum: 3, maximum: 5 },
+            exclusive: { type: 'integer', minimum: 1, maximum: 3, exclusiveMinimum: true, exclusiveMaximum: true },
+            price: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+            step: { type: 'number', minimum: 0, maximum: 100, multipleOf: 0.25 }
+          }
+        }, { seed });
+
+        expect(value.small).toBeGreaterThanOrEqual(3);
+        expect(value.small).toBeLessThanOrEqual(5);
+        expect(value.exclusive).toBe(2);
+        expect(value.price).toBeGreaterThan(0);
+        expect(value.price).toBeLessThanOrEqual(1);
+        expect(Number.isInteger(value.step * 4)).toBe(true);
+      }
+    });
+
+    test('should pick one alternative of oneOf and anyOf', () => {
+      const schema = {
+        type: 'object',
+        properties: {
+          id: { oneOf: [{ type: 'integer' }, { type: 'string', format: 'uuid' }] },
+          contact: { anyOf: [{ type: 'object', properties: { phone: { type: 'string', pattern: '^\\d{3}-\\d{4}$' } } }] }
+        }
+      };
+
+      const value = schemaFaker.generateFromSchema(schema, { seed: 'x' });
+
+      expect(typeof value.id === 'number' || /^[0-9a-f-]{36}$/.test(value.id)).toBe(true);
+      expect(value.contact.phone).toMatch(/^\d{3}-\d{4}$/);
+    });
+
+    test('should generate null for some nullable values', () => {
+      const schema = {
+        type: 'array',
+        minItems: 50,
+        maxItems: 50,
+        items: { type: 'string', nullable: true }
+      };
+
+      const values = schemaFaker.generateFromSchema(schema, { seed: 'nullable' });
+
+      expect(values).toContain(null);
+      expect(values.some(value => typeof value === 'string')).toBe(true);
+      expect(schemaFaker.generateFromSchema({ type: ['integer', 'null'] }, { seed: 'x' })).not.toBeNull();
+    });
+
+    test('should stop at recursive schemas', () => {
+      const node = schemaFaker.generateFromSchema({ $ref: '#/components/schemas/Node' }, { spec, seed: 'tree' });
+
+      let depth = 0;
+      for (let current = node; current.children && current.children.length > 0; current = current.children[0]) {
+        depth++;
+      }
+      expect(depth).toBeLessThan(10);
+    });
+  });
+
+  describe('getSuccessResponse', () => {
+    test('should read Swagger 2.0 response schemas', () => {
+      const operation = {
+        responses: {
+          '404': { description: 'Not found', schema: { type: 'object' } },
+          '201': { description: 'Created', schema: { $ref: '#/definitions/Pet' } }
+        }
+      };
+
+      expect(schemaFaker.getSuccessResponse(operation, {})).toEqual({
+        statusCode: 201,
+        schema: { $ref: '#/definitions/Pet' },
+        example: undefined
+      });
+    });
+
+    test('should read OpenAPI 3 media type schemas and examples', () => {
+      const operation = {
+        responses: {
+          '200': {
+            description: 'OK',
+            content: {
+              'application/json': {
+                schema: { type: 'array', items: { type: 'string' } },
+                examples: { names: { value: ['Rex'] } }
+              }
+            }
+          }
+        }
+      };
+
+      expect(schemaFaker.getSuccessResponse(operation, {})).toEqual({
+        statusCode: 200,
+        schema: { type: 'array', items: { type: 'string' } },
+        example: ['Rex']
+      });
+    });
+
+    test('should return null for responses without a body', () => {
+      expect(schemaFaker.getSuccessResponse({ responses: { '204': { description: 'Deleted' } } }, {})).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests for JSON schema validation
+ */
+
+const schemaValidator = require('../src/schema-validator');
+
+describe('Schema Validator', () => {
+  const spec = {
+    components: {
+      schemas: {
+        Pet: {
+          type: 'object',
+          required: ['id', 'name'],
+          additionalProperties: false,
+          properties: {
+            id: { type: 'integer', readOnly: true },
+            name: { type: 'string', minLength: 1, maxLength: 10 },
+            tag: { type: 'string', nullable: true },
+            tags: { type: 'array', items: { type: 'string' }, uniqueItems: true, maxItems: 2 },
+            'a/b': { type: 'boolean' }
+          }
+        },
+        Cat: {
+          type: 'object',
+          required: ['kind', 'lives'],
+          properties: { kind: { type: 'string' }, lives: { type: 'integer', maximum: 9 } }
+        },
+        Dog: {
+          type: 'object',
+          required: ['kind', 'bark'],
+          properties: { kind: { type: 'string' }, bark: { type: 'string' } }
+        }
+      }
+    }
+  };
+
+  test('should accept valid values', () => {
+    const pet = { id: 1, name: 'Rex', tag: null, tags: ['a', 'b'], 'a/b': true };
+
+    expect(schemaValidator.validate(pet, { $ref: '#/components/schemas/Pet' }, { spec })).toEqual([]);
+  });
+
+  test('should report every violation with its JSON pointer', () => {
+    const pet = { name: '', tags: ['a', 'a', 'b'], 'a/b': 'yes', color: 'red' };
+
+    const errors = schemaValidator.validate(pet, { $ref: '#/components/schemas/Pet' }, { spec, pointer: '/body' });
+
+    expect(errors).toEqual([
+      { pointer: '/body/id', keyword: 'required', message: "must have required property 'id'" },
+      { pointer: '/body/name', keyword: 'minLength', message: 'must NOT have fewer than 1 characters' },
+      { pointer: '/body/tags', keyword: 'maxItems', message: 'must NOT have more than 2 items' },
+      { pointer: '/body/tags', keyword: 'uniqueItems', message: 'must NOT have duplicate items (item 1 is a duplicate)' },
+      { pointer: '/body/a~1b', keyword: 'type', message: 'must be boolean' },
+      { pointer: '/body/color', keyword: 'additionalProperties', message: "must NOT have additional property 'color'" }
+    ]);
+  });
+
+  test('should not require read-only properties in requests', () => {
+    const errors = schemaValidator.validate({ name: 'Rex' }, { $ref: '#/components/schemas/Pet' }, { spec, direction: 'request' });
+
+    expect(errors).toEqual([]);
+  });
+
+  test.each([
+    [{ type: 'integer', minimum: 1, maximum: 10 }, 0, 'must be >= 1'],
+    [{ type: 'integer', minimum: 1, exclusiveMinimum: true }, 1, 'must be > 1'],
+    [{ type: 'number', exclusiveMaximum: 5 }, 5, 'must be < 5'],
+    [{ type: 'number', multipleOf: 0.5 }, 1.25, 'must be multiple of 0.5'],
+    [{ type: 'integer' }, 1.5, 'must be integer'],
+    [{ type: 'string', pattern: '^[A-Z]+$' }, 'abc', 'must match pattern "^[A-Z]+$"'],
+    [{ type: 'string', format: 'email' }, 'not-an-email', 'must match format "email"'],
+    [{ type: 'string', format: 'date-time' }, '2024-13-45', 'must match format "date-time"'],
+    [{ type: 'string', format: 'uuid' }, '1234', 'must match format "uuid"'],
+    [{ type: 'string', enum: ['a', 'b'] }, 'c', 'must be equal to one of the allowed values: "a", "b"'],
+    [{ type: 'string' }, null, 'must not be null'],
+    [{ type: ['string', 'null'] }, 5, 'must be string']
+  ])('should check %j', (schema, value, message) => {
+    expect(schemaValidator.validate(value, schema)).toEqual([expect.objectContaining({ pointer: '', message })]);
+  });
+
+  test('should validate compositions', () => {
+    const animal = {
+      oneOf: [{ $ref: '#/components/schemas/Cat' }, { $ref: '#/components/schemas/Dog' }]
+    };
+    const tagged = { ...animal, discriminator: { propertyName: 'kind' } };
+
+    expect(schemaValidator.validate({ kind: 'cat', lives: 9 }, animal, { spec })).toEqual([]);
+    expect(schemaValidator.validate({ kind: 'cat', lives: 9, bark: 'woof' }, animal, { spec })).toEqual([
+      expect.objectContaining({ keyword: 'oneOf', message: 'must match exactly one schema in oneOf (matches 2)' })
+    ]);
+    expect(schemaValidator.validate({ kind: 'Cat', lives: 10 }, tagged, { spec })).toEqual([
+      expect.objectContaining({ pointer: '/lives', message: 'must be <= 9' })
+    ]);
+    expect(schemaValidator.validate({ kind: 'Bird' }, tagged, { spec })).toEqual([
+      expect.objectContaining({ pointer: '/kind', keyword: 'discriminator' })
+    ]);
+    expect(schemaValidator.validate('x', { anyOf: [{ type: 'integer' }, { type: 'boolean' }] })).toEqual([
+      expect.objectContaining({ keyword: 'anyOf' })
+    ]);
+    expect(schemaValidator.validate(3, { not: { type: 'integer' } })).toEqual([
+      expect.objectContaining({ keyword: 'not' })
+    ]);
+  });
+
+  test('should allow properties of sibling allOf schemas', () => {
+    const schema = {
+      allOf: [
+        { type: 'object', properties: { id: { type: 'integer' } }, additionalProperties: false },
+        { type: 'object', properties: { name: { type: 'string' } } }
+      ]
+    };
+
+    expect(schemaValidator.validate({ id: 1, name: 'Rex' }, schema)).toEqual([]);
+    expect(schemaValidator.validate({ id: 1, color: 'red' }, schema)).toEqual([
+      expect.objectContaining({ pointer: '/color', keyword: 'additionalProperties' })
+    ]);
+  });
+});
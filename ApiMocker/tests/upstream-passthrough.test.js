@@ -0,0 +1,187 @@
+/**
+ * Tests for forwarding requests without a recording to the upstream API while serving
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const nock = require('nock');
+const request = require('supertest');
+const expressServer = require('../src/express-server');
+const routeHandler = require('../src/route-handler');
+const upstreamPassthrough = require('../src/upstream-passthrough');
+
+describe('Upstream Passthrough', () => {
+  const swagger = {
+    swagger: '2.0',
+    paths: {
+      '/pets': {
+        post: { operationId: 'createPet', responses: { '201': { description: 'Created' } } }
+      },
+      '/pets/{petId}': {
+        get: {
+          operationId: 'getPetById',
+          responses: { '200': { description: 'OK', schema: { type: 'object', properties: { id: { type: 'integer' } } } } }
+        }
+      }
+    }
+  };
+  let dataDir;
+  let responsesDir;
+
+  /**
+   * Creates a mock server for the pets API
+   * @param {Object} upstream - Upstream settings of the API
+   * @returns {Object} The Express app
+   */
+  const createServer = (upstream) => {
+    const app = expressServer.createApp();
+    expressServer.registerApiRoutes(app, [{ name: 'pets', basePath: '/api', responsesDir, swagger, upstream }]);
+    return app;
+  };
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upstream-passthrough-'));
+    responsesDir = path.join(dataDir, 'pets', 'responses');
+    fs.mkdirSync(responsesDir, { recursive: true });
+    fs.writeFileSync(path.join(responsesDir, 'getpetbyid_petId-1.json'), JSON.stringify({
+      request: { method: 'GET', pathParams: { petId: '1' }, query: {}, headers: {} },
+      statusCode: 200,
+      data: { id: 1, name: 'Recorded' }
+    }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    nock.cleanAll();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should resolve the policy of each operation', () => {
+    const target = { method: 'post', path: '/pets', operation: { operationId: 'createPet' } };
+    const upstream = { url: 'http://pets.test/v1/', rules: [{ operation: 'createPet', policy: 'proxy-only', record: true }] };
+
+    expect(upstreamPassthrough.getUpstreamRule({}, target)).toMatchObject({ policy: 'mock-only', record: false });
+    expect(upstreamPassthrough.getUpstreamRule({ upstream: { url: 'http://pets.test' } }, target).policy).toBe('mock-then-proxy');
+    expect(upstreamPassthrough.getUpstreamRule({ upstream }, target)).toEqual({
+      policy: 'proxy-only',
+      record: true,
+      url: 'http://pets.test/v1',
+      timeout: 10000
+    });
+    expect(() => upstreamPassthrough.getUpstreamRule({ upstream: { url: 'http://pets.test', policy: 'mock-first' } }, target))
+      .toThrow("Invalid upstream policy 'mock-first' for POST /pets");
+    expect(() => upstreamPassthrough.getUpstreamRule({ upstream: { policy: 'proxy-only' } }, target))
+      .toThrow('upstream.url is required for the proxy-only policy of POST /pets');
+  });
+
+  test('should forward requests without a recording and record the responses', async () => {
+    nock('http://pets.test')
+      .get('/v1/pets/2')
+      .query({ verbose: 'true' })
+      .reply(200, { id: 2, name: 'Upstream' }, { 'X-Upstream': 'yes' });
+    const app = createServer({ url: 'http://pets.test/v1', record: true });
+
+    const recorded = await request(app).get('/api/pets/1').expect(200);
+    const forwarded = await request(app).get('/api/pets/2?verbose=true').expect(200);
+    const replayed = await request(app).get('/api/pets/2?verbose=true').expect(200);
+
+    expect(recorded.body).toEqual({ id: 1, name: 'Recorded' });
+    expect(forwarded.body).toEqual({ id: 2, name: 'Upstream' });
+    expect(forwarded.headers['x-upstream']).toBe('yes');
+    expect(replayed.body).toEqual({ id: 2, name: 'Upstream' });
+    expect(JSON.parse(fs.readFileSync(path.join(responsesDir, 'getpetbyid_petId-2_verbose-true.json'), 'utf8')).request)
+      .toMatchObject({ method: 'GET', url: '/pets/2', pathParams: { petId: '2' }, query: { verbose: 'true' } });
+  });
+
+  test('should keep the first recording of a request forwarded again', async () => {
+    nock('http://pets.test')
+      .post('/v1/pets', { name: 'Rex' }).reply(201, { id: 3, name: 'Rex' })
+      .post('/v1/pets', { name: 'Rex' }).reply(201, { id: 4, name: 'Rex' });
+    const app = createServer({ url: 'http://pets.test/v1', rules: [{ operation: 'createPet', policy: 'proxy-only', record: true }] });
+
+    await request(app).post('/api/pets').send({ name: 'Rex' }).expect(201, { id: 3, name: 'Rex' });
+    await request(app).post('/api/pets').send({ name: 'Rex' }).expect(201, { id: 4, name: 'Rex' });
+
+    expect(JSON.parse(fs.readFileSync(path.join(responsesDir, 'createpet.json'), 'utf8')).data).toEqual({ id: 3, name: 'Rex' });
+  });
+
+  test('should forward requests without a mock response from the routes of the route handler', async () => {
+    nock('http://pets.test')
+      .get('/v1/pets/2').reply(200, { id: 2, name: 'Upstream' })
+      .post('/v1/pets', { name: 'Rex' }).reply(201, { id: 3, name: 'Rex' });
+    const app = express();
+    app.use(express.json());
+    const config = { apiName: 'passthrough-pets', basePath: '/api', responsesDir, upstream: { url: 'http://pets.test/v1' } };
+    routeHandler.registerRoute(app, 'get', '/api/pets/:petId', { operationId: 'getPetById' }, config);
+    routeHandler.registerRoute(app, 'post', '/api/pets', { operationId: 'createPet' }, {
+      ...config,
+      upstream: { ...config.upstream, rules: [{ operation: 'POST /pets', policy: 'proxy-only' }] }
+    });
+
+    await request(app).get('/api/pets/1').expect(200, { id: 1, name: 'Recorded' });
+    await request(app).get('/api/pets/2').expect(200, { id: 2, name: 'Upstream' });
+    await request(app).post('/api/pets').send({ name: 'Rex' }).expect(201, { id: 3, name: 'Rex' });
+  });
+
+  test('should always forward proxy-only operations', async () => {
+    nock('http://pets.test')
+      .post('/v1/pets', { name: 'Rex' })
+      .reply(201, { id: 3, name: 'Rex' }, { Location: '/pets/3' });
+    const app = createServer({ url: 'http://pets.test/v1', policy: 'mock-only', rules: [{ operation: 'createPet', policy: 'proxy-only' }] });
+
+    const created = await request(app).post('/api/pets').send({ name: 'Rex' }).expect(201);
+    const generated = await request(app).get('/api/pets/9').expect(200);
+
+    expect(created.body).toEqual({ id: 3, name: 'Rex' });
+    expect(created.headers.location).toBe('/pets/3');
+    expect(generated.body).toHaveProperty('id');
+    expect(fs.readdirSync(responsesDir)).toEqual(['getpetbyid_petId-1.json']);
+  });
+
+  test('should forward request bodies as they were sent', async () => {
+    const xml = '<pet><name>Rex</name></pet>';
+    nock('http://pets.test', { reqheaders: { 'content-type': 'application/xml' } })
+      .post('/v1/pets', xml).reply(201, { id: 3 });
+    nock('http://pets.test')
+      .post('/v1/pets', body => JSON.stringify(body) === '{}').reply(400, { message: 'name is required' })
+      .post('/v1/stores', 'name=Main+Street').reply(201, { id: 1 });
+    const app = createServer({ url: 'http://pets.test/v1', rules: [{ operation: 'createPet', policy: 'proxy-only' }] });
+
+    await request(app).post('/api/pets').set('Content-Type', 'application/xml').send(xml).expect(201, { id: 3 });
+    await request(app).post('/api/pets').send({}).expect(400, { message: 'name is required' });
+    await request(app).post('/api/stores').type('form').send('name=Main+Street').expect(201, { id: 1 });
+    expect(nock.isDone()).toBe(true);
+  });
+
+  test('should serve the mock when the upstream API fails', async () => {
+    nock('http://pets.test')
+      .get('/v1/pets/1').reply(503, { message: 'unavailable' })
+      .get('/v1/pets/1').replyWithError('connect ECONNREFUSED')
+      .get('/v1/pets/1').reply(200, { id: 1, name: 'Upstream' });
+    const app = createServer({ url: 'http://pets.test/v1', policy: 'proxy-then-mock-on-failure' });
+
+    const unavailable = await request(app).get('/api/pets/1').expect(200);
+    const unreachable = await request(app).get('/api/pets/1').expect(200);
+    const available = await request(app).get('/api/pets/1').expect(200);
+
+    expect(unavailable.body).toEqual({ id: 1, name: 'Recorded' });
+    expect(unreachable.body).toEqual({ id: 1, name: 'Recorded' });
+    expect(available.body).toEqual({ id: 1, name: 'Upstream' });
+  });
+
+  test('should forward paths the spec does not declare', async () => {
+    nock('http://pets.test').get('/v1/stores').reply(200, [{ id: 1 }]);
+
+    await request(createServer({ url: 'http://pets.test/v1' })).get('/api/stores').expect(200, [{ id: 1 }]);
+    await request(createServer({ url: 'http://pets.test/v1', policy: 'mock-only' })).get('/api/stores').expect(404);
+
+    nock('http://pets.test').get('/v1/stores').replyWithError('connect ECONNREFUSED');
+    const response = await request(createServer({ url: 'http://pets.test/v1' })).get('/api/stores').expect(502);
+    expect(response.body).toEqual({ error: 'Bad Gateway', message: 'Upstream request failed: connect ECONNREFUSED' });
+  });
+});